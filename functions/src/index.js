@@ -40,7 +40,11 @@ const corsOptions = {
     "Accept",
     "x-api-key",
     "anthropic-version",
+    "X-Change-Source",
+    "X-Agent-Id",
+    "If-Match",
   ],
+  exposedHeaders: ["ETag"],
   credentials: true,
   maxAge: 86400, // Cache preflight requests for 24 hours
 };
@@ -52,7 +56,8 @@ app.use(cors(corsOptions));
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, x-api-key, anthropic-version');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, x-api-key, anthropic-version, X-Change-Source, X-Agent-Id, If-Match');
+  res.header('Access-Control-Expose-Headers', 'ETag');
   next();
 });
 
@@ -185,7 +190,7 @@ module.exports = {
       );
       res.set(
         "Access-Control-Allow-Headers",
-        "Content-Type, Authorization, X-Requested-With"
+        "Content-Type, Authorization, X-Requested-With, X-Change-Source, X-Agent-Id, If-Match"
       );
       res.set("Access-Control-Max-Age", "3600");
       res.status(204).send("");
@@ -194,6 +199,7 @@ module.exports = {
 
     // Set CORS headers for regular requests
     res.set("Access-Control-Allow-Origin", "*");
+    res.set("Access-Control-Expose-Headers", "ETag");
 
     // Simple test endpoint
     if (req.path === "/ping") {
@@ -233,6 +239,83 @@ module.exports = {
       .then((status) => res.json(status))
       .catch((error) => res.status(500).json({ error: error.message }));
   }),
+  // Permanently delete projects whose restore period in the trash has ended
+  purgeProjectTrash: functions.scheduler.onSchedule("every 24 hours", async () => {
+    const projectLifecycle = require("./services/project-lifecycle-service");
+    await projectLifecycle.purgeExpiredTrash();
+  }),
+  // Send each queued webhook delivery as soon as it is created
+  deliverWebhook: functions.firestore.onDocumentCreated(
+    "projects/{projectId}/webhooks/{webhookId}/webhookDeliveries/{deliveryId}",
+    async (event) => {
+      const webhooks = require("./services/webhook-service");
+      if (event.data) await webhooks.attemptDelivery(event.data.ref);
+    }
+  ),
+  // Retry failed webhook deliveries whose backoff has elapsed
+  retryWebhookDeliveries: functions.scheduler.onSchedule("every 5 minutes", async () => {
+    const webhooks = require("./services/webhook-service");
+    await webhooks.retryDueDeliveries();
+  }),
+  // Flag overdue tasks and send due-soon and overdue reminders
+  sendDueDateReminders: functions.scheduler.onSchedule("every 15 minutes", async () => {
+    const notifications = require("./services/notification-service");
+    await notifications.sendDueReminders();
+  }),
+  // Create the next occurrence of a recurring task when the current one is completed
+  advanceRecurringTask: functions.firestore.onDocumentUpdated("tasks/{taskId}", async (event) => {
+    const recurrence = require("./services/recurrence-service");
+    await recurrence.onTaskChanged(
+      event.params.taskId,
+      event.data.before.data(),
+      event.data.after.data()
+    );
+  }),
+  // Create the next occurrence of scheduled series whose current one is due
+  materializeRecurringTasks: functions.scheduler.onSchedule("every 1 hours", async () => {
+    const recurrence = require("./services/recurrence-service");
+    await recurrence.materializeDueSeries();
+  }),
+  // Run a queued project import in the background
+  runProjectImport: functions.firestore.onDocumentCreated(
+    { document: "projects/{projectId}/imports/{importId}", timeoutSeconds: 540, memory: "1GiB" },
+    async (event) => {
+      const imports = require("./services/import-service");
+      await imports.runImport(event.params.projectId, event.params.importId);
+    }
+  ),
+  // Keep the search index current as tasks, comments and projects change
+  indexTaskForSearch: functions.firestore.onDocumentWritten("tasks/{taskId}", async (event) => {
+    const searchService = require("./services/search-service");
+    await searchService.onTaskWritten(
+      event.params.taskId,
+      event.data.before.exists ? event.data.before.data() : null,
+      event.data.after.exists ? event.data.after.data() : null
+    );
+  }),
+  indexCommentForSearch: functions.firestore.onDocumentWritten(
+    "tasks/{taskId}/comments/{commentId}",
+    async (event) => {
+      const searchService = require("./services/search-service");
+      await searchService.onCommentWritten(
+        event.params.taskId,
+        event.params.commentId,
+        event.data.before.exists ? event.data.before.data() : null,
+        event.data.after.exists ? event.data.after.data() : null
+      );
+    }
+  ),
+  indexProjectForSearch: functions.firestore.onDocumentWritten(
+    "projects/{projectId}",
+    async (event) => {
+      const searchService = require("./services/search-service");
+      await searchService.onProjectWritten(
+        event.params.projectId,
+        event.data.before.exists ? event.data.before.data() : null,
+        event.data.after.exists ? event.data.after.data() : null
+      );
+    }
+  ),
   // Simple test endpoint directly as a function
   testApi: functions.https.onRequest((req, res) => {
     console.log("Direct test API endpoint hit");
@@ -0,0 +1,60 @@
+jest.mock("firebase-admin", () =>
+  require("../../services/__tests__/support/fake-firestore").createFakeAdmin()
+);
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const auth = require("../auth");
+
+/**
+ * Authenticate a request and report the user or the response status
+ */
+async function authenticate(headers = {}) {
+  const req = { headers };
+  const result = { user: null, status: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  await auth.authenticate(req, res, () => {
+    result.user = req.user;
+  });
+  return result;
+}
+
+describe("authenticate", () => {
+  const skipAuth = process.env.SKIP_AUTH_FOR_TESTING;
+
+  afterEach(() => {
+    if (skipAuth === undefined) delete process.env.SKIP_AUTH_FOR_TESTING;
+    else process.env.SKIP_AUTH_FOR_TESTING = skipAuth;
+  });
+
+  test("should require a Bearer token", async () => {
+    delete process.env.SKIP_AUTH_FOR_TESTING;
+    expect((await authenticate()).status).toBe(401);
+  });
+
+  test("should act as a test user without admin rights when auth is skipped", async () => {
+    process.env.SKIP_AUTH_FOR_TESTING = "true";
+
+    const { user } = await authenticate();
+
+    expect(user).toMatchObject({ uid: "test-user-id", admin: false });
+  });
+
+  test("should only act as a platform admin when asked to", async () => {
+    process.env.SKIP_AUTH_FOR_TESTING = "true";
+
+    const { user } = await authenticate({ "x-test-admin": "true" });
+
+    expect(user.admin).toBe(true);
+  });
+});
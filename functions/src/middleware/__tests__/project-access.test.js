@@ -0,0 +1,328 @@
+jest.mock("firebase-admin", () =>
+  require("../../services/__tests__/support/fake-firestore").createFakeAdmin()
+);
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const {
+  requireTask,
+  requireRelatedTask,
+  requireTargetProject,
+  requireBulkTasks,
+  requireOrganizationAdmin,
+  permittedProjects,
+} = require("../project-access");
+
+/**
+ * Run a middleware and report whether it called next or what it responded
+ */
+async function run(middleware, req) {
+  const result = { next: false, status: null, body: null };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    },
+  };
+  await middleware(req, res, () => {
+    result.next = true;
+  });
+  return result;
+}
+
+function request(user, overrides = {}) {
+  return { method: "GET", params: {}, body: {}, user, ...overrides };
+}
+
+describe("project access middleware", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "projects/alpha/members/ann": { role: "member" },
+      "projects/alpha/members/val": { role: "viewer" },
+      "projects/beta": { name: "Beta" },
+      "projects/beta/members/val": { role: "viewer" },
+      "projects/gamma": { name: "Gamma", ancestorIds: ["alpha"] },
+      "tasks/t1": { title: "One", projectId: "alpha" },
+      "tasks/t2": { title: "Two", projectId: "beta" },
+      "tasks/loose": { title: "No project" },
+      "organizations/acme": { name: "Acme", adminIds: ["olga"] },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("requireTask", () => {
+    test("should let members read and write tasks of their project", async () => {
+      const req = request({ uid: "ann" }, { method: "PUT", params: { taskId: "t1" } });
+      const result = await run(requireTask(), req);
+      expect(result.next).toBe(true);
+      expect(req.projectId).toBe("alpha");
+      expect(req.projectRole).toBe("member");
+    });
+
+    test("should refuse non-members with 403", async () => {
+      const result = await run(
+        requireTask(),
+        request({ uid: "zed" }, { params: { taskId: "t1" } })
+      );
+      expect(result.status).toBe(403);
+      expect(result.body.message).toBe("You are not a member of this project");
+    });
+
+    test("should refuse writes by viewers with 403", async () => {
+      const result = await run(
+        requireTask(),
+        request({ uid: "val" }, { method: "DELETE", params: { taskId: "t1" } })
+      );
+      expect(result.status).toBe(403);
+      expect(result.body.message).toBe(
+        "Your viewer role on this project does not allow task:write"
+      );
+    });
+
+    test("should apply roles inherited from ancestor projects", async () => {
+      db.seed({ "tasks/t3": { title: "Three", projectId: "gamma" } });
+      const req = request({ uid: "ann" }, { method: "PUT", params: { taskId: "t3" } });
+      expect((await run(requireTask(), req)).next).toBe(true);
+      expect(req.projectRole).toBe("member");
+    });
+
+    test("should limit personal access tokens to their scopes", async () => {
+      const result = await run(
+        requireTask(),
+        request(
+          { uid: "ann", tokenScopes: ["tasks:read"] },
+          { method: "PUT", params: { taskId: "t1" } }
+        )
+      );
+      expect(result.status).toBe(403);
+      expect(result.body.message).toBe("This token's scopes do not allow task:write");
+    });
+
+    test("should limit project API keys to their project", async () => {
+      const result = await run(
+        requireTask(),
+        request(
+          { uid: "key", tokenProjectId: "beta", tokenScopes: ["tasks:write"] },
+          { params: { taskId: "t1" } }
+        )
+      );
+      expect(result.status).toBe(403);
+      expect(result.body.message).toBe("This API key is limited to another project");
+    });
+
+    test("should let platform admins through and 404 for missing tasks", async () => {
+      const admin = await run(
+        requireTask(),
+        request({ uid: "root", admin: true }, { method: "PUT", params: { taskId: "t1" } })
+      );
+      expect(admin.next).toBe(true);
+
+      const missing = await run(
+        requireTask(),
+        request({ uid: "ann" }, { params: { taskId: "nope" } })
+      );
+      expect(missing.status).toBe(404);
+    });
+
+    test("should keep tasks outside any project to platform admins", async () => {
+      const result = await run(
+        requireTask(),
+        request({ uid: "ann" }, { params: { taskId: "loose" } })
+      );
+      expect(result.status).toBe(403);
+    });
+  });
+
+  describe("requireTargetProject", () => {
+    async function update(user, body) {
+      const req = request(user, { method: "PUT", params: { taskId: "t1" }, body });
+      const access = await run(requireTask(), req);
+      if (!access.next) return { ...access, req };
+      return { ...(await run(requireTargetProject(), req)), req };
+    }
+
+    test("should refuse moving a task into a project the caller cannot write", async () => {
+      db.seed({ "projects/beta/members/ann": { role: "viewer" } });
+      const result = await update({ uid: "ann" }, { projectId: "beta" });
+      expect(result.next).toBe(false);
+      expect(result.status).toBe(403);
+      expect(result.body.message).toBe(
+        "Your viewer role on this project does not allow task:write"
+      );
+    });
+
+    test("should refuse moving a task into a project the caller is not in", async () => {
+      const result = await update({ uid: "ann" }, { projectId: "beta" });
+      expect(result.status).toBe(403);
+      expect(result.body.message).toBe("You are not a member of this project");
+    });
+
+    test("should allow the move with task:write on both projects", async () => {
+      db.seed({ "projects/beta/members/ann": { role: "admin" } });
+      const result = await update({ uid: "ann" }, { projectId: "beta", title: "Moved" });
+      expect(result.next).toBe(true);
+      // The route acts with the caller's role on the task's current project
+      expect(result.req.projectRole).toBe("member");
+      expect(result.req.projectRoles).toEqual({ alpha: "member", beta: "admin" });
+    });
+
+    test("should pass updates that keep the project", async () => {
+      expect((await update({ uid: "ann" }, { title: "Renamed" })).next).toBe(true);
+      expect((await update({ uid: "ann" }, { projectId: "alpha" })).next).toBe(true);
+    });
+
+    test("should reject a projectId that is not a project ID", async () => {
+      const result = await update({ uid: "ann" }, { projectId: 42 });
+      expect(result.status).toBe(400);
+    });
+
+    test("should 404 for a target project that does not exist", async () => {
+      const result = await update({ uid: "ann" }, { projectId: "nowhere" });
+      expect(result.status).toBe(404);
+    });
+
+    test("should let platform admins move tasks anywhere", async () => {
+      const result = await update({ uid: "root", admin: true }, { projectId: "beta" });
+      expect(result.next).toBe(true);
+    });
+  });
+
+  describe("requireRelatedTask", () => {
+    const prerequisite = requireRelatedTask((req) => req.body.dependsOn);
+
+    test("should refuse prerequisites from projects the caller cannot read", async () => {
+      const req = request({ uid: "ann" }, { body: { dependsOn: "t2" } });
+      req.projectRole = "member";
+      const result = await run(prerequisite, req);
+      expect(result.status).toBe(403);
+    });
+
+    test("should allow readable prerequisites and keep the route's role", async () => {
+      db.seed({ "projects/beta/members/ann": { role: "viewer" } });
+      const req = request({ uid: "ann" }, { body: { dependsOn: "t2" } });
+      req.projectRole = "member";
+      const result = await run(prerequisite, req);
+      expect(result.next).toBe(true);
+      expect(req.projectRole).toBe("member");
+    });
+
+    test("should 404 for missing prerequisites and pass requests without one", async () => {
+      const missing = await run(
+        prerequisite,
+        request({ uid: "ann" }, { body: { dependsOn: "nope" } })
+      );
+      expect(missing.status).toBe(404);
+      expect((await run(prerequisite, request({ uid: "ann" }))).next).toBe(true);
+    });
+  });
+
+  describe("requireBulkTasks", () => {
+    test("should require task:write on the project of every task", async () => {
+      db.seed({ "projects/beta/members/ann": { role: "viewer" } });
+      const result = await run(
+        requireBulkTasks(),
+        request(
+          { uid: "ann" },
+          { body: { operations: [{ taskId: "t1" }, { taskId: "t2" }] } }
+        )
+      );
+      expect(result.status).toBe(403);
+    });
+
+    test("should refuse tasks spanning a project the caller is not a member of", async () => {
+      const result = await run(
+        requireBulkTasks(),
+        request(
+          { uid: "ann" },
+          { body: { operations: [{ taskId: "t1" }, { taskId: "t2" }, { taskId: "t1" }] } }
+        )
+      );
+      expect(result.status).toBe(403);
+      expect(result.body.message).toBe("You are not a member of this project");
+
+      const loose = await run(
+        requireBulkTasks(),
+        request({ uid: "ann" }, { body: { operations: [{ taskId: "t1" }, { taskId: "loose" }] } })
+      );
+      expect(loose.status).toBe(403);
+      expect(loose.body.message).toBe("Some tasks do not belong to a project");
+    });
+
+    test("should pass when every project allows writes", async () => {
+      const result = await run(
+        requireBulkTasks(),
+        request({ uid: "ann" }, { body: { operations: [{ taskId: "t1" }, { taskId: "gone" }] } })
+      );
+      expect(result.next).toBe(true);
+    });
+  });
+
+  describe("requireOrganizationAdmin", () => {
+    const manage = requireOrganizationAdmin();
+
+    test("should refuse callers who do not administer the organization", async () => {
+      const result = await run(manage, request({ uid: "ann" }, { params: { orgId: "acme" } }));
+      expect(result.status).toBe(403);
+      expect(result.body.message).toBe("You are not an admin of this organization");
+    });
+
+    test("should allow organization admins and record the organization", async () => {
+      const req = request({ uid: "olga" }, { params: { orgId: "acme" } });
+      const result = await run(manage, req);
+      expect(result.next).toBe(true);
+      expect(req.organization.name).toBe("Acme");
+    });
+
+    test("should refuse API keys and tokens without the projects:admin scope", async () => {
+      const key = await run(
+        manage,
+        request({ uid: "olga", tokenProjectId: "alpha" }, { params: { orgId: "acme" } })
+      );
+      expect(key.status).toBe(403);
+
+      const token = await run(
+        manage,
+        request({ uid: "olga", tokenScopes: ["projects:read"] }, { params: { orgId: "acme" } })
+      );
+      expect(token.status).toBe(403);
+      expect(token.body.message).toBe("This token lacks the projects:admin scope");
+    });
+
+    test("should 404 for missing organizations", async () => {
+      const result = await run(manage, request({ uid: "olga" }, { params: { orgId: "none" } }));
+      expect(result.status).toBe(404);
+    });
+  });
+
+  describe("permittedProjects", () => {
+    test("should keep the projects on which the user holds the permission", async () => {
+      const permitted = await permittedProjects(
+        { uid: "val" },
+        ["alpha", "beta", "gamma", null],
+        "task:read"
+      );
+      expect([...permitted].sort()).toEqual(["alpha", "beta", "gamma"]);
+
+      const writable = await permittedProjects({ uid: "val" }, ["alpha", "beta"], "task:write");
+      expect(writable.size).toBe(0);
+    });
+
+    test("should give platform admins every project, including none", async () => {
+      const permitted = await permittedProjects({ admin: true }, ["alpha", null], "task:read");
+      expect(permitted).toEqual(new Set(["alpha", null]));
+    });
+  });
+});
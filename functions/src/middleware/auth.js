@@ -5,6 +5,33 @@
 
 const { admin } = require("../../config/firebase-admin");
 const { handleError } = require("../utils/error-handler");
+const apiTokens = require("../services/api-token-service");
+const { TOKEN_KINDS, tokenKind } = require("../utils/api-tokens");
+
+/**
+ * Build req.user for a personal access token or project API key. Token callers
+ * are never platform admins.
+ * @private
+ */
+function tokenUser(token) {
+  const user = {
+    tokenId: token.id,
+    tokenKind: token.kind,
+    tokenScopes: token.scopes,
+  };
+
+  if (token.kind === TOKEN_KINDS.PROJECT) {
+    return {
+      ...user,
+      uid: `api-key:${token.id}`,
+      name: token.name,
+      is_service_account: true,
+      tokenProjectId: token.projectId,
+    };
+  }
+
+  return { ...user, uid: token.uid, email: token.email, name: token.userName };
+}
 
 /**
  * Authentication middleware levels
@@ -32,6 +59,83 @@ const authMiddleware = {
     }
   },
 
+  /**
+   * Require a valid Firebase ID token, personal access token (fsp_…) or project
+   * API key (fsk_…). For local development the check can be bypassed with
+   * SKIP_AUTH_FOR_TESTING=true; requests without a token then act as a test
+   * user who is subject to project roles like anyone else, and as a platform
+   * admin only when they send X-Test-Admin: true.
+   */
+  authenticate: async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      if (process.env.SKIP_AUTH_FOR_TESTING === "true") {
+        req.user = {
+          uid: "test-user-id",
+          email: "test@example.com",
+          name: "Test User",
+          admin: req.headers["x-test-admin"] === "true",
+        };
+        return next();
+      }
+      return handleError(401, req, res, "A Bearer token is required");
+    }
+
+    const credential = authHeader.split("Bearer ")[1];
+
+    try {
+      if (tokenKind(credential)) {
+        const token = await apiTokens.verifyToken(credential);
+        if (!token) {
+          return handleError(401, req, res, "Invalid, expired or revoked token");
+        }
+        req.user = tokenUser(token);
+        return next();
+      }
+
+      req.user = await admin.auth().verifyIdToken(credential);
+      next();
+    } catch (error) {
+      console.error("Auth Error:", error);
+      handleError(401, req, res, "Invalid or expired token");
+    }
+  },
+
+  /**
+   * Require a scope from personal access tokens on routes outside any single
+   * project. Project API keys are refused; callers with a Firebase ID token are
+   * not limited by scopes.
+   * @param {string} scope - Scope, e.g. "projects:admin"
+   * @returns {Function} Express middleware
+   */
+  requireScope: (scope) => (req, res, next) => {
+    const user = req.user || {};
+    if (user.tokenProjectId) {
+      return handleError(403, req, res, "Project API keys are limited to their project");
+    }
+    if (user.tokenScopes && !user.tokenScopes.includes(scope)) {
+      return handleError(403, req, res, `This token lacks the ${scope} scope`);
+    }
+    next();
+  },
+
+  /**
+   * Reject callers that authenticated with an API token, so tokens cannot be
+   * used to mint further tokens
+   */
+  rejectApiTokens: (req, res, next) => {
+    if (req.user && req.user.tokenId) {
+      return handleError(
+        403,
+        req,
+        res,
+        "Sign in with a Firebase ID token to manage API tokens"
+      );
+    }
+    next();
+  },
+
   /**
    * Require valid Firebase ID token
    */
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Project role checks for project and task routes
+ * @module middleware/project-access
+ */
+
+const { admin } = require("../../config/firebase-admin");
+const { handleError } = require("../utils/error-handler");
+const projectMembers = require("../services/project-member-service");
+const organizationService = require("../services/organization-service");
+const { hasPermission, permissionForMethod } = require("../utils/roles");
+const { scopesAllow, roleForScopes } = require("../utils/api-tokens");
+
+/**
+ * Role of a project API key on a project: keys act on their own project and
+ * its sub-projects only
+ * @private
+ */
+function keyRole(project, user) {
+  const inScope =
+    project.id === user.tokenProjectId ||
+    (project.ancestorIds || []).includes(user.tokenProjectId);
+  return inScope ? roleForScopes(user.tokenScopes) : null;
+}
+
+/**
+ * Resolve the caller's role on a project, as a member or through an API key
+ * @private
+ * @returns {Promise<Object>} { project, role }; project is null when it does
+ *   not exist
+ */
+async function resolveRole(projectId, user) {
+  const isKey = Boolean(user.tokenProjectId);
+  const { project, role } = await projectMembers.resolveAccess(
+    projectId,
+    isKey ? null : user.uid
+  );
+  return { project, role: project && isKey ? keyRole(project, user) : role };
+}
+
+/**
+ * Record the caller's role on a project: req.projectRole for the route, and
+ * req.projectRoles by project for services checking role-limited changes
+ * @private
+ */
+function recordRole(req, projectId, role) {
+  req.projectRole = role;
+  req.projectRoles = { ...(req.projectRoles || {}), [projectId]: role };
+}
+
+/**
+ * Check the caller's role on a project and record it on the request
+ * @private
+ * @returns {Promise<boolean>} Whether the request may continue (a response
+ *   has been sent otherwise)
+ */
+async function checkProject(req, res, projectId, permission) {
+  const isKey = Boolean(req.user.tokenProjectId);
+  const { project, role } = await resolveRole(projectId, req.user);
+
+  if (!project) {
+    handleError(404, req, res, `Project with ID ${projectId} not found`);
+    return false;
+  }
+
+  // Platform admins may act on every project
+  if (req.user.admin) {
+    recordRole(req, projectId, role || "platform-admin");
+    return true;
+  }
+
+  if (!hasPermission(role, permission)) {
+    handleError(
+      403,
+      req,
+      res,
+      role
+        ? `Your ${role} role on this project does not allow ${permission}`
+        : isKey
+          ? "This API key is limited to another project"
+          : "You are not a member of this project"
+    );
+    return false;
+  }
+
+  // Personal access tokens act with the user's role, limited by their scopes
+  if (req.user.tokenScopes && !scopesAllow(req.user.tokenScopes, permission)) {
+    handleError(403, req, res, `This token's scopes do not allow ${permission}`);
+    return false;
+  }
+
+  recordRole(req, projectId, role);
+  return true;
+}
+
+/**
+ * Require a permission on the project named by the request
+ * @param {string} permission - Permission, e.g. "project:update"
+ * @param {Function} [getProjectId] - (req) => project ID; defaults to the
+ *   :projectId route parameter
+ * @returns {Function} Express middleware
+ */
+function requireProject(permission, getProjectId = (req) => req.params.projectId) {
+  return async (req, res, next) => {
+    try {
+      const projectId = getProjectId(req);
+
+      if (!projectId) {
+        // Requests that span projects are limited to platform admins
+        if (req.user.admin) return next();
+        return handleError(400, req, res, "projectId is required");
+      }
+
+      if (await checkProject(req, res, projectId, permission)) {
+        req.projectId = projectId;
+        next();
+      }
+    } catch (error) {
+      console.error("Project access check failed:", error);
+      handleError(500, req, res, "Failed to check project access");
+    }
+  };
+}
+
+/**
+ * Require a permission on the project of the task named by :taskId
+ * @param {string} [permission] - Permission; defaults to task:read for
+ *   GET/HEAD and task:write otherwise
+ * @returns {Function} Express middleware
+ */
+function requireTask(permission) {
+  return async (req, res, next) => {
+    try {
+      const { taskId } = req.params;
+      const doc = await admin.firestore().collection("tasks").doc(taskId).get();
+
+      if (!doc.exists) {
+        return handleError(404, req, res, `Task with ID ${taskId} not found`);
+      }
+
+      const projectId = doc.get("projectId");
+      if (!projectId) {
+        if (req.user.admin) return next();
+        return handleError(403, req, res, "Task does not belong to a project");
+      }
+
+      if (await checkProject(req, res, projectId, permission || permissionForMethod(req.method))) {
+        req.projectId = projectId;
+        next();
+      }
+    } catch (error) {
+      console.error("Task access check failed:", error);
+      handleError(500, req, res, "Failed to check task access");
+    }
+  };
+}
+
+/**
+ * Require a permission on the project of a task the request refers to besides
+ * :taskId, such as a prerequisite. The role recorded for the route stays that
+ * of the :taskId task.
+ * @param {Function} getTaskId - (req) => task ID; requests without one pass
+ *   through to the route's own validation
+ * @param {string} [permission="task:read"] - Permission
+ * @returns {Function} Express middleware
+ */
+function requireRelatedTask(getTaskId, permission = "task:read") {
+  return async (req, res, next) => {
+    try {
+      const taskId = getTaskId(req);
+      if (!taskId || typeof taskId !== "string" || req.user.admin) return next();
+
+      const doc = await admin.firestore().collection("tasks").doc(taskId).get();
+      if (!doc.exists) {
+        return handleError(404, req, res, `Task with ID ${taskId} not found`);
+      }
+      if (!doc.get("projectId")) {
+        return handleError(403, req, res, `Task ${taskId} does not belong to a project`);
+      }
+
+      const { projectRole } = req;
+      if (await checkProject(req, res, doc.get("projectId"), permission)) {
+        req.projectRole = projectRole;
+        next();
+      }
+    } catch (error) {
+      console.error("Related task access check failed:", error);
+      handleError(500, req, res, "Failed to check task access");
+    }
+  };
+}
+
+/**
+ * Require task:write on the project a task update moves the task into. Runs
+ * after requireTask, which checks the task's current project.
+ * @returns {Function} Express middleware
+ */
+function requireTargetProject() {
+  return async (req, res, next) => {
+    try {
+      if (!req.body || !("projectId" in req.body)) return next();
+
+      const target = req.body.projectId;
+      if (target === req.projectId || req.user.admin) return next();
+      if (typeof target !== "string" || !target) {
+        return handleError(400, req, res, "projectId must be a project ID");
+      }
+
+      if (await checkProject(req, res, target, "task:write")) {
+        // checkProject records the target's role; the route acts on the task
+        req.projectRole = req.projectRoles[req.projectId];
+        next();
+      }
+    } catch (error) {
+      console.error("Target project access check failed:", error);
+      handleError(500, req, res, "Failed to check project access");
+    }
+  };
+}
+
+/**
+ * Require task:write on the projects of every task in a bulk request
+ * @returns {Function} Express middleware
+ */
+function requireBulkTasks() {
+  return async (req, res, next) => {
+    try {
+      if (req.user.admin) return next();
+
+      const operations = (req.body && req.body.operations) || [];
+      const ids = [...new Set(operations.map((op) => op && op.taskId).filter(Boolean))];
+      const db = admin.firestore();
+      const docs = ids.length
+        ? await db.getAll(...ids.map((id) => db.collection("tasks").doc(id)))
+        : [];
+
+      // Missing tasks are reported per operation by the bulk endpoint
+      const existing = docs.filter((doc) => doc.exists);
+      if (existing.some((doc) => !doc.get("projectId"))) {
+        return handleError(403, req, res, "Some tasks do not belong to a project");
+      }
+
+      const projectIds = [...new Set(existing.map((doc) => doc.get("projectId")))];
+      for (const projectId of projectIds) {
+        if (!(await checkProject(req, res, projectId, "task:write"))) return;
+      }
+      next();
+    } catch (error) {
+      console.error("Bulk task access check failed:", error);
+      handleError(500, req, res, "Failed to check task access");
+    }
+  };
+}
+
+/**
+ * Require the caller to administer the organization named by the request.
+ * Personal access tokens also need the projects:admin scope; project API keys
+ * are refused.
+ * @param {Function} [getOrganizationId] - (req) => organization ID; defaults to
+ *   the :orgId route parameter
+ * @returns {Function} Express middleware
+ */
+function requireOrganizationAdmin(getOrganizationId = (req) => req.params.orgId) {
+  return async (req, res, next) => {
+    try {
+      const orgId = getOrganizationId(req);
+      const organization = await organizationService.getOrganization(orgId);
+      if (!organization) {
+        return handleError(404, req, res, `Organization with ID ${orgId} not found`);
+      }
+
+      if (req.user.tokenProjectId) {
+        return handleError(403, req, res, "Project API keys are limited to their project");
+      }
+      if (req.user.tokenScopes && !req.user.tokenScopes.includes("projects:admin")) {
+        return handleError(403, req, res, "This token lacks the projects:admin scope");
+      }
+      if (!req.user.admin && !organizationService.isAdmin(organization, req.user.uid)) {
+        return handleError(403, req, res, "You are not an admin of this organization");
+      }
+
+      req.organization = organization;
+      next();
+    } catch (error) {
+      console.error("Organization access check failed:", error);
+      handleError(500, req, res, "Failed to check organization access");
+    }
+  };
+}
+
+/**
+ * Projects among the given ones on which a user holds a permission, for
+ * responses that gather tasks across projects
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Array<string|null>} projectIds - Project IDs; null stands for tasks
+ *   outside any project, which only platform admins see
+ * @param {string} permission - Permission, e.g. "task:read"
+ * @returns {Promise<Set<string|null>>} Permitted project IDs
+ */
+async function permittedProjects(user, projectIds, permission) {
+  const unique = [...new Set(projectIds)];
+  if (user.admin) return new Set(unique);
+
+  const permitted = new Set();
+  for (const projectId of unique.filter(Boolean)) {
+    const { role } = await resolveRole(projectId, user);
+    const scoped = !user.tokenScopes || scopesAllow(user.tokenScopes, permission);
+    if (hasPermission(role, permission) && scoped) permitted.add(projectId);
+  }
+  return permitted;
+}
+
+module.exports = {
+  requireProject,
+  requireTask,
+  requireRelatedTask,
+  requireTargetProject,
+  requireBulkTasks,
+  requireOrganizationAdmin,
+  permittedProjects,
+};
@@ -0,0 +1,130 @@
+jest.mock("firebase-admin", () =>
+  require("../../../services/__tests__/support/fake-firestore").createFakeAdmin()
+);
+jest.mock("../../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const express = require("express");
+const db = require("firebase-admin").firestore();
+const tasksRouter = require("../tasks");
+
+/**
+ * Call the task routes as the SKIP_AUTH_FOR_TESTING user and return the
+ * response status and JSON body
+ */
+async function call(server, method, path, body, headers = {}) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/tasks${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: body && JSON.stringify(body),
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+describe("comment routes", () => {
+  const skipAuth = process.env.SKIP_AUTH_FOR_TESTING;
+  let server;
+
+  beforeAll((done) => {
+    process.env.SKIP_AUTH_FOR_TESTING = "true";
+    const app = express();
+    app.use(express.json());
+    app.use("/api/tasks", tasksRouter);
+    server = app.listen(0, "127.0.0.1", done);
+  });
+
+  afterAll((done) => {
+    if (skipAuth === undefined) delete process.env.SKIP_AUTH_FOR_TESTING;
+    else process.env.SKIP_AUTH_FOR_TESTING = skipAuth;
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "projects/alpha/members/test-user-id": { role: "viewer" },
+      "tasks/t1": { title: "One", projectId: "alpha", status: "todo", version: 1 },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const asMember = () => db.seed({ "projects/alpha/members/test-user-id": { role: "member" } });
+
+  test("should let viewers read comments but not write them", async () => {
+    const list = await call(server, "GET", "/t1/comments");
+    expect(list).toEqual({ status: 200, body: [] });
+
+    const created = await call(server, "POST", "/t1/comments", { body: "Hello" });
+    expect(created.status).toBe(403);
+    expect(db.pathsIn("tasks/t1/comments")).toEqual([]);
+  });
+
+  test("should create comments and list them as threads", async () => {
+    asMember();
+
+    const created = await call(server, "POST", "/t1/comments", { body: " Hello " });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ body: "Hello", authorId: "test-user-id" });
+    const reply = await call(server, "POST", "/t1/comments", {
+      body: "Reply",
+      parentId: created.body.id,
+    });
+    expect(reply.status).toBe(201);
+
+    const threads = await call(server, "GET", "/t1/comments");
+    expect(threads.body).toEqual([
+      expect.objectContaining({
+        id: created.body.id,
+        replies: [expect.objectContaining({ id: reply.body.id })],
+      }),
+    ]);
+    const flat = await call(server, "GET", "/t1/comments?threaded=false");
+    expect(flat.body).toHaveLength(2);
+
+    const empty = await call(server, "POST", "/t1/comments", { body: "  " });
+    expect(empty).toMatchObject({ status: 400, body: { message: "Comment body is required" } });
+  });
+
+  test("should only let the author or a platform admin edit and delete", async () => {
+    asMember();
+    db.seed({
+      "tasks/t1/comments/c1": {
+        body: "Ann's note",
+        authorId: "ann",
+        parentId: null,
+        createdAt: new Date(),
+        deleted: false,
+      },
+    });
+
+    const edited = await call(server, "PUT", "/t1/comments/c1", { body: "Changed" });
+    expect(edited).toMatchObject({
+      status: 403,
+      body: { message: "Only the author can change this comment" },
+    });
+    const deleted = await call(server, "DELETE", "/t1/comments/c1");
+    expect(deleted.status).toBe(403);
+    expect(db.dump("tasks/t1/comments/c1").body).toBe("Ann's note");
+
+    const admin = { "X-Test-Admin": "true" };
+    const moderated = await call(server, "PUT", "/t1/comments/c1", { body: "Moderated" }, admin);
+    expect(moderated.status).toBe(200);
+    expect(moderated.body).toMatchObject({ body: "Moderated", edited: true });
+    expect((await call(server, "DELETE", "/t1/comments/c1", null, admin)).status).toBe(204);
+    expect(db.dump("tasks/t1/comments/c1")).toBeUndefined();
+  });
+
+  test("should 404 for comments of missing tasks", async () => {
+    const result = await call(server, "GET", "/nope/comments");
+    expect(result.status).toBe(404);
+  });
+});
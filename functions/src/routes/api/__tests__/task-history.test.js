@@ -0,0 +1,145 @@
+jest.mock("firebase-admin", () =>
+  require("../../../services/__tests__/support/fake-firestore").createFakeAdmin()
+);
+jest.mock("../../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const express = require("express");
+const db = require("firebase-admin").firestore();
+const tasksRouter = require("../tasks");
+
+/**
+ * Call the task routes as the SKIP_AUTH_FOR_TESTING user and return the
+ * response status and JSON body
+ */
+async function call(server, method, path, body, headers = {}) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/tasks${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: body && JSON.stringify(body),
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+describe("task history routes", () => {
+  const skipAuth = process.env.SKIP_AUTH_FOR_TESTING;
+  let server;
+
+  beforeAll((done) => {
+    process.env.SKIP_AUTH_FOR_TESTING = "true";
+    const app = express();
+    app.use(express.json());
+    app.use("/api/tasks", tasksRouter);
+    server = app.listen(0, "127.0.0.1", done);
+  });
+
+  afterAll((done) => {
+    if (skipAuth === undefined) delete process.env.SKIP_AUTH_FOR_TESTING;
+    else process.env.SKIP_AUTH_FOR_TESTING = skipAuth;
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "projects/alpha/members/test-user-id": { role: "member" },
+      "projects/beta": { name: "Beta" },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Create a task, edit it and move it in bulk, returning its ID
+   */
+  async function createAndChange() {
+    const created = await call(server, "POST", "", {
+      projectId: "alpha",
+      title: "Write docs",
+      status: "todo",
+    });
+    expect(created.status).toBe(201);
+    const taskId = created.body.id;
+
+    const updated = await call(
+      server,
+      "PUT",
+      `/${taskId}`,
+      { title: "Write the docs" },
+      { "X-Change-Source": "ui-inline-edit", "X-Agent-Id": "helper" }
+    );
+    expect(updated.status).toBe(200);
+
+    const bulk = await call(
+      server,
+      "POST",
+      "/bulk",
+      { operations: [{ action: "move", taskId, groupId: "doing", status: "in-progress" }] },
+      { "X-Change-Source": "ui-bulk-edit" }
+    );
+    expect(bulk.status).toBe(200);
+    return taskId;
+  }
+
+  test("should record create, update and bulk changes with who made them", async () => {
+    const taskId = await createAndChange();
+
+    const { status, body } = await call(server, "GET", `/${taskId}/history`);
+
+    expect(status).toBe(200);
+    expect(body.nextCursor).toBeNull();
+    expect(body.entries.map((entry) => [entry.action, entry.source])).toEqual([
+      ["move", "ui-bulk-edit"],
+      ["update", "ui-inline-edit"],
+      ["create", "api"],
+    ]);
+    const [move, update, create] = body.entries;
+    expect(move.changes).toMatchObject({ status: { from: "todo", to: "in-progress" } });
+    expect(update).toMatchObject({
+      fields: ["title"],
+      changes: { title: { from: "Write docs", to: "Write the docs" } },
+      actor: { type: "agent", uid: "test-user-id", agentId: "helper" },
+    });
+    expect(create.actor).toMatchObject({ type: "user", uid: "test-user-id", name: "Test User" });
+    expect(create.changes.title).toEqual({ from: null, to: "Write docs" });
+  });
+
+  test("should filter and page the history", async () => {
+    const taskId = await createAndChange();
+
+    const agents = await call(server, "GET", `/${taskId}/history?actorType=agent`);
+    expect(agents.body.entries.map((entry) => entry.action)).toEqual(["update"]);
+    const bulk = await call(server, "GET", `/${taskId}/history?source=ui-bulk-edit`);
+    expect(bulk.body.entries.map((entry) => entry.action)).toEqual(["move"]);
+
+    const first = await call(server, "GET", `/${taskId}/history?limit=2`);
+    expect(first.body.entries).toHaveLength(2);
+    const rest = await call(
+      server,
+      "GET",
+      `/${taskId}/history?limit=2&startAfter=${encodeURIComponent(first.body.nextCursor)}`
+    );
+    expect(rest.body).toEqual({
+      entries: [expect.objectContaining({ action: "create" })],
+      nextCursor: null,
+    });
+  });
+
+  test("should reject bad paging and callers outside the project", async () => {
+    const taskId = await createAndChange();
+
+    expect((await call(server, "GET", `/${taskId}/history?limit=0`)).status).toBe(400);
+    expect((await call(server, "GET", `/${taskId}/history?startAfter=junk`)).status).toBe(400);
+
+    db.seed({ "tasks/other": { title: "Other", projectId: "beta" } });
+    expect((await call(server, "GET", "/other/history")).status).toBe(403);
+  });
+});
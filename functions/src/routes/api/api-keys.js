@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Project API key routes for Firebase Functions. Mounted by the
+ * project routes, which authenticate the caller. Keys are managed by project
+ * owners and admins signed in with a Firebase ID token.
+ * @module routes/api/api-keys
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const apiTokens = require("../../services/api-token-service");
+const { handleError } = require("../../utils/error-handler");
+const auth = require("../../middleware/auth");
+const { requireProject } = require("../../middleware/project-access");
+
+router.use(auth.rejectApiTokens, requireProject("members:manage"));
+
+/**
+ * List a project's API keys, including revoked and expired ones
+ * @route GET /api/projects/:projectId/api-keys
+ */
+router.get("/", async (req, res) => {
+  try {
+    const keys = await apiTokens.listTokens({ projectId: req.params.projectId });
+    res.json(keys);
+  } catch (error) {
+    console.error(`Error fetching API keys of ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to get project API keys");
+  }
+});
+
+/**
+ * Create an API key for a project and its sub-projects. The key is only
+ * returned in this response.
+ * @route POST /api/projects/:projectId/api-keys
+ * @body {string} name - What the key is for, e.g. "CI"
+ * @body {Array<string>} scopes - tasks:read, tasks:write and/or projects:admin
+ * @body {number} [expiresInDays=90] - Days until the key expires (max 365)
+ */
+router.post("/", async (req, res) => {
+  try {
+    const key = await apiTokens.createProjectKey(
+      req.params.projectId,
+      req.user,
+      req.body || {}
+    );
+    res.status(201).json(key);
+  } catch (error) {
+    if (error.status === 400) {
+      return handleError(400, req, res, error.message);
+    }
+    console.error(`Error creating API key for ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to create project API key");
+  }
+});
+
+/**
+ * Revoke a project API key
+ * @route DELETE /api/projects/:projectId/api-keys/:keyId
+ */
+router.delete("/:keyId", async (req, res) => {
+  try {
+    const { projectId, keyId } = req.params;
+    const key = await apiTokens.revokeToken(keyId, { projectId }, req.user);
+
+    if (!key) {
+      return handleError(404, req, res, `API key ${keyId} not found`);
+    }
+
+    res.json(key);
+  } catch (error) {
+    console.error(`Error revoking API key ${req.params.keyId}:`, error);
+    handleError(500, req, res, "Failed to revoke project API key");
+  }
+});
+
+module.exports = router;
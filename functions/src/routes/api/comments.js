@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Task comment API routes for Firebase Functions. Mounted by the
+ * task routes, which authenticate the caller and check their project role.
+ * @module routes/api/comments
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const commentService = require("../../services/comment-service");
+
+/**
+ * Send a service error using its status, falling back to 500
+ * @private
+ */
+function sendError(res, error, fallbackMessage) {
+  const status = error.status || 500;
+  res.status(status).json({
+    error: status === 500 ? fallbackMessage : error.message,
+    message: error.message,
+  });
+}
+
+/**
+ * Get the comment thread for a task
+ * @route GET /api/tasks/:taskId/comments
+ * @query {boolean} [threaded=true] - Nest replies under their parent
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    console.log(`GET /tasks/${taskId}/comments - Fetching comments`);
+
+    const comments = await commentService.getComments(taskId, {
+      threaded: req.query.threaded !== "false",
+    });
+    res.json(comments);
+  } catch (error) {
+    console.error(`Error fetching comments for ${req.params.taskId}:`, error);
+    sendError(res, error, "Error fetching comments");
+  }
+});
+
+/**
+ * Add a comment or reply
+ * @route POST /api/tasks/:taskId/comments
+ * @body {string} body - Comment text
+ * @body {string} [parentId] - Comment being replied to
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    console.log(`POST /tasks/${taskId}/comments - Adding comment`);
+
+    const comment = await commentService.addComment(taskId, req.body, req.user);
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error(`Error adding comment to ${req.params.taskId}:`, error);
+    sendError(res, error, "Error adding comment");
+  }
+});
+
+/**
+ * Edit a comment (author only)
+ * @route PUT /api/tasks/:taskId/comments/:commentId
+ */
+router.put("/:commentId", async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+    console.log(`PUT /tasks/${taskId}/comments/${commentId} - Editing comment`);
+
+    const comment = await commentService.updateComment(
+      taskId,
+      commentId,
+      req.body,
+      req.user
+    );
+    res.json(comment);
+  } catch (error) {
+    console.error(`Error editing comment ${req.params.commentId}:`, error);
+    sendError(res, error, "Error editing comment");
+  }
+});
+
+/**
+ * Delete a comment (author only)
+ * @route DELETE /api/tasks/:taskId/comments/:commentId
+ */
+router.delete("/:commentId", async (req, res) => {
+  try {
+    const { taskId, commentId } = req.params;
+    console.log(`DELETE /tasks/${taskId}/comments/${commentId}`);
+
+    await commentService.deleteComment(taskId, commentId, req.user);
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting comment ${req.params.commentId}:`, error);
+    sendError(res, error, "Error deleting comment");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Project custom field schema routes for Firebase Functions.
+ * Mounted by the project routes, which authenticate the caller. Anyone who
+ * can read the project sees its fields; project owners and admins define them.
+ * @module routes/api/custom-fields
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const customFields = require("../../services/custom-field-service");
+const { handleError } = require("../../utils/error-handler");
+const { requireProject } = require("../../middleware/project-access");
+
+const canRead = requireProject("project:read");
+const canManage = requireProject("project:update");
+
+/**
+ * Send a service error using its status, falling back to 500
+ * @private
+ */
+function sendError(req, res, error, fallbackMessage) {
+  if ([400, 404, 409].includes(error.status)) {
+    return handleError(error.status, req, res, error.message);
+  }
+  handleError(500, req, res, fallbackMessage);
+}
+
+/**
+ * List a project's custom fields in display order
+ * @route GET /api/projects/:projectId/custom-fields
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const fields = await customFields.getFields(req.params.projectId);
+    res.json(fields);
+  } catch (error) {
+    console.error(`Error fetching custom fields of ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to get custom fields");
+  }
+});
+
+/**
+ * Define a custom field
+ * @route POST /api/projects/:projectId/custom-fields
+ * @body {string} key - Storage key on tasks (customFields.<key>); fixed once created
+ * @body {string} name - Display name
+ * @body {string} type - text, number, date, select, multiselect, user or url;
+ *   fixed once created
+ * @body {Array<string>} [options] - Choices of select and multiselect fields
+ * @body {boolean} [required=false] - Tasks must have a value
+ * @body {string} [description] - Help text
+ */
+router.post("/", canManage, async (req, res) => {
+  try {
+    const field = await customFields.createField(req.params.projectId, req.body || {});
+    res.status(201).json(field);
+  } catch (error) {
+    console.error(`Error creating custom field in ${req.params.projectId}:`, error);
+    sendError(req, res, error, "Failed to create custom field");
+  }
+});
+
+/**
+ * Update a custom field
+ * @route PUT /api/projects/:projectId/custom-fields/:key
+ * @body {string} [name] - Display name
+ * @body {Array<string>} [options] - Choices (select types)
+ * @body {boolean} [required] - Tasks must have a value
+ * @body {string} [description] - Help text
+ * @body {number} [position] - Display position
+ */
+router.put("/:key", canManage, async (req, res) => {
+  try {
+    const { projectId, key } = req.params;
+    const field = await customFields.updateField(projectId, key, req.body || {});
+
+    if (!field) {
+      return handleError(404, req, res, `Custom field ${key} not found`);
+    }
+
+    res.json(field);
+  } catch (error) {
+    console.error(`Error updating custom field ${req.params.key}:`, error);
+    sendError(req, res, error, "Failed to update custom field");
+  }
+});
+
+/**
+ * Delete a custom field; values already on tasks are kept but ignored
+ * @route DELETE /api/projects/:projectId/custom-fields/:key
+ */
+router.delete("/:key", canManage, async (req, res) => {
+  try {
+    const { projectId, key } = req.params;
+    const deleted = await customFields.deleteField(projectId, key);
+
+    if (!deleted) {
+      return handleError(404, req, res, `Custom field ${key} not found`);
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting custom field ${req.params.key}:`, error);
+    sendError(req, res, error, "Failed to delete custom field");
+  }
+});
+
+module.exports = router;
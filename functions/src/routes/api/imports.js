@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Project import routes for Firebase Functions. Mounted by the
+ * project routes, which authenticate the caller. Imports create tasks and
+ * labels, so only project owners and admins run them; anyone who can read
+ * the project can follow their progress.
+ * @module routes/api/imports
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const imports = require("../../services/import-service");
+const { contextFromRequest } = require("../../services/task-history-service");
+const { handleError } = require("../../utils/error-handler");
+const { requireProject } = require("../../middleware/project-access");
+
+const canRead = requireProject("project:read");
+const canManage = requireProject("project:update");
+
+/**
+ * Send a service error using its status, falling back to 500
+ * @private
+ */
+function sendError(req, res, error, fallbackMessage) {
+  if ([400, 404, 409].includes(error.status)) {
+    return handleError(error.status, req, res, error.message);
+  }
+  handleError(500, req, res, fallbackMessage);
+}
+
+/**
+ * Import tasks from another tool. By default this is a dry run that reports
+ * what would be created; send dryRun: false to queue the import as a
+ * background job.
+ * @route POST /api/projects/:projectId/import
+ * @body {string} source - trello (board JSON), jira (CSV or JSON export) or
+ *   csv (any CSV, with a mapping)
+ * @body {string|Object} data - Export content; JSON may be sent parsed
+ * @body {Object} [mapping] - For csv: column name per task field (title,
+ *   id, description, status, priority, labels, assignee, dueDate, comments)
+ * @body {Object} [statusMap] - Kanban column (todo, in-progress, review,
+ *   done) per source status or list; unmapped ones are guessed
+ * @body {boolean} [dryRun=true] - Only report what would be created
+ */
+router.post("/", canManage, async (req, res) => {
+  const { projectId } = req.params;
+  const { dryRun = true, ...request } = req.body || {};
+
+  try {
+    if (dryRun !== false) {
+      const report = await imports.previewImport(projectId, request);
+      return res.json({ dryRun: true, report });
+    }
+
+    const job = await imports.startImport(projectId, request, {
+      userId: req.user.uid,
+      context: contextFromRequest(req),
+    });
+    res.status(202).json(job);
+  } catch (error) {
+    console.error(`Error importing into project ${projectId}:`, error);
+    sendError(req, res, error, "Failed to import");
+  }
+});
+
+/**
+ * List a project's recent imports
+ * @route GET /api/projects/:projectId/import
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const jobs = await imports.getImports(req.params.projectId);
+    res.json(jobs);
+  } catch (error) {
+    console.error(`Error fetching imports of ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to get imports");
+  }
+});
+
+/**
+ * Get an import's status, progress and report
+ * @route GET /api/projects/:projectId/import/:importId
+ */
+router.get("/:importId", canRead, async (req, res) => {
+  try {
+    const { projectId, importId } = req.params;
+    const job = await imports.getImport(projectId, importId);
+
+    if (!job) {
+      return handleError(404, req, res, `Import ${importId} not found`);
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error(`Error fetching import ${req.params.importId}:`, error);
+    handleError(500, req, res, "Failed to get import");
+  }
+});
+
+module.exports = router;
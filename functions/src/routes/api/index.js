@@ -40,4 +40,28 @@ router.use("/tasks", tasksRouter);
 const projectsRouter = require("./projects");
 router.use("/projects", projectsRouter);
 
+// Mount organization routes
+const organizationsRouter = require("./organizations");
+router.use("/organizations", organizationsRouter);
+
+// Mount personal access token routes
+const tokensRouter = require("./tokens");
+router.use("/tokens", tokensRouter);
+
+// Mount timesheet report routes
+const timesheetRouter = require("./timesheet");
+router.use("/timesheet", timesheetRouter);
+
+// Mount notification preference routes
+const notificationsRouter = require("./notifications");
+router.use("/notifications", notificationsRouter);
+
+// Mount search routes
+const searchRouter = require("./search");
+router.use("/search", searchRouter);
+
+// Mount inbound integration routes
+const integrationsRouter = require("./integrations");
+router.use("/integrations", integrationsRouter);
+
 module.exports = router;
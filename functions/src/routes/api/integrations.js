@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Inbound integration routes for Firebase Functions. Requests
+ * are authenticated by their signature, not by a user token.
+ * @module routes/api/integrations
+ */
+
+const express = require("express");
+const router = express.Router();
+const githubIntegration = require("../../services/github-integration-service");
+const { handleError } = require("../../utils/error-handler");
+const { verifyGithubSignature, parseGithubEvent } = require("../../utils/github");
+
+/**
+ * Receive a GitHub webhook delivery. push and pull_request events link the
+ * referenced tasks (task-<id> in commit messages, branch names or pull request
+ * titles). With GITHUB_MOVE_TASKS=true, opened pull requests also move them to
+ * review and merged ones to done. The webhook secret is read from
+ * GITHUB_WEBHOOK_SECRET.
+ * @route POST /api/integrations/github/webhook
+ * @header {string} X-Hub-Signature-256 - HMAC-SHA256 of the body
+ * @header {string} X-GitHub-Event - Event name
+ * @returns {object} Linked and skipped tasks
+ */
+router.post("/github/webhook", async (req, res) => {
+  try {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error("GITHUB_WEBHOOK_SECRET is not configured");
+      return handleError(503, req, res, "GitHub integration is not configured");
+    }
+
+    // Cloud Functions keep the exact body GitHub signed in req.rawBody
+    if (
+      !req.rawBody ||
+      !verifyGithubSignature(secret, req.rawBody, req.get("X-Hub-Signature-256"))
+    ) {
+      return handleError(401, req, res, "Invalid webhook signature");
+    }
+
+    const event = req.get("X-GitHub-Event");
+    const delivery = req.get("X-GitHub-Delivery") || null;
+    if (event === "ping") {
+      return res.json({ ok: true, event, delivery });
+    }
+
+    const links = parseGithubEvent(event, req.body || {});
+    if (!links) {
+      return res.status(202).json({ ignored: true, event, delivery });
+    }
+
+    const result = await githubIntegration.applyLinks(
+      links,
+      githubIntegration.githubContext(req.body.sender),
+      { moveTasks: process.env.GITHUB_MOVE_TASKS === "true" }
+    );
+    console.log(
+      `GitHub ${event} ${delivery}: linked ${result.linked.length}, skipped ${result.skipped.length}`
+    );
+    res.json({ event, delivery, ...result });
+  } catch (error) {
+    console.error("Error handling GitHub webhook:", error);
+    handleError(500, req, res, "Failed to process GitHub webhook");
+  }
+});
+
+module.exports = router;
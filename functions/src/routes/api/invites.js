@@ -5,9 +5,57 @@
 
 const express = require("express");
 const router = express.Router();
-const { db } = require("../../../config/firebase-admin");
+const { admin, db } = require("../../../config/firebase-admin");
 const { handleError } = require("../../utils/error-handler");
 const { formatTimeUTC6 } = require("../../utils/time-formatter");
+const auth = require("../../middleware/auth");
+const { requireProject } = require("../../middleware/project-access");
+const projectMembers = require("../../services/project-member-service");
+const { ROLES, isRole, canAssignRole } = require("../../utils/roles");
+
+/**
+ * Invitations that grant a project role need an authenticated inviter who
+ * manages the project's members
+ * @private
+ */
+const requireProjectInviter = [
+  (req, res, next) =>
+    req.body && req.body.projectId ? auth.authenticate(req, res, next) : next(),
+  (req, res, next) =>
+    req.body && req.body.projectId
+      ? requireProject("members:manage", (r) => r.body.projectId)(req, res, next)
+      : next(),
+];
+
+/**
+ * Invitation fields the inviter may change after creating it. The invited
+ * email, project, role and status are never updatable.
+ * @const {Array<string>}
+ * @private
+ */
+const UPDATABLE_FIELDS = ["inviterName", "inviterEmail", "productId"];
+
+/**
+ * Whether the inviter may still grant the invited role on the invited
+ * project: their role may have been lowered or removed since they invited
+ * @private
+ * @param {Object} invite - Invitation data
+ * @returns {Promise<boolean>} Whether the role may be granted
+ */
+async function inviterMayGrant(invite) {
+  if (!invite.inviterUid) return false;
+
+  const { project, role } = await projectMembers.resolveAccess(
+    invite.projectId,
+    invite.inviterUid
+  );
+  if (!project) return false;
+  if (canAssignRole(role, invite.projectRole || ROLES.MEMBER)) return true;
+
+  // Platform admins may grant every role
+  const inviter = await admin.auth().getUser(invite.inviterUid);
+  return Boolean(inviter.customClaims && inviter.customClaims.admin);
+}
 
 /**
  * Check if an email has a valid invitation
@@ -148,20 +196,39 @@ router.post("/check", async (req, res) => {
 /**
  * Create a test invitation
  * @route POST /api/invites/create
+ * @body {string} [projectId] - Project the invitee joins on acceptance
+ * @body {string} [projectRole=member] - Role granted on that project
  * @returns {object} Created invitation details
  */
-router.post("/create", async (req, res) => {
+router.post("/create", requireProjectInviter, async (req, res) => {
   try {
     const {
       email,
       productId = "test-product",
       inviterName = "Test Inviter",
       inviterEmail = "inviter@test.com",
+      projectId = null,
+      projectRole = ROLES.MEMBER,
     } = req.body;
 
     if (!email) {
       console.log("No email provided in request");
-      return handleError(400, "Email is required", req, res);
+      return handleError(400, req, res, "Email is required");
+    }
+
+    if (projectId) {
+      if (!isRole(projectRole)) {
+        return handleError(400, req, res, `Unknown role "${projectRole}"`);
+      }
+      const inviterRole = req.user.admin ? ROLES.OWNER : req.projectRole;
+      if (!canAssignRole(inviterRole, projectRole)) {
+        return handleError(
+          403,
+          req,
+          res,
+          `Your role cannot grant the ${projectRole} role`
+        );
+      }
     }
 
     // Create the invitation document
@@ -177,6 +244,9 @@ router.post("/create", async (req, res) => {
       otpAttempts: 0,
       lastAttempt: null,
       otpLockoutUntil: null,
+      projectId,
+      projectRole: projectId ? projectRole : null,
+      inviterUid: req.user ? req.user.uid : null,
     };
 
     console.log("Creating invite with data:", inviteData);
@@ -363,14 +433,97 @@ router.post("/resend-otp", async (req, res) => {
 });
 
 /**
- * Update invitation data
+ * Accept a validated invitation as the invited user, joining the invited
+ * project with the invited role
+ * @route POST /api/invites/:id/accept
+ * @returns {object} Acceptance result with the project membership, if any
+ */
+router.post("/:id/accept", auth.authenticate, async (req, res) => {
+  try {
+    const inviteRef = db.collection("invites").doc(req.params.id);
+    const invite = await inviteRef.get();
+
+    if (!invite.exists) {
+      return handleError(404, req, res, "Invitation not found");
+    }
+
+    const data = invite.data();
+    if (!["validated", "email_verified"].includes(data.status)) {
+      return handleError(
+        409,
+        req,
+        res,
+        data.status === "accepted"
+          ? "Invitation has already been accepted"
+          : "Verify the invitation code before accepting"
+      );
+    }
+
+    const email = (req.user.email || "").toLowerCase();
+    if (email !== (data.invitedEmail || "").toLowerCase()) {
+      return handleError(403, req, res, "This invitation was sent to another email");
+    }
+
+    let membership = null;
+    if (data.projectId) {
+      if (!(await inviterMayGrant(data))) {
+        return handleError(
+          403,
+          req,
+          res,
+          "The inviter can no longer grant this role on the project"
+        );
+      }
+      membership = await projectMembers.grantFromInvite(
+        data.projectId,
+        {
+          uid: req.user.uid,
+          role: data.projectRole || ROLES.MEMBER,
+          email: req.user.email,
+          name: req.user.name,
+        },
+        { uid: data.inviterUid }
+      );
+    }
+
+    await inviteRef.update({
+      status: "accepted",
+      acceptedBy: req.user.uid,
+      acceptedAt: new Date(),
+    });
+
+    return res.json({
+      success: true,
+      message: "Invitation accepted",
+      projectId: data.projectId || null,
+      membership,
+    });
+  } catch (error) {
+    console.error("Error accepting invitation:", error);
+    return handleError(500, req, res, "Error accepting invitation");
+  }
+});
+
+/**
+ * Update invitation data. Only the inviter or a platform admin may update an
+ * invitation, and only the fields in UPDATABLE_FIELDS.
  * @route POST /api/invites/:id/update
  * @returns {object} Update result
  */
-router.post("/:id/update", async (req, res) => {
+router.post("/:id/update", auth.authenticate, async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const body = req.body || {};
+
+    const rejected = Object.keys(body).filter((key) => !UPDATABLE_FIELDS.includes(key));
+    if (rejected.length > 0) {
+      return handleError(
+        400,
+        req,
+        res,
+        `These invitation fields cannot be updated: ${rejected.join(", ")}`
+      );
+    }
 
     if (!id) {
       return handleError(400, "Invite ID is required", req, res);
@@ -384,9 +537,13 @@ router.post("/:id/update", async (req, res) => {
       return handleError(404, "Invitation not found", req, res);
     }
 
+    if (!req.user.admin && invite.get("inviterUid") !== req.user.uid) {
+      return handleError(403, req, res, "Only the inviter may update this invitation");
+    }
+
     // Update the invite document
     await inviteRef.update({
-      ...updateData,
+      ...body,
       updatedAt: new Date(),
     });
 
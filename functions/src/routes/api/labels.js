@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Project label catalog routes for Firebase Functions. Mounted
+ * by the project routes, which authenticate the caller. Anyone who can read
+ * the project sees its labels; project owners and admins manage them.
+ * @module routes/api/labels
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const labels = require("../../services/label-service");
+const { contextFromRequest } = require("../../services/task-history-service");
+const { handleError } = require("../../utils/error-handler");
+const { requireProject } = require("../../middleware/project-access");
+
+const canRead = requireProject("project:read");
+const canManage = requireProject("project:update");
+
+/**
+ * Send a service error using its status, falling back to 500
+ * @private
+ */
+function sendError(req, res, error, fallbackMessage) {
+  if ([400, 404, 409].includes(error.status)) {
+    return handleError(error.status, req, res, error.message);
+  }
+  handleError(500, req, res, fallbackMessage);
+}
+
+/**
+ * List a project's labels ordered by group, then name
+ * @route GET /api/projects/:projectId/labels
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const list = await labels.getLabels(req.params.projectId);
+    res.json(list);
+  } catch (error) {
+    console.error(`Error fetching labels of ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to get labels");
+  }
+});
+
+/**
+ * Define a label
+ * @route POST /api/projects/:projectId/labels
+ * @body {string} name - Unique within the project, ignoring case
+ * @body {string} [color="#6b7280"] - Hex color
+ * @body {string} [description] - What the label means
+ * @body {string} [group] - Group shown together, e.g. "Type" or "Area"
+ */
+router.post("/", canManage, async (req, res) => {
+  try {
+    const label = await labels.createLabel(req.params.projectId, req.body || {});
+    res.status(201).json(label);
+  } catch (error) {
+    console.error(`Error creating label in ${req.params.projectId}:`, error);
+    sendError(req, res, error, "Failed to create label");
+  }
+});
+
+/**
+ * Merge labels into another; tasks carrying a merged label carry the target
+ * @route POST /api/projects/:projectId/labels/merge
+ * @body {Array<string>} sourceIds - Labels to merge away
+ * @body {string} targetId - Label to keep
+ */
+router.post("/merge", canManage, async (req, res) => {
+  try {
+    const { sourceIds, targetId } = req.body || {};
+    const result = await labels.mergeLabels(
+      req.params.projectId,
+      sourceIds,
+      targetId,
+      contextFromRequest(req)
+    );
+    res.json(result);
+  } catch (error) {
+    console.error(`Error merging labels in ${req.params.projectId}:`, error);
+    sendError(req, res, error, "Failed to merge labels");
+  }
+});
+
+/**
+ * Update a label; a rename is applied to every task carrying it
+ * @route PUT /api/projects/:projectId/labels/:labelId
+ * @body {string} [name] - New name
+ * @body {string} [color] - Hex color
+ * @body {string} [description] - What the label means
+ * @body {string} [group] - Group name, or null
+ */
+router.put("/:labelId", canManage, async (req, res) => {
+  try {
+    const { projectId, labelId } = req.params;
+    const result = await labels.updateLabel(
+      projectId,
+      labelId,
+      req.body || {},
+      contextFromRequest(req)
+    );
+
+    if (!result) {
+      return handleError(404, req, res, `Label ${labelId} not found`);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error(`Error updating label ${req.params.labelId}:`, error);
+    sendError(req, res, error, "Failed to update label");
+  }
+});
+
+/**
+ * Delete a label and remove it from every task carrying it
+ * @route DELETE /api/projects/:projectId/labels/:labelId
+ */
+router.delete("/:labelId", canManage, async (req, res) => {
+  try {
+    const { projectId, labelId } = req.params;
+    const result = await labels.deleteLabel(projectId, labelId, contextFromRequest(req));
+
+    if (!result) {
+      return handleError(404, req, res, `Label ${labelId} not found`);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error(`Error deleting label ${req.params.labelId}:`, error);
+    sendError(req, res, error, "Failed to delete label");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Project member API routes for Firebase Functions. Mounted by
+ * the project routes, which authenticate the caller.
+ * @module routes/api/members
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const projectMembers = require("../../services/project-member-service");
+const { handleError } = require("../../utils/error-handler");
+const { requireProject } = require("../../middleware/project-access");
+
+/**
+ * Send a service error using its status, falling back to 500
+ * @private
+ */
+function sendError(req, res, error, fallbackMessage) {
+  if ([400, 403, 404, 409].includes(error.status)) {
+    return handleError(error.status, req, res, error.message);
+  }
+  handleError(500, req, res, fallbackMessage);
+}
+
+/**
+ * List the members of a project, including members inherited from ancestors
+ * @route GET /api/projects/:projectId/members
+ */
+router.get("/", requireProject("project:read"), async (req, res) => {
+  try {
+    const members = await projectMembers.getMembers(req.params.projectId);
+    res.json(members);
+  } catch (error) {
+    console.error(`Error fetching members of ${req.params.projectId}:`, error);
+    sendError(req, res, error, "Failed to get project members");
+  }
+});
+
+/**
+ * Add a member to a project
+ * @route POST /api/projects/:projectId/members
+ * @body {string} uid - User ID
+ * @body {string} role - owner, admin, member, viewer or ai-agent
+ * @body {string} [email] - Member email
+ * @body {string} [name] - Member display name
+ */
+router.post("/", requireProject("members:manage"), async (req, res) => {
+  try {
+    const member = await projectMembers.addMember(
+      req.params.projectId,
+      req.body || {},
+      req.user,
+      req.projectRole
+    );
+    res.status(201).json(member);
+  } catch (error) {
+    console.error(`Error adding member to ${req.params.projectId}:`, error);
+    sendError(req, res, error, "Failed to add project member");
+  }
+});
+
+/**
+ * Change a member's role
+ * @route PUT /api/projects/:projectId/members/:uid
+ * @body {string} role - New role
+ */
+router.put("/:uid", requireProject("members:manage"), async (req, res) => {
+  try {
+    const { projectId, uid } = req.params;
+    const member = await projectMembers.updateMemberRole(
+      projectId,
+      uid,
+      req.body && req.body.role,
+      req.user,
+      req.projectRole
+    );
+    res.json(member);
+  } catch (error) {
+    console.error(`Error updating member ${req.params.uid}:`, error);
+    sendError(req, res, error, "Failed to update project member");
+  }
+});
+
+/**
+ * Remove a member from a project. Members may remove themselves.
+ * @route DELETE /api/projects/:projectId/members/:uid
+ */
+router.delete(
+  "/:uid",
+  (req, res, next) =>
+    requireProject(
+      req.params.uid === req.user.uid ? "project:read" : "members:manage"
+    )(req, res, next),
+  async (req, res) => {
+    try {
+      const { projectId, uid } = req.params;
+      const removed = await projectMembers.removeMember(
+        projectId,
+        uid,
+        req.user,
+        req.projectRole
+      );
+
+      if (!removed) {
+        return handleError(
+          404,
+          req,
+          res,
+          `${uid} is not a direct member of project ${projectId}`
+        );
+      }
+
+      res.status(204).send();
+    } catch (error) {
+      console.error(`Error removing member ${req.params.uid}:`, error);
+      sendError(req, res, error, "Failed to remove project member");
+    }
+  }
+);
+
+module.exports = router;
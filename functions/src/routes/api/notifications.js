@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Notification preference routes for Firebase Functions. Each
+ * user manages their own preferences.
+ * @module routes/api/notifications
+ */
+
+const express = require("express");
+const router = express.Router();
+const notifications = require("../../services/notification-service");
+const { handleError } = require("../../utils/error-handler");
+const auth = require("../../middleware/auth");
+
+router.use(auth.authenticate, auth.rejectApiTokens);
+
+/**
+ * Get the caller's notification preferences
+ * @route GET /api/notifications/preferences
+ */
+router.get("/preferences", async (req, res) => {
+  try {
+    const preferences = await notifications.getPreferences(req.user.uid);
+    res.json(preferences);
+  } catch (error) {
+    console.error("Error fetching notification preferences:", error);
+    handleError(500, req, res, "Failed to get notification preferences");
+  }
+});
+
+/**
+ * Update the caller's notification preferences
+ * @route PUT /api/notifications/preferences
+ * @body {boolean} [email] - Send reminders by email
+ * @body {boolean} [sms] - Send reminders by SMS
+ * @body {number} [dueSoonHours] - Hours before the due date to remind; 0 turns
+ *   due-soon reminders off
+ * @body {boolean} [overdue] - Send a reminder when a task becomes overdue
+ * @body {string} [phone] - Number for SMS reminders, instead of the account's
+ */
+router.put("/preferences", async (req, res) => {
+  try {
+    const preferences = await notifications.updatePreferences(
+      req.user.uid,
+      req.body || {}
+    );
+    res.json(preferences);
+  } catch (error) {
+    if (error.status === 400) {
+      return handleError(400, req, res, error.message);
+    }
+    console.error("Error updating notification preferences:", error);
+    handleError(500, req, res, "Failed to update notification preferences");
+  }
+});
+
+module.exports = router;
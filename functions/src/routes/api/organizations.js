@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Organization API routes for Firebase Functions
+ * @module routes/api/organizations
+ */
+
+const express = require("express");
+const router = express.Router();
+const organizationService = require("../../services/organization-service");
+const projectService = require("../../services/project-service");
+const projectMembers = require("../../services/project-member-service");
+const { handleError } = require("../../utils/error-handler");
+const auth = require("../../middleware/auth");
+const { formatEtag } = require("../../utils/etag");
+const { requireOrganizationAdmin } = require("../../middleware/project-access");
+
+/**
+ * Creating an organization needs the projects:admin scope from API tokens;
+ * changing one also needs its admin list to name the caller
+ * @private
+ */
+const canCreate = [auth.authenticate, auth.requireScope("projects:admin")];
+const canManage = [auth.authenticate, requireOrganizationAdmin()];
+
+/**
+ * Get the organizations the caller administers or has projects in
+ * @route GET /api/organizations
+ */
+router.get("/", auth.authenticate, async (req, res) => {
+  try {
+    const organizations = await organizationService.getOrganizations();
+    res.json(await organizationService.filterAccessible(organizations, req.user));
+  } catch (error) {
+    console.error("Error fetching organizations:", error);
+    handleError(500, req, res, "Failed to get organizations");
+  }
+});
+
+/**
+ * Get a specific organization by ID. Only its admins and the members of its
+ * projects may.
+ * @route GET /api/organizations/:orgId
+ */
+router.get("/:orgId", auth.authenticate, async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const organization = await organizationService.getOrganization(orgId);
+
+    if (!organization) {
+      return handleError(
+        404,
+        req,
+        res,
+        `Organization with ID ${orgId} not found`
+      );
+    }
+
+    const [visible] = await organizationService.filterAccessible([organization], req.user);
+    if (!visible) {
+      return handleError(403, req, res, "You are not a member of this organization");
+    }
+
+    res.set("ETag", formatEtag(organization.version));
+    res.json(organization);
+  } catch (error) {
+    console.error(`Error fetching organization ${req.params.orgId}:`, error);
+    handleError(500, req, res, "Failed to get organization");
+  }
+});
+
+/**
+ * Get the projects of an organization
+ * @route GET /api/organizations/:orgId/projects
+ * @query {boolean} [topLevel=false] - Only projects without a parent
+ */
+router.get("/:orgId/projects", auth.authenticate, async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const projects = await projectService.getProjects({
+      organizationId: orgId,
+      parentProjectId: req.query.topLevel === "true" ? null : undefined,
+    });
+    res.json(await projectMembers.filterAccessible(projects, req.user));
+  } catch (error) {
+    console.error(`Error fetching projects of ${req.params.orgId}:`, error);
+    handleError(500, req, res, "Failed to get organization projects");
+  }
+});
+
+/**
+ * Create a new organization. The creator becomes its first admin.
+ * @route POST /api/organizations
+ */
+router.post("/", canCreate, async (req, res) => {
+  try {
+    const organizationData = req.body;
+
+    // Add user ID if authenticated
+    if (req.user && req.user.uid) {
+      organizationData.createdBy = req.user.uid;
+    }
+
+    if (!organizationData.name) {
+      return handleError(400, req, res, "Organization name is required");
+    }
+
+    const organization =
+      await organizationService.createOrganization(organizationData);
+    res.status(201).json(organization);
+  } catch (error) {
+    if (error.status === 400) {
+      return handleError(400, req, res, error.message);
+    }
+    console.error("Error creating organization:", error);
+    handleError(500, req, res, "Failed to create organization");
+  }
+});
+
+/**
+ * Update an organization. Only its admins may; adminIds replaces the admin list.
+ * @route PUT /api/organizations/:orgId
+ */
+router.put("/:orgId", canManage, async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const updates = req.body;
+
+    // Add user ID if authenticated
+    if (req.user && req.user.uid) {
+      updates.updatedBy = req.user.uid;
+    }
+
+    const organization = await organizationService.updateOrganization(
+      orgId,
+      updates
+    );
+
+    if (!organization) {
+      return handleError(
+        404,
+        req,
+        res,
+        `Organization with ID ${orgId} not found`
+      );
+    }
+
+    res.set("ETag", formatEtag(organization.version));
+    res.json(organization);
+  } catch (error) {
+    if (error.status === 400) {
+      return handleError(400, req, res, error.message);
+    }
+    console.error(`Error updating organization ${req.params.orgId}:`, error);
+    handleError(500, req, res, "Failed to update organization");
+  }
+});
+
+/**
+ * Delete an organization that no longer owns any projects. Only its admins may.
+ * @route DELETE /api/organizations/:orgId
+ */
+router.delete("/:orgId", canManage, async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const result = await organizationService.deleteOrganization(orgId);
+
+    if (!result) {
+      return handleError(
+        404,
+        req,
+        res,
+        `Organization with ID ${orgId} not found`
+      );
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    if (error.status === 409) {
+      return handleError(409, req, res, error.message);
+    }
+    console.error(`Error deleting organization ${req.params.orgId}:`, error);
+    handleError(500, req, res, "Failed to delete organization");
+  }
+});
+
+module.exports = router;
@@ -6,122 +6,638 @@
 const express = require("express");
 const router = express.Router();
 const projectService = require("../../services/project-service");
+const projectLifecycle = require("../../services/project-lifecycle-service");
+const projectMembers = require("../../services/project-member-service");
+const exportService = require("../../services/export-service");
+const flowMetrics = require("../../services/flow-metrics-service");
+const burndown = require("../../services/burndown-service");
+const { contextFromRequest } = require("../../services/task-history-service");
 const { handleError } = require("../../utils/error-handler");
 const auth = require("../../middleware/auth");
+const { formatEtag, parseIfMatch } = require("../../utils/etag");
+const { EXPORT_FORMATS, exportFilename } = require("../../utils/export");
+const { toDate } = require("../../utils/sprints");
+const {
+  resolveRange,
+  validateRange,
+  parseLabelFilter,
+} = require("../../utils/flow-metrics");
+const {
+  requireProject,
+  requireOrganizationAdmin,
+} = require("../../middleware/project-access");
+const membersRouter = require("./members");
+const apiKeysRouter = require("./api-keys");
+const webhooksRouter = require("./webhooks");
+const sprintsRouter = require("./sprints");
+const seriesRouter = require("./series");
+const labelsRouter = require("./labels");
+const customFieldsRouter = require("./custom-fields");
+const viewsRouter = require("./views");
+const importsRouter = require("./imports");
+const workflowRouter = require("./workflow");
+
+/**
+ * Require a permission on the parent project named in the body. Top-level
+ * projects in an organization need its admins instead, and the projects:admin
+ * scope from API tokens.
+ * @param {string} permission - Permission, e.g. "project:update"
+ * @param {Function} [currentOrganizationId] - async (req) => organization the
+ *   project already belongs to, which top-level moves without an
+ *   organizationId stay in
+ * @returns {Function} Express middleware
+ */
+function requireParent(permission, currentOrganizationId) {
+  const check = requireProject(permission, (req) => req.body.parentProjectId);
+  const orgAdmin = requireOrganizationAdmin((req) => req.body.organizationId);
+  const currentOrgAdmin = requireOrganizationAdmin((req) => req.currentOrganizationId);
+  const topLevel = auth.requireScope("projects:admin");
+  return async (req, res, next) => {
+    try {
+      if (req.body && req.body.parentProjectId) return check(req, res, next);
+      if (req.body && req.body.organizationId) return orgAdmin(req, res, next);
+
+      req.currentOrganizationId = currentOrganizationId
+        ? await currentOrganizationId(req)
+        : null;
+      if (req.currentOrganizationId) return currentOrgAdmin(req, res, next);
+      return topLevel(req, res, next);
+    } catch (error) {
+      console.error("Parent project check failed:", error);
+      handleError(500, req, res, "Failed to check project access");
+    }
+  };
+}
+
+/**
+ * Organization of the project named by the route
+ * @private
+ */
+async function projectOrganizationId(req) {
+  const project = await projectService.getProject(req.params.projectId);
+  return (project && project.organizationId) || null;
+}
+
+// Mount member routes
+router.use("/:projectId/members", auth.authenticate, membersRouter);
+
+// Mount project API key routes
+router.use("/:projectId/api-keys", auth.authenticate, apiKeysRouter);
+
+// Mount webhook routes
+router.use("/:projectId/webhooks", auth.authenticate, webhooksRouter);
+
+// Mount sprint routes
+router.use("/:projectId/sprints", auth.authenticate, sprintsRouter);
+
+// Mount recurring task series routes
+router.use("/:projectId/series", auth.authenticate, seriesRouter);
+
+// Mount label catalog routes
+router.use("/:projectId/labels", auth.authenticate, labelsRouter);
+
+// Mount custom field schema routes
+router.use("/:projectId/custom-fields", auth.authenticate, customFieldsRouter);
+
+// Mount saved view routes
+router.use("/:projectId/views", auth.authenticate, viewsRouter);
+
+// Mount import routes
+router.use("/:projectId/import", auth.authenticate, importsRouter);
+
+// Mount workflow routes
+router.use("/:projectId/workflow", auth.authenticate, workflowRouter);
 
 /**
  * Get all projects
  * @route GET /api/projects
+ * @query {string} [organizationId] - Only projects of this organization
+ * @query {string} [parentProjectId] - Only direct sub-projects of this project;
+ *   "root" lists top-level projects
+ * @query {boolean} [includeArchived=false] - Include archived projects
+ * @query {boolean} [includeDeleted=false] - Include projects in the trash
  */
-router.get("/", auth.optional, async (req, res) => {
+router.get("/", auth.authenticate, async (req, res) => {
   try {
-    const projects = await projectService.getProjects();
-    res.json(projects);
+    const { organizationId, parentProjectId } = req.query;
+    const projects = await projectService.getProjects({
+      organizationId,
+      parentProjectId:
+        parentProjectId === "root" ? null : parentProjectId || undefined,
+      includeArchived: req.query.includeArchived === "true",
+      includeDeleted: req.query.includeDeleted === "true",
+    });
+    res.json(await projectMembers.filterAccessible(projects, req.user));
   } catch (error) {
     console.error("Error fetching projects:", error);
     handleError(500, req, res, "Failed to get projects");
   }
 });
 
+/**
+ * Get the projects in the trash with the date each one will be purged
+ * @route GET /api/projects/trash
+ * @query {string} [organizationId] - Only projects of this organization
+ */
+router.get("/trash", auth.authenticate, async (req, res) => {
+  try {
+    const projects = await projectLifecycle.getTrash({
+      organizationId: req.query.organizationId,
+    });
+    res.json(await projectMembers.filterAccessible(projects, req.user));
+  } catch (error) {
+    console.error("Error fetching project trash:", error);
+    handleError(500, req, res, "Failed to get project trash");
+  }
+});
+
 /**
  * Get a specific project by ID
  * @route GET /api/projects/:projectId
  */
-router.get("/:projectId", auth.optional, async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const project = await projectService.getProject(projectId);
+router.get(
+  "/:projectId",
+  auth.authenticate,
+  requireProject("project:read"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+      const project = await projectService.getProject(projectId);
 
-    if (!project) {
-      return handleError(
-        404,
-        req,
-        res,
-        `Project with ID ${projectId} not found`
+      if (!project) {
+        return handleError(
+          404,
+          req,
+          res,
+          `Project with ID ${projectId} not found`
+        );
+      }
+
+      res.set("ETag", formatEtag(project.version));
+      res.json(project);
+    } catch (error) {
+      console.error(`Error fetching project ${req.params.projectId}:`, error);
+      handleError(500, req, res, "Failed to get project");
+    }
+  }
+);
+
+/**
+ * Create a new project. The creator becomes its owner; creating a sub-project
+ * requires project:update on the parent.
+ * @route POST /api/projects
+ */
+router.post(
+  "/",
+  auth.authenticate,
+  requireParent("project:update"),
+  async (req, res) => {
+    try {
+      const projectData = req.body;
+
+      // Add user ID if authenticated
+      if (req.user && req.user.uid) {
+        projectData.createdBy = req.user.uid;
+      }
+
+      // Basic validation
+      if (!projectData.name) {
+        return handleError(400, req, res, "Project name is required");
+      }
+
+      const createdProject = await projectService.createProject(projectData, {
+        owner: req.user,
+        context: contextFromRequest(req),
+      });
+      res.status(201).json(createdProject);
+    } catch (error) {
+      if (error.status === 400 || error.status === 409) {
+        return handleError(error.status, req, res, error.message);
+      }
+      console.error("Error creating project:", error);
+      handleError(500, req, res, "Failed to create project");
+    }
+  }
+);
+
+/**
+ * Update a project
+ * @route PUT /api/projects/:projectId
+ * @header {string} [If-Match] - ETag of the version being edited; 412 with the
+ *   current project when it has changed since
+ */
+router.put(
+  "/:projectId",
+  auth.authenticate,
+  requireProject("project:update"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+      const updates = req.body;
+
+      // Add user ID if authenticated
+      if (req.user && req.user.uid) {
+        updates.updatedBy = req.user.uid;
+      }
+
+      const updatedProject = await projectService.updateProject(
+        projectId,
+        updates,
+        {
+          expectedVersions: parseIfMatch(req.get("If-Match")),
+          context: contextFromRequest(req),
+        }
       );
+      res.set("ETag", formatEtag(updatedProject.version));
+      res.json(updatedProject);
+    } catch (error) {
+      if ([400, 404, 409].includes(error.status)) {
+        return handleError(error.status, req, res, error.message);
+      }
+      if (error.status === 412) {
+        res.set("ETag", formatEtag(error.current.version));
+        return res.status(412).json({
+          error: "Precondition failed",
+          message: error.message,
+          current: error.current,
+        });
+      }
+      console.error(`Error updating project ${req.params.projectId}:`, error);
+      handleError(500, req, res, "Failed to update project");
     }
+  }
+);
 
-    res.json(project);
-  } catch (error) {
-    console.error(`Error fetching project ${req.params.projectId}:`, error);
-    handleError(500, req, res, "Failed to get project");
+/**
+ * Move a project with its sub-projects and tasks to the trash, where it can
+ * be restored for 30 days. Projects already in the trash can be purged
+ * immediately with permanent=true.
+ * @route DELETE /api/projects/:projectId
+ * @query {boolean} [permanent=false] - Purge a trashed project now
+ */
+router.delete(
+  "/:projectId",
+  auth.authenticate,
+  requireProject("project:delete"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+
+      if (req.query.permanent === "true") {
+        await projectLifecycle.purgeProject(projectId, {
+          context: contextFromRequest(req),
+        });
+        return res.status(204).send();
+      }
+
+      const result = await projectLifecycle.trashProject(projectId, {
+        userId: req.user && req.user.uid,
+        context: contextFromRequest(req),
+      });
+      res.json(result);
+    } catch (error) {
+      if (error.status === 404 || error.status === 409) {
+        return handleError(error.status, req, res, error.message);
+      }
+      console.error(`Error deleting project ${req.params.projectId}:`, error);
+      handleError(500, req, res, "Failed to delete project");
+    }
   }
-});
+);
 
 /**
- * Create a new project
- * @route POST /api/projects
+ * Lifecycle transitions that cascade to sub-projects and tasks, with the
+ * permission each one requires
+ * @const {Object}
  */
-router.post("/", auth.optional, async (req, res) => {
-  try {
-    const projectData = req.body;
+const LIFECYCLE_ACTIONS = {
+  archive: { run: projectLifecycle.archiveProject, permission: "project:update" },
+  unarchive: { run: projectLifecycle.unarchiveProject, permission: "project:update" },
+  restore: { run: projectLifecycle.restoreProject, permission: "project:delete" },
+};
 
-    // Add user ID if authenticated
-    if (req.user && req.user.uid) {
-      projectData.createdBy = req.user.uid;
+/**
+ * Archive (read-only), unarchive or restore a project from the trash
+ * @route POST /api/projects/:projectId/archive
+ * @route POST /api/projects/:projectId/unarchive
+ * @route POST /api/projects/:projectId/restore
+ */
+router.post(
+  "/:projectId/:action(archive|unarchive|restore)",
+  auth.authenticate,
+  (req, res, next) =>
+    requireProject(LIFECYCLE_ACTIONS[req.params.action].permission)(req, res, next),
+  async (req, res) => {
+    try {
+      const { projectId, action } = req.params;
+      const result = await LIFECYCLE_ACTIONS[action].run(projectId, {
+        userId: req.user && req.user.uid,
+        context: contextFromRequest(req),
+      });
+      res.set("ETag", formatEtag(result.project.version));
+      res.json(result);
+    } catch (error) {
+      if (error.status === 404 || error.status === 409) {
+        return handleError(error.status, req, res, error.message);
+      }
+      console.error(
+        `Error applying ${req.params.action} to project ${req.params.projectId}:`,
+        error
+      );
+      handleError(500, req, res, `Failed to ${req.params.action} project`);
     }
+  }
+);
 
-    // Basic validation
-    if (!projectData.name) {
-      return handleError(400, req, res, "Project name is required");
+/**
+ * Get the sub-projects of a project
+ * @route GET /api/projects/:projectId/children
+ * @query {boolean} [recursive=false] - Include the whole subtree
+ * @query {boolean} [includeArchived=false] - Include archived sub-projects
+ * @query {boolean} [includeDeleted=false] - Include sub-projects in the trash
+ */
+router.get(
+  "/:projectId/children",
+  auth.authenticate,
+  requireProject("project:read"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+      const children = await projectService.getChildren(projectId, {
+        recursive: req.query.recursive === "true",
+        includeArchived: req.query.includeArchived === "true",
+        includeDeleted: req.query.includeDeleted === "true",
+      });
+      res.json(children);
+    } catch (error) {
+      console.error(`Error fetching children of ${req.params.projectId}:`, error);
+      handleError(500, req, res, "Failed to get sub-projects");
     }
+  }
+);
 
-    const createdProject = await projectService.createProject(projectData);
-    res.status(201).json(createdProject);
-  } catch (error) {
-    console.error("Error creating project:", error);
-    handleError(500, req, res, "Failed to create project");
+/**
+ * Get the ancestors of a project, top-level project first
+ * @route GET /api/projects/:projectId/ancestors
+ */
+router.get(
+  "/:projectId/ancestors",
+  auth.authenticate,
+  requireProject("project:read"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+      const ancestors = await projectService.getAncestors(projectId);
+
+      if (!ancestors) {
+        return handleError(
+          404,
+          req,
+          res,
+          `Project with ID ${projectId} not found`
+        );
+      }
+
+      res.json(ancestors);
+    } catch (error) {
+      console.error(`Error fetching ancestors of ${req.params.projectId}:`, error);
+      handleError(500, req, res, "Failed to get project ancestors");
+    }
   }
-});
+);
 
 /**
- * Update a project
- * @route PUT /api/projects/:projectId
+ * Move a project and its subtree under another parent
+ * @route POST /api/projects/:projectId/move
+ * @body {string|null} parentProjectId - New parent, or null for top level
+ * @body {string} [organizationId] - Target organization for top-level moves
  */
-router.put("/:projectId", auth.optional, async (req, res) => {
-  try {
+router.post(
+  "/:projectId/move",
+  auth.authenticate,
+  requireProject("project:update"),
+  requireParent("project:update", projectOrganizationId),
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+      const { parentProjectId, organizationId } = req.body;
+
+      if (parentProjectId === undefined) {
+        return handleError(400, req, res, "parentProjectId is required (null for top level)");
+      }
+
+      const project = await projectService.moveProject(projectId, parentProjectId, {
+        organizationId,
+        userId: req.user && req.user.uid,
+        context: contextFromRequest(req),
+      });
+      res.set("ETag", formatEtag(project.version));
+      res.json(project);
+    } catch (error) {
+      if ([400, 404, 409].includes(error.status)) {
+        return handleError(error.status, req, res, error.message);
+      }
+      console.error(`Error moving project ${req.params.projectId}:`, error);
+      handleError(500, req, res, "Failed to move project");
+    }
+  }
+);
+
+/**
+ * Get task counts by status rolled up over a project's subtree
+ * @route GET /api/projects/:projectId/rollup
+ */
+router.get(
+  "/:projectId/rollup",
+  auth.authenticate,
+  requireProject("project:read"),
+  async (req, res) => {
+    try {
+      const { projectId } = req.params;
+      const rollup = await projectService.getRollup(projectId);
+
+      if (!rollup) {
+        return handleError(
+          404,
+          req,
+          res,
+          `Project with ID ${projectId} not found`
+        );
+      }
+
+      res.json(rollup);
+    } catch (error) {
+      console.error(`Error rolling up project ${req.params.projectId}:`, error);
+      handleError(500, req, res, "Failed to get project rollup");
+    }
+  }
+);
+
+/**
+ * Get flow metrics for a project's tasks: lead time, cycle time per column,
+ * weekly throughput, work in progress and cumulative flow per day. Days are
+ * UTC; durations are in days.
+ * @route GET /api/projects/:projectId/metrics
+ * @query {string} [from] - First day (ISO date); defaults to 90 days before to
+ * @query {string} [to] - Day after the last one (ISO date, exclusive);
+ *   defaults to tomorrow. A range covers at most 366 days.
+ * @query {string} [labels] - Comma-separated; only tasks with any of them
+ */
+router.get(
+  "/:projectId/metrics",
+  auth.authenticate,
+  requireProject("task:read"),
+  async (req, res) => {
     const { projectId } = req.params;
-    const updates = req.body;
+    const from = req.query.from ? toDate(req.query.from) : null;
+    const to = req.query.to ? toDate(req.query.to) : null;
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return handleError(400, req, res, "from and to must be valid dates");
+    }
 
-    // Add user ID if authenticated
-    if (req.user && req.user.uid) {
-      updates.updatedBy = req.user.uid;
+    const range = resolveRange(from, to);
+    let labels;
+    try {
+      labels = parseLabelFilter(req.query.labels);
+    } catch (error) {
+      return handleError(400, req, res, error.message);
+    }
+    const invalid = validateRange(range);
+    if (invalid) {
+      return handleError(400, req, res, invalid);
     }
 
-    const updatedProject = await projectService.updateProject(
-      projectId,
-      updates
-    );
-    res.json(updatedProject);
-  } catch (error) {
-    console.error(`Error updating project ${req.params.projectId}:`, error);
-    handleError(500, req, res, "Failed to update project");
+    try {
+      res.json(await flowMetrics.getFlowMetrics(projectId, { range, labels }));
+    } catch (error) {
+      console.error(`Error computing metrics of project ${projectId}:`, error);
+      handleError(500, req, res, "Failed to get project metrics");
+    }
   }
-});
+);
 
 /**
- * Delete a project
- * @route DELETE /api/projects/:projectId
+ * Get burndown and burnup series for a sprint or a milestone, replayed from
+ * task history: remaining, scope and completed tasks and points per UTC day,
+ * an ideal burndown line and markers where the scope changed
+ * @route GET /api/projects/:projectId/burndown
+ * @query {string} [sprintId] - Sprint; covers its start to end date
+ * @query {string} [label] - Milestone label, when no sprint is given
+ * @query {string} [from] - Milestone start (ISO date); defaults to 90 days before to
+ * @query {string} [to] - Day after the milestone (ISO date, exclusive);
+ *   defaults to tomorrow
+ * @query {string} [pointsField=points] - Number custom field holding points;
+ *   only task counts are reported when the project has no such field
  */
-router.delete("/:projectId", auth.optional, async (req, res) => {
-  try {
+router.get(
+  "/:projectId/burndown",
+  auth.authenticate,
+  requireProject("task:read"),
+  async (req, res) => {
     const { projectId } = req.params;
-    const result = await projectService.deleteProject(projectId);
+    const { sprintId, label, pointsField } = req.query;
+    if (!sprintId === !label) {
+      return handleError(400, req, res, "Either sprintId or label is required");
+    }
 
-    if (!result) {
+    let range;
+    if (label) {
+      const from = req.query.from ? toDate(req.query.from) : null;
+      const to = req.query.to ? toDate(req.query.to) : null;
+      if ((req.query.from && !from) || (req.query.to && !to)) {
+        return handleError(400, req, res, "from and to must be valid dates");
+      }
+      range = resolveRange(from, to);
+      const invalid = validateRange(range);
+      if (invalid) {
+        return handleError(400, req, res, invalid);
+      }
+    }
+
+    try {
+      const series = await burndown.getBurndown(projectId, {
+        sprintId,
+        label,
+        range,
+        pointsField,
+      });
+      if (!series) {
+        return handleError(404, req, res, `Sprint ${sprintId} not found`);
+      }
+      res.json(series);
+    } catch (error) {
+      if (error.status === 400) {
+        return handleError(400, req, res, error.message);
+      }
+      console.error(`Error computing burndown of project ${projectId}:`, error);
+      handleError(500, req, res, "Failed to get burndown");
+    }
+  }
+);
+
+/**
+ * Export a project with its sub-projects. The response is streamed as it is
+ * read, so a failure part way through ends the download early instead of
+ * returning an error status.
+ * @route GET /api/projects/:projectId/export
+ * @query {string} [format=json] - json (versioned archive with labels, custom
+ *   fields, comments and history), csv (one row per task) or md (report
+ *   grouped by status)
+ * @query {boolean} [includeDeleted=false] - Include items in the trash
+ */
+router.get(
+  "/:projectId/export",
+  auth.authenticate,
+  requireProject("task:read"),
+  async (req, res) => {
+    const { projectId } = req.params;
+    const format = req.query.format || "json";
+
+    if (!EXPORT_FORMATS[format]) {
       return handleError(
-        404,
+        400,
         req,
         res,
-        `Project with ID ${projectId} not found`
+        `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`
       );
     }
 
-    res.status(204).send();
-  } catch (error) {
-    console.error(`Error deleting project ${req.params.projectId}:`, error);
-    handleError(500, req, res, "Failed to delete project");
+    let plan;
+    try {
+      plan = await exportService.prepareExport(projectId, {
+        includeDeleted: req.query.includeDeleted === "true",
+      });
+    } catch (error) {
+      console.error(`Error preparing export of project ${projectId}:`, error);
+      return handleError(500, req, res, "Failed to export project");
+    }
+
+    if (!plan) {
+      return handleError(404, req, res, `Project with ID ${projectId} not found`);
+    }
+
+    const filename = exportFilename(plan.projects[0], format, plan.exportedAt);
+    res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    try {
+      for await (const chunk of exportService.streamExport(plan, format)) {
+        if (res.destroyed) return;
+        // Wait for the client to catch up instead of buffering the export
+        if (!res.write(chunk)) {
+          await new Promise((resolve) => {
+            res.once("drain", resolve);
+            res.once("close", resolve);
+          });
+        }
+      }
+      res.end();
+    } catch (error) {
+      console.error(`Error streaming export of project ${projectId}:`, error);
+      res.destroy(error);
+    }
   }
-});
+);
 
 module.exports = router;
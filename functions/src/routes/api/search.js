@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Search routes for Firebase Functions. Results only include
+ * tasks, comments and projects the caller can read.
+ * @module routes/api/search
+ */
+
+const express = require("express");
+const router = express.Router();
+const searchService = require("../../services/search-service");
+const { handleError } = require("../../utils/error-handler");
+const { SEARCH_LIMITS, parseSearchQuery, parseSearchTypes } = require("../../utils/search");
+const { scopesAllow } = require("../../utils/api-tokens");
+const auth = require("../../middleware/auth");
+const { requireProject } = require("../../middleware/project-access");
+
+const canReadProject = requireProject("project:read", (req) => req.query.projectId);
+const canReindex = requireProject("project:update", (req) => req.body && req.body.projectId);
+
+/**
+ * Check the caller may search: a project's members within that project,
+ * anyone across the projects they belong to
+ * @private
+ */
+function requireSearchAccess(req, res, next) {
+  if (req.query.projectId) {
+    return canReadProject(req, res, next);
+  }
+  if (req.user.tokenScopes && !scopesAllow(req.user.tokenScopes, "task:read")) {
+    return handleError(403, req, res, "This token's scopes do not allow task:read");
+  }
+  next();
+}
+
+/**
+ * Search tasks, comments and projects. Words match as typed, as the start of
+ * a word, or with small typos.
+ * @route GET /api/search
+ * @query {string} q - Search text
+ * @query {string} [projectId] - Only this project (not its sub-projects)
+ * @query {string} [types] - Comma-separated result types: task, comment, project
+ * @query {boolean} [includeArchived=false] - Include archived tasks and projects
+ * @query {number} [limit=20] - Number of results, at most 50
+ */
+router.get("/", auth.authenticate, requireSearchAccess, async (req, res) => {
+  let tokens;
+  let types;
+  try {
+    tokens = parseSearchQuery(req.query.q);
+    types = parseSearchTypes(req.query.types);
+  } catch (error) {
+    return handleError(400, req, res, error.message);
+  }
+
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : SEARCH_LIMITS.defaultResults;
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_LIMITS.results) {
+    return handleError(400, req, res, `limit must be between 1 and ${SEARCH_LIMITS.results}`);
+  }
+
+  try {
+    const results = await searchService.search(tokens, {
+      user: req.user,
+      projectId: req.query.projectId,
+      types,
+      includeArchived: req.query.includeArchived === "true",
+      limit,
+    });
+    res.json({ query: req.query.q, tokens, results });
+  } catch (error) {
+    console.error("Error searching:", error);
+    handleError(500, req, res, "Failed to search");
+  }
+});
+
+/**
+ * Rebuild the search index of a project, its tasks and their comments
+ * @route POST /api/search/reindex
+ * @body {string} projectId - Project to reindex
+ */
+router.post("/reindex", auth.authenticate, canReindex, async (req, res) => {
+  const { projectId } = req.body || {};
+  if (!projectId) {
+    return handleError(400, req, res, "projectId is required");
+  }
+
+  try {
+    const counts = await searchService.reindexProject(projectId);
+    if (!counts) {
+      return handleError(404, req, res, `Project with ID ${projectId} not found`);
+    }
+    res.json({ projectId, ...counts });
+  } catch (error) {
+    console.error(`Error reindexing project ${projectId}:`, error);
+    handleError(500, req, res, "Failed to rebuild the search index");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Recurring task series routes for Firebase Functions. Mounted
+ * by the project routes, which authenticate the caller.
+ * @module routes/api/series
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const recurrence = require("../../services/recurrence-service");
+const { contextFromRequest } = require("../../services/task-history-service");
+const { handleError } = require("../../utils/error-handler");
+const { requireProject } = require("../../middleware/project-access");
+
+const canRead = requireProject("project:read");
+const canWrite = requireProject("task:write");
+
+/**
+ * Send a service error using its status, falling back to 500
+ * @private
+ */
+function sendError(req, res, error, fallbackMessage) {
+  if ([400, 404, 409].includes(error.status)) {
+    return handleError(error.status, req, res, error.message);
+  }
+  handleError(500, req, res, fallbackMessage);
+}
+
+/**
+ * List a project's recurring task series
+ * @route GET /api/projects/:projectId/series
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const list = await recurrence.getSeriesList(req.params.projectId);
+    res.json(list);
+  } catch (error) {
+    console.error(`Error fetching series of ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to get series");
+  }
+});
+
+/**
+ * Get a series with its occurrences
+ * @route GET /api/projects/:projectId/series/:seriesId
+ */
+router.get("/:seriesId", canRead, async (req, res) => {
+  try {
+    const { projectId, seriesId } = req.params;
+    const series = await recurrence.getSeries(projectId, seriesId);
+
+    if (!series) {
+      return handleError(404, req, res, `Series ${seriesId} not found`);
+    }
+
+    res.json(series);
+  } catch (error) {
+    console.error(`Error fetching series ${req.params.seriesId}:`, error);
+    handleError(500, req, res, "Failed to get series");
+  }
+});
+
+/**
+ * Make a task recur
+ * @route POST /api/projects/:projectId/series
+ * @body {string} rule - RRULE subset, e.g. "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"
+ *   or "FREQ=MONTHLY;BYDAY=2TU"
+ * @body {string} [mode="on-complete"] - Create the next occurrence when the
+ *   current one is completed ("on-complete") or falls due ("schedule")
+ * @body {string} [startDate] - Series start; fixes the time of day
+ * @body {string} [taskId] - Existing task to use as the first occurrence
+ * @body {Object} [task] - Template (title, description, labels, assignee,
+ *   priority) when no taskId is given
+ */
+router.post("/", canWrite, async (req, res) => {
+  try {
+    const series = await recurrence.createSeries(
+      req.params.projectId,
+      req.body || {},
+      contextFromRequest(req)
+    );
+    res.status(201).json(series);
+  } catch (error) {
+    console.error(`Error creating series in ${req.params.projectId}:`, error);
+    sendError(req, res, error, "Failed to create series");
+  }
+});
+
+/**
+ * Edit a series; changes apply to future occurrences
+ * @route PUT /api/projects/:projectId/series/:seriesId
+ * @body {string} [rule] - Recurrence rule
+ * @body {string} [mode] - "on-complete" or "schedule"
+ * @body {Object} [template] - Template fields to change
+ */
+router.put("/:seriesId", canWrite, async (req, res) => {
+  try {
+    const { projectId, seriesId } = req.params;
+    const series = await recurrence.updateSeries(projectId, seriesId, req.body || {});
+
+    if (!series) {
+      return handleError(404, req, res, `Series ${seriesId} not found`);
+    }
+
+    res.json(series);
+  } catch (error) {
+    console.error(`Error updating series ${req.params.seriesId}:`, error);
+    sendError(req, res, error, "Failed to update series");
+  }
+});
+
+/**
+ * Stop a series; existing occurrences are kept
+ * @route POST /api/projects/:projectId/series/:seriesId/stop
+ */
+router.post("/:seriesId/stop", canWrite, async (req, res) => {
+  try {
+    const { projectId, seriesId } = req.params;
+    const series = await recurrence.stopSeries(projectId, seriesId, req.user);
+
+    if (!series) {
+      return handleError(404, req, res, `Series ${seriesId} not found`);
+    }
+
+    res.json(series);
+  } catch (error) {
+    console.error(`Error stopping series ${req.params.seriesId}:`, error);
+    sendError(req, res, error, "Failed to stop series");
+  }
+});
+
+module.exports = router;
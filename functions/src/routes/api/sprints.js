@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Project sprint API routes for Firebase Functions. Mounted by
+ * the project routes, which authenticate the caller. Anyone who can read the
+ * project sees its sprints; anyone who can write its tasks plans them.
+ * @module routes/api/sprints
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const sprints = require("../../services/sprint-service");
+const { contextFromRequest } = require("../../services/task-history-service");
+const { handleError } = require("../../utils/error-handler");
+const { SPRINT_STATES } = require("../../utils/sprints");
+const { requireProject } = require("../../middleware/project-access");
+
+const canRead = requireProject("project:read");
+const canPlan = requireProject("task:write");
+
+/**
+ * Send a service error using its status, falling back to 500
+ * @private
+ */
+function sendError(req, res, error, fallbackMessage) {
+  if ([400, 404, 409].includes(error.status)) {
+    return handleError(error.status, req, res, error.message);
+  }
+  handleError(500, req, res, fallbackMessage);
+}
+
+/**
+ * List a project's sprints ordered by start date
+ * @route GET /api/projects/:projectId/sprints
+ * @query {string} [state] - planned, active or closed
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const { state } = req.query;
+    if (state && !Object.values(SPRINT_STATES).includes(state)) {
+      return handleError(400, req, res, `Unknown sprint state: ${state}`);
+    }
+
+    const list = await sprints.getSprints(req.params.projectId, { state });
+    res.json(list);
+  } catch (error) {
+    console.error(`Error fetching sprints of ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to get sprints");
+  }
+});
+
+/**
+ * Get a sprint, including its close-out summary once closed
+ * @route GET /api/projects/:projectId/sprints/:sprintId
+ */
+router.get("/:sprintId", canRead, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+    const sprint = await sprints.getSprint(projectId, sprintId);
+
+    if (!sprint) {
+      return handleError(404, req, res, `Sprint ${sprintId} not found`);
+    }
+
+    res.json(sprint);
+  } catch (error) {
+    console.error(`Error fetching sprint ${req.params.sprintId}:`, error);
+    handleError(500, req, res, "Failed to get sprint");
+  }
+});
+
+/**
+ * Plan a sprint
+ * @route POST /api/projects/:projectId/sprints
+ * @body {string} name - Sprint name
+ * @body {string} startDate - ISO start date
+ * @body {string} endDate - ISO end date
+ * @body {string} [goal] - Sprint goal
+ */
+router.post("/", canPlan, async (req, res) => {
+  try {
+    const sprint = await sprints.createSprint(
+      req.params.projectId,
+      req.body || {},
+      req.user
+    );
+    res.status(201).json(sprint);
+  } catch (error) {
+    console.error(`Error creating sprint for ${req.params.projectId}:`, error);
+    sendError(req, res, error, "Failed to create sprint");
+  }
+});
+
+/**
+ * Update a sprint's name, goal or dates
+ * @route PUT /api/projects/:projectId/sprints/:sprintId
+ */
+router.put("/:sprintId", canPlan, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+    const sprint = await sprints.updateSprint(projectId, sprintId, req.body || {});
+
+    if (!sprint) {
+      return handleError(404, req, res, `Sprint ${sprintId} not found`);
+    }
+
+    res.json(sprint);
+  } catch (error) {
+    console.error(`Error updating sprint ${req.params.sprintId}:`, error);
+    sendError(req, res, error, "Failed to update sprint");
+  }
+});
+
+/**
+ * Delete a planned sprint; its tasks return to the backlog
+ * @route DELETE /api/projects/:projectId/sprints/:sprintId
+ */
+router.delete("/:sprintId", canPlan, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+    const deleted = await sprints.deleteSprint(
+      projectId,
+      sprintId,
+      contextFromRequest(req)
+    );
+
+    if (!deleted) {
+      return handleError(404, req, res, `Sprint ${sprintId} not found`);
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting sprint ${req.params.sprintId}:`, error);
+    sendError(req, res, error, "Failed to delete sprint");
+  }
+});
+
+/**
+ * Start a planned sprint; only one sprint per project can be active
+ * @route POST /api/projects/:projectId/sprints/:sprintId/start
+ */
+router.post("/:sprintId/start", canPlan, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+    const sprint = await sprints.startSprint(projectId, sprintId, req.user);
+
+    if (!sprint) {
+      return handleError(404, req, res, `Sprint ${sprintId} not found`);
+    }
+
+    res.json(sprint);
+  } catch (error) {
+    console.error(`Error starting sprint ${req.params.sprintId}:`, error);
+    sendError(req, res, error, "Failed to start sprint");
+  }
+});
+
+/**
+ * Close the active sprint, snapshot committed vs completed work and roll
+ * unfinished tasks over
+ * @route POST /api/projects/:projectId/sprints/:sprintId/close
+ * @body {string} [nextSprintId] - Sprint receiving unfinished tasks; defaults
+ *   to the next planned sprint, or the backlog if there is none
+ */
+router.post("/:sprintId/close", canPlan, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+    const sprint = await sprints.closeSprint(projectId, sprintId, {
+      nextSprintId: req.body && req.body.nextSprintId,
+      context: contextFromRequest(req),
+    });
+
+    if (!sprint) {
+      return handleError(404, req, res, `Sprint ${sprintId} not found`);
+    }
+
+    res.json(sprint);
+  } catch (error) {
+    console.error(`Error closing sprint ${req.params.sprintId}:`, error);
+    sendError(req, res, error, "Failed to close sprint");
+  }
+});
+
+/**
+ * Add tasks of the project to a sprint
+ * @route POST /api/projects/:projectId/sprints/:sprintId/tasks
+ * @body {Array<string>} taskIds - Task IDs
+ */
+router.post("/:sprintId/tasks", canPlan, async (req, res) => {
+  try {
+    const { projectId, sprintId } = req.params;
+    const result = await sprints.addTasks(
+      projectId,
+      sprintId,
+      req.body && req.body.taskIds,
+      contextFromRequest(req)
+    );
+
+    if (!result) {
+      return handleError(404, req, res, `Sprint ${sprintId} not found`);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error(`Error adding tasks to sprint ${req.params.sprintId}:`, error);
+    sendError(req, res, error, "Failed to add tasks to sprint");
+  }
+});
+
+/**
+ * Return a task from a sprint to the backlog
+ * @route DELETE /api/projects/:projectId/sprints/:sprintId/tasks/:taskId
+ */
+router.delete("/:sprintId/tasks/:taskId", canPlan, async (req, res) => {
+  try {
+    const { projectId, sprintId, taskId } = req.params;
+    const removed = await sprints.removeTask(
+      projectId,
+      sprintId,
+      taskId,
+      contextFromRequest(req)
+    );
+
+    if (!removed) {
+      return handleError(404, req, res, `Task ${taskId} is not in sprint ${sprintId}`);
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error removing task from sprint ${req.params.sprintId}:`, error);
+    sendError(req, res, error, "Failed to remove task from sprint");
+  }
+});
+
+module.exports = router;
@@ -6,40 +6,201 @@
 const express = require("express");
 const router = express.Router();
 const taskService = require("../../services/task-service");
+const { contextFromRequest } = require("../../services/task-history-service");
+const taskDependencies = require("../../services/task-dependency-service");
 const { handleError } = require("../../utils/error-handler");
-const admin = require("firebase-admin");
+const { parseOrderBy } = require("../../utils/cursor");
+const { formatEtag, parseIfMatch } = require("../../utils/etag");
+const commentsRouter = require("./comments");
+const timeEntriesRouter = require("./time-entries");
+const auth = require("../../middleware/auth");
+const {
+  requireProject,
+  requireTask,
+  requireRelatedTask,
+  requireTargetProject,
+  requireBulkTasks,
+  permittedProjects,
+} = require("../../middleware/project-access");
 
-// For now, assume all requests are authenticated - remove auth middleware
+/**
+ * Respond to a failed If-Match precondition with the current task so the
+ * client can merge
+ * @param {Object} res - Express response
+ * @param {Error} error - Error carrying the current document
+ */
+function sendConflict(res, error) {
+  res.set("ETag", formatEtag(error.current.version));
+  res.status(412).json({
+    error: "Precondition failed",
+    message: error.message,
+    current: error.current,
+  });
+}
+
+/**
+ * Respond to a write against a task of an archived or trashed project
+ * @param {Object} res - Express response
+ * @param {Error} error - Error explaining why the task is read-only
+ */
+function sendReadOnly(res, error) {
+  res.status(409).json({
+    error: "Read-only",
+    message: error.message,
+  });
+}
+
+/**
+ * Respond to a status change the project's workflow does not allow
+ * @param {Object} res - Express response
+ * @param {Error} error - Error carrying the allowed targets or missing fields
+ */
+function sendWorkflowViolation(res, error) {
+  res.status(422).json({
+    error: "Workflow violation",
+    message: error.message,
+    allowed: error.allowed || [],
+    missing: error.missing || [],
+  });
+}
+
+// Mount comment routes
+router.use("/:taskId/comments", auth.authenticate, requireTask(), commentsRouter);
+
+// Mount time tracking routes
+router.use("/:taskId/time", auth.authenticate, requireTask(), timeEntriesRouter);
+
+/**
+ * Parse a comma separated query parameter into a list
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>} List of non-empty values
+ */
+function parseList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value.join(",") : value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - ISO date string
+ * @param {string} name - Parameter name for error messages
+ * @returns {Date|undefined} Parsed date
+ */
+function parseDate(value, name) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${name}: ${value}`);
+  }
+  return date;
+}
 
 /**
- * Get all tasks
+ * Parse custom field filters given as cf[key]=value
+ * @param {*} value - Parsed cf query parameter
+ * @returns {Object|undefined} Raw filter values by field key
+ */
+function parseCustomFieldFilters(value) {
+  if (value === undefined) return undefined;
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("Custom field filters are given as cf[key]=value");
+  }
+  return value;
+}
+
+/**
+ * Build task query options from request query parameters
+ * @param {Object} query - Express request query
+ * @returns {Object} Options for taskService.getTasks
+ */
+function buildTaskQueryOptions(query) {
+  return {
+    projectId: query.projectId,
+    status: query.status,
+    assignee: query.assignee,
+    priority: query.priority,
+    label: query.label,
+    sprintId: query.sprintId,
+    overdue: query.overdue === "true",
+    customFields: parseCustomFieldFilters(query.cf),
+    dueAfter: parseDate(query.dueAfter, "dueAfter"),
+    dueBefore: parseDate(query.dueBefore, "dueBefore"),
+    orderBy: parseOrderBy(query.orderBy),
+    limit: query.limit,
+    startAfter: query.startAfter,
+    fields: parseList(query.fields),
+    includeArchived: query.includeArchived === "true",
+    includeDeleted: query.includeDeleted === "true",
+  };
+}
+
+/**
+ * Get a page of tasks
  * @route GET /api/tasks
+ * @query {string} [projectId] - Filter by project
+ * @query {string} [status] - Filter by status
+ * @query {string} [assignee] - Filter by assignee
+ * @query {string} [priority] - Filter by priority
+ * @query {string} [label] - Filter by label
+ * @query {string} [sprintId] - Filter by sprint
+ * @query {boolean} [overdue] - Only overdue tasks when "true"
+ * @query {string} [cf[key]] - Custom field filter, e.g. cf[severity]=high;
+ *   multi-select fields match tasks holding the value (requires projectId)
+ * @query {string} [dueAfter] - ISO date, due on or after
+ * @query {string} [dueBefore] - ISO date, due on or before
+ * @query {string} [orderBy] - e.g. "priority:desc,createdAt" or
+ *   "customFields.points:desc"
+ * @query {number} [limit] - Page size (default 100, max 500)
+ * @query {string} [startAfter] - Cursor from a previous nextCursor
+ * @query {string} [fields] - Comma separated field projection
+ * @query {boolean} [includeArchived=false] - Include tasks of archived projects
+ * @query {boolean} [includeDeleted=false] - Include tasks in the trash
+ * @returns {object} { tasks, nextCursor }
  */
-router.get("/", async (req, res) => {
-  try {
-    console.log("GET /tasks - Fetching tasks");
-    const options = {
-      projectId: req.query.projectId,
-      status: req.query.status,
-    };
-
-    const tasks = await taskService.getTasks(options);
-    console.log(`Found ${tasks.length} tasks`);
-    res.json(tasks);
-  } catch (error) {
-    console.error("Error fetching tasks:", error);
-    res.status(500).json({
-      error: "Error fetching tasks",
-      message: error.message,
-    });
+router.get(
+  "/",
+  auth.authenticate,
+  requireProject("task:read", (req) => req.query.projectId),
+  async (req, res) => {
+    let options;
+    try {
+      options = buildTaskQueryOptions(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error.message,
+      });
+    }
+
+    try {
+      console.log("GET /tasks - Fetching tasks");
+      const page = await taskService.getTasks(options);
+      console.log(`Found ${page.tasks.length} tasks`);
+      res.json(page);
+    } catch (error) {
+      if (error.message === "Invalid pagination cursor" || error.status === 400) {
+        return res.status(400).json({
+          error: "Validation error",
+          message: error.message,
+        });
+      }
+      console.error("Error fetching tasks:", error);
+      res.status(500).json({
+        error: "Error fetching tasks",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 /**
  * Get a specific task by ID
  * @route GET /api/tasks/:taskId
  */
-router.get("/:taskId", async (req, res) => {
+router.get("/:taskId", auth.authenticate, requireTask(), async (req, res) => {
   try {
     console.log(`GET /tasks/${req.params.taskId} - Fetching task`);
     const { taskId } = req.params;
@@ -52,6 +213,7 @@ router.get("/:taskId", async (req, res) => {
       });
     }
 
+    res.set("ETag", formatEtag(task.version));
     res.json(task);
   } catch (error) {
     console.error(`Error fetching task ${req.params.taskId}:`, error);
@@ -66,62 +228,166 @@ router.get("/:taskId", async (req, res) => {
  * Create a new task
  * @route POST /api/tasks
  */
-router.post("/", async (req, res) => {
+router.post(
+  "/",
+  auth.authenticate,
+  requireProject("task:write", (req) => req.body && req.body.projectId),
+  async (req, res) => {
+    try {
+      console.log("POST /tasks - Creating task:", req.body);
+      const taskData = req.body;
+
+      // Basic validation
+      if (!taskData.title) {
+        return res.status(400).json({
+          error: "Validation error",
+          message: "Task title is required",
+        });
+      }
+
+      const createdTask = await taskService.createTask(
+        taskData,
+        contextFromRequest(req)
+      );
+      console.log("Task created:", createdTask.id);
+      res.set("ETag", formatEtag(createdTask.version));
+      res.status(201).json(createdTask);
+    } catch (error) {
+      if (error.status === 409) {
+        return sendReadOnly(res, error);
+      }
+      if (error.status === 422) {
+        return sendWorkflowViolation(res, error);
+      }
+      if (error.status === 400) {
+        return res.status(400).json({
+          error: "Validation error",
+          message: error.message,
+        });
+      }
+      console.error("Error creating task:", error);
+      res.status(500).json({
+        error: "Error creating task",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Apply many operations (update, move, relabel, assign, delete) in one request
+ * @route POST /api/tasks/bulk
+ * @body {Array<Object>} operations - Operations, each with action and taskId
+ * @body {boolean} [atomic=true] - Apply all or nothing
+ */
+router.post("/bulk", auth.authenticate, requireBulkTasks(), async (req, res) => {
   try {
-    console.log("POST /tasks - Creating task:", req.body);
-    const taskData = req.body;
+    const { operations, atomic = true } = req.body || {};
+    console.log(
+      `POST /tasks/bulk - ${Array.isArray(operations) ? operations.length : 0} operations`
+    );
 
-    // Basic validation
-    if (!taskData.title) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "operations must be a non-empty array",
+      });
+    }
+    if (operations.length > taskService.MAX_BULK_OPERATIONS) {
       return res.status(400).json({
         error: "Validation error",
-        message: "Task title is required",
+        message: `A bulk request is limited to ${taskService.MAX_BULK_OPERATIONS} operations`,
       });
     }
 
-    const createdTask = await taskService.createTask(taskData);
-    console.log("Task created:", createdTask.id);
-    res.status(201).json(createdTask);
+    const summary = await taskService.bulkUpdateTasks(operations, {
+      atomic: atomic !== false && atomic !== "false",
+      userId: req.user?.uid,
+      context: contextFromRequest(req),
+    });
+
+    // 200 when everything applied, 422 when an atomic request was rolled back,
+    // 207 when some independent operations failed
+    let status = 200;
+    if (summary.failed > 0) {
+      status = summary.atomic ? 422 : 207;
+    }
+    res.status(status).json(summary);
   } catch (error) {
-    console.error("Error creating task:", error);
+    console.error("Error applying bulk task operations:", error);
     res.status(500).json({
-      error: "Error creating task",
+      error: "Error applying bulk task operations",
       message: error.message,
     });
   }
 });
 
 /**
- * Update a task
+ * Update a task. Status and column (groupId) changes are checked against the
+ * project's workflow, failing with 422. Moving the task to another project
+ * needs task:write there.
  * @route PUT /api/tasks/:taskId
+ * @header {string} [If-Match] - ETag of the version being edited; 412 with the
+ *   current task when it has changed since
  */
-router.put("/:taskId", async (req, res) => {
-  try {
-    console.log(`PUT /tasks/${req.params.taskId} - Updating task`);
-    const { taskId } = req.params;
-    const updates = req.body;
+router.put(
+  "/:taskId",
+  auth.authenticate,
+  requireTask(),
+  requireTargetProject(),
+  async (req, res) => {
+    try {
+      console.log(`PUT /tasks/${req.params.taskId} - Updating task`);
+      const { taskId } = req.params;
+      const updates = req.body;
 
-    const updatedTask = await taskService.updateTask(taskId, updates);
-    console.log("Task updated:", taskId);
-    res.json(updatedTask);
-  } catch (error) {
-    console.error(`Error updating task ${req.params.taskId}:`, error);
-    res.status(500).json({
-      error: "Error updating task",
-      message: error.message,
-    });
+      const updatedTask = await taskService.updateTask(taskId, updates, {
+        ...contextFromRequest(req),
+        expectedVersions: parseIfMatch(req.get("If-Match")),
+      });
+      console.log("Task updated:", taskId);
+      res.set("ETag", formatEtag(updatedTask.version));
+      res.json(updatedTask);
+    } catch (error) {
+      if (error.status === 412) {
+        return sendConflict(res, error);
+      }
+      if (error.status === 409) {
+        return sendReadOnly(res, error);
+      }
+      if (error.status === 422) {
+        return sendWorkflowViolation(res, error);
+      }
+      if (error.status === 400) {
+        return res.status(400).json({
+          error: "Validation error",
+          message: error.message,
+        });
+      }
+      if (error.status === 404) {
+        return res.status(404).json({
+          error: "Task not found",
+          message: error.message,
+        });
+      }
+      console.error(`Error updating task ${req.params.taskId}:`, error);
+      res.status(500).json({
+        error: "Error updating task",
+        message: error.message,
+      });
+    }
   }
-});
+);
 
 /**
  * Delete a task
  * @route DELETE /api/tasks/:taskId
  */
-router.delete("/:taskId", async (req, res) => {
+router.delete("/:taskId", auth.authenticate, requireTask(), async (req, res) => {
   try {
     console.log(`DELETE /tasks/${req.params.taskId} - Deleting task`);
     const { taskId } = req.params;
-    const result = await taskService.deleteTask(taskId);
+    const result = await taskService.deleteTask(taskId, contextFromRequest(req));
 
     if (!result) {
       return res.status(404).json({
@@ -133,6 +399,9 @@ router.delete("/:taskId", async (req, res) => {
     console.log("Task deleted:", taskId);
     res.status(204).send();
   } catch (error) {
+    if (error.status === 409) {
+      return sendReadOnly(res, error);
+    }
     console.error(`Error deleting task ${req.params.taskId}:`, error);
     res.status(500).json({
       error: "Error deleting task",
@@ -142,14 +411,20 @@ router.delete("/:taskId", async (req, res) => {
 });
 
 /**
- * Move a task to a different group/column
+ * Move a task to a different group/column. The task keeps its status unless
+ * one is given. In a project with a workflow the group names the target state;
+ * moves the workflow does not allow fail with 422 and the allowed targets or
+ * the missing required fields.
  * @route PUT /api/tasks/:taskId/move
+ * @body {string} groupId - Destination group
+ * @body {string} [status] - Status to set along with the move
+ * @header {string} [If-Match] - ETag of the version being moved
  */
-router.put("/:taskId/move", async (req, res) => {
+router.put("/:taskId/move", auth.authenticate, requireTask(), async (req, res) => {
   try {
     console.log(`PUT /tasks/${req.params.taskId}/move - Moving task`);
     const { taskId } = req.params;
-    const { groupId } = req.body;
+    const { groupId, status } = req.body;
 
     if (!groupId) {
       return res.status(400).json({
@@ -157,11 +432,37 @@ router.put("/:taskId/move", async (req, res) => {
         message: "Group ID is required",
       });
     }
+    if (status !== undefined && (!status || typeof status !== "string")) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "status must be a non-empty string",
+      });
+    }
 
-    const updatedTask = await taskService.moveTask(taskId, groupId);
+    const updatedTask = await taskService.moveTask(taskId, groupId, {
+      ...contextFromRequest(req),
+      status,
+      expectedVersions: parseIfMatch(req.get("If-Match")),
+    });
     console.log("Task moved:", taskId, "to group:", groupId);
+    res.set("ETag", formatEtag(updatedTask.version));
     res.json(updatedTask);
   } catch (error) {
+    if (error.status === 412) {
+      return sendConflict(res, error);
+    }
+    if (error.status === 409) {
+      return sendReadOnly(res, error);
+    }
+    if (error.status === 422) {
+      return sendWorkflowViolation(res, error);
+    }
+    if (error.status === 404) {
+      return res.status(404).json({
+        error: "Task not found",
+        message: error.message,
+      });
+    }
     console.error(`Error moving task ${req.params.taskId}:`, error);
     res.status(500).json({
       error: "Error moving task",
@@ -170,34 +471,189 @@ router.put("/:taskId/move", async (req, res) => {
   }
 });
 
-// Add a test endpoint that uses the admin SDK directly
-router.get("/test-create", async (req, res) => {
+/**
+ * Get the dependency graph around a task: prerequisites, dependents and the
+ * chains of unfinished prerequisites blocking it. Tasks of projects the caller
+ * cannot read are reduced to their ID.
+ * @route GET /api/tasks/:taskId/dependencies
+ * @query {number} [depth=5] - Levels to follow in each direction (max 20)
+ */
+router.get("/:taskId/dependencies", auth.authenticate, requireTask(), async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    console.log(`GET /tasks/${taskId}/dependencies - Fetching dependency graph`);
+
+    const depth = req.query.depth ? parseInt(req.query.depth, 10) : 5;
+    if (isNaN(depth) || depth < 1 || depth > 20) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "depth must be an integer between 1 and 20",
+      });
+    }
+
+    const graph = await taskDependencies.getDependencyGraph(taskId, {
+      depth,
+      visibleProjects: (projectIds) => permittedProjects(req.user, projectIds, "task:read"),
+    });
+    if (!graph) {
+      return res.status(404).json({
+        error: "Task not found",
+        message: `Task with ID ${taskId} not found`,
+      });
+    }
+
+    res.json(graph);
+  } catch (error) {
+    console.error(`Error fetching dependencies for ${req.params.taskId}:`, error);
+    res.status(500).json({
+      error: "Error fetching dependencies",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Make a task depend on another task, which the caller must be able to read.
+ * Fails with 409 when the dependency would close a cycle and 422 when the
+ * prerequisite's chain is too long to check.
+ * @route POST /api/tasks/:taskId/dependencies
+ * @body {string} dependsOn - ID of the prerequisite task
+ */
+router.post(
+  "/:taskId/dependencies",
+  auth.authenticate,
+  requireTask(),
+  requireRelatedTask((req) => req.body && req.body.dependsOn),
+  async (req, res) => {
+    try {
+      const { taskId } = req.params;
+      const { dependsOn } = req.body || {};
+      console.log(`POST /tasks/${taskId}/dependencies - Adding ${dependsOn}`);
+
+      if (!dependsOn || typeof dependsOn !== "string") {
+        return res.status(400).json({
+          error: "Validation error",
+          message: "dependsOn must be a task ID",
+        });
+      }
+
+      const task = await taskDependencies.addDependency(
+        taskId,
+        dependsOn,
+        contextFromRequest(req)
+      );
+      res.set("ETag", formatEtag(task.version));
+      res.status(201).json(task);
+    } catch (error) {
+      if (error.readOnly) {
+        return sendReadOnly(res, error);
+      }
+      if (error.status === 400 || error.status === 409) {
+        return res.status(error.status).json({
+          error: error.status === 409 ? "Dependency cycle" : "Validation error",
+          message: error.message,
+          cycle: error.cycle,
+        });
+      }
+      if (error.status === 422) {
+        return res.status(422).json({
+          error: "Dependency chain too long",
+          message: error.message,
+        });
+      }
+      if (error.status === 404) {
+        return res.status(404).json({
+          error: "Task not found",
+          message: error.message,
+        });
+      }
+      console.error(`Error adding dependency to ${req.params.taskId}:`, error);
+      res.status(500).json({
+        error: "Error adding dependency",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Remove a dependency
+ * @route DELETE /api/tasks/:taskId/dependencies/:prerequisiteId
+ */
+router.delete(
+  "/:taskId/dependencies/:prerequisiteId",
+  auth.authenticate,
+  requireTask(),
+  async (req, res) => {
+    try {
+      const { taskId, prerequisiteId } = req.params;
+      console.log(`DELETE /tasks/${taskId}/dependencies/${prerequisiteId}`);
+
+      const task = await taskDependencies.removeDependency(
+        taskId,
+        prerequisiteId,
+        contextFromRequest(req)
+      );
+      if (!task) {
+        return res.status(404).json({
+          error: "Task not found",
+          message: `Task with ID ${taskId} not found`,
+        });
+      }
+
+      res.set("ETag", formatEtag(task.version));
+      res.json(task);
+    } catch (error) {
+      if (error.readOnly) {
+        return sendReadOnly(res, error);
+      }
+      console.error(`Error removing dependency from ${req.params.taskId}:`, error);
+      res.status(500).json({
+        error: "Error removing dependency",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Get the change history (audit trail) of a task, newest first
+ * @route GET /api/tasks/:taskId/history
+ * @query {number} [limit] - Page size (max 200)
+ * @query {string} [startAfter] - Cursor from a previous page
+ * @query {string} [source] - Only changes from this source (e.g. ui-drag-drop)
+ * @query {string} [actorType] - Only changes by user, agent, service or anonymous
+ */
+router.get("/:taskId/history", auth.authenticate, requireTask(), async (req, res) => {
   try {
-    console.log("Creating a test task using admin SDK directly");
-
-    // Create a task directly with admin SDK
-    const taskData = {
-      title: "Test Task via Admin SDK",
-      description: "This is a test task created directly via Admin SDK",
-      status: "todo",
-      priority: "medium",
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      createdBy: "server-side-app",
-    };
-
-    const docRef = await admin.firestore().collection("tasks").add(taskData);
-    console.log(`Test task created with ID: ${docRef.id}`);
-
-    res.json({
-      success: true,
-      message: "Test task created successfully",
-      taskId: docRef.id,
+    const { taskId } = req.params;
+    console.log(`GET /tasks/${taskId}/history - Fetching history`);
+
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+      return res.status(400).json({
+        error: "Validation error",
+        message: "limit must be a positive integer",
+      });
+    }
+
+    const page = await taskService.getTaskHistory(taskId, {
+      limit,
+      startAfter: req.query.startAfter,
+      source: req.query.source,
+      actorType: req.query.actorType,
     });
+    res.json(page);
   } catch (error) {
-    console.error("Error creating test task:", error);
+    if (error.message === "Invalid pagination cursor") {
+      return res.status(400).json({
+        error: "Validation error",
+        message: error.message,
+      });
+    }
+    console.error(`Error fetching history for ${req.params.taskId}:`, error);
     res.status(500).json({
-      error: "Error creating test task",
+      error: "Error fetching task history",
       message: error.message,
     });
   }
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Task time tracking API routes for Firebase Functions. Mounted
+ * by the task routes, which authenticate the caller and check their project role.
+ * @module routes/api/time-entries
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const timeEntries = require("../../services/time-entry-service");
+const { handleError } = require("../../utils/error-handler");
+
+/**
+ * Map a service error to a response
+ * @private
+ */
+function sendError(req, res, error, fallbackMessage) {
+  if ([400, 403, 404, 409].includes(error.status)) {
+    return handleError(error.status, req, res, error.message);
+  }
+  handleError(500, req, res, fallbackMessage);
+}
+
+/**
+ * Get a task's time entries with totals per user and day
+ * @route GET /api/tasks/:taskId/time
+ */
+router.get("/", async (req, res) => {
+  try {
+    const result = await timeEntries.getEntries(req.params.taskId);
+    res.json(result);
+  } catch (error) {
+    console.error(`Error fetching time entries for ${req.params.taskId}:`, error);
+    sendError(req, res, error, "Failed to get time entries");
+  }
+});
+
+/**
+ * Record time worked without a timer
+ * @route POST /api/tasks/:taskId/time
+ * @body {string} startedAt - When the work started
+ * @body {number} [minutes] - Minutes worked
+ * @body {string} [stoppedAt] - When the work stopped, instead of minutes
+ * @body {string} [note] - What was done
+ */
+router.post("/", async (req, res) => {
+  try {
+    const entry = await timeEntries.addEntry(req.params.taskId, req.user, req.body || {});
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error(`Error adding time entry to ${req.params.taskId}:`, error);
+    sendError(req, res, error, "Failed to add time entry");
+  }
+});
+
+/**
+ * Start a timer for the caller
+ * @route POST /api/tasks/:taskId/time/start
+ * @body {string} [note] - What is being worked on
+ */
+router.post("/start", async (req, res) => {
+  try {
+    const entry = await timeEntries.startTimer(req.params.taskId, req.user, req.body || {});
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error(`Error starting timer on ${req.params.taskId}:`, error);
+    sendError(req, res, error, "Failed to start timer");
+  }
+});
+
+/**
+ * Stop the caller's running timer
+ * @route POST /api/tasks/:taskId/time/stop
+ * @body {string} [note] - Replaces the note given at start
+ */
+router.post("/stop", async (req, res) => {
+  try {
+    const entry = await timeEntries.stopTimer(req.params.taskId, req.user, req.body || {});
+    res.json(entry);
+  } catch (error) {
+    console.error(`Error stopping timer on ${req.params.taskId}:`, error);
+    sendError(req, res, error, "Failed to stop timer");
+  }
+});
+
+/**
+ * Correct one of the caller's finished entries
+ * @route PUT /api/tasks/:taskId/time/:entryId
+ */
+router.put("/:entryId", async (req, res) => {
+  try {
+    const { taskId, entryId } = req.params;
+    const entry = await timeEntries.updateEntry(taskId, entryId, req.body || {}, req.user);
+    res.json(entry);
+  } catch (error) {
+    console.error(`Error updating time entry ${req.params.entryId}:`, error);
+    sendError(req, res, error, "Failed to update time entry");
+  }
+});
+
+/**
+ * Delete one of the caller's entries
+ * @route DELETE /api/tasks/:taskId/time/:entryId
+ */
+router.delete("/:entryId", async (req, res) => {
+  try {
+    const { taskId, entryId } = req.params;
+    await timeEntries.deleteEntry(taskId, entryId, req.user);
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting time entry ${req.params.entryId}:`, error);
+    sendError(req, res, error, "Failed to delete time entry");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Timesheet report routes for Firebase Functions. A project's
+ * timesheet is open to anyone who can read the project; without a project,
+ * callers see their own time across projects.
+ * @module routes/api/timesheet
+ */
+
+const express = require("express");
+const router = express.Router();
+const timeEntries = require("../../services/time-entry-service");
+const { handleError } = require("../../utils/error-handler");
+const { toDate } = require("../../utils/sprints");
+const { validateReportRange } = require("../../utils/time-tracking");
+const auth = require("../../middleware/auth");
+const { requireProject } = require("../../middleware/project-access");
+
+const canReadProject = requireProject("project:read", (req) => req.query.projectId);
+
+/**
+ * Check the caller may read the requested timesheet
+ * @private
+ */
+function requireTimesheetAccess(req, res, next) {
+  if (req.query.projectId) {
+    return canReadProject(req, res, next);
+  }
+  if (req.query.uid && req.query.uid !== req.user.uid && !req.user.admin) {
+    return handleError(403, req, res, "Other users' time can only be read per project");
+  }
+  next();
+}
+
+/**
+ * Get the time entries started in a date range with totals per user, task,
+ * project and day
+ * @route GET /api/timesheet
+ * @query {string} from - ISO date, inclusive
+ * @query {string} to - ISO date, exclusive (at most 93 days after from)
+ * @query {string} [projectId] - Only this project's tasks
+ * @query {string} [uid] - Only this user's entries; defaults to the caller
+ *   when no projectId is given
+ */
+router.get("/", auth.authenticate, requireTimesheetAccess, async (req, res) => {
+  try {
+    const from = toDate(req.query.from);
+    const to = toDate(req.query.to);
+    const invalid = validateReportRange(from, to);
+    if (invalid) {
+      return handleError(400, req, res, invalid);
+    }
+
+    const timesheet = await timeEntries.getTimesheet({
+      from,
+      to,
+      projectId: req.query.projectId,
+      uid: req.query.uid || (req.query.projectId ? undefined : req.user.uid),
+    });
+    res.json(timesheet);
+  } catch (error) {
+    console.error("Error fetching timesheet:", error);
+    handleError(500, req, res, "Failed to get timesheet");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Personal access token routes for Firebase Functions. Tokens
+ * act as the user who created them, limited by their scopes, and can only be
+ * managed with a Firebase ID token.
+ * @module routes/api/tokens
+ */
+
+const express = require("express");
+const router = express.Router();
+const apiTokens = require("../../services/api-token-service");
+const { handleError } = require("../../utils/error-handler");
+const auth = require("../../middleware/auth");
+
+router.use(auth.authenticate, auth.rejectApiTokens);
+
+/**
+ * List the caller's personal access tokens, including revoked and expired ones
+ * @route GET /api/tokens
+ */
+router.get("/", async (req, res) => {
+  try {
+    const tokens = await apiTokens.listTokens({ uid: req.user.uid });
+    res.json(tokens);
+  } catch (error) {
+    console.error("Error fetching personal access tokens:", error);
+    handleError(500, req, res, "Failed to get personal access tokens");
+  }
+});
+
+/**
+ * Create a personal access token. The token is only returned in this response.
+ * @route POST /api/tokens
+ * @body {string} name - What the token is for, e.g. "MCP server"
+ * @body {Array<string>} scopes - tasks:read, tasks:write and/or projects:admin
+ * @body {number} [expiresInDays=90] - Days until the token expires (max 365)
+ */
+router.post("/", async (req, res) => {
+  try {
+    const token = await apiTokens.createPersonalToken(req.user, req.body || {});
+    res.status(201).json(token);
+  } catch (error) {
+    if (error.status === 400) {
+      return handleError(400, req, res, error.message);
+    }
+    console.error("Error creating personal access token:", error);
+    handleError(500, req, res, "Failed to create personal access token");
+  }
+});
+
+/**
+ * Revoke one of the caller's personal access tokens
+ * @route DELETE /api/tokens/:tokenId
+ */
+router.delete("/:tokenId", async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const token = await apiTokens.revokeToken(
+      tokenId,
+      { uid: req.user.uid },
+      req.user
+    );
+
+    if (!token) {
+      return handleError(404, req, res, `Token ${tokenId} not found`);
+    }
+
+    res.json(token);
+  } catch (error) {
+    console.error(`Error revoking personal access token ${req.params.tokenId}:`, error);
+    handleError(500, req, res, "Failed to revoke personal access token");
+  }
+});
+
+module.exports = router;
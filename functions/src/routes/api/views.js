@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Saved view routes for Firebase Functions. Mounted by the
+ * project routes, which authenticate the caller. Anyone who can read the
+ * project saves personal views; members who can edit tasks share views with
+ * the project, and project owners and admins manage every shared view.
+ * @module routes/api/views
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const views = require("../../services/view-service");
+const { handleError } = require("../../utils/error-handler");
+const { hasPermission } = require("../../utils/roles");
+const { requireProject } = require("../../middleware/project-access");
+
+const canRead = requireProject("project:read");
+
+/**
+ * Send a service error using its status, falling back to 500
+ * @private
+ */
+function sendError(req, res, error, fallbackMessage) {
+  if ([400, 403, 404].includes(error.status)) {
+    return handleError(error.status, req, res, error.message);
+  }
+  handleError(500, req, res, fallbackMessage);
+}
+
+/**
+ * What the caller may do with views, from the role checked by canRead
+ * @private
+ */
+function accessFromRequest(req) {
+  const allows = (permission) => Boolean(req.user.admin) || hasPermission(req.projectRole, permission);
+  return {
+    userId: req.user.uid,
+    canShare: allows("task:write"),
+    canManage: allows("project:update"),
+  };
+}
+
+/**
+ * List the caller's personal views and the project's shared views. Each view
+ * carries the task list query that reproduces it.
+ * @route GET /api/projects/:projectId/views
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const result = await views.getViews(req.params.projectId, req.user.uid);
+    res.json(result);
+  } catch (error) {
+    console.error(`Error fetching views of ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to get views");
+  }
+});
+
+/**
+ * Get a view, e.g. when opening a shared link
+ * @route GET /api/projects/:projectId/views/:viewId
+ */
+router.get("/:viewId", canRead, async (req, res) => {
+  try {
+    const { projectId, viewId } = req.params;
+    const view = await views.getView(projectId, viewId, req.user.uid);
+
+    if (!view) {
+      return handleError(404, req, res, `View ${viewId} not found`);
+    }
+
+    res.json(view);
+  } catch (error) {
+    console.error(`Error fetching view ${req.params.viewId}:`, error);
+    handleError(500, req, res, "Failed to get view");
+  }
+});
+
+/**
+ * Save a view
+ * @route POST /api/projects/:projectId/views
+ * @body {string} name - View name
+ * @body {string} [scope=personal] - personal or project (shared)
+ * @body {string} [viewType=board] - board or list
+ * @body {Object} [filters] - Task list filters: status, assignee ("@me" for
+ *   the viewer), priority, label, sprintId, overdue, dueAfter, dueBefore,
+ *   includeArchived and cf (custom field values by key)
+ * @body {string} [orderBy] - Sort, e.g. "priority:desc,createdAt"
+ * @body {string} [groupBy=status] - status, priority, assignee, sprintId,
+ *   label or customFields.<key>
+ * @body {Array<string>} [columns] - Visible columns; all when omitted
+ * @body {string} [description] - Description
+ */
+router.post("/", canRead, async (req, res) => {
+  try {
+    const view = await views.createView(req.params.projectId, req.body || {}, accessFromRequest(req));
+    res.status(201).json(view);
+  } catch (error) {
+    console.error(`Error creating view in ${req.params.projectId}:`, error);
+    sendError(req, res, error, "Failed to create view");
+  }
+});
+
+/**
+ * Update a view
+ * @route PUT /api/projects/:projectId/views/:viewId
+ * @body {Object} updates - Any of the fields accepted on creation
+ */
+router.put("/:viewId", canRead, async (req, res) => {
+  try {
+    const { projectId, viewId } = req.params;
+    const view = await views.updateView(projectId, viewId, req.body || {}, accessFromRequest(req));
+
+    if (!view) {
+      return handleError(404, req, res, `View ${viewId} not found`);
+    }
+
+    res.json(view);
+  } catch (error) {
+    console.error(`Error updating view ${req.params.viewId}:`, error);
+    sendError(req, res, error, "Failed to update view");
+  }
+});
+
+/**
+ * Delete a view
+ * @route DELETE /api/projects/:projectId/views/:viewId
+ */
+router.delete("/:viewId", canRead, async (req, res) => {
+  try {
+    const { projectId, viewId } = req.params;
+    const deleted = await views.deleteView(projectId, viewId, accessFromRequest(req));
+
+    if (!deleted) {
+      return handleError(404, req, res, `View ${viewId} not found`);
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting view ${req.params.viewId}:`, error);
+    sendError(req, res, error, "Failed to delete view");
+  }
+});
+
+module.exports = router;
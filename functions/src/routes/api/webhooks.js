@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Project webhook API routes for Firebase Functions. Mounted by
+ * the project routes, which authenticate the caller. Webhooks are managed by
+ * project owners and admins.
+ * @module routes/api/webhooks
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const webhooks = require("../../services/webhook-service");
+const { handleError } = require("../../utils/error-handler");
+const { requireProject } = require("../../middleware/project-access");
+
+router.use(requireProject("project:update"));
+
+/**
+ * List a project's webhooks (secrets are never returned)
+ * @route GET /api/projects/:projectId/webhooks
+ */
+router.get("/", async (req, res) => {
+  try {
+    const list = await webhooks.getWebhooks(req.params.projectId);
+    res.json(list);
+  } catch (error) {
+    console.error(`Error fetching webhooks of ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to get webhooks");
+  }
+});
+
+/**
+ * Subscribe a URL to the events of a project and its sub-projects. The
+ * signing secret is only returned in this response.
+ * @route POST /api/projects/:projectId/webhooks
+ * @body {string} url - Receiver URL (https)
+ * @body {Array<string>} events - Event names, "task.*", "project.*" or "*"
+ * @body {string} [secret] - Signing secret; generated when omitted
+ * @body {string} [description] - What the webhook is for
+ * @body {boolean} [active=true] - Whether events are delivered
+ */
+router.post("/", async (req, res) => {
+  try {
+    const webhook = await webhooks.createWebhook(
+      req.params.projectId,
+      req.body || {},
+      req.user
+    );
+    res.status(201).json(webhook);
+  } catch (error) {
+    if (error.status === 400) {
+      return handleError(400, req, res, error.message);
+    }
+    console.error(`Error creating webhook for ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to create webhook");
+  }
+});
+
+/**
+ * Update a webhook
+ * @route PUT /api/projects/:projectId/webhooks/:webhookId
+ * @body {string} [url] - Receiver URL
+ * @body {Array<string>} [events] - Event filter
+ * @body {string} [secret] - New signing secret
+ * @body {string} [description] - Description
+ * @body {boolean} [active] - Pause or resume deliveries
+ */
+router.put("/:webhookId", async (req, res) => {
+  try {
+    const { projectId, webhookId } = req.params;
+    const webhook = await webhooks.updateWebhook(projectId, webhookId, req.body || {});
+
+    if (!webhook) {
+      return handleError(404, req, res, `Webhook ${webhookId} not found`);
+    }
+
+    res.json(webhook);
+  } catch (error) {
+    if (error.status === 400) {
+      return handleError(400, req, res, error.message);
+    }
+    console.error(`Error updating webhook ${req.params.webhookId}:`, error);
+    handleError(500, req, res, "Failed to update webhook");
+  }
+});
+
+/**
+ * Delete a webhook and its delivery log
+ * @route DELETE /api/projects/:projectId/webhooks/:webhookId
+ */
+router.delete("/:webhookId", async (req, res) => {
+  try {
+    const { projectId, webhookId } = req.params;
+    const deleted = await webhooks.deleteWebhook(projectId, webhookId);
+
+    if (!deleted) {
+      return handleError(404, req, res, `Webhook ${webhookId} not found`);
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting webhook ${req.params.webhookId}:`, error);
+    handleError(500, req, res, "Failed to delete webhook");
+  }
+});
+
+/**
+ * Get a webhook's delivery log, newest first
+ * @route GET /api/projects/:projectId/webhooks/:webhookId/deliveries
+ * @query {number} [limit=50] - Maximum deliveries (max 200)
+ */
+router.get("/:webhookId/deliveries", async (req, res) => {
+  try {
+    const { projectId, webhookId } = req.params;
+    const deliveries = await webhooks.getDeliveries(projectId, webhookId, {
+      limit: req.query.limit,
+    });
+
+    if (!deliveries) {
+      return handleError(404, req, res, `Webhook ${webhookId} not found`);
+    }
+
+    res.json(deliveries);
+  } catch (error) {
+    console.error(`Error fetching deliveries of ${req.params.webhookId}:`, error);
+    handleError(500, req, res, "Failed to get webhook deliveries");
+  }
+});
+
+/**
+ * Send a past delivery again. The new delivery keeps the original eventId.
+ * @route POST /api/projects/:projectId/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ */
+router.post("/:webhookId/deliveries/:deliveryId/redeliver", async (req, res) => {
+  try {
+    const { projectId, webhookId, deliveryId } = req.params;
+    const delivery = await webhooks.redeliver(projectId, webhookId, deliveryId);
+
+    if (!delivery) {
+      return handleError(404, req, res, `Delivery ${deliveryId} not found`);
+    }
+
+    res.status(202).json(delivery);
+  } catch (error) {
+    console.error(`Error redelivering ${req.params.deliveryId}:`, error);
+    handleError(500, req, res, "Failed to redeliver webhook");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Project workflow routes for Firebase Functions. Mounted by
+ * the project routes, which authenticate the caller. Anyone who can read the
+ * project sees its workflow; project owners and admins define it.
+ * @module routes/api/workflow
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const workflows = require("../../services/workflow-service");
+const { handleError } = require("../../utils/error-handler");
+const { requireProject } = require("../../middleware/project-access");
+
+const canRead = requireProject("project:read");
+const canManage = requireProject("project:update");
+
+/**
+ * Send a service error using its status, falling back to 500
+ * @private
+ */
+function sendError(req, res, error, fallbackMessage) {
+  if ([400, 404, 409].includes(error.status)) {
+    return handleError(error.status, req, res, error.message);
+  }
+  handleError(500, req, res, fallbackMessage);
+}
+
+/**
+ * Get a project's workflow
+ * @route GET /api/projects/:projectId/workflow
+ */
+router.get("/", canRead, async (req, res) => {
+  try {
+    const workflow = await workflows.getWorkflow(req.params.projectId);
+
+    if (!workflow) {
+      return handleError(404, req, res, "This project has no workflow");
+    }
+
+    res.json(workflow);
+  } catch (error) {
+    console.error(`Error fetching workflow of ${req.params.projectId}:`, error);
+    handleError(500, req, res, "Failed to get workflow");
+  }
+});
+
+/**
+ * Define or replace a project's workflow. Status changes of the project's
+ * tasks are then checked against it, failing with 422.
+ * @route PUT /api/projects/:projectId/workflow
+ * @body {Array<Object>} states - { id, name?, category (todo, in-progress or
+ *   done), requiredFields?, aliases? }; requiredFields are task fields, or
+ *   customFields.<key> for custom fields
+ * @body {string} [initialState] - State of new tasks; defaults to the first state
+ * @body {Array<Object>} [transitions] - { from, to, roles? }; from may be "*".
+ *   Without transitions tasks may move between any states.
+ */
+router.put("/", canManage, async (req, res) => {
+  try {
+    const workflow = await workflows.setWorkflow(
+      req.params.projectId,
+      req.body || {},
+      req.user
+    );
+    res.json(workflow);
+  } catch (error) {
+    console.error(`Error setting workflow of ${req.params.projectId}:`, error);
+    sendError(req, res, error, "Failed to set workflow");
+  }
+});
+
+/**
+ * Remove a project's workflow
+ * @route DELETE /api/projects/:projectId/workflow
+ */
+router.delete("/", canManage, async (req, res) => {
+  try {
+    const deleted = await workflows.deleteWorkflow(req.params.projectId);
+
+    if (!deleted) {
+      return handleError(404, req, res, "This project has no workflow");
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting workflow of ${req.params.projectId}:`, error);
+    sendError(req, res, error, "Failed to delete workflow");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const burndownService = require("../burndown-service");
+const sprintService = require("../sprint-service");
+const taskService = require("../task-service");
+
+const context = { actor: { type: "user", uid: "ann" } };
+
+describe("burndown service", () => {
+  let sprint;
+  let tasks;
+
+  /**
+   * Run a change on a given day of March, at 09:00 UTC
+   */
+  async function on(day, change) {
+    jest.setSystemTime(new Date(`2026-03-${day}T09:00:00Z`));
+    await change();
+  }
+
+  beforeEach(async () => {
+    db.reset();
+    jest.useFakeTimers({ now: new Date("2026-03-01T09:00:00Z") });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "projects/alpha/customFields/points": {
+        key: "points",
+        name: "Points",
+        type: "number",
+        position: 0,
+      },
+      "projects/alpha/customFields/team": { key: "team", name: "Team", type: "text", position: 1 },
+      "projects/alpha/labels/v2": { name: "v2", group: null },
+    });
+
+    tasks = {};
+    for (const [title, points] of [["Header", 3], ["Footer", 5], ["Search", 2]]) {
+      tasks[title] = await taskService.createTask(
+        { projectId: "alpha", title, status: "todo", customFields: { points } },
+        context
+      );
+    }
+    sprint = await sprintService.createSprint(
+      "alpha",
+      { name: "Sprint 1", startDate: "2026-03-02", endDate: "2026-03-06" },
+      context.actor
+    );
+    await sprintService.addTasks("alpha", sprint.id, [tasks.Header.id, tasks.Footer.id], context);
+
+    await on("03", () => taskService.updateTask(tasks.Header.id, { status: "done" }, context));
+    await on("04", () => sprintService.addTasks("alpha", sprint.id, [tasks.Search.id], context));
+    await on("05", () => sprintService.removeTask("alpha", sprint.id, tasks.Footer.id, context));
+    jest.setSystemTime(new Date("2026-03-07T00:00:00Z"));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("should replay a sprint's history into burndown and burnup series", async () => {
+    const burndown = await burndownService.getBurndown("alpha", { sprintId: sprint.id });
+
+    expect(burndown).toMatchObject({
+      scope: { type: "sprint", sprintId: sprint.id, name: "Sprint 1" },
+      range: { from: "2026-03-02T00:00:00.000Z", to: "2026-03-07T00:00:00.000Z" },
+      pointsField: "points",
+      dates: ["2026-03-02", "2026-03-03", "2026-03-04", "2026-03-05", "2026-03-06"],
+    });
+    expect(burndown.burndown.remaining).toEqual({
+      tasks: [2, 1, 2, 1, 1],
+      points: [8, 5, 7, 2, 2],
+    });
+    expect(burndown.burndown.ideal.points).toEqual([6.4, 4.8, 3.2, 1.6, 0]);
+    expect(burndown.burnup.scope.points).toEqual([8, 8, 10, 5, 5]);
+    expect(burndown.burnup.completed.tasks).toEqual([0, 1, 1, 1, 1]);
+  });
+
+  test("should mark tasks added to and removed from the scope", async () => {
+    const { scopeChanges, totals } = await burndownService.getBurndown("alpha", {
+      sprintId: sprint.id,
+    });
+
+    expect(scopeChanges).toEqual([
+      expect.objectContaining({ date: "2026-03-04", taskId: tasks.Search.id, type: "added" }),
+      expect.objectContaining({ date: "2026-03-05", taskId: tasks.Footer.id, type: "removed" }),
+    ]);
+    expect(totals).toMatchObject({
+      initial: { scopeTasks: 2, scopePoints: 8 },
+      current: { scopeTasks: 2, scopePoints: 5, doneTasks: 1, donePoints: 3 },
+    });
+  });
+
+  test("should track a milestone label over a date range", async () => {
+    await on("04", () => taskService.updateTask(tasks.Footer.id, { labels: ["v2"] }, context));
+    jest.setSystemTime(new Date("2026-03-07T00:00:00Z"));
+    const range = { from: new Date("2026-03-02T00:00:00Z"), to: new Date("2026-03-07T00:00:00Z") };
+
+    const burndown = await burndownService.getBurndown("alpha", { label: "v2", range });
+
+    expect(burndown.scope).toEqual({ type: "milestone", label: "v2" });
+    expect(burndown.burnup.scope.tasks).toEqual([0, 0, 1, 1, 1]);
+  });
+
+  test("should return null for a missing sprint and reject other points fields", async () => {
+    expect(await burndownService.getBurndown("alpha", { sprintId: "missing" })).toBeNull();
+    await expect(
+      burndownService.getBurndown("alpha", { sprintId: sprint.id, pointsField: "team" })
+    ).rejects.toMatchObject({ status: 400 });
+  });
+
+  test("should report task counts only when the project has no points field", async () => {
+    await db.doc("projects/alpha/customFields/points").delete();
+
+    const burndown = await burndownService.getBurndown("alpha", { sprintId: sprint.id });
+
+    expect(burndown.pointsField).toBeNull();
+    expect(burndown.burndown.remaining.points).toBeNull();
+    expect(burndown.burndown.remaining.tasks).toEqual([2, 1, 2, 1, 1]);
+  });
+});
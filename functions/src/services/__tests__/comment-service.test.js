@@ -0,0 +1,119 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const commentService = require("../comment-service");
+
+const ann = { uid: "ann", name: "Ann" };
+const bob = { uid: "bob", email: "bob@example.com" };
+const root = { uid: "root", admin: true };
+
+describe("comment service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "tasks/t1": { title: "One", projectId: "alpha", commentCount: 0 },
+      "tasks/old": { title: "Old", projectId: "alpha", lifecycle: "archived" },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("adding comments", () => {
+    test("should add comments and replies and count them on the task", async () => {
+      const comment = await commentService.addComment("t1", { body: " First " }, ann);
+      const reply = await commentService.addComment(
+        "t1",
+        { body: "Reply", parentId: comment.id },
+        bob
+      );
+
+      expect(comment).toMatchObject({ body: "First", authorId: "ann", authorName: "Ann" });
+      expect(reply).toMatchObject({ parentId: comment.id, authorName: "bob@example.com" });
+      expect(db.dump("tasks/t1").commentCount).toBe(2);
+
+      const threads = await commentService.getComments("t1");
+      expect(threads).toHaveLength(1);
+      expect(threads[0].replies.map((item) => item.id)).toEqual([reply.id]);
+      expect(await commentService.getComments("t1", { threaded: false })).toHaveLength(2);
+    });
+
+    test("should reject invalid bodies, unknown parents and read-only tasks", async () => {
+      await expect(commentService.addComment("t1", { body: " " }, ann)).rejects.toMatchObject({
+        status: 400,
+      });
+      await expect(
+        commentService.addComment("t1", { body: "x".repeat(10001) }, ann)
+      ).rejects.toMatchObject({ status: 400 });
+      await expect(
+        commentService.addComment("t1", { body: "Hi", parentId: "nope" }, ann)
+      ).rejects.toMatchObject({ status: 400, message: "Parent comment nope not found" });
+      await expect(commentService.addComment("gone", { body: "Hi" }, ann)).rejects.toMatchObject({
+        status: 404,
+      });
+      await expect(commentService.addComment("old", { body: "Hi" }, ann)).rejects.toMatchObject({
+        status: 409,
+      });
+      expect(db.pathsIn("tasks/t1/comments")).toEqual([]);
+    });
+  });
+
+  describe("changing comments", () => {
+    let comment;
+
+    beforeEach(async () => {
+      comment = await commentService.addComment("t1", { body: "First" }, ann);
+    });
+
+    test("should let the author edit, keeping the previous text", async () => {
+      const updated = await commentService.updateComment("t1", comment.id, { body: "Fixed" }, ann);
+
+      expect(updated).toMatchObject({
+        body: "Fixed",
+        edited: true,
+        editHistory: [expect.objectContaining({ body: "First", editedBy: "ann" })],
+      });
+    });
+
+    test("should refuse other users but let platform admins moderate", async () => {
+      await expect(
+        commentService.updateComment("t1", comment.id, { body: "Mine now" }, bob)
+      ).rejects.toMatchObject({ status: 403 });
+      await expect(commentService.deleteComment("t1", comment.id, bob)).rejects.toMatchObject({
+        status: 403,
+      });
+
+      const moderated = await commentService.updateComment(
+        "t1",
+        comment.id,
+        { body: "Removed by a moderator" },
+        root
+      );
+      expect(moderated.editHistory[0].editedBy).toBe("root");
+      expect(await commentService.deleteComment("t1", comment.id, root)).toBe(true);
+      expect(db.pathsIn("tasks/t1/comments")).toEqual([]);
+      expect(db.dump("tasks/t1").commentCount).toBe(0);
+    });
+
+    test("should blank deleted comments that have replies", async () => {
+      await commentService.addComment("t1", { body: "Reply", parentId: comment.id }, bob);
+
+      await commentService.deleteComment("t1", comment.id, ann);
+
+      expect(db.dump(`tasks/t1/comments/${comment.id}`)).toMatchObject({
+        body: "",
+        deleted: true,
+      });
+      await expect(
+        commentService.updateComment("t1", comment.id, { body: "Back" }, ann)
+      ).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const customFieldService = require("../custom-field-service");
+const taskService = require("../task-service");
+
+describe("custom field service", () => {
+  beforeEach(async () => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "projects/beta": { name: "Beta" },
+      "projects/old": { name: "Old", lifecycle: "archived" },
+    });
+    await customFieldService.createField("alpha", {
+      key: "severity",
+      name: "Severity",
+      type: "select",
+      options: ["low", "high"],
+      required: true,
+    });
+    await customFieldService.createField("alpha", {
+      key: "points",
+      name: "Story points",
+      type: "number",
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should keep field keys unique and order fields by creation", async () => {
+    await expect(
+      customFieldService.createField("alpha", { key: "points", name: "Points", type: "number" })
+    ).rejects.toMatchObject({ status: 409 });
+    await expect(
+      customFieldService.createField("old", { key: "x", name: "X", type: "text" })
+    ).rejects.toMatchObject({ status: 409 });
+    await expect(
+      customFieldService.updateField("alpha", "points", { type: "text" })
+    ).rejects.toMatchObject({ status: 400, message: "type cannot be changed" });
+
+    const fields = await customFieldService.getFields("alpha");
+    expect(fields.map((field) => [field.key, field.position])).toEqual([
+      ["severity", 0],
+      ["points", 1],
+    ]);
+  });
+
+  test("should validate values when tasks are created and updated", async () => {
+    await expect(
+      taskService.createTask({ title: "No severity", projectId: "alpha" })
+    ).rejects.toMatchObject({ status: 400 });
+    await expect(
+      taskService.createTask({
+        title: "Bad points",
+        projectId: "alpha",
+        customFields: { severity: "low", points: "three" },
+      })
+    ).rejects.toMatchObject({ status: 400, message: "Story points must be a number" });
+
+    const task = await taskService.createTask({
+      title: "Valid",
+      projectId: "alpha",
+      customFields: { severity: "high" },
+    });
+    const updated = await taskService.updateTask(task.id, { customFields: { points: 5 } });
+    expect(updated.customFields).toEqual({ severity: "high", points: 5 });
+
+    await expect(
+      taskService.updateTask(task.id, { customFields: { severity: "urgent" } })
+    ).rejects.toMatchObject({ status: 400 });
+  });
+
+  test("should check values against the target project when a task moves", async () => {
+    const task = await taskService.createTask({ title: "Loose", projectId: "beta" });
+    await expect(
+      taskService.updateTask(task.id, { projectId: "alpha", customFields: { points: 2 } })
+    ).rejects.toMatchObject({ status: 400 });
+  });
+
+  test("should filter tasks by custom field values", async () => {
+    await taskService.createTask({
+      title: "Low",
+      projectId: "alpha",
+      customFields: { severity: "low", points: 1 },
+    });
+    await taskService.createTask({
+      title: "High",
+      projectId: "alpha",
+      customFields: { severity: "high", points: 8 },
+    });
+
+    const { tasks } = await taskService.getTasks({
+      projectId: "alpha",
+      customFields: { severity: "high" },
+    });
+    expect(tasks.map((task) => task.title)).toEqual(["High"]);
+
+    await expect(
+      taskService.getTasks({ projectId: "alpha", customFields: { points: "many" } })
+    ).rejects.toMatchObject({ status: 400 });
+    await expect(
+      taskService.getTasks({ customFields: { severity: "high" } })
+    ).rejects.toMatchObject({ status: 400 });
+  });
+});
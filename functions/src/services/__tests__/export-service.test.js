@@ -0,0 +1,129 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const exportService = require("../export-service");
+
+/**
+ * Read a whole export stream
+ */
+async function collect(plan, format) {
+  let text = "";
+  for await (const chunk of exportService.streamExport(plan, format)) {
+    text += chunk;
+  }
+  return text;
+}
+
+describe("export service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/p1": { name: "Website", depth: 0, ancestorIds: [] },
+      "projects/p1/labels/bug": { name: "bug", color: "#ff0000", group: null },
+      "projects/p1/customFields/points": { key: "points", type: "number", position: 0 },
+      "projects/p2": { name: "Blog", depth: 1, parentProjectId: "p1", ancestorIds: ["p1"] },
+      "projects/p3": {
+        name: "Old",
+        depth: 1,
+        parentProjectId: "p1",
+        ancestorIds: ["p1"],
+        lifecycle: "deleted",
+      },
+      "tasks/t1": {
+        projectId: "p1",
+        title: "Fix header",
+        status: "todo",
+        labels: ["bug"],
+        customFields: { points: 3 },
+        createdAt: new Date("2026-01-02T10:00:00Z"),
+      },
+      "tasks/t1/comments/c1": {
+        body: "On it",
+        createdAt: new Date("2026-01-03T10:00:00Z"),
+      },
+      "tasks/t1/history/h1": { field: "status", to: "todo", at: new Date("2026-01-02T10:00:00Z") },
+      "tasks/t2": { projectId: "p2", title: "Write post", status: "done" },
+      "tasks/t3": { projectId: "p1", title: "Trashed", status: "todo", lifecycle: "deleted" },
+      "tasks/t4": { projectId: "p3", title: "In old project", status: "todo" },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should return null for a missing project", async () => {
+    expect(await exportService.prepareExport("missing")).toBeNull();
+  });
+
+  test("should plan the project and its sub-projects outside the trash", async () => {
+    const plan = await exportService.prepareExport("p1");
+
+    expect(plan.projects.map((project) => project.id)).toEqual(["p1", "p2"]);
+    expect(plan.projects[0]).toMatchObject({
+      labels: [{ name: "bug" }],
+      customFields: [{ key: "points" }],
+    });
+
+    const withDeleted = await exportService.prepareExport("p1", { includeDeleted: true });
+    expect(withDeleted.projects.map((project) => project.id)).toEqual(["p1", "p2", "p3"]);
+  });
+
+  test("should stream a versioned JSON archive with comments and history", async () => {
+    const plan = await exportService.prepareExport("p1");
+    const archive = JSON.parse(await collect(plan, "json"));
+
+    expect(archive).toMatchObject({
+      format: "firesite-project-export",
+      version: 1,
+      projectId: "p1",
+    });
+    expect(archive.tasks.map((task) => task.id)).toEqual(["t1", "t2"]);
+    expect(archive.tasks[0]).toMatchObject({
+      createdAt: "2026-01-02T10:00:00.000Z",
+      comments: [{ id: "c1", body: "On it", createdAt: "2026-01-03T10:00:00.000Z" }],
+      history: [{ id: "h1", field: "status" }],
+    });
+  });
+
+  test("should stream a task CSV with custom field columns", async () => {
+    const plan = await exportService.prepareExport("p1");
+    const lines = (await collect(plan, "csv")).trim().split("\r\n");
+
+    expect(lines[0]).toMatch(/^id,projectId,projectName,title,.*,cf:points$/);
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toMatch(/^t1,p1,Website,Fix header,,todo,.*,3$/);
+    expect(lines[2]).toMatch(/^t2,p2,Blog,Write post,/);
+  });
+
+  test("should group the Markdown report by status with counts", async () => {
+    const plan = await exportService.prepareExport("p1");
+    const report = await collect(plan, "md");
+
+    expect(report).toContain("# Website");
+    expect(report).toContain("2 tasks");
+    expect(report.indexOf("## todo (1)")).toBeLessThan(report.indexOf("## done (1)"));
+    expect(report).toContain("- **Write post** (`t2`)\n  project: Blog");
+    expect(report).not.toContain("Trashed");
+  });
+
+  test("should read tasks a page at a time", async () => {
+    const seed = {};
+    for (let i = 0; i < 105; i++) {
+      seed[`tasks/bulk${String(i).padStart(3, "0")}`] = { projectId: "p2", title: `Bulk ${i}` };
+    }
+    db.seed(seed);
+    const plan = await exportService.prepareExport("p2");
+
+    const lines = (await collect(plan, "csv")).trim().split("\r\n");
+
+    expect(lines).toHaveLength(107);
+    expect(new Set(lines.slice(1).map((line) => line.split(",")[0])).size).toBe(106);
+  });
+});
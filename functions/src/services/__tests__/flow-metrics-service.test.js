@@ -0,0 +1,114 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const flowMetrics = require("../flow-metrics-service");
+const taskService = require("../task-service");
+
+const range = { from: new Date("2026-03-02T00:00:00Z"), to: new Date("2026-03-09T00:00:00Z") };
+
+describe("flow metrics service", () => {
+  let fix;
+  let docs;
+
+  /**
+   * Move a task on a given day, at 09:00 UTC
+   */
+  async function moveOn(day, taskId, status) {
+    jest.setSystemTime(new Date(`2026-03-${day}T09:00:00Z`));
+    await taskService.updateTask(taskId, { status });
+  }
+
+  beforeEach(async () => {
+    db.reset();
+    jest.useFakeTimers({ now: new Date("2026-03-02T09:00:00Z") });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/p1": { name: "Website" },
+      "projects/p1/labels/bug": { name: "bug", group: null },
+    });
+
+    fix = await taskService.createTask({
+      projectId: "p1",
+      title: "Fix header",
+      status: "todo",
+      labels: ["bug"],
+    });
+    docs = await taskService.createTask({ projectId: "p1", title: "Write docs", status: "todo" });
+    await moveOn("03", fix.id, "in-progress");
+    await moveOn("03", docs.id, "in-progress");
+    await moveOn("06", fix.id, "done");
+    jest.setSystemTime(range.to);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("should record each status transition on task writes", async () => {
+    const { statusTransitions, statusChangedAt } = db.dump(`tasks/${fix.id}`);
+
+    expect(statusTransitions.map(({ from, to }) => [from, to])).toEqual([
+      [null, "todo"],
+      ["todo", "in-progress"],
+      ["in-progress", "done"],
+    ]);
+    expect(statusChangedAt.toDate()).toEqual(new Date("2026-03-06T09:00:00Z"));
+  });
+
+  test("should compute lead time, cycle time, throughput, WIP and flow", async () => {
+    const metrics = await flowMetrics.getFlowMetrics("p1", { range });
+
+    expect(metrics).toMatchObject({
+      projectId: "p1",
+      range: { from: "2026-03-02T00:00:00.000Z", to: "2026-03-09T00:00:00.000Z" },
+      tasks: { total: 2, tracked: 2, completed: 1 },
+      leadTime: { count: 1, median: 4 },
+      cycleTime: {
+        overall: { count: 1, median: 3 },
+        byColumn: { todo: { median: 1 }, "in-progress": { median: 3 } },
+      },
+      throughput: [{ week: "2026-03-02", completed: 1 }],
+    });
+    expect(metrics.wip.map((day) => day.count)).toEqual([0, 2, 2, 2, 1, 1, 1]);
+    expect(metrics.cfd.statuses).toEqual(["todo", "in-progress", "done"]);
+    expect(metrics.cfd.series.done).toEqual([0, 0, 0, 0, 1, 1, 1]);
+  });
+
+  test("should filter by label and skip tasks in the trash", async () => {
+    db.seed({
+      "tasks/trashed": {
+        projectId: "p1",
+        status: "done",
+        lifecycle: "deleted",
+        createdAt: new Date("2026-03-02T10:00:00Z"),
+      },
+      "tasks/archived": {
+        projectId: "p1",
+        status: "done",
+        lifecycle: "archived",
+        createdAt: new Date("2026-03-02T10:00:00Z"),
+      },
+    });
+
+    const all = await flowMetrics.getFlowMetrics("p1", { range });
+    expect(all.tasks).toEqual({ total: 3, tracked: 2, completed: 1 });
+
+    const bugs = await flowMetrics.getFlowMetrics("p1", { range, labels: ["bug"] });
+    expect(bugs).toMatchObject({ labels: ["bug"], tasks: { total: 1, completed: 1 } });
+  });
+
+  test("should leave out tasks created after the range", async () => {
+    const earlier = { from: range.from, to: new Date("2026-03-02T08:00:00Z") };
+
+    const metrics = await flowMetrics.getFlowMetrics("p1", { range: earlier });
+
+    expect(metrics.tasks.total).toBe(0);
+    expect(metrics.throughput).toEqual([{ week: "2026-03-02", completed: 0 }]);
+  });
+});
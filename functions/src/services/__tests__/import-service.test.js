@@ -0,0 +1,143 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const importService = require("../import-service");
+const labelService = require("../label-service");
+const taskService = require("../task-service");
+
+const CSV = [
+  "Task,Stage,Tags,Owner,Note",
+  "Write docs,Doing,docs,ana@example.com,Started the outline",
+  "Fix login,Shipped,bug,someone@example.com,",
+].join("\n");
+
+const request = {
+  source: "csv",
+  data: CSV,
+  mapping: { title: "Task", status: "Stage", labels: "Tags", assignee: "Owner", comments: "Note" },
+};
+
+describe("import service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/p1": { name: "Website", ancestorIds: [] },
+      "projects/p1/labels/bug": { name: "bug", color: "#ff0000", group: null },
+      "projects/p1/members/u-ana": { name: "Ana Lima", email: "ana@example.com", role: "member" },
+      "projects/archived": { name: "Old", lifecycle: "archived" },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const tasksOf = (projectId) =>
+    db.pathsIn("tasks").filter((path) => db.dump(path).projectId === projectId);
+
+  test("should report a dry run without writing anything", async () => {
+    const report = await importService.previewImport("p1", request);
+
+    expect(report).toMatchObject({
+      total: 2,
+      byStatus: { "in-progress": 1, done: 1 },
+      newLabels: ["docs"],
+      assignees: { matched: 1, unmatched: ["someone@example.com"] },
+      comments: 1,
+    });
+    expect(tasksOf("p1")).toEqual([]);
+    expect(db.pathsIn("projects/p1/imports")).toEqual([]);
+  });
+
+  test("should reject invalid requests and read-only projects", async () => {
+    await expect(
+      importService.previewImport("p1", { ...request, mapping: { title: "Name" } })
+    ).rejects.toMatchObject({ status: 400 });
+    await expect(
+      importService.startImport("p1", { ...request, data: CSV.split("\n")[0] })
+    ).rejects.toMatchObject({ status: 400, message: "The export contains no tasks to import" });
+    await expect(importService.startImport("archived", request)).rejects.toMatchObject({
+      status: 409,
+    });
+    await expect(importService.previewImport("missing", request)).rejects.toMatchObject({
+      status: 404,
+    });
+  });
+
+  test("should queue a job and create its labels, tasks and comments once", async () => {
+    const job = await importService.startImport("p1", request, { userId: "u-ana" });
+
+    expect(job).toMatchObject({ status: "queued", progress: { total: 2, processed: 0 } });
+    expect(db.pathsIn(`projects/p1/imports/${job.id}/items`)).toHaveLength(2);
+
+    await importService.runImport("p1", job.id);
+
+    expect(await importService.getImport("p1", job.id)).toMatchObject({
+      status: "completed",
+      progress: { total: 2, processed: 2, created: 2, failed: 0 },
+      errors: [],
+    });
+    expect(db.pathsIn(`projects/p1/imports/${job.id}/items`)).toEqual([]);
+    expect([...(await labelService.getLabelNames("p1"))].sort()).toEqual(["bug", "docs"]);
+
+    const tasks = tasksOf("p1").map((path) => ({ path, ...db.dump(path) }));
+    expect(tasks).toHaveLength(2);
+    const docs = tasks.find((task) => task.title === "Write docs");
+    expect(docs).toMatchObject({ status: "in-progress", assignee: "u-ana", labels: ["docs"] });
+    expect(db.pathsIn(`${docs.path}/comments`)).toHaveLength(1);
+
+    // The trigger may fire again; the job does not run twice
+    await importService.runImport("p1", job.id);
+    expect(tasksOf("p1")).toHaveLength(2);
+  });
+
+  test("should record tasks that fail and complete the rest", async () => {
+    const job = await importService.startImport("p1", request);
+    const createTask = taskService.createTask;
+    jest
+      .spyOn(taskService, "createTask")
+      .mockImplementation((data, context) =>
+        data.title === "Fix login"
+          ? Promise.reject(new Error("Tasks require a priority"))
+          : createTask(data, context)
+      );
+
+    await importService.runImport("p1", job.id);
+
+    expect(await importService.getImport("p1", job.id)).toMatchObject({
+      status: "completed",
+      progress: { processed: 2, created: 1, failed: 1 },
+      errors: [{ index: 1, title: "Fix login", error: "Tasks require a priority" }],
+    });
+  });
+
+  test("should mark the job failed when its labels cannot be created", async () => {
+    const job = await importService.startImport("p1", request);
+    jest.spyOn(labelService, "createLabel").mockRejectedValue(new Error("Quota exceeded"));
+
+    await importService.runImport("p1", job.id);
+
+    expect(await importService.getImport("p1", job.id)).toMatchObject({
+      status: "failed",
+      error: "Quota exceeded",
+      progress: { processed: 0 },
+    });
+    expect(tasksOf("p1")).toEqual([]);
+  });
+
+  test("should list jobs newest first", async () => {
+    const first = await importService.startImport("p1", request);
+    db.seed({ [`projects/p1/imports/${first.id}`]: { createdAt: new Date("2026-01-01") } });
+    const second = await importService.startImport("p1", request);
+
+    const jobs = await importService.getImports("p1");
+
+    expect(jobs.map((job) => job.id)).toEqual([second.id, first.id]);
+  });
+});
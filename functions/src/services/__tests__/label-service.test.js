@@ -0,0 +1,92 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const labelService = require("../label-service");
+const taskService = require("../task-service");
+
+const context = { actor: { type: "user", uid: "ann" } };
+
+describe("label service", () => {
+  let bug;
+  let defect;
+
+  beforeEach(async () => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "projects/old": { name: "Old", lifecycle: "deleted" },
+    });
+    bug = await labelService.createLabel("alpha", { name: "bug", color: "#ff0000" });
+    defect = await labelService.createLabel("alpha", { name: "defect" });
+    db.seed({
+      "tasks/t1": { title: "One", projectId: "alpha", labels: ["bug", "ui"], version: 1 },
+      "tasks/t2": { title: "Two", projectId: "alpha", labels: ["defect"], version: 1 },
+      "tasks/t3": { title: "Three", projectId: "beta", labels: ["bug"], version: 1 },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should refuse duplicate names and read-only projects", async () => {
+    await expect(labelService.createLabel("alpha", { name: "BUG" })).rejects.toMatchObject({
+      status: 409,
+      message: 'Label "bug" already exists',
+    });
+    await expect(labelService.createLabel("old", { name: "bug" })).rejects.toMatchObject({
+      status: 409,
+    });
+    await expect(labelService.createLabel("alpha", { name: "" })).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+
+  test("should rename a label on the tasks of its project only", async () => {
+    const result = await labelService.updateLabel("alpha", bug.id, { name: "Bug" }, context);
+
+    expect(result.tasks).toEqual({ succeeded: 1, failed: [] });
+    expect(db.dump("tasks/t1").labels).toEqual(["ui", "Bug"]);
+    expect(db.dump("tasks/t3").labels).toEqual(["bug"]);
+    await expect(
+      labelService.updateLabel("alpha", defect.id, { name: "bug" }, context)
+    ).rejects.toMatchObject({ status: 409 });
+  });
+
+  test("should merge labels into a target and relabel their tasks", async () => {
+    const result = await labelService.mergeLabels("alpha", [defect.id], bug.id, context);
+
+    expect(result.merged).toEqual(["defect"]);
+    expect(db.dump("tasks/t2").labels).toEqual(["bug"]);
+    expect(await labelService.getLabel("alpha", defect.id)).toBeNull();
+    await expect(
+      labelService.mergeLabels("alpha", [bug.id], bug.id, context)
+    ).rejects.toMatchObject({ status: 400 });
+    await expect(
+      labelService.mergeLabels("alpha", ["gone"], bug.id, context)
+    ).rejects.toMatchObject({ status: 404 });
+  });
+
+  test("should remove a deleted label from tasks", async () => {
+    await labelService.deleteLabel("alpha", bug.id, context);
+    expect(db.dump("tasks/t1").labels).toEqual(["ui"]);
+  });
+
+  test("should only let tasks gain labels from the catalog", async () => {
+    await expect(
+      taskService.updateTask("t2", { labels: ["defect", "urgent"] })
+    ).rejects.toMatchObject({
+      status: 400,
+      message: "Labels not defined for project alpha: urgent",
+    });
+    // Labels carried from before the catalog existed stay
+    const updated = await taskService.updateTask("t1", { labels: ["ui", "bug", "defect"] });
+    expect(updated.labels).toEqual(["ui", "bug", "defect"]);
+  });
+});
@@ -0,0 +1,181 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../email", () => ({
+  ...jest.requireActual("../email"),
+  sendTemplateEmail: jest.fn(),
+}));
+jest.mock("../sms", () => ({ sendSms: jest.fn() }));
+
+const admin = require("firebase-admin");
+const db = admin.firestore();
+const email = require("../email");
+const sms = require("../sms");
+const notificationService = require("../notification-service");
+
+const { TASK_DUE_SOON, TASK_OVERDUE } = email.TEMPLATES.NOTIFICATIONS;
+
+const NOW = new Date("2026-03-10T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+describe("notification service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    email.sendTemplateEmail.mockReset().mockResolvedValue(true);
+    sms.sendSms.mockReset().mockResolvedValue(true);
+    jest.spyOn(admin, "auth").mockReturnValue({
+      getUser: async (uid) => ({ uid, email: `${uid}@example.com`, phoneNumber: "+15550100" }),
+    });
+    TASK_DUE_SOON.id = "d-due-soon";
+    TASK_OVERDUE.id = "d-overdue";
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    TASK_DUE_SOON.id = null;
+    TASK_OVERDUE.id = null;
+  });
+
+  test("should flag overdue tasks and remind each once per due date", async () => {
+    const dueDate = new Date(NOW.getTime() - 2 * HOUR);
+    db.seed({ "tasks/t1": { title: "Late", status: "todo", assignee: "ann", dueDate } });
+
+    expect(await notificationService.sendDueReminders(NOW)).toEqual({
+      scanned: 1,
+      flagged: 1,
+      reminded: 1,
+    });
+    expect(email.sendTemplateEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ to: "ann@example.com", template: TASK_OVERDUE })
+    );
+    expect(db.dump("tasks/t1")).toMatchObject({
+      overdue: true,
+      reminders: { overdue: dueDate.toISOString() },
+    });
+
+    // A second run sends nothing new
+    expect(await notificationService.sendDueReminders(NOW)).toMatchObject({
+      flagged: 0,
+      reminded: 0,
+    });
+    expect(email.sendTemplateEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test("should send due-soon reminders within the user's lead time", async () => {
+    db.seed({
+      "notificationPreferences/ann": { dueSoonHours: 4, sms: true },
+      "tasks/soon": {
+        title: "Soon",
+        status: "todo",
+        assignee: "ann",
+        dueDate: new Date(NOW.getTime() + 3 * HOUR),
+      },
+      "tasks/later": {
+        title: "Later",
+        status: "todo",
+        assignee: "ann",
+        dueDate: new Date(NOW.getTime() + 10 * HOUR),
+      },
+      "tasks/done": {
+        title: "Done",
+        status: "done",
+        assignee: "ann",
+        dueDate: new Date(NOW.getTime() + HOUR),
+      },
+    });
+
+    const result = await notificationService.sendDueReminders(NOW);
+
+    expect(result.reminded).toBe(1);
+    expect(email.sendTemplateEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        template: TASK_DUE_SOON,
+        data: expect.objectContaining({ taskId: "soon" }),
+      })
+    );
+    expect(sms.sendSms).toHaveBeenCalledWith(expect.objectContaining({ to: "+15550100" }));
+    expect(db.dump("tasks/later").reminders).toBeUndefined();
+  });
+
+  test("should retry reminders whose delivery failed on the next run", async () => {
+    db.seed({
+      "tasks/t1": {
+        title: "Late",
+        status: "todo",
+        createdBy: "ann",
+        dueDate: new Date(NOW.getTime() - HOUR),
+      },
+    });
+    email.sendTemplateEmail.mockRejectedValueOnce(new Error("SendGrid is down"));
+
+    expect(await notificationService.sendDueReminders(NOW)).toMatchObject({
+      flagged: 1,
+      reminded: 0,
+    });
+    expect(db.dump("tasks/t1").reminders).toBeUndefined();
+
+    expect(await notificationService.sendDueReminders(NOW)).toMatchObject({ reminded: 1 });
+  });
+
+  test("should record reminders without email while their template has no ID", async () => {
+    TASK_OVERDUE.id = null;
+    db.seed({
+      "notificationPreferences/bob": { sms: true },
+      "tasks/t1": {
+        title: "Late",
+        status: "todo",
+        assignee: "ann",
+        dueDate: new Date(NOW.getTime() - HOUR),
+      },
+      "tasks/t2": {
+        title: "Also late",
+        status: "todo",
+        assignee: "bob",
+        dueDate: new Date(NOW.getTime() - HOUR),
+      },
+    });
+
+    expect(await notificationService.sendDueReminders(NOW)).toMatchObject({ reminded: 2 });
+    expect(email.sendTemplateEmail).not.toHaveBeenCalled();
+    expect(sms.sendSms).toHaveBeenCalledTimes(1);
+    expect(db.dump("tasks/t1").reminders).toHaveProperty("overdue");
+
+    // Recorded reminders are not retried
+    expect(await notificationService.sendDueReminders(NOW)).toMatchObject({ reminded: 0 });
+  });
+
+  test("should skip tasks in the trash and tasks of API keys", async () => {
+    db.seed({
+      "tasks/trashed": {
+        title: "Trashed",
+        assignee: "ann",
+        lifecycle: "deleted",
+        dueDate: new Date(NOW.getTime() - HOUR),
+      },
+      "tasks/bot": {
+        title: "Bot",
+        createdBy: "api-key:k1",
+        dueDate: new Date(NOW.getTime() - HOUR),
+      },
+    });
+
+    expect(await notificationService.sendDueReminders(NOW)).toEqual({
+      scanned: 2,
+      flagged: 1,
+      reminded: 0,
+    });
+    expect(db.dump("tasks/trashed").overdue).toBeUndefined();
+    expect(email.sendTemplateEmail).not.toHaveBeenCalled();
+  });
+
+  test("should reject invalid preferences", async () => {
+    await expect(
+      notificationService.updatePreferences("ann", { dueSoonHours: -1 })
+    ).rejects.toMatchObject({ status: 400 });
+    expect(await notificationService.updatePreferences("ann", { sms: true })).toMatchObject({
+      sms: true,
+      email: true,
+      dueSoonHours: 24,
+    });
+  });
+});
@@ -0,0 +1,46 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+
+const db = require("firebase-admin").firestore();
+const organizationService = require("../organization-service");
+
+describe("organization service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "organizations/acme": { name: "Acme", adminIds: ["olga"] },
+      "organizations/globex": { name: "Globex", adminIds: ["gus"] },
+      "projects/platform": { name: "Platform", organizationId: "acme", ancestorIds: [] },
+      "projects/api": { name: "API", organizationId: "acme", ancestorIds: ["platform"] },
+      "projects/api/members/ann": { uid: "ann", role: "viewer" },
+      "projects/solo": { name: "Solo", ancestorIds: [] },
+      "projects/solo/members/sam": { uid: "sam", role: "owner" },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const visibleTo = async (user) => {
+    const organizations = await organizationService.getOrganizations();
+    const visible = await organizationService.filterAccessible(organizations, user);
+    return visible.map((organization) => organization.id);
+  };
+
+  test("should show organizations to their admins and project members only", async () => {
+    expect(await visibleTo({ uid: "olga" })).toEqual(["acme"]);
+    expect(await visibleTo({ uid: "ann" })).toEqual(["acme"]);
+    expect(await visibleTo({ uid: "sam" })).toEqual([]);
+    expect(await visibleTo({ uid: "zed" })).toEqual([]);
+  });
+
+  test("should show every organization to platform admins", async () => {
+    expect(await visibleTo({ uid: "root", admin: true })).toEqual(["acme", "globex"]);
+  });
+
+  test("should show project API keys the organization of their project", async () => {
+    expect(await visibleTo({ uid: "api-key:k1", tokenProjectId: "api" })).toEqual(["acme"]);
+    expect(await visibleTo({ uid: "api-key:k2", tokenProjectId: "solo" })).toEqual([]);
+  });
+});
@@ -0,0 +1,184 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const projectService = require("../project-service");
+const projectMembers = require("../project-member-service");
+
+describe("project hierarchy", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    // acme: platform > api > auth; web stands alone
+    db.seed({
+      "projects/platform": { name: "Platform", organizationId: "acme", ancestorIds: [], depth: 0 },
+      "projects/api": {
+        name: "API",
+        organizationId: "acme",
+        parentProjectId: "platform",
+        ancestorIds: ["platform"],
+        depth: 1,
+        version: 3,
+      },
+      "projects/auth": {
+        name: "Auth",
+        organizationId: "acme",
+        parentProjectId: "api",
+        ancestorIds: ["platform", "api"],
+        depth: 2,
+        lifecycle: "archived",
+      },
+      "projects/web": { name: "Web", organizationId: "acme", ancestorIds: [], depth: 0 },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("creating sub-projects", () => {
+    test("should place sub-projects below their parent", async () => {
+      const created = await projectService.createProject(
+        { name: "Billing", parentProjectId: "api" },
+        { owner: { uid: "ann" } }
+      );
+
+      expect(created).toMatchObject({
+        organizationId: "acme",
+        parentProjectId: "api",
+        ancestorIds: ["platform", "api"],
+        depth: 2,
+      });
+      expect(db.dump(`projects/${created.id}/members/ann`).role).toBe("owner");
+    });
+
+    test("should refuse a parent from another organization", async () => {
+      await expect(
+        projectService.createProject({ name: "X", parentProjectId: "api", organizationId: "other" })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe("moving projects", () => {
+    test("should rewrite the ancestors of the whole subtree", async () => {
+      const moved = await projectService.moveProject("api", "web", { userId: "ann" });
+
+      expect(moved).toMatchObject({
+        parentProjectId: "web",
+        ancestorIds: ["web"],
+        depth: 1,
+        version: 4,
+        movedDescendants: 1,
+      });
+      // Archived descendants move along
+      expect(db.dump("projects/auth")).toMatchObject({
+        parentProjectId: "api",
+        ancestorIds: ["web", "api"],
+        depth: 2,
+        updatedBy: "ann",
+      });
+    });
+
+    test("should move a subtree to the top level of its organization", async () => {
+      await projectService.moveProject("api", null);
+
+      expect(db.dump("projects/api")).toMatchObject({
+        organizationId: "acme",
+        parentProjectId: null,
+        ancestorIds: [],
+        depth: 0,
+      });
+      expect(db.dump("projects/auth")).toMatchObject({ ancestorIds: ["api"], depth: 1 });
+    });
+
+    test("should refuse moves into the project itself or its subtree", async () => {
+      await expect(projectService.moveProject("api", "api")).rejects.toMatchObject({
+        status: 409,
+        message: "A project cannot be its own parent",
+      });
+      await expect(projectService.moveProject("platform", "auth")).rejects.toMatchObject({
+        status: 409,
+        message: "A project cannot be moved into its own subtree",
+      });
+      expect(db.dump("projects/platform").ancestorIds).toEqual([]);
+    });
+
+    test("should refuse missing, archived and read-only targets", async () => {
+      await expect(projectService.moveProject("nope", null)).rejects.toMatchObject({
+        status: 404,
+      });
+      await expect(projectService.moveProject("web", "nope")).rejects.toMatchObject({
+        status: 400,
+      });
+      await expect(projectService.moveProject("auth", "web")).rejects.toMatchObject({
+        status: 409,
+      });
+      await expect(projectService.moveProject("web", "auth")).rejects.toMatchObject({
+        status: 409,
+      });
+    });
+
+    test("should keep hierarchy fields out of plain updates", async () => {
+      await expect(
+        projectService.updateProject("api", { parentProjectId: "web" })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+
+    test("should list the subtree and the ancestors of a project", async () => {
+      const children = await projectService.getChildren("platform", {
+        recursive: true,
+        includeArchived: true,
+      });
+      expect(children.map((project) => project.id)).toEqual(["api", "auth"]);
+
+      const ancestors = await projectService.getAncestors("auth");
+      expect(ancestors.map((project) => project.id)).toEqual(["platform", "api"]);
+    });
+  });
+
+  describe("inherited roles", () => {
+    test("should inherit roles granted on ancestors", async () => {
+      db.seed({ "projects/platform/members/ann": { uid: "ann", role: "admin" } });
+
+      const access = await projectMembers.resolveAccess("auth", "ann");
+
+      expect(access).toMatchObject({ role: "admin", sourceProjectId: "platform" });
+    });
+
+    test("should let the nearest membership win", async () => {
+      db.seed({
+        "projects/platform/members/ann": { uid: "ann", role: "admin" },
+        "projects/api/members/ann": { uid: "ann", role: "viewer" },
+      });
+
+      expect(await projectMembers.resolveAccess("auth", "ann")).toMatchObject({
+        role: "viewer",
+        sourceProjectId: "api",
+      });
+      expect(await projectMembers.resolveAccess("platform", "ann")).toMatchObject({
+        role: "admin",
+      });
+
+      const members = await projectMembers.getMembers("auth");
+      expect(members).toEqual([
+        expect.objectContaining({ uid: "ann", role: "viewer", inherited: true }),
+      ]);
+    });
+
+    test("should follow a project to its new ancestors", async () => {
+      db.seed({
+        "projects/platform/members/ann": { uid: "ann", role: "admin" },
+        "projects/web/members/bob": { uid: "bob", role: "member" },
+      });
+
+      await projectService.moveProject("api", "web");
+
+      expect((await projectMembers.resolveAccess("auth", "ann")).role).toBeNull();
+      expect((await projectMembers.resolveAccess("auth", "bob")).role).toBe("member");
+    });
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const taskService = require("../task-service");
+const recurrenceService = require("../recurrence-service");
+
+const START = "2026-03-01T09:00:00Z";
+const context = { actor: { type: "user", uid: "ann" } };
+
+function dayAfter(iso, days) {
+  return new Date(new Date(iso).getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+async function startSeries(mode) {
+  return recurrenceService.createSeries(
+    "alpha",
+    { rule: "FREQ=DAILY", mode, startDate: START, task: { title: "Stand-up notes" } },
+    context
+  );
+}
+
+function seriesTasks(seriesId) {
+  return db
+    .pathsIn("tasks")
+    .map((path) => db.dump(path))
+    .filter((task) => task.seriesId === seriesId)
+    .sort((a, b) => a.occurrence - b.occurrence);
+}
+
+describe("recurrence service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({ "projects/alpha": { name: "Alpha" } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should reject invalid rules and tasks already in a series", async () => {
+    await expect(
+      recurrenceService.createSeries("alpha", { rule: "FREQ=SOMETIMES", task: { title: "X" } })
+    ).rejects.toMatchObject({ status: 400 });
+
+    db.seed({ "tasks/t1": { title: "Linked", projectId: "alpha", seriesId: "other" } });
+    await expect(
+      recurrenceService.createSeries("alpha", { rule: "FREQ=DAILY", taskId: "t1" })
+    ).rejects.toMatchObject({ status: 409 });
+  });
+
+  test("should create scheduled occurrences once each as they fall due", async () => {
+    const series = await startSeries("schedule");
+    expect(series.occurrences).toHaveLength(1);
+    expect(series.nextRunAt).toEqual(new Date(START));
+
+    const now = dayAfter(START, 0.5);
+    expect(await recurrenceService.materializeDueSeries(now)).toBe(1);
+    // The next occurrence is not due until its own due date
+    expect(await recurrenceService.materializeDueSeries(now)).toBe(0);
+
+    const tasks = seriesTasks(series.id);
+    expect(tasks.map((task) => task.occurrence)).toEqual([1, 2]);
+    expect(tasks[1]).toMatchObject({ title: "Stand-up notes", status: "todo" });
+    expect(tasks[1].dueDate.toDate()).toEqual(dayAfter(START, 1));
+
+    const stored = db.dump(`taskSeries/${series.id}`);
+    expect(stored.occurrences).toBe(2);
+    expect(stored.nextRunAt.toDate()).toEqual(dayAfter(START, 1));
+  });
+
+  test("should create the next on-complete occurrence once per completion", async () => {
+    const series = await startSeries("on-complete");
+    const first = series.currentTaskId;
+
+    const created = await recurrenceService.onTaskChanged(
+      first,
+      { status: "todo" },
+      { seriesId: series.id, status: "done" }
+    );
+    expect(created.occurrence).toBe(2);
+
+    // A repeated trigger for the same completion does nothing
+    expect(
+      await recurrenceService.onTaskChanged(
+        first,
+        { status: "todo" },
+        { seriesId: series.id, status: "done" }
+      )
+    ).toBeNull();
+    expect(seriesTasks(series.id)).toHaveLength(2);
+  });
+
+  test("should release a scheduled occurrence whose task cannot be created", async () => {
+    const series = await startSeries("schedule");
+    const before = db.dump(`taskSeries/${series.id}`);
+    jest
+      .spyOn(taskService, "createTask")
+      .mockRejectedValueOnce(new Error("Firestore is unavailable"));
+
+    const now = dayAfter(START, 0.5);
+    expect(await recurrenceService.materializeDueSeries(now)).toBe(0);
+
+    const released = db.dump(`taskSeries/${series.id}`);
+    expect(released).toMatchObject({
+      occurrences: 1,
+      currentTaskId: before.currentTaskId,
+      lastError: "Firestore is unavailable",
+    });
+    expect(released.lastDueDate).toEqual(before.lastDueDate);
+    expect(released.nextRunAt).toEqual(before.nextRunAt);
+    expect(seriesTasks(series.id)).toHaveLength(1);
+
+    // The next run creates the occurrence that failed
+    expect(await recurrenceService.materializeDueSeries(now)).toBe(1);
+    expect(seriesTasks(series.id).map((task) => task.occurrence)).toEqual([1, 2]);
+    expect(db.dump(`taskSeries/${series.id}`).lastError).toBeNull();
+  });
+
+  test("should hand a failed on-complete occurrence to the scheduler", async () => {
+    const series = await startSeries("on-complete");
+    const rejection = { status: 422, message: "Priority is required" };
+    jest.spyOn(taskService, "createTask").mockRejectedValueOnce(rejection);
+
+    await expect(
+      recurrenceService.onTaskChanged(
+        series.currentTaskId,
+        { status: "todo" },
+        { seriesId: series.id, status: "done" }
+      )
+    ).rejects.toBe(rejection);
+
+    const released = db.dump(`taskSeries/${series.id}`);
+    expect(released.occurrences).toBe(1);
+    expect(released.currentTaskId).toBe(series.currentTaskId);
+    expect(released.lastError).toBe("Priority is required");
+    expect(released.nextRunAt).not.toBeNull();
+
+    expect(await recurrenceService.materializeDueSeries(new Date())).toBe(1);
+    const stored = db.dump(`taskSeries/${series.id}`);
+    expect(stored.occurrences).toBe(2);
+    // Back to waiting for completion
+    expect(stored.nextRunAt).toBeNull();
+  });
+
+  test("should hold occurrences while the project is archived", async () => {
+    const series = await startSeries("schedule");
+    await db.doc("projects/alpha").update({ lifecycle: "archived" });
+
+    expect(await recurrenceService.materializeDueSeries(dayAfter(START, 0.5))).toBe(0);
+    expect(db.dump(`taskSeries/${series.id}`)).toMatchObject({
+      occurrences: 1,
+      state: "active",
+    });
+  });
+});
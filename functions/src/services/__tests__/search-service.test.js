@@ -0,0 +1,136 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+
+const db = require("firebase-admin").firestore();
+const searchService = require("../search-service");
+const { parseSearchQuery } = require("../../utils/search");
+
+const ann = { uid: "ann" };
+const bob = { uid: "bob" };
+
+/**
+ * Search as a user and return "type:id" of each result
+ */
+async function find(q, user, options = {}) {
+  const results = await searchService.search(parseSearchQuery(q), { user, ...options });
+  return results.map((result) => `${result.type}:${result.id}`);
+}
+
+describe("search service", () => {
+  const task = {
+    projectId: "p1",
+    title: "Checkout fails on Android",
+    description: "Payment sheet closes",
+    status: "todo",
+  };
+
+  beforeEach(async () => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/p1": { name: "Mobile app", ancestorIds: [] },
+      "projects/p1/members/ann": { uid: "ann", role: "member" },
+      "projects/p2": { name: "Website", ancestorIds: [] },
+      "projects/p2/members/bob": { uid: "bob", role: "member" },
+      "tasks/t1": task,
+      "tasks/t1/comments/c1": { body: "Seen on Pixel phones", authorName: "Ann" },
+    });
+    await searchService.onTaskWritten("t1", null, task);
+    await searchService.onCommentWritten("t1", "c1", null, db.dump("tasks/t1/comments/c1"));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should find indexed tasks by prefix and with typos, for members only", async () => {
+    // Comment entries repeat their task's title
+    expect(await find("chekout", ann)).toEqual(expect.arrayContaining(["task:t1", "comment:c1"]));
+    expect(await find("chekout", ann, { types: ["task"] })).toEqual(["task:t1"]);
+    expect(await find("paym", ann)).toEqual(["task:t1"]);
+    expect(await find("checkout", bob)).toEqual([]);
+    expect(await find("checkout", { uid: "root", admin: true })).toHaveLength(2);
+
+    const [result] = await searchService.search(parseSearchQuery("checkout"), {
+      user: ann,
+      types: ["task"],
+    });
+    expect(result).toMatchObject({
+      taskId: "t1",
+      projectId: "p1",
+      titleHighlights: [{ start: 0, end: 8 }],
+    });
+  });
+
+  test("should find comments with their author", async () => {
+    const results = await searchService.search(parseSearchQuery("pixel"), { user: ann });
+
+    expect(results).toEqual([
+      expect.objectContaining({ type: "comment", id: "c1", taskId: "t1", authorName: "Ann" }),
+    ]);
+  });
+
+  test("should leave the index alone when no searchable field changed", async () => {
+    await db.doc("searchIndex/task_t1").delete();
+
+    await searchService.onTaskWritten("t1", task, { ...task, priority: "high" });
+
+    expect(db.dump("searchIndex/task_t1")).toBeUndefined();
+  });
+
+  test("should carry task changes into its comment entries", async () => {
+    const archived = { ...task, title: "Crash on launch", lifecycle: "archived" };
+
+    await searchService.onTaskWritten("t1", task, archived);
+
+    expect(db.dump("searchIndex/comment_t1_c1")).toMatchObject({
+      title: "Crash on launch",
+      text: "Seen on Pixel phones",
+      lifecycle: "archived",
+    });
+    expect(await find("crash", ann)).toEqual([]);
+    expect(await find("crash", ann, { includeArchived: true })).toHaveLength(2);
+  });
+
+  test("should follow tasks moved to another project", async () => {
+    const moved = { ...task, projectId: "p2" };
+
+    await searchService.onTaskWritten("t1", task, moved);
+
+    expect(await find("checkout", ann)).toEqual([]);
+    expect(await find("checkout", bob, { types: ["task"] })).toEqual(["task:t1"]);
+    expect(await find("pixel", bob)).toEqual(["comment:c1"]);
+  });
+
+  test("should follow projects moved under another project", async () => {
+    db.seed({ "projects/p3": { name: "Platform", ancestorIds: [] } });
+    db.seed({ "projects/p3/members/carl": { uid: "carl", role: "viewer" } });
+    const before = db.dump("projects/p1");
+
+    await searchService.onProjectWritten("p1", before, { ...before, ancestorIds: ["p3"] });
+
+    expect(await find("checkout", { uid: "carl" })).toHaveLength(2);
+    expect(db.dump("searchIndex/comment_t1_c1").ancestorIds).toEqual(["p3"]);
+  });
+
+  test("should drop deleted comments and tasks", async () => {
+    await searchService.onCommentWritten("t1", "c1", {}, { body: "Seen", deleted: true });
+    expect(await find("pixel", ann)).toEqual([]);
+
+    await searchService.onCommentWritten("t1", "c1", null, db.dump("tasks/t1/comments/c1"));
+    await searchService.onTaskWritten("t1", task, null);
+
+    expect(db.pathsIn("searchIndex")).toEqual([]);
+  });
+
+  test("should rebuild the entries of a project", async () => {
+    await db.doc("searchIndex/task_t1").delete();
+    await db.doc("searchIndex/comment_t1_c1").delete();
+
+    expect(await searchService.reindexProject("p1")).toEqual({ tasks: 1, comments: 1 });
+    expect(await find("checkout pixel", ann)).toEqual(
+      expect.arrayContaining(["task:t1", "comment:c1"])
+    );
+    expect(await searchService.reindexProject("missing")).toBeNull();
+  });
+});
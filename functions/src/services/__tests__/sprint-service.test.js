@@ -0,0 +1,113 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const sprintService = require("../sprint-service");
+
+const user = { uid: "ann" };
+
+async function planSprint(name, startDate, endDate) {
+  return sprintService.createSprint("alpha", { name, startDate, endDate }, user);
+}
+
+describe("sprint service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "projects/old": { name: "Old", lifecycle: "archived" },
+      "tasks/t1": { title: "One", projectId: "alpha", status: "todo" },
+      "tasks/t2": { title: "Two", projectId: "alpha", status: "todo" },
+      "tasks/t3": { title: "Three", projectId: "beta", status: "todo" },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should reject invalid sprints and archived projects", async () => {
+    await expect(
+      sprintService.createSprint("alpha", { startDate: "2026-01-01" }, user)
+    ).rejects.toMatchObject({ status: 400, message: "name is required" });
+    await expect(planSprint("S1", "2026-01-14", "2026-01-01")).rejects.toMatchObject({
+      status: 400,
+    });
+    await expect(
+      sprintService.createSprint(
+        "old",
+        { name: "S1", startDate: "2026-01-01", endDate: "2026-01-14" },
+        user
+      )
+    ).rejects.toMatchObject({ status: 409 });
+  });
+
+  test("should only add tasks of the sprint's project", async () => {
+    const sprint = await planSprint("S1", "2026-01-01", "2026-01-14");
+    await expect(
+      sprintService.addTasks("alpha", sprint.id, ["t1", "t3"], { actor: user })
+    ).rejects.toMatchObject({ status: 400 });
+    expect(db.dump("tasks/t1").sprintId).toBeUndefined();
+  });
+
+  test("should record the commitment on start and allow one active sprint", async () => {
+    const first = await planSprint("S1", "2026-01-01", "2026-01-14");
+    const second = await planSprint("S2", "2026-01-15", "2026-01-28");
+    await sprintService.addTasks("alpha", first.id, ["t1", "t2"], { actor: user });
+
+    const started = await sprintService.startSprint("alpha", first.id, user);
+    expect(started.state).toBe("active");
+    expect(started.committedTaskIds.sort()).toEqual(["t1", "t2"]);
+
+    await expect(sprintService.startSprint("alpha", second.id, user)).rejects.toMatchObject({
+      status: 409,
+      message: `Sprint ${first.id} is already active; close it first`,
+    });
+    await expect(sprintService.startSprint("alpha", first.id, user)).rejects.toMatchObject({
+      status: 409,
+    });
+  });
+
+  test("should roll unfinished tasks into the next planned sprint on close", async () => {
+    const first = await planSprint("S1", "2026-01-01", "2026-01-14");
+    const second = await planSprint("S2", "2026-01-15", "2026-01-28");
+    await sprintService.addTasks("alpha", first.id, ["t1", "t2"], { actor: user });
+    await sprintService.startSprint("alpha", first.id, user);
+    await db.doc("tasks/t1").update({ status: "done" });
+
+    const closed = await sprintService.closeSprint("alpha", first.id, {
+      context: { actor: user },
+    });
+
+    expect(closed.state).toBe("closed");
+    expect(closed.rolledOverTo).toBe(second.id);
+    expect(closed.summary.completed).toEqual(["t1"]);
+    expect(closed.summary.carriedOver).toEqual(["t2"]);
+    expect(closed.rollover).toEqual({ succeeded: 1, failed: [] });
+    expect(db.dump("tasks/t1").sprintId).toBe(first.id);
+    expect(db.dump("tasks/t2").sprintId).toBe(second.id);
+
+    await expect(
+      sprintService.addTasks("alpha", first.id, ["t2"], { actor: user })
+    ).rejects.toMatchObject({ status: 409, message: `Sprint ${first.id} is closed` });
+  });
+
+  test("should only delete planned sprints, returning their tasks to the backlog", async () => {
+    const sprint = await planSprint("S1", "2026-01-01", "2026-01-14");
+    await sprintService.addTasks("alpha", sprint.id, ["t1"], { actor: user });
+
+    expect(await sprintService.deleteSprint("alpha", sprint.id)).toBe(true);
+    expect(db.dump("tasks/t1").sprintId).toBeNull();
+
+    const active = await planSprint("S2", "2026-01-15", "2026-01-28");
+    await sprintService.startSprint("alpha", active.id, user);
+    await expect(sprintService.deleteSprint("alpha", active.id)).rejects.toMatchObject({
+      status: 409,
+    });
+  });
+});
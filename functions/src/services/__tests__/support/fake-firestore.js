@@ -0,0 +1,720 @@
+/**
+ * @fileoverview In-memory stand-in for the parts of firebase-admin that the
+ * services use, for unit tests. Documents live in a map keyed by their path;
+ * transactions and batches apply their writes when they commit, and
+ * transactions refuse reads after writes like Firestore does.
+ *
+ * Usage in a test file:
+ *   jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+ *   const db = require("firebase-admin").firestore();
+ *   beforeEach(() => db.reset());
+ * @module services/__tests__/support/fake-firestore
+ */
+
+/**
+ * Firestore Timestamp; Dates are stored as Timestamps, as Firestore does
+ */
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date.getTime());
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+
+  isEqual(other) {
+    return other instanceof Timestamp && other.millis === this.millis;
+  }
+}
+
+/**
+ * FieldValue sentinels resolved when a write is applied
+ */
+class FieldValue {
+  constructor(kind, values) {
+    this.kind = kind;
+    this.values = values;
+  }
+
+  static serverTimestamp() {
+    return new FieldValue("serverTimestamp");
+  }
+
+  static delete() {
+    return new FieldValue("delete");
+  }
+
+  static arrayUnion(...values) {
+    return new FieldValue("arrayUnion", values);
+  }
+
+  static arrayRemove(...values) {
+    return new FieldValue("arrayRemove", values);
+  }
+
+  static increment(amount) {
+    return new FieldValue("increment", [amount]);
+  }
+}
+
+const DOCUMENT_ID = Symbol("documentId");
+
+const FieldPath = {
+  documentId: () => DOCUMENT_ID,
+};
+
+/**
+ * Error with a gRPC status code, as thrown by the Firestore client
+ * @private
+ */
+function firestoreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Copy a stored value; Timestamps are immutable and shared
+ * @private
+ */
+function clone(value) {
+  if (value instanceof Timestamp || value === null || typeof value !== "object") {
+    return value;
+  }
+  if (Array.isArray(value)) return value.map(clone);
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+}
+
+/**
+ * Convert a written value to its stored form: Dates become Timestamps
+ * @private
+ */
+function toStored(value) {
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof Timestamp || value === null || typeof value !== "object") {
+    return value;
+  }
+  if (Array.isArray(value)) return value.map(toStored);
+  if (value instanceof FieldValue) return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => [key, toStored(item)])
+  );
+}
+
+/**
+ * Comparable form of a value: Timestamps and Dates compare by time
+ * @private
+ */
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function sameValue(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return true;
+  if (typeof left === "object" && typeof right === "object" && left && right) {
+    return JSON.stringify(clone(left)) === JSON.stringify(clone(right));
+  }
+  return false;
+}
+
+function compareValues(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Read a dotted field path from document data
+ * @private
+ */
+function readField(data, path) {
+  return String(path)
+    .split(".")
+    .reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), data);
+}
+
+/**
+ * Resolve a FieldValue sentinel against the current value
+ * @private
+ */
+function resolveSentinel(sentinel, current) {
+  switch (sentinel.kind) {
+    case "serverTimestamp":
+      return Timestamp.now();
+    case "arrayUnion": {
+      const existing = Array.isArray(current) ? current : [];
+      const added = sentinel.values
+        .map(toStored)
+        .filter((value) => !existing.some((item) => sameValue(item, value)));
+      return [...existing, ...added];
+    }
+    case "arrayRemove":
+      return (Array.isArray(current) ? current : []).filter(
+        (item) => !sentinel.values.some((value) => sameValue(item, value))
+      );
+    case "increment":
+      return (typeof current === "number" ? current : 0) + sentinel.values[0];
+    default:
+      throw new Error(`Unsupported FieldValue ${sentinel.kind}`);
+  }
+}
+
+/**
+ * Write a value at a dotted field path, resolving sentinels
+ * @private
+ */
+function writeField(data, path, value) {
+  const keys = String(path).split(".");
+  const last = keys.pop();
+  let target = data;
+  for (const key of keys) {
+    if (!target[key] || typeof target[key] !== "object") target[key] = {};
+    target = target[key];
+  }
+  if (value instanceof FieldValue && value.kind === "delete") {
+    delete target[last];
+  } else if (value instanceof FieldValue) {
+    target[last] = resolveSentinel(value, target[last]);
+  } else {
+    target[last] = resolveNested(value, target[last]);
+  }
+}
+
+/**
+ * Resolve sentinels nested in a written map
+ * @private
+ */
+function resolveNested(value, current) {
+  if (value instanceof FieldValue) return resolveSentinel(value, current);
+  if (!value || typeof value !== "object" || value instanceof Timestamp || Array.isArray(value)) {
+    return value;
+  }
+  const resolved = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item instanceof FieldValue && item.kind === "delete") continue;
+    resolved[key] = resolveNested(item, current && current[key]);
+  }
+  return resolved;
+}
+
+/**
+ * Deep-merge written data into existing data, as set(..., { merge: true }) does
+ * @private
+ */
+function mergeInto(target, data) {
+  for (const [key, value] of Object.entries(data)) {
+    const plain =
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !(value instanceof Timestamp) &&
+      !(value instanceof FieldValue);
+    if (plain && target[key] && typeof target[key] === "object" && !Array.isArray(target[key])) {
+      mergeInto(target[key], value);
+    } else if (value instanceof FieldValue && value.kind === "delete") {
+      delete target[key];
+    } else {
+      target[key] = resolveNested(value, target[key]);
+    }
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+    this.createTime = this.exists ? Timestamp.now() : undefined;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    if (!this.exists) return undefined;
+    if (field === DOCUMENT_ID) return this.id;
+    return clone(readField(this._data, field));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class Query {
+  constructor(firestore, source, options = {}) {
+    this.firestore = firestore;
+    this._source = source;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit;
+    this._cursor = options.cursor;
+    this._fields = options.fields;
+  }
+
+  _with(changes) {
+    return new Query(this.firestore, this._source, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      cursor: this._cursor,
+      fields: this._fields,
+      ...changes,
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  startAfter(...values) {
+    return this._with({ cursor: values });
+  }
+
+  select(...fields) {
+    return this._with({ fields });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snapshot = await this.get();
+        return { data: () => ({ count: snapshot.size }) };
+      },
+    };
+  }
+
+  _valueOf(snapshot, field) {
+    return field === DOCUMENT_ID ? snapshot.id : readField(snapshot._data, field);
+  }
+
+  _matches(snapshot) {
+    return this._filters.every(({ field, op, value }) => {
+      const actual = this._valueOf(snapshot, field);
+      switch (op) {
+        case "==":
+          return sameValue(actual, value);
+        case "!=":
+          return actual !== undefined && !sameValue(actual, value);
+        case "<":
+          return actual !== undefined && actual !== null && compareValues(actual, value) < 0;
+        case "<=":
+          return actual !== undefined && actual !== null && compareValues(actual, value) <= 0;
+        case ">":
+          return actual !== undefined && actual !== null && compareValues(actual, value) > 0;
+        case ">=":
+          return actual !== undefined && actual !== null && compareValues(actual, value) >= 0;
+        case "array-contains":
+          return Array.isArray(actual) && actual.some((item) => sameValue(item, value));
+        case "array-contains-any":
+          return (
+            Array.isArray(actual) &&
+            actual.some((item) => value.some((candidate) => sameValue(item, candidate)))
+          );
+        case "in":
+          return value.some((candidate) => sameValue(actual, candidate));
+        case "not-in":
+          return actual !== undefined && !value.some((candidate) => sameValue(actual, candidate));
+        default:
+          throw new Error(`Unsupported operator ${op}`);
+      }
+    });
+  }
+
+  _compare(a, b) {
+    for (const { field, direction } of this._orders) {
+      const order = compareValues(this._valueOf(a, field), this._valueOf(b, field));
+      if (order !== 0) return direction === "desc" ? -order : order;
+    }
+    return a.ref.path < b.ref.path ? -1 : a.ref.path > b.ref.path ? 1 : 0;
+  }
+
+  async get() {
+    let snapshots = this.firestore
+      ._documentsIn(this._source)
+      .filter((snapshot) => this._matches(snapshot))
+      // Documents without an ordered field are left out, as in Firestore
+      .filter((snapshot) =>
+        this._orders.every(({ field }) => this._valueOf(snapshot, field) !== undefined)
+      )
+      .sort((a, b) => this._compare(a, b));
+
+    if (this._cursor) {
+      const [first] = this._cursor;
+      const index =
+        first instanceof DocumentSnapshot
+          ? snapshots.findIndex((snapshot) => snapshot.ref.path === first.ref.path)
+          : snapshots.findIndex((snapshot) => {
+              const values = this._orders.map(({ field }) => this._valueOf(snapshot, field));
+              const order = this._cursor
+                .map((value, position) => {
+                  const compared = compareValues(values[position], value);
+                  return this._orders[position].direction === "desc" ? -compared : compared;
+                })
+                .find((compared) => compared !== 0);
+              return order === undefined;
+            });
+      if (first instanceof DocumentSnapshot || index >= 0) {
+        snapshots = snapshots.slice(index + 1);
+      } else {
+        snapshots = snapshots.filter((snapshot) => {
+          const values = this._orders.map(({ field }) => this._valueOf(snapshot, field));
+          const order = this._cursor
+            .map((value, position) => {
+              const compared = compareValues(values[position], value);
+              return this._orders[position].direction === "desc" ? -compared : compared;
+            })
+            .find((compared) => compared !== 0);
+          return order > 0;
+        });
+      }
+    }
+    if (this._limit !== undefined) snapshots = snapshots.slice(0, this._limit);
+    if (this._fields) {
+      snapshots = snapshots.map((snapshot) => {
+        const data = {};
+        this._fields.forEach((field) => {
+          const value = readField(snapshot._data, field);
+          if (value !== undefined) writeField(data, field, value);
+        });
+        return new DocumentSnapshot(snapshot.ref, data);
+      });
+    }
+    return new QuerySnapshot(snapshots);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(firestore, path) {
+    super(firestore, { collection: path });
+    this.path = path;
+    this.id = path.split("/").pop();
+    const parentPath = path.split("/").slice(0, -1).join("/");
+    this.parent = parentPath ? new DocumentReference(firestore, parentPath) : null;
+  }
+
+  doc(id = this.firestore._nextId()) {
+    return new DocumentReference(this.firestore, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class DocumentReference {
+  constructor(firestore, path) {
+    this.firestore = firestore;
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this.firestore, this.path.split("/").slice(0, -1).join("/"));
+  }
+
+  collection(id) {
+    return new CollectionReference(this.firestore, `${this.path}/${id}`);
+  }
+
+  async get() {
+    return this.firestore._snapshot(this);
+  }
+
+  async set(data, options) {
+    this.firestore._apply({ type: "set", ref: this, data, options });
+  }
+
+  async update(data) {
+    this.firestore._apply({ type: "update", ref: this, data });
+  }
+
+  async create(data) {
+    this.firestore._apply({ type: "create", ref: this, data });
+  }
+
+  async delete() {
+    this.firestore._apply({ type: "delete", ref: this });
+  }
+
+  isEqual(other) {
+    return other instanceof DocumentReference && other.path === this.path;
+  }
+}
+
+/**
+ * Queued writes of a batch or transaction
+ * @private
+ */
+class WriteQueue {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this.writes = [];
+  }
+
+  set(ref, data, options) {
+    this.writes.push({ type: "set", ref, data, options });
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push({ type: "update", ref, data });
+    return this;
+  }
+
+  create(ref, data) {
+    this.writes.push({ type: "create", ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push({ type: "delete", ref });
+    return this;
+  }
+}
+
+class WriteBatch extends WriteQueue {
+  async commit() {
+    this.firestore._applyAll(this.writes);
+    return this.writes.map(() => ({ writeTime: Timestamp.now() }));
+  }
+}
+
+class Transaction extends WriteQueue {
+  _checkRead() {
+    if (this.writes.length > 0) {
+      throw new Error(
+        "Firestore transactions require all reads to be executed before all writes."
+      );
+    }
+  }
+
+  async get(refOrQuery) {
+    this._checkRead();
+    return refOrQuery instanceof DocumentReference
+      ? this.firestore._snapshot(refOrQuery)
+      : refOrQuery.get();
+  }
+
+  async getAll(...refs) {
+    this._checkRead();
+    return refs.map((ref) => this.firestore._snapshot(ref));
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Remove every document
+   */
+  reset() {
+    this.store = new Map();
+    this.idCounter = 0;
+  }
+
+  /**
+   * Store documents directly, e.g. seed({ "projects/p1": { name: "P" } })
+   * @param {Object<string, Object>} documents - Data by document path
+   */
+  seed(documents) {
+    Object.entries(documents).forEach(([path, data]) => {
+      this.store.set(path, toStored(data));
+    });
+  }
+
+  /**
+   * Stored data of a document, for assertions
+   * @param {string} path - Document path
+   * @returns {Object|undefined} Data with Timestamps, or undefined
+   */
+  dump(path) {
+    return clone(this.store.get(path));
+  }
+
+  /**
+   * Paths of the documents directly inside a collection, for assertions
+   * @param {string} path - Collection path
+   * @returns {Array<string>} Document paths
+   */
+  pathsIn(path) {
+    return this._documentsIn({ collection: path }).map((snapshot) => snapshot.ref.path);
+  }
+
+  _nextId() {
+    this.idCounter += 1;
+    return `auto${String(this.idCounter).padStart(4, "0")}`;
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  collectionGroup(id) {
+    return new Query(this, { group: id });
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return refs.map((ref) => this._snapshot(ref));
+  }
+
+  async runTransaction(updateFunction) {
+    const transaction = new Transaction(this);
+    const result = await updateFunction(transaction);
+    this._applyAll(transaction.writes);
+    return result;
+  }
+
+  async recursiveDelete(ref) {
+    [...this.store.keys()]
+      .filter((path) => path === ref.path || path.startsWith(`${ref.path}/`))
+      .forEach((path) => this.store.delete(path));
+  }
+
+  _snapshot(ref) {
+    const data = this.store.get(ref.path);
+    return new DocumentSnapshot(ref, data === undefined ? undefined : clone(data));
+  }
+
+  _documentsIn(source) {
+    const snapshots = [];
+    for (const [path, data] of this.store.entries()) {
+      const segments = path.split("/");
+      const collectionPath = segments.slice(0, -1).join("/");
+      const inSource = source.collection
+        ? collectionPath === source.collection
+        : segments[segments.length - 2] === source.group;
+      if (inSource) {
+        snapshots.push(new DocumentSnapshot(new DocumentReference(this, path), clone(data)));
+      }
+    }
+    return snapshots;
+  }
+
+  _applyAll(writes) {
+    // Validate first so a failing write leaves the others unapplied
+    writes.forEach((write) => this._validate(write));
+    writes.forEach((write) => this._apply(write));
+  }
+
+  _validate({ type, ref }) {
+    const exists = this.store.has(ref.path);
+    if (type === "update" && !exists) {
+      throw firestoreError(5, `No document to update: ${ref.path}`);
+    }
+    if (type === "create" && exists) {
+      throw firestoreError(6, `Document already exists: ${ref.path}`);
+    }
+  }
+
+  _apply(write) {
+    this._validate(write);
+    const { type, ref, options } = write;
+    const data = toStored(write.data);
+    const current = this.store.get(ref.path);
+
+    if (type === "delete") {
+      this.store.delete(ref.path);
+      return;
+    }
+    if (type === "update") {
+      const next = clone(current);
+      Object.entries(data).forEach(([field, value]) => writeField(next, field, value));
+      this.store.set(ref.path, next);
+      return;
+    }
+    if (type === "set" && options && options.merge && current) {
+      const next = clone(current);
+      mergeInto(next, data);
+      this.store.set(ref.path, next);
+      return;
+    }
+    this.store.set(ref.path, resolveNested(data, undefined));
+  }
+}
+
+/**
+ * Build a firebase-admin replacement backed by one FakeFirestore
+ * @returns {Object} Module with firestore() and its static members
+ */
+function createFakeAdmin() {
+  const db = new FakeFirestore();
+  const firestore = () => db;
+  Object.assign(firestore, { FieldValue, FieldPath, Timestamp });
+  return {
+    firestore,
+    apps: [],
+    initializeApp: () => ({}),
+    app: () => ({}),
+    credential: { cert: () => ({}) },
+    auth: () => ({
+      verifyIdToken: async () => {
+        throw new Error("verifyIdToken is not available in tests");
+      },
+    }),
+  };
+}
+
+module.exports = {
+  createFakeAdmin,
+  FakeFirestore,
+  Timestamp,
+  FieldValue,
+  FieldPath,
+};
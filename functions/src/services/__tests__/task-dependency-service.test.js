@@ -0,0 +1,126 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const dependencyService = require("../task-dependency-service");
+const taskService = require("../task-service");
+
+describe("task dependency service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "tasks/design": { title: "Design", projectId: "alpha", status: "todo", version: 1 },
+      "tasks/build": {
+        title: "Build",
+        projectId: "alpha",
+        status: "todo",
+        dependsOn: ["design"],
+        version: 1,
+      },
+      "tasks/old": {
+        title: "Old",
+        projectId: "alpha",
+        status: "done",
+        lifecycle: "archived",
+        version: 1,
+      },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("changing dependencies", () => {
+    test("should add and remove edges with history entries", async () => {
+      await expect(dependencyService.addDependency("design", "design")).rejects.toMatchObject({
+        status: 400,
+      });
+
+      db.seed({ "tasks/test": { title: "Test", projectId: "alpha", status: "todo", version: 1 } });
+      const updated = await dependencyService.addDependency("test", "build");
+      expect(updated).toMatchObject({ dependsOn: ["build"], version: 2 });
+
+      const removed = await dependencyService.removeDependency("test", "build");
+      expect(removed).toMatchObject({ dependsOn: [], version: 3 });
+      expect(db.pathsIn("tasks/test/history")).toHaveLength(2);
+    });
+
+    test("should reject edges that close a cycle", async () => {
+      await expect(dependencyService.addDependency("design", "build")).rejects.toMatchObject({
+        status: 409,
+        cycle: ["design", "build", "design"],
+      });
+    });
+
+    test("should refuse dependency changes on archived or trashed tasks", async () => {
+      await expect(dependencyService.addDependency("old", "design")).rejects.toMatchObject({
+        status: 409,
+        readOnly: true,
+      });
+      await expect(dependencyService.addDependency("build", "old")).rejects.toMatchObject({
+        status: 409,
+        readOnly: true,
+      });
+
+      db.seed({
+        "tasks/build": {
+          title: "Build",
+          projectId: "alpha",
+          status: "todo",
+          dependsOn: ["design"],
+          lifecycle: "deleted",
+          version: 1,
+        },
+      });
+      await expect(dependencyService.removeDependency("build", "design")).rejects.toMatchObject({
+        status: 409,
+        message: "Task build is in the trash; restore it first",
+      });
+      expect(db.dump("tasks/build").dependsOn).toEqual(["design"]);
+    });
+  });
+
+  describe("deleting prerequisites", () => {
+    test("should drop the edge and unblock the dependents it held back", async () => {
+      db.seed({
+        "tasks/test": { title: "Test", projectId: "alpha", status: "todo", version: 1 },
+        "tasks/build": {
+          title: "Build",
+          projectId: "alpha",
+          status: "blocked",
+          autoBlocked: true,
+          blockedFromStatus: "in-progress",
+          dependsOn: ["design", "test"],
+          version: 1,
+        },
+      });
+
+      expect(await taskService.deleteTask("design")).toBe(true);
+
+      // Test is still open
+      expect(db.dump("tasks/build")).toMatchObject({ dependsOn: ["test"], status: "blocked" });
+
+      await taskService.deleteTask("test");
+
+      expect(db.dump("tasks/build")).toMatchObject({
+        dependsOn: [],
+        status: "in-progress",
+        autoBlocked: false,
+        version: 4,
+      });
+      const history = db.pathsIn("tasks/build/history").map((path) => db.dump(path));
+      expect(history.map((entry) => entry.action).sort()).toEqual([
+        "auto-unblock",
+        "remove-dependency",
+        "remove-dependency",
+      ]);
+    });
+  });
+});
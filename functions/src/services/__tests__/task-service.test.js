@@ -0,0 +1,175 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const taskService = require("../task-service");
+
+describe("task service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "projects/beta": { name: "Beta" },
+      "tasks/t1": { title: "One", projectId: "alpha", status: "todo", version: 1 },
+      "tasks/t2": { title: "Two", projectId: "alpha", status: "todo", version: 1 },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("moving tasks between projects", () => {
+    test("should move a task to another project with updateTask", async () => {
+      const updated = await taskService.updateTask("t1", { projectId: "beta" });
+      expect(updated.projectId).toBe("beta");
+      expect(updated.version).toBe(2);
+    });
+
+    test("should refuse cross-project updates in an atomic bulk request", async () => {
+      const result = await taskService.bulkUpdateTasks([
+        { action: "update", taskId: "t1", updates: { title: "Renamed" } },
+        { action: "update", taskId: "t2", updates: { projectId: "beta" } },
+      ]);
+
+      expect(result.failed).toBe(2);
+      expect(result.results[1].error).toBe("Tasks cannot be moved to another project in bulk");
+      expect(db.dump("tasks/t1").title).toBe("One");
+      expect(db.dump("tasks/t2").projectId).toBe("alpha");
+    });
+
+    test("should refuse cross-project updates per item when not atomic", async () => {
+      const result = await taskService.bulkUpdateTasks(
+        [
+          { action: "update", taskId: "t1", updates: { title: "Renamed", projectId: "alpha" } },
+          { action: "update", taskId: "t2", updates: { projectId: "beta" } },
+        ],
+        { atomic: false }
+      );
+
+      expect(result.succeeded).toBe(1);
+      expect(result.results[1]).toMatchObject({
+        status: "failed",
+        error: "Tasks cannot be moved to another project in bulk",
+      });
+      expect(db.dump("tasks/t1").title).toBe("Renamed");
+      expect(db.dump("tasks/t2").projectId).toBe("alpha");
+    });
+  });
+
+  describe("bulk operations", () => {
+    const history = (taskId) => db.pathsIn(`tasks/${taskId}/history`).map((p) => db.dump(p));
+
+    test("should roll back every operation of an atomic request when one fails", async () => {
+      const result = await taskService.bulkUpdateTasks([
+        { action: "update", taskId: "t1", updates: { title: "Renamed" } },
+        { action: "move", taskId: "t2", groupId: "doing", status: "in-progress" },
+        { action: "update", taskId: "gone", updates: { title: "Missing" } },
+      ]);
+
+      expect(result).toMatchObject({ atomic: true, total: 3, succeeded: 0, failed: 3 });
+      expect(result.results.map((item) => item.error)).toEqual([
+        "Not applied: another operation in the atomic request failed",
+        "Not applied: another operation in the atomic request failed",
+        "Task gone not found",
+      ]);
+      expect(db.dump("tasks/t1")).toMatchObject({ title: "One", version: 1 });
+      expect(db.dump("tasks/t2")).toMatchObject({ status: "todo", version: 1 });
+      expect(history("t1")).toEqual([]);
+    });
+
+    test("should apply atomic requests in full with a history entry per task", async () => {
+      const result = await taskService.bulkUpdateTasks(
+        [
+          { action: "update", taskId: "t1", updates: { title: "Renamed" } },
+          { action: "delete", taskId: "t2" },
+        ],
+        { context: { actor: { type: "user", uid: "ann" } } }
+      );
+
+      expect(result).toMatchObject({ atomic: true, succeeded: 2, failed: 0 });
+      expect(db.dump("tasks/t1")).toMatchObject({ title: "Renamed", version: 2 });
+      expect(db.dump("tasks/t2")).toBeUndefined();
+      expect(history("t1")).toEqual([
+        expect.objectContaining({ action: "update", source: "bulk" }),
+      ]);
+      expect(history("t2")).toEqual([expect.objectContaining({ action: "delete" })]);
+    });
+
+    test("should report each operation of a non-atomic request on its own", async () => {
+      db.seed({
+        "tasks/old": { title: "Old", projectId: "alpha", lifecycle: "archived", version: 1 },
+      });
+
+      const result = await taskService.bulkUpdateTasks(
+        [
+          { action: "move", taskId: "t1", groupId: "doing", status: "in-progress" },
+          { action: "update", taskId: "gone", updates: { title: "Missing" } },
+          { action: "update", taskId: "t2", updates: { dependsOn: ["t1"] } },
+          { action: "update", taskId: "old", updates: { title: "Renamed" } },
+          { action: "explode", taskId: "t2" },
+        ],
+        { atomic: false }
+      );
+
+      expect(result).toMatchObject({ atomic: false, total: 5, succeeded: 1, failed: 4 });
+      expect(result.results[0]).toMatchObject({
+        index: 0,
+        status: "succeeded",
+        changes: { status: { from: "todo", to: "in-progress" } },
+      });
+      expect(result.results.slice(1).map((item) => item.status)).toEqual([
+        "failed",
+        "failed",
+        "failed",
+        "failed",
+      ]);
+      expect(result.results[1].error).toBe("Task gone not found");
+      expect(result.results[2].error).toBe("Dependencies cannot be changed in bulk");
+      expect(db.dump("tasks/t1").status).toBe("in-progress");
+      expect(db.dump("tasks/old").title).toBe("Old");
+      expect(history("t1")).toHaveLength(1);
+      expect(history("t2")).toEqual([]);
+    });
+
+    test("should limit requests to MAX_BULK_OPERATIONS operations", async () => {
+      expect(taskService.MAX_BULK_OPERATIONS).toBe(500);
+      const operations = Array.from({ length: 501 }, () => ({ action: "delete", taskId: "t1" }));
+
+      await expect(taskService.bulkUpdateTasks(operations)).rejects.toThrow(
+        "A bulk request is limited to 500 operations"
+      );
+      await expect(taskService.bulkUpdateTasks([])).rejects.toThrow(
+        "operations must be a non-empty array"
+      );
+      expect(db.dump("tasks/t1")).toBeDefined();
+    });
+  });
+
+  describe("task creators", () => {
+    const ann = { actor: { type: "user", uid: "ann", name: "Ann" } };
+
+    test("should record the authenticated user as the creator", async () => {
+      const created = await taskService.createTask(
+        { projectId: "alpha", title: "New", createdBy: "mallory" },
+        ann
+      );
+
+      expect(created.createdBy).toBe("ann");
+      expect(db.dump(`tasks/${created.id}`).createdBy).toBe("ann");
+    });
+
+    test("should not let updates change the creator", async () => {
+      const created = await taskService.createTask({ projectId: "alpha", title: "New" }, ann);
+
+      await taskService.updateTask(created.id, { createdBy: "mallory", title: "Renamed" });
+
+      expect(db.dump(`tasks/${created.id}`)).toMatchObject({ createdBy: "ann", title: "Renamed" });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+
+const db = require("firebase-admin").firestore();
+const timeEntryService = require("../time-entry-service");
+
+const ann = { uid: "ann", name: "Ann" };
+const bob = { uid: "bob", name: "Bob" };
+
+describe("time entry service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.useFakeTimers({ now: new Date("2026-04-01T09:00:00Z") });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "tasks/t1": { title: "One", projectId: "alpha" },
+      "tasks/old": { title: "Old", projectId: "alpha", lifecycle: "archived" },
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test("should time work with one running timer per user and task", async () => {
+    const started = await timeEntryService.startTimer("t1", ann, { note: "Reviewing" });
+    expect(started.running).toBe(true);
+    await expect(timeEntryService.startTimer("t1", ann)).rejects.toMatchObject({ status: 409 });
+    // Others may time the same task
+    await timeEntryService.startTimer("t1", bob);
+
+    jest.advanceTimersByTime(90 * 60 * 1000);
+    const stopped = await timeEntryService.stopTimer("t1", ann);
+
+    expect(stopped).toMatchObject({ running: false, minutes: 90, actualHours: 1.5 });
+    expect(db.dump("tasks/t1").actualHours).toBe(1.5);
+    await expect(timeEntryService.stopTimer("t1", ann)).rejects.toMatchObject({ status: 404 });
+  });
+
+  test("should cap timers left running at a day", async () => {
+    await timeEntryService.startTimer("t1", ann);
+    jest.advanceTimersByTime(3 * 24 * 60 * 60 * 1000);
+
+    const stopped = await timeEntryService.stopTimer("t1", ann);
+    expect(stopped.minutes).toBe(24 * 60);
+  });
+
+  test("should keep actualHours in step with manual entries", async () => {
+    const entry = await timeEntryService.addEntry("t1", ann, {
+      startedAt: "2026-03-31T13:00:00Z",
+      minutes: 45,
+    });
+    expect(entry.actualHours).toBe(0.75);
+
+    const updated = await timeEntryService.updateEntry("t1", entry.id, { minutes: 120 }, ann);
+    expect(updated.actualHours).toBe(2);
+
+    expect(await timeEntryService.deleteEntry("t1", entry.id, ann)).toBe(0);
+    expect(db.dump("tasks/t1").actualHours).toBe(0);
+  });
+
+  test("should reject invalid entries, other people's entries and read-only tasks", async () => {
+    await expect(
+      timeEntryService.addEntry("t1", ann, { startedAt: "2026-03-31T13:00:00Z", minutes: 0 })
+    ).rejects.toMatchObject({ status: 400 });
+
+    const entry = await timeEntryService.addEntry("t1", ann, {
+      startedAt: "2026-03-31T13:00:00Z",
+      minutes: 30,
+    });
+    await expect(
+      timeEntryService.updateEntry("t1", entry.id, { minutes: 60 }, bob)
+    ).rejects.toMatchObject({ status: 403 });
+    await expect(
+      timeEntryService.deleteEntry("t1", entry.id, { uid: "root", admin: true })
+    ).resolves.toBe(0);
+
+    await expect(timeEntryService.startTimer("old", ann)).rejects.toMatchObject({
+      status: 409,
+    });
+    await expect(timeEntryService.startTimer("missing", ann)).rejects.toMatchObject({
+      status: 404,
+    });
+  });
+
+  test("should refuse to edit a running timer", async () => {
+    const running = await timeEntryService.startTimer("t1", ann);
+    await expect(
+      timeEntryService.updateEntry("t1", running.id, { note: "Done" }, ann)
+    ).rejects.toMatchObject({ status: 409 });
+  });
+
+  test("should build a timesheet of the entries started in a range", async () => {
+    db.seed({ "tasks/t2": { title: "Two", projectId: "beta" } });
+    await timeEntryService.addEntry("t1", ann, { startedAt: "2026-03-30T10:00:00Z", minutes: 60 });
+    await timeEntryService.addEntry("t2", ann, { startedAt: "2026-03-31T10:00:00Z", minutes: 30 });
+    await timeEntryService.addEntry("t1", bob, { startedAt: "2026-03-31T11:00:00Z", minutes: 15 });
+    await timeEntryService.addEntry("t1", ann, { startedAt: "2026-03-20T10:00:00Z", minutes: 99 });
+
+    const sheet = await timeEntryService.getTimesheet({
+      from: new Date("2026-03-30T00:00:00Z"),
+      to: new Date("2026-04-01T00:00:00Z"),
+      uid: "ann",
+    });
+    expect(sheet.entries.map((entry) => entry.minutes)).toEqual([60, 30]);
+    expect(sheet.totals.totalMinutes).toBe(90);
+
+    const project = await timeEntryService.getTimesheet({
+      from: new Date("2026-03-30T00:00:00Z"),
+      to: new Date("2026-04-01T00:00:00Z"),
+      projectId: "alpha",
+    });
+    expect(project.totals.totalMinutes).toBe(75);
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+
+const db = require("firebase-admin").firestore();
+const viewService = require("../view-service");
+
+const member = { userId: "ann", canShare: false, canManage: false };
+const lead = { userId: "lea", canShare: true, canManage: true };
+const other = { userId: "bob", canShare: true, canManage: false };
+
+describe("view service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should keep personal views to their owner", async () => {
+    const mine = await viewService.createView(
+      "alpha",
+      { name: "My work", filters: { assignee: "@me" } },
+      member
+    );
+    expect(mine.scope).toBe("personal");
+    expect(mine.query).toEqual({ projectId: "alpha", assignee: "ann" });
+
+    expect(await viewService.getView("alpha", mine.id, "bob")).toBeNull();
+    expect(await viewService.getViews("alpha", "bob")).toEqual([]);
+    // Another user's personal view is reported as missing, not forbidden
+    expect(await viewService.updateView("alpha", mine.id, { name: "X" }, lead)).toBeNull();
+    expect(await viewService.deleteView("alpha", mine.id, lead)).toBe(false);
+  });
+
+  test("should refuse sharing views without the role to", async () => {
+    await expect(
+      viewService.createView("alpha", { name: "Team", scope: "project" }, member)
+    ).rejects.toMatchObject({ status: 403 });
+
+    const mine = await viewService.createView("alpha", { name: "Mine" }, member);
+    await expect(
+      viewService.updateView("alpha", mine.id, { scope: "project" }, member)
+    ).rejects.toMatchObject({ status: 403 });
+  });
+
+  test("should let only the owner or a project admin change shared views", async () => {
+    const shared = await viewService.createView(
+      "alpha",
+      { name: "Sprint board", scope: "project", groupBy: "assignee" },
+      other
+    );
+
+    await expect(
+      viewService.updateView("alpha", shared.id, { name: "Mine now" }, member)
+    ).rejects.toMatchObject({ status: 403 });
+    await expect(viewService.deleteView("alpha", shared.id, member)).rejects.toMatchObject({
+      status: 403,
+    });
+
+    const renamed = await viewService.updateView("alpha", shared.id, { name: "Sprint" }, lead);
+    expect(renamed).toMatchObject({ name: "Sprint", groupBy: "assignee", ownerId: "bob" });
+    expect(await viewService.deleteView("alpha", shared.id, other)).toBe(true);
+  });
+
+  test("should list shared views first, then the user's own, by name", async () => {
+    await viewService.createView("alpha", { name: "Zeta" }, member);
+    await viewService.createView("alpha", { name: "Beta", scope: "project" }, other);
+    await viewService.createView("alpha", { name: "Alpha" }, member);
+    await viewService.createView("alpha", { name: "Private" }, other);
+
+    const views = await viewService.getViews("alpha", "ann");
+    expect(views.map((view) => view.name)).toEqual(["Beta", "Alpha", "Zeta"]);
+  });
+
+  test("should reject invalid views", async () => {
+    await expect(
+      viewService.createView("alpha", { name: "Bad", filters: { colour: "red" } }, member)
+    ).rejects.toMatchObject({ status: 400, message: "Unknown filters: colour" });
+
+    const view = await viewService.createView("alpha", { name: "Ok" }, member);
+    await expect(viewService.updateView("alpha", view.id, {}, member)).rejects.toMatchObject({
+      status: 400,
+    });
+  });
+});
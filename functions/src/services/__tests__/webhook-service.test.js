@@ -0,0 +1,193 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+
+const db = require("firebase-admin").firestore();
+const webhookService = require("../webhook-service");
+const { verifySignature, MAX_ATTEMPTS } = require("../../utils/webhooks");
+
+// IP literals skip the DNS lookup; 203.0.113.0/24 is reserved for documentation
+const RECEIVER = "https://203.0.113.10/hooks";
+const SECRET = "whsec_test-secret-0123456789";
+
+const DELIVERIES = "projects/alpha/webhooks/w1/webhookDeliveries";
+
+/**
+ * Answer fetch with the given status
+ */
+function answer(status) {
+  return jest.spyOn(global, "fetch").mockResolvedValue({ ok: status < 300, status });
+}
+
+async function queueTaskEvent() {
+  return webhookService.emitEvent(
+    "task.moved",
+    { projectId: "alpha", ancestorIds: [] },
+    { task: { id: "t1" } },
+    { actor: { type: "user", id: "ann" } }
+  );
+}
+
+function onlyDelivery() {
+  const [path] = db.pathsIn(DELIVERIES);
+  return { ref: db.doc(path), data: db.dump(path) };
+}
+
+describe("webhook service", () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "projects/alpha/webhooks/w1": {
+        url: RECEIVER,
+        events: ["task.*"],
+        active: true,
+        secret: SECRET,
+      },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("createWebhook", () => {
+    test("should reject receivers on private addresses", async () => {
+      await expect(
+        webhookService.createWebhook(
+          "alpha",
+          { url: "https://10.1.2.3/hook", events: ["task.*"] },
+          { uid: "ann" }
+        )
+      ).rejects.toMatchObject({ status: 400 });
+      await expect(
+        webhookService.createWebhook(
+          "alpha",
+          { url: "http://203.0.113.10/hook", events: ["task.*"] },
+          { uid: "ann" }
+        )
+      ).rejects.toMatchObject({ status: 400, message: "url must use https" });
+    });
+
+    test("should store a public receiver with a generated secret", async () => {
+      const created = await webhookService.createWebhook(
+        "alpha",
+        { url: RECEIVER, events: ["task.created"] },
+        { uid: "ann" }
+      );
+      expect(created.secret).toMatch(/^whsec_/);
+      expect(db.dump(`projects/alpha/webhooks/${created.id}`).createdBy).toBe("ann");
+    });
+  });
+
+  describe("delivery", () => {
+    test("should queue matching events and post them signed", async () => {
+      expect(await queueTaskEvent()).toBe(1);
+      const fetch = answer(204);
+
+      const { ref } = onlyDelivery();
+      expect(await webhookService.attemptDelivery(ref)).toBe("succeeded");
+
+      const [url, request] = fetch.mock.calls[0];
+      expect(url).toBe(RECEIVER);
+      expect(request.headers["X-Firesite-Event"]).toBe("task.moved");
+      expect(
+        verifySignature(SECRET, request.body, request.headers["X-Firesite-Signature"])
+      ).toBe(true);
+
+      const { data } = onlyDelivery();
+      expect(data).toMatchObject({ status: "succeeded", attempts: 1, responseStatus: 204 });
+      expect(data.deliveredAt).not.toBeNull();
+    });
+
+    test("should ignore events the webhook does not subscribe to", async () => {
+      const queued = await webhookService.emitEvent(
+        "project.updated",
+        { projectId: "alpha", ancestorIds: [] },
+        {}
+      );
+      expect(queued).toBe(0);
+    });
+
+    test("should schedule a retry with backoff when the receiver fails", async () => {
+      await queueTaskEvent();
+      answer(503);
+
+      const { ref } = onlyDelivery();
+      const before = Date.now();
+      expect(await webhookService.attemptDelivery(ref)).toBe("pending");
+
+      const { data } = onlyDelivery();
+      expect(data.attempts).toBe(1);
+      expect(data.lastError).toBe("Receiver answered 503");
+      expect(data.attemptLog).toHaveLength(1);
+      expect(data.nextAttemptAt.toMillis()).toBeGreaterThanOrEqual(before + 60 * 1000);
+
+      // Not due yet, so neither a direct attempt nor the scheduler sends it again
+      expect(await webhookService.attemptDelivery(ref)).toBeNull();
+      expect(await webhookService.retryDueDeliveries()).toBe(0);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("should retry due deliveries and give up after the last attempt", async () => {
+      await queueTaskEvent();
+      answer(500);
+      const { ref } = onlyDelivery();
+      await ref.update({ attempts: MAX_ATTEMPTS - 1 });
+
+      expect(await webhookService.retryDueDeliveries()).toBe(1);
+      const { data } = onlyDelivery();
+      expect(data).toMatchObject({ status: "failed", attempts: MAX_ATTEMPTS });
+      expect(data.nextAttemptAt).toBeNull();
+    });
+
+    test("should deliver to the webhook's current URL and secret", async () => {
+      await queueTaskEvent();
+      await webhookService.updateWebhook("alpha", "w1", {
+        url: "https://203.0.113.20/new",
+        secret: "whsec_rotated-secret-0123",
+      });
+      const fetch = answer(200);
+
+      await webhookService.attemptDelivery(onlyDelivery().ref);
+
+      const [url, request] = fetch.mock.calls[0];
+      expect(url).toBe("https://203.0.113.20/new");
+      expect(
+        verifySignature(
+          "whsec_rotated-secret-0123",
+          request.body,
+          request.headers["X-Firesite-Signature"]
+        )
+      ).toBe(true);
+      expect(onlyDelivery().data.url).toBe("https://203.0.113.20/new");
+    });
+
+    test("should refuse to update a webhook to a private address", async () => {
+      await expect(
+        webhookService.updateWebhook("alpha", "w1", { url: "https://192.168.1.1/hook" })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+
+    test("should fail without retry when the receiver is on a private address", async () => {
+      await queueTaskEvent();
+      // Stored before the check existed, or written around the API
+      await db.doc("projects/alpha/webhooks/w1").update({ url: "https://127.0.0.1/hook" });
+      const fetch = answer(200);
+
+      expect(await webhookService.attemptDelivery(onlyDelivery().ref)).toBe("failed");
+      expect(fetch).not.toHaveBeenCalled();
+      expect(onlyDelivery().data.lastError).toMatch(/local, private or reserved/);
+    });
+
+    test("should fail deliveries of disabled webhooks without posting", async () => {
+      await queueTaskEvent();
+      await db.doc("projects/alpha/webhooks/w1").update({ active: false });
+      const fetch = answer(200);
+
+      expect(await webhookService.attemptDelivery(onlyDelivery().ref)).toBe("failed");
+      expect(fetch).not.toHaveBeenCalled();
+      expect(onlyDelivery().data.lastError).toBe("Webhook is disabled");
+    });
+  });
+});
@@ -0,0 +1,260 @@
+jest.mock("firebase-admin", () => require("./support/fake-firestore").createFakeAdmin());
+jest.mock("../../../config/firebase-admin", () => {
+  const admin = require("firebase-admin");
+  return { admin, db: admin.firestore() };
+});
+
+const db = require("firebase-admin").firestore();
+const workflowService = require("../workflow-service");
+const taskService = require("../task-service");
+const dependencyService = require("../task-dependency-service");
+const githubIntegration = require("../github-integration-service");
+
+const definition = {
+  states: [
+    { id: "todo", name: "To Do", category: "todo", aliases: ["backlog"] },
+    { id: "doing", name: "In Progress", category: "in-progress", requiredFields: ["assignedTo"] },
+    { id: "blocked", name: "Blocked", category: "in-progress" },
+    { id: "review", name: "Review", category: "in-progress" },
+    { id: "done", name: "Done", category: "done" },
+  ],
+  transitions: [
+    { from: "todo", to: "doing" },
+    { from: "doing", to: "review" },
+    { from: "doing", to: "blocked" },
+    { from: "blocked", to: "doing" },
+    { from: "review", to: "done", roles: ["owner", "admin"] },
+    { from: "*", to: "todo" },
+  ],
+};
+
+describe("workflow service", () => {
+  beforeEach(async () => {
+    db.reset();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    db.seed({
+      "projects/alpha": { name: "Alpha" },
+      "projects/beta": { name: "Beta" },
+      "projects/old": { name: "Old", lifecycle: "archived" },
+      "tasks/t1": { title: "One", projectId: "alpha", status: "todo", version: 1 },
+      "tasks/t2": {
+        title: "Two",
+        projectId: "alpha",
+        status: "review",
+        assignedTo: "ann",
+        version: 1,
+      },
+      "tasks/t3": { title: "Three", projectId: "beta", status: "shipped", version: 1 },
+    });
+    await workflowService.setWorkflow("alpha", definition, { uid: "ann" });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("setting workflows", () => {
+    test("should store a validated workflow and bump its version", async () => {
+      expect(await workflowService.getWorkflow("alpha")).toMatchObject({
+        initialState: "todo",
+        version: 1,
+        updatedBy: "ann",
+      });
+
+      const updated = await workflowService.setWorkflow("alpha", definition);
+      expect(updated.version).toBe(2);
+      expect(await workflowService.getWorkflow("beta")).toBeNull();
+    });
+
+    test("should reject invalid definitions and missing or read-only projects", async () => {
+      await expect(workflowService.setWorkflow("alpha", { states: [] })).rejects.toMatchObject({
+        status: 400,
+      });
+      await expect(workflowService.setWorkflow("missing", definition)).rejects.toMatchObject({
+        status: 404,
+      });
+      await expect(workflowService.setWorkflow("old", definition)).rejects.toMatchObject({
+        status: 409,
+      });
+      db.seed({ "projects/old": { name: "Old", lifecycle: "archived", workflow: definition } });
+      await expect(workflowService.deleteWorkflow("old")).rejects.toMatchObject({ status: 409 });
+    });
+
+    test("should reject required fields naming undefined custom fields", async () => {
+      const states = definition.states.map((state) =>
+        state.id === "review" ? { ...state, requiredFields: ["customFields.reviewer"] } : state
+      );
+
+      await expect(
+        workflowService.setWorkflow("alpha", { ...definition, states })
+      ).rejects.toMatchObject({
+        status: 400,
+        message: "Required fields name undefined custom fields: customFields.reviewer",
+      });
+    });
+
+    test("should make statuses free-form again when deleted", async () => {
+      expect(await workflowService.deleteWorkflow("alpha")).toBe(true);
+      expect(await workflowService.deleteWorkflow("alpha")).toBe(false);
+
+      const updated = await taskService.updateTask("t1", { status: "anything" });
+      expect(updated.status).toBe("anything");
+    });
+  });
+
+  describe("task writes", () => {
+    test("should reject transitions the workflow does not allow with 422", async () => {
+      await expect(taskService.updateTask("t1", { status: "done" })).rejects.toMatchObject({
+        status: 422,
+        allowed: ["doing"],
+      });
+      expect(db.dump("tasks/t1").status).toBe("todo");
+    });
+
+    test("should require the fields of the state being entered", async () => {
+      await expect(taskService.updateTask("t1", { status: "doing" })).rejects.toMatchObject({
+        status: 422,
+        missing: ["assignedTo"],
+      });
+
+      const updated = await taskService.updateTask("t1", { status: "Doing", assignedTo: "ann" });
+      expect(updated.status).toBe("doing");
+    });
+
+    test("should store the state an alias names", async () => {
+      const updated = await taskService.updateTask("t2", { status: "Backlog" });
+
+      expect(updated.status).toBe("todo");
+    });
+
+    test("should limit transitions to the roles that may make them", async () => {
+      await expect(
+        taskService.updateTask("t2", { status: "done" }, { roles: { alpha: "member" } })
+      ).rejects.toMatchObject({
+        status: 422,
+        message: "Your member role may not move tasks from review to done",
+      });
+
+      const updated = await taskService.updateTask(
+        "t2",
+        { status: "done" },
+        { roles: { alpha: "owner" } }
+      );
+      expect(updated.status).toBe("done");
+    });
+
+    test("should treat a board move as a status change", async () => {
+      await expect(taskService.moveTask("t1", "review")).rejects.toMatchObject({ status: 422 });
+
+      await taskService.updateTask("t1", { assignedTo: "ann" });
+      const moved = await taskService.moveTask("t1", "DOING");
+      expect(moved).toMatchObject({ status: "doing", groupId: "doing" });
+    });
+
+    test("should check tasks moved in from another project against the workflow", async () => {
+      await expect(taskService.updateTask("t3", { projectId: "alpha" })).rejects.toMatchObject({
+        status: 422,
+      });
+      expect(db.dump("tasks/t3").projectId).toBe("beta");
+
+      const moved = await taskService.updateTask("t3", { projectId: "alpha", status: "todo" });
+      expect(moved).toMatchObject({ projectId: "alpha", status: "todo" });
+    });
+
+    test("should start new tasks in the initial state", async () => {
+      const created = await taskService.createTask({ projectId: "alpha", title: "New" });
+      expect(created.status).toBe("todo");
+
+      await expect(
+        taskService.createTask({ projectId: "alpha", title: "Started", status: "doing" })
+      ).rejects.toMatchObject({ status: 422, missing: ["assignedTo"] });
+    });
+
+    test("should fail bulk moves the workflow does not allow", async () => {
+      const result = await taskService.bulkUpdateTasks([
+        { action: "update", taskId: "t2", updates: { title: "Renamed" } },
+        { action: "move", taskId: "t1", groupId: "done" },
+      ]);
+
+      expect(result.failed).toBe(2);
+      expect(result.results[1].error).toBe("Tasks cannot move from todo to done");
+      expect(db.dump("tasks/t2").title).toBe("Two");
+    });
+
+    test("should reject stale writes with 412 before checking the workflow", async () => {
+      await expect(
+        taskService.updateTask("t1", { status: "done" }, { expectedVersions: [7] })
+      ).rejects.toMatchObject({ status: 412 });
+
+      const updated = await taskService.updateTask(
+        "t1",
+        { title: "Renamed" },
+        { expectedVersions: [1] }
+      );
+      expect(updated.version).toBe(2);
+    });
+  });
+
+  describe("automatic status changes", () => {
+    test("should link GitHub pull requests without a move the workflow rejects", async () => {
+      const link = {
+        key: "pr:acme/web#7",
+        taskIds: ["t1"],
+        targetStatus: "done",
+        url: "https://github.com/acme/web/pull/7",
+        state: "merged",
+        title: "Fix header",
+      };
+
+      const { linked } = await githubIntegration.applyLinks(
+        [link],
+        githubIntegration.githubContext({ login: "octocat" }),
+        { moveTasks: true }
+      );
+
+      expect(linked).toEqual([
+        expect.objectContaining({
+          taskId: "t1",
+          status: "todo",
+          statusRejected: "Tasks cannot move from todo to done",
+        }),
+      ]);
+      expect(db.dump("tasks/t1")).toMatchObject({
+        status: "todo",
+        githubLinks: [expect.objectContaining({ key: "pr:acme/web#7" })],
+      });
+    });
+
+    test("should only block dependents the workflow lets into blocked", async () => {
+      db.seed({
+        "tasks/pre": { title: "Pre", projectId: "alpha", status: "todo", version: 1 },
+        "tasks/doing": {
+          title: "Doing",
+          projectId: "alpha",
+          status: "doing",
+          assignedTo: "ann",
+          dependsOn: ["pre"],
+          version: 1,
+        },
+        "tasks/waiting": {
+          title: "Waiting",
+          projectId: "alpha",
+          status: "todo",
+          dependsOn: ["pre"],
+          version: 1,
+        },
+      });
+
+      const blocked = await dependencyService.propagateStatusChange("pre", "done", "todo");
+
+      expect(blocked).toEqual(["doing"]);
+      expect(db.dump("tasks/doing")).toMatchObject({ status: "blocked", autoBlocked: true });
+      expect(db.dump("tasks/waiting").status).toBe("todo");
+
+      db.seed({ "tasks/pre": { title: "Pre", projectId: "alpha", status: "done", version: 2 } });
+      await dependencyService.propagateStatusChange("pre", "todo", "done");
+      expect(db.dump("tasks/doing")).toMatchObject({ status: "doing", autoBlocked: false });
+    });
+  });
+});
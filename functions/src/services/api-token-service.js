@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Personal access tokens and project API keys for Firebase
+ * Functions. Tokens are stored in apiTokens/{tokenId} by SHA-256 hash only.
+ * @module services/api-token-service
+ */
+
+const admin = require("firebase-admin");
+const {
+  TOKEN_KINDS,
+  generateToken,
+  hashToken,
+  tokenKind,
+  validateScopes,
+  expiryDate,
+  MAX_EXPIRY_DAYS,
+} = require("../utils/api-tokens");
+
+/**
+ * Minimum time between lastUsedAt writes for one token
+ * @const {number}
+ */
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function tokenError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the tokens collection
+ * @private
+ */
+function tokensCollection() {
+  return admin.firestore().collection("apiTokens");
+}
+
+/**
+ * Convert a token document to its API representation, without the hash
+ * @private
+ */
+function toPublic(doc) {
+  const { tokenHash, ...data } = doc.data();
+  return { id: doc.id, ...data };
+}
+
+/**
+ * Create a token
+ * @private
+ * @param {string} kind - personal or project
+ * @param {Object} fields - Owner fields stored with the token
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @param {Object} actor - User creating the token
+ * @returns {Promise<Object>} Stored token plus the secret, which is never
+ *   returned again
+ */
+async function createToken(kind, fields, options, actor) {
+  const { name, scopes, expiresInDays } = options;
+
+  if (!name) {
+    throw tokenError(400, "name is required");
+  }
+  const scopeError = validateScopes(scopes);
+  if (scopeError) {
+    throw tokenError(400, scopeError);
+  }
+  const expiresAt = expiryDate(expiresInDays);
+  if (!expiresAt) {
+    throw tokenError(
+      400,
+      `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`
+    );
+  }
+
+  const token = generateToken(kind);
+  const data = {
+    kind,
+    ...fields,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, 12),
+    createdBy: actor.uid,
+    createdAt: new Date(),
+    expiresAt,
+    lastUsedAt: null,
+    revokedAt: null,
+    revokedBy: null,
+  };
+
+  const ref = await tokensCollection().add(data);
+  const { tokenHash, ...stored } = data;
+  return { id: ref.id, ...stored, token };
+}
+
+/**
+ * Create a personal access token acting as a user
+ * @param {Object} user - Token owner (req.user)
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @returns {Promise<Object>} Created token including the secret
+ */
+async function createPersonalToken(user, options = {}) {
+  try {
+    return await createToken(
+      TOKEN_KINDS.PERSONAL,
+      {
+        uid: user.uid,
+        email: user.email || null,
+        userName: user.name || null,
+        projectId: null,
+      },
+      options,
+      user
+    );
+  } catch (error) {
+    console.error(`Error creating personal access token for ${user.uid}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create an API key scoped to a project and its sub-projects
+ * @param {string} projectId - Project ID
+ * @param {Object} actor - User creating the key (req.user)
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @returns {Promise<Object>} Created key including the secret
+ */
+async function createProjectKey(projectId, actor, options = {}) {
+  try {
+    return await createToken(
+      TOKEN_KINDS.PROJECT,
+      { uid: null, email: null, userName: null, projectId },
+      options,
+      actor
+    );
+  } catch (error) {
+    console.error(`Error creating API key for project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * List tokens, newest first
+ * @param {Object} owner - { uid } for personal tokens or { projectId } for
+ *   project keys
+ * @returns {Promise<Array>} Tokens without their hashes
+ */
+async function listTokens(owner) {
+  try {
+    const query = owner.projectId
+      ? tokensCollection()
+        .where("kind", "==", TOKEN_KINDS.PROJECT)
+        .where("projectId", "==", owner.projectId)
+      : tokensCollection()
+        .where("kind", "==", TOKEN_KINDS.PERSONAL)
+        .where("uid", "==", owner.uid);
+
+    const snapshot = await query.get();
+    return snapshot.docs
+      .map(toPublic)
+      .sort((a, b) => b.createdAt.toMillis() - a.createdAt.toMillis());
+  } catch (error) {
+    console.error("Error listing API tokens:", error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a token. Revoked tokens stay listed so their use can be audited.
+ * @param {string} tokenId - Token ID
+ * @param {Object} owner - { uid } or { projectId } the token must belong to
+ * @param {Object} actor - User revoking the token
+ * @returns {Promise<Object|null>} Revoked token, or null if the owner has no
+ *   such token
+ */
+async function revokeToken(tokenId, owner, actor) {
+  try {
+    const ref = tokensCollection().doc(tokenId);
+    const doc = await ref.get();
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    const owned = owner.projectId
+      ? data.kind === TOKEN_KINDS.PROJECT && data.projectId === owner.projectId
+      : data.kind === TOKEN_KINDS.PERSONAL && data.uid === owner.uid;
+    if (!owned) return null;
+
+    if (!data.revokedAt) {
+      await ref.update({ revokedAt: new Date(), revokedBy: actor.uid });
+    }
+
+    return toPublic(await ref.get());
+  } catch (error) {
+    console.error(`Error revoking API token ${tokenId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Look up the token behind a Bearer credential and record its use
+ * @param {string} secret - Token secret
+ * @returns {Promise<Object|null>} Token, or null if it is unknown, revoked or
+ *   expired
+ */
+async function verifyToken(secret) {
+  if (!tokenKind(secret)) return null;
+
+  const snapshot = await tokensCollection()
+    .where("tokenHash", "==", hashToken(secret))
+    .limit(1)
+    .get();
+  if (snapshot.empty) return null;
+
+  const doc = snapshot.docs[0];
+  const token = toPublic(doc);
+  const now = new Date();
+  if (token.revokedAt || token.expiresAt.toDate() <= now) return null;
+
+  // Throttled so busy CI jobs do not write on every request
+  const lastUsed = token.lastUsedAt ? token.lastUsedAt.toDate() : null;
+  if (!lastUsed || now - lastUsed > LAST_USED_INTERVAL_MS) {
+    doc.ref.update({ lastUsedAt: now }).catch((error) => {
+      console.error(`Error recording use of API token ${doc.id}:`, error);
+    });
+  }
+
+  return token;
+}
+
+module.exports = {
+  createPersonalToken,
+  createProjectKey,
+  listTokens,
+  revokeToken,
+  verifyToken,
+};
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Burndown service for Firebase Functions. A sprint's scope is
+ * the tasks with its sprintId; a milestone is tracked with a label over a
+ * date range. Tasks that left the scope, including deleted ones, are found
+ * through their history entries.
+ * @module services/burndown-service
+ */
+
+const admin = require("firebase-admin");
+const sprintService = require("./sprint-service");
+const customFieldService = require("./custom-field-service");
+const { historyCollection } = require("./task-history-service");
+const { toDate } = require("../utils/sprints");
+const { FIELD_TYPES } = require("../utils/custom-fields");
+const { resolveRange } = require("../utils/flow-metrics");
+const {
+  DEFAULT_POINTS_FIELD,
+  replayHistory,
+  scopeFilter,
+  computeBurndown,
+} = require("../utils/burndown");
+
+/**
+ * Tasks that can be replayed per request
+ * @const {number}
+ */
+const MAX_TASKS = 1000;
+
+/**
+ * Task histories read in parallel
+ * @const {number}
+ */
+const HISTORY_CONCURRENCY = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function burndownError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Resolve the custom field holding points. A field that was named must be a
+ * number field; the default one is only used when the project defines it.
+ * @private
+ * @returns {Promise<string|null>} Field key, or null to report task counts only
+ */
+async function resolvePointsField(projectId, pointsField) {
+  const schema = await customFieldService.getSchema(projectId);
+  const key = pointsField || DEFAULT_POINTS_FIELD;
+  const field = schema.get(key);
+
+  if (field && field.type === FIELD_TYPES.NUMBER) return key;
+  if (pointsField) {
+    throw burndownError(400, `pointsField must name a number custom field: ${pointsField}`);
+  }
+  return null;
+}
+
+/**
+ * Find the tasks that were in the scope at some point: those in it now and
+ * those whose history shows them leaving it
+ * @private
+ * @returns {Promise<Map<string, Object|null>>} Task data by ID; null for
+ *   tasks that no longer exist
+ */
+async function findCandidates(projectId, scope) {
+  const db = admin.firestore();
+  const [current, left] = scope.sprintId
+    ? [
+        db.collection("tasks").where("sprintId", "==", scope.sprintId),
+        db.collectionGroup("history").where("changes.sprintId.from", "==", scope.sprintId),
+      ]
+    : [
+        db
+          .collection("tasks")
+          .where("projectId", "==", projectId)
+          .where("labels", "array-contains", scope.label),
+        db.collectionGroup("history").where("changes.labels.from", "array-contains", scope.label),
+      ];
+
+  const [currentSnapshot, leftSnapshot] = await Promise.all([
+    current.get(),
+    left.select().get(),
+  ]);
+  const candidates = new Map(currentSnapshot.docs.map((doc) => [doc.id, doc.data()]));
+  const missing = [
+    ...new Set(leftSnapshot.docs.map((doc) => doc.ref.parent.parent.id)),
+  ].filter((id) => !candidates.has(id));
+
+  if (candidates.size + missing.length > MAX_TASKS) {
+    throw burndownError(400, `Burndown covers at most ${MAX_TASKS} tasks`);
+  }
+  if (missing.length > 0) {
+    const docs = await db.getAll(...missing.map((id) => db.collection("tasks").doc(id)));
+    docs.forEach((doc) => candidates.set(doc.id, doc.exists ? doc.data() : null));
+  }
+  return candidates;
+}
+
+/**
+ * Replay each candidate's history into a timeline of its states
+ * @private
+ */
+async function loadTimelines(candidates) {
+  const ids = [...candidates.keys()];
+  const tasks = [];
+
+  for (let i = 0; i < ids.length; i += HISTORY_CONCURRENCY) {
+    const chunk = ids.slice(i, i + HISTORY_CONCURRENCY);
+    const snapshots = await Promise.all(
+      chunk.map((id) => historyCollection(id).select("action", "changes", "at").get())
+    );
+    chunk.forEach((id, j) => {
+      const entries = snapshots[j].docs.map((doc) => doc.data());
+      tasks.push({ id, timeline: replayHistory(candidates.get(id), entries) });
+    });
+  }
+  return tasks;
+}
+
+/**
+ * Get burndown and burnup series for a sprint or a milestone label
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Burndown options
+ * @param {string} [options.sprintId] - Sprint; its start and end dates set the range
+ * @param {string} [options.label] - Milestone label, when no sprint is given
+ * @param {Object} [options.range] - { from, to } from resolveRange, for a milestone
+ * @param {string} [options.pointsField] - Number custom field holding points
+ * @returns {Promise<Object|null>} Series with the scope they cover (see
+ *   computeBurndown), or null if the sprint does not exist
+ */
+async function getBurndown(projectId, options) {
+  const { sprintId, label, pointsField } = options;
+
+  try {
+    let range = options.range;
+    let sprint = null;
+    if (sprintId) {
+      sprint = await sprintService.getSprint(projectId, sprintId);
+      if (!sprint) return null;
+
+      // The end date's whole day is part of the sprint
+      const end = toDate(sprint.endDate);
+      range = resolveRange(toDate(sprint.startDate), new Date(end.getTime() + DAY_MS));
+    }
+
+    const scope = sprintId ? { projectId, sprintId } : { projectId, label };
+    const [field, candidates] = await Promise.all([
+      resolvePointsField(projectId, pointsField),
+      findCandidates(projectId, scope),
+    ]);
+    const tasks = await loadTimelines(candidates);
+
+    return {
+      projectId,
+      scope: sprint
+        ? { type: "sprint", sprintId, name: sprint.name, state: sprint.state }
+        : { type: "milestone", label },
+      range: { from: range.from.toISOString(), to: range.to.toISOString() },
+      pointsField: field,
+      ...computeBurndown(tasks, range, { inScope: scopeFilter(scope), pointsField: field }),
+    };
+  } catch (error) {
+    console.error(`Error computing burndown for project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getBurndown,
+};
@@ -0,0 +1,324 @@
+/**
+ * @fileoverview Task comment service for Firebase Functions
+ * @module services/comment-service
+ */
+
+const admin = require("firebase-admin");
+const { readOnlyReason } = require("../utils/lifecycle");
+
+/**
+ * Maximum comment length in characters
+ * @const {number}
+ */
+const MAX_COMMENT_LENGTH = 10000;
+
+/**
+ * Get the comments collection for a task
+ * @private
+ * @param {string} taskId - Task ID
+ * @returns {FirebaseFirestore.CollectionReference} Comments collection
+ */
+function commentsCollection(taskId) {
+  return admin
+    .firestore()
+    .collection("tasks")
+    .doc(taskId)
+    .collection("comments");
+}
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function commentError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validate a comment body
+ * @private
+ * @param {string} body - Comment text
+ * @returns {string} Trimmed body
+ * @throws {Error} If the body is empty or too long
+ */
+function validateBody(body) {
+  if (typeof body !== "string" || !body.trim()) {
+    throw commentError(400, "Comment body is required");
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    throw commentError(
+      400,
+      `Comment body is limited to ${MAX_COMMENT_LENGTH} characters`
+    );
+  }
+  return body.trim();
+}
+
+/**
+ * Arrange a flat, chronologically ordered list into reply threads
+ * @private
+ * @param {Array<Object>} comments - Comments ordered by createdAt
+ * @returns {Array<Object>} Top-level comments with nested replies
+ */
+function buildThreads(comments) {
+  const byId = new Map(comments.map((c) => [c.id, { ...c, replies: [] }]));
+  const roots = [];
+
+  for (const comment of byId.values()) {
+    const parent = comment.parentId && byId.get(comment.parentId);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  }
+
+  return roots;
+}
+
+/**
+ * Get all comments for a task
+ * @param {string} taskId - Task ID
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.threaded=true] - Nest replies under their parent
+ * @returns {Promise<Array>} Comments
+ */
+async function getComments(taskId, options = {}) {
+  const { threaded = true } = options;
+
+  try {
+    const snapshot = await commentsCollection(taskId)
+      .orderBy("createdAt", "asc")
+      .get();
+
+    const comments = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return threaded ? buildThreads(comments) : comments;
+  } catch (error) {
+    console.error(`Error getting comments for task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add a comment or reply to a task
+ * @param {string} taskId - Task ID
+ * @param {Object} commentData - Comment data ({ body, parentId })
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} Created comment
+ */
+async function addComment(taskId, commentData, user) {
+  try {
+    const body = validateBody(commentData.body);
+    const db = admin.firestore();
+    const taskRef = db.collection("tasks").doc(taskId);
+
+    const taskDoc = await taskRef.get();
+    if (!taskDoc.exists) {
+      throw commentError(404, `Task with ID ${taskId} not found`);
+    }
+    const reason = readOnlyReason(taskDoc.get("lifecycle"), "Task");
+    if (reason) {
+      throw commentError(409, reason);
+    }
+
+    const parentId = commentData.parentId || null;
+    if (parentId) {
+      const parentDoc = await commentsCollection(taskId).doc(parentId).get();
+      if (!parentDoc.exists) {
+        throw commentError(400, `Parent comment ${parentId} not found`);
+      }
+    }
+
+    const now = new Date();
+    const comment = {
+      taskId,
+      body,
+      parentId,
+      authorId: user.uid,
+      authorName: user.name || user.email || user.uid,
+      createdAt: now,
+      updatedAt: now,
+      edited: false,
+      editHistory: [],
+      deleted: false,
+    };
+
+    const commentRef = commentsCollection(taskId).doc();
+    const batch = db.batch();
+    batch.set(commentRef, comment);
+    batch.update(taskRef, {
+      commentCount: admin.firestore.FieldValue.increment(1),
+    });
+    await batch.commit();
+
+    return {
+      id: commentRef.id,
+      ...comment,
+    };
+  } catch (error) {
+    console.error(`Error adding comment to task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add comments carried over from another tool, keeping their original
+ * author names and dates. Bodies are expected to be validated already.
+ * @param {string} taskId - Task ID
+ * @param {Array<Object>} imported - Comments ({ author, body, createdAt })
+ * @returns {Promise<number>} Number of comments added
+ */
+async function importComments(taskId, imported) {
+  if (!imported.length) return 0;
+
+  try {
+    const db = admin.firestore();
+    const now = new Date();
+    const batch = db.batch();
+    imported.forEach((comment) => {
+      const createdAt = comment.createdAt ? new Date(comment.createdAt) : now;
+      batch.set(commentsCollection(taskId).doc(), {
+        taskId,
+        body: comment.body,
+        parentId: null,
+        authorId: null,
+        authorName: comment.author || "Imported",
+        createdAt,
+        updatedAt: createdAt,
+        edited: false,
+        editHistory: [],
+        deleted: false,
+        imported: true,
+      });
+    });
+    batch.update(db.collection("tasks").doc(taskId), {
+      commentCount: admin.firestore.FieldValue.increment(imported.length),
+    });
+    await batch.commit();
+    return imported.length;
+  } catch (error) {
+    console.error(`Error importing comments to task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Load a comment and check the user may change it
+ * @private
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot>} Comment snapshot
+ */
+async function getOwnComment(taskId, commentId, user) {
+  const [taskDoc, doc] = await Promise.all([
+    admin.firestore().collection("tasks").doc(taskId).get(),
+    commentsCollection(taskId).doc(commentId).get(),
+  ]);
+
+  if (!doc.exists || doc.data().deleted) {
+    throw commentError(404, `Comment with ID ${commentId} not found`);
+  }
+  if (doc.data().authorId !== user.uid && !user.admin) {
+    throw commentError(403, "Only the author can change this comment");
+  }
+  const reason = readOnlyReason(taskDoc.get("lifecycle"), "Task");
+  if (reason) {
+    throw commentError(409, reason);
+  }
+
+  return doc;
+}
+
+/**
+ * Edit a comment, keeping the previous text in its edit history
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @param {Object} updates - Comment updates ({ body })
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} Updated comment
+ */
+async function updateComment(taskId, commentId, updates, user) {
+  try {
+    const body = validateBody(updates.body);
+    const doc = await getOwnComment(taskId, commentId, user);
+    const current = doc.data();
+
+    if (current.body === body) {
+      return { id: doc.id, ...current };
+    }
+
+    const now = new Date();
+    const changes = {
+      body,
+      edited: true,
+      updatedAt: now,
+      editHistory: admin.firestore.FieldValue.arrayUnion({
+        body: current.body,
+        editedAt: now,
+        editedBy: user.uid,
+      }),
+    };
+
+    await doc.ref.update(changes);
+
+    const updated = await doc.ref.get();
+    return { id: updated.id, ...updated.data() };
+  } catch (error) {
+    console.error(`Error updating comment ${commentId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a comment. Comments with replies are blanked instead of removed so
+ * the thread stays intact.
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteComment(taskId, commentId, user) {
+  try {
+    const doc = await getOwnComment(taskId, commentId, user);
+    const db = admin.firestore();
+
+    const replies = await commentsCollection(taskId)
+      .where("parentId", "==", commentId)
+      .limit(1)
+      .get();
+
+    const batch = db.batch();
+    if (replies.empty) {
+      batch.delete(doc.ref);
+    } else {
+      batch.update(doc.ref, {
+        body: "",
+        deleted: true,
+        updatedAt: new Date(),
+      });
+    }
+    batch.update(db.collection("tasks").doc(taskId), {
+      commentCount: admin.firestore.FieldValue.increment(-1),
+    });
+    await batch.commit();
+
+    return true;
+  } catch (error) {
+    console.error(`Error deleting comment ${commentId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getComments,
+  addComment,
+  importComments,
+  updateComment,
+  deleteComment,
+};
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Project custom field service for Firebase Functions. Field
+ * definitions are stored in projects/{projectId}/customFields/{key}; tasks
+ * keep their values in a customFields map under the same keys.
+ * @module services/custom-field-service
+ */
+
+const admin = require("firebase-admin");
+const { readOnlyReason } = require("../utils/lifecycle");
+const { FIELD_LIMITS, normalizeFieldDefinition } = require("../utils/custom-fields");
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function fieldError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the custom fields collection of a project
+ * @param {string} projectId - Project ID
+ * @returns {FirebaseFirestore.CollectionReference} Custom fields collection
+ */
+function fieldsCollection(projectId) {
+  return admin
+    .firestore()
+    .collection("projects")
+    .doc(projectId)
+    .collection("customFields");
+}
+
+/**
+ * Convert a field snapshot into a plain object
+ * @private
+ */
+function toField(doc) {
+  return { id: doc.id, ...doc.data() };
+}
+
+/**
+ * Fail with 409 when the project is archived or in the trash
+ * @private
+ */
+async function assertProjectWritable(projectId) {
+  const project = await admin.firestore().collection("projects").doc(projectId).get();
+  if (!project.exists) {
+    throw fieldError(404, `Project ${projectId} not found`);
+  }
+  const reason = readOnlyReason(project.get("lifecycle"));
+  if (reason) {
+    throw fieldError(409, reason);
+  }
+}
+
+/**
+ * Validate a definition, mapping failures to 400
+ * @private
+ */
+function validateDefinition(data, options) {
+  try {
+    return normalizeFieldDefinition(data || {}, options);
+  } catch (error) {
+    throw fieldError(400, error.message);
+  }
+}
+
+/**
+ * Get a project's custom fields in display order
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array<Object>>} Field definitions
+ */
+async function getFields(projectId) {
+  try {
+    const snapshot = await fieldsCollection(projectId).orderBy("position", "asc").get();
+    return snapshot.docs.map(toField);
+  } catch (error) {
+    console.error(`Error getting custom fields of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a project's custom field schema
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Map<string, Object>>} Field definitions by key
+ */
+async function getSchema(projectId) {
+  const snapshot = await fieldsCollection(projectId).get();
+  return new Map(snapshot.docs.map((doc) => [doc.id, toField(doc)]));
+}
+
+/**
+ * Add a custom field to a project. It is shown after the existing fields.
+ * @param {string} projectId - Project ID
+ * @param {Object} data - { key, name, type, options?, required?, description? }
+ * @returns {Promise<Object>} Created field
+ */
+async function createField(projectId, data) {
+  try {
+    const fields = validateDefinition(data);
+    await assertProjectWritable(projectId);
+
+    const collection = fieldsCollection(projectId);
+    return await admin.firestore().runTransaction(async (transaction) => {
+      const existing = await transaction.get(collection);
+      if (existing.docs.some((doc) => doc.id === fields.key)) {
+        throw fieldError(409, `Custom field ${fields.key} already exists`);
+      }
+      if (existing.size >= FIELD_LIMITS.fieldsPerProject) {
+        throw fieldError(
+          409,
+          `A project has at most ${FIELD_LIMITS.fieldsPerProject} custom fields`
+        );
+      }
+
+      const now = new Date();
+      const position = existing.docs.reduce(
+        (max, doc) => Math.max(max, doc.get("position") + 1),
+        0
+      );
+      const field = { ...fields, position, createdAt: now, updatedAt: now };
+      transaction.set(collection.doc(fields.key), field);
+      return { id: fields.key, ...field };
+    });
+  } catch (error) {
+    console.error(`Error creating custom field in project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a custom field's name, options, requirement, description or
+ * position. Values already stored on tasks are left as they are.
+ * @param {string} projectId - Project ID
+ * @param {string} key - Field key
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object|null>} Updated field, or null if not found
+ */
+async function updateField(projectId, key, updates) {
+  try {
+    await assertProjectWritable(projectId);
+    const doc = await fieldsCollection(projectId).doc(key).get();
+    if (!doc.exists) return null;
+
+    const current = toField(doc);
+    const { position, ...definition } = updates || {};
+    const fields = validateDefinition(definition, { current });
+    if (position !== undefined) {
+      if (!Number.isInteger(position) || position < 0) {
+        throw fieldError(400, "position must be a non-negative integer");
+      }
+      fields.position = position;
+    }
+    if (Object.keys(fields).length === 0) {
+      throw fieldError(400, "No custom field properties to update");
+    }
+
+    fields.updatedAt = new Date();
+    await doc.ref.update(fields);
+    return { ...current, ...fields };
+  } catch (error) {
+    console.error(`Error updating custom field ${key}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a custom field. Values stay on tasks but are no longer validated
+ * or filterable.
+ * @param {string} projectId - Project ID
+ * @param {string} key - Field key
+ * @returns {Promise<boolean>} Whether the field existed
+ */
+async function deleteField(projectId, key) {
+  try {
+    await assertProjectWritable(projectId);
+    const ref = fieldsCollection(projectId).doc(key);
+    const doc = await ref.get();
+    if (!doc.exists) return false;
+
+    await ref.delete();
+    return true;
+  } catch (error) {
+    console.error(`Error deleting custom field ${key}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  fieldsCollection,
+  getFields,
+  getSchema,
+  createField,
+  updateField,
+  deleteField,
+};
@@ -60,6 +60,20 @@ const TEMPLATES = {
       requiredVars: ["updateType", "email"],
       subject: "Firesite.io - Account Update",
     },
+    TASK_DUE_SOON: {
+      id: process.env.SENDGRID_TASK_DUE_SOON_TEMPLATE_ID || null,
+      name: "Task Due Soon",
+      description: "Remind the assignee of a task that is due soon",
+      requiredVars: ["email", "taskTitle", "dueDate", "taskId"],
+      subject: "Firesite.io - Task due soon",
+    },
+    TASK_OVERDUE: {
+      id: process.env.SENDGRID_TASK_OVERDUE_TEMPLATE_ID || null,
+      name: "Task Overdue",
+      description: "Tell the assignee a task is past its due date",
+      requiredVars: ["email", "taskTitle", "dueDate", "taskId"],
+      subject: "Firesite.io - Task overdue",
+    },
   },
 
   // Marketing emails
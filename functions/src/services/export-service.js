@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Project export service for Firebase Functions. Exports cover
+ * a project and its sub-projects and are produced as a stream of text chunks,
+ * reading tasks a page at a time so large projects never sit in memory.
+ * Formats are described in utils/export.
+ * @module services/export-service
+ */
+
+const admin = require("firebase-admin");
+const projectService = require("./project-service");
+const labelService = require("./label-service");
+const customFields = require("./custom-field-service");
+const comments = require("./comment-service");
+const taskHistory = require("./task-history-service");
+const { isVisible } = require("../utils/lifecycle");
+const {
+  EXPORT_FORMAT_NAME,
+  EXPORT_VERSION,
+  toPlain,
+  taskCsvHeader,
+  taskCsvRow,
+  orderStatuses,
+  markdownText,
+  markdownTask,
+} = require("../utils/export");
+
+/**
+ * Tasks read per query
+ * @const {number}
+ */
+const PAGE_SIZE = 100;
+
+/**
+ * Read a query a page at a time, in document ID order
+ * @private
+ * @param {FirebaseFirestore.Query} query - Query to read
+ * @returns {AsyncGenerator<Array<FirebaseFirestore.QueryDocumentSnapshot>>} Pages
+ */
+async function* pages(query) {
+  let last = null;
+  for (;;) {
+    let page = query.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (last) page = page.startAfter(last);
+
+    const snapshot = await page.get();
+    if (snapshot.size) yield snapshot.docs;
+    if (snapshot.size < PAGE_SIZE) return;
+    last = snapshot.docs[snapshot.size - 1];
+  }
+}
+
+/**
+ * Load what an export needs before streaming: the projects of the subtree
+ * with their label catalogs and custom fields
+ * @param {string} projectId - Project to export
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.includeDeleted=false] - Include sub-projects and
+ *   tasks in the trash; archived ones are always included
+ * @returns {Promise<Object|null>} Export plan, or null if the project does not exist
+ */
+async function prepareExport(projectId, options = {}) {
+  try {
+    const project = await projectService.getProject(projectId);
+    if (!project) return null;
+
+    const visibility = { includeArchived: true, includeDeleted: Boolean(options.includeDeleted) };
+    const children = await projectService.getChildren(projectId, { recursive: true, ...visibility });
+
+    const projects = await Promise.all(
+      [project, ...children].map(async (p) => {
+        const [labels, fields] = await Promise.all([
+          labelService.getLabels(p.id),
+          customFields.getFields(p.id),
+        ]);
+        return toPlain({ ...p, labels, customFields: fields });
+      })
+    );
+
+    return { projectId, projects, visibility, exportedAt: new Date() };
+  } catch (error) {
+    console.error(`Error preparing export of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Read the tasks of every exported project, a page at a time
+ * @private
+ * @returns {AsyncGenerator<Array<Object>>} Pages of plain tasks
+ */
+async function* taskPages(plan) {
+  const collection = admin.firestore().collection("tasks");
+  for (const project of plan.projects) {
+    for await (const docs of pages(collection.where("projectId", "==", project.id))) {
+      yield docs
+        .filter((doc) => isVisible(doc.get("lifecycle"), plan.visibility))
+        .map((doc) => toPlain({ id: doc.id, ...doc.data() }));
+    }
+  }
+}
+
+/**
+ * Add a task's comments and full history, oldest first
+ * @private
+ */
+async function withActivity(task) {
+  const [taskComments, history] = await Promise.all([
+    comments.getComments(task.id, { threaded: false }),
+    taskHistory.historyCollection(task.id).orderBy("at", "asc").get(),
+  ]);
+  return {
+    ...task,
+    comments: toPlain(taskComments),
+    history: history.docs.map((doc) => toPlain({ id: doc.id, ...doc.data() })),
+  };
+}
+
+/**
+ * Stream the JSON archive
+ * @private
+ */
+async function* jsonChunks(plan) {
+  const header = {
+    format: EXPORT_FORMAT_NAME,
+    version: EXPORT_VERSION,
+    exportedAt: plan.exportedAt.toISOString(),
+    projectId: plan.projectId,
+    projects: plan.projects,
+  };
+  // Open the tasks array after the header fields and fill it page by page
+  yield `${JSON.stringify(header).slice(0, -1)},"tasks":[`;
+
+  let first = true;
+  for await (const tasks of taskPages(plan)) {
+    const detailed = await Promise.all(tasks.map(withActivity));
+    for (const task of detailed) {
+      yield `${first ? "" : ","}\n${JSON.stringify(task)}`;
+      first = false;
+    }
+  }
+  yield "\n]}\n";
+}
+
+/**
+ * Stream the task CSV, with one column per custom field of any exported project
+ * @private
+ */
+async function* csvChunks(plan) {
+  const keys = [
+    ...new Set(plan.projects.flatMap((project) => project.customFields.map((field) => field.key))),
+  ];
+  const names = new Map(plan.projects.map((project) => [project.id, project.name]));
+
+  yield taskCsvHeader(keys);
+  for await (const tasks of taskPages(plan)) {
+    yield tasks.map((task) => taskCsvRow(task, names.get(task.projectId), keys)).join("");
+  }
+}
+
+/**
+ * Stream the Markdown report. A first pass reads only task statuses so each
+ * section can be written whole, with its count, without holding the tasks.
+ * @private
+ */
+async function* markdownChunks(plan) {
+  const db = admin.firestore();
+  const collection = db.collection("tasks");
+  const names = new Map(plan.projects.map((project) => [project.id, project.name]));
+  const showProject = plan.projects.length > 1;
+
+  const byStatus = new Map();
+  for (const project of plan.projects) {
+    const query = collection.where("projectId", "==", project.id).select("status", "lifecycle");
+    for await (const docs of pages(query)) {
+      docs
+        .filter((doc) => isVisible(doc.get("lifecycle"), plan.visibility))
+        .forEach((doc) => {
+          const status = doc.get("status") || "";
+          if (!byStatus.has(status)) byStatus.set(status, []);
+          byStatus.get(status).push(doc.id);
+        });
+    }
+  }
+
+  const [root] = plan.projects;
+  const total = [...byStatus.values()].reduce((sum, ids) => sum + ids.length, 0);
+  const lines = [
+    `# ${markdownText(root.name || root.id)}`,
+    "",
+    `Exported ${plan.exportedAt.toISOString()} · ${total} tasks`,
+  ];
+  if (showProject) {
+    lines.push("", "Projects:", "");
+    plan.projects.forEach((project) =>
+      lines.push(`${"  ".repeat((project.depth || 0) - (root.depth || 0))}- ${markdownText(project.name)}`)
+    );
+  }
+  yield `${lines.join("\n")}\n`;
+
+  for (const status of orderStatuses([...byStatus.keys()])) {
+    const ids = byStatus.get(status);
+    yield `\n## ${markdownText(status || "No status")} (${ids.length})\n\n`;
+
+    for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+      const docs = await db.getAll(...ids.slice(i, i + PAGE_SIZE).map((id) => collection.doc(id)));
+      yield docs
+        .filter((doc) => doc.exists)
+        .map((doc) => {
+          const task = toPlain({ id: doc.id, ...doc.data() });
+          return markdownTask(task, showProject ? names.get(task.projectId) : null);
+        })
+        .join("");
+    }
+  }
+}
+
+/**
+ * Stream a prepared export
+ * @param {Object} plan - Plan from prepareExport
+ * @param {string} format - json, csv or md
+ * @returns {AsyncGenerator<string>} Text chunks
+ */
+function streamExport(plan, format) {
+  switch (format) {
+    case "csv":
+      return csvChunks(plan);
+    case "md":
+      return markdownChunks(plan);
+    default:
+      return jsonChunks(plan);
+  }
+}
+
+module.exports = {
+  prepareExport,
+  streamExport,
+};
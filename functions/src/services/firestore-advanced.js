@@ -17,14 +17,15 @@ import {
   getDocs,
   Timestamp,
   serverTimestamp,
-  writeBatch,
   deleteDoc,
-  runTransaction,
 } from 'firebase/firestore';
 import { getAuth } from 'firebase/auth';
 import { setTimeout, clearTimeout, setInterval } from 'timers';
 const performanceService = require('./performance');
+const firestoreOperations = require('./firestore/index');
 const securityService = require('./security');
+const search = require('../utils/search');
+const { aggregateDocs } = require('../utils/aggregates');
 
 class FirestoreService {
   constructor() {
@@ -320,313 +321,25 @@ class FirestoreService {
   }
 
   /**
-   * Execute batch operations with metadata tracking
-   * @param {Array<Object>} operations - Array of operations to perform
-   * @param {Object} options - Batch options
-   * @returns {Promise<Object>} Batch results
+   * Execute batch operations with metadata tracking. Writes go through the
+   * shared Admin SDK implementation in services/firestore.
+   * @param {Array<Object>} operations - Operations ({ type, collection, docId, data })
+   * @param {Object} options - Batch options (see BatchWriteService#executeBatch)
+   * @returns {Promise<Object>} Batch results ({ successful, failed, total })
    */
   async executeBatch(operations, options = {}) {
-    const {
-      continueOnError = false,
-      batchSize = 500, // Firestore limit is 500
-      progressCallback = null,
-    } = options;
-
-    try {
-      const results = {
-        successful: [],
-        failed: [],
-        total: operations.length,
-      };
-
-      // Split operations into batches of batchSize
-      const batches = [];
-      for (let i = 0; i < operations.length; i += batchSize) {
-        batches.push(operations.slice(i, i + batchSize));
-      }
-
-      const now = Timestamp.fromDate(new Date());
-
-      // Process each batch
-      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-        const currentBatch = batches[batchIndex];
-        const batch = writeBatch(this.db);
-        const batchOperations = [];
-
-        // Prepare all operations in current batch
-        for (const operation of currentBatch) {
-          try {
-            const { type, collection: collectionName, docId, data = {} } = operation;
-            const docRef = doc(this.db, collectionName, docId);
-            const cleanData = this.cleanObject(data);
-
-            // Get existing document for metadata
-            const docSnap = await getDoc(docRef);
-            const currentData = docSnap.exists() ? docSnap.data() : null;
-            const currentVersion = currentData?.version || 0;
-
-            const metadata = {
-              updatedAt: serverTimestamp(),
-              updatedBy: 'test-user',
-              version: currentVersion + 1,
-            };
-
-            if (!currentData) {
-              metadata.createdAt = serverTimestamp();
-              metadata.createdBy = 'test-user';
-            }
-
-            const change = {
-              timestamp: now,
-              userId: 'test-user',
-              type: type || (currentData ? 'update' : 'create'),
-              changes: this.diffObjects(currentData || {}, cleanData),
-            };
-
-            const newData = {
-              ...cleanData,
-              ...metadata,
-              history: currentData?.history
-                ? [...currentData.history, change].slice(-50)
-                : [change],
-            };
-
-            switch (type) {
-              case 'delete':
-                batch.delete(docRef);
-                break;
-              case 'update':
-                batch.update(docRef, newData);
-                break;
-              default: // create or set
-                batch.set(docRef, newData, { merge: true });
-            }
-
-            batchOperations.push({
-              ref: docRef,
-              type,
-              data: newData,
-              original: operation,
-            });
-          } catch (error) {
-            if (!continueOnError) {
-              throw error;
-            }
-            results.failed.push({
-              operation,
-              error: error.message,
-            });
-          }
-        }
-
-        // Commit the batch
-        try {
-          await batch.commit();
-          results.successful.push(
-            ...batchOperations.map(op => ({
-              id: op.ref.id,
-              collection: op.ref.parent.id,
-              type: op.type,
-              data: op.data,
-            }))
-          );
-        } catch (error) {
-          if (!continueOnError) {
-            throw error;
-          }
-          results.failed.push(
-            ...batchOperations.map(op => ({
-              operation: op.original,
-              error: error.message,
-            }))
-          );
-        }
-
-        // Report progress if callback provided
-        if (progressCallback) {
-          const progress = {
-            batch: batchIndex + 1,
-            totalBatches: batches.length,
-            processed: results.successful.length + results.failed.length,
-            total: operations.length,
-            successful: results.successful.length,
-            failed: results.failed.length,
-          };
-          await progressCallback(progress);
-        }
-      }
-
-      return results;
-    } catch (error) {
-      console.error('Batch operation error:', error);
-      throw error;
-    }
+    return firestoreOperations.executeBatch(operations, options);
   }
 
   /**
-   * Execute operations in a transaction with metadata tracking
-   * @param {Function} operations - Function containing transaction operations
-   * @param {Object} options - Transaction options
-   * @returns {Promise<Object>} Transaction results
+   * Execute operations in a transaction with metadata tracking. Writes go
+   * through the shared Admin SDK implementation in services/firestore.
+   * @param {Function} operations - Receives a transaction wrapper ({ get, set, update, delete })
+   * @param {Object} options - Transaction options (see BatchWriteService#executeTransaction)
+   * @returns {Promise<Object>} Transaction results ({ result, operations })
    */
   async executeTransaction(operations, options = {}) {
-    const { maxAttempts = 5, timeout = 30000 } = options;
-
-    try {
-      const self = this; // Store reference to this
-      return await runTransaction(
-        this.db,
-        async transaction => {
-          const now = Timestamp.fromDate(new Date());
-          const transactionOperations = [];
-          const pendingWrites = [];
-
-          // Create transaction wrapper with metadata tracking
-          const txn = {
-            // Read operations
-            async get(collectionName, docId) {
-              const docRef = doc(self.db, collectionName, docId);
-              const docSnap = await transaction.get(docRef);
-              return docSnap.exists() ? { id: docId, ...docSnap.data() } : null;
-            },
-
-            // Write operations (these will be queued and executed after all reads)
-            async set(collectionName, docId, data, options = { merge: true }) {
-              const docRef = doc(self.db, collectionName, docId);
-              const cleanData = self.cleanObject(data);
-
-              // Queue the write operation
-              pendingWrites.push(async () => {
-                // Get existing document for metadata
-                const docSnap = await transaction.get(docRef);
-                const currentData = docSnap.exists() ? docSnap.data() : null;
-                const currentVersion = currentData?.version || 0;
-
-                const metadata = {
-                  updatedAt: serverTimestamp(),
-                  updatedBy: 'test-user',
-                  version: currentVersion + 1,
-                };
-
-                if (!currentData) {
-                  metadata.createdAt = serverTimestamp();
-                  metadata.createdBy = 'test-user';
-                }
-
-                const change = {
-                  timestamp: now,
-                  userId: 'test-user',
-                  type: currentData ? 'update' : 'create',
-                  changes: self.diffObjects(currentData || {}, cleanData),
-                };
-
-                const newData = {
-                  ...cleanData,
-                  ...metadata,
-                  history: currentData?.history
-                    ? [...currentData.history, change].slice(-50)
-                    : [change],
-                };
-
-                transaction.set(docRef, newData, options);
-                transactionOperations.push({
-                  type: 'set',
-                  ref: docRef,
-                  data: newData,
-                });
-
-                return { id: docId, ...newData };
-              });
-
-              // Return a placeholder that will be updated after writes are executed
-              return { id: docId, ...cleanData };
-            },
-
-            async update(collectionName, docId, data) {
-              const docRef = doc(self.db, collectionName, docId);
-              const cleanData = self.cleanObject(data);
-
-              // Queue the write operation
-              pendingWrites.push(async () => {
-                // Get existing document for metadata
-                const docSnap = await transaction.get(docRef);
-                if (!docSnap.exists()) {
-                  throw new Error(`Document ${docId} does not exist in ${collectionName}`);
-                }
-
-                const currentData = docSnap.data();
-                const currentVersion = currentData.version || 0;
-
-                const metadata = {
-                  updatedAt: serverTimestamp(),
-                  updatedBy: 'test-user',
-                  version: currentVersion + 1,
-                };
-
-                const change = {
-                  timestamp: now,
-                  userId: 'test-user',
-                  type: 'update',
-                  changes: self.diffObjects(currentData, cleanData),
-                };
-
-                const newData = {
-                  ...cleanData,
-                  ...metadata,
-                  history: [...(currentData.history || []), change].slice(-50),
-                };
-
-                transaction.update(docRef, newData);
-                transactionOperations.push({
-                  type: 'update',
-                  ref: docRef,
-                  data: newData,
-                });
-
-                return { id: docId, ...newData };
-              });
-
-              // Return a placeholder that will be updated after writes are executed
-              return { id: docId, ...cleanData };
-            },
-
-            async delete(collectionName, docId) {
-              const docRef = doc(self.db, collectionName, docId);
-
-              // Queue the delete operation
-              pendingWrites.push(async () => {
-                transaction.delete(docRef);
-                transactionOperations.push({
-                  type: 'delete',
-                  ref: docRef,
-                });
-              });
-            },
-          };
-
-          // Execute user-defined operations to collect all reads
-          const result = await operations(txn);
-
-          // Execute all pending writes
-          await Promise.all(pendingWrites.map(write => write()));
-
-          // Return both the operation result and metadata
-          return {
-            result,
-            operations: transactionOperations.map(op => ({
-              type: op.type,
-              collection: op.ref.parent.id,
-              id: op.ref.id,
-              data: op.data,
-            })),
-          };
-        },
-        { maxAttempts, timeout }
-      );
-    } catch (error) {
-      console.error('Transaction error:', error);
-      throw error;
-    }
+    return firestoreOperations.executeTransaction(operations, options);
   }
 
   /**
@@ -665,104 +378,14 @@ class FirestoreService {
 
       // Execute query
       const querySnapshot = await getDocs(q);
-      const results = [];
-      const aggregateResults = {};
-
-      // Initialize aggregate accumulators
-      for (const [name, config] of Object.entries(aggregates)) {
-        aggregateResults[name] = {
-          count: 0,
-          sum: 0,
-          min: null,
-          max: null,
-          avg: 0,
-        };
-      }
-
-      // Process documents
-      querySnapshot.forEach(doc => {
-        const data = doc.data();
-        results.push({
-          id: doc.id,
-          ...data,
-        });
-
-        // Calculate aggregates
-        for (const [name, config] of Object.entries(aggregates)) {
-          const { field, type } = config;
-          const value = data[field];
-
-          if (value !== undefined && value !== null) {
-            const agg = aggregateResults[name];
-            agg.count++;
-
-            switch (type) {
-              case 'sum':
-                agg.sum += value;
-                break;
-              case 'min':
-                agg.min = agg.min === null ? value : Math.min(agg.min, value);
-                break;
-              case 'max':
-                agg.max = agg.max === null ? value : Math.max(agg.max, value);
-                break;
-              case 'avg':
-                agg.sum += value;
-                agg.avg = agg.sum / agg.count;
-                break;
-            }
-          }
-        }
-      });
-
-      // Group results if groupBy fields are specified
-      let groupedResults = results;
-      if (groupBy.length > 0) {
-        const groups = new Map();
-
-        results.forEach(doc => {
-          const groupKey = groupBy.map(field => doc[field]).join('|');
-          if (!groups.has(groupKey)) {
-            groups.set(groupKey, {
-              group: Object.fromEntries(groupBy.map(field => [field, doc[field]])),
-              docs: [],
-              aggregates: JSON.parse(JSON.stringify(aggregateResults)), // Deep clone
-            });
-          }
-
-          const group = groups.get(groupKey);
-          group.docs.push(doc);
-
-          // Calculate group aggregates
-          for (const [name, config] of Object.entries(aggregates)) {
-            const { field, type } = config;
-            const value = doc[field];
-
-            if (value !== undefined && value !== null) {
-              const agg = group.aggregates[name];
-              agg.count++;
-
-              switch (type) {
-                case 'sum':
-                  agg.sum += value;
-                  break;
-                case 'min':
-                  agg.min = agg.min === null ? value : Math.min(agg.min, value);
-                  break;
-                case 'max':
-                  agg.max = agg.max === null ? value : Math.max(agg.max, value);
-                  break;
-                case 'avg':
-                  agg.sum += value;
-                  agg.avg = agg.sum / agg.count;
-                  break;
-              }
-            }
-          }
-        });
+      const results = querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+      }));
 
-        groupedResults = Array.from(groups.values());
-      }
+      // Calculate aggregates, per group if groupBy fields are specified
+      const { aggregates: aggregateResults, groups } = aggregateDocs(results, aggregates, groupBy);
+      const groupedResults = groupBy.length > 0 ? groups : results;
 
       return {
         results: groupedResults,
@@ -908,13 +531,7 @@ class FirestoreService {
    * @private
    */
   tokenizeText(text, options = {}) {
-    const { caseSensitive = false } = options;
-    const normalized = caseSensitive ? text : text.toLowerCase();
-
-    // Split on word boundaries and remove empty tokens
-    return normalized
-      .split(/[\s,.!?;:'"()[\]{}<>/|+=~`@#$%^&*-]+/)
-      .filter(token => token.length > 0);
+    return search.tokenize(text, options);
   }
 
   /**
@@ -922,29 +539,7 @@ class FirestoreService {
    * @private
    */
   calculateRelevance(searchTokens, docTokens, options = {}) {
-    const { fuzzyMatch = true } = options;
-    let matches = 0;
-    const totalTokens = searchTokens.length;
-
-    searchTokens.forEach(searchToken => {
-      if (fuzzyMatch) {
-        // Use Levenshtein distance for fuzzy matching
-        const maxDistance = Math.floor(searchToken.length * 0.3); // Allow 30% difference
-        for (const docToken of docTokens) {
-          if (this.levenshteinDistance(searchToken, docToken) <= maxDistance) {
-            matches++;
-            break;
-          }
-        }
-      } else {
-        // Exact matching
-        if (docTokens.has(searchToken)) {
-          matches++;
-        }
-      }
-    });
-
-    return matches / totalTokens;
+    return search.calculateRelevance(searchTokens, docTokens, options);
   }
 
   /**
@@ -952,29 +547,7 @@ class FirestoreService {
    * @private
    */
   levenshteinDistance(str1, str2) {
-    const matrix = Array(str2.length + 1)
-      .fill()
-      .map(() => Array(str1.length + 1).fill(0));
-
-    for (let i = 0; i <= str1.length; i++) {
-      matrix[0][i] = i;
-    }
-    for (let j = 0; j <= str2.length; j++) {
-      matrix[j][0] = j;
-    }
-
-    for (let j = 1; j <= str2.length; j++) {
-      for (let i = 1; i <= str1.length; i++) {
-        const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-        matrix[j][i] = Math.min(
-          matrix[j - 1][i] + 1, // deletion
-          matrix[j][i - 1] + 1, // insertion
-          matrix[j - 1][i - 1] + cost // substitution
-        );
-      }
-    }
-
-    return matrix[str2.length][str1.length];
+    return search.levenshteinDistance(str1, str2);
   }
 
   /**
@@ -982,64 +555,7 @@ class FirestoreService {
    * @private
    */
   highlightMatches(text, searchTokens, options = {}) {
-    const { caseSensitive = false, fuzzyMatch = true } = options;
-    const normalizedText = caseSensitive ? text : text.toLowerCase();
-    const matches = [];
-    let lastIndex = 0;
-
-    // Find all matching positions
-    searchTokens.forEach(searchToken => {
-      const tokenLen = searchToken.length;
-      let index = 0;
-
-      while ((index = normalizedText.indexOf(searchToken, lastIndex)) !== -1) {
-        matches.push({
-          start: index,
-          end: index + tokenLen,
-          token: text.slice(index, index + tokenLen),
-        });
-        lastIndex = index + 1;
-      }
-
-      if (fuzzyMatch) {
-        // Add fuzzy matches
-        const words = normalizedText.split(/\s+/);
-        const maxDistance = Math.floor(searchToken.length * 0.3);
-
-        words.forEach((word, wordIndex) => {
-          if (this.levenshteinDistance(searchToken, word) <= maxDistance) {
-            const startPos = normalizedText.indexOf(word);
-            matches.push({
-              start: startPos,
-              end: startPos + word.length,
-              token: text.slice(startPos, startPos + word.length),
-              fuzzy: true,
-            });
-          }
-        });
-      }
-    });
-
-    // Sort matches by position and merge overlapping ranges
-    matches.sort((a, b) => a.start - b.start);
-    const mergedMatches = [];
-    let currentMatch = null;
-
-    matches.forEach(match => {
-      if (!currentMatch) {
-        currentMatch = { ...match };
-      } else if (match.start <= currentMatch.end) {
-        currentMatch.end = Math.max(currentMatch.end, match.end);
-      } else {
-        mergedMatches.push(currentMatch);
-        currentMatch = { ...match };
-      }
-    });
-    if (currentMatch) {
-      mergedMatches.push(currentMatch);
-    }
-
-    return mergedMatches;
+    return search.highlightMatches(text, searchTokens, options);
   }
 
   /**
@@ -5,6 +5,7 @@
 
 const GraphQueryService = require('./queries/graph');
 const BasicQueryService = require('./queries/basic');
+const BatchWriteService = require('./writes/batch');
 const performanceService = require('../performance');
 const securityService = require('../security');
 const { db } = require('../../../config/firebase-admin');
@@ -18,6 +19,7 @@ class FirestoreService {
     this.idToken = null;
     this.graphQueries = null;
     this.basicQueries = null;
+    this.batchWrites = null;
 
     // Initialize sub-services first
     this.initializeSubServices();
@@ -40,6 +42,7 @@ class FirestoreService {
     console.log('FirestoreService: Initializing sub-services');
     this.graphQueries = new GraphQueryService(this);
     this.basicQueries = new BasicQueryService(this);
+    this.batchWrites = new BatchWriteService(this);
   }
 
   /**
@@ -63,18 +66,33 @@ class FirestoreService {
         console.log('FirestoreService: Executing graph query from:', startCollection);
         return this.graphQueries.execute(startCollection, params, options);
       },
+      traverseGraph: async (collectionName, startId, options = {}) => {
+        console.log('FirestoreService: Traversing graph from:', collectionName, startId);
+        return this.graphQueries.traverse(collectionName, startId, options);
+      },
+      executeBatch: async (operations, options = {}) => {
+        console.log('FirestoreService: Executing batch of', operations.length, 'operations');
+        return this.batchWrites.executeBatch(operations, options);
+      },
+      executeTransaction: async (operations, options = {}) => {
+        console.log('FirestoreService: Executing transaction');
+        return this.batchWrites.executeTransaction(operations, options);
+      },
+      diffObjects: (oldObj, newObj) => this.batchWrites.diffObjects(oldObj, newObj),
       initialize: (db, idToken) => {
         console.log('FirestoreService: Initializing with database');
         this.db = db;
         this.idToken = idToken;
         this.graphQueries.initialize(db, idToken);
         this.basicQueries.initialize(db, idToken);
+        this.batchWrites.initialize(db, idToken);
       },
       getStatus: () => ({
         initialized: !!this.db,
         services: {
           graph: this.graphQueries.getStatus(),
           basic: this.basicQueries.getStatus(),
+          writes: this.batchWrites.getStatus(),
         },
       }),
     };
@@ -21,6 +21,15 @@ class GraphQueryService {
       }),
       'graphQuery'
     );
+
+    // Server-side traversal used by services; callers authorize at the route level
+    this.traverse = performanceService.monitor(
+      securityService.secure(this.traverse.bind(this), {
+        requireAuth: false,
+        rateLimit: false,
+      }),
+      'graphTraverse'
+    );
   }
 
   initialize(db, idToken) {
@@ -139,6 +148,86 @@ class GraphQueryService {
     }
   }
 
+  /**
+   * Traverse an ID-array relationship from a single document without caching,
+   * so results always reflect the latest edges (e.g. task dependencies).
+   * @param {string} collectionName - Collection holding the nodes
+   * @param {string} startId - Starting document ID
+   * @param {Object} options - Traversal options
+   * @param {string} options.field - Array field holding related document IDs
+   * @param {string} [options.direction='outbound'] - outbound follows the field,
+   *   inbound finds documents whose field contains the node
+   * @param {number} [options.maxDepth=10] - Maximum traversal depth
+   * @param {number} [options.maxNodes=1000] - Maximum nodes to load
+   * @returns {Promise<Object>} Traversal result ({ nodes, edges, truncated })
+   */
+  async traverse(collectionName, startId, options = {}) {
+    const { field, direction = 'outbound', maxDepth = 10, maxNodes = 1000 } = options;
+
+    try {
+      const collection = this.db.collection(collectionName);
+      const startDoc = await collection.doc(startId).get();
+      if (!startDoc.exists) {
+        return { nodes: [], edges: [], truncated: false };
+      }
+
+      const nodes = new Map([
+        [startId, { id: startId, data: startDoc.data(), depth: 0, path: [startId] }],
+      ]);
+      const edges = [];
+      let frontier = [nodes.get(startId)];
+      let truncated = false;
+
+      while (frontier.length > 0) {
+        const next = [];
+
+        for (const node of frontier) {
+          if (node.depth >= maxDepth) {
+            truncated = true;
+            continue;
+          }
+
+          let related;
+          if (direction === 'inbound') {
+            const snapshot = await collection.where(field, 'array-contains', node.id).get();
+            related = snapshot.docs;
+          } else {
+            const ids = (node.data[field] || []).filter(Boolean);
+            related = ids.length
+              ? (await this.db.getAll(...ids.map(id => collection.doc(id)))).filter(doc => doc.exists)
+              : [];
+          }
+
+          for (const doc of related) {
+            edges.push(direction === 'inbound' ? [doc.id, node.id] : [node.id, doc.id]);
+            if (nodes.has(doc.id)) continue;
+
+            if (nodes.size >= maxNodes) {
+              truncated = true;
+              break;
+            }
+
+            const child = {
+              id: doc.id,
+              data: doc.data(),
+              depth: node.depth + 1,
+              path: [...node.path, doc.id],
+            };
+            nodes.set(doc.id, child);
+            next.push(child);
+          }
+        }
+
+        frontier = next;
+      }
+
+      return { nodes: [...nodes.values()], edges, truncated };
+    } catch (error) {
+      console.error('Graph traversal error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Process a single relationship type
    * @private
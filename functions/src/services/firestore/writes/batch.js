@@ -0,0 +1,418 @@
+/**
+ * @fileoverview Batch and transaction write service for Firestore
+ * @module services/firestore/writes/batch
+ */
+
+const admin = require('firebase-admin');
+const performanceService = require('../../performance');
+const securityService = require('../../security');
+
+class BatchWriteService {
+  constructor(parent) {
+    this.parent = parent;
+    this.db = null;
+    this.idToken = null;
+
+    // Wrap with performance monitoring and security. Callers are already
+    // authenticated and rate limited at the route level.
+    this.executeBatch = performanceService.monitor(
+      securityService.secure(this.executeBatch.bind(this), {
+        requireAuth: false,
+        rateLimit: false,
+      }),
+      'executeBatch'
+    );
+
+    this.executeTransaction = performanceService.monitor(
+      securityService.secure(this.executeTransaction.bind(this), {
+        requireAuth: false,
+        rateLimit: false,
+      }),
+      'executeTransaction'
+    );
+  }
+
+  initialize(db, idToken) {
+    this.db = db;
+    this.idToken = idToken;
+  }
+
+  getStatus() {
+    return {
+      initialized: !!this.db,
+    };
+  }
+
+  /**
+   * Execute batch operations with metadata tracking
+   * @param {Array<Object>} operations - Operations ({ type, collection, docId, data })
+   * @param {Object} options - Batch options
+   * @param {boolean} [options.continueOnError=false] - Record failures instead of throwing
+   * @param {number} [options.batchSize=500] - Operations per committed batch
+   * @param {Function} [options.progressCallback] - Called after each batch
+   * @param {string} [options.userId] - User performing the operations
+   * @param {Function} [options.onWrite] - Called as onWrite(batch, write) for each
+   *   queued write so callers can add related writes (e.g. audit entries) to the same batch
+   * @returns {Promise<Object>} Batch results ({ successful, failed, total })
+   */
+  async executeBatch(operations, options = {}) {
+    const {
+      continueOnError = false,
+      batchSize = 500, // Firestore limit is 500
+      progressCallback = null,
+      userId = 'system',
+      onWrite = null,
+    } = options;
+
+    try {
+      const results = {
+        successful: [],
+        failed: [],
+        total: operations.length,
+      };
+
+      // Split operations into batches of batchSize
+      const batches = [];
+      for (let i = 0; i < operations.length; i += batchSize) {
+        batches.push(operations.slice(i, i + batchSize));
+      }
+
+      // Process each batch
+      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+        const currentBatch = batches[batchIndex];
+        const batch = this.db.batch();
+        const batchOperations = [];
+
+        // Read current documents in one round trip for metadata
+        const refs = currentBatch.map(({ collection, docId }) =>
+          this.db.collection(collection).doc(docId)
+        );
+        const snapshots = refs.length ? await this.db.getAll(...refs) : [];
+
+        // Prepare all operations in current batch
+        currentBatch.forEach((operation, index) => {
+          try {
+            const { type, data = {} } = operation;
+            const docRef = refs[index];
+            const currentData = snapshots[index].exists ? snapshots[index].data() : null;
+
+            if ((type === 'update' || type === 'delete') && !currentData) {
+              throw new Error(`Document ${docRef.id} does not exist in ${docRef.parent.id}`);
+            }
+
+            const prepared = this.prepareWrite(type, currentData, data, userId);
+
+            switch (type) {
+              case 'delete':
+                batch.delete(docRef);
+                break;
+              case 'update':
+                batch.update(docRef, prepared.data);
+                break;
+              default: // create or set
+                batch.set(docRef, prepared.data, { merge: true });
+            }
+
+            if (onWrite) {
+              onWrite(batch, {
+                ref: docRef,
+                type: prepared.type,
+                before: currentData,
+                changes: prepared.changes,
+                operation,
+              });
+            }
+
+            batchOperations.push({
+              ref: docRef,
+              type: prepared.type,
+              data: prepared.data,
+              changes: prepared.changes,
+              original: operation,
+            });
+          } catch (error) {
+            if (!continueOnError) {
+              throw error;
+            }
+            results.failed.push({
+              operation,
+              error: error.message,
+            });
+          }
+        });
+
+        // Commit the batch
+        try {
+          if (batchOperations.length > 0) {
+            await batch.commit();
+          }
+          results.successful.push(
+            ...batchOperations.map(op => ({
+              id: op.ref.id,
+              collection: op.ref.parent.id,
+              type: op.type,
+              data: op.data,
+              changes: op.changes,
+              operation: op.original,
+            }))
+          );
+        } catch (error) {
+          if (!continueOnError) {
+            throw error;
+          }
+          results.failed.push(
+            ...batchOperations.map(op => ({
+              operation: op.original,
+              error: error.message,
+            }))
+          );
+        }
+
+        // Report progress if callback provided
+        if (progressCallback) {
+          await progressCallback({
+            batch: batchIndex + 1,
+            totalBatches: batches.length,
+            processed: results.successful.length + results.failed.length,
+            total: operations.length,
+            successful: results.successful.length,
+            failed: results.failed.length,
+          });
+        }
+      }
+
+      return results;
+    } catch (error) {
+      console.error('Batch operation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Execute operations in a transaction with metadata tracking.
+   * All reads made through the wrapper happen before any write is applied.
+   * @param {Function} operations - Receives a transaction wrapper ({ get, set, update, delete })
+   * @param {Object} options - Transaction options
+   * @param {number} [options.maxAttempts=5] - Maximum commit attempts
+   * @param {string} [options.userId] - User performing the operations
+   * @param {Function} [options.onWrite] - Called as onWrite(transaction, write) for
+   *   each applied write so callers can add related writes to the same transaction
+   * @returns {Promise<Object>} Transaction results ({ result, operations })
+   */
+  async executeTransaction(operations, options = {}) {
+    const { maxAttempts = 5, userId = 'system', onWrite = null } = options;
+
+    try {
+      return await this.db.runTransaction(
+        async transaction => {
+          const snapshots = new Map();
+          const pendingWrites = [];
+
+          const refFor = (collectionName, docId) => this.db.collection(collectionName).doc(docId);
+
+          // Create transaction wrapper with metadata tracking
+          const txn = {
+            // Read operations
+            get: async (collectionName, docId) => {
+              const docRef = refFor(collectionName, docId);
+              const docSnap = await transaction.get(docRef);
+              snapshots.set(docRef.path, docSnap);
+              return docSnap.exists ? { id: docId, ...docSnap.data() } : null;
+            },
+
+            // Write operations (queued and executed after all reads)
+            set: async (collectionName, docId, data) => {
+              pendingWrites.push({ type: 'set', ref: refFor(collectionName, docId), data });
+              return { id: docId, ...this.cleanObject(data) };
+            },
+
+            update: async (collectionName, docId, data) => {
+              pendingWrites.push({ type: 'update', ref: refFor(collectionName, docId), data });
+              return { id: docId, ...this.cleanObject(data) };
+            },
+
+            delete: async (collectionName, docId) => {
+              pendingWrites.push({ type: 'delete', ref: refFor(collectionName, docId) });
+            },
+          };
+
+          // Execute user-defined operations to collect reads and queue writes
+          const result = await operations(txn);
+
+          // Read any written document that was not read explicitly
+          const unread = pendingWrites
+            .map(write => write.ref)
+            .filter(ref => !snapshots.has(ref.path));
+          if (unread.length > 0) {
+            const extra = await transaction.getAll(...unread);
+            extra.forEach(docSnap => snapshots.set(docSnap.ref.path, docSnap));
+          }
+
+          // Apply all queued writes
+          const transactionOperations = pendingWrites.map((write, index) => {
+            const docSnap = snapshots.get(write.ref.path);
+            const currentData = docSnap.exists ? docSnap.data() : null;
+
+            if (write.type === 'update' && !currentData) {
+              throw new Error(`Document ${write.ref.id} does not exist in ${write.ref.parent.id}`);
+            }
+
+            const prepared = this.prepareWrite(write.type, currentData, write.data, userId);
+            if (write.type === 'delete') {
+              transaction.delete(write.ref);
+            } else if (write.type === 'update') {
+              transaction.update(write.ref, prepared.data);
+            } else {
+              transaction.set(write.ref, prepared.data, { merge: true });
+            }
+
+            if (onWrite) {
+              onWrite(transaction, {
+                index,
+                ref: write.ref,
+                type: write.type,
+                before: currentData,
+                changes: prepared.changes,
+              });
+            }
+            return { type: write.type, ref: write.ref, data: prepared.data, changes: prepared.changes };
+          });
+
+          return {
+            result,
+            operations: transactionOperations.map(op => ({
+              type: op.type,
+              collection: op.ref.parent.id,
+              id: op.ref.id,
+              data: op.data,
+              changes: op.changes,
+            })),
+          };
+        },
+        { maxAttempts }
+      );
+    } catch (error) {
+      console.error('Transaction error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the document data and change set for a write
+   * @private
+   */
+  prepareWrite(type, currentData, data, userId) {
+    const cleanData = this.cleanObject(data);
+
+    if (type === 'delete') {
+      return { type, data: null, changes: {} };
+    }
+
+    const metadata = {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: userId,
+      version: ((currentData && currentData.version) || 0) + 1,
+    };
+
+    if (!currentData) {
+      metadata.createdAt = admin.firestore.FieldValue.serverTimestamp();
+      metadata.createdBy = userId;
+    }
+
+    return {
+      type: type || (currentData ? 'update' : 'create'),
+      data: { ...cleanData, ...metadata },
+      changes: this.diffObjects(currentData || {}, cleanData),
+    };
+  }
+
+  /**
+   * Compare objects to track changes. Only keys present in newObj are compared,
+   * so partial updates do not report untouched fields as removed.
+   * @param {Object} oldObj - Previous document data
+   * @param {Object} newObj - Written fields
+   * @returns {Object} Map of field -> { from, to }
+   */
+  diffObjects(oldObj, newObj) {
+    const changes = {};
+
+    for (const key of Object.keys(newObj)) {
+      const oldValue = oldObj[key];
+      const newValue = newObj[key];
+
+      if (newValue !== undefined && !this.isEqual(oldValue, newValue)) {
+        changes[key] = {
+          from: oldValue === undefined ? null : oldValue,
+          to: newValue,
+        };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Structural equality that understands Firestore Timestamps and Dates
+   * @private
+   */
+  isEqual(a, b) {
+    const normalize = value => {
+      if (value && typeof value.toMillis === 'function') return value.toMillis();
+      if (value instanceof Date) return value.getTime();
+      return value;
+    };
+
+    const left = normalize(a);
+    const right = normalize(b);
+
+    if (left === right) return true;
+    if (typeof left !== 'object' || typeof right !== 'object' || !left || !right) {
+      return false;
+    }
+
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+
+  /**
+   * Clean a single value for Firestore storage
+   * @private
+   */
+  cleanValue(value) {
+    if (value === undefined) {
+      return null;
+    }
+    if (
+      value instanceof Date ||
+      value instanceof admin.firestore.Timestamp ||
+      value instanceof admin.firestore.FieldValue
+    ) {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(v => this.cleanValue(v));
+    }
+    if (typeof value === 'object' && value !== null) {
+      return this.cleanObject(value);
+    }
+    return value;
+  }
+
+  /**
+   * Clean object by removing undefined values
+   * @private
+   */
+  cleanObject(obj) {
+    if (!obj || typeof obj !== 'object') {
+      return obj;
+    }
+
+    const clean = {};
+    for (const [key, value] of Object.entries(obj)) {
+      if (value === undefined) continue;
+      clean[key] = this.cleanValue(value);
+    }
+    return clean;
+  }
+}
+
+module.exports = BatchWriteService;
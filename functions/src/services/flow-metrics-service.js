@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Flow metrics service for Firebase Functions. Reads the
+ * status transitions of a project's tasks a page at a time and computes the
+ * metrics described in utils/flow-metrics.
+ * @module services/flow-metrics-service
+ */
+
+const admin = require("firebase-admin");
+const { isVisible } = require("../utils/lifecycle");
+const { computeFlowMetrics } = require("../utils/flow-metrics");
+
+/**
+ * Tasks read per query
+ * @const {number}
+ */
+const PAGE_SIZE = 500;
+
+// Task fields the metrics need
+const METRIC_FIELDS = ["status", "createdAt", "statusTransitions", "lifecycle"];
+
+/**
+ * Get flow metrics for a project's tasks. Archived tasks count, since their
+ * work was done; tasks in the trash do not.
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Metrics options
+ * @param {Object} options.range - { from, to } from resolveRange
+ * @param {Array<string>} [options.labels] - Only tasks with any of these labels
+ * @returns {Promise<Object>} Metrics with the range and filters applied
+ */
+async function getFlowMetrics(projectId, options) {
+  const { range, labels = [] } = options;
+
+  try {
+    let query = admin
+      .firestore()
+      .collection("tasks")
+      .where("projectId", "==", projectId)
+      // Tasks created after the range cannot appear in it
+      .where("createdAt", "<", range.to);
+    if (labels.length > 0) {
+      query = query.where("labels", "array-contains-any", labels);
+    }
+    query = query.select(...METRIC_FIELDS).orderBy("createdAt").limit(PAGE_SIZE);
+
+    const tasks = [];
+    let last = null;
+    for (;;) {
+      const snapshot = await (last ? query.startAfter(last) : query).get();
+      snapshot.docs
+        .filter((doc) => isVisible(doc.get("lifecycle"), { includeArchived: true }))
+        .forEach((doc) => tasks.push({ id: doc.id, ...doc.data() }));
+      if (snapshot.size < PAGE_SIZE) break;
+      last = snapshot.docs[snapshot.size - 1];
+    }
+
+    return {
+      projectId,
+      range: { from: range.from.toISOString(), to: range.to.toISOString() },
+      labels,
+      ...computeFlowMetrics(tasks, range),
+    };
+  } catch (error) {
+    console.error(`Error computing flow metrics for project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getFlowMetrics,
+};
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Links GitHub commits and pull requests to the tasks they
+ * reference. Links are kept on the task's githubLinks field, one per commit or
+ * pull request, so redelivered events update rather than duplicate them.
+ * @module services/github-integration-service
+ */
+
+const taskService = require("./task-service");
+const { nextStatus } = require("../utils/github");
+
+/**
+ * Links kept per task; the oldest are dropped first
+ * @const {number}
+ */
+const MAX_LINKS_PER_TASK = 50;
+
+/**
+ * Change context for a GitHub delivery
+ * @param {Object} [sender] - sender object of the payload
+ * @returns {Object} Change context ({ actor, source })
+ */
+function githubContext(sender) {
+  return {
+    actor: {
+      type: "integration",
+      uid: null,
+      name: sender && sender.login ? `github:${sender.login}` : "github",
+      agentId: null,
+    },
+    source: "github",
+  };
+}
+
+/**
+ * Add or replace a link in a task's link list
+ * @private
+ */
+function mergeLink(links, link) {
+  const { taskIds, targetStatus, ...stored } = link;
+  const entry = { ...stored, linkedAt: new Date() };
+  const others = (links || []).filter((existing) => existing.key !== link.key);
+  return [...others, entry].slice(-MAX_LINKS_PER_TASK);
+}
+
+/**
+ * Whether a stored link already describes a parsed link
+ * @private
+ */
+function sameLink(existing, link) {
+  if (!existing) return false;
+  return ["url", "state", "title", "message", "branch"].every(
+    (field) => (existing[field] || null) === (link[field] || null)
+  );
+}
+
+/**
+ * Attach parsed links to the tasks they reference and, when asked to, apply
+ * their status changes. Unknown task IDs are reported, not treated as errors.
+ * @param {Array<Object>} links - Links from utils/github parseGithubEvent
+ * @param {Object} context - Change context ({ actor, source })
+ * @param {Object} [options] - Linking options
+ * @param {boolean} [options.moveTasks=false] - Move tasks to review when a pull
+ *   request opens and to done when it merges; tasks otherwise keep their status
+ * @returns {Promise<Object>} { linked: [{ taskId, key, status }], skipped:
+ *   [{ taskId, key, reason }] }. Linked entries carry statusRejected when the
+ *   project's workflow did not allow the move.
+ */
+async function applyLinks(links, context, options = {}) {
+  const { moveTasks = false } = options;
+  const linked = [];
+  const skipped = [];
+
+  for (const link of links) {
+    for (const taskId of link.taskIds) {
+      try {
+        const task = await taskService.getTask(taskId);
+        if (!task) {
+          skipped.push({ taskId, key: link.key, reason: "Task not found" });
+          continue;
+        }
+
+        const existing = (task.githubLinks || []).find((item) => item.key === link.key);
+        const status = moveTasks ? nextStatus(task.status, link.targetStatus) : null;
+        if (sameLink(existing, link) && !status) {
+          skipped.push({ taskId, key: link.key, reason: "Already linked" });
+          continue;
+        }
+
+        const updates = { githubLinks: mergeLink(task.githubLinks, link) };
+        if (status) updates.status = status;
+
+        let rejected = null;
+        try {
+          await taskService.updateTask(taskId, updates, {
+            ...context,
+            action: "github-link",
+          });
+        } catch (error) {
+          // The project's workflow does not allow the move (422): link only
+          if (error.status !== 422 || !status) throw error;
+          console.log(`Not moving task ${taskId} to ${status} for ${link.key}: ${error.message}`);
+          rejected = error.message;
+          delete updates.status;
+          await taskService.updateTask(taskId, updates, {
+            ...context,
+            action: "github-link",
+          });
+        }
+        linked.push({
+          taskId,
+          key: link.key,
+          status: (!rejected && status) || task.status || null,
+          ...(rejected ? { statusRejected: rejected } : {}),
+        });
+      } catch (error) {
+        // Archived and trashed tasks are read-only (409)
+        if (error.status === 409) {
+          skipped.push({ taskId, key: link.key, reason: error.message });
+          continue;
+        }
+        console.error(`Error linking ${link.key} to task ${taskId}:`, error);
+        throw error;
+      }
+    }
+  }
+
+  return { linked, skipped };
+}
+
+module.exports = {
+  githubContext,
+  applyLinks,
+};
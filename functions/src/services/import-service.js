@@ -0,0 +1,306 @@
+/**
+ * @fileoverview Project import service for Firebase Functions. An import is
+ * first planned (the dry-run report), then queued as a job in
+ * projects/{projectId}/imports/{importId} with its planned tasks in an items
+ * subcollection; a Firestore trigger runs the job in the background.
+ * @module services/import-service
+ */
+
+const admin = require("firebase-admin");
+const labelService = require("./label-service");
+const customFields = require("./custom-field-service");
+const projectMembers = require("./project-member-service");
+const comments = require("./comment-service");
+const taskService = require("./task-service");
+const { readOnlyReason } = require("../utils/lifecycle");
+const { parseImport, normalizeStatusMap, planImport } = require("../utils/importers");
+
+/**
+ * Import job states
+ * @const {Object}
+ */
+const IMPORT_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+// Items written or read per batch, and how often progress is saved
+const BATCH_SIZE = 400;
+const PROGRESS_EVERY = 25;
+const MAX_ERRORS = 50;
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function importError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the import jobs collection of a project
+ * @param {string} projectId - Project ID
+ * @returns {FirebaseFirestore.CollectionReference} Imports collection
+ */
+function importsCollection(projectId) {
+  return admin.firestore().collection("projects").doc(projectId).collection("imports");
+}
+
+/**
+ * Fail with 409 when the project is archived or in the trash
+ * @private
+ */
+async function assertProjectWritable(projectId) {
+  const project = await admin.firestore().collection("projects").doc(projectId).get();
+  if (!project.exists) {
+    throw importError(404, `Project ${projectId} not found`);
+  }
+  const reason = readOnlyReason(project.get("lifecycle"));
+  if (reason) {
+    throw importError(409, reason);
+  }
+}
+
+/**
+ * Parse an import request and plan it against the project's label catalog,
+ * members and custom fields
+ * @private
+ */
+async function planFor(projectId, request) {
+  let parsed;
+  let statusMap;
+  try {
+    statusMap = normalizeStatusMap(request.statusMap);
+    parsed = parseImport(request.source, request.data, request.mapping);
+  } catch (error) {
+    throw importError(400, error.message);
+  }
+
+  const [labelNames, members, fields] = await Promise.all([
+    labelService.getLabelNames(projectId),
+    projectMembers.getMembers(projectId),
+    customFields.getFields(projectId),
+  ]);
+
+  return planImport(parsed, {
+    source: request.source,
+    statusMap,
+    labels: [...labelNames],
+    members: members || [],
+    requiredFields: fields.filter((field) => field.required).map((field) => field.name),
+  });
+}
+
+/**
+ * Report what an import would create without changing anything
+ * @param {string} projectId - Project ID
+ * @param {Object} request - { source, data, mapping?, statusMap? }
+ * @returns {Promise<Object>} Dry-run report
+ */
+async function previewImport(projectId, request) {
+  try {
+    await assertProjectWritable(projectId);
+    const plan = await planFor(projectId, request);
+    return plan.report;
+  } catch (error) {
+    console.error(`Error previewing import into project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Queue an import. Its planned tasks are stored before the job document, so
+ * the trigger that runs the job finds them all.
+ * @param {string} projectId - Project ID
+ * @param {Object} request - { source, data, mapping?, statusMap? }
+ * @param {Object} [options] - Job options
+ * @param {string} [options.userId] - User starting the import
+ * @param {Object} [options.context] - Change context ({ actor, source }) for
+ *   the history of created tasks
+ * @returns {Promise<Object>} Queued job, including the dry-run report
+ */
+async function startImport(projectId, request, options = {}) {
+  try {
+    await assertProjectWritable(projectId);
+    const plan = await planFor(projectId, request);
+    if (plan.tasks.length === 0) {
+      throw importError(400, "The export contains no tasks to import");
+    }
+
+    const db = admin.firestore();
+    const jobRef = importsCollection(projectId).doc();
+    for (let i = 0; i < plan.tasks.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      plan.tasks.slice(i, i + BATCH_SIZE).forEach((task, offset) => {
+        const index = i + offset;
+        // Zero-padded IDs keep the items in export order
+        batch.set(jobRef.collection("items").doc(String(index).padStart(5, "0")), { index, task });
+      });
+      await batch.commit();
+    }
+
+    const job = {
+      source: request.source,
+      status: IMPORT_STATUS.QUEUED,
+      labels: plan.labels,
+      report: plan.report,
+      progress: { total: plan.tasks.length, processed: 0, created: 0, failed: 0 },
+      errors: [],
+      error: null,
+      createdBy: options.userId || null,
+      context: options.context || {},
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    await jobRef.set(job);
+    return { id: jobRef.id, ...job };
+  } catch (error) {
+    console.error(`Error starting import into project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get an import job
+ * @param {string} projectId - Project ID
+ * @param {string} importId - Import ID
+ * @returns {Promise<Object|null>} Job, or null if not found
+ */
+async function getImport(projectId, importId) {
+  try {
+    const doc = await importsCollection(projectId).doc(importId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  } catch (error) {
+    console.error(`Error getting import ${importId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a project's most recent import jobs
+ * @param {string} projectId - Project ID
+ * @param {number} [limit=20] - Number of jobs
+ * @returns {Promise<Array<Object>>} Jobs, newest first
+ */
+async function getImports(projectId, limit = 20) {
+  try {
+    const snapshot = await importsCollection(projectId)
+      .orderBy("createdAt", "desc")
+      .limit(limit)
+      .get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error(`Error getting imports of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create the labels an import needs. Labels added since the plan was made
+ * are left as they are.
+ * @private
+ */
+async function createLabels(projectId, labels) {
+  for (const label of labels) {
+    try {
+      await labelService.createLabel(projectId, label);
+    } catch (error) {
+      if (error.status !== 409) throw error;
+    }
+  }
+}
+
+/**
+ * Run a queued import job: create its labels, then its tasks with their
+ * comments, saving progress as it goes. A job only runs once; later calls
+ * for the same job do nothing.
+ * @param {string} projectId - Project ID
+ * @param {string} importId - Import ID
+ * @returns {Promise<void>}
+ */
+async function runImport(projectId, importId) {
+  const db = admin.firestore();
+  const jobRef = importsCollection(projectId).doc(importId);
+
+  const job = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(jobRef);
+    if (!doc.exists || doc.get("status") !== IMPORT_STATUS.QUEUED) return null;
+    transaction.update(jobRef, { status: IMPORT_STATUS.RUNNING, startedAt: new Date() });
+    return doc.data();
+  });
+  if (!job) return;
+
+  const progress = { ...job.progress };
+  const errors = [];
+  const context = { ...job.context, source: `import:${job.source}` };
+
+  try {
+    await createLabels(projectId, job.labels || []);
+
+    const items = jobRef.collection("items");
+    let last = null;
+    for (;;) {
+      let page = items.orderBy(admin.firestore.FieldPath.documentId()).limit(BATCH_SIZE);
+      if (last) page = page.startAfter(last);
+      const snapshot = await page.get();
+
+      for (const doc of snapshot.docs) {
+        const { index, task } = doc.data();
+        const { comments: imported, ...data } = task;
+        try {
+          const created = await taskService.createTask({ ...data, projectId }, context);
+          await comments.importComments(created.id, imported || []);
+          progress.created++;
+        } catch (error) {
+          progress.failed++;
+          if (errors.length < MAX_ERRORS) {
+            errors.push({ index, title: data.title, error: error.message });
+          }
+        }
+        progress.processed++;
+        if (progress.processed % PROGRESS_EVERY === 0) {
+          await jobRef.update({ progress, errors });
+        }
+      }
+
+      // Planned items are only needed until the job has run
+      const batch = db.batch();
+      snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+
+      if (snapshot.size < BATCH_SIZE) break;
+      last = snapshot.docs[snapshot.size - 1];
+    }
+
+    await jobRef.update({
+      status: IMPORT_STATUS.COMPLETED,
+      progress,
+      errors,
+      finishedAt: new Date(),
+    });
+  } catch (error) {
+    console.error(`Error running import ${importId}:`, error);
+    await jobRef.update({
+      status: IMPORT_STATUS.FAILED,
+      progress,
+      errors,
+      error: error.message,
+      finishedAt: new Date(),
+    });
+  }
+}
+
+module.exports = {
+  IMPORT_STATUS,
+  importsCollection,
+  previewImport,
+  startImport,
+  getImport,
+  getImports,
+  runImport,
+};
@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Project label catalog service for Firebase Functions. Labels
+ * are stored in projects/{projectId}/labels/{labelId}; tasks carry label
+ * names in their labels array, so renames, merges and deletions rewrite every
+ * tagged task.
+ * @module services/label-service
+ */
+
+const admin = require("firebase-admin");
+const { readOnlyReason } = require("../utils/lifecycle");
+const { labelKey, normalizeLabel } = require("../utils/labels");
+
+/**
+ * Task operations applied per bulk request
+ * @const {number}
+ */
+const TASK_CHUNK_SIZE = 500;
+
+/**
+ * Values per array-contains-any query
+ * @const {number}
+ */
+const QUERY_VALUES_LIMIT = 10;
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function labelError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the labels collection of a project
+ * @param {string} projectId - Project ID
+ * @returns {FirebaseFirestore.CollectionReference} Labels collection
+ */
+function labelsCollection(projectId) {
+  return admin
+    .firestore()
+    .collection("projects")
+    .doc(projectId)
+    .collection("labels");
+}
+
+/**
+ * Convert a label snapshot into a plain object
+ * @private
+ */
+function toLabel(doc) {
+  return { id: doc.id, ...doc.data() };
+}
+
+/**
+ * Fail with 409 when the project is archived or in the trash
+ * @private
+ */
+async function assertProjectWritable(projectId) {
+  const project = await admin.firestore().collection("projects").doc(projectId).get();
+  if (!project.exists) {
+    throw labelError(404, `Project ${projectId} not found`);
+  }
+  const reason = readOnlyReason(project.get("lifecycle"));
+  if (reason) {
+    throw labelError(409, reason);
+  }
+}
+
+/**
+ * Fail with 409 when another label of the project has the same name
+ * @private
+ */
+async function assertNameAvailable(projectId, name, labelId) {
+  const snapshot = await labelsCollection(projectId)
+    .where("key", "==", labelKey(name))
+    .get();
+  const taken = snapshot.docs.find((doc) => doc.id !== labelId);
+  if (taken) {
+    throw labelError(409, `Label "${taken.get("name")}" already exists`);
+  }
+}
+
+/**
+ * Validate submitted label fields, mapping failures to 400
+ * @private
+ */
+function validateFields(data, options) {
+  try {
+    return normalizeLabel(data || {}, options);
+  } catch (error) {
+    throw labelError(400, error.message);
+  }
+}
+
+/**
+ * Replace label names on every task of a project carrying them, through the
+ * bulk task operations so each task gets a history entry and webhook event
+ * @private
+ * @param {string} projectId - Project ID
+ * @param {Array<string>} names - Label names to remove
+ * @param {string|null} replacement - Label name to add in their place
+ * @param {Object} context - Change context ({ actor, source })
+ * @returns {Promise<{succeeded: number, failed: Array<Object>}>} Outcome
+ */
+async function relabelTasks(projectId, names, replacement, context) {
+  // Required lazily: task-service validates task labels through this module
+  const taskService = require("./task-service");
+  const outcome = { succeeded: 0, failed: [] };
+
+  const taskIds = new Set();
+  for (let i = 0; i < names.length; i += QUERY_VALUES_LIMIT) {
+    const snapshot = await admin
+      .firestore()
+      .collection("tasks")
+      .where("projectId", "==", projectId)
+      .where("labels", "array-contains-any", names.slice(i, i + QUERY_VALUES_LIMIT))
+      .get();
+    snapshot.docs.forEach((doc) => taskIds.add(doc.id));
+  }
+
+  const ids = [...taskIds];
+  for (let i = 0; i < ids.length; i += TASK_CHUNK_SIZE) {
+    const operations = ids.slice(i, i + TASK_CHUNK_SIZE).map((taskId) => ({
+      action: "relabel",
+      taskId,
+      removeLabels: names,
+      addLabels: replacement ? [replacement] : [],
+    }));
+    const result = await taskService.bulkUpdateTasks(operations, {
+      atomic: false,
+      userId: context.actor && context.actor.uid,
+      context: { ...context, source: context.source || "labels" },
+    });
+
+    outcome.succeeded += result.succeeded;
+    result.results
+      .filter((item) => item.status === "failed")
+      .forEach((item) => outcome.failed.push({ taskId: item.taskId, error: item.error }));
+  }
+
+  return outcome;
+}
+
+/**
+ * Get a project's labels ordered by group, then name
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array<Object>>} Labels
+ */
+async function getLabels(projectId) {
+  try {
+    // Sorted in memory: ungrouped labels come last
+    const snapshot = await labelsCollection(projectId).get();
+    return snapshot.docs
+      .map(toLabel)
+      .sort(
+        (a, b) =>
+          (a.group === null) - (b.group === null) ||
+          (a.group || "").localeCompare(b.group || "") ||
+          a.name.localeCompare(b.name)
+      );
+  } catch (error) {
+    console.error(`Error getting labels of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the label names a project defines
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Set<string>>} Label names
+ */
+async function getLabelNames(projectId) {
+  const snapshot = await labelsCollection(projectId).select("name").get();
+  return new Set(snapshot.docs.map((doc) => doc.get("name")));
+}
+
+/**
+ * Get a label
+ * @param {string} projectId - Project ID
+ * @param {string} labelId - Label ID
+ * @returns {Promise<Object|null>} Label, or null if not found
+ */
+async function getLabel(projectId, labelId) {
+  try {
+    const doc = await labelsCollection(projectId).doc(labelId).get();
+    return doc.exists ? toLabel(doc) : null;
+  } catch (error) {
+    console.error(`Error getting label ${labelId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add a label to a project's catalog
+ * @param {string} projectId - Project ID
+ * @param {Object} data - { name, color?, description?, group? }
+ * @returns {Promise<Object>} Created label
+ */
+async function createLabel(projectId, data) {
+  try {
+    const fields = validateFields(data);
+    await assertProjectWritable(projectId);
+    await assertNameAvailable(projectId, fields.name);
+
+    const now = new Date();
+    const label = {
+      ...fields,
+      key: labelKey(fields.name),
+      createdAt: now,
+      updatedAt: now,
+    };
+    const docRef = await labelsCollection(projectId).add(label);
+    return { id: docRef.id, ...label };
+  } catch (error) {
+    console.error(`Error creating label in project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a label. A new name is applied to every task carrying the old one.
+ * @param {string} projectId - Project ID
+ * @param {string} labelId - Label ID
+ * @param {Object} updates - name, color, description and/or group
+ * @param {Object} [context] - Change context ({ actor, source }) for task history
+ * @returns {Promise<Object|null>} { label, tasks } where tasks is the rename
+ *   outcome ({ succeeded, failed }) or null, or null if the label was not found
+ */
+async function updateLabel(projectId, labelId, updates, context = {}) {
+  try {
+    const fields = validateFields(updates, { partial: true });
+    if (Object.keys(fields).length === 0) {
+      throw labelError(400, "No label fields to update");
+    }
+    await assertProjectWritable(projectId);
+
+    const current = await getLabel(projectId, labelId);
+    if (!current) return null;
+
+    const renamed = "name" in fields && fields.name !== current.name;
+    if (renamed) {
+      await assertNameAvailable(projectId, fields.name, labelId);
+      fields.key = labelKey(fields.name);
+    }
+
+    // The catalog changes first so the new name is defined when tasks take it
+    fields.updatedAt = new Date();
+    await labelsCollection(projectId).doc(labelId).update(fields);
+    const tasks = renamed
+      ? await relabelTasks(projectId, [current.name], fields.name, context)
+      : null;
+
+    return { label: { ...current, ...fields }, tasks };
+  } catch (error) {
+    console.error(`Error updating label ${labelId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Merge labels into another. The merged labels are removed from the catalog
+ * and every task carrying one of them carries the target instead.
+ * @param {string} projectId - Project ID
+ * @param {Array<string>} sourceIds - IDs of the labels to merge away
+ * @param {string} targetId - ID of the label to keep
+ * @param {Object} [context] - Change context ({ actor, source }) for task history
+ * @returns {Promise<Object>} { label, merged, tasks } with the merged names
+ */
+async function mergeLabels(projectId, sourceIds, targetId, context = {}) {
+  try {
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      throw labelError(400, "sourceIds must be a non-empty array");
+    }
+    if (!targetId) {
+      throw labelError(400, "targetId is required");
+    }
+    const ids = [...new Set(sourceIds)];
+    if (ids.includes(targetId)) {
+      throw labelError(400, "A label cannot be merged into itself");
+    }
+    await assertProjectWritable(projectId);
+
+    const collection = labelsCollection(projectId);
+    const docs = await admin
+      .firestore()
+      .getAll(collection.doc(targetId), ...ids.map((id) => collection.doc(id)));
+    const missing = docs.filter((doc) => !doc.exists).map((doc) => doc.id);
+    if (missing.length > 0) {
+      throw labelError(404, `Labels not found: ${missing.join(", ")}`);
+    }
+
+    const [target, ...sources] = docs.map(toLabel);
+    const merged = sources.map((label) => label.name);
+
+    const batch = admin.firestore().batch();
+    sources.forEach((label) => batch.delete(collection.doc(label.id)));
+    await batch.commit();
+
+    const tasks = await relabelTasks(projectId, merged, target.name, context);
+    return { label: target, merged, tasks };
+  } catch (error) {
+    console.error(`Error merging labels into ${targetId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a label and remove it from every task carrying it
+ * @param {string} projectId - Project ID
+ * @param {string} labelId - Label ID
+ * @param {Object} [context] - Change context ({ actor, source }) for task history
+ * @returns {Promise<Object|null>} { tasks } outcome, or null if not found
+ */
+async function deleteLabel(projectId, labelId, context = {}) {
+  try {
+    await assertProjectWritable(projectId);
+    const label = await getLabel(projectId, labelId);
+    if (!label) return null;
+
+    await labelsCollection(projectId).doc(labelId).delete();
+    const tasks = await relabelTasks(projectId, [label.name], null, context);
+    return { tasks };
+  } catch (error) {
+    console.error(`Error deleting label ${labelId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  labelsCollection,
+  getLabels,
+  getLabelNames,
+  getLabel,
+  createLabel,
+  updateLabel,
+  mergeLabels,
+  deleteLabel,
+};
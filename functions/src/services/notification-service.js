@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Due date notifications for Firebase Functions. A scheduled run
+ * flags overdue tasks and sends due-soon and overdue reminders to each task's
+ * assignee (or creator) by email and, when enabled, SMS. Preferences are
+ * stored per user in notificationPreferences/{uid}.
+ * @module services/notification-service
+ */
+
+const admin = require("firebase-admin");
+const { TEMPLATES, sendTemplateEmail } = require("./email");
+const { isVisible } = require("../utils/lifecycle");
+const {
+  REMINDER_KINDS,
+  MAX_REMINDER_HOURS,
+  isOverdue,
+  validatePreferences,
+  resolvePreferences,
+  reminderKey,
+  reminderFor,
+} = require("../utils/due-dates");
+
+/**
+ * Preferences a user may set
+ * @const {Array<string>}
+ */
+const PREFERENCE_FIELDS = ["email", "sms", "dueSoonHours", "overdue", "phone"];
+
+/**
+ * How far back a run looks for overdue tasks. Older tasks were flagged and
+ * reminded by earlier runs.
+ * @const {number}
+ */
+const OVERDUE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Email template per reminder kind
+ * @const {Object}
+ */
+const REMINDER_TEMPLATES = {
+  [REMINDER_KINDS.DUE_SOON]: TEMPLATES.NOTIFICATIONS.TASK_DUE_SOON,
+  [REMINDER_KINDS.OVERDUE]: TEMPLATES.NOTIFICATIONS.TASK_OVERDUE,
+};
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function notificationError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the preferences document of a user
+ * @private
+ */
+function preferencesDoc(uid) {
+  return admin.firestore().collection("notificationPreferences").doc(uid);
+}
+
+/**
+ * Load the SMS service. It refuses to load without Twilio credentials, in
+ * which case reminders go out by email only.
+ * @private
+ * @returns {Object|null} SMS service
+ */
+function smsService() {
+  try {
+    return require("./sms");
+  } catch (error) {
+    console.error("SMS reminders unavailable:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Get a user's notification preferences, with defaults for unset values
+ * @param {string} uid - User ID
+ * @returns {Promise<Object>} Preferences
+ */
+async function getPreferences(uid) {
+  try {
+    const doc = await preferencesDoc(uid).get();
+    return resolvePreferences(doc.exists ? doc.data() : null);
+  } catch (error) {
+    console.error(`Error getting notification preferences of ${uid}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a user's notification preferences
+ * @param {string} uid - User ID
+ * @param {Object} updates - email, sms, overdue (booleans), dueSoonHours
+ *   (0 turns due-soon reminders off) and/or phone (overrides the account's)
+ * @returns {Promise<Object>} Updated preferences
+ */
+async function updatePreferences(uid, updates) {
+  try {
+    const invalid = validatePreferences(updates);
+    if (invalid) {
+      throw notificationError(400, invalid);
+    }
+
+    const fields = {};
+    PREFERENCE_FIELDS.filter((field) => field in updates).forEach((field) => {
+      fields[field] = updates[field];
+    });
+    await preferencesDoc(uid).set(
+      { ...fields, updatedAt: new Date() },
+      { merge: true }
+    );
+    return await getPreferences(uid);
+  } catch (error) {
+    console.error(`Error updating notification preferences of ${uid}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Look up where to reach a user
+ * @private
+ * @returns {Promise<Object|null>} { email, phone, preferences }, or null for
+ *   unknown users
+ */
+async function getRecipient(uid) {
+  try {
+    const [user, preferences] = await Promise.all([
+      admin.auth().getUser(uid),
+      getPreferences(uid),
+    ]);
+    return {
+      email: user.email || null,
+      phone: preferences.phone || user.phoneNumber || null,
+      preferences,
+    };
+  } catch (error) {
+    if (error.code === "auth/user-not-found") return null;
+    throw error;
+  }
+}
+
+/**
+ * Send one reminder over the recipient's enabled channels
+ * @private
+ * @returns {Promise<boolean>} Whether every enabled channel succeeded
+ */
+async function sendReminder(kind, task, recipient) {
+  const { preferences } = recipient;
+  const dueDate = reminderKey(task.dueDate);
+  let delivered = true;
+
+  // Without a configured template the email channel is skipped, not failed,
+  // so the reminder is not retried on every run
+  const template = REMINDER_TEMPLATES[kind];
+  if (preferences.email && recipient.email && template.id) {
+    try {
+      await sendTemplateEmail({
+        to: recipient.email,
+        template,
+        data: {
+          email: recipient.email,
+          taskTitle: task.title,
+          dueDate,
+          taskId: task.id,
+        },
+      });
+    } catch (error) {
+      console.error(`Email ${kind} reminder for task ${task.id} failed:`, error.message);
+      delivered = false;
+    }
+  }
+
+  if (preferences.sms && recipient.phone) {
+    const sms = smsService();
+    try {
+      if (!sms) throw new Error("SMS is not configured");
+      const when = kind === REMINDER_KINDS.OVERDUE ? "is overdue" : "is due soon";
+      await sms.sendSms({
+        to: recipient.phone,
+        body: `Firesite: "${task.title}" ${when} (due ${dueDate}).`,
+      });
+    } catch (error) {
+      console.error(`SMS ${kind} reminder for task ${task.id} failed:`, error.message);
+      delivered = false;
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Flag overdue tasks and send the reminders that have become due. Each
+ * reminder is recorded on the task per due date, so it is sent once and
+ * re-armed when the due date moves; failed reminders are retried next run.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { scanned, flagged, reminded }
+ */
+async function sendDueReminders(now = new Date()) {
+  try {
+    const since = new Date(now.getTime() - OVERDUE_LOOKBACK_MS);
+    const until = new Date(now.getTime() + MAX_REMINDER_HOURS * 60 * 60 * 1000);
+
+    // A single range on dueDate needs no composite index
+    const snapshot = await admin
+      .firestore()
+      .collection("tasks")
+      .where("dueDate", ">=", since)
+      .where("dueDate", "<=", until)
+      .get();
+
+    const recipients = new Map();
+    let flagged = 0;
+    let reminded = 0;
+
+    for (const doc of snapshot.docs) {
+      const task = { id: doc.id, ...doc.data() };
+      if (!isVisible(task.lifecycle)) continue;
+
+      try {
+        const updates = {};
+        if (isOverdue(task, now) && !task.overdue) {
+          updates.overdue = true;
+          flagged++;
+        }
+
+        const uid = task.assignee || task.createdBy;
+        if (uid && !uid.startsWith("api-key:")) {
+          if (!recipients.has(uid)) recipients.set(uid, await getRecipient(uid));
+          const recipient = recipients.get(uid);
+          const kind = recipient && reminderFor(task, recipient.preferences, now);
+
+          if (kind && (await sendReminder(kind, task, recipient))) {
+            updates[`reminders.${kind}`] = reminderKey(task.dueDate);
+            reminded++;
+          }
+        }
+
+        // Written without a version bump: these fields are owned by the server
+        if (Object.keys(updates).length > 0) {
+          await doc.ref.update(updates);
+        }
+      } catch (error) {
+        console.error(`Due date check of task ${task.id} failed:`, error);
+      }
+    }
+
+    console.log(
+      `Due reminders: ${snapshot.size} tasks scanned, ${flagged} flagged overdue, ${reminded} reminded`
+    );
+    return { scanned: snapshot.size, flagged, reminded };
+  } catch (error) {
+    console.error("Error sending due date reminders:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getPreferences,
+  updatePreferences,
+  sendDueReminders,
+};
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Organization service for Firebase Functions
+ * @module services/organization-service
+ */
+
+const admin = require("firebase-admin");
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function organizationError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check an organization's admin list
+ * @private
+ * @param {*} adminIds - Requested admin user IDs
+ * @returns {Array<string>} Admin user IDs without duplicates
+ * @throws {Error} With status 400 if the list is malformed or empty
+ */
+function checkAdminIds(adminIds) {
+  if (!Array.isArray(adminIds) || adminIds.some((uid) => !uid || typeof uid !== "string")) {
+    throw organizationError(400, "adminIds must be an array of user IDs");
+  }
+  if (adminIds.length === 0) {
+    throw organizationError(400, "An organization must keep at least one admin");
+  }
+  return [...new Set(adminIds)];
+}
+
+/**
+ * Whether a user administers an organization. Admins rename and delete it and
+ * create top-level projects in it.
+ * @param {Object} organization - Organization
+ * @param {string} uid - User ID
+ * @returns {boolean} Whether the user is one of its admins
+ */
+function isAdmin(organization, uid) {
+  return Boolean(uid) && (organization.adminIds || []).includes(uid);
+}
+
+/**
+ * IDs of the organizations whose projects a user belongs to, directly or
+ * through an ancestor project, or whose project an API key acts on
+ * @private
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Set<string>>} Organization IDs
+ */
+async function projectOrganizationIds(user) {
+  const db = admin.firestore();
+  let projectIds;
+  if (user.tokenProjectId) {
+    projectIds = [user.tokenProjectId];
+  } else {
+    const memberships = await db
+      .collectionGroup("members")
+      .where("uid", "==", user.uid)
+      .get();
+    projectIds = [...new Set(memberships.docs.map((doc) => doc.ref.parent.parent.id))];
+  }
+
+  const projects = projectIds.length
+    ? await db.getAll(...projectIds.map((id) => db.collection("projects").doc(id)))
+    : [];
+  return new Set(
+    projects
+      .filter((doc) => doc.exists && doc.get("organizationId"))
+      .map((doc) => doc.get("organizationId"))
+  );
+}
+
+/**
+ * Keep only the organizations a user may see: those they administer or hold a
+ * role in one of whose projects. Platform admins see every organization.
+ * @param {Array<Object>} organizations - Organizations
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Array<Object>>} Visible organizations
+ */
+async function filterAccessible(organizations, user) {
+  if (user && user.admin) return organizations;
+  if (!user || !user.uid) return [];
+
+  const memberOf = await projectOrganizationIds(user);
+  return organizations.filter(
+    (organization) =>
+      memberOf.has(organization.id) ||
+      (!user.tokenProjectId && isAdmin(organization, user.uid))
+  );
+}
+
+/**
+ * Get all organizations
+ * @returns {Promise<Array>} List of organizations
+ */
+async function getOrganizations() {
+  try {
+    const snapshot = await admin
+      .firestore()
+      .collection("organizations")
+      .orderBy("name")
+      .get();
+
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error("Error getting organizations:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a specific organization by ID
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object|null>} Organization or null if not found
+ */
+async function getOrganization(organizationId) {
+  try {
+    const doc = await admin
+      .firestore()
+      .collection("organizations")
+      .doc(organizationId)
+      .get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    return {
+      id: doc.id,
+      ...doc.data(),
+    };
+  } catch (error) {
+    console.error(`Error getting organization ${organizationId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new organization. Its creator becomes its first admin.
+ * @param {Object} organizationData - Organization data (name required)
+ * @returns {Promise<Object>} Created organization with ID
+ */
+async function createOrganization(organizationData) {
+  try {
+    const { createdBy } = organizationData;
+    const now = new Date();
+    const organization = {
+      ...organizationData,
+      adminIds: checkAdminIds([
+        ...(createdBy ? [createdBy] : []),
+        ...(organizationData.adminIds || []),
+      ]),
+      version: 1,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const docRef = await admin
+      .firestore()
+      .collection("organizations")
+      .add(organization);
+
+    return {
+      id: docRef.id,
+      ...organization,
+    };
+  } catch (error) {
+    console.error("Error creating organization:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update an organization
+ * @param {string} organizationId - Organization ID
+ * @param {Object} updates - Fields to update; adminIds replaces the admin list
+ * @returns {Promise<Object|null>} Updated organization or null if not found
+ */
+async function updateOrganization(organizationId, updates) {
+  try {
+    if ("adminIds" in updates) {
+      updates = { ...updates, adminIds: checkAdminIds(updates.adminIds) };
+    }
+
+    const docRef = admin
+      .firestore()
+      .collection("organizations")
+      .doc(organizationId);
+
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return null;
+    }
+
+    await docRef.update({
+      ...updates,
+      version: (doc.data().version || 0) + 1,
+      updatedAt: new Date(),
+    });
+
+    return await getOrganization(organizationId);
+  } catch (error) {
+    console.error(`Error updating organization ${organizationId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an organization. Organizations that still own projects cannot be deleted.
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<boolean>} Whether the organization existed
+ */
+async function deleteOrganization(organizationId) {
+  try {
+    const db = admin.firestore();
+    const docRef = db.collection("organizations").doc(organizationId);
+
+    const doc = await docRef.get();
+    if (!doc.exists) {
+      return false;
+    }
+
+    const projects = await db
+      .collection("projects")
+      .where("organizationId", "==", organizationId)
+      .limit(1)
+      .get();
+    if (!projects.empty) {
+      const error = new Error(
+        "Organization still has projects; move or delete them first"
+      );
+      error.status = 409;
+      throw error;
+    }
+
+    await docRef.delete();
+    return true;
+  } catch (error) {
+    console.error(`Error deleting organization ${organizationId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getOrganizations,
+  getOrganization,
+  createOrganization,
+  updateOrganization,
+  deleteOrganization,
+  isAdmin,
+  filterAccessible,
+};
@@ -0,0 +1,465 @@
+/**
+ * @fileoverview Project archive, trash, restore and purge with cascade to
+ * sub-projects and tasks
+ * @module services/project-lifecycle-service
+ */
+
+const admin = require("firebase-admin");
+const firestoreOperations = require("./firestore/index");
+const projectService = require("./project-service");
+const taskHistory = require("./task-history-service");
+const {
+  LIFECYCLE,
+  lifecycleOf,
+  readOnlyReason,
+  purgeDate,
+} = require("../utils/lifecycle");
+
+/**
+ * Writes per committed batch; each task write also queues a history entry
+ * @const {number}
+ */
+const CASCADE_BATCH_SIZE = 200;
+
+/**
+ * Webhook event sent for each lifecycle transition
+ * @const {Object}
+ */
+const TRANSITION_EVENTS = {
+  archive: "project.archived",
+  unarchive: "project.unarchived",
+  trash: "project.deleted",
+  restore: "project.restored",
+};
+
+/**
+ * Change context of scheduled purges
+ * @const {Object}
+ */
+const PURGE_CONTEXT = {
+  actor: { type: "system", uid: null, name: "trash-purge", agentId: null },
+  source: "schedule",
+};
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function lifecycleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Convert a stored Timestamp or Date into a Date
+ * @private
+ */
+function toDate(value) {
+  if (!value) return null;
+  return typeof value.toDate === "function" ? value.toDate() : new Date(value);
+}
+
+/**
+ * Load a project with its whole subtree, whatever their lifecycle
+ * @private
+ * @param {string} projectId - Root project
+ * @returns {Promise<Array>} Root project followed by its descendants
+ */
+async function loadSubtree(projectId) {
+  const project = await projectService.getProject(projectId);
+  if (!project) {
+    throw lifecycleError(404, `Project with ID ${projectId} not found`);
+  }
+
+  const descendants = await projectService.getChildren(projectId, {
+    recursive: true,
+    includeArchived: true,
+    includeDeleted: true,
+  });
+  return [project, ...descendants];
+}
+
+/**
+ * Load the tasks of a set of projects
+ * @private
+ * @param {Array<string>} projectIds - Project IDs
+ * @returns {Promise<Array>} Tasks
+ */
+async function loadTasks(projectIds) {
+  const collection = admin.firestore().collection("tasks");
+  const tasks = [];
+
+  // "in" queries accept at most 30 values
+  for (let i = 0; i < projectIds.length; i += 30) {
+    const snapshot = await collection
+      .where("projectId", "in", projectIds.slice(i, i + 30))
+      .get();
+    snapshot.forEach((doc) => tasks.push({ id: doc.id, ...doc.data() }));
+  }
+
+  return tasks;
+}
+
+/**
+ * Apply a lifecycle transition to a project's subtree and tasks. Task changes
+ * are recorded in their history with the given action.
+ * @private
+ * @param {string} projectId - Root project
+ * @param {Array} projects - Root project and descendants from loadSubtree
+ * @param {Function} buildUpdate - (item) => fields to write, or null to skip
+ * @param {string} action - History action (archive, unarchive, trash, restore)
+ * @param {Object} options - Transition options ({ userId, context })
+ * @returns {Promise<Object>} Root project and the number of changed documents
+ */
+async function cascade(projectId, projects, buildUpdate, action, options = {}) {
+  const tasks = await loadTasks(projects.map((project) => project.id));
+
+  const operations = [];
+  for (const [collection, items] of [["projects", projects], ["tasks", tasks]]) {
+    for (const item of items) {
+      const data = buildUpdate(item);
+      if (data) {
+        operations.push({ type: "update", collection, docId: item.id, data });
+      }
+    }
+  }
+
+  await firestoreOperations.executeBatch(operations, {
+    batchSize: CASCADE_BATCH_SIZE,
+    userId: options.userId,
+    onWrite: (batch, write) => {
+      if (write.operation.collection !== "tasks") return;
+      taskHistory.appendEntry(
+        batch,
+        write.ref.id,
+        taskHistory.buildEntry(write.ref.id, action, write.changes, {
+          ...options.context,
+          source: "project-lifecycle",
+        })
+      );
+    },
+  });
+
+  const count = (collection) =>
+    operations.filter((operation) => operation.collection === collection).length;
+
+  console.log(
+    `Project Lifecycle: ${action} ${projectId} changed ${count("projects")} projects and ${count("tasks")} tasks`
+  );
+
+  const result = {
+    project: await projectService.getProject(projectId),
+    projects: count("projects"),
+    tasks: count("tasks"),
+  };
+  await projectService.emitProjectEvent(
+    TRANSITION_EVENTS[action],
+    result.project,
+    { projects: result.projects, tasks: result.tasks },
+    options.context
+  );
+  return result;
+}
+
+/**
+ * Archive a project, its sub-projects and their tasks. Archived items are
+ * read-only and hidden from listings unless requested.
+ * @param {string} projectId - Project ID
+ * @param {Object} [options] - Transition options
+ * @param {string} [options.userId] - User archiving the project
+ * @param {Object} [options.context] - Change context ({ actor, source })
+ * @returns {Promise<Object>} Archived project with changed document counts
+ */
+async function archiveProject(projectId, options = {}) {
+  try {
+    const projects = await loadSubtree(projectId);
+    const reason = readOnlyReason(projects[0].lifecycle);
+    if (reason) throw lifecycleError(409, reason);
+
+    const now = new Date();
+    return await cascade(
+      projectId,
+      projects,
+      (item) =>
+        lifecycleOf(item.lifecycle) !== LIFECYCLE.ACTIVE
+          ? null
+          : {
+            lifecycle: LIFECYCLE.ARCHIVED,
+            lifecycleSource: projectId,
+            archivedAt: now,
+            archivedBy: options.userId || null,
+          },
+      "archive",
+      options
+    );
+  } catch (error) {
+    console.error(`Error archiving project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Unarchive a project and everything archived together with it
+ * @param {string} projectId - Project ID
+ * @param {Object} [options] - Transition options ({ userId, context })
+ * @returns {Promise<Object>} Active project with changed document counts
+ */
+async function unarchiveProject(projectId, options = {}) {
+  try {
+    const projects = await loadSubtree(projectId);
+    const project = projects[0];
+
+    if (lifecycleOf(project.lifecycle) !== LIFECYCLE.ARCHIVED) {
+      throw lifecycleError(409, `Project ${projectId} is not archived`);
+    }
+    if (project.lifecycleSource && project.lifecycleSource !== projectId) {
+      throw lifecycleError(
+        409,
+        `Project was archived with ${project.lifecycleSource}; unarchive that project instead`
+      );
+    }
+
+    return await cascade(
+      projectId,
+      projects,
+      (item) =>
+        item.lifecycle !== LIFECYCLE.ARCHIVED || item.lifecycleSource !== projectId
+          ? null
+          : {
+            lifecycle: LIFECYCLE.ACTIVE,
+            lifecycleSource: null,
+            archivedAt: null,
+            archivedBy: null,
+          },
+      "unarchive",
+      options
+    );
+  } catch (error) {
+    console.error(`Error unarchiving project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Move a project, its sub-projects and their tasks (with comments) to the
+ * trash. They can be restored until purgeAfter.
+ * @param {string} projectId - Project ID
+ * @param {Object} [options] - Transition options ({ userId, context })
+ * @returns {Promise<Object>} Deleted project with changed document counts
+ */
+async function trashProject(projectId, options = {}) {
+  try {
+    const projects = await loadSubtree(projectId);
+    if (lifecycleOf(projects[0].lifecycle) === LIFECYCLE.DELETED) {
+      throw lifecycleError(409, `Project ${projectId} is already in the trash`);
+    }
+
+    const now = new Date();
+    return await cascade(
+      projectId,
+      projects,
+      (item) =>
+        lifecycleOf(item.lifecycle) === LIFECYCLE.DELETED
+          ? null
+          : {
+            lifecycle: LIFECYCLE.DELETED,
+            lifecycleSource: projectId,
+            deletedAt: now,
+            deletedBy: options.userId || null,
+            purgeAfter: purgeDate(now),
+            // State to return to on restore
+            restore: {
+              lifecycle: lifecycleOf(item.lifecycle),
+              lifecycleSource: item.lifecycleSource || null,
+            },
+          },
+      "trash",
+      options
+    );
+  } catch (error) {
+    console.error(`Error trashing project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Restore a project from the trash with everything deleted together with it
+ * @param {string} projectId - Project ID
+ * @param {Object} [options] - Transition options ({ userId, context })
+ * @returns {Promise<Object>} Restored project with changed document counts
+ */
+async function restoreProject(projectId, options = {}) {
+  try {
+    const projects = await loadSubtree(projectId);
+    const project = projects[0];
+
+    if (lifecycleOf(project.lifecycle) !== LIFECYCLE.DELETED) {
+      throw lifecycleError(409, `Project ${projectId} is not in the trash`);
+    }
+    if (project.lifecycleSource && project.lifecycleSource !== projectId) {
+      throw lifecycleError(
+        409,
+        `Project was deleted with ${project.lifecycleSource}; restore that project instead`
+      );
+    }
+    if (toDate(project.purgeAfter) <= new Date()) {
+      throw lifecycleError(409, `Project ${projectId} is past its restore period`);
+    }
+    if (project.parentProjectId) {
+      const parent = await projectService.getProject(project.parentProjectId);
+      if (parent && lifecycleOf(parent.lifecycle) === LIFECYCLE.DELETED) {
+        throw lifecycleError(409, "Restore the parent project first");
+      }
+    }
+
+    return await cascade(
+      projectId,
+      projects,
+      (item) => {
+        if (item.lifecycle !== LIFECYCLE.DELETED || item.lifecycleSource !== projectId) {
+          return null;
+        }
+        const previous = item.restore || {};
+        return {
+          lifecycle: previous.lifecycle || LIFECYCLE.ACTIVE,
+          lifecycleSource: previous.lifecycleSource || null,
+          deletedAt: null,
+          deletedBy: null,
+          purgeAfter: null,
+          restore: null,
+        };
+      },
+      "restore",
+      options
+    );
+  } catch (error) {
+    console.error(`Error restoring project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete a trashed project with everything deleted together with
+ * it, including task comments and history
+ * @param {string} projectId - Project ID
+ * @param {Object} [options] - Purge options ({ context })
+ * @returns {Promise<Object>} Number of purged projects and tasks
+ */
+async function purgeProject(projectId, options = {}) {
+  try {
+    const projects = await loadSubtree(projectId);
+    const project = projects[0];
+
+    if (
+      lifecycleOf(project.lifecycle) !== LIFECYCLE.DELETED ||
+      project.lifecycleSource !== projectId
+    ) {
+      throw lifecycleError(409, "Only projects deleted to the trash can be purged");
+    }
+
+    const db = admin.firestore();
+    const purgeable = (item) =>
+      item.lifecycle === LIFECYCLE.DELETED && item.lifecycleSource === projectId;
+
+    // Tasks first (with their comments and history), then projects deepest first
+    const tasks = (await loadTasks(projects.map((p) => p.id))).filter(purgeable);
+    for (const task of tasks) {
+      await db.recursiveDelete(db.collection("tasks").doc(task.id));
+    }
+
+    const purgedProjects = projects
+      .filter(purgeable)
+      .sort((a, b) => (b.depth || 0) - (a.depth || 0));
+    for (const item of purgedProjects) {
+      await db.recursiveDelete(db.collection("projects").doc(item.id));
+    }
+
+    console.log(
+      `Project Lifecycle: Purged ${projectId} (${purgedProjects.length} projects, ${tasks.length} tasks)`
+    );
+
+    // The project's own webhooks are purged with it; its ancestors' remain
+    const result = { projectId, projects: purgedProjects.length, tasks: tasks.length };
+    await projectService.emitProjectEvent(
+      "project.purged",
+      project,
+      { projects: result.projects, tasks: result.tasks },
+      options.context
+    );
+    return result;
+  } catch (error) {
+    console.error(`Error purging project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * List projects in the trash. Sub-projects deleted together with a parent are
+ * represented by that parent.
+ * @param {Object} [filters] - Listing filters
+ * @param {string} [filters.organizationId] - Only projects of this organization
+ * @returns {Promise<Array>} Trashed projects, most recently deleted first
+ */
+async function getTrash(filters = {}) {
+  try {
+    const snapshot = await admin
+      .firestore()
+      .collection("projects")
+      .where("lifecycle", "==", LIFECYCLE.DELETED)
+      .get();
+
+    return snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((project) => project.lifecycleSource === project.id)
+      .filter(
+        (project) =>
+          !filters.organizationId || project.organizationId === filters.organizationId
+      )
+      .sort((a, b) => toDate(b.deletedAt) - toDate(a.deletedAt));
+  } catch (error) {
+    console.error("Error getting project trash:", error);
+    throw error;
+  }
+}
+
+/**
+ * Purge every trashed project whose restore period has ended
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} Purged project IDs and failures
+ */
+async function purgeExpiredTrash(now = new Date()) {
+  // Only trashed documents carry a purgeAfter timestamp
+  const snapshot = await admin
+    .firestore()
+    .collection("projects")
+    .where("purgeAfter", "<=", now)
+    .get();
+
+  const roots = snapshot.docs.filter((doc) => doc.get("lifecycleSource") === doc.id);
+  const result = { purged: [], failed: [] };
+
+  for (const doc of roots) {
+    try {
+      await purgeProject(doc.id, { context: PURGE_CONTEXT });
+      result.purged.push(doc.id);
+    } catch (error) {
+      result.failed.push({ projectId: doc.id, error: error.message });
+    }
+  }
+
+  console.log(
+    `Project Lifecycle: Purged ${result.purged.length} expired projects, ${result.failed.length} failed`
+  );
+  return result;
+}
+
+module.exports = {
+  archiveProject,
+  unarchiveProject,
+  trashProject,
+  restoreProject,
+  purgeProject,
+  getTrash,
+  purgeExpiredTrash,
+};
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Project membership and role resolution for Firebase Functions.
+ * Members are stored in projects/{projectId}/members/{uid}; sub-projects
+ * inherit the roles granted on their ancestors.
+ * @module services/project-member-service
+ */
+
+const admin = require("firebase-admin");
+const { ROLES, isRole, canAssignRole } = require("../utils/roles");
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function memberError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the members collection for a project
+ * @param {string} projectId - Project ID
+ * @returns {FirebaseFirestore.CollectionReference} Members collection
+ */
+function membersCollection(projectId) {
+  return admin
+    .firestore()
+    .collection("projects")
+    .doc(projectId)
+    .collection("members");
+}
+
+/**
+ * Build a membership document
+ * @param {Object} member - Member data ({ uid, role, email, name })
+ * @param {Object} [actor] - User granting the role
+ * @returns {Object} Membership document
+ */
+function buildMember(member, actor = {}) {
+  const now = new Date();
+  return {
+    uid: member.uid,
+    role: member.role,
+    email: member.email || null,
+    name: member.name || null,
+    addedBy: actor.uid || null,
+    addedAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Resolve a user's role on a project. The nearest direct or inherited
+ * membership wins.
+ * @param {string} projectId - Project ID
+ * @param {string} uid - User ID
+ * @returns {Promise<Object>} { project, role, sourceProjectId }; project is null
+ *   when it does not exist and role is null when the user is not a member
+ */
+async function resolveAccess(projectId, uid) {
+  const db = admin.firestore();
+  const projectDoc = await db.collection("projects").doc(projectId).get();
+  if (!projectDoc.exists) {
+    return { project: null, role: null, sourceProjectId: null };
+  }
+
+  const project = { id: projectDoc.id, ...projectDoc.data() };
+  const chain = [projectId, ...[...(project.ancestorIds || [])].reverse()];
+  const memberships = uid
+    ? await db.getAll(...chain.map((id) => membersCollection(id).doc(uid)))
+    : [];
+
+  const nearest = memberships.find((doc) => doc.exists);
+  return {
+    project,
+    role: nearest ? nearest.get("role") : null,
+    sourceProjectId: nearest ? chain[memberships.indexOf(nearest)] : null,
+  };
+}
+
+/**
+ * Get the members of a project, including those inherited from ancestors
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array|null>} Members (inherited ones carry inherited: true
+ *   and the sourceProjectId), or null if the project does not exist
+ */
+async function getMembers(projectId) {
+  try {
+    const projectDoc = await admin
+      .firestore()
+      .collection("projects")
+      .doc(projectId)
+      .get();
+    if (!projectDoc.exists) return null;
+
+    const chain = [projectId, ...[...(projectDoc.get("ancestorIds") || [])].reverse()];
+    const snapshots = await Promise.all(chain.map((id) => membersCollection(id).get()));
+
+    // Nearest membership wins when a user is a member at several levels
+    const members = new Map();
+    snapshots.forEach((snapshot, level) => {
+      snapshot.forEach((doc) => {
+        if (members.has(doc.id)) return;
+        members.set(doc.id, {
+          ...doc.data(),
+          uid: doc.id,
+          inherited: level > 0,
+          sourceProjectId: chain[level],
+        });
+      });
+    });
+
+    return [...members.values()];
+  } catch (error) {
+    console.error(`Error getting members of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Check that a project keeps at least one owner after a change to one member
+ * @private
+ */
+async function assertOwnerRemains(projectId, uid) {
+  const members = await getMembers(projectId);
+  const owners = members.filter(
+    (member) => member.role === ROLES.OWNER && member.uid !== uid
+  );
+  if (owners.length === 0) {
+    throw memberError(409, "A project must keep at least one owner");
+  }
+}
+
+/**
+ * Check that the acting user may grant or revoke a role
+ * @private
+ * @param {string} actorRole - Role of the acting user on the project
+ * @param {Object} actor - Acting user (platform admins act as owners)
+ * @param {string} role - Role being granted or revoked
+ */
+function assertCanAssign(actorRole, actor, role) {
+  const effective = actor && actor.admin ? ROLES.OWNER : actorRole;
+  if (!canAssignRole(effective, role)) {
+    throw memberError(403, `Your role cannot grant or revoke the ${role} role`);
+  }
+}
+
+/**
+ * Add a member to a project
+ * @param {string} projectId - Project ID
+ * @param {Object} member - Member data ({ uid, role, email, name })
+ * @param {Object} actor - Acting user (req.user)
+ * @param {string} actorRole - Acting user's role on the project
+ * @returns {Promise<Object>} Created membership
+ */
+async function addMember(projectId, member, actor, actorRole) {
+  try {
+    if (!member.uid) {
+      throw memberError(400, "uid is required");
+    }
+    if (!isRole(member.role)) {
+      throw memberError(400, `Unknown role "${member.role}"`);
+    }
+    assertCanAssign(actorRole, actor, member.role);
+
+    const ref = membersCollection(projectId).doc(member.uid);
+    const data = buildMember(member, actor);
+
+    // create() fails if the member already exists
+    try {
+      await ref.create(data);
+    } catch (error) {
+      if (error.code === 6) {
+        throw memberError(409, `${member.uid} is already a member; update their role instead`);
+      }
+      throw error;
+    }
+
+    return { ...data, inherited: false, sourceProjectId: projectId };
+  } catch (error) {
+    console.error(`Error adding member to project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Change a member's role
+ * @param {string} projectId - Project ID
+ * @param {string} uid - Member user ID
+ * @param {string} role - New role
+ * @param {Object} actor - Acting user (req.user)
+ * @param {string} actorRole - Acting user's role on the project
+ * @returns {Promise<Object>} Updated membership
+ */
+async function updateMemberRole(projectId, uid, role, actor, actorRole) {
+  try {
+    if (!isRole(role)) {
+      throw memberError(400, `Unknown role "${role}"`);
+    }
+
+    const ref = membersCollection(projectId).doc(uid);
+    const doc = await ref.get();
+    if (!doc.exists) {
+      throw memberError(404, `${uid} is not a direct member of project ${projectId}`);
+    }
+
+    const current = doc.get("role");
+    assertCanAssign(actorRole, actor, current);
+    assertCanAssign(actorRole, actor, role);
+    if (current === ROLES.OWNER && role !== ROLES.OWNER) {
+      await assertOwnerRemains(projectId, uid);
+    }
+
+    await ref.update({ role, updatedAt: new Date() });
+
+    const updated = await ref.get();
+    return { ...updated.data(), inherited: false, sourceProjectId: projectId };
+  } catch (error) {
+    console.error(`Error updating member ${uid} of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a member from a project. Members may always remove themselves,
+ * unless they are the last owner.
+ * @param {string} projectId - Project ID
+ * @param {string} uid - Member user ID
+ * @param {Object} actor - Acting user (req.user)
+ * @param {string} actorRole - Acting user's role on the project
+ * @returns {Promise<boolean>} Whether the member existed
+ */
+async function removeMember(projectId, uid, actor, actorRole) {
+  try {
+    const ref = membersCollection(projectId).doc(uid);
+    const doc = await ref.get();
+    if (!doc.exists) return false;
+
+    const role = doc.get("role");
+    if (uid !== actor.uid) {
+      assertCanAssign(actorRole, actor, role);
+    }
+    if (role === ROLES.OWNER) {
+      await assertOwnerRemains(projectId, uid);
+    }
+
+    await ref.delete();
+    return true;
+  } catch (error) {
+    console.error(`Error removing member ${uid} from project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Grant a role from an accepted invitation, keeping any higher existing role
+ * @param {string} projectId - Project ID
+ * @param {Object} member - Member data ({ uid, role, email, name })
+ * @param {Object} inviter - User who sent the invitation
+ * @returns {Promise<Object>} Resulting membership
+ */
+async function grantFromInvite(projectId, member, inviter = {}) {
+  try {
+    const ref = membersCollection(projectId).doc(member.uid);
+    const doc = await ref.get();
+
+    if (doc.exists) {
+      // Accepting an invitation never demotes an existing member
+      return { ...doc.data(), inherited: false, sourceProjectId: projectId };
+    }
+
+    const data = buildMember(member, inviter);
+    await ref.set(data);
+    return { ...data, inherited: false, sourceProjectId: projectId };
+  } catch (error) {
+    console.error(`Error granting invited role on project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Keep only the projects a user can see: those where they hold a role
+ * directly or through an ancestor. Platform admins see everything and project
+ * API keys see their project's subtree.
+ * @param {Array<Object>} projects - Projects
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Array<Object>>} Accessible projects
+ */
+async function filterAccessible(projects, user) {
+  if (user && user.admin) return projects;
+  if (!user || !user.uid) return [];
+
+  if (user.tokenProjectId) {
+    return projects.filter(
+      (project) =>
+        project.id === user.tokenProjectId ||
+        (project.ancestorIds || []).includes(user.tokenProjectId)
+    );
+  }
+
+  const snapshot = await admin
+    .firestore()
+    .collectionGroup("members")
+    .where("uid", "==", user.uid)
+    .get();
+  const memberOf = new Set(snapshot.docs.map((doc) => doc.ref.parent.parent.id));
+
+  return projects.filter(
+    (project) =>
+      memberOf.has(project.id) ||
+      (project.ancestorIds || []).some((id) => memberOf.has(id))
+  );
+}
+
+module.exports = {
+  membersCollection,
+  buildMember,
+  resolveAccess,
+  getMembers,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  grantFromInvite,
+  filterAccessible,
+};
@@ -4,17 +4,83 @@
  */
 
 const admin = require("firebase-admin");
+const firestoreOperations = require("./firestore/index");
+const projectMembers = require("./project-member-service");
+const webhooks = require("./webhook-service");
+const { versionMatches } = require("../utils/etag");
+const {
+  LIFECYCLE_FIELDS,
+  isVisible,
+  readOnlyReason,
+} = require("../utils/lifecycle");
 
 /**
- * Get all projects
+ * Fields maintained by the hierarchy operations; changed through moveProject only
+ * @const {Array<string>}
+ */
+const HIERARCHY_FIELDS = ["organizationId", "parentProjectId", "ancestorIds", "depth"];
+
+/**
+ * Workflows are validated by the workflow endpoint rather than set as project fields
+ * @const {string}
+ */
+const WORKFLOW_MESSAGE = "workflow is set through PUT /api/projects/:projectId/workflow";
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function projectError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Queue a webhook event for a project
+ * @param {string} event - Event name, e.g. "project.updated"
+ * @param {Object} project - Project the event is about
+ * @param {Object} [data] - Extra event data
+ * @param {Object} [context] - Change context ({ actor, source })
+ */
+async function emitProjectEvent(event, project, data = {}, context = {}) {
+  await webhooks.emitEvent(
+    event,
+    { projectId: project.id, ancestorIds: project.ancestorIds || [] },
+    { project, ...data },
+    context
+  );
+}
+
+/**
+ * Get all projects, optionally within an organization or under a parent
+ * @param {Object} [filters] - Listing filters
+ * @param {string} [filters.organizationId] - Only projects of this organization
+ * @param {string|null} [filters.parentProjectId] - Only direct children of this
+ *   project; null lists top-level projects
+ * @param {boolean} [filters.includeArchived=false] - Include archived projects
+ * @param {boolean} [filters.includeDeleted=false] - Include projects in the trash
  * @returns {Promise<Array>} List of projects
  */
-async function getProjects() {
+async function getProjects(filters = {}) {
   try {
-    const snapshot = await admin.firestore().collection("projects").get();
+    let query = admin.firestore().collection("projects");
+
+    if (filters.organizationId) {
+      query = query.where("organizationId", "==", filters.organizationId);
+    }
+    if (filters.parentProjectId !== undefined) {
+      query = query.where("parentProjectId", "==", filters.parentProjectId);
+    }
+
+    const snapshot = await query.get();
     const projects = [];
 
     snapshot.forEach((doc) => {
+      if (!isVisible(doc.get("lifecycle"), filters)) return;
       projects.push({
         id: doc.id,
         ...doc.data(),
@@ -56,27 +122,76 @@ async function getProject(projectId) {
 }
 
 /**
- * Create a new project
+ * Create a new project. Sub-projects inherit the organization of their parent.
  * @param {Object} projectData - Project data
+ * @param {string} [projectData.organizationId] - Owning organization
+ * @param {string} [projectData.parentProjectId] - Parent project for sub-projects
+ * @param {Object} [options] - Creation options
+ * @param {Object} [options.owner] - User made owner of the project (req.user)
+ * @param {Object} [options.context] - Change context ({ actor, source }) for webhooks
  * @returns {Promise<Object>} Created project with ID
  */
-async function createProject(projectData) {
+async function createProject(projectData, options = {}) {
   try {
+    if ("workflow" in projectData) {
+      throw projectError(400, WORKFLOW_MESSAGE);
+    }
+
+    const db = admin.firestore();
+    const { organizationId = null, parentProjectId = null } = projectData;
+    let hierarchy = { organizationId, parentProjectId: null, ancestorIds: [], depth: 0 };
+
+    if (parentProjectId) {
+      const parent = await getProject(parentProjectId);
+      if (!parent) {
+        throw projectError(400, `Parent project ${parentProjectId} not found`);
+      }
+      const reason = readOnlyReason(parent.lifecycle, "Parent project");
+      if (reason) {
+        throw projectError(409, reason);
+      }
+      if (organizationId && parent.organizationId && organizationId !== parent.organizationId) {
+        throw projectError(400, "A sub-project must belong to its parent's organization");
+      }
+      hierarchy = childHierarchy(parent);
+    } else if (organizationId) {
+      const organization = await db.collection("organizations").doc(organizationId).get();
+      if (!organization.exists) {
+        throw projectError(400, `Organization ${organizationId} not found`);
+      }
+    }
+
     // Add timestamps
     const now = new Date();
     const project = {
       ...projectData,
+      ...hierarchy,
+      version: 1,
       createdAt: now,
       updatedAt: now,
     };
 
-    // Create document with auto-generated ID
-    const docRef = await admin.firestore().collection("projects").add(project);
+    // Create the project together with its owner membership
+    const docRef = db.collection("projects").doc();
+    const batch = db.batch();
+    batch.set(docRef, project);
+    if (options.owner && options.owner.uid) {
+      batch.set(
+        projectMembers.membersCollection(docRef.id).doc(options.owner.uid),
+        projectMembers.buildMember(
+          { ...options.owner, role: "owner" },
+          options.owner
+        )
+      );
+    }
+    await batch.commit();
 
-    return {
+    const created = {
       id: docRef.id,
       ...project,
     };
+    await emitProjectEvent("project.created", created, {}, options.context);
+    return created;
   } catch (error) {
     console.error("Error creating project:", error);
     throw error;
@@ -87,25 +202,77 @@ async function createProject(projectData) {
  * Update a project
  * @param {string} projectId - Project ID
  * @param {Object} updates - Fields to update
+ * @param {Object} [options] - Update options
+ * @param {Array<number>} [options.expectedVersions] - Versions the caller last saw
+ *   (from If-Match); a different current version fails with status 412
+ * @param {Object} [options.context] - Change context ({ actor, source }) for webhooks
  * @returns {Promise<Object>} Updated project
  */
-async function updateProject(projectId, updates) {
+async function updateProject(projectId, updates, options = {}) {
   try {
-    // Add updated timestamp
-    const updatedData = {
-      ...updates,
-      updatedAt: new Date(),
-    };
+    const hierarchyField = HIERARCHY_FIELDS.find((field) => field in updates);
+    if (hierarchyField) {
+      throw projectError(
+        400,
+        `${hierarchyField} is changed by moving the project (POST /api/projects/:projectId/move)`
+      );
+    }
 
-    // Update the document
-    await admin
-      .firestore()
-      .collection("projects")
-      .doc(projectId)
-      .update(updatedData);
+    const lifecycleField = LIFECYCLE_FIELDS.find((field) => field in updates);
+    if (lifecycleField) {
+      throw projectError(
+        400,
+        `${lifecycleField} is changed through the archive, trash and restore endpoints`
+      );
+    }
+    if ("workflow" in updates) {
+      throw projectError(400, WORKFLOW_MESSAGE);
+    }
+
+    const db = admin.firestore();
+    const projectRef = db.collection("projects").doc(projectId);
+    let changes = {};
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(projectRef);
+      if (!doc.exists) {
+        const error = new Error(`Project with ID ${projectId} not found`);
+        error.status = 404;
+        throw error;
+      }
+
+      const current = doc.data();
+      const reason = readOnlyReason(current.lifecycle);
+      if (reason) {
+        throw projectError(409, reason);
+      }
+
+      if (!versionMatches(current.version, options.expectedVersions)) {
+        const error = new Error(
+          `Project ${projectId} was modified by someone else`
+        );
+        error.status = 412;
+        error.current = { id: doc.id, ...current };
+        throw error;
+      }
+
+      // Add updated timestamp and bump the version (owned by the server)
+      const updatedData = {
+        ...updates,
+        version: (current.version || 0) + 1,
+        updatedAt: new Date(),
+      };
+
+      transaction.update(projectRef, updatedData);
+      changes = firestoreOperations.diffObjects(current, updates);
+    });
 
     // Get the updated document
-    return await getProject(projectId);
+    const updated = await getProject(projectId);
+    if (Object.keys(changes).length > 0) {
+      await emitProjectEvent("project.updated", updated, { changes }, options.context);
+    }
+    return updated;
   } catch (error) {
     console.error(`Error updating project ${projectId}:`, error);
     throw error;
@@ -113,24 +280,270 @@ async function updateProject(projectId, updates) {
 }
 
 /**
- * Delete a project
+ * Hierarchy fields for a direct child of a project
+ * @private
+ * @param {Object} parent - Parent project
+ * @returns {Object} organizationId, parentProjectId, ancestorIds and depth
+ */
+function childHierarchy(parent) {
+  const ancestorIds = [...(parent.ancestorIds || []), parent.id];
+  return {
+    organizationId: parent.organizationId || null,
+    parentProjectId: parent.id,
+    ancestorIds,
+    depth: ancestorIds.length,
+  };
+}
+
+/**
+ * Get the sub-projects of a project
+ * @param {string} projectId - Project ID
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.recursive=false] - Include the whole subtree
+ * @param {boolean} [options.includeArchived=false] - Include archived projects
+ * @param {boolean} [options.includeDeleted=false] - Include projects in the trash
+ * @returns {Promise<Array>} Sub-projects ordered by depth
+ */
+async function getChildren(projectId, options = {}) {
+  try {
+    const collection = admin.firestore().collection("projects");
+    const query = options.recursive
+      ? collection.where("ancestorIds", "array-contains", projectId)
+      : collection.where("parentProjectId", "==", projectId);
+
+    const snapshot = await query.get();
+    return snapshot.docs
+      .filter((doc) => isVisible(doc.get("lifecycle"), options))
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (a.depth || 0) - (b.depth || 0));
+  } catch (error) {
+    console.error(`Error getting children of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the ancestors of a project, from the top-level project down to its parent
  * @param {string} projectId - Project ID
- * @returns {Promise<boolean>} Whether deletion was successful
+ * @returns {Promise<Array|null>} Ancestors, or null if the project does not exist
  */
-async function deleteProject(projectId) {
+async function getAncestors(projectId) {
   try {
-    await admin.firestore().collection("projects").doc(projectId).delete();
-    return true;
+    const project = await getProject(projectId);
+    if (!project) return null;
+
+    const ancestorIds = project.ancestorIds || [];
+    if (ancestorIds.length === 0) return [];
+
+    const db = admin.firestore();
+    const docs = await db.getAll(
+      ...ancestorIds.map((id) => db.collection("projects").doc(id))
+    );
+    return docs
+      .filter((doc) => doc.exists)
+      .map((doc) => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error(`Error getting ancestors of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Move a project (with its whole subtree) under another parent, or to the top
+ * level of its organization
+ * @param {string} projectId - Project to move
+ * @param {string|null} newParentId - New parent project, or null for top level
+ * @param {Object} [options] - Move options
+ * @param {string} [options.organizationId] - Target organization for top-level moves
+ * @param {string} [options.userId] - User performing the move
+ * @param {Object} [options.context] - Change context ({ actor, source }) for webhooks
+ * @returns {Promise<Object>} Moved project with the number of updated descendants
+ */
+async function moveProject(projectId, newParentId, options = {}) {
+  try {
+    const db = admin.firestore();
+    const projects = db.collection("projects");
+    const now = new Date();
+    const written = (data) => ({
+      version: (data.version || 0) + 1,
+      updatedAt: now,
+      updatedBy: options.userId || "system",
+    });
+
+    // The project, its new parent and its subtree are read and rewritten in one
+    // transaction, so concurrent moves cannot leave ancestor chains inconsistent
+    const { project, descendants } = await db.runTransaction(async (transaction) => {
+      const projectDoc = await transaction.get(projects.doc(projectId));
+      if (!projectDoc.exists) {
+        throw projectError(404, `Project with ID ${projectId} not found`);
+      }
+      const project = { id: projectDoc.id, ...projectDoc.data() };
+      const reason = readOnlyReason(project.lifecycle);
+      if (reason) {
+        throw projectError(409, reason);
+      }
+
+      let hierarchy;
+      if (newParentId) {
+        if (newParentId === projectId) {
+          throw projectError(409, "A project cannot be its own parent");
+        }
+        const parentDoc = await transaction.get(projects.doc(newParentId));
+        if (!parentDoc.exists) {
+          throw projectError(400, `Parent project ${newParentId} not found`);
+        }
+        const parent = { id: parentDoc.id, ...parentDoc.data() };
+        if ((parent.ancestorIds || []).includes(projectId)) {
+          throw projectError(409, "A project cannot be moved into its own subtree");
+        }
+        const parentReason = readOnlyReason(parent.lifecycle, "Parent project");
+        if (parentReason) {
+          throw projectError(409, parentReason);
+        }
+        hierarchy = childHierarchy(parent);
+      } else {
+        hierarchy = {
+          organizationId: options.organizationId || project.organizationId || null,
+          parentProjectId: null,
+          ancestorIds: [],
+          depth: 0,
+        };
+      }
+
+      // Rewrite the ancestor prefix of every descendant, whatever its lifecycle
+      const subtree = await transaction.get(
+        projects.where("ancestorIds", "array-contains", projectId)
+      );
+      const descendants = subtree.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+      transaction.update(projects.doc(projectId), { ...hierarchy, ...written(project) });
+      descendants.forEach((descendant) => {
+        const ancestors = descendant.ancestorIds || [];
+        const below = ancestors.slice(ancestors.indexOf(projectId));
+        const ancestorIds = [...hierarchy.ancestorIds, ...below];
+        transaction.update(projects.doc(descendant.id), {
+          organizationId: hierarchy.organizationId,
+          ancestorIds,
+          depth: ancestorIds.length,
+          ...written(descendant),
+        });
+      });
+
+      return { project, descendants };
+    });
+
+    const moved = await getProject(projectId);
+    await emitProjectEvent(
+      "project.moved",
+      moved,
+      {
+        from: {
+          parentProjectId: project.parentProjectId || null,
+          organizationId: project.organizationId || null,
+        },
+        movedDescendants: descendants.length,
+      },
+      options.context
+    );
+
+    return {
+      ...moved,
+      movedDescendants: descendants.length,
+    };
+  } catch (error) {
+    console.error(`Error moving project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Count tasks by status for a set of projects
+ * @private
+ * @param {Array<string>} projectIds - Project IDs
+ * @returns {Promise<Map<string, Object>>} projectId -> { total, byStatus }
+ */
+async function countTasksByProject(projectIds) {
+  const counts = new Map(projectIds.map((id) => [id, { total: 0, byStatus: {} }]));
+  const collection = admin.firestore().collection("tasks");
+
+  // "in" queries accept at most 30 values
+  for (let i = 0; i < projectIds.length; i += 30) {
+    const chunk = projectIds.slice(i, i + 30);
+    const snapshot = await collection
+      .where("projectId", "in", chunk)
+      .select("projectId", "status")
+      .get();
+
+    snapshot.forEach((doc) => {
+      const count = counts.get(doc.get("projectId"));
+      const status = doc.get("status") || "unknown";
+      count.total++;
+      count.byStatus[status] = (count.byStatus[status] || 0) + 1;
+    });
+  }
+
+  return counts;
+}
+
+/**
+ * Add one task count into another
+ * @private
+ */
+function addCounts(target, source) {
+  target.total += source.total;
+  for (const [status, count] of Object.entries(source.byStatus)) {
+    target.byStatus[status] = (target.byStatus[status] || 0) + count;
+  }
+}
+
+/**
+ * Roll up task counts over a project's subtree
+ * @param {string} projectId - Root of the subtree
+ * @returns {Promise<Object|null>} Totals for the subtree and per project
+ *   (own and subtree counts), or null if the project does not exist
+ */
+async function getRollup(projectId) {
+  try {
+    const project = await getProject(projectId);
+    if (!project) return null;
+
+    const projects = [project, ...(await getChildren(projectId, { recursive: true }))];
+    const own = await countTasksByProject(projects.map((p) => p.id));
+
+    const subtree = new Map(projects.map((p) => [p.id, { total: 0, byStatus: {} }]));
+    for (const p of projects) {
+      // Credit this project's tasks to itself and every ancestor in the subtree
+      for (const id of [p.id, ...(p.ancestorIds || [])]) {
+        if (subtree.has(id)) addCounts(subtree.get(id), own.get(p.id));
+      }
+    }
+
+    return {
+      projectId,
+      totals: subtree.get(projectId),
+      projects: projects.map((p) => ({
+        id: p.id,
+        name: p.name,
+        parentProjectId: p.parentProjectId || null,
+        depth: p.depth || 0,
+        own: own.get(p.id),
+        subtree: subtree.get(p.id),
+      })),
+    };
   } catch (error) {
-    console.error(`Error deleting project ${projectId}:`, error);
+    console.error(`Error rolling up project ${projectId}:`, error);
     throw error;
   }
 }
 
 module.exports = {
+  emitProjectEvent,
   getProjects,
   getProject,
   createProject,
   updateProject,
-  deleteProject,
+  getChildren,
+  getAncestors,
+  moveProject,
+  getRollup,
 };
@@ -0,0 +1,504 @@
+/**
+ * @fileoverview Recurring task series for Firebase Functions. A series in
+ * taskSeries/{seriesId} holds a recurrence rule and a task template; each
+ * occurrence is an ordinary task linked back through seriesId. The next
+ * occurrence is materialized when the current one is completed
+ * ("on-complete") or when the current one falls due ("schedule").
+ * @module services/recurrence-service
+ */
+
+const admin = require("firebase-admin");
+const taskService = require("./task-service");
+const workflowService = require("./workflow-service");
+const { toDate } = require("../utils/sprints");
+const { isDoneStatus } = require("../utils/task-graph");
+const { readOnlyReason } = require("../utils/lifecycle");
+const { parseRule, nextOccurrence } = require("../utils/recurrence");
+
+/**
+ * Series states
+ * @const {Object}
+ */
+const SERIES_STATES = {
+  ACTIVE: "active",
+  STOPPED: "stopped",
+  ENDED: "ended",
+};
+
+/**
+ * When the next occurrence is created
+ * @const {Object}
+ */
+const SERIES_MODES = {
+  ON_COMPLETE: "on-complete",
+  SCHEDULE: "schedule",
+};
+
+/**
+ * Task fields copied from the template into every occurrence
+ * @const {Array<string>}
+ */
+const TEMPLATE_FIELDS = ["title", "description", "labels", "assignee", "priority"];
+
+/**
+ * Change context for occurrences created by the recurrence scheduler
+ * @const {Object}
+ */
+const RECURRENCE_CONTEXT = {
+  actor: { type: "system", uid: null, name: "recurrence", agentId: null },
+  source: "recurrence",
+};
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function seriesError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the series collection
+ * @returns {FirebaseFirestore.CollectionReference} Series collection
+ */
+function seriesCollection() {
+  return admin.firestore().collection("taskSeries");
+}
+
+/**
+ * Parse a submitted rule, failing with status 400
+ * @private
+ */
+function parseSubmittedRule(rrule) {
+  try {
+    return parseRule(rrule);
+  } catch (error) {
+    throw seriesError(400, error.message);
+  }
+}
+
+/**
+ * Validate a submitted mode
+ * @private
+ */
+function assertMode(mode) {
+  if (!Object.values(SERIES_MODES).includes(mode)) {
+    throw seriesError(400, `mode must be one of ${Object.values(SERIES_MODES).join(", ")}`);
+  }
+}
+
+/**
+ * Status new occurrences start in: the initial state of the project's
+ * workflow, or "todo"
+ * @private
+ */
+async function startStatus(projectId) {
+  const workflow = await workflowService.getWorkflow(projectId);
+  return workflow ? workflow.initialState : "todo";
+}
+
+/**
+ * Pick the template fields of a task or submitted template
+ * @private
+ */
+function pickTemplate(source) {
+  const template = {};
+  TEMPLATE_FIELDS.filter((field) => source[field] !== undefined).forEach((field) => {
+    template[field] = source[field];
+  });
+  return template;
+}
+
+/**
+ * Get the series of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array<Object>>} Series, newest first
+ */
+async function getSeriesList(projectId) {
+  try {
+    const snapshot = await seriesCollection().where("projectId", "==", projectId).get();
+    return snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => toDate(b.createdAt) - toDate(a.createdAt));
+  } catch (error) {
+    console.error(`Error getting series of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a series with its occurrences
+ * @param {string} projectId - Project ID
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Object|null>} Series with occurrences ({ id, title,
+ *   status, dueDate, occurrence }), or null if not found in the project
+ */
+async function getSeries(projectId, seriesId) {
+  try {
+    const doc = await seriesCollection().doc(seriesId).get();
+    if (!doc.exists || doc.get("projectId") !== projectId) return null;
+
+    const tasks = await admin
+      .firestore()
+      .collection("tasks")
+      .where("seriesId", "==", seriesId)
+      .get();
+    const occurrences = tasks.docs
+      .map((task) => ({
+        id: task.id,
+        title: task.get("title"),
+        status: task.get("status"),
+        dueDate: task.get("dueDate") || null,
+        occurrence: task.get("occurrence"),
+      }))
+      .sort((a, b) => a.occurrence - b.occurrence);
+
+    return { id: doc.id, ...doc.data(), occurrences };
+  } catch (error) {
+    console.error(`Error getting series ${seriesId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Start a series. Either an existing task becomes its first occurrence and
+ * provides the template, or the first occurrence is created from a template.
+ * @param {string} projectId - Project ID
+ * @param {Object} data - Series data
+ * @param {string} data.rule - Recurrence rule, e.g. "FREQ=WEEKLY;BYDAY=MO"
+ * @param {string} [data.mode="on-complete"] - "on-complete" or "schedule"
+ * @param {string} [data.startDate] - Series start; fixes the time of day.
+ *   Defaults to the task's due date, or now.
+ * @param {string} [data.taskId] - Task to turn into the first occurrence
+ * @param {Object} [data.task] - Template (title, description, labels,
+ *   assignee, priority) when no taskId is given
+ * @param {Object} [context] - Change context ({ actor, source })
+ * @returns {Promise<Object>} Created series with its first occurrence
+ */
+async function createSeries(projectId, data, context = {}) {
+  try {
+    const rule = parseSubmittedRule(data.rule);
+    const mode = data.mode || SERIES_MODES.ON_COMPLETE;
+    assertMode(mode);
+
+    let task = null;
+    let template;
+    if (data.taskId) {
+      task = await taskService.getTask(data.taskId);
+      if (!task || task.projectId !== projectId) {
+        throw seriesError(400, `Task ${data.taskId} not found in project ${projectId}`);
+      }
+      if (task.seriesId) {
+        throw seriesError(409, `Task ${data.taskId} already belongs to series ${task.seriesId}`);
+      }
+      template = pickTemplate(task);
+    } else {
+      template = pickTemplate(data.task || {});
+      if (!template.title) {
+        throw seriesError(400, "task.title is required when no taskId is given");
+      }
+    }
+
+    const startDate = toDate(data.startDate || (task && task.dueDate) || new Date());
+    if (!startDate) {
+      throw seriesError(400, "startDate must be a valid date");
+    }
+    const dueDate =
+      (task && toDate(task.dueDate)) ||
+      nextOccurrence(rule, startDate, new Date(startDate.getTime() - 1));
+    if (!dueDate) {
+      throw seriesError(400, "The rule has no occurrences after startDate");
+    }
+
+    const now = new Date();
+    const ref = seriesCollection().doc();
+    const series = {
+      projectId,
+      rule: data.rule.trim(),
+      mode,
+      template,
+      startDate,
+      state: SERIES_STATES.ACTIVE,
+      occurrences: 1,
+      lastDueDate: dueDate,
+      currentTaskId: null,
+      nextRunAt: mode === SERIES_MODES.SCHEDULE ? dueDate : null,
+      lastError: null,
+      createdBy: (context.actor && context.actor.uid) || null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await ref.set(series);
+
+    const occurrence = { seriesId: ref.id, occurrence: 1, dueDate };
+    const first = task
+      ? await taskService.updateTask(task.id, occurrence, { ...context, action: "recurrence" })
+      : await taskService.createTask(
+          { ...template, projectId, status: await startStatus(projectId), ...occurrence },
+          context
+        );
+    await ref.update({ currentTaskId: first.id });
+
+    console.log(`Series ${ref.id} started in project ${projectId} (${series.rule})`);
+    return { id: ref.id, ...series, currentTaskId: first.id, occurrences: [first] };
+  } catch (error) {
+    console.error(`Error creating series in project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Edit an active series. Changes apply to occurrences created from now on.
+ * @param {string} projectId - Project ID
+ * @param {string} seriesId - Series ID
+ * @param {Object} updates - rule, mode and/or template fields
+ * @returns {Promise<Object|null>} Updated series, or null if not found
+ */
+async function updateSeries(projectId, seriesId, updates) {
+  try {
+    const ref = seriesCollection().doc(seriesId);
+    const doc = await ref.get();
+    if (!doc.exists || doc.get("projectId") !== projectId) return null;
+
+    const series = { id: doc.id, ...doc.data() };
+    if (series.state !== SERIES_STATES.ACTIVE) {
+      throw seriesError(409, `Series ${seriesId} is ${series.state}`);
+    }
+
+    const fields = { updatedAt: new Date() };
+    if ("rule" in updates) {
+      parseSubmittedRule(updates.rule);
+      fields.rule = updates.rule.trim();
+    }
+    if ("mode" in updates) {
+      assertMode(updates.mode);
+      fields.mode = updates.mode;
+      fields.nextRunAt =
+        updates.mode === SERIES_MODES.SCHEDULE ? series.lastDueDate : null;
+    }
+    if ("template" in updates) {
+      fields.template = { ...series.template, ...pickTemplate(updates.template || {}) };
+      if (!fields.template.title) {
+        throw seriesError(400, "template.title cannot be empty");
+      }
+    }
+
+    await ref.update(fields);
+    return { ...series, ...fields };
+  } catch (error) {
+    console.error(`Error updating series ${seriesId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Stop a series; no further occurrences are created. Existing occurrences
+ * stay linked to it.
+ * @param {string} projectId - Project ID
+ * @param {string} seriesId - Series ID
+ * @param {Object} user - User stopping the series
+ * @returns {Promise<Object|null>} Stopped series, or null if not found
+ */
+async function stopSeries(projectId, seriesId, user) {
+  try {
+    const ref = seriesCollection().doc(seriesId);
+    const doc = await ref.get();
+    if (!doc.exists || doc.get("projectId") !== projectId) return null;
+
+    const series = { id: doc.id, ...doc.data() };
+    if (series.state !== SERIES_STATES.ACTIVE) return series;
+
+    const fields = {
+      state: SERIES_STATES.STOPPED,
+      nextRunAt: null,
+      stoppedAt: new Date(),
+      stoppedBy: user.uid,
+      updatedAt: new Date(),
+    };
+    await ref.update(fields);
+    return { ...series, ...fields };
+  } catch (error) {
+    console.error(`Error stopping series ${seriesId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Undo the claim of an occurrence whose task could not be created, unless the
+ * series has moved on since. The occurrence is retried by the next scheduler
+ * run, on-complete series included, and the failure is kept in lastError.
+ * @private
+ * @param {FirebaseFirestore.DocumentReference} ref - Series document
+ * @param {Object} series - Series data before the claim
+ * @param {number} occurrence - Claimed occurrence
+ * @param {Error} failure - Why the task could not be created
+ */
+async function releaseClaim(ref, series, occurrence, failure) {
+  const db = admin.firestore();
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.get("occurrences") !== occurrence) return;
+
+    const now = new Date();
+    transaction.update(ref, {
+      occurrences: series.occurrences,
+      lastDueDate: series.lastDueDate || null,
+      currentTaskId: series.currentTaskId || null,
+      nextRunAt: series.mode === SERIES_MODES.SCHEDULE ? series.nextRunAt : now,
+      lastError: failure.message,
+      updatedAt: now,
+    });
+  });
+}
+
+/**
+ * Create the next occurrence of a series if it is due. The series is advanced
+ * in a transaction first, so repeated triggers and overlapping scheduler runs
+ * create each occurrence once; the claim is released again if the task cannot
+ * be created.
+ * @private
+ * @param {string} seriesId - Series ID
+ * @param {Function} isDue - (series) => whether the next occurrence is due
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Created task, or null
+ */
+async function advanceSeries(seriesId, isDue, now) {
+  const db = admin.firestore();
+  const ref = seriesCollection().doc(seriesId);
+
+  const claim = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) return null;
+    const series = { id: doc.id, ...doc.data() };
+    if (series.state !== SERIES_STATES.ACTIVE || !isDue(series)) return null;
+
+    // Occurrences wait while the project is archived or in the trash
+    const project = await transaction.get(
+      db.collection("projects").doc(series.projectId)
+    );
+    if (project.exists && readOnlyReason(project.get("lifecycle"))) return null;
+
+    const rule = parseRule(series.rule);
+    const last = toDate(series.lastDueDate) || toDate(series.startDate);
+    const dueDate =
+      project.exists && !(rule.count && series.occurrences >= rule.count)
+        ? nextOccurrence(rule, series.startDate, last > now ? last : now)
+        : null;
+
+    if (!dueDate) {
+      transaction.update(ref, {
+        state: SERIES_STATES.ENDED,
+        nextRunAt: null,
+        updatedAt: now,
+      });
+      return null;
+    }
+
+    const occurrence = series.occurrences + 1;
+    transaction.update(ref, {
+      occurrences: occurrence,
+      lastDueDate: dueDate,
+      currentTaskId: null,
+      nextRunAt: series.mode === SERIES_MODES.SCHEDULE ? dueDate : null,
+      lastError: null,
+      updatedAt: now,
+    });
+    return { series, dueDate, occurrence };
+  });
+  if (!claim) return null;
+
+  const { series, dueDate, occurrence } = claim;
+  let task;
+  try {
+    task = await taskService.createTask(
+      {
+        ...series.template,
+        projectId: series.projectId,
+        status: await startStatus(series.projectId),
+        seriesId,
+        occurrence,
+        dueDate,
+      },
+      RECURRENCE_CONTEXT
+    );
+  } catch (error) {
+    console.error(`Series ${seriesId}: occurrence ${occurrence} failed, releasing it`);
+    await releaseClaim(ref, series, occurrence, error);
+    throw error;
+  }
+  await ref.update({ currentTaskId: task.id });
+
+  console.log(`Series ${seriesId}: created occurrence ${occurrence} as task ${task.id}`);
+  return task;
+}
+
+/**
+ * Create the next occurrence of an "on-complete" series when its current
+ * occurrence is finished
+ * @param {string} taskId - Task ID
+ * @param {Object} before - Task data before the change
+ * @param {Object} after - Task data after the change
+ * @returns {Promise<Object|null>} Created task, or null
+ */
+async function onTaskChanged(taskId, before, after) {
+  try {
+    if (!after || !after.seriesId) return null;
+    if (isDoneStatus(before && before.status) || !isDoneStatus(after.status)) {
+      return null;
+    }
+
+    return await advanceSeries(
+      after.seriesId,
+      (series) =>
+        series.mode === SERIES_MODES.ON_COMPLETE && series.currentTaskId === taskId,
+      new Date()
+    );
+  } catch (error) {
+    console.error(`Error advancing the series of task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create the next occurrence of every "schedule" series whose current
+ * occurrence has fallen due
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Occurrences created
+ */
+async function materializeDueSeries(now = new Date()) {
+  // Stopped and ended series have no nextRunAt, nor do on-complete series
+  // unless an occurrence failed and waits to be retried
+  const snapshot = await seriesCollection().where("nextRunAt", "<=", now).get();
+  let created = 0;
+
+  for (const doc of snapshot.docs) {
+    try {
+      const task = await advanceSeries(
+        doc.id,
+        (series) => toDate(series.nextRunAt) <= now,
+        now
+      );
+      if (task) created++;
+    } catch (error) {
+      console.error(`Error materializing series ${doc.id}:`, error);
+    }
+  }
+
+  console.log(`Recurrence: ${created} of ${snapshot.size} due series advanced`);
+  return created;
+}
+
+module.exports = {
+  SERIES_STATES,
+  SERIES_MODES,
+  seriesCollection,
+  getSeriesList,
+  getSeries,
+  createSeries,
+  updateSeries,
+  stopSeries,
+  onTaskChanged,
+  materializeDueSeries,
+};
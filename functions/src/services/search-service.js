@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Search service for Firebase Functions. Tasks, comments and
+ * projects each have an entry in the searchIndex collection, kept current by
+ * Firestore triggers on their writes. An entry holds the searchable text and
+ * its token keys (see utils/search), so a query reads only its candidates
+ * instead of scanning whole collections.
+ * @module services/search-service
+ */
+
+const admin = require("firebase-admin");
+const projectMembers = require("./project-member-service");
+const { isVisible } = require("../utils/lifecycle");
+const {
+  SEARCH_TYPES,
+  SEARCH_LIMITS,
+  MIN_SCORE,
+  queryKeys,
+  buildEntry,
+  scoreEntry,
+  snippet,
+} = require("../utils/search");
+
+/**
+ * Most index entries read for one query; they are scored in memory
+ * @const {number}
+ */
+const CANDIDATE_LIMIT = 300;
+
+// Writes per batch when entries are updated or rebuilt together
+const BATCH_SIZE = 400;
+
+// Fields whose changes reach the index
+const TASK_FIELDS = ["title", "description", "status", "projectId", "lifecycle"];
+const COMMENT_FIELDS = ["body", "deleted"];
+const PROJECT_FIELDS = ["name", "description", "lifecycle", "ancestorIds"];
+
+/**
+ * Get the search index collection
+ * @returns {FirebaseFirestore.CollectionReference} Search index collection
+ */
+function searchIndexCollection() {
+  return admin.firestore().collection("searchIndex");
+}
+
+/**
+ * Reference to the index entry of a document
+ * @private
+ */
+function entryRef(type, ...ids) {
+  return searchIndexCollection().doc([type, ...ids].join("_"));
+}
+
+/**
+ * Whether any of the given fields differ between two versions of a document
+ * @private
+ */
+function changed(before, after, fields) {
+  return (
+    !before ||
+    fields.some((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  );
+}
+
+/**
+ * Load a project's ancestors, which decide who may see its entries
+ * @private
+ */
+async function ancestorsOf(projectId) {
+  if (!projectId) return [];
+  const project = await admin.firestore().collection("projects").doc(projectId).get();
+  return project.exists ? project.get("ancestorIds") || [] : [];
+}
+
+/**
+ * Build the index entry of a task
+ * @private
+ */
+function taskEntry(taskId, task, ancestorIds) {
+  return buildEntry("task", {
+    entityId: taskId,
+    taskId,
+    projectId: task.projectId || null,
+    ancestorIds,
+    title: task.title,
+    text: task.description,
+    status: task.status || null,
+    lifecycle: task.lifecycle || null,
+    indexedAt: new Date(),
+  });
+}
+
+/**
+ * Build the index entry of a comment; it repeats its task's title and state
+ * @private
+ */
+function commentEntry(taskId, commentId, comment, task, ancestorIds) {
+  return buildEntry("comment", {
+    entityId: commentId,
+    taskId,
+    projectId: task.projectId || null,
+    ancestorIds,
+    title: task.title,
+    text: comment.body,
+    authorName: comment.authorName || null,
+    status: task.status || null,
+    lifecycle: task.lifecycle || null,
+    indexedAt: new Date(),
+  });
+}
+
+/**
+ * Build the index entry of a project
+ * @private
+ */
+function projectEntry(projectId, project) {
+  return buildEntry("project", {
+    entityId: projectId,
+    taskId: null,
+    projectId,
+    ancestorIds: project.ancestorIds || [],
+    title: project.name,
+    text: project.description,
+    status: null,
+    lifecycle: project.lifecycle || null,
+    indexedAt: new Date(),
+  });
+}
+
+/**
+ * Apply a change to every entry matching a query, a batch at a time
+ * @private
+ * @param {FirebaseFirestore.Query} query - Entries to change
+ * @param {Function} apply - (batch, doc) => void
+ */
+async function forEachEntry(query, apply) {
+  const db = admin.firestore();
+  const snapshot = await query.get();
+  for (let i = 0; i < snapshot.size; i += BATCH_SIZE) {
+    const batch = db.batch();
+    snapshot.docs.slice(i, i + BATCH_SIZE).forEach((doc) => apply(batch, doc));
+    await batch.commit();
+  }
+}
+
+/**
+ * Update the index after a task write. Comment entries repeat the task's
+ * title, project and lifecycle, so they follow when those change.
+ * @param {string} taskId - Task ID
+ * @param {Object|null} before - Task data before the write
+ * @param {Object|null} after - Task data after the write; null when deleted
+ * @returns {Promise<void>}
+ */
+async function onTaskWritten(taskId, before, after) {
+  try {
+    const comments = searchIndexCollection()
+      .where("taskId", "==", taskId)
+      .where("type", "==", "comment");
+
+    if (!after) {
+      await entryRef("task", taskId).delete();
+      await forEachEntry(comments, (batch, doc) => batch.delete(doc.ref));
+      return;
+    }
+    if (!changed(before, after, TASK_FIELDS)) return;
+
+    const ancestorIds = await ancestorsOf(after.projectId);
+    await entryRef("task", taskId).set(taskEntry(taskId, after, ancestorIds));
+
+    if (before && changed(before, after, ["title", "status", "projectId", "lifecycle"])) {
+      await forEachEntry(comments, (batch, doc) => {
+        const entry = doc.data();
+        const comment = { body: entry.text, authorName: entry.authorName };
+        batch.set(doc.ref, commentEntry(taskId, entry.entityId, comment, after, ancestorIds));
+      });
+    }
+  } catch (error) {
+    console.error(`Error indexing task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update the index after a comment write. Deleted comments leave the index.
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @param {Object|null} before - Comment data before the write
+ * @param {Object|null} after - Comment data after the write; null when deleted
+ * @returns {Promise<void>}
+ */
+async function onCommentWritten(taskId, commentId, before, after) {
+  try {
+    const ref = entryRef("comment", taskId, commentId);
+    if (!after || after.deleted) {
+      await ref.delete();
+      return;
+    }
+    if (!changed(before, after, COMMENT_FIELDS)) return;
+
+    const task = await admin.firestore().collection("tasks").doc(taskId).get();
+    if (!task.exists) return;
+    const ancestorIds = await ancestorsOf(task.get("projectId"));
+    await ref.set(commentEntry(taskId, commentId, after, task.data(), ancestorIds));
+  } catch (error) {
+    console.error(`Error indexing comment ${commentId} of task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update the index after a project write. When a project moves, the entries
+ * of its tasks and comments take its new ancestors.
+ * @param {string} projectId - Project ID
+ * @param {Object|null} before - Project data before the write
+ * @param {Object|null} after - Project data after the write; null when deleted
+ * @returns {Promise<void>}
+ */
+async function onProjectWritten(projectId, before, after) {
+  try {
+    if (!after) {
+      await entryRef("project", projectId).delete();
+      return;
+    }
+    if (!changed(before, after, PROJECT_FIELDS)) return;
+
+    await entryRef("project", projectId).set(projectEntry(projectId, after));
+
+    if (before && changed(before, after, ["ancestorIds"])) {
+      const ancestorIds = after.ancestorIds || [];
+      const entries = searchIndexCollection().where("projectId", "==", projectId);
+      await forEachEntry(entries, (batch, doc) => {
+        if (doc.get("type") !== "project") batch.update(doc.ref, { ancestorIds });
+      });
+    }
+  } catch (error) {
+    console.error(`Error indexing project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Rebuild the index entries of a project, its tasks and their comments, e.g.
+ * for data written before the index existed
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} { tasks, comments } indexed, or null if the
+ *   project does not exist
+ */
+async function reindexProject(projectId) {
+  try {
+    const db = admin.firestore();
+    const project = await db.collection("projects").doc(projectId).get();
+    if (!project.exists) return null;
+
+    await onProjectWritten(projectId, null, project.data());
+    const ancestorIds = project.get("ancestorIds") || [];
+    const counts = { tasks: 0, comments: 0 };
+
+    const tasks = await db.collection("tasks").where("projectId", "==", projectId).get();
+    for (const task of tasks.docs) {
+      const comments = await task.ref.collection("comments").get();
+      const live = comments.docs.filter((doc) => !doc.get("deleted"));
+
+      const entries = [
+        [entryRef("task", task.id), taskEntry(task.id, task.data(), ancestorIds)],
+        ...live.map((doc) => [
+          entryRef("comment", task.id, doc.id),
+          commentEntry(task.id, doc.id, doc.data(), task.data(), ancestorIds),
+        ]),
+      ];
+      for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        entries.slice(i, i + BATCH_SIZE).forEach(([ref, entry]) => batch.set(ref, entry));
+        await batch.commit();
+      }
+
+      counts.tasks++;
+      counts.comments += live.length;
+    }
+    return counts;
+  } catch (error) {
+    console.error(`Error rebuilding the search index of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Search tasks, comments and projects the user can see
+ * @param {Array<string>} tokens - Query tokens from parseSearchQuery
+ * @param {Object} options - Search options
+ * @param {Object} options.user - Authenticated user (req.user)
+ * @param {string} [options.projectId] - Only entries of this project
+ * @param {Array<string>} [options.types] - Result types; all by default
+ * @param {boolean} [options.includeArchived=false] - Include archived tasks
+ *   and projects
+ * @param {number} [options.limit] - Number of results
+ * @returns {Promise<Array<Object>>} Results, best first, each with its
+ *   highlighted title and a snippet of its text
+ */
+async function search(tokens, options) {
+  const {
+    user,
+    projectId,
+    types = SEARCH_TYPES,
+    includeArchived = false,
+    limit = SEARCH_LIMITS.defaultResults,
+  } = options;
+
+  try {
+    let query = searchIndexCollection().where("keys", "array-contains-any", queryKeys(tokens));
+    if (projectId) query = query.where("projectId", "==", projectId);
+    if (types.length === 1) query = query.where("type", "==", types[0]);
+    const snapshot = await query.limit(CANDIDATE_LIMIT).get();
+
+    const candidates = snapshot.docs
+      .map((doc) => doc.data())
+      .filter(
+        (entry) => types.includes(entry.type) && isVisible(entry.lifecycle, { includeArchived })
+      );
+
+    // Access follows project membership, as on the project list
+    const accessible = await projectMembers.filterAccessible(
+      candidates.map((entry) => ({ id: entry.projectId, ancestorIds: entry.ancestorIds, entry })),
+      user
+    );
+
+    return accessible
+      .map(({ entry }) => ({ entry, match: scoreEntry(entry, tokens) }))
+      .filter(({ match }) => match.score >= MIN_SCORE)
+      .sort((a, b) => b.match.score - a.match.score)
+      .slice(0, limit)
+      .map(({ entry, match }) => ({
+        type: entry.type,
+        id: entry.entityId,
+        taskId: entry.taskId,
+        projectId: entry.projectId,
+        title: entry.title,
+        titleHighlights: match.title.map(({ start, end }) => ({ start, end })),
+        snippet: snippet(entry.text, match.text),
+        status: entry.status,
+        ...(entry.type === "comment" ? { authorName: entry.authorName } : {}),
+        score: Math.round(match.score * 100) / 100,
+      }));
+  } catch (error) {
+    console.error("Error searching:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  searchIndexCollection,
+  onTaskWritten,
+  onCommentWritten,
+  onProjectWritten,
+  reindexProject,
+  search,
+};
@@ -79,6 +79,31 @@ async function sendOTPSms({ to, otp }) {
   }
 }
 
+/**
+ * Send a plain text SMS using Twilio
+ * @param {Object} options SMS options
+ * @param {string} options.to Recipient phone number
+ * @param {string} options.body Message text
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendSms({ to, body }) {
+  try {
+    // Numbers already in E.164 format are kept; others are assumed to be US
+    const e164Phone = to.startsWith("+") ? to : `+1${to.replace(/\D/g, "")}`;
+    const message = await client.messages.create({
+      body,
+      to: e164Phone,
+      from: twilioNumber,
+    });
+    console.log("Message sent successfully:", message.sid);
+    return true;
+  } catch (error) {
+    console.error("Error sending SMS:", error);
+    throw error;
+  }
+}
+
 module.exports = {
   sendOTPSms,
+  sendSms,
 };
@@ -0,0 +1,490 @@
+/**
+ * @fileoverview Sprint service for Firebase Functions. Sprints are stored in
+ * projects/{projectId}/sprints/{sprintId}; a task belongs to a sprint through
+ * its sprintId field and to the backlog when it has none.
+ * @module services/sprint-service
+ */
+
+const admin = require("firebase-admin");
+const taskService = require("./task-service");
+const { readOnlyReason } = require("../utils/lifecycle");
+const {
+  SPRINT_STATES,
+  toDate,
+  validateSprintDates,
+  pickNextSprint,
+  summarizeSprint,
+} = require("../utils/sprints");
+
+/**
+ * Fields a sprint update may change
+ * @const {Array<string>}
+ */
+const UPDATABLE_FIELDS = ["name", "goal", "startDate", "endDate"];
+
+/**
+ * Task operations applied per bulk request
+ * @const {number}
+ */
+const TASK_CHUNK_SIZE = 500;
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function sprintError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the sprints collection of a project
+ * @param {string} projectId - Project ID
+ * @returns {FirebaseFirestore.CollectionReference} Sprints collection
+ */
+function sprintsCollection(projectId) {
+  return admin
+    .firestore()
+    .collection("projects")
+    .doc(projectId)
+    .collection("sprints");
+}
+
+/**
+ * Convert a sprint snapshot into a plain object
+ * @private
+ */
+function toSprint(doc) {
+  return { id: doc.id, ...doc.data() };
+}
+
+/**
+ * Get the tasks currently in a sprint
+ * @private
+ * @param {string} sprintId - Sprint ID
+ * @param {FirebaseFirestore.Transaction} [transaction] - Read inside a transaction
+ * @returns {Promise<Array<Object>>} Tasks
+ */
+async function getSprintTasks(sprintId, transaction) {
+  const query = admin.firestore().collection("tasks").where("sprintId", "==", sprintId);
+  const snapshot = transaction ? await transaction.get(query) : await query.get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Fail with 409 when the project is archived or in the trash
+ * @private
+ */
+async function assertProjectWritable(projectId) {
+  const project = await admin.firestore().collection("projects").doc(projectId).get();
+  if (!project.exists) {
+    throw sprintError(404, `Project ${projectId} not found`);
+  }
+  const reason = readOnlyReason(project.get("lifecycle"));
+  if (reason) {
+    throw sprintError(409, reason);
+  }
+}
+
+/**
+ * Set the sprintId of many tasks through the bulk task operations, which
+ * record history and emit webhook events for every task
+ * @private
+ * @param {Array<string>} taskIds - Task IDs
+ * @param {string|null} sprintId - Sprint ID, or null for the backlog
+ * @param {Object} context - Change context ({ actor, source })
+ * @returns {Promise<{succeeded: number, failed: Array<Object>}>} Outcome
+ */
+async function assignTasks(taskIds, sprintId, context) {
+  const outcome = { succeeded: 0, failed: [] };
+
+  for (let i = 0; i < taskIds.length; i += TASK_CHUNK_SIZE) {
+    const operations = taskIds.slice(i, i + TASK_CHUNK_SIZE).map((taskId) => ({
+      action: "update",
+      taskId,
+      updates: { sprintId },
+    }));
+    const result = await taskService.bulkUpdateTasks(operations, {
+      atomic: false,
+      userId: context.actor && context.actor.uid,
+      context: { ...context, source: context.source || "sprint" },
+    });
+
+    outcome.succeeded += result.succeeded;
+    result.results
+      .filter((item) => item.status === "failed")
+      .forEach((item) => outcome.failed.push({ taskId: item.taskId, error: item.error }));
+  }
+
+  return outcome;
+}
+
+/**
+ * Get the sprints of a project, ordered by start date
+ * @param {string} projectId - Project ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.state] - Only sprints in this state
+ * @returns {Promise<Array<Object>>} Sprints
+ */
+async function getSprints(projectId, options = {}) {
+  try {
+    let query = sprintsCollection(projectId);
+    if (options.state) {
+      query = query.where("state", "==", options.state);
+    }
+
+    // Sorted in memory to avoid a composite index for state + startDate
+    const snapshot = await query.get();
+    return snapshot.docs
+      .map(toSprint)
+      .sort((a, b) => toDate(a.startDate) - toDate(b.startDate));
+  } catch (error) {
+    console.error(`Error getting sprints of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a sprint
+ * @param {string} projectId - Project ID
+ * @param {string} sprintId - Sprint ID
+ * @returns {Promise<Object|null>} Sprint, or null if not found
+ */
+async function getSprint(projectId, sprintId) {
+  try {
+    const doc = await sprintsCollection(projectId).doc(sprintId).get();
+    return doc.exists ? toSprint(doc) : null;
+  } catch (error) {
+    console.error(`Error getting sprint ${sprintId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Plan a sprint
+ * @param {string} projectId - Project ID
+ * @param {Object} data - Sprint data
+ * @param {string} data.name - Sprint name
+ * @param {string} data.startDate - ISO start date
+ * @param {string} data.endDate - ISO end date
+ * @param {string} [data.goal] - What the sprint sets out to achieve
+ * @param {Object} user - User planning the sprint
+ * @returns {Promise<Object>} Created sprint
+ */
+async function createSprint(projectId, data, user) {
+  try {
+    if (!data.name || typeof data.name !== "string") {
+      throw sprintError(400, "name is required");
+    }
+    const invalid = validateSprintDates(data.startDate, data.endDate);
+    if (invalid) {
+      throw sprintError(400, invalid);
+    }
+    await assertProjectWritable(projectId);
+
+    const now = new Date();
+    const sprint = {
+      projectId,
+      name: data.name.trim(),
+      goal: data.goal || "",
+      startDate: toDate(data.startDate),
+      endDate: toDate(data.endDate),
+      state: SPRINT_STATES.PLANNED,
+      committedTaskIds: [],
+      createdBy: user.uid,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const docRef = await sprintsCollection(projectId).add(sprint);
+    console.log(`Sprint ${docRef.id} planned for project ${projectId}`);
+    return { id: docRef.id, ...sprint };
+  } catch (error) {
+    console.error(`Error creating sprint for project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a sprint's name, goal or dates. Closed sprints cannot change.
+ * @param {string} projectId - Project ID
+ * @param {string} sprintId - Sprint ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated sprint, or null if not found
+ */
+async function updateSprint(projectId, sprintId, updates) {
+  try {
+    if ("state" in updates) {
+      throw sprintError(400, "state changes through the start and close operations");
+    }
+
+    const sprint = await getSprint(projectId, sprintId);
+    if (!sprint) return null;
+    if (sprint.state === SPRINT_STATES.CLOSED) {
+      throw sprintError(409, `Sprint ${sprintId} is closed`);
+    }
+
+    const fields = {};
+    UPDATABLE_FIELDS.filter((field) => field in updates).forEach((field) => {
+      fields[field] = updates[field];
+    });
+    if ("name" in fields && (!fields.name || typeof fields.name !== "string")) {
+      throw sprintError(400, "name cannot be empty");
+    }
+    if ("startDate" in fields || "endDate" in fields) {
+      const startDate = fields.startDate || sprint.startDate;
+      const endDate = fields.endDate || sprint.endDate;
+      const invalid = validateSprintDates(startDate, endDate);
+      if (invalid) {
+        throw sprintError(400, invalid);
+      }
+      fields.startDate = toDate(startDate);
+      fields.endDate = toDate(endDate);
+    }
+
+    fields.updatedAt = new Date();
+    await sprintsCollection(projectId).doc(sprintId).update(fields);
+    return { ...sprint, ...fields };
+  } catch (error) {
+    console.error(`Error updating sprint ${sprintId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a planned sprint; its tasks return to the backlog
+ * @param {string} projectId - Project ID
+ * @param {string} sprintId - Sprint ID
+ * @param {Object} [context] - Change context ({ actor, source }) for task history
+ * @returns {Promise<boolean>} Whether the sprint existed
+ */
+async function deleteSprint(projectId, sprintId, context = {}) {
+  try {
+    const sprint = await getSprint(projectId, sprintId);
+    if (!sprint) return false;
+    if (sprint.state !== SPRINT_STATES.PLANNED) {
+      throw sprintError(409, `Only planned sprints can be deleted; sprint is ${sprint.state}`);
+    }
+
+    const tasks = await getSprintTasks(sprintId);
+    if (tasks.length > 0) {
+      await assignTasks(
+        tasks.map((task) => task.id),
+        null,
+        context
+      );
+    }
+    await sprintsCollection(projectId).doc(sprintId).delete();
+    return true;
+  } catch (error) {
+    console.error(`Error deleting sprint ${sprintId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Start a planned sprint. The tasks it holds at this point are recorded as
+ * its commitment.
+ * @param {string} projectId - Project ID
+ * @param {string} sprintId - Sprint ID
+ * @param {Object} user - User starting the sprint
+ * @returns {Promise<Object|null>} Started sprint, or null if not found
+ */
+async function startSprint(projectId, sprintId, user) {
+  try {
+    await assertProjectWritable(projectId);
+    const db = admin.firestore();
+    const sprintRef = sprintsCollection(projectId).doc(sprintId);
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(sprintRef);
+      if (!doc.exists) return null;
+
+      const sprint = toSprint(doc);
+      if (sprint.state !== SPRINT_STATES.PLANNED) {
+        throw sprintError(409, `Only planned sprints can start; sprint is ${sprint.state}`);
+      }
+
+      const active = await transaction.get(
+        sprintsCollection(projectId).where("state", "==", SPRINT_STATES.ACTIVE)
+      );
+      if (!active.empty) {
+        throw sprintError(
+          409,
+          `Sprint ${active.docs[0].id} is already active; close it first`
+        );
+      }
+
+      const tasks = await getSprintTasks(sprintId, transaction);
+      const fields = {
+        state: SPRINT_STATES.ACTIVE,
+        committedTaskIds: tasks.map((task) => task.id),
+        startedAt: new Date(),
+        startedBy: user.uid,
+        updatedAt: new Date(),
+      };
+      transaction.update(sprintRef, fields);
+      return { ...sprint, ...fields };
+    });
+  } catch (error) {
+    console.error(`Error starting sprint ${sprintId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Add tasks of the project to a sprint, moving them out of any other sprint
+ * @param {string} projectId - Project ID
+ * @param {string} sprintId - Sprint ID
+ * @param {Array<string>} taskIds - Task IDs
+ * @param {Object} [context] - Change context ({ actor, source }) for task history
+ * @returns {Promise<Object|null>} { sprintId, succeeded, failed }, or null if
+ *   the sprint does not exist
+ */
+async function addTasks(projectId, sprintId, taskIds, context = {}) {
+  try {
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+      throw sprintError(400, "taskIds must be a non-empty array");
+    }
+
+    const sprint = await getSprint(projectId, sprintId);
+    if (!sprint) return null;
+    if (sprint.state === SPRINT_STATES.CLOSED) {
+      throw sprintError(409, `Sprint ${sprintId} is closed`);
+    }
+
+    const ids = [...new Set(taskIds)];
+    const db = admin.firestore();
+    const docs = await db.getAll(...ids.map((id) => db.collection("tasks").doc(id)));
+    const foreign = docs
+      .filter((doc) => !doc.exists || doc.get("projectId") !== projectId)
+      .map((doc) => doc.id);
+    if (foreign.length > 0) {
+      throw sprintError(400, `Tasks not found in project ${projectId}: ${foreign.join(", ")}`);
+    }
+
+    const outcome = await assignTasks(ids, sprintId, context);
+    return { sprintId, ...outcome };
+  } catch (error) {
+    console.error(`Error adding tasks to sprint ${sprintId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Return a task from a sprint to the backlog
+ * @param {string} projectId - Project ID
+ * @param {string} sprintId - Sprint ID
+ * @param {string} taskId - Task ID
+ * @param {Object} [context] - Change context ({ actor, source }) for task history
+ * @returns {Promise<boolean>} Whether the task was in the sprint
+ */
+async function removeTask(projectId, sprintId, taskId, context = {}) {
+  try {
+    const sprint = await getSprint(projectId, sprintId);
+    if (!sprint) return false;
+    if (sprint.state === SPRINT_STATES.CLOSED) {
+      throw sprintError(409, `Sprint ${sprintId} is closed`);
+    }
+
+    const task = await taskService.getTask(taskId);
+    if (!task || task.sprintId !== sprintId) return false;
+
+    await taskService.updateTask(
+      taskId,
+      { sprintId: null },
+      { ...context, action: "sprint" }
+    );
+    return true;
+  } catch (error) {
+    console.error(`Error removing task ${taskId} from sprint ${sprintId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Close the active sprint. Its commitment is snapshotted against what was
+ * completed, and unfinished tasks roll into the next sprint: the one given,
+ * otherwise the planned sprint that starts first, otherwise the backlog.
+ * @param {string} projectId - Project ID
+ * @param {string} sprintId - Sprint ID
+ * @param {Object} [options] - Close options
+ * @param {string} [options.nextSprintId] - Sprint to roll unfinished tasks into
+ * @param {Object} [options.context] - Change context ({ actor, source })
+ * @returns {Promise<Object|null>} Closed sprint with a rollover outcome, or
+ *   null if not found
+ */
+async function closeSprint(projectId, sprintId, options = {}) {
+  const { nextSprintId, context = {} } = options;
+
+  try {
+    await assertProjectWritable(projectId);
+
+    const sprints = await getSprints(projectId);
+    let next = null;
+    if (nextSprintId) {
+      next = sprints.find((sprint) => sprint.id === nextSprintId);
+      if (!next || next.id === sprintId || next.state === SPRINT_STATES.CLOSED) {
+        throw sprintError(400, `nextSprintId must name another open sprint of project ${projectId}`);
+      }
+    } else {
+      next = pickNextSprint(sprints, sprintId);
+    }
+
+    const db = admin.firestore();
+    const sprintRef = sprintsCollection(projectId).doc(sprintId);
+
+    // Closing in a transaction keeps two concurrent closes from both rolling over
+    const closed = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(sprintRef);
+      if (!doc.exists) return null;
+
+      const sprint = toSprint(doc);
+      if (sprint.state !== SPRINT_STATES.ACTIVE) {
+        throw sprintError(409, `Only the active sprint can close; sprint is ${sprint.state}`);
+      }
+
+      const tasks = await getSprintTasks(sprintId, transaction);
+      const fields = {
+        state: SPRINT_STATES.CLOSED,
+        summary: summarizeSprint(sprint.committedTaskIds, tasks),
+        rolledOverTo: next ? next.id : null,
+        closedAt: new Date(),
+        closedBy: (context.actor && context.actor.uid) || null,
+        updatedAt: new Date(),
+      };
+      transaction.update(sprintRef, fields);
+      return { ...sprint, ...fields };
+    });
+    if (!closed) return null;
+
+    const unfinished = closed.summary.carriedOver;
+    const rollover = unfinished.length
+      ? await assignTasks(unfinished, closed.rolledOverTo, context)
+      : { succeeded: 0, failed: [] };
+
+    console.log(
+      `Sprint ${sprintId} closed; ${rollover.succeeded} tasks rolled over to ${
+        closed.rolledOverTo || "the backlog"
+      }`
+    );
+    return { ...closed, rollover };
+  } catch (error) {
+    console.error(`Error closing sprint ${sprintId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  sprintsCollection,
+  getSprints,
+  getSprint,
+  createSprint,
+  updateSprint,
+  deleteSprint,
+  startSprint,
+  addTasks,
+  removeTask,
+  closeSprint,
+};
@@ -0,0 +1,546 @@
+/**
+ * @fileoverview Task dependency service for Firebase Functions
+ * @module services/task-dependency-service
+ */
+
+const admin = require("firebase-admin");
+const firestoreOperations = require("./firestore/index");
+const taskHistory = require("./task-history-service");
+const webhooks = require("./webhook-service");
+const workflowService = require("./workflow-service");
+const {
+  isDoneStatus,
+  buildAdjacency,
+  findCycle,
+  blockedChains,
+} = require("../utils/task-graph");
+const { readOnlyReason } = require("../utils/lifecycle");
+const { statusTransitionFields } = require("../utils/flow-metrics");
+const { statusKey } = require("../utils/workflow");
+
+/**
+ * Status given to tasks whose prerequisites are unfinished
+ * @const {string}
+ */
+const BLOCKED_STATUS = "blocked";
+
+/**
+ * Limits of the prerequisite chain read when checking a new dependency for cycles
+ * @const {Object}
+ */
+const MAX_CYCLE_CHECK = {
+  depth: 50,
+  tasks: 1000,
+};
+
+/**
+ * Change context used for automatic status changes
+ * @const {Object}
+ */
+const SYSTEM_CONTEXT = {
+  actor: { type: "system", uid: null, name: "dependency-tracker", agentId: null },
+  source: "dependency",
+};
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function dependencyError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Refuse dependency changes involving archived or trashed tasks, which are
+ * read-only like for any other write
+ * @private
+ * @param {...FirebaseFirestore.DocumentSnapshot} docs - Tasks the change involves
+ * @throws {Error} With status 409 and readOnly set
+ */
+function checkWritable(...docs) {
+  docs
+    .filter((doc) => doc.exists)
+    .forEach((doc) => {
+      const reason = readOnlyReason(doc.get("lifecycle"), `Task ${doc.id}`);
+      if (reason) {
+        throw dependencyError(409, reason, { readOnly: true });
+      }
+    });
+}
+
+/**
+ * Summarize a graph node for API responses
+ * @private
+ */
+function toSummary(node, visible = true) {
+  // Tasks the caller cannot read keep only their place in the graph
+  if (!visible) {
+    return { id: node.id, redacted: true, depth: node.depth };
+  }
+  return {
+    id: node.id,
+    title: node.data.title || null,
+    status: node.data.status || null,
+    dependsOn: node.data.dependsOn || [],
+    depth: node.depth,
+  };
+}
+
+/**
+ * Check an automatic status change against the workflow of the task's project
+ * @private
+ * @returns {Promise<string|null>} State ID to store, or null when the workflow
+ *   does not allow the change and it is skipped
+ */
+async function workflowStatus(transaction, current, update) {
+  if (!current.projectId) return update.status;
+
+  const project = await transaction.get(
+    admin.firestore().collection("projects").doc(current.projectId)
+  );
+  const workflow = (project.exists && project.get("workflow")) || null;
+  try {
+    return workflowService.checkTransition(
+      workflow,
+      { ...current, ...update },
+      { from: current.status, to: update.status }
+    );
+  } catch (error) {
+    if (error.status !== 422) throw error;
+    console.log(
+      `Dependency Service: Workflow of ${current.projectId} does not allow ` +
+        `${current.status} → ${update.status}: ${error.message}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Apply an automatic change to a task inside a transaction, with a history entry
+ * and a task.updated webhook event
+ * @private
+ */
+async function applyAutomaticChange(taskId, buildUpdate, action, triggeredBy) {
+  const db = admin.firestore();
+  const taskRef = db.collection("tasks").doc(taskId);
+
+  const applied = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(taskRef);
+    if (!doc.exists) return null;
+
+    const current = doc.data();
+    // Archived and trashed tasks are read-only
+    if (readOnlyReason(current.lifecycle)) return null;
+
+    const update = await buildUpdate(current, transaction);
+    if (!update) return null;
+
+    const now = new Date();
+    transaction.update(taskRef, {
+      ...update,
+      ...statusTransitionFields(current, update, now),
+      version: (current.version || 0) + 1,
+      updatedAt: now,
+    });
+
+    const changes = firestoreOperations.diffObjects(current, update);
+    taskHistory.appendEntry(transaction, taskId, {
+      ...taskHistory.buildEntry(taskId, action, changes, SYSTEM_CONTEXT),
+      triggeredBy,
+    });
+    return { projectId: current.projectId, changes };
+  });
+
+  if (!applied) return false;
+
+  const updated = await taskRef.get();
+  await webhooks.emitEvent(
+    "task.updated",
+    { projectId: applied.projectId },
+    { task: { id: updated.id, ...updated.data() }, changes: applied.changes, triggeredBy },
+    SYSTEM_CONTEXT
+  );
+  return true;
+}
+
+/**
+ * Unblock an automatically blocked task once all its prerequisites are done
+ * @param {string} taskId - Task to re-evaluate
+ * @param {string} [triggeredBy] - Task whose change caused the check
+ * @returns {Promise<boolean>} Whether the task was unblocked
+ */
+async function reevaluateBlocked(taskId, triggeredBy = null) {
+  return await applyAutomaticChange(
+    taskId,
+    async (current, transaction) => {
+      if (!current.autoBlocked || statusKey(current.status) !== BLOCKED_STATUS) return null;
+
+      const prerequisites = (current.dependsOn || []).map((id) =>
+        admin.firestore().collection("tasks").doc(id)
+      );
+      const docs = prerequisites.length
+        ? await transaction.getAll(...prerequisites)
+        : [];
+      const open = docs.some((doc) => doc.exists && !isDoneStatus(doc.get("status")));
+      if (open) return null;
+
+      const update = {
+        status: current.blockedFromStatus || "todo",
+        autoBlocked: false,
+        blockedFromStatus: null,
+      };
+      update.status = await workflowStatus(transaction, current, update);
+      return update.status ? update : null;
+    },
+    "auto-unblock",
+    triggeredBy
+  );
+}
+
+/**
+ * React to a task's status change: block its dependents when it reopens and
+ * unblock them when it is finished again
+ * @param {string} taskId - Task whose status changed
+ * @param {string} oldStatus - Previous status
+ * @param {string} newStatus - New status
+ * @returns {Promise<Array<string>>} IDs of dependents whose status changed
+ */
+async function propagateStatusChange(taskId, oldStatus, newStatus) {
+  const wasDone = isDoneStatus(oldStatus);
+  const nowDone = isDoneStatus(newStatus);
+  if (wasDone === nowDone) return [];
+
+  try {
+    const dependents = await admin
+      .firestore()
+      .collection("tasks")
+      .where("dependsOn", "array-contains", taskId)
+      .get();
+
+    const changed = [];
+    for (const doc of dependents.docs) {
+      let updated;
+      if (wasDone) {
+        // A prerequisite reopened: block unfinished dependents
+        updated = await applyAutomaticChange(
+          doc.id,
+          async (current, transaction) => {
+            if (isDoneStatus(current.status) || statusKey(current.status) === BLOCKED_STATUS) {
+              return null;
+            }
+            const update = {
+              status: BLOCKED_STATUS,
+              autoBlocked: true,
+              blockedFromStatus: current.status || "todo",
+            };
+            // Projects whose workflow has no blocked state keep the task as is
+            update.status = await workflowStatus(transaction, current, update);
+            return update.status ? update : null;
+          },
+          "auto-block",
+          taskId
+        );
+      } else {
+        updated = await reevaluateBlocked(doc.id, taskId);
+      }
+
+      if (updated) changed.push(doc.id);
+    }
+
+    if (changed.length > 0) {
+      console.log(
+        `Dependency Service: Status of ${taskId} changed, updated dependents:`,
+        changed
+      );
+    }
+    return changed;
+  } catch (error) {
+    console.error(`Error propagating status change of task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Drop a deleted task from the dependsOn of its dependents and unblock the
+ * ones it was holding back
+ * @param {string} taskId - Task that was deleted
+ * @returns {Promise<Array<string>>} IDs of dependents that changed
+ */
+async function removeDeletedPrerequisite(taskId) {
+  try {
+    const dependents = await admin
+      .firestore()
+      .collection("tasks")
+      .where("dependsOn", "array-contains", taskId)
+      .get();
+
+    const changed = [];
+    for (const doc of dependents.docs) {
+      const removed = await applyAutomaticChange(
+        doc.id,
+        async (current) => {
+          const dependsOn = current.dependsOn || [];
+          if (!dependsOn.includes(taskId)) return null;
+          return { dependsOn: dependsOn.filter((id) => id !== taskId) };
+        },
+        "remove-dependency",
+        taskId
+      );
+      const unblocked = await reevaluateBlocked(doc.id, taskId);
+
+      if (removed || unblocked) changed.push(doc.id);
+    }
+
+    if (changed.length > 0) {
+      console.log(`Dependency Service: Removed deleted task ${taskId} from dependents:`, changed);
+    }
+    return changed;
+  } catch (error) {
+    console.error(`Error removing deleted task ${taskId} from its dependents:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Read the tasks a task transitively depends on inside a transaction, so a
+ * concurrent change to any of them makes the transaction retry. Reading stops
+ * once target is reached.
+ * @private
+ * @param {FirebaseFirestore.Transaction} transaction - Transaction
+ * @param {FirebaseFirestore.DocumentSnapshot} startDoc - Task to start from
+ * @param {string} target - Task whose presence closes a cycle
+ * @returns {Promise<Object>} { nodes: [{ id, dependsOn }], truncated }
+ */
+async function readPrerequisites(transaction, startDoc, target) {
+  const tasks = admin.firestore().collection("tasks");
+  const toNode = (doc) => ({ id: doc.id, dependsOn: (doc.exists && doc.get("dependsOn")) || [] });
+  const nodes = new Map([[startDoc.id, toNode(startDoc)]]);
+  let frontier = [nodes.get(startDoc.id)];
+
+  for (let depth = 0; frontier.length > 0 && !nodes.has(target); depth++) {
+    const ids = [...new Set(frontier.flatMap((node) => node.dependsOn))].filter(
+      (id) => !nodes.has(id)
+    );
+    if (ids.length === 0) break;
+    if (depth >= MAX_CYCLE_CHECK.depth || nodes.size + ids.length > MAX_CYCLE_CHECK.tasks) {
+      return { nodes: [...nodes.values()], truncated: true };
+    }
+
+    const docs = await transaction.getAll(...ids.map((id) => tasks.doc(id)));
+    frontier = docs.map(toNode);
+    frontier.forEach((node) => nodes.set(node.id, node));
+  }
+  return { nodes: [...nodes.values()], truncated: false };
+}
+
+/**
+ * Make a task depend on another task. The cycle check reads the
+ * prerequisite's chain in the same transaction that writes the edge, so two
+ * concurrent additions cannot close a cycle between them.
+ * @param {string} taskId - Dependent task
+ * @param {string} prerequisiteId - Task that must finish first
+ * @param {Object} [context] - Change context ({ actor, source })
+ * @returns {Promise<Object>} Updated task
+ * @throws {Error} status 400 for self-dependencies, 404 for unknown tasks,
+ *   409 (with error.cycle) when the edge would create a cycle or (with
+ *   error.readOnly) when either task is archived or in the trash, and 422
+ *   when the prerequisite's chain is too long to check
+ */
+async function addDependency(taskId, prerequisiteId, context = {}) {
+  try {
+    if (taskId === prerequisiteId) {
+      throw dependencyError(400, "A task cannot depend on itself", {
+        cycle: [taskId, taskId],
+      });
+    }
+
+    const db = admin.firestore();
+    const taskRef = db.collection("tasks").doc(taskId);
+    await db.runTransaction(async (transaction) => {
+      const [doc, prerequisiteDoc] = await transaction.getAll(
+        taskRef,
+        db.collection("tasks").doc(prerequisiteId)
+      );
+      if (!doc.exists) {
+        throw dependencyError(404, `Task with ID ${taskId} not found`);
+      }
+      if (!prerequisiteDoc.exists) {
+        throw dependencyError(404, `Task with ID ${prerequisiteId} not found`);
+      }
+      checkWritable(doc, prerequisiteDoc);
+
+      const current = doc.data();
+      const dependsOn = current.dependsOn || [];
+      if (dependsOn.includes(prerequisiteId)) return;
+
+      // Everything the prerequisite transitively depends on
+      const { nodes, truncated } = await readPrerequisites(transaction, prerequisiteDoc, taskId);
+      const cycle = findCycle(buildAdjacency(nodes), taskId, prerequisiteId);
+      if (cycle) {
+        throw dependencyError(
+          409,
+          `Adding this dependency would create a cycle: ${cycle.join(" → ")}`,
+          { cycle }
+        );
+      }
+      if (truncated) {
+        throw dependencyError(
+          422,
+          `Task ${prerequisiteId} has more than ${MAX_CYCLE_CHECK.depth} levels or ` +
+            `${MAX_CYCLE_CHECK.tasks} tasks of prerequisites, too many to check for cycles`
+        );
+      }
+
+      const updated = [...dependsOn, prerequisiteId];
+      transaction.update(taskRef, {
+        dependsOn: updated,
+        version: (current.version || 0) + 1,
+        updatedAt: new Date(),
+      });
+      taskHistory.appendEntry(
+        transaction,
+        taskId,
+        taskHistory.buildEntry(
+          taskId,
+          "add-dependency",
+          { dependsOn: { from: dependsOn, to: updated } },
+          context
+        )
+      );
+    });
+
+    const updated = await taskRef.get();
+    return { id: updated.id, ...updated.data() };
+  } catch (error) {
+    console.error(`Error adding dependency ${taskId} -> ${prerequisiteId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a dependency edge. An automatically blocked task is unblocked when
+ * its remaining prerequisites are all done.
+ * @param {string} taskId - Dependent task
+ * @param {string} prerequisiteId - Prerequisite to remove
+ * @param {Object} [context] - Change context ({ actor, source })
+ * @returns {Promise<Object|null>} Updated task, or null if the task does not exist
+ * @throws {Error} status 409 (with error.readOnly) when either task is
+ *   archived or in the trash
+ */
+async function removeDependency(taskId, prerequisiteId, context = {}) {
+  try {
+    const db = admin.firestore();
+    const taskRef = db.collection("tasks").doc(taskId);
+
+    const found = await db.runTransaction(async (transaction) => {
+      const [doc, prerequisiteDoc] = await transaction.getAll(
+        taskRef,
+        db.collection("tasks").doc(prerequisiteId)
+      );
+      if (!doc.exists) return false;
+      checkWritable(doc, prerequisiteDoc);
+
+      const current = doc.data();
+      const dependsOn = current.dependsOn || [];
+      if (!dependsOn.includes(prerequisiteId)) return true;
+
+      const updated = dependsOn.filter((id) => id !== prerequisiteId);
+      transaction.update(taskRef, {
+        dependsOn: updated,
+        version: (current.version || 0) + 1,
+        updatedAt: new Date(),
+      });
+      taskHistory.appendEntry(
+        transaction,
+        taskId,
+        taskHistory.buildEntry(
+          taskId,
+          "remove-dependency",
+          { dependsOn: { from: dependsOn, to: updated } },
+          context
+        )
+      );
+      return true;
+    });
+
+    if (!found) return null;
+
+    await reevaluateBlocked(taskId, prerequisiteId);
+
+    const updated = await taskRef.get();
+    return { id: updated.id, ...updated.data() };
+  } catch (error) {
+    console.error(`Error removing dependency ${taskId} -> ${prerequisiteId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the dependency graph around a task
+ * @param {string} taskId - Task ID
+ * @param {Object} [options] - Graph options
+ * @param {number} [options.depth=5] - Levels to follow in each direction
+ * @param {Function} [options.visibleProjects] - async (projectIds) => Set of
+ *   the ones the caller may read; tasks of other projects are redacted
+ * @returns {Promise<Object|null>} Prerequisites, dependents, edges and the
+ *   chains of unfinished prerequisites blocking the task; null if not found
+ */
+async function getDependencyGraph(taskId, options = {}) {
+  const { depth = 5, visibleProjects } = options;
+
+  try {
+    const [upstream, downstream] = await Promise.all([
+      firestoreOperations.traverseGraph("tasks", taskId, {
+        field: "dependsOn",
+        maxDepth: depth,
+      }),
+      firestoreOperations.traverseGraph("tasks", taskId, {
+        field: "dependsOn",
+        direction: "inbound",
+        maxDepth: depth,
+      }),
+    ]);
+
+    if (upstream.nodes.length === 0) return null;
+
+    const statuses = new Map(
+      upstream.nodes.map((node) => [node.id, node.data.status])
+    );
+
+    const nodes = [...upstream.nodes, ...downstream.nodes];
+    const visible = visibleProjects
+      ? await visibleProjects(nodes.map((node) => node.data.projectId || null))
+      : null;
+    const summarize = (node) =>
+      toSummary(node, !visible || visible.has(node.data.projectId || null));
+
+    return {
+      task: toSummary(upstream.nodes[0]),
+      prerequisites: upstream.nodes.slice(1).map(summarize),
+      dependents: downstream.nodes.slice(1).map(summarize),
+      edges: [...upstream.edges, ...downstream.edges],
+      blockedChains: blockedChains(
+        buildAdjacency(upstream.nodes),
+        statuses,
+        taskId
+      ),
+      truncated: upstream.truncated || downstream.truncated,
+    };
+  } catch (error) {
+    console.error(`Error getting dependency graph for task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  BLOCKED_STATUS,
+  addDependency,
+  removeDependency,
+  getDependencyGraph,
+  propagateStatusChange,
+  reevaluateBlocked,
+  removeDeletedPrerequisite,
+};
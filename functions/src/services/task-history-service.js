@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Task change history (audit trail) for Firebase Functions
+ * @module services/task-history-service
+ */
+
+const admin = require("firebase-admin");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+
+/**
+ * Page size limits for history listing
+ * @const {Object}
+ */
+const PAGE_SIZE = {
+  default: 50,
+  max: 200,
+};
+
+/**
+ * Get the history collection for a task
+ * @param {string} taskId - Task ID
+ * @returns {FirebaseFirestore.CollectionReference} History collection
+ */
+function historyCollection(taskId) {
+  return admin
+    .firestore()
+    .collection("tasks")
+    .doc(taskId)
+    .collection("history");
+}
+
+/**
+ * Build the change context for a request. Clients identify where a change
+ * came from with the X-Change-Source header (e.g. "ui-drag-drop") and AI
+ * agents identify themselves with X-Agent-Id. The caller's project roles,
+ * recorded by the project access middleware, travel along for workflow checks.
+ * @param {Object} req - Express request
+ * @returns {Object} Change context ({ actor, source, roles })
+ */
+function contextFromRequest(req) {
+  const agentId = req.get("X-Agent-Id");
+  const user = req.user || {};
+
+  let type = "user";
+  if (agentId) {
+    type = "agent";
+  } else if (!req.user) {
+    type = "anonymous";
+  } else if (user.is_service_account || user.service_account) {
+    type = "service";
+  }
+
+  return {
+    actor: {
+      type,
+      uid: user.uid || null,
+      name: user.name || user.email || null,
+      agentId: agentId || null,
+    },
+    source: req.get("X-Change-Source") || "api",
+    roles: req.projectRoles || {},
+  };
+}
+
+/**
+ * Build an immutable history entry
+ * @param {string} taskId - Task ID
+ * @param {string} action - create, update, move or delete
+ * @param {Object} changes - Field diffs ({ field: { from, to } })
+ * @param {Object} [context] - Change context ({ actor, source })
+ * @returns {Object} History entry
+ */
+function buildEntry(taskId, action, changes, context = {}) {
+  return {
+    taskId,
+    action,
+    changes,
+    fields: Object.keys(changes),
+    actor: context.actor || { type: "system", uid: null, name: null, agentId: null },
+    source: context.source || "system",
+    at: new Date(),
+  };
+}
+
+/**
+ * Queue a history entry on a batch or transaction so it is written
+ * atomically with the task change
+ * @param {FirebaseFirestore.WriteBatch|FirebaseFirestore.Transaction} writer
+ * @param {string} taskId - Task ID
+ * @param {Object} entry - Entry from buildEntry
+ */
+function appendEntry(writer, taskId, entry) {
+  writer.set(historyCollection(taskId).doc(), entry);
+}
+
+/**
+ * Get the change history for a task, newest first
+ * @param {string} taskId - Task ID
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.limit] - Page size
+ * @param {string} [options.startAfter] - Cursor from a previous page
+ * @param {string} [options.source] - Only entries from this source
+ * @param {string} [options.actorType] - Only entries by this actor type
+ * @returns {Promise<Object>} Page of entries ({ entries, nextCursor })
+ */
+async function getHistory(taskId, options = {}) {
+  const limit = Math.min(options.limit || PAGE_SIZE.default, PAGE_SIZE.max);
+
+  try {
+    let query = historyCollection(taskId);
+
+    if (options.source) {
+      query = query.where("source", "==", options.source);
+    }
+    if (options.actorType) {
+      query = query.where("actor.type", "==", options.actorType);
+    }
+
+    query = query
+      .orderBy("at", "desc")
+      .orderBy(admin.firestore.FieldPath.documentId(), "desc");
+
+    if (options.startAfter) {
+      query = query.startAfter(
+        ...decodeCursor(options.startAfter, {
+          toTimestamp: (date) => admin.firestore.Timestamp.fromDate(date),
+        })
+      );
+    }
+
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+    const last = docs[docs.length - 1];
+
+    return {
+      entries: docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+      nextCursor:
+        snapshot.docs.length > limit
+          ? encodeCursor([last.get("at"), last.id])
+          : null,
+    };
+  } catch (error) {
+    console.error(`Error getting history for task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  historyCollection,
+  contextFromRequest,
+  buildEntry,
+  appendEntry,
+  getHistory,
+};
@@ -5,13 +5,92 @@
 
 const admin = require("firebase-admin");
 const firestoreService = require("./firestore");
+const firestoreOperations = require("./firestore/index");
+const taskHistory = require("./task-history-service");
+const taskDependencies = require("./task-dependency-service");
+const webhooks = require("./webhook-service");
+const labelService = require("./label-service");
+const customFieldService = require("./custom-field-service");
+const workflowService = require("./workflow-service");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const { versionMatches } = require("../utils/etag");
+const { parseDueDate, isOverdue } = require("../utils/due-dates");
+const { statusTransitionFields } = require("../utils/flow-metrics");
+const { validateTaskLabels, undefinedLabels } = require("../utils/labels");
+const {
+  FIELD_TYPES,
+  applyFieldValues,
+  parseFieldFilter,
+} = require("../utils/custom-fields");
+const {
+  LIFECYCLE_FIELDS,
+  isVisible,
+  readOnlyReason,
+} = require("../utils/lifecycle");
 
 /**
- * Get all tasks
+ * Default and maximum page sizes for task listings
+ * @const {Object}
+ */
+const PAGE_SIZE = {
+  default: 100,
+  max: 500,
+};
+
+/**
+ * Actions accepted by bulkUpdateTasks
+ * @const {Array<string>}
+ */
+const BULK_ACTIONS = ["update", "move", "relabel", "assign", "delete"];
+
+/**
+ * Maximum operations per bulk request (Firestore write limit per commit)
+ * @const {number}
+ */
+const MAX_BULK_OPERATIONS = 500;
+
+/**
+ * Fields the server maintains: the task's creator, and those derived from its
+ * due date, reminders, time entries and status changes
+ * @const {Array<string>}
+ */
+const DERIVED_FIELDS = [
+  "createdBy",
+  "overdue",
+  "reminders",
+  "actualHours",
+  "statusTransitions",
+  "statusChangedAt",
+];
+
+/**
+ * Derived fields left out of history entries and webhook changes: status
+ * changes are already recorded there
+ * @const {Array<string>}
+ */
+const TRANSITION_FIELDS = ["statusTransitions", "statusChangedAt"];
+
+/**
+ * Get a page of tasks
  * @param {Object} options - Query options
  * @param {string} [options.projectId] - Filter by project ID
  * @param {string} [options.status] - Filter by task status
- * @returns {Promise<Array>} List of tasks
+ * @param {string} [options.assignee] - Filter by assignee
+ * @param {string} [options.priority] - Filter by priority
+ * @param {string} [options.label] - Only tasks carrying this label
+ * @param {string} [options.sprintId] - Only tasks in this sprint
+ * @param {boolean} [options.overdue] - Only tasks flagged overdue
+ * @param {Object} [options.customFields] - Custom field filters as query
+ *   string values by field key (requires projectId)
+ * @param {Date} [options.dueAfter] - Only tasks due on or after this date
+ * @param {Date} [options.dueBefore] - Only tasks due on or before this date
+ * @param {Array<Array<string>>} [options.orderBy] - [field, direction] pairs
+ * @param {number} [options.limit] - Page size (max 500)
+ * @param {string} [options.startAfter] - Cursor returned as nextCursor
+ * @param {Array<string>} [options.fields] - Fields to return (id is always included)
+ * @param {boolean} [options.includeArchived=false] - Include tasks of archived projects
+ * @param {boolean} [options.includeDeleted=false] - Include tasks in the trash
+ * @returns {Promise<{tasks: Array, nextCursor: string|null}>} Page of tasks
  */
 async function getTasks(options = {}) {
   try {
@@ -29,24 +108,133 @@ async function getTasks(options = {}) {
       query = query.where("status", "==", options.status);
     }
 
-    const snapshot = await query.get();
-    console.log(`Retrieved ${snapshot.size} tasks from Firestore`);
-    const tasks = [];
+    if (options.assignee) {
+      query = query.where("assignee", "==", options.assignee);
+    }
 
-    snapshot.forEach((doc) => {
-      tasks.push({
-        id: doc.id,
-        ...doc.data(),
-      });
+    if (options.priority) {
+      query = query.where("priority", "==", options.priority);
+    }
+
+    if (options.label) {
+      query = query.where("labels", "array-contains", options.label);
+    }
+
+    if (options.sprintId) {
+      query = query.where("sprintId", "==", options.sprintId);
+    }
+
+    if (options.overdue) {
+      query = query.where("overdue", "==", true);
+    }
+
+    query = await applyCustomFieldQuery(query, options);
+
+    if (options.dueAfter) {
+      query = query.where("dueDate", ">=", options.dueAfter);
+    }
+
+    if (options.dueBefore) {
+      query = query.where("dueDate", "<=", options.dueBefore);
+    }
+
+    // Firestore requires the first orderBy to match a range filter field
+    let orderBy = [...(options.orderBy || [])];
+    if (
+      (options.dueAfter || options.dueBefore) &&
+      (orderBy.length === 0 || orderBy[0][0] !== "dueDate")
+    ) {
+      orderBy = [["dueDate", "asc"], ...orderBy.filter(([f]) => f !== "dueDate")];
+    }
+
+    orderBy.forEach(([field, direction]) => {
+      query = query.orderBy(field, direction);
     });
 
-    return tasks;
+    // Document ID is always the final tie-breaker so cursors are stable
+    const lastDirection = orderBy.length ? orderBy[orderBy.length - 1][1] : "asc";
+    query = query.orderBy(admin.firestore.FieldPath.documentId(), lastDirection);
+
+    if (options.startAfter) {
+      const cursor = decodeCursor(options.startAfter, {
+        toTimestamp: (date) => admin.firestore.Timestamp.fromDate(date),
+      });
+      query = query.startAfter(...cursor);
+    }
+
+    if (options.fields && options.fields.length > 0) {
+      // Cursor values must be readable from the returned documents
+      const selected = new Set([
+        ...options.fields,
+        ...orderBy.map(([f]) => f),
+        "lifecycle",
+      ]);
+      query = query.select(...selected);
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(options.limit, 10) || PAGE_SIZE.default, 1),
+      PAGE_SIZE.max
+    );
+
+    // Fetch one extra visible document to know whether another page exists.
+    // Archived and trashed tasks are skipped, reading further until the page fills.
+    const visible = [];
+    let pageQuery = query;
+    for (;;) {
+      const snapshot = await pageQuery.limit(limit + 1).get();
+      console.log(`Retrieved ${snapshot.size} tasks from Firestore`);
+      visible.push(
+        ...snapshot.docs.filter((doc) => isVisible(doc.get("lifecycle"), options))
+      );
+      if (visible.length > limit || snapshot.size <= limit) break;
+      pageQuery = query.startAfter(snapshot.docs[snapshot.size - 1]);
+    }
+
+    const docs = visible.slice(0, limit);
+    const tasks = docs.map((doc) => projectTask(doc, options.fields));
+
+    let nextCursor = null;
+    if (visible.length > limit) {
+      const last = docs[docs.length - 1];
+      nextCursor = encodeCursor([
+        ...orderBy.map(([field]) => last.get(field)),
+        last.id,
+      ]);
+    }
+
+    return { tasks, nextCursor };
   } catch (error) {
     console.error("Error getting tasks in service:", error);
     throw error;
   }
 }
 
+/**
+ * Convert a task snapshot into a plain object, optionally limited to a set of fields
+ * @private
+ * @param {FirebaseFirestore.DocumentSnapshot} doc - Task document
+ * @param {Array<string>} [fields] - Fields to keep
+ * @returns {Object} Task object
+ */
+function projectTask(doc, fields) {
+  if (!fields || fields.length === 0) {
+    return {
+      id: doc.id,
+      ...doc.data(),
+    };
+  }
+
+  const task = { id: doc.id };
+  fields.forEach((field) => {
+    const value = doc.get(field);
+    if (value !== undefined) {
+      task[field] = value;
+    }
+  });
+  return task;
+}
+
 /**
  * Get a specific task by ID
  * @param {string} taskId - Task ID
@@ -74,29 +262,327 @@ async function getTask(taskId) {
 }
 
 /**
- * Create a new task
+ * Fields derived from a write that sets a task's due date or status: the due
+ * date stored as a date and the recomputed overdue flag
+ * @private
+ * @param {Object} current - Task data before the write
+ * @param {Object} fields - Fields being written
+ * @returns {Object} Derived fields to write as well
+ * @throws {Error} With status 400 if the due date is invalid
+ */
+function dueDateFields(current, fields) {
+  const derived = {};
+  if ("dueDate" in fields) {
+    try {
+      derived.dueDate = parseDueDate(fields.dueDate);
+    } catch (error) {
+      error.status = 400;
+      throw error;
+    }
+  }
+  if ("dueDate" in fields || "status" in fields) {
+    derived.overdue = isOverdue({ ...current, ...fields, ...derived });
+  }
+  return derived;
+}
+
+/**
+ * Remove status transition bookkeeping from a change set
+ * @private
+ */
+function withoutTransitions(changes) {
+  const filtered = { ...changes };
+  TRANSITION_FIELDS.forEach((field) => delete filtered[field]);
+  return filtered;
+}
+
+/**
+ * Remove server-owned derived fields from submitted task data
+ * @private
+ */
+function withoutDerivedFields(data) {
+  const fields = { ...data };
+  DERIVED_FIELDS.forEach((field) => delete fields[field]);
+  return fields;
+}
+
+/**
+ * Check labels being written to a task against its project's label catalog.
+ * Tasks outside a project have no catalog and keep free-form labels.
+ * @private
+ * @param {Array<string>} next - Labels being written
+ * @param {Object} current - Task data before the write
+ * @param {Set<string>|undefined} defined - Label names of the task's project
+ * @throws {Error} With status 400 if the labels are malformed or undefined
+ */
+function checkLabels(next, current, defined) {
+  const invalid = validateTaskLabels(next);
+  if (invalid) {
+    const error = new Error(invalid);
+    error.status = 400;
+    throw error;
+  }
+  if (!defined) return;
+
+  const unknown = undefinedLabels(next, defined, current.labels || []);
+  if (unknown.length > 0) {
+    const error = new Error(
+      `Labels not defined for project ${current.projectId}: ${unknown.join(", ")}`
+    );
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Validate custom field values being written to a task against its
+ * project's schema and merge them into the values it carries
+ * @private
+ * @param {Object|undefined} values - Submitted values by field key
+ * @param {Object} current - Task data before the write
+ * @param {Map<string, Object>|undefined} schema - Custom fields of the task's project
+ * @returns {Object} Values to store
+ * @throws {Error} With status 400 if a value is invalid
+ */
+function checkCustomFields(values, current, schema) {
+  try {
+    if (!schema) {
+      throw new Error("Custom fields are only available on tasks in a project");
+    }
+    return applyFieldValues(schema, values || {}, current.customFields || {});
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Add custom field filters to a task query and check custom field sorting
+ * against the project's schema
+ * @private
+ * @param {FirebaseFirestore.Query} query - Task query
+ * @param {Object} options - getTasks options
+ * @returns {Promise<FirebaseFirestore.Query>} Filtered query
+ * @throws {Error} With status 400 for unknown fields or invalid values
+ */
+async function applyCustomFieldQuery(query, options) {
+  const filters = Object.entries(options.customFields || {});
+  const sorts = (options.orderBy || [])
+    .map(([field]) => field)
+    .filter((field) => field.startsWith("customFields."));
+  if (filters.length === 0 && sorts.length === 0) return query;
+
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+  if (!options.projectId) {
+    throw fail("Filtering or sorting on custom fields requires projectId");
+  }
+
+  const schema = await customFieldService.getSchema(options.projectId);
+  const definitionFor = (key) => {
+    const definition = schema.get(key);
+    if (!definition) throw fail(`Unknown custom field: ${key}`);
+    return definition;
+  };
+
+  sorts.forEach((field) => {
+    const definition = definitionFor(field.slice("customFields.".length));
+    if (definition.type === FIELD_TYPES.MULTI_SELECT) {
+      throw fail(`Cannot sort on ${definition.key}: it holds several values`);
+    }
+  });
+
+  let arrayFilters = options.label ? 1 : 0;
+  for (const [key, raw] of filters) {
+    let filter;
+    try {
+      filter = parseFieldFilter(definitionFor(key), raw);
+    } catch (error) {
+      throw fail(error.message);
+    }
+    // Firestore allows one array-contains clause per query
+    if (filter.op === "array-contains" && ++arrayFilters > 1) {
+      throw fail("Only one label or multi-select filter can be used at a time");
+    }
+    query = query.where(`customFields.${key}`, filter.op, filter.value);
+  }
+  return query;
+}
+
+/**
+ * Load the label catalogs, custom field schemas and workflows of the projects
+ * whose labels, custom fields or statuses a bulk request writes
+ * @private
+ * @param {Array<Object>} operations - Bulk operations
+ * @param {Array<Object|null>} currents - Current task data per operation
+ * @returns {Promise<Map<string, Object>>} { labels, fields, workflow } per project ID
+ */
+async function projectSchemasFor(operations, currents) {
+  const projectIds = new Set();
+  operations.forEach((operation, index) => {
+    const updates = (operation.action === "update" && operation.updates) || {};
+    const touchesSchema =
+      operation.action === "relabel" ||
+      operation.action === "move" ||
+      "labels" in updates ||
+      "customFields" in updates ||
+      "status" in updates ||
+      "groupId" in updates;
+    if (touchesSchema && currents[index] && currents[index].projectId) {
+      projectIds.add(currents[index].projectId);
+    }
+  });
+
+  const schemas = new Map();
+  for (const projectId of projectIds) {
+    schemas.set(projectId, {
+      labels: await labelService.getLabelNames(projectId),
+      fields: await customFieldService.getSchema(projectId),
+      workflow: await workflowService.getWorkflow(projectId),
+    });
+  }
+  return schemas;
+}
+
+/**
+ * Check a task's status change against its project's workflow and store the
+ * state the workflow names. Moves and updates without a status name the target
+ * state with their groupId, which then follows the status. A task entering
+ * another project is checked as if it were new there.
+ * @private
+ * @param {Object} current - Task data before the write
+ * @param {Object} fields - Fields being written; status and groupId are canonicalized
+ * @param {Object} [roles] - Caller's role by project ID
+ * @throws {Error} With status 422 if the workflow does not allow the change
+ */
+async function applyWorkflow(current, fields, roles = {}) {
+  const projectId = fields.projectId || current.projectId;
+  const entersProject = projectId !== current.projectId;
+  const target = "status" in fields ? fields.status : fields.groupId;
+  if (!projectId || (target === undefined && !entersProject)) return;
+
+  const workflow = await workflowService.getWorkflow(projectId);
+  if (!workflow) return;
+
+  fields.status = workflowService.checkTransition(
+    workflow,
+    { ...current, ...fields },
+    {
+      from: entersProject ? null : current.status,
+      to: target === undefined ? current.status : target,
+      role: roles[projectId],
+    }
+  );
+  if ("groupId" in fields) {
+    fields.groupId = fields.status;
+  }
+}
+
+/**
+ * Field diffs describing the removal of a document
+ * @private
+ * @param {Object} data - Document data before deletion
+ * @returns {Object} Map of field -> { from, to: null }
+ */
+function deletionChanges(data) {
+  const cleared = Object.fromEntries(Object.keys(data).map((key) => [key, null]));
+  return firestoreOperations.diffObjects(data, cleared);
+}
+
+/**
+ * Create a new task. In a project with a workflow it starts in the
+ * workflow's initial state unless a status is given, and must have the
+ * fields that state requires (422 otherwise).
  * @param {Object} taskData - Task data
+ * @param {Object} [context] - Change context ({ actor, source }) for the history
+ *   entry, with the caller's roles by project for role-limited start states
  * @returns {Promise<Object>} Created task with ID
  */
-async function createTask(taskData) {
+async function createTask(taskData, context = {}) {
   try {
     console.log("Task Service: Creating new task with data:", taskData);
+    let workflow = null;
+    if (taskData.projectId) {
+      const project = await admin
+        .firestore()
+        .collection("projects")
+        .doc(taskData.projectId)
+        .get();
+      const reason = project.exists && readOnlyReason(project.get("lifecycle"));
+      if (reason) {
+        const error = new Error(reason);
+        error.status = 409;
+        throw error;
+      }
+      workflow = (project.exists && project.get("workflow")) || null;
+    }
+
     // Add timestamps
     const now = new Date();
+    const data = withoutDerivedFields(taskData);
+    if ("labels" in data) {
+      const defined = data.projectId
+        ? await labelService.getLabelNames(data.projectId)
+        : undefined;
+      checkLabels(data.labels, { projectId: data.projectId }, defined);
+    }
+    const schema = data.projectId
+      ? await customFieldService.getSchema(data.projectId)
+      : undefined;
+    // Required fields are checked whether or not values were submitted
+    if ("customFields" in data || (schema && schema.size > 0)) {
+      data.customFields = checkCustomFields(data.customFields, {}, schema);
+    }
+    if (workflow) {
+      data.status = workflowService.checkTransition(workflow, data, {
+        from: null,
+        to: data.status || workflow.initialState,
+        role: context.roles?.[data.projectId],
+      });
+    }
+    Object.assign(data, dueDateFields({}, data));
     const task = {
-      ...taskData,
+      ...data,
+      ...statusTransitionFields({}, data, now),
+      // Reminders fall back to the creator, so it is never taken from the client
+      createdBy: (context.actor && context.actor.uid) || null,
+      version: 1,
       createdAt: now,
       updatedAt: now,
     };
 
-    // Create document with auto-generated ID
-    const docRef = await admin.firestore().collection("tasks").add(task);
+    // Create the task and its first history entry together
+    const db = admin.firestore();
+    const docRef = db.collection("tasks").doc();
+    const batch = db.batch();
+    batch.set(docRef, task);
+    taskHistory.appendEntry(
+      batch,
+      docRef.id,
+      taskHistory.buildEntry(
+        docRef.id,
+        "create",
+        firestoreOperations.diffObjects({}, data),
+        context
+      )
+    );
+    await batch.commit();
     console.log(`Task created with ID: ${docRef.id}`);
 
-    return {
+    const created = {
       id: docRef.id,
       ...task,
     };
+    await webhooks.emitEvent(
+      "task.created",
+      { projectId: task.projectId },
+      { task: created },
+      context
+    );
+    return created;
   } catch (error) {
     console.error("Error creating task in service:", error);
     throw error;
@@ -107,23 +593,130 @@ async function createTask(taskData) {
  * Update a task
  * @param {string} taskId - Task ID
  * @param {Object} updates - Fields to update
+ * @param {Object} [context] - Change context ({ actor, source, action }) for the
+ *   history entry; action defaults to "update"
+ * @param {Array<number>} [context.expectedVersions] - Versions the caller last saw
+ *   (from If-Match); a different current version fails with status 412
+ * @param {Object} [context.roles] - Caller's role by project ID, for workflow
+ *   transitions limited to some roles
  * @returns {Promise<Object>} Updated task
+ * @throws {Error} With status 422 when the project's workflow does not allow
+ *   the status change
  */
-async function updateTask(taskId, updates) {
+async function updateTask(taskId, updates, context = {}) {
   try {
     console.log(`Task Service: Updating task ${taskId} with data:`, updates);
-    // Add updated timestamp
-    const updatedData = {
-      ...updates,
-      updatedAt: new Date(),
-    };
+    const { action = "update", expectedVersions, ...changeContext } = context;
+    // The version and derived fields are owned by the server
+    const fields = withoutDerivedFields(updates);
+    delete fields.version;
 
-    // Update the document
-    await admin.firestore().collection("tasks").doc(taskId).update(updatedData);
+    if ("dependsOn" in fields) {
+      const error = new Error(
+        "Dependencies are changed through /api/tasks/:taskId/dependencies"
+      );
+      error.status = 400;
+      throw error;
+    }
+
+    const lifecycleField = LIFECYCLE_FIELDS.find((field) => field in fields);
+    if (lifecycleField) {
+      const error = new Error(
+        `${lifecycleField} follows the task's project and cannot be set directly`
+      );
+      error.status = 400;
+      throw error;
+    }
+
+    let previousStatus;
+    let changes = {};
+    const db = admin.firestore();
+    const taskRef = db.collection("tasks").doc(taskId);
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(taskRef);
+      if (!doc.exists) {
+        const error = new Error(`Task with ID ${taskId} not found`);
+        error.status = 404;
+        throw error;
+      }
+
+      const current = doc.data();
+      previousStatus = current.status;
+      const reason = readOnlyReason(current.lifecycle, "Task");
+      if (reason) {
+        const error = new Error(reason);
+        error.status = 409;
+        throw error;
+      }
+      if (!versionMatches(current.version, expectedVersions)) {
+        const error = new Error(`Task ${taskId} was modified by someone else`);
+        error.status = 412;
+        error.current = { id: doc.id, ...current };
+        throw error;
+      }
+
+      Object.assign(fields, dueDateFields(current, fields));
+      if ("labels" in fields) {
+        const projectId = fields.projectId || current.projectId;
+        const defined = projectId ? await labelService.getLabelNames(projectId) : undefined;
+        checkLabels(
+          fields.labels,
+          // Labels from another project are checked like new ones
+          projectId === current.projectId ? current : { projectId },
+          defined
+        );
+      }
+      if ("customFields" in fields) {
+        const projectId = fields.projectId || current.projectId;
+        const schema = projectId ? await customFieldService.getSchema(projectId) : undefined;
+        fields.customFields = checkCustomFields(
+          fields.customFields,
+          projectId === current.projectId ? current : {},
+          schema
+        );
+      }
+      await applyWorkflow(current, fields, changeContext.roles);
+
+      // Add updated timestamp and bump the version
+      const now = new Date();
+      transaction.update(taskRef, {
+        ...fields,
+        ...statusTransitionFields(current, fields, now),
+        version: (current.version || 0) + 1,
+        updatedAt: now,
+      });
+
+      changes = firestoreOperations.diffObjects(current, fields);
+      if (Object.keys(changes).length > 0) {
+        taskHistory.appendEntry(
+          transaction,
+          taskId,
+          taskHistory.buildEntry(taskId, action, changes, changeContext)
+        );
+      }
+    });
     console.log(`Task ${taskId} updated successfully`);
 
+    if ("status" in fields && fields.status !== previousStatus) {
+      await taskDependencies.propagateStatusChange(
+        taskId,
+        previousStatus,
+        fields.status
+      );
+    }
+
     // Get the updated document
-    return await getTask(taskId);
+    const updated = await getTask(taskId);
+    if (Object.keys(changes).length > 0) {
+      await webhooks.emitEvent(
+        action === "move" ? "task.moved" : "task.updated",
+        { projectId: updated.projectId },
+        { task: updated, changes },
+        changeContext
+      );
+    }
+    return updated;
   } catch (error) {
     console.error(`Error updating task ${taskId} in service:`, error);
     throw error;
@@ -131,24 +724,53 @@ async function updateTask(taskId, updates) {
 }
 
 /**
- * Delete a task
+ * Delete a task. Its history subcollection is kept as the audit record, and
+ * it is removed from the dependsOn of the tasks that depended on it.
  * @param {string} taskId - Task ID
+ * @param {Object} [context] - Change context ({ actor, source }) for the history entry
  * @returns {Promise<boolean>} Whether deletion was successful
  */
-async function deleteTask(taskId) {
+async function deleteTask(taskId, context = {}) {
   try {
     console.log(`Task Service: Deleting task ${taskId}`);
-    // Check if task exists before deleting
-    const taskRef = admin.firestore().collection("tasks").doc(taskId);
-    const doc = await taskRef.get();
+    const db = admin.firestore();
+    const taskRef = db.collection("tasks").doc(taskId);
 
-    if (!doc.exists) {
+    const deleted = await db.runTransaction(async (transaction) => {
+      // Check if task exists before deleting
+      const doc = await transaction.get(taskRef);
+      if (!doc.exists) {
+        return null;
+      }
+      const reason = readOnlyReason(doc.get("lifecycle"), "Task");
+      if (reason) {
+        const error = new Error(reason);
+        error.status = 409;
+        throw error;
+      }
+
+      transaction.delete(taskRef);
+      taskHistory.appendEntry(
+        transaction,
+        taskId,
+        taskHistory.buildEntry(taskId, "delete", deletionChanges(doc.data()), context)
+      );
+      return { id: doc.id, ...doc.data() };
+    });
+
+    if (!deleted) {
       console.log(`Task ${taskId} not found for deletion`);
       return false;
     }
 
-    await taskRef.delete();
     console.log(`Task ${taskId} deleted successfully`);
+    await taskDependencies.removeDeletedPrerequisite(taskId);
+    await webhooks.emitEvent(
+      "task.deleted",
+      { projectId: deleted.projectId },
+      { task: deleted },
+      context
+    );
     return true;
   } catch (error) {
     console.error(`Error deleting task ${taskId} in service:`, error);
@@ -157,14 +779,389 @@ async function deleteTask(taskId) {
 }
 
 /**
- * Move a task to a different group/column
+ * Move a task to a different group/column. Its status only changes when one is
+ * given, except in a project with a workflow: there the group is the target
+ * state, and the move must be an allowed transition.
  * @param {string} taskId - Task ID
  * @param {string} groupId - Destination group ID
+ * @param {Object} [context] - Change context ({ actor, source, roles })
+ * @param {string} [context.status] - Status to set along with the move
  * @returns {Promise<Object>} Updated task
+ * @throws {Error} With status 422 when the workflow does not allow the move
  */
-async function moveTask(taskId, groupId) {
+async function moveTask(taskId, groupId, context = {}) {
   console.log(`Task Service: Moving task ${taskId} to group ${groupId}`);
-  return await updateTask(taskId, { groupId });
+  const { status, ...changeContext } = context;
+  const updates = status === undefined ? { groupId } : { groupId, status };
+  return await updateTask(taskId, updates, { ...changeContext, action: "move" });
+}
+
+/**
+ * Get the change history for a task
+ * @param {string} taskId - Task ID
+ * @param {Object} [options] - Listing options (limit, startAfter, source, actorType)
+ * @returns {Promise<Object>} Page of history entries ({ entries, nextCursor })
+ */
+async function getTaskHistory(taskId, options = {}) {
+  return await taskHistory.getHistory(taskId, options);
+}
+
+/**
+ * Translate a bulk operation into a Firestore write against the current task
+ * @private
+ * @param {Object} operation - Bulk operation
+ * @param {Object} current - Current task data
+ * @param {Map<string, Object>} schemas - Label names, custom fields and
+ *   workflow per project ID
+ * @param {Object} [roles] - Caller's role by project ID
+ * @returns {{type: string, data: Object}} Write description
+ * @throws {Error} If the operation is malformed or its workflow does not allow it
+ */
+function buildBulkWrite(operation, current, schemas, roles = {}) {
+  const schema = schemas.get(current.projectId);
+  const workflow = schema && schema.workflow;
+  const checkStatus = (data, to) =>
+    workflowService.checkTransition(workflow, { ...current, ...data }, {
+      from: current.status,
+      to,
+      role: roles[current.projectId],
+    });
+  const reason = readOnlyReason(current.lifecycle, "Task");
+  if (reason) {
+    throw new Error(reason);
+  }
+
+  switch (operation.action) {
+    case "update":
+      if (!operation.updates || typeof operation.updates !== "object") {
+        throw new Error("update requires an updates object");
+      }
+      if ("dependsOn" in operation.updates) {
+        throw new Error("Dependencies cannot be changed in bulk");
+      }
+      if (LIFECYCLE_FIELDS.some((field) => field in operation.updates)) {
+        throw new Error("Archive and trash state cannot be changed in bulk");
+      }
+      // Moving between projects needs access to the target, checked per task
+      if ("projectId" in operation.updates && operation.updates.projectId !== current.projectId) {
+        throw new Error("Tasks cannot be moved to another project in bulk");
+      }
+      const data = withoutDerivedFields(operation.updates);
+      if ("labels" in data) {
+        checkLabels(data.labels, current, schema && schema.labels);
+      }
+      if ("customFields" in data) {
+        data.customFields = checkCustomFields(data.customFields, current, schema && schema.fields);
+      }
+      // Board columns are workflow states, so a groupId alone is a status change
+      if ("status" in data || (workflow && "groupId" in data)) {
+        data.status = checkStatus(data, "status" in data ? data.status : data.groupId);
+        if (workflow && "groupId" in data) data.groupId = data.status;
+      }
+      return {
+        type: "update",
+        data: {
+          ...data,
+          ...dueDateFields(current, data),
+          ...statusTransitionFields(current, data),
+        },
+      };
+
+    case "move":
+      if (!operation.groupId) {
+        throw new Error("move requires a groupId");
+      }
+      if (workflow) {
+        const data = { status: checkStatus({}, operation.status || operation.groupId) };
+        data.groupId = data.status;
+        return { type: "update", data: { ...data, ...statusTransitionFields(current, data) } };
+      }
+      if (operation.status !== undefined) {
+        const data = { groupId: operation.groupId, status: operation.status };
+        return { type: "update", data: { ...data, ...statusTransitionFields(current, data) } };
+      }
+      return { type: "update", data: { groupId: operation.groupId } };
+
+    case "relabel": {
+      let labels = Array.isArray(operation.labels)
+        ? [...operation.labels]
+        : [...(current.labels || [])];
+      if (Array.isArray(operation.addLabels)) {
+        labels.push(...operation.addLabels.filter((l) => !labels.includes(l)));
+      }
+      if (Array.isArray(operation.removeLabels)) {
+        labels = labels.filter((l) => !operation.removeLabels.includes(l));
+      }
+      checkLabels(labels, current, schema && schema.labels);
+      return { type: "update", data: { labels } };
+    }
+
+    case "assign":
+      return { type: "update", data: { assignee: operation.assignee || null } };
+
+    case "delete":
+      return { type: "delete", data: {} };
+
+    default:
+      throw new Error(
+        `Unknown action "${operation.action}". Expected one of: ${BULK_ACTIONS.join(", ")}`
+      );
+  }
+}
+
+/**
+ * Propagate dependency blocking for status changes made by a bulk request
+ * @private
+ * @param {Array<Object>} results - Per-item bulk results
+ */
+async function propagateBulkStatusChanges(results) {
+  for (const result of results) {
+    const change = result.status === "succeeded" && result.changes?.status;
+    if (change) {
+      await taskDependencies.propagateStatusChange(
+        result.taskId,
+        change.from,
+        change.to
+      );
+    }
+  }
+}
+
+/**
+ * Queue webhook events for the operations a bulk request applied
+ * @private
+ * @param {Array<Object>} results - Per-item bulk results
+ * @param {Array<Object|null>} befores - Task data before each operation
+ * @param {Object} context - Change context ({ actor, source })
+ */
+async function emitBulkEvents(results, befores, context) {
+  const applied = results.filter((result) => result.status === "succeeded");
+  const updatedIds = applied
+    .filter((result) => result.action !== "delete")
+    .map((result) => result.taskId);
+  const db = admin.firestore();
+  const docs = updatedIds.length
+    ? await db.getAll(...updatedIds.map((id) => db.collection("tasks").doc(id)))
+    : [];
+  const updated = new Map(docs.map((doc) => [doc.id, { id: doc.id, ...doc.data() }]));
+
+  for (const result of applied) {
+    const before = befores[result.index] || {};
+    if (result.action === "delete") {
+      await webhooks.emitEvent(
+        "task.deleted",
+        { projectId: before.projectId },
+        { task: { ...before, id: result.taskId } },
+        context
+      );
+    } else if (Object.keys(result.changes || {}).length > 0) {
+      await webhooks.emitEvent(
+        result.action === "move" ? "task.moved" : "task.updated",
+        { projectId: before.projectId },
+        { task: updated.get(result.taskId), changes: result.changes },
+        context
+      );
+    }
+  }
+}
+
+/**
+ * Apply many task operations in one request
+ * @param {Array<Object>} operations - Operations, each with an action and taskId
+ *   (update: updates, move: groupId and optional status,
+ *   relabel: labels|addLabels|removeLabels, assign: assignee, delete)
+ * @param {Object} [options] - Bulk options
+ * @param {boolean} [options.atomic=true] - All-or-nothing via a transaction;
+ *   otherwise operations are batched and failures reported per item
+ * @param {string} [options.userId] - User performing the operations
+ * @param {Object} [options.context] - Change context ({ actor, source }) for history entries
+ * @returns {Promise<Object>} Summary with per-item results
+ */
+async function bulkUpdateTasks(operations, options = {}) {
+  const { atomic = true, userId, context = {} } = options;
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error("operations must be a non-empty array");
+  }
+  if (operations.length > MAX_BULK_OPERATIONS) {
+    throw new Error(`A bulk request is limited to ${MAX_BULK_OPERATIONS} operations`);
+  }
+
+  console.log(
+    `Task Service: Applying ${operations.length} bulk operations (atomic: ${atomic})`
+  );
+
+  // Record a history entry alongside every task write
+  const changeContext = { ...context, source: context.source || "bulk" };
+  const recordHistory = (writer, write, operation) => {
+    const taskId = write.ref.id;
+    const changes =
+      write.type === "delete"
+        ? deletionChanges(write.before || {})
+        : withoutTransitions(write.changes);
+    taskHistory.appendEntry(
+      writer,
+      taskId,
+      taskHistory.buildEntry(taskId, operation.action, changes, changeContext)
+    );
+  };
+
+  const resultFor = (operation, index, extra) => ({
+    index,
+    taskId: operation.taskId,
+    action: operation.action,
+    ...extra,
+  });
+
+  if (atomic) {
+    let currents = [];
+    try {
+      const { operations: applied } = await firestoreOperations.executeTransaction(
+        async (txn) => {
+          currents = await Promise.all(
+            operations.map((operation) =>
+              operation.taskId ? txn.get("tasks", operation.taskId) : null
+            )
+          );
+          const schemas = await projectSchemasFor(operations, currents);
+
+          operations.forEach((operation, index) => {
+            try {
+              if (!currents[index]) {
+                throw new Error(`Task ${operation.taskId} not found`);
+              }
+              const write = buildBulkWrite(operation, currents[index], schemas, context.roles);
+              if (write.type === "delete") {
+                txn.delete("tasks", operation.taskId);
+              } else {
+                txn.update("tasks", operation.taskId, write.data);
+              }
+            } catch (error) {
+              error.operationIndex = index;
+              throw error;
+            }
+          });
+        },
+        {
+          userId,
+          onWrite: (transaction, write) =>
+            recordHistory(transaction, write, operations[write.index]),
+        }
+      );
+
+      const results = operations.map((operation, index) =>
+        resultFor(operation, index, {
+          status: "succeeded",
+          changes: withoutTransitions(applied[index].changes),
+        })
+      );
+      await propagateBulkStatusChanges(results);
+      await emitBulkEvents(results, currents, changeContext);
+
+      return {
+        atomic: true,
+        total: operations.length,
+        succeeded: operations.length,
+        failed: 0,
+        results,
+      };
+    } catch (error) {
+      if (error.operationIndex === undefined) throw error;
+
+      console.log(
+        `Bulk transaction aborted at operation ${error.operationIndex}:`,
+        error.message
+      );
+      return {
+        atomic: true,
+        total: operations.length,
+        succeeded: 0,
+        failed: operations.length,
+        results: operations.map((operation, index) =>
+          resultFor(operation, index, {
+            status: "failed",
+            error:
+              index === error.operationIndex
+                ? error.message
+                : "Not applied: another operation in the atomic request failed",
+          })
+        ),
+      };
+    }
+  }
+
+  // Non-atomic: validate against current data, then batch what is valid
+  const results = new Array(operations.length);
+  const refs = operations.map((operation) =>
+    admin.firestore().collection("tasks").doc(operation.taskId || "-")
+  );
+  const snapshots = await admin.firestore().getAll(...refs);
+  const schemas = await projectSchemasFor(
+    operations,
+    snapshots.map((snapshot) => (snapshot.exists ? snapshot.data() : null))
+  );
+  const writes = [];
+
+  operations.forEach((operation, index) => {
+    try {
+      if (!operation.taskId || !snapshots[index].exists) {
+        throw new Error(`Task ${operation.taskId} not found`);
+      }
+      const write = buildBulkWrite(operation, snapshots[index].data(), schemas, context.roles);
+      writes.push({
+        type: write.type,
+        collection: "tasks",
+        docId: operation.taskId,
+        data: write.data,
+        index,
+      });
+    } catch (error) {
+      results[index] = resultFor(operation, index, {
+        status: "failed",
+        error: error.message,
+      });
+    }
+  });
+
+  if (writes.length > 0) {
+    const batchResult = await firestoreOperations.executeBatch(writes, {
+      continueOnError: true,
+      // Each operation also writes a history entry
+      batchSize: 250,
+      userId,
+      onWrite: (batch, write) =>
+        recordHistory(batch, write, operations[write.operation.index]),
+    });
+
+    batchResult.successful.forEach(({ operation, changes }) => {
+      results[operation.index] = resultFor(operations[operation.index], operation.index, {
+        status: "succeeded",
+        changes: withoutTransitions(changes),
+      });
+    });
+    batchResult.failed.forEach(({ operation, error }) => {
+      results[operation.index] = resultFor(operations[operation.index], operation.index, {
+        status: "failed",
+        error,
+      });
+    });
+  }
+
+  await propagateBulkStatusChanges(results);
+  await emitBulkEvents(
+    results,
+    snapshots.map((snapshot) => (snapshot.exists ? snapshot.data() : null)),
+    changeContext
+  );
+
+  const succeeded = results.filter((result) => result.status === "succeeded").length;
+  return {
+    atomic: false,
+    total: operations.length,
+    succeeded,
+    failed: operations.length - succeeded,
+    results,
+  };
 }
 
 module.exports = {
@@ -174,4 +1171,7 @@ module.exports = {
   updateTask,
   deleteTask,
   moveTask,
+  bulkUpdateTasks,
+  getTaskHistory,
+  MAX_BULK_OPERATIONS,
 };
@@ -0,0 +1,368 @@
+/**
+ * @fileoverview Time tracking service for Firebase Functions. Entries are
+ * stored in tasks/{taskId}/timeEntries/{entryId}, either as a timer that is
+ * started and stopped or as a manual entry. Each task keeps the total of its
+ * finished entries in actualHours.
+ * @module services/time-entry-service
+ */
+
+const admin = require("firebase-admin");
+const { readOnlyReason } = require("../utils/lifecycle");
+const {
+  MAX_ENTRY_MINUTES,
+  toHours,
+  resolveManualEntry,
+  summarizeEntries,
+} = require("../utils/time-tracking");
+
+/**
+ * Maximum note length in characters
+ * @const {number}
+ */
+const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * Get the time entries collection of a task
+ * @private
+ * @param {string} taskId - Task ID
+ * @returns {FirebaseFirestore.CollectionReference} Time entries collection
+ */
+function entriesCollection(taskId) {
+  return admin
+    .firestore()
+    .collection("tasks")
+    .doc(taskId)
+    .collection("timeEntries");
+}
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function timeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validate a note
+ * @private
+ * @returns {string} Trimmed note
+ */
+function validateNote(note) {
+  if (note === undefined || note === null) return "";
+  if (typeof note !== "string") {
+    throw timeError(400, "note must be a string");
+  }
+  if (note.length > MAX_NOTE_LENGTH) {
+    throw timeError(400, `note is limited to ${MAX_NOTE_LENGTH} characters`);
+  }
+  return note.trim();
+}
+
+/**
+ * Load a task and make sure time can be recorded against it
+ * @private
+ * @returns {Promise<Object>} Task
+ */
+async function getWritableTask(taskId) {
+  const doc = await admin.firestore().collection("tasks").doc(taskId).get();
+  if (!doc.exists) {
+    throw timeError(404, `Task with ID ${taskId} not found`);
+  }
+  const reason = readOnlyReason(doc.get("lifecycle"), "Task");
+  if (reason) {
+    throw timeError(409, reason);
+  }
+  return { id: doc.id, ...doc.data() };
+}
+
+/**
+ * Convert an entry snapshot into a plain object
+ * @private
+ */
+function toEntry(doc) {
+  return { id: doc.id, ...doc.data() };
+}
+
+/**
+ * Recompute a task's actualHours from its finished entries. Written without a
+ * version bump: the field is owned by the server.
+ * @private
+ * @param {string} taskId - Task ID
+ * @returns {Promise<number>} Actual hours
+ */
+async function syncActualHours(taskId) {
+  const snapshot = await entriesCollection(taskId).where("running", "==", false).get();
+  const minutes = snapshot.docs.reduce((sum, doc) => sum + (doc.get("minutes") || 0), 0);
+  const actualHours = toHours(minutes);
+  await admin.firestore().collection("tasks").doc(taskId).update({ actualHours });
+  return actualHours;
+}
+
+/**
+ * Get a task's time entries with totals
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} { entries, totals } with entries oldest first
+ */
+async function getEntries(taskId) {
+  try {
+    const snapshot = await entriesCollection(taskId).orderBy("startedAt", "asc").get();
+    const entries = snapshot.docs.map(toEntry);
+    return { entries, totals: summarizeEntries(entries) };
+  } catch (error) {
+    console.error(`Error getting time entries of task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Start a timer on a task for a user
+ * @param {string} taskId - Task ID
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [data] - { note }
+ * @returns {Promise<Object>} Running entry
+ */
+async function startTimer(taskId, user, data = {}) {
+  try {
+    const note = validateNote(data.note);
+    const task = await getWritableTask(taskId);
+
+    const running = await entriesCollection(taskId)
+      .where("uid", "==", user.uid)
+      .where("running", "==", true)
+      .limit(1)
+      .get();
+    if (!running.empty) {
+      throw timeError(409, `A timer is already running on task ${taskId}`);
+    }
+
+    const now = new Date();
+    const entry = {
+      taskId,
+      projectId: task.projectId || null,
+      uid: user.uid,
+      userName: user.name || user.email || user.uid,
+      source: "timer",
+      running: true,
+      startedAt: now,
+      stoppedAt: null,
+      minutes: 0,
+      note,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const docRef = await entriesCollection(taskId).add(entry);
+    return { id: docRef.id, ...entry };
+  } catch (error) {
+    console.error(`Error starting timer on task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Stop a user's running timer on a task. Timers left running for longer than
+ * a day are capped at MAX_ENTRY_MINUTES.
+ * @param {string} taskId - Task ID
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [data] - { note } replacing the note given at start
+ * @returns {Promise<Object>} Stopped entry
+ */
+async function stopTimer(taskId, user, data = {}) {
+  try {
+    const running = await entriesCollection(taskId)
+      .where("uid", "==", user.uid)
+      .where("running", "==", true)
+      .limit(1)
+      .get();
+    if (running.empty) {
+      throw timeError(404, `No timer is running on task ${taskId}`);
+    }
+
+    const doc = running.docs[0];
+    const startedAt = doc.get("startedAt").toDate();
+    const minutes = Math.min(
+      Math.max(1, Math.round((Date.now() - startedAt.getTime()) / 60000)),
+      MAX_ENTRY_MINUTES
+    );
+    const fields = {
+      running: false,
+      stoppedAt: new Date(startedAt.getTime() + minutes * 60000),
+      minutes,
+      updatedAt: new Date(),
+    };
+    if (data.note !== undefined) {
+      fields.note = validateNote(data.note);
+    }
+
+    await doc.ref.update(fields);
+    const actualHours = await syncActualHours(taskId);
+    return { ...toEntry(doc), ...fields, actualHours };
+  } catch (error) {
+    console.error(`Error stopping timer on task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record time worked without a timer
+ * @param {string} taskId - Task ID
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} data - { startedAt, minutes | stoppedAt, note }
+ * @returns {Promise<Object>} Created entry
+ */
+async function addEntry(taskId, user, data) {
+  try {
+    let times;
+    try {
+      times = resolveManualEntry(data || {});
+    } catch (error) {
+      throw timeError(400, error.message);
+    }
+    const note = validateNote(data.note);
+    const task = await getWritableTask(taskId);
+
+    const now = new Date();
+    const entry = {
+      taskId,
+      projectId: task.projectId || null,
+      uid: user.uid,
+      userName: user.name || user.email || user.uid,
+      source: "manual",
+      running: false,
+      ...times,
+      note,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const docRef = await entriesCollection(taskId).add(entry);
+    const actualHours = await syncActualHours(taskId);
+    return { id: docRef.id, ...entry, actualHours };
+  } catch (error) {
+    console.error(`Error adding time entry to task ${taskId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Load an entry and check the user may change it
+ * @private
+ */
+async function getOwnEntry(taskId, entryId, user) {
+  await getWritableTask(taskId);
+  const doc = await entriesCollection(taskId).doc(entryId).get();
+  if (!doc.exists) {
+    throw timeError(404, `Time entry ${entryId} not found`);
+  }
+  if (doc.get("uid") !== user.uid && !user.admin) {
+    throw timeError(403, "Only the person who recorded this time can change it");
+  }
+  return doc;
+}
+
+/**
+ * Correct a finished entry's times or note
+ * @param {string} taskId - Task ID
+ * @param {string} entryId - Entry ID
+ * @param {Object} updates - startedAt, minutes | stoppedAt, and/or note
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} Updated entry
+ */
+async function updateEntry(taskId, entryId, updates, user) {
+  try {
+    const doc = await getOwnEntry(taskId, entryId, user);
+    const current = toEntry(doc);
+    if (current.running) {
+      throw timeError(409, "Stop the timer before editing the entry");
+    }
+
+    const fields = { updatedAt: new Date() };
+    if (["startedAt", "minutes", "stoppedAt"].some((field) => field in updates)) {
+      try {
+        Object.assign(
+          fields,
+          resolveManualEntry({
+            startedAt: updates.startedAt || current.startedAt,
+            ...("stoppedAt" in updates
+              ? { stoppedAt: updates.stoppedAt }
+              : { minutes: "minutes" in updates ? updates.minutes : current.minutes }),
+          })
+        );
+      } catch (error) {
+        throw timeError(400, error.message);
+      }
+    }
+    if ("note" in updates) {
+      fields.note = validateNote(updates.note);
+    }
+
+    await doc.ref.update(fields);
+    const actualHours = await syncActualHours(taskId);
+    return { ...current, ...fields, actualHours };
+  } catch (error) {
+    console.error(`Error updating time entry ${entryId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an entry, including a running timer
+ * @param {string} taskId - Task ID
+ * @param {string} entryId - Entry ID
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<number>} The task's actual hours afterwards
+ */
+async function deleteEntry(taskId, entryId, user) {
+  try {
+    const doc = await getOwnEntry(taskId, entryId, user);
+    await doc.ref.delete();
+    return await syncActualHours(taskId);
+  } catch (error) {
+    console.error(`Error deleting time entry ${entryId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Build a timesheet of the entries started in a date range
+ * @param {Object} options - Report options
+ * @param {Date} options.from - Range start (inclusive)
+ * @param {Date} options.to - Range end (exclusive)
+ * @param {string} [options.projectId] - Only entries on this project's tasks
+ * @param {string} [options.uid] - Only this user's entries
+ * @returns {Promise<Object>} { from, to, entries, totals }
+ */
+async function getTimesheet({ from, to, projectId, uid }) {
+  try {
+    // A single range over the collection group; project and user are filtered
+    // in memory so no composite index is needed
+    const snapshot = await admin
+      .firestore()
+      .collectionGroup("timeEntries")
+      .where("startedAt", ">=", from)
+      .where("startedAt", "<", to)
+      .get();
+
+    const entries = snapshot.docs
+      .map(toEntry)
+      .filter((entry) => !projectId || entry.projectId === projectId)
+      .filter((entry) => !uid || entry.uid === uid)
+      .sort((a, b) => a.startedAt.toDate() - b.startedAt.toDate());
+
+    return { from, to, entries, totals: summarizeEntries(entries) };
+  } catch (error) {
+    console.error("Error building timesheet:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getEntries,
+  startTimer,
+  stopTimer,
+  addEntry,
+  updateEntry,
+  deleteEntry,
+  getTimesheet,
+};
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Saved view service for Firebase Functions. Views are stored
+ * in projects/{projectId}/views; personal views are only visible to the user
+ * who saved them, project views to everyone on the project.
+ * @module services/view-service
+ */
+
+const admin = require("firebase-admin");
+const { VIEW_SCOPES, normalizeView, viewQuery } = require("../utils/views");
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function viewError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the saved views collection of a project
+ * @param {string} projectId - Project ID
+ * @returns {FirebaseFirestore.CollectionReference} Views collection
+ */
+function viewsCollection(projectId) {
+  return admin.firestore().collection("projects").doc(projectId).collection("views");
+}
+
+/**
+ * Convert a view snapshot into a plain object, with the task list query
+ * that reproduces it for the given user
+ * @private
+ */
+function toView(doc, projectId, uid) {
+  const view = { id: doc.id, ...doc.data() };
+  return { ...view, query: viewQuery(view, projectId, uid) };
+}
+
+/**
+ * Whether a user can see a view
+ * @private
+ */
+function isVisible(data, uid) {
+  return data.scope === VIEW_SCOPES.PROJECT || data.ownerId === uid;
+}
+
+/**
+ * Validate view fields, mapping failures to 400
+ * @private
+ */
+function validateView(data, options) {
+  try {
+    return normalizeView(data || {}, options);
+  } catch (error) {
+    throw viewError(400, error.message);
+  }
+}
+
+/**
+ * Load a view for a change, checking the caller may make it
+ * @private
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>} View snapshot,
+ *   or null if it does not exist or is another user's personal view
+ */
+async function getEditableView(projectId, viewId, { userId, canManage }) {
+  const doc = await viewsCollection(projectId).doc(viewId).get();
+  if (!doc.exists || !isVisible(doc.data(), userId)) return null;
+
+  if (doc.get("ownerId") !== userId && !canManage) {
+    throw viewError(403, "Only the view's owner or a project admin can change a shared view");
+  }
+  return doc;
+}
+
+/**
+ * Get the views a user can see in a project: shared views first, then the
+ * user's personal views, each by name
+ * @param {string} projectId - Project ID
+ * @param {string} uid - User ID
+ * @returns {Promise<Array<Object>>} Views
+ */
+async function getViews(projectId, uid) {
+  try {
+    const collection = viewsCollection(projectId);
+    const [shared, own] = await Promise.all([
+      collection.where("scope", "==", VIEW_SCOPES.PROJECT).get(),
+      collection.where("ownerId", "==", uid).get(),
+    ]);
+
+    // The user's own shared views come back from both queries
+    const views = new Map();
+    [...shared.docs, ...own.docs].forEach((doc) => views.set(doc.id, toView(doc, projectId, uid)));
+
+    return [...views.values()].sort(
+      (a, b) =>
+        Number(b.scope === VIEW_SCOPES.PROJECT) - Number(a.scope === VIEW_SCOPES.PROJECT) ||
+        a.name.localeCompare(b.name)
+    );
+  } catch (error) {
+    console.error(`Error getting views of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get a view
+ * @param {string} projectId - Project ID
+ * @param {string} viewId - View ID
+ * @param {string} uid - User opening the view
+ * @returns {Promise<Object|null>} View, or null if not found or not visible
+ */
+async function getView(projectId, viewId, uid) {
+  try {
+    const doc = await viewsCollection(projectId).doc(viewId).get();
+    if (!doc.exists || !isVisible(doc.data(), uid)) return null;
+    return toView(doc, projectId, uid);
+  } catch (error) {
+    console.error(`Error getting view ${viewId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Save a view
+ * @param {string} projectId - Project ID
+ * @param {Object} data - View fields (see utils/views normalizeView)
+ * @param {Object} access - Caller
+ * @param {string} access.userId - User saving the view; becomes its owner
+ * @param {boolean} access.canShare - Whether the user may save project views
+ * @returns {Promise<Object>} Created view
+ */
+async function createView(projectId, data, { userId, canShare }) {
+  try {
+    const fields = validateView(data);
+    if (fields.scope === VIEW_SCOPES.PROJECT && !canShare) {
+      throw viewError(403, "Your role on this project does not allow sharing views");
+    }
+
+    const now = new Date();
+    const view = { ...fields, ownerId: userId, createdAt: now, updatedAt: now };
+    const ref = await viewsCollection(projectId).add(view);
+    return { id: ref.id, ...view, query: viewQuery(view, projectId, userId) };
+  } catch (error) {
+    console.error(`Error creating view in project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a view. Personal views can only be changed by their owner; shared
+ * views by their owner or a project admin.
+ * @param {string} projectId - Project ID
+ * @param {string} viewId - View ID
+ * @param {Object} updates - View fields to change
+ * @param {Object} access - Caller
+ * @param {string} access.userId - User making the change
+ * @param {boolean} access.canShare - Whether the user may save project views
+ * @param {boolean} access.canManage - Whether the user may change others' shared views
+ * @returns {Promise<Object|null>} Updated view, or null if not found
+ */
+async function updateView(projectId, viewId, updates, access) {
+  try {
+    const fields = validateView(updates, { partial: true });
+    if (Object.keys(fields).length === 0) {
+      throw viewError(400, "No view properties to update");
+    }
+
+    const doc = await getEditableView(projectId, viewId, access);
+    if (!doc) return null;
+
+    if (fields.scope === VIEW_SCOPES.PROJECT && !access.canShare) {
+      throw viewError(403, "Your role on this project does not allow sharing views");
+    }
+
+    fields.updatedAt = new Date();
+    await doc.ref.update(fields);
+    const view = { id: doc.id, ...doc.data(), ...fields };
+    return { ...view, query: viewQuery(view, projectId, access.userId) };
+  } catch (error) {
+    console.error(`Error updating view ${viewId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a view, with the same rules as updateView
+ * @param {string} projectId - Project ID
+ * @param {string} viewId - View ID
+ * @param {Object} access - Caller ({ userId, canManage })
+ * @returns {Promise<boolean>} Whether the view existed
+ */
+async function deleteView(projectId, viewId, access) {
+  try {
+    const doc = await getEditableView(projectId, viewId, access);
+    if (!doc) return false;
+
+    await doc.ref.delete();
+    return true;
+  } catch (error) {
+    console.error(`Error deleting view ${viewId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  viewsCollection,
+  getViews,
+  getView,
+  createView,
+  updateView,
+  deleteView,
+};
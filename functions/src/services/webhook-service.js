@@ -0,0 +1,528 @@
+/**
+ * @fileoverview Outbound webhooks for Firebase Functions. Subscriptions are
+ * stored in projects/{projectId}/webhooks/{webhookId} and receive the events of
+ * their project and its sub-projects. Every event queues one delivery per
+ * matching webhook in .../webhooks/{webhookId}/webhookDeliveries, which is sent
+ * with an HMAC signature and retried with exponential backoff.
+ * @module services/webhook-service
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const {
+  validateEventFilter,
+  matchesEvent,
+  validateWebhookUrl,
+  checkWebhookTarget,
+  generateSecret,
+  signPayload,
+  retryDelay,
+} = require("../utils/webhooks");
+
+/**
+ * Delivery statuses
+ * @const {Object}
+ */
+const DELIVERY_STATUS = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+/**
+ * Time a receiver has to answer
+ * @const {number}
+ */
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Time a claimed delivery is withheld from other senders while it is sent
+ * @const {number}
+ */
+const ATTEMPT_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Fields a webhook update may change
+ * @const {Array<string>}
+ */
+const UPDATABLE_FIELDS = ["url", "events", "description", "active", "secret"];
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function webhookError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the webhooks collection of a project
+ * @param {string} projectId - Project ID
+ * @returns {FirebaseFirestore.CollectionReference} Webhooks collection
+ */
+function webhooksCollection(projectId) {
+  return admin
+    .firestore()
+    .collection("projects")
+    .doc(projectId)
+    .collection("webhooks");
+}
+
+/**
+ * Get the delivery log of a webhook
+ * @private
+ */
+function deliveriesCollection(projectId, webhookId) {
+  return webhooksCollection(projectId).doc(webhookId).collection("webhookDeliveries");
+}
+
+/**
+ * Convert a webhook document to its API representation, without the secret
+ * @private
+ */
+function toPublic(doc) {
+  const { secret, ...data } = doc.data();
+  return { id: doc.id, ...data, hasSecret: Boolean(secret) };
+}
+
+/**
+ * Validate the url and events of a webhook
+ * @private
+ */
+function assertValid(fields) {
+  if ("url" in fields) {
+    const urlError = validateWebhookUrl(fields.url);
+    if (urlError) throw webhookError(400, urlError);
+  }
+  if ("events" in fields) {
+    const eventError = validateEventFilter(fields.events);
+    if (eventError) throw webhookError(400, eventError);
+  }
+  if ("secret" in fields && (typeof fields.secret !== "string" || fields.secret.length < 16)) {
+    throw webhookError(400, "secret must be a string of at least 16 characters");
+  }
+}
+
+/**
+ * Check that a webhook URL's host resolves to a public address
+ * @private
+ */
+async function assertPublicTarget(url) {
+  let targetError;
+  try {
+    targetError = await checkWebhookTarget(url);
+  } catch (error) {
+    throw webhookError(400, `Cannot resolve the url's host: ${error.message}`);
+  }
+  if (targetError) throw webhookError(400, targetError);
+}
+
+/**
+ * Get the webhooks of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} Webhooks without their secrets
+ */
+async function getWebhooks(projectId) {
+  try {
+    const snapshot = await webhooksCollection(projectId).orderBy("createdAt").get();
+    return snapshot.docs.map(toPublic);
+  } catch (error) {
+    console.error(`Error getting webhooks of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Subscribe a URL to a project's events
+ * @param {string} projectId - Project ID
+ * @param {Object} data - { url, events, description, secret }; a secret is
+ *   generated when none is given
+ * @param {Object} actor - User creating the webhook (req.user)
+ * @returns {Promise<Object>} Created webhook including its secret, which is
+ *   not returned again
+ */
+async function createWebhook(projectId, data, actor) {
+  try {
+    const fields = { ...data };
+    if (!("url" in fields)) throw webhookError(400, "url is required");
+    if (!("events" in fields)) throw webhookError(400, "events is required");
+    if (fields.secret === undefined) fields.secret = generateSecret();
+    assertValid(fields);
+    await assertPublicTarget(fields.url);
+
+    const now = new Date();
+    const webhook = {
+      url: fields.url,
+      events: [...new Set(fields.events)],
+      description: fields.description || null,
+      active: fields.active !== false,
+      secret: fields.secret,
+      createdBy: actor.uid,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const ref = await webhooksCollection(projectId).add(webhook);
+    return { id: ref.id, ...webhook, hasSecret: true };
+  } catch (error) {
+    console.error(`Error creating webhook for project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Update a webhook
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} updates - url, events, description, active and/or secret
+ * @returns {Promise<Object|null>} Updated webhook, or null if not found
+ */
+async function updateWebhook(projectId, webhookId, updates) {
+  try {
+    const unknown = Object.keys(updates).filter(
+      (field) => !UPDATABLE_FIELDS.includes(field)
+    );
+    if (unknown.length > 0) {
+      throw webhookError(400, `Cannot update ${unknown.join(", ")}`);
+    }
+    assertValid(updates);
+    if ("url" in updates) await assertPublicTarget(updates.url);
+
+    const ref = webhooksCollection(projectId).doc(webhookId);
+    const doc = await ref.get();
+    if (!doc.exists) return null;
+
+    await ref.update({ ...updates, updatedAt: new Date() });
+    return toPublic(await ref.get());
+  } catch (error) {
+    console.error(`Error updating webhook ${webhookId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a webhook with its delivery log
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<boolean>} Whether the webhook existed
+ */
+async function deleteWebhook(projectId, webhookId) {
+  try {
+    const ref = webhooksCollection(projectId).doc(webhookId);
+    const doc = await ref.get();
+    if (!doc.exists) return false;
+
+    await admin.firestore().recursiveDelete(ref);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting webhook ${webhookId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Queue an event for the webhooks of a project and its ancestors. Failures are
+ * logged and never fail the write that produced the event.
+ * @param {string} event - Event name, e.g. "task.moved"
+ * @param {Object} scope - Where the event happened
+ * @param {string} scope.projectId - Project of the changed task or project
+ * @param {Array<string>} [scope.ancestorIds] - Ancestors of that project; read
+ *   from the project when omitted
+ * @param {Object} data - Event data, e.g. { task, changes }
+ * @param {Object} [context] - Change context ({ actor, source })
+ * @returns {Promise<number>} Number of queued deliveries
+ */
+async function emitEvent(event, scope, data, context = {}) {
+  if (!scope || !scope.projectId) return 0;
+
+  try {
+    const db = admin.firestore();
+    let ancestorIds = scope.ancestorIds;
+    if (!ancestorIds) {
+      const project = await db.collection("projects").doc(scope.projectId).get();
+      ancestorIds = project.exists ? project.get("ancestorIds") || [] : [];
+    }
+
+    const snapshots = await Promise.all(
+      [scope.projectId, ...ancestorIds].map((id) =>
+        webhooksCollection(id).where("active", "==", true).get()
+      )
+    );
+    const webhooks = snapshots
+      .flatMap((snapshot) => snapshot.docs)
+      .filter((doc) => matchesEvent(doc.get("events"), event));
+    if (webhooks.length === 0) return 0;
+
+    const now = new Date();
+    const eventId = crypto.randomUUID();
+    const body = JSON.stringify({
+      eventId,
+      event,
+      projectId: scope.projectId,
+      occurredAt: now.toISOString(),
+      actor: context.actor || null,
+      source: context.source || null,
+      data,
+    });
+
+    const batch = db.batch();
+    webhooks.forEach((webhook) => {
+      batch.set(webhook.ref.collection("webhookDeliveries").doc(), {
+        eventId,
+        event,
+        projectId: scope.projectId,
+        url: webhook.get("url"),
+        body,
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        attemptLog: [],
+        nextAttemptAt: now,
+        createdAt: now,
+        deliveredAt: null,
+        responseStatus: null,
+        lastError: null,
+        redeliveryOf: null,
+      });
+    });
+    await batch.commit();
+
+    return webhooks.length;
+  } catch (error) {
+    console.error(`Error queueing ${event} webhooks for ${scope.projectId}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Claim a due delivery so concurrent senders do not post it twice
+ * @private
+ * @returns {Promise<Object|null>} { delivery, webhook } or null if not due
+ */
+async function claimDelivery(deliveryRef) {
+  const db = admin.firestore();
+  const webhookRef = deliveryRef.parent.parent;
+
+  return await db.runTransaction(async (transaction) => {
+    const [delivery, webhook] = await transaction.getAll(deliveryRef, webhookRef);
+    if (!delivery.exists || delivery.get("status") !== DELIVERY_STATUS.PENDING) {
+      return null;
+    }
+    const due = delivery.get("nextAttemptAt");
+    if (due && due.toDate() > new Date()) return null;
+
+    transaction.update(deliveryRef, {
+      nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE_MS),
+    });
+    return {
+      delivery: delivery.data(),
+      webhook: webhook.exists ? webhook.data() : null,
+    };
+  });
+}
+
+/**
+ * Post a delivery to the webhook's current URL, which is checked again since
+ * its host may resolve differently than when it was registered
+ * @private
+ * @returns {Promise<Object>} { ok, responseStatus, error, final }
+ */
+async function post(deliveryId, delivery, webhook) {
+  try {
+    const targetError = await checkWebhookTarget(webhook.url);
+    if (targetError) {
+      return { ok: false, responseStatus: null, error: targetError, final: true };
+    }
+
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Firesite-Webhooks/1.0",
+        "X-Firesite-Event": delivery.event,
+        "X-Firesite-Delivery": deliveryId,
+        "X-Firesite-Signature": signPayload(webhook.secret, delivery.body),
+      },
+      body: delivery.body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+
+    // Redirects are not followed, so only a 2xx answer counts as delivered
+    return {
+      ok: response.ok,
+      responseStatus: response.status,
+      error: response.ok ? null : `Receiver answered ${response.status}`,
+    };
+  } catch (error) {
+    return { ok: false, responseStatus: null, error: error.message };
+  }
+}
+
+/**
+ * Attempt a delivery if it is due, scheduling a retry when it fails
+ * @param {FirebaseFirestore.DocumentReference} deliveryRef - Delivery document
+ * @returns {Promise<string|null>} Resulting status, or null if the delivery
+ *   was not due
+ */
+async function attemptDelivery(deliveryRef) {
+  const claim = await claimDelivery(deliveryRef);
+  if (!claim) return null;
+
+  const { delivery, webhook } = claim;
+  const startedAt = new Date();
+  const result =
+    webhook && webhook.active
+      ? await post(deliveryRef.id, delivery, webhook)
+      : {
+        ok: false,
+        responseStatus: null,
+        error: webhook ? "Webhook is disabled" : "Webhook was deleted",
+        final: true,
+      };
+
+  const attempts = (delivery.attempts || 0) + 1;
+  const delay = result.ok || result.final ? null : retryDelay(attempts);
+  let status = DELIVERY_STATUS.PENDING;
+  if (result.ok) status = DELIVERY_STATUS.SUCCEEDED;
+  else if (delay === null) status = DELIVERY_STATUS.FAILED;
+
+  await deliveryRef.update({
+    // The log shows where the attempt went; the URL may have changed since queueing
+    ...(webhook ? { url: webhook.url } : {}),
+    status,
+    attempts,
+    attemptLog: admin.firestore.FieldValue.arrayUnion({
+      at: startedAt,
+      durationMs: Date.now() - startedAt.getTime(),
+      responseStatus: result.responseStatus,
+      error: result.error,
+    }),
+    responseStatus: result.responseStatus,
+    lastError: result.error,
+    deliveredAt: result.ok ? new Date() : null,
+    nextAttemptAt: delay === null ? null : new Date(Date.now() + delay),
+  });
+
+  if (!result.ok) {
+    console.log(
+      `Webhook delivery ${deliveryRef.id} attempt ${attempts} failed (${result.error}); now ${status}`
+    );
+  }
+  return status;
+}
+
+/**
+ * Retry deliveries whose backoff has elapsed. Needs a collection group index
+ * on webhookDeliveries.nextAttemptAt.
+ * @param {Date} [now] - Current time
+ * @param {number} [limit=200] - Maximum deliveries to attempt in one run
+ * @returns {Promise<number>} Number of attempted deliveries
+ */
+async function retryDueDeliveries(now = new Date(), limit = 200) {
+  try {
+    const snapshot = await admin
+      .firestore()
+      .collectionGroup("webhookDeliveries")
+      .where("nextAttemptAt", "<=", now)
+      .orderBy("nextAttemptAt")
+      .limit(limit)
+      .get();
+
+    let attempted = 0;
+    for (const doc of snapshot.docs) {
+      if (await attemptDelivery(doc.ref)) attempted++;
+    }
+
+    if (attempted > 0) {
+      console.log(`Webhooks: Retried ${attempted} due deliveries`);
+    }
+    return attempted;
+  } catch (error) {
+    console.error("Error retrying webhook deliveries:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the delivery log of a webhook, newest first
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.limit=50] - Maximum deliveries (max 200)
+ * @returns {Promise<Array|null>} Deliveries, or null if the webhook does not exist
+ */
+async function getDeliveries(projectId, webhookId, options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 200);
+
+  try {
+    const webhook = await webhooksCollection(projectId).doc(webhookId).get();
+    if (!webhook.exists) return null;
+
+    const snapshot = await deliveriesCollection(projectId, webhookId)
+      .orderBy("createdAt", "desc")
+      .limit(limit)
+      .get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error(`Error getting deliveries of webhook ${webhookId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Queue a past delivery again with the same event ID and body, so receivers
+ * can deduplicate it
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @param {string} deliveryId - Delivery to send again
+ * @returns {Promise<Object|null>} New delivery, or null if the delivery does not exist
+ */
+async function redeliver(projectId, webhookId, deliveryId) {
+  try {
+    const webhook = await webhooksCollection(projectId).doc(webhookId).get();
+    const original = await deliveriesCollection(projectId, webhookId)
+      .doc(deliveryId)
+      .get();
+    if (!webhook.exists || !original.exists) return null;
+
+    const now = new Date();
+    const delivery = {
+      eventId: original.get("eventId"),
+      event: original.get("event"),
+      projectId: original.get("projectId"),
+      url: webhook.get("url"),
+      body: original.get("body"),
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      attemptLog: [],
+      nextAttemptAt: now,
+      createdAt: now,
+      deliveredAt: null,
+      responseStatus: null,
+      lastError: null,
+      redeliveryOf: deliveryId,
+    };
+
+    const ref = await deliveriesCollection(projectId, webhookId).add(delivery);
+    return { id: ref.id, ...delivery };
+  } catch (error) {
+    console.error(`Error redelivering ${deliveryId}:`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  DELIVERY_STATUS,
+  webhooksCollection,
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  emitEvent,
+  attemptDelivery,
+  retryDueDeliveries,
+  getDeliveries,
+  redeliver,
+};
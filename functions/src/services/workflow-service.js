@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Project workflow service for Firebase Functions. A project's
+ * workflow is stored in the workflow field of its document; projects without
+ * one keep free-form statuses.
+ * @module services/workflow-service
+ */
+
+const admin = require("firebase-admin");
+const customFieldService = require("./custom-field-service");
+const { readOnlyReason } = require("../utils/lifecycle");
+const { isRole } = require("../utils/roles");
+const { validateWorkflow, evaluateTransition } = require("../utils/workflow");
+
+/**
+ * Create an error carrying an HTTP status for the route layer
+ * @private
+ */
+function workflowError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get a project document reference
+ * @private
+ */
+function projectRef(projectId) {
+  return admin.firestore().collection("projects").doc(projectId);
+}
+
+/**
+ * Get a project's workflow
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} Workflow, or null if the project has none
+ */
+async function getWorkflow(projectId) {
+  const doc = await projectRef(projectId).get();
+  return (doc.exists && doc.get("workflow")) || null;
+}
+
+/**
+ * Set a project's workflow, replacing the previous one. Tasks keep their
+ * statuses; ones outside the new workflow may move to any of its states.
+ * @param {string} projectId - Project ID
+ * @param {Object} data - Definition (see validateWorkflow)
+ * @param {Object} [user] - User making the change
+ * @returns {Promise<Object>} Stored workflow
+ */
+async function setWorkflow(projectId, data, user = {}) {
+  try {
+    let definition;
+    try {
+      definition = validateWorkflow(data);
+    } catch (error) {
+      throw workflowError(400, error.message);
+    }
+
+    const doc = await projectRef(projectId).get();
+    if (!doc.exists) {
+      throw workflowError(404, `Project ${projectId} not found`);
+    }
+    const reason = readOnlyReason(doc.get("lifecycle"));
+    if (reason) {
+      throw workflowError(409, reason);
+    }
+
+    // Required custom fields must be defined by the project
+    const schema = await customFieldService.getSchema(projectId);
+    const undefinedFields = new Set(
+      definition.states
+        .flatMap((state) => state.requiredFields)
+        .filter((field) => field.startsWith("customFields."))
+        .filter((field) => !schema.has(field.slice("customFields.".length)))
+    );
+    if (undefinedFields.size > 0) {
+      throw workflowError(
+        400,
+        `Required fields name undefined custom fields: ${[...undefinedFields].join(", ")}`
+      );
+    }
+
+    const workflow = {
+      ...definition,
+      version: (doc.get("workflow.version") || 0) + 1,
+      updatedAt: new Date(),
+      updatedBy: user.uid || null,
+    };
+    await projectRef(projectId).update({ workflow, updatedAt: workflow.updatedAt });
+    return workflow;
+  } catch (error) {
+    console.error(`Error setting workflow of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a project's workflow; statuses become free-form again
+ * @param {string} projectId - Project ID
+ * @returns {Promise<boolean>} Whether the project had a workflow
+ */
+async function deleteWorkflow(projectId) {
+  try {
+    const doc = await projectRef(projectId).get();
+    if (!doc.exists || !doc.get("workflow")) return false;
+
+    const reason = readOnlyReason(doc.get("lifecycle"));
+    if (reason) {
+      throw workflowError(409, reason);
+    }
+    await projectRef(projectId).update({
+      workflow: admin.firestore.FieldValue.delete(),
+      updatedAt: new Date(),
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error deleting workflow of project ${projectId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Check a status change against a workflow
+ * @param {Object|null} workflow - Project workflow; null allows any status
+ * @param {Object} task - Task with the changes being written applied
+ * @param {Object} options - Move options
+ * @param {string|null} options.from - Status before the change; null when the
+ *   task enters the project
+ * @param {string} options.to - Requested status
+ * @param {string} [options.role] - Caller's project role. Transition roles are
+ *   not checked without one (automation) or for platform admins.
+ * @returns {string} State ID to store, which may differ from the requested
+ *   status in case or by alias
+ * @throws {Error} Status 422 with the allowed targets or missing fields
+ */
+function checkTransition(workflow, task, options) {
+  if (!workflow) return options.to;
+
+  const role = isRole(options.role) ? options.role : null;
+  const result = evaluateTransition(workflow, task, { ...options, role });
+  if (result.error) {
+    const error = workflowError(422, result.error);
+    error.allowed = result.allowed;
+    error.missing = result.missing;
+    throw error;
+  }
+  return result.state.id;
+}
+
+module.exports = {
+  getWorkflow,
+  setWorkflow,
+  deleteWorkflow,
+  checkTransition,
+};
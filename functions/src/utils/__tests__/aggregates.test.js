@@ -0,0 +1,32 @@
+const { emptyAggregate, addValue, aggregateDocs } = require("../aggregates");
+
+describe("aggregate utilities", () => {
+  test("should keep only the totals of an aggregate's type", () => {
+    const agg = emptyAggregate();
+    [3, 1, 2].forEach((value) => addValue(agg, "avg", value));
+    expect(agg).toEqual({ count: 3, sum: 6, min: null, max: null, avg: 2 });
+  });
+
+  test("should aggregate documents overall and per group", () => {
+    const docs = [
+      { status: "todo", hours: 2 },
+      { status: "done", hours: 5 },
+      { status: "todo", hours: null },
+      { status: "todo", hours: 4 },
+    ];
+
+    const { aggregates, groups } = aggregateDocs(
+      docs,
+      { total: { field: "hours", type: "sum" }, longest: { field: "hours", type: "max" } },
+      ["status"]
+    );
+
+    expect(aggregates.total).toMatchObject({ count: 3, sum: 11 });
+    expect(aggregates.longest.max).toBe(5);
+    expect(groups.map((group) => group.group)).toEqual([{ status: "todo" }, { status: "done" }]);
+    // Each group starts from empty totals
+    expect(groups[0].aggregates.total).toMatchObject({ count: 2, sum: 6 });
+    expect(groups[0].docs).toHaveLength(3);
+    expect(aggregateDocs(docs).groups).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  TOKEN_KINDS,
+  generateToken,
+  hashToken,
+  tokenKind,
+  validateScopes,
+  scopesAllow,
+  roleForScopes,
+  expiryDate,
+} = require("../api-tokens");
+
+describe("API token utilities", () => {
+  test("should generate prefixed tokens and recognise their kind", () => {
+    const personal = generateToken(TOKEN_KINDS.PERSONAL);
+    const key = generateToken(TOKEN_KINDS.PROJECT);
+
+    expect(personal).toMatch(/^fsp_[A-Za-z0-9_-]{32}$/);
+    expect(key).toMatch(/^fsk_[A-Za-z0-9_-]{32}$/);
+    expect(tokenKind(personal)).toBe("personal");
+    expect(tokenKind(key)).toBe("project");
+    expect(tokenKind("eyJhbGciOiJSUzI1NiJ9.id-token")).toBeNull();
+    expect(generateToken(TOKEN_KINDS.PERSONAL)).not.toBe(personal);
+  });
+
+  test("should hash tokens deterministically", () => {
+    expect(hashToken("fsp_abc")).toBe(hashToken("fsp_abc"));
+    expect(hashToken("fsp_abc")).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken("fsp_abc")).not.toBe(hashToken("fsp_abd"));
+  });
+
+  test("should validate scopes", () => {
+    expect(validateScopes(["tasks:read", "tasks:write"])).toBeNull();
+    expect(validateScopes([])).toMatch(/non-empty/);
+    expect(validateScopes("tasks:read")).toMatch(/non-empty/);
+    expect(validateScopes(["tasks:read", "admin"])).toBe("Unknown scopes: admin");
+  });
+
+  test("should map scopes to permissions and key roles", () => {
+    expect(scopesAllow(["tasks:read"], "task:read")).toBe(true);
+    expect(scopesAllow(["tasks:read"], "task:write")).toBe(false);
+    expect(scopesAllow(["tasks:write"], "task:write")).toBe(true);
+    expect(scopesAllow(["tasks:write"], "members:manage")).toBe(false);
+    expect(scopesAllow(["projects:admin"], "members:manage")).toBe(true);
+    expect(scopesAllow(undefined, "task:read")).toBe(false);
+
+    expect(roleForScopes(["tasks:read"])).toBe("viewer");
+    expect(roleForScopes(["tasks:read", "tasks:write"])).toBe("ai-agent");
+    expect(roleForScopes(["projects:admin"])).toBe("admin");
+  });
+
+  test("should bound token expiry", () => {
+    const from = new Date("2025-01-01T00:00:00Z");
+    expect(expiryDate(undefined, from).toISOString()).toBe("2025-04-01T00:00:00.000Z");
+    expect(expiryDate(7, from).toISOString()).toBe("2025-01-08T00:00:00.000Z");
+    expect(expiryDate(0, from)).toBeNull();
+    expect(expiryDate(366, from)).toBeNull();
+    expect(expiryDate("soon", from)).toBeNull();
+  });
+});
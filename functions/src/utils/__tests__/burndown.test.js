@@ -0,0 +1,136 @@
+const { replayHistory, stateAt, scopeFilter, computeBurndown } = require("../burndown");
+
+const at = (iso) => new Date(iso);
+
+describe("burndown utilities", () => {
+  test("should rebuild past task states by undoing history entries", () => {
+    const current = { title: "Login", status: "done", sprintId: "s1" };
+    const entries = [
+      {
+        action: "update",
+        changes: { status: { from: "todo", to: "done" } },
+        at: at("2026-03-04T10:00:00Z"),
+      },
+      {
+        action: "create",
+        changes: { title: { from: null, to: "Login" }, status: { from: null, to: "todo" } },
+        at: at("2026-03-01T10:00:00Z"),
+      },
+      {
+        action: "update",
+        changes: { sprintId: { from: null, to: "s1" } },
+        at: at("2026-03-02T10:00:00Z"),
+      },
+    ];
+
+    const timeline = replayHistory(current, entries);
+
+    expect(timeline.map((point) => point.state)).toEqual([
+      null,
+      { title: "Login", status: "todo" },
+      { title: "Login", status: "todo", sprintId: "s1" },
+      current,
+    ]);
+    expect(stateAt(timeline, at("2026-02-28T00:00:00Z"))).toBeNull();
+    expect(stateAt(timeline, at("2026-03-03T00:00:00Z")).sprintId).toBe("s1");
+
+    // Deleted tasks are rebuilt from their delete entry
+    const deleted = replayHistory(null, [
+      {
+        action: "delete",
+        changes: { title: { from: "Old", to: null } },
+        at: at("2026-03-05T00:00:00Z"),
+      },
+    ]);
+    expect(stateAt(deleted, at("2026-03-04T00:00:00Z"))).toEqual({ title: "Old" });
+    expect(stateAt(deleted, at("2026-03-06T00:00:00Z"))).toBeNull();
+  });
+
+  test("should test sprint and label scopes, leaving out tasks in the trash", () => {
+    const sprint = scopeFilter({ projectId: "p1", sprintId: "s1" });
+    const milestone = scopeFilter({ projectId: "p1", label: "v2" });
+
+    expect(sprint({ projectId: "p1", sprintId: "s1" })).toBe(true);
+    expect(sprint({ projectId: "p2", sprintId: "s1" })).toBe(false);
+    expect(sprint({ projectId: "p1", sprintId: "s1", lifecycle: "deleted" })).toBe(false);
+    expect(sprint(null)).toBe(false);
+    expect(milestone({ projectId: "p1", labels: ["bug", "v2"] })).toBe(true);
+    expect(milestone({ projectId: "p1", labels: ["bug"] })).toBe(false);
+  });
+
+  test("should compute burndown and burnup series with scope change markers", () => {
+    const state = (points, status = "todo", sprintId = "s1") => ({
+      title: `Task ${points}`,
+      projectId: "p1",
+      sprintId,
+      status,
+      customFields: { points },
+    });
+    const tasks = [
+      // Committed, re-estimated on day 2 and done on day 3
+      {
+        id: "a",
+        timeline: [
+          { at: null, state: state(3) },
+          { at: at("2026-03-03T09:00:00Z"), state: state(5) },
+          { at: at("2026-03-04T09:00:00Z"), state: state(5, "done") },
+        ],
+      },
+      // Committed and still open
+      { id: "b", timeline: [{ at: null, state: state(2) }] },
+      // Added on day 2
+      {
+        id: "c",
+        timeline: [
+          { at: null, state: state(1, "todo", null) },
+          { at: at("2026-03-03T12:00:00Z"), state: state(1) },
+        ],
+      },
+    ];
+    const range = { from: at("2026-03-02T00:00:00Z"), to: at("2026-03-07T00:00:00Z") };
+
+    const series = computeBurndown(tasks, range, {
+      inScope: scopeFilter({ projectId: "p1", sprintId: "s1" }),
+      pointsField: "points",
+      now: at("2026-03-04T18:00:00Z"),
+    });
+
+    expect(series.dates).toEqual([
+      "2026-03-02",
+      "2026-03-03",
+      "2026-03-04",
+      "2026-03-05",
+      "2026-03-06",
+    ]);
+    expect(series.burndown.remaining).toEqual({
+      tasks: [2, 3, 2, null, null],
+      points: [5, 8, 3, null, null],
+    });
+    expect(series.burndown.ideal.points).toEqual([4, 3, 2, 1, 0]);
+    expect(series.burnup.scope.points).toEqual([5, 8, 8, null, null]);
+    expect(series.burnup.completed.tasks).toEqual([0, 0, 1, null, null]);
+    expect(series.scopeChanges.map(({ taskId, type, tasks, points }) => ({
+      taskId,
+      type,
+      tasks,
+      points,
+    }))).toEqual([
+      { taskId: "a", type: "estimate", tasks: 0, points: 2 },
+      { taskId: "c", type: "added", tasks: 1, points: 1 },
+    ]);
+    expect(series.totals.current).toEqual({
+      scopeTasks: 3,
+      scopePoints: 8,
+      doneTasks: 1,
+      donePoints: 5,
+    });
+
+    // Without a points field only task counts are reported
+    const counts = computeBurndown(tasks, range, {
+      inScope: scopeFilter({ projectId: "p1", sprintId: "s1" }),
+      now: at("2026-03-04T18:00:00Z"),
+    });
+    expect(counts.burndown.remaining.points).toBeNull();
+    expect(counts.scopeChanges.map((change) => change.type)).toEqual(["added"]);
+  });
+});
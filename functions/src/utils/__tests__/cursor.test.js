@@ -0,0 +1,63 @@
+const { encodeCursor, decodeCursor, parseOrderBy } = require("../cursor");
+
+describe("cursor utilities", () => {
+  describe("encodeCursor / decodeCursor", () => {
+    test("should round-trip primitive values", () => {
+      const token = encodeCursor(["high", 3, "task-123"]);
+      expect(typeof token).toBe("string");
+      expect(decodeCursor(token)).toEqual(["high", 3, "task-123"]);
+    });
+
+    test("should preserve dates and timestamp-like values", () => {
+      const date = new Date("2025-07-14T10:00:00.000Z");
+      const timestamp = { toDate: () => date };
+
+      const token = encodeCursor([timestamp, date, "task-1"]);
+      const values = decodeCursor(token, {
+        toTimestamp: (value) => ({ converted: value.toISOString() }),
+      });
+
+      expect(values).toEqual([
+        { converted: date.toISOString() },
+        { converted: date.toISOString() },
+        "task-1",
+      ]);
+    });
+
+    test("should reject malformed tokens", () => {
+      expect(() => decodeCursor("not-a-cursor")).toThrow(
+        "Invalid pagination cursor"
+      );
+      expect(() =>
+        decodeCursor(Buffer.from("{}").toString("base64url"))
+      ).toThrow("Invalid pagination cursor");
+    });
+  });
+
+  describe("parseOrderBy", () => {
+    test("should parse fields with optional directions", () => {
+      expect(parseOrderBy("priority:desc,createdAt")).toEqual([
+        ["priority", "desc"],
+        ["createdAt", "asc"],
+      ]);
+    });
+
+    test("should accept repeated query parameters", () => {
+      expect(parseOrderBy(["dueDate:ASC", "title"])).toEqual([
+        ["dueDate", "asc"],
+        ["title", "asc"],
+      ]);
+    });
+
+    test("should return an empty list when not provided", () => {
+      expect(parseOrderBy(undefined)).toEqual([]);
+    });
+
+    test("should reject invalid fields and directions", () => {
+      expect(() => parseOrderBy("title;drop")).toThrow("Invalid orderBy field");
+      expect(() => parseOrderBy("title:sideways")).toThrow(
+        "Invalid orderBy direction"
+      );
+    });
+  });
+});
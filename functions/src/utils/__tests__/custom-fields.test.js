@@ -0,0 +1,84 @@
+const {
+  FIELD_TYPES,
+  normalizeFieldDefinition,
+  coerceValue,
+  applyFieldValues,
+  parseFieldFilter,
+} = require("../custom-fields");
+
+const severity = {
+  key: "severity",
+  name: "Severity",
+  type: FIELD_TYPES.SELECT,
+  options: ["low", "high"],
+  required: true,
+};
+const points = { key: "points", name: "Story points", type: FIELD_TYPES.NUMBER };
+const components = {
+  key: "components",
+  name: "Components",
+  type: FIELD_TYPES.MULTI_SELECT,
+  options: ["api", "ui"],
+};
+const schema = new Map([severity, points, components].map((field) => [field.key, field]));
+
+describe("custom field utilities", () => {
+  test("should validate field definitions", () => {
+    expect(
+      normalizeFieldDefinition({ key: "customer", name: " Customer ", type: "text" })
+    ).toEqual({
+      key: "customer",
+      type: "text",
+      name: "Customer",
+      required: false,
+      description: null,
+    });
+    expect(() => normalizeFieldDefinition({ key: "Bad Key", name: "x", type: "text" })).toThrow(
+      /key must start/
+    );
+    expect(() => normalizeFieldDefinition({ key: "x", name: "x", type: "color" })).toThrow(
+      /type must be one of/
+    );
+    expect(() => normalizeFieldDefinition({ key: "x", name: "x", type: "select" })).toThrow(
+      /options must be a non-empty array/
+    );
+    expect(() => normalizeFieldDefinition({ type: "text" }, { current: severity })).toThrow(
+      "type cannot be changed"
+    );
+    expect(normalizeFieldDefinition({ options: ["low", "high", "critical"] }, { current: severity }))
+      .toEqual({ options: ["low", "high", "critical"] });
+  });
+
+  test("should coerce values by type", () => {
+    expect(coerceValue(points, 3)).toBe(3);
+    expect(() => coerceValue(points, "3")).toThrow("Story points must be a number");
+    expect(coerceValue({ name: "Due", type: "date" }, "2026-03-01")).toEqual(new Date("2026-03-01"));
+    expect(coerceValue(components, ["ui", "ui", "api"])).toEqual(["ui", "api"]);
+    expect(() => coerceValue(components, ["db"])).toThrow(/list of: api, ui/);
+    expect(() => coerceValue({ name: "Link", type: "url" }, "javascript:alert(1)")).toThrow(
+      /http or https/
+    );
+  });
+
+  test("should merge values and report every problem", () => {
+    expect(applyFieldValues(schema, { severity: "high", points: 5 })).toEqual({
+      severity: "high",
+      points: 5,
+    });
+    // Clearing a value removes it; stored values are kept as they are
+    expect(
+      applyFieldValues(schema, { points: null }, { severity: "legacy", points: 5 })
+    ).toEqual({ severity: "legacy" });
+    expect(() => applyFieldValues(schema, { points: "many", color: "red" })).toThrow(
+      "Story points must be a number; Unknown custom field: color; Severity is required"
+    );
+  });
+
+  test("should parse query string filters", () => {
+    expect(parseFieldFilter(points, "8")).toEqual({ op: "==", value: 8 });
+    expect(parseFieldFilter(components, "api")).toEqual({ op: "array-contains", value: "api" });
+    expect(parseFieldFilter(severity, "high")).toEqual({ op: "==", value: "high" });
+    expect(() => parseFieldFilter(points, "")).toThrow(/must be a number/);
+    expect(() => parseFieldFilter(severity, "medium")).toThrow(/one of low, high/);
+  });
+});
@@ -0,0 +1,60 @@
+const {
+  REMINDER_KINDS,
+  parseDueDate,
+  isOverdue,
+  validatePreferences,
+  resolvePreferences,
+  reminderKey,
+  reminderFor,
+} = require("../due-dates");
+
+const now = new Date("2026-03-10T12:00:00Z");
+
+describe("due date utilities", () => {
+  test("should parse and clear due dates", () => {
+    expect(parseDueDate("2026-03-11T09:00:00Z")).toEqual(new Date("2026-03-11T09:00:00Z"));
+    expect(parseDueDate(null)).toBeNull();
+    expect(parseDueDate("")).toBeNull();
+    expect(() => parseDueDate("tomorrow-ish")).toThrow("dueDate must be a valid date");
+  });
+
+  test("should flag unfinished tasks past their due date", () => {
+    expect(isOverdue({ dueDate: "2026-03-09", status: "todo" }, now)).toBe(true);
+    expect(isOverdue({ dueDate: "2026-03-09", status: "done" }, now)).toBe(false);
+    expect(isOverdue({ dueDate: "2026-03-12", status: "todo" }, now)).toBe(false);
+    expect(isOverdue({ status: "todo" }, now)).toBe(false);
+  });
+
+  test("should validate notification preferences", () => {
+    expect(validatePreferences({ email: false, sms: true, dueSoonHours: 48 })).toBeNull();
+    expect(validatePreferences({ sms: "yes" })).toBe("sms must be true or false");
+    expect(validatePreferences({ dueSoonHours: 500 })).toMatch(/dueSoonHours/);
+    expect(validatePreferences(null)).toBe("preferences must be an object");
+    expect(resolvePreferences({ sms: true })).toEqual({
+      email: true,
+      sms: true,
+      dueSoonHours: 24,
+      overdue: true,
+    });
+  });
+
+  test("should send each reminder once per due date", () => {
+    const preferences = resolvePreferences();
+    const dueSoon = { dueDate: "2026-03-11T06:00:00Z", status: "in-progress" };
+    const overdue = { dueDate: "2026-03-10T06:00:00Z", status: "todo" };
+
+    expect(reminderFor(dueSoon, preferences, now)).toBe(REMINDER_KINDS.DUE_SOON);
+    expect(reminderFor({ ...dueSoon, dueDate: "2026-03-14" }, preferences, now)).toBeNull();
+    expect(reminderFor(overdue, preferences, now)).toBe(REMINDER_KINDS.OVERDUE);
+    expect(reminderFor({ ...overdue, status: "validated" }, preferences, now)).toBeNull();
+
+    const reminded = { ...overdue, reminders: { overdue: reminderKey(overdue.dueDate) } };
+    expect(reminderFor(reminded, preferences, now)).toBeNull();
+    expect(
+      reminderFor({ ...reminded, dueDate: "2026-03-10T08:00:00Z" }, preferences, now)
+    ).toBe(REMINDER_KINDS.OVERDUE);
+
+    expect(reminderFor(dueSoon, { ...preferences, dueSoonHours: 0 }, now)).toBeNull();
+    expect(reminderFor(overdue, { ...preferences, overdue: false }, now)).toBeNull();
+  });
+});
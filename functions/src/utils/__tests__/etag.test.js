@@ -0,0 +1,31 @@
+const { formatEtag, parseIfMatch, versionMatches } = require("../etag");
+
+describe("etag utilities", () => {
+  test("should format versions as weak ETags", () => {
+    expect(formatEtag(3)).toBe('W/"3"');
+    expect(formatEtag(undefined)).toBe('W/"0"');
+  });
+
+  test("should treat a missing or wildcard If-Match as unconditional", () => {
+    expect(parseIfMatch(undefined)).toBeUndefined();
+    expect(parseIfMatch("*")).toBeUndefined();
+    expect(versionMatches(7, undefined)).toBe(true);
+  });
+
+  test("should parse weak, strong and multiple tags", () => {
+    expect(parseIfMatch('W/"3"')).toEqual([3]);
+    expect(parseIfMatch('"4", W/"5"')).toEqual([4, 5]);
+  });
+
+  test("should never match when no tag is a version", () => {
+    const expected = parseIfMatch('"abc"');
+    expect(expected).toEqual([]);
+    expect(versionMatches(0, expected)).toBe(false);
+  });
+
+  test("should compare against the current version", () => {
+    expect(versionMatches(2, [2])).toBe(true);
+    expect(versionMatches(3, [2])).toBe(false);
+    expect(versionMatches(undefined, [0])).toBe(true);
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  toPlain,
+  csvCell,
+  taskCsvHeader,
+  taskCsvRow,
+  orderStatuses,
+  markdownTask,
+  exportFilename,
+} = require("../export");
+
+const timestamp = (iso) => ({ toDate: () => new Date(iso) });
+
+describe("project export utilities", () => {
+  test("should convert Firestore values into plain JSON values", () => {
+    expect(
+      toPlain({
+        createdAt: timestamp("2026-01-02T03:04:05.000Z"),
+        history: [{ at: new Date("2026-01-01T00:00:00.000Z") }],
+        labels: ["Bug"],
+        estimatedHours: 3,
+      })
+    ).toEqual({
+      createdAt: "2026-01-02T03:04:05.000Z",
+      history: [{ at: "2026-01-01T00:00:00.000Z" }],
+      labels: ["Bug"],
+      estimatedHours: 3,
+    });
+  });
+
+  test("should escape CSV cells", () => {
+    expect(csvCell(null)).toBe("");
+    expect(csvCell(2.5)).toBe("2.5");
+    expect(csvCell("plain")).toBe("plain");
+    expect(csvCell('say "hi", then\nleave')).toBe('"say ""hi"", then\nleave"');
+    expect(csvCell(["Bug", "UI"])).toBe("Bug; UI");
+    // Spreadsheet formulas are neutralized, numbers are not
+    expect(csvCell("=HYPERLINK(1)")).toBe("'=HYPERLINK(1)");
+    expect(csvCell(-3)).toBe("-3");
+  });
+
+  test("should write task rows matching the header", () => {
+    const header = taskCsvHeader(["severity"]);
+    const row = taskCsvRow(
+      { id: "t1", projectId: "p1", title: "Fix login", labels: ["Bug"], customFields: { severity: "high" } },
+      "Website",
+      ["severity"]
+    );
+
+    expect(header.startsWith("id,projectId,projectName,title,")).toBe(true);
+    expect(header.trimEnd().endsWith(",cf:severity")).toBe(true);
+    expect(row.split(",")).toHaveLength(header.split(",").length);
+    expect(row).toMatch(/^t1,p1,Website,Fix login,,,,,Bug,/);
+    expect(row.endsWith(",high\r\n")).toBe(true);
+  });
+
+  test("should order report sections and format tasks", () => {
+    expect(orderStatuses(["done", "", "archived-ish", "todo", "Blocked"])).toEqual([
+      "todo",
+      "Blocked",
+      "done",
+      "archived-ish",
+      "",
+    ]);
+
+    const item = markdownTask(
+      { id: "t1", title: "Fix *login*", priority: "high", dueDate: "2026-02-01T00:00:00.000Z", labels: ["Bug"] },
+      "Website"
+    );
+    expect(item).toBe(
+      "- **Fix \\*login\\*** (`t1`)\n  project: Website · priority: high · due: 2026-02-01 · labels: Bug\n"
+    );
+    expect(exportFilename({ name: "Website Relaunch!" }, "csv", new Date("2026-01-31T12:00:00Z"))).toBe(
+      "website-relaunch-2026-01-31.csv"
+    );
+  });
+});
@@ -0,0 +1,130 @@
+const {
+  statusTransitionFields,
+  resolveRange,
+  validateRange,
+  parseLabelFilter,
+  transitionsOf,
+  durationStats,
+  computeFlowMetrics,
+} = require("../flow-metrics");
+
+const at = (iso) => new Date(iso);
+
+describe("flow metrics utilities", () => {
+  test("should record a transition only when the status changes", () => {
+    const now = at("2026-03-02T10:00:00Z");
+    expect(statusTransitionFields({}, { status: "todo" }, now)).toEqual({
+      statusTransitions: [{ from: null, to: "todo", at: now }],
+      statusChangedAt: now,
+    });
+
+    const current = { status: "todo", statusTransitions: [{ from: null, to: "todo", at: now }] };
+    expect(statusTransitionFields(current, { title: "Renamed" }, now)).toEqual({});
+    expect(statusTransitionFields(current, { status: "todo" }, now)).toEqual({});
+    const { statusTransitions } = statusTransitionFields(current, { status: "in-progress" }, now);
+    expect(statusTransitions.map((transition) => transition.to)).toEqual(["todo", "in-progress"]);
+  });
+
+  test("should resolve and validate date ranges and label filters", () => {
+    const now = at("2026-03-10T15:30:00Z");
+    expect(resolveRange(null, null, now)).toEqual({
+      from: at("2025-12-11T00:00:00Z"),
+      to: at("2026-03-11T00:00:00Z"),
+    });
+    expect(resolveRange(at("2026-03-01T12:00:00Z"), at("2026-03-08"), now)).toEqual({
+      from: at("2026-03-01T00:00:00Z"),
+      to: at("2026-03-08T00:00:00Z"),
+    });
+    expect(validateRange({ from: at("2026-03-08"), to: at("2026-03-01") })).toMatch(/after from/);
+    expect(validateRange({ from: at("2025-01-01"), to: at("2026-03-01") })).toMatch(/366 days/);
+
+    expect(parseLabelFilter("bug, ui,bug")).toEqual(["bug", "ui"]);
+    expect(parseLabelFilter()).toEqual([]);
+    const tooMany = Array.from({ length: 31 }, (_, i) => `label${i}`).join(",");
+    expect(() => parseLabelFilter(tooMany)).toThrow(/30 values/);
+  });
+
+  test("should fill in the status before the first recorded transition", () => {
+    const task = {
+      status: "in-progress",
+      createdAt: at("2026-03-01T00:00:00Z"),
+      statusTransitions: [{ from: "todo", to: "in-progress", at: at("2026-03-03T00:00:00Z") }],
+    };
+    expect(transitionsOf(task)).toEqual({
+      tracked: true,
+      transitions: [
+        { from: null, to: "todo", at: at("2026-03-01T00:00:00Z") },
+        { from: "todo", to: "in-progress", at: at("2026-03-03T00:00:00Z") },
+      ],
+    });
+    expect(transitionsOf({ status: "done", createdAt: at("2026-03-01") }).tracked).toBe(false);
+
+    expect(durationStats([4, 1, 2, 3])).toEqual({
+      count: 4,
+      average: 2.5,
+      median: 2,
+      p85: 4,
+      min: 1,
+      max: 4,
+    });
+    expect(durationStats([]).average).toBeNull();
+  });
+
+  test("should compute lead time, cycle time, throughput, WIP and cumulative flow", () => {
+    const transitions = (...steps) =>
+      steps.map(([from, to, iso]) => ({ from, to, at: at(iso) }));
+    const tasks = [
+      {
+        id: "a",
+        status: "done",
+        createdAt: at("2026-03-02T00:00:00Z"),
+        statusTransitions: transitions(
+          [null, "todo", "2026-03-02T00:00:00Z"],
+          ["todo", "in-progress", "2026-03-03T00:00:00Z"],
+          ["in-progress", "review", "2026-03-05T00:00:00Z"],
+          ["review", "done", "2026-03-06T00:00:00Z"]
+        ),
+      },
+      {
+        id: "b",
+        status: "in-progress",
+        createdAt: at("2026-03-02T12:00:00Z"),
+        statusTransitions: transitions(
+          [null, "todo", "2026-03-02T12:00:00Z"],
+          ["todo", "in-progress", "2026-03-04T12:00:00Z"]
+        ),
+      },
+      // From before transitions were recorded
+      { id: "c", status: "done", createdAt: at("2026-03-01T00:00:00Z") },
+    ];
+    const range = { from: at("2026-03-02T00:00:00Z"), to: at("2026-03-09T00:00:00Z") };
+
+    const metrics = computeFlowMetrics(tasks, range, at("2026-03-07T12:00:00Z"));
+
+    expect(metrics.tasks).toEqual({ total: 3, tracked: 2, completed: 1 });
+    expect(metrics.leadTime).toMatchObject({ count: 1, average: 4 });
+    expect(metrics.cycleTime.overall).toMatchObject({ count: 1, average: 3 });
+    expect(Object.keys(metrics.cycleTime.byColumn)).toEqual(["todo", "in-progress", "review"]);
+    expect(metrics.cycleTime.byColumn["in-progress"].average).toBe(2);
+    expect(metrics.throughput).toEqual([{ week: "2026-03-02", completed: 1 }]);
+
+    // Days after now are not sampled
+    expect(metrics.cfd.dates).toEqual([
+      "2026-03-02",
+      "2026-03-03",
+      "2026-03-04",
+      "2026-03-05",
+      "2026-03-06",
+      "2026-03-07",
+    ]);
+    expect(metrics.cfd.statuses).toEqual(["todo", "in-progress", "review", "done"]);
+    expect(metrics.cfd.series).toEqual({
+      todo: [1, 1, 0, 0, 0, 0],
+      "in-progress": [1, 1, 1, 1, 1, 1],
+      review: [0, 0, 1, 0, 0, 0],
+      done: [1, 1, 1, 2, 2, 2],
+    });
+    // In progress and review both count as work in progress
+    expect(metrics.wip.map((day) => day.count)).toEqual([1, 1, 2, 1, 1, 1]);
+  });
+});
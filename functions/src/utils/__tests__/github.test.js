@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+  verifyGithubSignature,
+  extractTaskRefs,
+  parseGithubEvent,
+  nextStatus,
+} = require("../github");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", "github", name));
+const parse = (name) => JSON.parse(fixture(name).toString("utf8"));
+
+describe("GitHub webhook utilities", () => {
+  test("should verify signatures over the raw body", () => {
+    const raw = fixture("push.json");
+    const header = `sha256=${crypto
+      .createHmac("sha256", "gh-secret")
+      .update(raw)
+      .digest("hex")}`;
+
+    expect(verifyGithubSignature("gh-secret", raw, header)).toBe(true);
+    expect(verifyGithubSignature("other-secret", raw, header)).toBe(false);
+    expect(verifyGithubSignature("gh-secret", Buffer.concat([raw, Buffer.from(" ")]), header)).toBe(
+      false
+    );
+    expect(verifyGithubSignature("gh-secret", raw, "sha1=abc")).toBe(false);
+    expect(verifyGithubSignature("", raw, header)).toBe(false);
+  });
+
+  test("should find task references", () => {
+    expect(extractTaskRefs("Fix task-abc123XYZ and task:def456")).toEqual([
+      "abc123XYZ",
+      "def456",
+    ]);
+    expect(extractTaskRefs("feature/task-abc123XYZ-login", "TASK#abc123XYZ")).toEqual([
+      "abc123XYZ",
+    ]);
+    expect(extractTaskRefs("multitask-abc123XYZ", "task-abc")).toEqual([]);
+  });
+
+  test("should link push commits to the tasks they reference", () => {
+    const links = parseGithubEvent("push", parse("push.json"));
+
+    expect(links).toHaveLength(2);
+    expect(links[0]).toMatchObject({
+      key: "commit:firesite-io/firesite-project-service:8a1f3c2e9b7d4f6a0c5e1d2b3a4f5e6d7c8b9a0f",
+      type: "commit",
+      branch: "task-Q3kX9sLm2PzR7tYb1cVd-login-form",
+      message: "Validate email before submit",
+      author: "octocat",
+      taskIds: ["Q3kX9sLm2PzR7tYb1cVd"],
+      targetStatus: null,
+    });
+    expect(links[1].taskIds).toEqual(["Hn4Wb8Ue0GfJ2kLs6MaQ", "Q3kX9sLm2PzR7tYb1cVd"]);
+  });
+
+  test("should move tasks to review when a pull request opens", () => {
+    const [link] = parseGithubEvent("pull_request", parse("pull_request.opened.json"));
+
+    expect(link).toMatchObject({
+      key: "pull_request:firesite-io/firesite-project-service:42",
+      number: 42,
+      state: "open",
+      url: "https://github.com/firesite-io/firesite-project-service/pull/42",
+      taskIds: ["Q3kX9sLm2PzR7tYb1cVd"],
+      targetStatus: "review",
+    });
+  });
+
+  test("should move tasks to done when a pull request merges", () => {
+    const [link] = parseGithubEvent("pull_request", parse("pull_request.merged.json"));
+    expect(link).toMatchObject({ state: "merged", targetStatus: "done" });
+
+    const closed = parse("pull_request.merged.json");
+    closed.pull_request.merged = false;
+    expect(parseGithubEvent("pull_request", closed)[0]).toMatchObject({
+      state: "closed",
+      targetStatus: null,
+    });
+  });
+
+  test("should ignore unsupported events and keep finished tasks done", () => {
+    expect(parseGithubEvent("issues", {})).toBeNull();
+    expect(nextStatus("in-progress", "review")).toBe("review");
+    expect(nextStatus("done", "review")).toBeNull();
+    expect(nextStatus("review", "done")).toBe("done");
+    expect(nextStatus("done", "done")).toBeNull();
+    expect(nextStatus("todo", null)).toBeNull();
+  });
+});
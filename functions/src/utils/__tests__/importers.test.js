@@ -0,0 +1,168 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  parseCsv,
+  parseImportDate,
+  parseImport,
+  mapStatus,
+  normalizeStatusMap,
+  planImport,
+} = require("../importers");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", "imports", name), "utf8");
+
+describe("import utilities", () => {
+  test("should parse CSV with quotes, escaped quotes and line breaks", () => {
+    expect(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi""\nthere"\n\n1,\n')).toEqual([
+      ["a", "b"],
+      ["x, y", 'say "hi"\nthere'],
+      ["1", ""],
+    ]);
+    expect(() => parseCsv('a,"b')).toThrow(/unterminated/);
+  });
+
+  test("should read export dates", () => {
+    expect(parseImportDate("20/Feb/26 3:45 PM")).toBe("2026-02-20T15:45:00.000Z");
+    expect(parseImportDate("01/Mar/2026 12:05 AM")).toBe("2026-03-01T00:05:00.000Z");
+    expect(parseImportDate("2026-02-20")).toBe("2026-02-20T00:00:00.000Z");
+    expect(parseImportDate("next week")).toBeNull();
+    expect(parseImportDate("")).toBeNull();
+  });
+
+  test("should parse a Trello board export", () => {
+    const { items, labelColors, skipped } = parseImport("trello", fixture("trello-board.json"));
+
+    expect(skipped).toBe(2);
+    expect(items).toHaveLength(2);
+    expect(items[0]).toMatchObject({
+      sourceId: "card-1",
+      url: "https://trello.com/c/abc123",
+      title: "Fix checkout button",
+      status: "Doing",
+      labels: ["Bug", "green_dark"],
+      assignees: [{ name: "Ana Lima", username: "analima" }],
+      dueDate: "2026-03-01T17:00:00.000Z",
+    });
+    // Comments come out oldest first
+    expect(items[0].comments.map((comment) => comment.body)).toEqual([
+      "Looking into it",
+      "Reproduced on iOS too",
+    ]);
+    expect(labelColors).toEqual({ Bug: "#eb5a46", green_dark: "#61bd4f" });
+  });
+
+  test("should parse Jira CSV and JSON exports", () => {
+    const { items } = parseImport("jira", fixture("jira-issues.csv"));
+
+    expect(items[0]).toMatchObject({
+      sourceId: "WEB-12",
+      title: "Login fails with SSO",
+      description: 'Users see "invalid state"\nafter redirect',
+      status: "In Progress",
+      priority: "Highest",
+      labels: ["auth", "bug"],
+      assignees: [{ name: "Ana Lima" }],
+      dueDate: "2026-02-20T15:45:00.000Z",
+    });
+    expect(items[0].comments).toEqual([
+      { author: "ana", body: "First look; needs logs", createdAt: "2026-02-01T09:00:00.000Z" },
+      { author: "bo", body: "Logs attached", createdAt: "2026-02-02T10:30:00.000Z" },
+    ]);
+
+    const json = parseImport("jira", {
+      issues: [
+        {
+          key: "WEB-20",
+          fields: {
+            summary: "Dark mode",
+            status: { name: "Done" },
+            labels: ["ui"],
+            duedate: "2026-04-01",
+            description: {
+              type: "doc",
+              content: [{ type: "paragraph", content: [{ type: "text", text: "Follow the OS theme" }] }],
+            },
+            comment: { comments: [{ author: { displayName: "Bo Chen" }, body: "Shipped", created: "2026-03-30T08:00:00.000Z" }] },
+          },
+        },
+      ],
+    });
+    expect(json.items[0]).toMatchObject({
+      sourceId: "WEB-20",
+      description: "Follow the OS theme",
+      status: "Done",
+      dueDate: "2026-04-01T00:00:00.000Z",
+      comments: [{ author: "Bo Chen", body: "Shipped" }],
+    });
+  });
+
+  test("should parse a CSV using a column mapping", () => {
+    const csv = "Task,Stage,Tags,Owner,Due\nWrite docs,Doing,\"docs; writing\",ana@example.com,2026-05-01\n";
+
+    const { items } = parseImport("csv", csv, {
+      title: "Task",
+      status: "Stage",
+      labels: "Tags",
+      assignee: "Owner",
+      dueDate: "Due",
+    });
+    expect(items[0]).toMatchObject({
+      title: "Write docs",
+      status: "Doing",
+      labels: ["docs", "writing"],
+      assignees: [{ name: "ana@example.com" }],
+      dueDate: "2026-05-01T00:00:00.000Z",
+    });
+
+    expect(() => parseImport("csv", csv)).toThrow(/mapping/);
+    expect(() => parseImport("csv", csv, { title: "Name" })).toThrow("CSV has no column named: Name");
+    expect(() => parseImport("csv", csv, { title: "Task", owner: "Owner" })).toThrow(/Unknown mapping fields/);
+    expect(() => parseImport("asana", csv)).toThrow(/source must be/);
+    expect(() => parseImport("trello", "{oops")).toThrow(/not valid JSON/);
+  });
+
+  test("should map statuses onto Kanban columns", () => {
+    expect(mapStatus("Code Review")).toEqual({ status: "review", guessed: true });
+    expect(mapStatus("Shipped")).toEqual({ status: "done", guessed: true });
+    expect(mapStatus("Icebox")).toEqual({ status: "todo", guessed: true });
+    expect(mapStatus("icebox", { Icebox: "done" })).toEqual({ status: "done", guessed: false });
+    expect(() => normalizeStatusMap({ Icebox: "frozen" })).toThrow(/columns must be one of/);
+  });
+
+  test("should plan tasks and report what an import would create", () => {
+    const parsed = parseImport("jira", fixture("jira-issues.csv"));
+    const { tasks, labels, report } = planImport(parsed, {
+      source: "jira",
+      labels: ["Bug"],
+      members: [{ uid: "u-ana", name: "Ana Lima", email: "ana@example.com" }],
+      requiredFields: ["Severity"],
+    });
+
+    expect(tasks).toHaveLength(2);
+    expect(tasks[0]).toMatchObject({
+      title: "Login fails with SSO",
+      status: "in-progress",
+      priority: "high",
+      // Existing catalog names win over the imported spelling
+      labels: ["auth", "Bug"],
+      assignee: "u-ana",
+      import: { source: "jira", sourceId: "WEB-12", status: "In Progress", assignees: ["Ana Lima"] },
+    });
+    expect(tasks[1]).toMatchObject({ status: "review", priority: "low", assignee: null });
+    expect(labels).toEqual([{ name: "auth" }]);
+    expect(report).toMatchObject({
+      total: 2,
+      skipped: 1,
+      byStatus: { "in-progress": 1, review: 1 },
+      newLabels: ["auth"],
+      assignees: { matched: 1, unmatched: ["Someone Else"] },
+      comments: 2,
+      dueDates: 1,
+    });
+    expect(report.statusMapping).toContainEqual({ from: "Code Review", to: "review", guessed: true, count: 1 });
+    expect(report.warnings[0]).toMatch(/Item 3 \(WEB-14\) has no title/);
+    expect(report.warnings[1]).toMatch(/requires custom fields \(Severity\)/);
+    expect(report.preview[0]).toMatchObject({ title: "Login fails with SSO", comments: 2 });
+  });
+});
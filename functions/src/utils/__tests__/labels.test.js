@@ -0,0 +1,42 @@
+const {
+  DEFAULT_LABEL_COLOR,
+  labelKey,
+  normalizeLabel,
+  validateTaskLabels,
+  undefinedLabels,
+} = require("../labels");
+
+describe("label catalog utilities", () => {
+  test("should normalize label definitions", () => {
+    expect(normalizeLabel({ name: "  Bug ", color: "#D73A4A", group: "Type" })).toEqual({
+      name: "Bug",
+      color: "#d73a4a",
+      description: null,
+      group: "Type",
+    });
+    expect(normalizeLabel({ name: "Docs" }).color).toBe(DEFAULT_LABEL_COLOR);
+    expect(normalizeLabel({ description: "Needs review" }, { partial: true })).toEqual({
+      description: "Needs review",
+    });
+    expect(labelKey(" Bug ")).toBe(labelKey("bug"));
+  });
+
+  test("should reject invalid label definitions", () => {
+    expect(() => normalizeLabel({})).toThrow("name is required");
+    expect(() => normalizeLabel({ name: "a,b" })).toThrow(/commas/);
+    expect(() => normalizeLabel({ name: "Bug", color: "red" })).toThrow(/hex color/);
+    expect(() => normalizeLabel({ name: "Bug", group: 3 })).toThrow("group must be a string");
+    expect(() => normalizeLabel({ name: "x".repeat(51) })).toThrow(/50 characters/);
+  });
+
+  test("should only accept defined labels on tasks", () => {
+    const defined = new Set(["Bug", "Feature"]);
+
+    expect(validateTaskLabels(["Bug"])).toBeNull();
+    expect(validateTaskLabels("Bug")).toMatch(/array of label names/);
+    expect(validateTaskLabels(new Array(21).fill("Bug"))).toMatch(/at most 20/);
+    expect(undefinedLabels(["Bug", "bug", "Chore"], defined)).toEqual(["bug", "Chore"]);
+    // Labels the task already carries are left alone
+    expect(undefinedLabels(["Legacy", "Bug"], defined, ["Legacy"])).toEqual([]);
+  });
+});
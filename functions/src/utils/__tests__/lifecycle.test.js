@@ -0,0 +1,33 @@
+const {
+  LIFECYCLE,
+  isVisible,
+  readOnlyReason,
+  purgeDate,
+} = require("../lifecycle");
+
+describe("lifecycle utilities", () => {
+  test("should list active and legacy documents by default", () => {
+    expect(isVisible(undefined)).toBe(true);
+    expect(isVisible(LIFECYCLE.ACTIVE)).toBe(true);
+    expect(isVisible(LIFECYCLE.ARCHIVED)).toBe(false);
+    expect(isVisible(LIFECYCLE.DELETED)).toBe(false);
+  });
+
+  test("should include archived or deleted documents only when asked", () => {
+    expect(isVisible(LIFECYCLE.ARCHIVED, { includeArchived: true })).toBe(true);
+    expect(isVisible(LIFECYCLE.DELETED, { includeArchived: true })).toBe(false);
+    expect(isVisible(LIFECYCLE.DELETED, { includeDeleted: true })).toBe(true);
+  });
+
+  test("should explain why archived and deleted documents are read-only", () => {
+    expect(readOnlyReason(undefined)).toBeNull();
+    expect(readOnlyReason(LIFECYCLE.ARCHIVED, "Task")).toMatch(/^Task is archived/);
+    expect(readOnlyReason(LIFECYCLE.DELETED)).toMatch(/trash/);
+  });
+
+  test("should purge after the retention period", () => {
+    const deletedAt = new Date("2025-01-01T00:00:00Z");
+    expect(purgeDate(deletedAt).toISOString()).toBe("2025-01-31T00:00:00.000Z");
+    expect(purgeDate(deletedAt, 1).toISOString()).toBe("2025-01-02T00:00:00.000Z");
+  });
+});
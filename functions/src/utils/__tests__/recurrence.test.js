@@ -0,0 +1,87 @@
+const { parseRule, nextOccurrence } = require("../recurrence");
+
+/**
+ * List the first occurrences of a rule from its start
+ */
+function occurrences(rrule, start, count) {
+  const rule = parseRule(rrule);
+  const dates = [];
+  let after = new Date(new Date(start).getTime() - 1);
+  while (dates.length < count) {
+    const next = nextOccurrence(rule, start, after);
+    if (!next) break;
+    dates.push(next.toISOString().slice(0, 10));
+    after = next;
+  }
+  return dates;
+}
+
+describe("recurrence rules", () => {
+  test("should parse supported rules", () => {
+    expect(parseRule("RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR")).toEqual({
+      freq: "WEEKLY",
+      interval: 2,
+      byDay: [
+        { weekday: 1, ordinal: null },
+        { weekday: 5, ordinal: null },
+      ],
+      byMonthDay: [],
+      count: null,
+      until: null,
+    });
+    expect(parseRule("FREQ=MONTHLY;BYDAY=-1FR").byDay).toEqual([
+      { weekday: 5, ordinal: -1 },
+    ]);
+    expect(parseRule("FREQ=DAILY;UNTIL=20260331").until).toEqual(
+      new Date("2026-03-31T23:59:59Z")
+    );
+  });
+
+  test("should reject unsupported rules", () => {
+    expect(() => parseRule("")).toThrow(/RRULE string/);
+    expect(() => parseRule("FREQ=YEARLY")).toThrow("FREQ must be one of DAILY, WEEKLY, MONTHLY");
+    expect(() => parseRule("FREQ=DAILY;BYHOUR=9")).toThrow("Unsupported rule parts: BYHOUR");
+    expect(() => parseRule("FREQ=WEEKLY;BYDAY=2TU")).toThrow(/FREQ=MONTHLY/);
+    expect(() => parseRule("FREQ=DAILY;INTERVAL=0")).toThrow("INTERVAL must be a positive integer");
+    expect(() => parseRule("FREQ=DAILY;COUNT=3;UNTIL=20260301")).toThrow(/cannot be combined/);
+  });
+
+  test("should repeat daily and on weekdays", () => {
+    expect(occurrences("FREQ=DAILY;INTERVAL=2", "2026-03-02T09:00:00Z", 3)).toEqual([
+      "2026-03-02",
+      "2026-03-04",
+      "2026-03-06",
+    ]);
+    // 2026-03-06 is a Friday
+    expect(
+      occurrences("FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR", "2026-03-05T09:00:00Z", 4)
+    ).toEqual(["2026-03-05", "2026-03-06", "2026-03-09", "2026-03-10"]);
+    expect(occurrences("FREQ=WEEKLY;INTERVAL=2", "2026-03-02T09:00:00Z", 2)).toEqual([
+      "2026-03-02",
+      "2026-03-16",
+    ]);
+  });
+
+  test("should repeat monthly on a day or the Nth weekday", () => {
+    expect(occurrences("FREQ=MONTHLY;BYMONTHDAY=15", "2026-01-20T09:00:00Z", 2)).toEqual([
+      "2026-02-15",
+      "2026-03-15",
+    ]);
+    expect(occurrences("FREQ=MONTHLY;BYMONTHDAY=-1", "2026-01-01T09:00:00Z", 2)).toEqual([
+      "2026-01-31",
+      "2026-02-28",
+    ]);
+    expect(occurrences("FREQ=MONTHLY;BYDAY=2TU", "2026-03-01T09:00:00Z", 2)).toEqual([
+      "2026-03-10",
+      "2026-04-14",
+    ]);
+  });
+
+  test("should keep the time of day and stop at UNTIL", () => {
+    const rule = parseRule("FREQ=DAILY;UNTIL=20260303");
+    const next = nextOccurrence(rule, "2026-03-01T09:30:00Z", "2026-03-02T12:00:00Z");
+
+    expect(next).toEqual(new Date("2026-03-03T09:30:00Z"));
+    expect(nextOccurrence(rule, "2026-03-01T09:30:00Z", next)).toBeNull();
+  });
+});
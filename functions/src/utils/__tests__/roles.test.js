@@ -0,0 +1,39 @@
+const {
+  ROLES,
+  isRole,
+  hasPermission,
+  canAssignRole,
+  permissionForMethod,
+} = require("../roles");
+
+describe("role utilities", () => {
+  test("should recognise project roles", () => {
+    expect(isRole("ai-agent")).toBe(true);
+    expect(isRole("superuser")).toBe(false);
+    expect(isRole("hasOwnProperty")).toBe(false);
+  });
+
+  test("should grant permissions by role", () => {
+    expect(hasPermission(ROLES.VIEWER, "task:read")).toBe(true);
+    expect(hasPermission(ROLES.VIEWER, "task:write")).toBe(false);
+    expect(hasPermission(ROLES.AI_AGENT, "task:write")).toBe(true);
+    expect(hasPermission(ROLES.AI_AGENT, "members:manage")).toBe(false);
+    expect(hasPermission(ROLES.ADMIN, "project:delete")).toBe(false);
+    expect(hasPermission(ROLES.OWNER, "project:delete")).toBe(true);
+    expect(hasPermission(undefined, "task:read")).toBe(false);
+  });
+
+  test("should only let owners manage owners", () => {
+    expect(canAssignRole(ROLES.OWNER, ROLES.OWNER)).toBe(true);
+    expect(canAssignRole(ROLES.ADMIN, ROLES.OWNER)).toBe(false);
+    expect(canAssignRole(ROLES.ADMIN, ROLES.MEMBER)).toBe(true);
+    expect(canAssignRole(ROLES.MEMBER, ROLES.VIEWER)).toBe(false);
+    expect(canAssignRole(ROLES.OWNER, "superuser")).toBe(false);
+  });
+
+  test("should derive read or write permissions from the method", () => {
+    expect(permissionForMethod("GET")).toBe("task:read");
+    expect(permissionForMethod("POST")).toBe("task:write");
+    expect(permissionForMethod("HEAD")).toBe("task:read");
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  tokenize,
+  levenshteinDistance,
+  matchToken,
+  highlightMatches,
+  parseSearchQuery,
+  parseSearchTypes,
+  indexKeys,
+  queryKeys,
+  buildEntry,
+  scoreEntry,
+  snippet,
+} = require("../search");
+
+describe("search utilities", () => {
+  test("should tokenize and match words exactly, by prefix or with typos", () => {
+    expect(tokenize("Fix the log-in (SSO) page!")).toEqual(["fix", "the", "log", "in", "sso", "page"]);
+    expect(levenshteinDistance("login", "logni")).toBe(2);
+
+    expect(matchToken("login", "login")).toBe("exact");
+    expect(matchToken("log", "login")).toBe("prefix");
+    expect(matchToken("checkuot", "checkout")).toBe("fuzzy");
+    expect(matchToken("checkuot", "checkout", { fuzzyMatch: false })).toBeNull();
+    // Short words allow no typos
+    expect(matchToken("bug", "bag")).toBeNull();
+  });
+
+  test("should highlight matching words and cut snippets around them", () => {
+    const text = "Users cannot login after the checkout redirect";
+    expect(highlightMatches(text, ["log", "chekout"])).toEqual([
+      { start: 13, end: 16, token: "log" },
+      { start: 29, end: 37, token: "checkout", fuzzy: true },
+    ]);
+
+    const long = `${"Lorem ipsum dolor sit amet. ".repeat(10)}The login\nbutton fails. ${"More text here. ".repeat(10)}`;
+    const cut = snippet(long, highlightMatches(long, ["login"]), 60);
+    expect(cut.text.startsWith("…")).toBe(true);
+    expect(cut.text.endsWith("…")).toBe(true);
+    expect(cut.text).not.toContain("\n");
+    const [range] = cut.highlights;
+    expect(cut.text.slice(range.start, range.end)).toBe("login");
+
+    expect(snippet("Short text", [{ start: 0, end: 5 }])).toEqual({
+      text: "Short text",
+      highlights: [{ start: 0, end: 5 }],
+    });
+  });
+
+  test("should read queries and result types", () => {
+    expect(parseSearchQuery("  Login login a SSO ")).toEqual(["login", "sso"]);
+    expect(() => parseSearchQuery("")).toThrow("q is required");
+    expect(() => parseSearchQuery("a b")).toThrow(/at least 2 characters/);
+    expect(() => parseSearchQuery("x".repeat(201))).toThrow(/200 characters/);
+
+    expect(parseSearchTypes()).toEqual(["task", "comment", "project"]);
+    expect(parseSearchTypes("task, comment")).toEqual(["task", "comment"]);
+    expect(() => parseSearchTypes("task,file")).toThrow(/types must be/);
+  });
+
+  test("should index prefixes so typed words and typos find their entries", () => {
+    const entry = buildEntry("task", {
+      taskId: "t1",
+      title: "Checkout fails",
+      text: "Payment is declined on iOS",
+    });
+
+    expect(entry).toMatchObject({ type: "task", taskId: "t1", title: "Checkout fails" });
+    expect(entry.keys).toEqual(
+      expect.arrayContaining(["ch", "che", "fa", "fai", "pa", "pay", "io", "ios", "on"])
+    );
+    queryKeys(["chekout", "paym"]).forEach((key) => expect(entry.keys).toContain(key));
+
+    const exact = scoreEntry(entry, ["checkout"]);
+    const typo = scoreEntry(entry, ["chekout"]);
+    const inText = scoreEntry(entry, ["payment"]);
+    expect(exact.score).toBe(1);
+    expect(typo.score).toBeLessThan(exact.score);
+    expect(inText.score).toBeLessThan(exact.score);
+    expect(inText.text).toEqual([{ start: 0, end: 7, token: "Payment" }]);
+    expect(scoreEntry(entry, ["checkout", "android"]).score).toBe(0.5);
+    expect(indexKeys(["", null, "a"])).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+const {
+  SPRINT_STATES,
+  validateSprintDates,
+  pickNextSprint,
+  summarizeSprint,
+} = require("../sprints");
+
+describe("sprint utilities", () => {
+  test("should validate sprint dates", () => {
+    expect(validateSprintDates("2026-03-02", "2026-03-16")).toBeNull();
+    expect(validateSprintDates("soon", "2026-03-16")).toBe("startDate must be a valid date");
+    expect(validateSprintDates("2026-03-02")).toBe("endDate must be a valid date");
+    expect(validateSprintDates("2026-03-16", "2026-03-02")).toBe(
+      "endDate must be after startDate"
+    );
+  });
+
+  test("should roll over into the earliest planned sprint", () => {
+    const sprints = [
+      { id: "s1", state: SPRINT_STATES.ACTIVE, startDate: "2026-03-02" },
+      { id: "s3", state: SPRINT_STATES.PLANNED, startDate: "2026-03-30" },
+      { id: "s2", state: SPRINT_STATES.PLANNED, startDate: "2026-03-16" },
+      { id: "s0", state: SPRINT_STATES.CLOSED, startDate: "2026-02-16" },
+    ];
+
+    expect(pickNextSprint(sprints, "s1").id).toBe("s2");
+    expect(pickNextSprint(sprints.slice(0, 1), "s1")).toBeNull();
+  });
+
+  test("should snapshot committed against completed work", () => {
+    const summary = summarizeSprint(
+      ["t1", "t2", "t3", "t4"],
+      [
+        { id: "t1", status: "done" },
+        { id: "t2", status: "in-progress" },
+        { id: "t3", status: "validated" },
+        { id: "t5", status: "done" },
+        { id: "t6", status: "todo" },
+      ]
+    );
+
+    expect(summary.completed).toEqual(["t1", "t3", "t5"]);
+    expect(summary.carriedOver).toEqual(["t2", "t6"]);
+    expect(summary.added).toEqual(["t5", "t6"]);
+    expect(summary.removed).toEqual(["t4"]);
+    expect(summary.counts).toEqual({
+      committed: 4,
+      completed: 3,
+      completedCommitted: 2,
+      carriedOver: 2,
+      added: 2,
+      removed: 1,
+    });
+    expect(summary.completionRate).toBe(0.5);
+    expect(summarizeSprint([], []).completionRate).toBeNull();
+  });
+});
@@ -0,0 +1,61 @@
+const {
+  isDoneStatus,
+  buildAdjacency,
+  findPath,
+  findCycle,
+  blockedChains,
+} = require("../task-graph");
+
+describe("task graph utilities", () => {
+  // c depends on b, b depends on a
+  const adjacency = buildAdjacency([
+    { id: "a", dependsOn: [] },
+    { id: "b", data: { dependsOn: ["a"] } },
+    { id: "c", dependsOn: ["b"] },
+  ]);
+
+  test("should recognise finished statuses regardless of case", () => {
+    expect(isDoneStatus("done")).toBe(true);
+    expect(isDoneStatus("VALIDATED")).toBe(true);
+    expect(isDoneStatus("in-progress")).toBe(false);
+    expect(isDoneStatus(undefined)).toBe(false);
+  });
+
+  test("should find a path along prerequisite edges", () => {
+    expect(findPath(adjacency, "c", "a")).toEqual(["c", "b", "a"]);
+    expect(findPath(adjacency, "a", "c")).toBeNull();
+  });
+
+  test("should report the cycle a new edge would create", () => {
+    expect(findCycle(adjacency, "a", "c")).toEqual(["a", "c", "b", "a"]);
+    expect(findCycle(adjacency, "c", "a")).toBeNull();
+    expect(findCycle(adjacency, "a", "a")).toEqual(["a", "a"]);
+  });
+
+  test("should list chains of unfinished prerequisites", () => {
+    const statuses = new Map([
+      ["a", "todo"],
+      ["b", "blocked"],
+      ["c", "blocked"],
+    ]);
+    expect(blockedChains(adjacency, statuses, "c")).toEqual([["c", "b", "a"]]);
+
+    statuses.set("a", "done");
+    expect(blockedChains(adjacency, statuses, "c")).toEqual([["c", "b"]]);
+
+    statuses.set("b", "done");
+    expect(blockedChains(adjacency, statuses, "c")).toEqual([]);
+  });
+
+  test("should not loop on existing cycles", () => {
+    const cyclic = buildAdjacency([
+      { id: "x", dependsOn: ["y"] },
+      { id: "y", dependsOn: ["x"] },
+    ]);
+    const statuses = new Map([
+      ["x", "todo"],
+      ["y", "todo"],
+    ]);
+    expect(blockedChains(cyclic, statuses, "x")).toEqual([["x", "y"]]);
+  });
+});
@@ -0,0 +1,65 @@
+const {
+  entryMinutes,
+  toHours,
+  resolveManualEntry,
+  validateReportRange,
+  summarizeEntries,
+} = require("../time-tracking");
+
+const now = new Date("2026-03-10T12:00:00Z");
+
+describe("time tracking utilities", () => {
+  test("should count running timers up to now", () => {
+    expect(entryMinutes({ running: true, startedAt: "2026-03-10T10:30:00Z" }, now)).toBe(90);
+    expect(entryMinutes({ running: false, minutes: 25 }, now)).toBe(25);
+    expect(toHours(90)).toBe(1.5);
+    expect(toHours(20)).toBe(0.33);
+  });
+
+  test("should resolve manual entries", () => {
+    expect(resolveManualEntry({ startedAt: "2026-03-10T09:00:00Z", minutes: 45 })).toEqual({
+      startedAt: new Date("2026-03-10T09:00:00Z"),
+      stoppedAt: new Date("2026-03-10T09:45:00Z"),
+      minutes: 45,
+    });
+    expect(
+      resolveManualEntry({
+        startedAt: "2026-03-10T09:00:00Z",
+        stoppedAt: "2026-03-10T11:00:00Z",
+      }).minutes
+    ).toBe(120);
+    expect(() => resolveManualEntry({ minutes: 5 })).toThrow("startedAt must be a valid date");
+    expect(() =>
+      resolveManualEntry({ startedAt: "2026-03-10T09:00:00Z", minutes: 1.5 })
+    ).toThrow(/whole number/);
+    expect(() =>
+      resolveManualEntry({ startedAt: "2026-03-10T09:00:00Z", minutes: 2000 })
+    ).toThrow(/cannot exceed/);
+  });
+
+  test("should bound timesheet ranges", () => {
+    const from = new Date("2026-03-01");
+    expect(validateReportRange(from, new Date("2026-03-31"))).toBeNull();
+    expect(validateReportRange(from, from)).toBe("to must be after from");
+    expect(validateReportRange(from, new Date("2026-12-31"))).toMatch(/at most 93 days/);
+    expect(validateReportRange(null, from)).toMatch(/valid dates/);
+  });
+
+  test("should total entries per user, task, project and day", () => {
+    const summary = summarizeEntries(
+      [
+        { uid: "u1", taskId: "t1", projectId: "p1", startedAt: "2026-03-09T09:00:00Z", minutes: 60 },
+        { uid: "u2", taskId: "t1", projectId: "p1", startedAt: "2026-03-10T09:00:00Z", minutes: 30 },
+        { uid: "u1", taskId: "t2", projectId: "p2", startedAt: "2026-03-10T11:00:00Z", running: true },
+      ],
+      now
+    );
+
+    expect(summary.totalMinutes).toBe(150);
+    expect(summary.totalHours).toBe(2.5);
+    expect(summary.byUser).toEqual({ u1: 120, u2: 30 });
+    expect(summary.byTask).toEqual({ t1: 90, t2: 60 });
+    expect(summary.byProject).toEqual({ p1: 90, p2: 60 });
+    expect(summary.byDay).toEqual({ "2026-03-09": 60, "2026-03-10": 90 });
+  });
+});
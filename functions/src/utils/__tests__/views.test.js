@@ -0,0 +1,50 @@
+const { normalizeView, viewQuery } = require("../views");
+
+describe("saved view utilities", () => {
+  test("should normalize a view with defaults", () => {
+    const view = normalizeView({
+      name: " My open bugs ",
+      filters: { assignee: "@me", label: "Bug", overdue: false, cf: { severity: "high" } },
+      orderBy: "priority:DESC,createdAt",
+    });
+
+    expect(view).toEqual({
+      name: "My open bugs",
+      description: null,
+      scope: "personal",
+      viewType: "board",
+      groupBy: "status",
+      filters: { assignee: "@me", label: "Bug", cf: { severity: "high" } },
+      orderBy: "priority:desc,createdAt:asc",
+      columns: null,
+    });
+    expect(normalizeView({ columns: ["todo", "todo", "done"] }, { partial: true })).toEqual({
+      columns: ["todo", "done"],
+    });
+  });
+
+  test("should reject invalid views", () => {
+    expect(() => normalizeView({})).toThrow("name is required");
+    expect(() => normalizeView({ name: "v", scope: "team" })).toThrow(/scope must be/);
+    expect(() => normalizeView({ name: "v", viewType: "gantt" })).toThrow(/viewType/);
+    expect(() => normalizeView({ name: "v", groupBy: "title" })).toThrow(/groupBy/);
+    expect(normalizeView({ name: "v", groupBy: "customFields.team" }).groupBy).toBe("customFields.team");
+    expect(() => normalizeView({ name: "v", filters: { owner: "x" } })).toThrow("Unknown filters: owner");
+    expect(() => normalizeView({ name: "v", filters: { dueAfter: "soon" } })).toThrow(/must be a date/);
+    expect(() => normalizeView({ name: "v", filters: { overdue: "yes" } })).toThrow(/true or false/);
+    expect(() => normalizeView({ name: "v", orderBy: "priority:up" })).toThrow(/direction/);
+    expect(() => normalizeView({ name: "v", columns: "todo" })).toThrow(/array of column names/);
+  });
+
+  test("should build the task query of a view for the current user", () => {
+    const view = { filters: { assignee: "@me", status: "todo" }, orderBy: "dueDate:asc" };
+
+    expect(viewQuery(view, "p1", "u1")).toEqual({
+      projectId: "p1",
+      assignee: "u1",
+      status: "todo",
+      orderBy: "dueDate:asc",
+    });
+    expect(viewQuery({ filters: { assignee: "u2" } }, "p1", "u1").assignee).toBe("u2");
+  });
+});
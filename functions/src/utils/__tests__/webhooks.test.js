@@ -0,0 +1,95 @@
+const {
+  MAX_ATTEMPTS,
+  validateEventFilter,
+  matchesEvent,
+  isBlockedAddress,
+  validateWebhookUrl,
+  checkWebhookTarget,
+  signPayload,
+  verifySignature,
+  retryDelay,
+} = require("../webhooks");
+
+describe("webhook utilities", () => {
+  test("should validate event filters", () => {
+    expect(validateEventFilter(["task.created", "project.*"])).toBeNull();
+    expect(validateEventFilter(["*"])).toBeNull();
+    expect(validateEventFilter([])).toMatch(/non-empty/);
+    expect(validateEventFilter(["task.exploded", "sprint.*"])).toBe(
+      "Unknown events: task.exploded, sprint.*"
+    );
+  });
+
+  test("should match events against filters", () => {
+    expect(matchesEvent(["task.moved"], "task.moved")).toBe(true);
+    expect(matchesEvent(["task.moved"], "task.updated")).toBe(false);
+    expect(matchesEvent(["task.*"], "task.deleted")).toBe(true);
+    expect(matchesEvent(["task.*"], "project.updated")).toBe(false);
+    expect(matchesEvent(["*"], "project.purged")).toBe(true);
+    expect(matchesEvent(undefined, "task.created")).toBe(false);
+  });
+
+  test("should require https", () => {
+    expect(validateWebhookUrl("https://hooks.example.com/firesite")).toBeNull();
+    expect(validateWebhookUrl("http://localhost:3000/hook")).toBe("url must use https");
+    expect(validateWebhookUrl("http://hooks.example.com")).toBe("url must use https");
+    expect(validateWebhookUrl("hooks.example.com")).toMatch(/absolute/);
+  });
+
+  test("should reject internal hosts and private addresses", () => {
+    [
+      "https://localhost/hook",
+      "https://127.0.0.1/hook",
+      "https://[::1]/hook",
+      "https://169.254.169.254/computeMetadata/v1",
+      "https://10.0.0.8/hook",
+      "https://172.20.1.1/hook",
+      "https://192.168.1.10/hook",
+      "https://metadata.google.internal/",
+      "https://printer.local/hook",
+    ].forEach((url) => expect(validateWebhookUrl(url)).toMatch(/private or reserved/));
+    expect(validateWebhookUrl("https://8.8.8.8/hook")).toBeNull();
+
+    expect(isBlockedAddress("172.32.0.1")).toBe(false);
+    expect(isBlockedAddress("fd12::1")).toBe(true);
+    expect(isBlockedAddress("fe80::1")).toBe(true);
+    expect(isBlockedAddress("::ffff:10.0.0.1")).toBe(true);
+    expect(isBlockedAddress("2606:4700::1111")).toBe(false);
+  });
+
+  test("should reject hosts that resolve to private addresses", async () => {
+    const resolvesTo = (...addresses) => async () =>
+      addresses.map((address) => ({ address }));
+
+    await expect(
+      checkWebhookTarget("https://hooks.example.com", resolvesTo("93.184.216.34"))
+    ).resolves.toBeNull();
+    await expect(
+      checkWebhookTarget("https://rebind.example.com", resolvesTo("93.184.216.34", "10.0.0.1"))
+    ).resolves.toMatch(/rebind.example.com resolves to a local/);
+    await expect(
+      checkWebhookTarget("http://hooks.example.com", resolvesTo("93.184.216.34"))
+    ).resolves.toBe("url must use https");
+  });
+
+  test("should sign payloads verifiably", () => {
+    const body = JSON.stringify({ event: "task.created", data: { id: "t1" } });
+    const header = signPayload("whsec_test", body, 1700000000);
+
+    expect(header).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+    expect(verifySignature("whsec_test", body, header, { now: 1700000100 })).toBe(true);
+    expect(verifySignature("whsec_other", body, header, { now: 1700000100 })).toBe(false);
+    expect(verifySignature("whsec_test", `${body} `, header, { now: 1700000100 })).toBe(
+      false
+    );
+    expect(verifySignature("whsec_test", body, header, { now: 1700001000 })).toBe(false);
+    expect(verifySignature("whsec_test", body, "garbage")).toBe(false);
+  });
+
+  test("should back off exponentially until attempts run out", () => {
+    expect(retryDelay(1)).toBe(60 * 1000);
+    expect(retryDelay(2)).toBe(2 * 60 * 1000);
+    expect(retryDelay(4)).toBe(8 * 60 * 1000);
+    expect(retryDelay(MAX_ATTEMPTS)).toBeNull();
+  });
+});
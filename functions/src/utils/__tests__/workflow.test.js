@@ -0,0 +1,115 @@
+const {
+  statusKey,
+  validateWorkflow,
+  findState,
+  allowedTargets,
+  evaluateTransition,
+} = require("../workflow");
+
+const definition = {
+  states: [
+    { id: "todo", name: "To Do", category: "todo", aliases: ["backlog"] },
+    { id: "doing", name: "In Progress", category: "in-progress", requiredFields: ["assignedTo"] },
+    { id: "review", category: "in-progress", requiredFields: ["customFields.reviewer"] },
+    { id: "done", name: "Done", category: "done" },
+  ],
+  transitions: [
+    { from: "todo", to: "doing" },
+    { from: "doing", to: "review" },
+    { from: "review", to: "doing" },
+    { from: "review", to: "done", roles: ["owner", "admin"] },
+    { from: "*", to: "todo" },
+  ],
+};
+
+describe("workflow utilities", () => {
+  test("should normalize a valid workflow definition", () => {
+    const workflow = validateWorkflow(definition);
+
+    expect(workflow.initialState).toBe("todo");
+    expect(workflow.states[2]).toEqual({
+      id: "review",
+      name: "review",
+      category: "in-progress",
+      requiredFields: ["customFields.reviewer"],
+      aliases: [],
+    });
+    expect(workflow.transitions[4]).toEqual({ from: "*", to: "todo" });
+    expect(statusKey(" In_Progress ")).toBe("in-progress");
+    expect(findState(workflow, "DOING").id).toBe("doing");
+    expect(findState(workflow, "Backlog").id).toBe("todo");
+    expect(findState(workflow, "blocked")).toBeNull();
+  });
+
+  test("should report every problem in an invalid definition", () => {
+    expect(() => validateWorkflow({ states: [] })).toThrow("states must be a non-empty array");
+
+    let message = "";
+    try {
+      validateWorkflow({
+        states: [
+          { id: "todo", category: "todo" },
+          { id: "TODO", category: "done" },
+          { id: "doing", category: "started", aliases: ["todo"] },
+        ],
+        initialState: "review",
+        transitions: [{ from: "todo", to: "shipped", roles: ["guest"] }],
+      });
+    } catch (error) {
+      message = error.message;
+    }
+
+    expect(message).toContain("Duplicate state: TODO");
+    expect(message).toContain("doing: category must be one of todo, in-progress, done");
+    expect(message).toContain("doing: alias todo already names todo");
+    expect(message).toContain("initialState must name a state: review");
+    expect(message).toContain("transitions[0]: to must name a state");
+    expect(message).toContain("transitions[0]: unknown roles: guest");
+  });
+
+  test("should limit moves to the allowed transitions and roles", () => {
+    const workflow = validateWorkflow(definition);
+
+    expect(allowedTargets(workflow, "todo")).toEqual(["doing"]);
+    expect(allowedTargets(workflow, "review")).toEqual(["doing", "done", "todo"]);
+    expect(allowedTargets(workflow, "review", "member")).toEqual(["doing", "todo"]);
+    // Statuses outside the workflow can move anywhere
+    expect(allowedTargets(workflow, "blocked")).toEqual(["todo", "doing", "review", "done"]);
+
+    const task = { assignedTo: "u1", customFields: { reviewer: "u2" } };
+    expect(evaluateTransition(workflow, task, { from: "todo", to: "done" })).toMatchObject({
+      error: "Tasks cannot move from todo to done",
+      allowed: ["doing"],
+    });
+    expect(
+      evaluateTransition(workflow, task, { from: "review", to: "done", role: "member" }).error
+    ).toBe("Your member role may not move tasks from review to done");
+    expect(
+      evaluateTransition(workflow, task, { from: "review", to: "DONE", role: "admin" })
+    ).toMatchObject({ error: null, state: { id: "done" } });
+    expect(evaluateTransition(workflow, task, { from: "todo", to: "shipped" }).error).toBe(
+      "shipped is not a state of this workflow. Expected one of: todo, doing, review, done"
+    );
+
+    // Workflows without transitions only check states and required fields
+    const open = validateWorkflow({ ...definition, transitions: undefined });
+    expect(evaluateTransition(open, task, { from: "todo", to: "done" }).error).toBeNull();
+  });
+
+  test("should require fields when entering a state", () => {
+    const workflow = validateWorkflow(definition);
+
+    expect(
+      evaluateTransition(workflow, { assignedTo: " " }, { from: "todo", to: "doing" })
+    ).toMatchObject({ error: "doing requires assignedTo", missing: ["assignedTo"] });
+    expect(
+      evaluateTransition(workflow, { customFields: {} }, { from: "doing", to: "review" }).missing
+    ).toEqual(["customFields.reviewer"]);
+    // Staying in a state is not re-checked; new tasks are checked on the state they start in
+    expect(evaluateTransition(workflow, {}, { from: "doing", to: "doing" }).error).toBeNull();
+    expect(evaluateTransition(workflow, {}, { from: null, to: "todo" }).error).toBeNull();
+    expect(evaluateTransition(workflow, {}, { from: null, to: "doing" }).missing).toEqual([
+      "assignedTo",
+    ]);
+  });
+});
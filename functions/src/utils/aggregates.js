@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Count, sum, min, max and average accumulators over documents,
+ * optionally grouped by field values
+ * @module utils/aggregates
+ */
+
+/**
+ * Aggregate types
+ * @const {Array<string>}
+ */
+const AGGREGATE_TYPES = ["count", "sum", "min", "max", "avg"];
+
+/**
+ * Create an empty accumulator
+ * @returns {Object} { count, sum, min, max, avg }
+ */
+function emptyAggregate() {
+  return {
+    count: 0,
+    sum: 0,
+    min: null,
+    max: null,
+    avg: 0,
+  };
+}
+
+/**
+ * Add a value to an accumulator. count always grows; the other totals are
+ * only kept for the aggregate's type.
+ * @param {Object} agg - Accumulator from emptyAggregate
+ * @param {string} type - Aggregate type
+ * @param {number} value - Value
+ */
+function addValue(agg, type, value) {
+  agg.count++;
+
+  switch (type) {
+    case "sum":
+      agg.sum += value;
+      break;
+    case "min":
+      agg.min = agg.min === null ? value : Math.min(agg.min, value);
+      break;
+    case "max":
+      agg.max = agg.max === null ? value : Math.max(agg.max, value);
+      break;
+    case "avg":
+      agg.sum += value;
+      agg.avg = agg.sum / agg.count;
+      break;
+  }
+}
+
+/**
+ * Add a document's values to a set of accumulators
+ * @private
+ */
+function addDocument(results, aggregates, doc) {
+  for (const [name, config] of Object.entries(aggregates)) {
+    const { field, type } = config;
+    const value = doc[field];
+
+    if (value !== undefined && value !== null) {
+      addValue(results[name], type, value);
+    }
+  }
+}
+
+/**
+ * Aggregate documents, overall and per group
+ * @param {Array<Object>} docs - Documents
+ * @param {Object} [aggregates] - Aggregates by name ({ field, type })
+ * @param {Array<string>} [groupBy] - Fields whose values form the groups
+ * @returns {Object} { aggregates, groups }: groups (in order of first
+ *   appearance) are { group, docs, aggregates }, empty without groupBy
+ */
+function aggregateDocs(docs, aggregates = {}, groupBy = []) {
+  const empty = () =>
+    Object.fromEntries(Object.keys(aggregates).map((name) => [name, emptyAggregate()]));
+
+  const overall = empty();
+  const groups = new Map();
+
+  docs.forEach((doc) => {
+    addDocument(overall, aggregates, doc);
+    if (groupBy.length === 0) return;
+
+    const groupKey = groupBy.map((field) => doc[field]).join("|");
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        group: Object.fromEntries(groupBy.map((field) => [field, doc[field]])),
+        docs: [],
+        aggregates: empty(),
+      });
+    }
+
+    const group = groups.get(groupKey);
+    group.docs.push(doc);
+    addDocument(group.aggregates, aggregates, doc);
+  });
+
+  return { aggregates: overall, groups: [...groups.values()] };
+}
+
+module.exports = {
+  AGGREGATE_TYPES,
+  emptyAggregate,
+  addValue,
+  aggregateDocs,
+};
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Personal access token and project API key helpers. Tokens are
+ * shown once on creation; only their SHA-256 hash is stored.
+ * @module utils/api-tokens
+ */
+
+const crypto = require("crypto");
+const { ROLES } = require("./roles");
+
+/**
+ * Token kinds and the prefix their secrets start with
+ * @const {Object}
+ */
+const TOKEN_KINDS = {
+  PERSONAL: "personal",
+  PROJECT: "project",
+};
+
+const TOKEN_PREFIXES = {
+  [TOKEN_KINDS.PERSONAL]: "fsp_",
+  [TOKEN_KINDS.PROJECT]: "fsk_",
+};
+
+/**
+ * Project permissions granted by each token scope. A token never grants more
+ * than the role of the user or key it acts as.
+ * @const {Object<string, Array<string>>}
+ */
+const SCOPE_PERMISSIONS = {
+  "tasks:read": ["project:read", "task:read"],
+  "tasks:write": ["project:read", "task:read", "task:write"],
+  "projects:admin": [
+    "project:read",
+    "project:update",
+    "project:delete",
+    "members:manage",
+    "task:read",
+    "task:write",
+  ],
+};
+
+const TOKEN_SCOPES = Object.keys(SCOPE_PERMISSIONS);
+
+/**
+ * Expiry applied when none is requested, and the longest allowed
+ * @const {number}
+ */
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * Generate a new token secret
+ * @param {string} kind - personal or project
+ * @returns {string} Token, e.g. fsp_3q2… (32 random characters after the prefix)
+ */
+function generateToken(kind) {
+  return TOKEN_PREFIXES[kind] + crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token secret
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Kind of a token, judged by its prefix
+ * @param {string} token - Bearer credential
+ * @returns {string|null} personal, project, or null for anything else (such as
+ *   a Firebase ID token)
+ */
+function tokenKind(token) {
+  if (typeof token !== "string") return null;
+  const kind = Object.keys(TOKEN_PREFIXES).find((key) =>
+    token.startsWith(TOKEN_PREFIXES[key])
+  );
+  return kind || null;
+}
+
+/**
+ * Validate requested scopes
+ * @param {*} scopes - Requested scopes
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return `scopes must be a non-empty array of ${TOKEN_SCOPES.join(", ")}`;
+  }
+  const unknown = scopes.filter((scope) => !TOKEN_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Whether a set of scopes grants a project permission
+ * @param {Array<string>} scopes - Token scopes
+ * @param {string} permission - Permission, e.g. "task:write"
+ * @returns {boolean} Whether the permission is granted
+ */
+function scopesAllow(scopes, permission) {
+  return (scopes || []).some(
+    (scope) =>
+      TOKEN_SCOPES.includes(scope) && SCOPE_PERMISSIONS[scope].includes(permission)
+  );
+}
+
+/**
+ * Role a project API key acts with on its project and sub-projects
+ * @param {Array<string>} scopes - Key scopes
+ * @returns {string} admin, ai-agent or viewer
+ */
+function roleForScopes(scopes) {
+  if (scopes.includes("projects:admin")) return ROLES.ADMIN;
+  if (scopes.includes("tasks:write")) return ROLES.AI_AGENT;
+  return ROLES.VIEWER;
+}
+
+/**
+ * Compute a token's expiry date
+ * @param {number} [days] - Days until expiry; defaults to DEFAULT_EXPIRY_DAYS
+ * @param {Date} [from] - Start date
+ * @returns {Date|null} Expiry date, or null when days is invalid
+ */
+function expiryDate(days = DEFAULT_EXPIRY_DAYS, from = new Date()) {
+  const value = Number(days);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_EXPIRY_DAYS) {
+    return null;
+  }
+  return new Date(from.getTime() + value * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  TOKEN_KINDS,
+  TOKEN_PREFIXES,
+  TOKEN_SCOPES,
+  SCOPE_PERMISSIONS,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  generateToken,
+  hashToken,
+  tokenKind,
+  validateScopes,
+  scopesAllow,
+  roleForScopes,
+  expiryDate,
+};
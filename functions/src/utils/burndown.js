@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Burndown and burnup series for a sprint or milestone, replayed
+ * from task history. Each history entry records its field changes as
+ * { field: { from, to } }, so undoing them from the task as it is now gives
+ * the task as it was at any earlier time.
+ * @module utils/burndown
+ */
+
+const { isDoneStatus } = require("./task-graph");
+const { toDate } = require("./sprints");
+const { isVisible } = require("./lifecycle");
+
+/**
+ * Number custom field holding story points when none is named
+ * @const {string}
+ */
+const DEFAULT_POINTS_FIELD = "points";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rebuild a task's states over time from its history
+ * @param {Object|null} current - Task data now; null once deleted
+ * @param {Array<Object>} entries - History entries ({ action, changes, at })
+ * @returns {Array<Object>} [{ at, state }] oldest first; state is the task
+ *   from at onwards (null while it did not exist). The first item has at null
+ *   and holds the task before its earliest entry, for tasks older than their
+ *   history.
+ */
+function replayHistory(current, entries) {
+  const sorted = entries
+    .map((entry) => ({ ...entry, at: toDate(entry.at) }))
+    .filter((entry) => entry.at)
+    .sort((a, b) => b.at - a.at);
+
+  const timeline = [];
+  let state = current ? { ...current } : null;
+  for (const entry of sorted) {
+    timeline.push({ at: entry.at, state });
+
+    if (entry.action === "create") {
+      state = null;
+      continue;
+    }
+    const before = { ...(state || {}) };
+    Object.entries(entry.changes || {}).forEach(([field, change]) => {
+      if (change.from === null || change.from === undefined) {
+        delete before[field];
+      } else {
+        before[field] = change.from;
+      }
+    });
+    state = before;
+  }
+  timeline.push({ at: null, state });
+
+  return timeline.reverse();
+}
+
+/**
+ * A task's state at a time
+ * @param {Array<Object>} timeline - Timeline from replayHistory
+ * @param {Date} date - Time
+ * @returns {Object|null} State, or null if the task did not exist
+ */
+function stateAt(timeline, date) {
+  let state = null;
+  for (const point of timeline) {
+    if (point.at && point.at > date) break;
+    state = point.state;
+  }
+  return state;
+}
+
+/**
+ * Build the scope test for a sprint or a milestone label
+ * @param {Object} scope - { projectId, sprintId } or { projectId, label }
+ * @returns {Function} (state) => whether the task counts towards the scope
+ */
+function scopeFilter(scope) {
+  return (state) => {
+    if (!state || state.projectId !== scope.projectId) return false;
+    // Archived tasks keep their place; tasks in the trash leave the scope
+    if (!isVisible(state.lifecycle, { includeArchived: true })) return false;
+    return scope.sprintId
+      ? state.sprintId === scope.sprintId
+      : (state.labels || []).includes(scope.label);
+  };
+}
+
+/**
+ * Points of a task state
+ * @private
+ */
+function pointsOf(state, pointsField) {
+  const value = Number((state.customFields || {})[pointsField]);
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Scope and completed totals at a time
+ * @private
+ */
+function totalsAt(tasks, date, inScope, pointsField) {
+  const totals = { scopeTasks: 0, scopePoints: 0, doneTasks: 0, donePoints: 0 };
+  tasks.forEach(({ timeline }) => {
+    const state = stateAt(timeline, date);
+    if (!inScope(state)) return;
+
+    const points = pointsField ? pointsOf(state, pointsField) : 0;
+    totals.scopeTasks++;
+    totals.scopePoints += points;
+    if (isDoneStatus(state.status)) {
+      totals.doneTasks++;
+      totals.donePoints += points;
+    }
+  });
+  return totals;
+}
+
+/**
+ * Changes to the scope after it started: tasks added or removed, and
+ * re-estimates of tasks in scope
+ * @private
+ */
+function scopeChangesOf(task, from, until, inScope, pointsField) {
+  const changes = [];
+  task.timeline.forEach((point, i) => {
+    if (i === 0 || point.at <= from || point.at > until) return;
+
+    const before = task.timeline[i - 1].state;
+    const after = point.state;
+    const wasIn = inScope(before);
+    const isIn = inScope(after);
+    const pointsBefore = wasIn && pointsField ? pointsOf(before, pointsField) : 0;
+    const pointsAfter = isIn && pointsField ? pointsOf(after, pointsField) : 0;
+
+    let type = null;
+    if (!wasIn && isIn) type = "added";
+    else if (wasIn && !isIn) type = "removed";
+    else if (isIn && pointsAfter !== pointsBefore) type = "estimate";
+    if (!type) return;
+
+    changes.push({
+      at: point.at.toISOString(),
+      date: point.at.toISOString().slice(0, 10),
+      taskId: task.id,
+      title: (after || before).title || null,
+      type,
+      tasks: Number(isIn) - Number(wasIn),
+      points: pointsField ? pointsAfter - pointsBefore : null,
+    });
+  });
+  return changes;
+}
+
+/**
+ * Compute burndown and burnup series. Days are sampled at their end; days
+ * after now have no actual values but still carry the ideal line.
+ * @param {Array<Object>} tasks - Tasks ({ id, timeline }) with timelines from
+ *   replayHistory
+ * @param {Object} range - { from, to } whole UTC days, to exclusive
+ * @param {Object} options - Series options
+ * @param {Function} options.inScope - Scope test from scopeFilter
+ * @param {string|null} [options.pointsField] - Custom field holding points;
+ *   point series are null without one
+ * @param {Date} [options.now] - Current time
+ * @returns {Object} Series:
+ *   - dates: one per day of the range
+ *   - burndown: { remaining, ideal }, each { tasks, points } per date
+ *   - burnup: { scope, completed }, each { tasks, points } per date
+ *   - scopeChanges: [{ at, date, taskId, title, type, tasks, points }] with
+ *     type added, removed or estimate
+ *   - totals: { initial, current }, each { scopeTasks, scopePoints,
+ *     doneTasks, donePoints }
+ */
+function computeBurndown(tasks, range, options) {
+  const { inScope, pointsField = null, now = new Date() } = options;
+  const { from, to } = range;
+  const days = Math.round((to - from) / DAY_MS);
+  const points = (values) => (pointsField ? values : null);
+
+  const until = new Date(Math.min(to, now));
+  const totals = (date) => totalsAt(tasks, date, inScope, pointsField);
+  const initial = totals(from);
+
+  const dates = [];
+  const samples = [];
+  for (let day = 0; day < days; day++) {
+    const start = new Date(from.getTime() + day * DAY_MS);
+    dates.push(start.toISOString().slice(0, 10));
+    samples.push(start <= now ? totals(new Date(Math.min(start.getTime() + DAY_MS, now))) : null);
+  }
+  const series = (value) => samples.map((sample) => (sample ? value(sample) : null));
+  const ideal = (total) => dates.map((date, day) => roundPoints(total * (1 - (day + 1) / days)));
+
+  const scopeChanges = tasks
+    .flatMap((task) => scopeChangesOf(task, from, until, inScope, pointsField))
+    .sort((a, b) => a.at.localeCompare(b.at));
+
+  return {
+    dates,
+    burndown: {
+      remaining: {
+        tasks: series((sample) => sample.scopeTasks - sample.doneTasks),
+        points: points(series((sample) => roundPoints(sample.scopePoints - sample.donePoints))),
+      },
+      ideal: {
+        tasks: ideal(initial.scopeTasks),
+        points: points(ideal(initial.scopePoints)),
+      },
+    },
+    burnup: {
+      scope: {
+        tasks: series((sample) => sample.scopeTasks),
+        points: points(series((sample) => roundPoints(sample.scopePoints))),
+      },
+      completed: {
+        tasks: series((sample) => sample.doneTasks),
+        points: points(series((sample) => roundPoints(sample.donePoints))),
+      },
+    },
+    scopeChanges,
+    totals: { initial, current: totals(until) },
+  };
+}
+
+/**
+ * Round points for reporting
+ * @private
+ */
+function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_POINTS_FIELD,
+  replayHistory,
+  stateAt,
+  scopeFilter,
+  computeBurndown,
+};
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Opaque pagination cursor helpers
+ * @module utils/cursor
+ */
+
+/**
+ * Serialize a single cursor value so it survives a JSON round trip.
+ * Firestore Timestamps and Dates are stored as ISO strings under a marker key.
+ * @param {*} value - Field value taken from the last document of a page
+ * @returns {*} JSON-safe value
+ */
+function serializeValue(value) {
+  if (value && typeof value.toDate === "function") {
+    return { __ts: value.toDate().toISOString() };
+  }
+  if (value instanceof Date) {
+    return { __ts: value.toISOString() };
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Encode the orderBy values of the last document into an opaque token
+ * @param {Array} values - Values of the orderBy fields, document ID last
+ * @returns {string} Base64url encoded cursor
+ */
+function encodeCursor(values) {
+  const json = JSON.stringify(values.map(serializeValue));
+  return Buffer.from(json, "utf8").toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} token - Cursor token from the client
+ * @param {Object} [options] - Decode options
+ * @param {Function} [options.toTimestamp] - Converts a Date back into the
+ *   timestamp type used by the caller (defaults to leaving it a Date)
+ * @returns {Array} Cursor values
+ * @throws {Error} If the token is malformed
+ */
+function decodeCursor(token, options = {}) {
+  const { toTimestamp = (date) => date } = options;
+
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new Error("Invalid pagination cursor");
+  }
+
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new Error("Invalid pagination cursor");
+  }
+
+  return values.map((value) =>
+    value && typeof value === "object" && value.__ts
+      ? toTimestamp(new Date(value.__ts))
+      : value
+  );
+}
+
+/**
+ * Parse an orderBy query string such as "priority:desc,createdAt"
+ * @param {string|Array<string>} input - Raw orderBy parameter
+ * @returns {Array<Array<string>>} List of [field, direction] pairs
+ * @throws {Error} If a field name or direction is invalid
+ */
+function parseOrderBy(input) {
+  if (!input) return [];
+
+  const parts = (Array.isArray(input) ? input.join(",") : input)
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  return parts.map((part) => {
+    const [field, direction = "asc"] = part.split(":");
+    if (!/^[A-Za-z0-9_.]+$/.test(field)) {
+      throw new Error(`Invalid orderBy field: ${field}`);
+    }
+    const normalized = direction.toLowerCase();
+    if (normalized !== "asc" && normalized !== "desc") {
+      throw new Error(`Invalid orderBy direction: ${direction}`);
+    }
+    return [field, normalized];
+  });
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parseOrderBy,
+};
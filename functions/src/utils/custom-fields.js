@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Project custom field schema and task value validation
+ * @module utils/custom-fields
+ */
+
+const { toDate } = require("./sprints");
+
+/**
+ * Custom field types
+ * @const {Object}
+ */
+const FIELD_TYPES = {
+  TEXT: "text",
+  NUMBER: "number",
+  DATE: "date",
+  SELECT: "select",
+  MULTI_SELECT: "multiselect",
+  USER: "user",
+  URL: "url",
+};
+
+/**
+ * Limits for custom field definitions and values
+ * @const {Object}
+ */
+const FIELD_LIMITS = {
+  fieldsPerProject: 50,
+  name: 50,
+  description: 500,
+  options: 100,
+  option: 50,
+  text: 1000,
+  url: 2000,
+};
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const SELECT_TYPES = [FIELD_TYPES.SELECT, FIELD_TYPES.MULTI_SELECT];
+
+/**
+ * Validate the options of a select field
+ * @private
+ */
+function normalizeOptions(options) {
+  if (
+    !Array.isArray(options) ||
+    options.length === 0 ||
+    options.some((option) => typeof option !== "string" || !option.trim())
+  ) {
+    throw new Error("options must be a non-empty array of strings");
+  }
+  if (options.length > FIELD_LIMITS.options) {
+    throw new Error(`A field has at most ${FIELD_LIMITS.options} options`);
+  }
+  const trimmed = [...new Set(options.map((option) => option.trim()))];
+  if (trimmed.some((option) => option.length > FIELD_LIMITS.option)) {
+    throw new Error(`Options are limited to ${FIELD_LIMITS.option} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Validate and normalize a custom field definition. The key and type are
+ * fixed once the field exists, since task values are stored under the key
+ * in the type's format.
+ * @param {Object} data - { key, name, type, options?, required?, description? }
+ * @param {Object} [options] - Validation options
+ * @param {Object} [options.current] - Existing definition being updated
+ * @returns {Object} Normalized fields
+ * @throws {Error} If the definition is invalid
+ */
+function normalizeFieldDefinition(data, { current } = {}) {
+  const fields = {};
+
+  if (current) {
+    if ("key" in data && data.key !== current.key) {
+      throw new Error("key cannot be changed");
+    }
+    if ("type" in data && data.type !== current.type) {
+      throw new Error("type cannot be changed");
+    }
+  } else {
+    if (typeof data.key !== "string" || !KEY_PATTERN.test(data.key)) {
+      throw new Error(
+        "key must start with a lowercase letter and contain only lowercase letters, digits and underscores (max 40)"
+      );
+    }
+    if (!Object.values(FIELD_TYPES).includes(data.type)) {
+      throw new Error(`type must be one of ${Object.values(FIELD_TYPES).join(", ")}`);
+    }
+    fields.key = data.key;
+    fields.type = data.type;
+  }
+  const type = current ? current.type : data.type;
+
+  if (!current || "name" in data) {
+    if (typeof data.name !== "string" || !data.name.trim()) {
+      throw new Error("name is required");
+    }
+    if (data.name.length > FIELD_LIMITS.name) {
+      throw new Error(`name is limited to ${FIELD_LIMITS.name} characters`);
+    }
+    fields.name = data.name.trim();
+  }
+
+  if (SELECT_TYPES.includes(type)) {
+    if (!current || "options" in data) {
+      fields.options = normalizeOptions(data.options);
+    }
+  } else if ("options" in data && data.options !== undefined) {
+    throw new Error(`options only apply to ${SELECT_TYPES.join(" and ")} fields`);
+  }
+
+  if (!current || "required" in data) {
+    if (data.required !== undefined && typeof data.required !== "boolean") {
+      throw new Error("required must be a boolean");
+    }
+    fields.required = !!data.required;
+  }
+
+  if (!current || "description" in data) {
+    const description = data.description;
+    if (description !== undefined && description !== null && typeof description !== "string") {
+      throw new Error("description must be a string");
+    }
+    if (description && description.length > FIELD_LIMITS.description) {
+      throw new Error(`description is limited to ${FIELD_LIMITS.description} characters`);
+    }
+    fields.description = (description && description.trim()) || null;
+  }
+
+  return fields;
+}
+
+/**
+ * Validate a value against its field definition
+ * @param {Object} definition - Field definition
+ * @param {*} value - Submitted value (not null)
+ * @returns {*} Stored value: trimmed string, number, Date or array of options
+ * @throws {Error} If the value does not match the field type
+ */
+function coerceValue(definition, value) {
+  const { name, type, options } = definition;
+
+  switch (type) {
+    case FIELD_TYPES.TEXT:
+      if (typeof value !== "string") throw new Error(`${name} must be text`);
+      if (value.length > FIELD_LIMITS.text) {
+        throw new Error(`${name} is limited to ${FIELD_LIMITS.text} characters`);
+      }
+      return value.trim();
+
+    case FIELD_TYPES.NUMBER:
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new Error(`${name} must be a number`);
+      }
+      return value;
+
+    case FIELD_TYPES.DATE: {
+      const date = typeof value === "string" ? toDate(value) : null;
+      if (!date) throw new Error(`${name} must be an ISO date`);
+      return date;
+    }
+
+    case FIELD_TYPES.SELECT:
+      if (!options.includes(value)) {
+        throw new Error(`${name} must be one of ${options.join(", ")}`);
+      }
+      return value;
+
+    case FIELD_TYPES.MULTI_SELECT:
+      if (!Array.isArray(value) || value.some((item) => !options.includes(item))) {
+        throw new Error(`${name} must be a list of: ${options.join(", ")}`);
+      }
+      return [...new Set(value)];
+
+    case FIELD_TYPES.USER:
+      if (typeof value !== "string" || !value.trim()) {
+        throw new Error(`${name} must be a user ID`);
+      }
+      return value.trim();
+
+    case FIELD_TYPES.URL: {
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        throw new Error(`${name} must be a URL`);
+      }
+      if (!["http:", "https:"].includes(url.protocol)) {
+        throw new Error(`${name} must be an http or https URL`);
+      }
+      if (value.length > FIELD_LIMITS.url) {
+        throw new Error(`${name} is limited to ${FIELD_LIMITS.url} characters`);
+      }
+      return value;
+    }
+
+    default:
+      throw new Error(`${name} has an unknown type ${type}`);
+  }
+}
+
+/**
+ * Whether a field counts as unset
+ * @private
+ */
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Validate submitted custom field values and merge them into a task's
+ * current values. Null or empty values clear a field. Values already stored
+ * are not rechecked, so a changed schema does not block unrelated edits.
+ * @param {Map<string, Object>} schema - Field definitions by key
+ * @param {Object} values - Submitted values by key
+ * @param {Object} [current] - Values the task carries now
+ * @returns {Object} Values to store
+ * @throws {Error} Listing every invalid value
+ */
+function applyFieldValues(schema, values, current = {}) {
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new Error("customFields must be an object of values by field key");
+  }
+
+  const errors = [];
+  const merged = { ...current };
+
+  Object.entries(values).forEach(([key, value]) => {
+    const definition = schema.get(key);
+    if (!definition) {
+      errors.push(`Unknown custom field: ${key}`);
+      return;
+    }
+    if (isEmpty(value)) {
+      delete merged[key];
+      return;
+    }
+    try {
+      merged[key] = coerceValue(definition, value);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  schema.forEach((definition, key) => {
+    if (definition.required && isEmpty(merged[key])) {
+      errors.push(`${definition.name} is required`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  return merged;
+}
+
+/**
+ * Convert a custom field filter from a query string into a Firestore filter
+ * @param {Object} definition - Field definition
+ * @param {string} raw - Query string value
+ * @returns {{op: string, value: *}} Filter operator and value
+ * @throws {Error} If the value does not match the field type
+ */
+function parseFieldFilter(definition, raw) {
+  if (typeof raw !== "string") {
+    throw new Error(`Filter on ${definition.key} must be a single value`);
+  }
+
+  switch (definition.type) {
+    case FIELD_TYPES.NUMBER: {
+      const value = Number(raw);
+      if (raw.trim() === "" || !Number.isFinite(value)) {
+        throw new Error(`Filter on ${definition.key} must be a number`);
+      }
+      return { op: "==", value };
+    }
+    case FIELD_TYPES.MULTI_SELECT:
+      return { op: "array-contains", value: coerceValue(definition, [raw])[0] };
+    default:
+      return { op: "==", value: coerceValue(definition, raw) };
+  }
+}
+
+module.exports = {
+  FIELD_TYPES,
+  FIELD_LIMITS,
+  normalizeFieldDefinition,
+  coerceValue,
+  applyFieldValues,
+  parseFieldFilter,
+};
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Task due dates, the overdue flag and reminder rules
+ * @module utils/due-dates
+ */
+
+const { isDoneStatus } = require("./task-graph");
+const { toDate } = require("./sprints");
+
+/**
+ * Reminder kinds, each sent at most once per due date
+ * @const {Object}
+ */
+const REMINDER_KINDS = {
+  DUE_SOON: "dueSoon",
+  OVERDUE: "overdue",
+};
+
+/**
+ * Longest lead time a user can ask for
+ * @const {number}
+ */
+const MAX_REMINDER_HOURS = 7 * 24;
+
+/**
+ * Preferences of users who have not set any
+ * @const {Object}
+ */
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  email: true,
+  sms: false,
+  dueSoonHours: 24,
+  overdue: true,
+};
+
+/**
+ * Parse a submitted due date
+ * @param {*} value - ISO date, Date or Timestamp; null or "" clears the due date
+ * @returns {Date|null} Due date
+ * @throws {Error} If the value is not a date
+ */
+function parseDueDate(value) {
+  if (value === null || value === "") return null;
+  const date = toDate(value);
+  if (!date) {
+    throw new Error("dueDate must be a valid date");
+  }
+  return date;
+}
+
+/**
+ * Whether a task is past its due date and not finished
+ * @param {Object} task - Task ({ dueDate, status })
+ * @param {Date} [now] - Current time
+ * @returns {boolean} Whether the task is overdue
+ */
+function isOverdue(task, now = new Date()) {
+  const dueDate = toDate(task.dueDate);
+  return !!dueDate && dueDate < now && !isDoneStatus(task.status);
+}
+
+/**
+ * Validate a notification preferences update
+ * @param {Object} preferences - Submitted preferences
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePreferences(preferences) {
+  if (!preferences || typeof preferences !== "object") {
+    return "preferences must be an object";
+  }
+  for (const channel of ["email", "sms", "overdue"]) {
+    if (channel in preferences && typeof preferences[channel] !== "boolean") {
+      return `${channel} must be true or false`;
+    }
+  }
+  if ("dueSoonHours" in preferences) {
+    const hours = preferences.dueSoonHours;
+    if (!Number.isInteger(hours) || hours < 0 || hours > MAX_REMINDER_HOURS) {
+      return `dueSoonHours must be a whole number from 0 (off) to ${MAX_REMINDER_HOURS}`;
+    }
+  }
+  if (
+    "phone" in preferences &&
+    preferences.phone !== null &&
+    typeof preferences.phone !== "string"
+  ) {
+    return "phone must be a string";
+  }
+  return null;
+}
+
+/**
+ * Fill in the defaults for unset preferences
+ * @param {Object} [stored] - Stored preferences
+ * @returns {Object} Complete preferences
+ */
+function resolvePreferences(stored) {
+  return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...(stored || {}) };
+}
+
+/**
+ * Key recording which due date a reminder was sent for, so moving the due
+ * date re-arms its reminders
+ * @param {*} dueDate - Due date
+ * @returns {string} ISO timestamp
+ */
+function reminderKey(dueDate) {
+  return toDate(dueDate).toISOString();
+}
+
+/**
+ * Reminder a task's recipient should get now, if any
+ * @param {Object} task - Task ({ dueDate, status, reminders })
+ * @param {Object} preferences - Recipient's resolved preferences
+ * @param {Date} [now] - Current time
+ * @returns {string|null} One of REMINDER_KINDS, or null
+ */
+function reminderFor(task, preferences, now = new Date()) {
+  const dueDate = toDate(task.dueDate);
+  if (!dueDate || isDoneStatus(task.status)) return null;
+
+  const key = reminderKey(dueDate);
+  const sent = task.reminders || {};
+
+  if (dueDate < now) {
+    return preferences.overdue && sent[REMINDER_KINDS.OVERDUE] !== key
+      ? REMINDER_KINDS.OVERDUE
+      : null;
+  }
+
+  const leadMs = preferences.dueSoonHours * 60 * 60 * 1000;
+  if (leadMs > 0 && dueDate - now <= leadMs && sent[REMINDER_KINDS.DUE_SOON] !== key) {
+    return REMINDER_KINDS.DUE_SOON;
+  }
+  return null;
+}
+
+module.exports = {
+  REMINDER_KINDS,
+  MAX_REMINDER_HOURS,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  parseDueDate,
+  isOverdue,
+  validatePreferences,
+  resolvePreferences,
+  reminderKey,
+  reminderFor,
+};
@@ -28,6 +28,21 @@ const ERROR_TYPES = {
     title: "Not Found",
     message: "The requested resource could not be found.",
   },
+  409: {
+    code: "409",
+    title: "Conflict",
+    message: "The request conflicts with the current state of the resource.",
+  },
+  412: {
+    code: "412",
+    title: "Precondition Failed",
+    message: "The resource was modified since you last retrieved it.",
+  },
+  422: {
+    code: "422",
+    title: "Unprocessable Entity",
+    message: "The request was understood but cannot be applied.",
+  },
   429: {
     code: "429",
     title: "Too Many Requests",
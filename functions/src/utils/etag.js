@@ -0,0 +1,46 @@
+/**
+ * @fileoverview ETag helpers for optimistic concurrency control
+ * @module utils/etag
+ */
+
+/**
+ * Format a document version as a weak ETag
+ * @param {number} version - Document version
+ * @returns {string} ETag header value, e.g. W/"3"
+ */
+function formatEtag(version) {
+  return `W/"${version || 0}"`;
+}
+
+/**
+ * Parse an If-Match header into the list of acceptable versions
+ * @param {string} [header] - Raw If-Match header
+ * @returns {Array<number>|undefined} Versions, or undefined when any version
+ *   is acceptable (header missing or "*"). Tags that are not versions are
+ *   dropped, so a list without valid versions never matches.
+ */
+function parseIfMatch(header) {
+  if (!header || header.trim() === "*") return undefined;
+
+  return header
+    .split(",")
+    .map((tag) => tag.trim().match(/^(?:W\/)?"(\d+)"$/))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10));
+}
+
+/**
+ * Check a document version against the versions accepted by If-Match
+ * @param {number} version - Current document version
+ * @param {Array<number>|undefined} expected - Result of parseIfMatch
+ * @returns {boolean} Whether the write may proceed
+ */
+function versionMatches(version, expected) {
+  return expected === undefined || expected.includes(version || 0);
+}
+
+module.exports = {
+  formatEtag,
+  parseIfMatch,
+  versionMatches,
+};
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Project export formats: a versioned JSON archive, a flat CSV
+ * of tasks and a Markdown report grouped by status.
+ *
+ * JSON archive, version 1:
+ *
+ *     {
+ *       "format": "firesite-project-export",
+ *       "version": 1,
+ *       "exportedAt": "2026-01-31T12:00:00.000Z",
+ *       "projectId": "<exported project>",
+ *       "projects": [{ ...project, "labels": [...], "customFields": [...] }],
+ *       "tasks": [{ ...task, "comments": [...], "history": [...] }]
+ *     }
+ *
+ * - projects lists the exported project first, then its sub-projects by depth.
+ * - tasks are grouped by project; each task carries its projectId.
+ * - Comments are flat and oldest first; replies carry their parentId.
+ * - History entries are oldest first.
+ * - Timestamps are ISO 8601 strings.
+ * - The version changes whenever existing fields change meaning, so readers
+ *   should reject versions they do not know.
+ * @module utils/export
+ */
+
+/**
+ * Name identifying JSON archives
+ * @const {string}
+ */
+const EXPORT_FORMAT_NAME = "firesite-project-export";
+
+/**
+ * Version of the JSON archive layout
+ * @const {number}
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * Supported export formats
+ * @const {Object<string, Object>}
+ */
+const EXPORT_FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+};
+
+/**
+ * Task fields written to CSV, before one column per custom field
+ * @const {Array<string>}
+ */
+const TASK_CSV_COLUMNS = [
+  "id",
+  "projectId",
+  "projectName",
+  "title",
+  "description",
+  "status",
+  "priority",
+  "assignee",
+  "labels",
+  "sprintId",
+  "dueDate",
+  "estimatedHours",
+  "actualHours",
+  "lifecycle",
+  "createdAt",
+  "updatedAt",
+];
+
+// Workflow order for report sections; other statuses follow alphabetically
+const STATUS_ORDER = ["todo", "in-progress", "doing", "review", "blocked", "done", "validated"];
+
+/**
+ * Convert Firestore values into JSON-safe ones: timestamps and dates become
+ * ISO strings, nested objects and arrays are converted recursively
+ * @param {*} value - Value read from Firestore
+ * @returns {*} Plain value
+ */
+function toPlain(value) {
+  if (value && typeof value.toDate === "function") {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, toPlain(nested)]));
+  }
+  return value;
+}
+
+/**
+ * Format one CSV cell. Lists are joined with "; ", and text that a
+ * spreadsheet would run as a formula is prefixed with a quote.
+ * @param {*} value - Plain value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+
+  let text;
+  if (Array.isArray(value)) {
+    text = value.map((item) => (typeof item === "object" ? JSON.stringify(item) : item)).join("; ");
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} Line ending in CRLF
+ */
+function csvRow(values) {
+  return `${values.map(csvCell).join(",")}\r\n`;
+}
+
+/**
+ * CSV header line for a task export
+ * @param {Array<string>} customFieldKeys - Custom field keys, one column each
+ * @returns {string} Header line
+ */
+function taskCsvHeader(customFieldKeys) {
+  return csvRow([...TASK_CSV_COLUMNS, ...customFieldKeys.map((key) => `cf:${key}`)]);
+}
+
+/**
+ * CSV line for a task
+ * @param {Object} task - Plain task (see toPlain)
+ * @param {string} projectName - Name of the task's project
+ * @param {Array<string>} customFieldKeys - Custom field keys, as in the header
+ * @returns {string} Task line
+ */
+function taskCsvRow(task, projectName, customFieldKeys) {
+  const values = TASK_CSV_COLUMNS.map((column) =>
+    column === "projectName" ? projectName : task[column]
+  );
+  const customFields = task.customFields || {};
+  return csvRow([...values, ...customFieldKeys.map((key) => customFields[key])]);
+}
+
+/**
+ * Sort statuses into report order
+ * @param {Array<string>} statuses - Status values; "" for tasks without one
+ * @returns {Array<string>} Sorted statuses, tasks without a status last
+ */
+function orderStatuses(statuses) {
+  const rank = (status) => {
+    if (!status) return STATUS_ORDER.length + 1;
+    const index = STATUS_ORDER.indexOf(status.toLowerCase());
+    return index === -1 ? STATUS_ORDER.length : index;
+  };
+  return [...statuses].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Escape text for inline Markdown
+ * @param {*} text - Text
+ * @returns {string} Escaped single-line text
+ */
+function markdownText(text) {
+  return String(text ?? "")
+    .replace(/\s+/g, " ")
+    .replace(/([\\`*_[\]<>#|])/g, "\\$1")
+    .trim();
+}
+
+/**
+ * Markdown list item for a task in the status report
+ * @param {Object} task - Plain task (see toPlain)
+ * @param {string} [projectName] - Project name, shown when the export spans
+ *   several projects
+ * @returns {string} List item with its details
+ */
+function markdownTask(task, projectName) {
+  const details = [];
+  if (projectName) details.push(`project: ${markdownText(projectName)}`);
+  if (task.priority) details.push(`priority: ${markdownText(task.priority)}`);
+  if (task.assignee) details.push(`assignee: ${markdownText(task.assignee)}`);
+  if (task.dueDate) details.push(`due: ${String(task.dueDate).slice(0, 10)}`);
+  if (task.labels?.length) details.push(`labels: ${task.labels.map(markdownText).join(", ")}`);
+  if (task.overdue) details.push("**overdue**");
+
+  const lines = [`- **${markdownText(task.title || "Untitled task")}** (\`${task.id}\`)`];
+  if (details.length) lines.push(`  ${details.join(" · ")}`);
+  if (task.description) lines.push(`  ${markdownText(task.description)}`);
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * File name for an export, e.g. "website-relaunch-2026-01-31.csv"
+ * @param {Object} project - Exported project
+ * @param {string} format - Export format
+ * @param {Date} date - Export date
+ * @returns {string} File name
+ */
+function exportFilename(project, format, date) {
+  const slug =
+    String(project.name || project.id)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "project";
+  return `${slug}-${date.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+  EXPORT_FORMAT_NAME,
+  EXPORT_VERSION,
+  EXPORT_FORMATS,
+  TASK_CSV_COLUMNS,
+  toPlain,
+  csvCell,
+  csvRow,
+  taskCsvHeader,
+  taskCsvRow,
+  orderStatuses,
+  markdownText,
+  markdownTask,
+  exportFilename,
+};
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Task status transitions and the flow metrics computed from
+ * them: lead time, cycle time, throughput, work in progress and cumulative
+ * flow. Tasks record each status change in statusTransitions
+ * ([{ from, to, at }]); tasks from before that have none and only count
+ * towards work in progress and cumulative flow, in their current status.
+ * @module utils/flow-metrics
+ */
+
+const { isDoneStatus } = require("./task-graph");
+const { toDate } = require("./sprints");
+const { orderStatuses } = require("./export");
+const { aggregateDocs } = require("./aggregates");
+
+/**
+ * Limits for metrics requests
+ * @const {Object}
+ */
+const METRICS_LIMITS = {
+  defaultDays: 90,
+  maxDays: 366,
+  labels: 30,
+};
+
+/**
+ * Transitions kept on a task; older ones are dropped
+ * @const {number}
+ */
+const MAX_TRANSITIONS = 200;
+
+/**
+ * Statuses of tasks that have not been started
+ * @const {Array<string>}
+ */
+const NOT_STARTED_STATUSES = ["todo", "backlog"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Duration statistics taken from the shared accumulators
+const DURATION_AGGREGATES = {
+  average: { field: "days", type: "avg" },
+  min: { field: "days", type: "min" },
+  max: { field: "days", type: "max" },
+};
+
+/**
+ * Fields to write with a task write that changes its status: the transition
+ * appended to statusTransitions and the time the status was entered
+ * @param {Object} current - Task data before the write ({} on create)
+ * @param {Object} fields - Fields being written
+ * @param {Date} [now] - Time of the change
+ * @returns {Object} Fields to write as well; empty when the status is unchanged
+ */
+function statusTransitionFields(current, fields, now = new Date()) {
+  if (!("status" in fields) || fields.status === current.status) return {};
+
+  const transition = { from: current.status ?? null, to: fields.status ?? null, at: now };
+  return {
+    statusTransitions: [...(current.statusTransitions || []), transition].slice(-MAX_TRANSITIONS),
+    statusChangedAt: now,
+  };
+}
+
+/**
+ * Whether a status counts as work in progress
+ * @param {string} status - Task status
+ * @returns {boolean} Whether the status is started but not done
+ */
+function isInProgress(status) {
+  return (
+    Boolean(status) &&
+    !NOT_STARTED_STATUSES.includes(String(status).toLowerCase()) &&
+    !isDoneStatus(status)
+  );
+}
+
+/**
+ * Start of the UTC day of a date
+ * @private
+ */
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Start of the UTC week (Monday) of a date
+ * @private
+ */
+function startOfWeek(date) {
+  const day = startOfDay(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+/**
+ * Resolve a metrics date range to whole UTC days
+ * @param {Date|null} from - First day; defaults to METRICS_LIMITS.defaultDays
+ *   before to
+ * @param {Date|null} to - Day after the last one (exclusive); defaults to
+ *   tomorrow, so today is included
+ * @param {Date} [now] - Current time
+ * @returns {Object} { from, to }
+ */
+function resolveRange(from, to, now = new Date()) {
+  const end = to ? startOfDay(to) : new Date(startOfDay(now).getTime() + DAY_MS);
+  const start = from
+    ? startOfDay(from)
+    : new Date(end.getTime() - METRICS_LIMITS.defaultDays * DAY_MS);
+  return { from: start, to: end };
+}
+
+/**
+ * Validate a resolved metrics range
+ * @param {Object} range - { from, to } from resolveRange
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRange(range) {
+  if (range.to <= range.from) return "to must be after from";
+  if (range.to - range.from > METRICS_LIMITS.maxDays * DAY_MS) {
+    return `Metrics cover at most ${METRICS_LIMITS.maxDays} days`;
+  }
+  return null;
+}
+
+/**
+ * Read a comma-separated label filter
+ * @param {string} [labels] - e.g. "bug,ui"
+ * @returns {Array<string>} Distinct labels; empty when not filtering
+ * @throws {Error} When there are too many labels
+ */
+function parseLabelFilter(labels) {
+  if (!labels) return [];
+  const list = [...new Set(String(labels).split(",").map((label) => label.trim()).filter(Boolean))];
+  if (list.length > METRICS_LIMITS.labels) {
+    throw new Error(`labels is limited to ${METRICS_LIMITS.labels} values`);
+  }
+  return list;
+}
+
+/**
+ * A task's status transitions, oldest first. Its status before the first
+ * recorded transition is assumed to have started when the task was created.
+ * @param {Object} task - Task ({ status, createdAt, statusTransitions })
+ * @returns {Object} { transitions, tracked }: tracked is false for tasks
+ *   without recorded transitions, which get one into their current status
+ */
+function transitionsOf(task) {
+  const created = toDate(task.createdAt);
+  const recorded = (task.statusTransitions || [])
+    .map((transition) => ({
+      from: transition.from ?? null,
+      to: transition.to ?? null,
+      at: toDate(transition.at),
+    }))
+    .filter((transition) => transition.at)
+    .sort((a, b) => a.at - b.at);
+
+  if (recorded.length === 0) {
+    const transitions =
+      task.status && created ? [{ from: null, to: task.status, at: created }] : [];
+    return { transitions, tracked: false };
+  }
+
+  const [first] = recorded;
+  if (first.from && created && created < first.at) {
+    recorded.unshift({ from: null, to: first.from, at: created });
+  }
+  return { transitions: recorded, tracked: true };
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @private
+ */
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Round a number of days for reporting
+ * @private
+ */
+function roundDays(days) {
+  return days === null ? null : Math.round(days * 100) / 100;
+}
+
+/**
+ * Summarize durations in days
+ * @param {Array<number>} values - Durations in days
+ * @returns {Object} { count, average, median, p85, min, max }; null
+ *   statistics when there are no values
+ */
+function durationStats(values) {
+  if (values.length === 0) {
+    return { count: 0, average: null, median: null, p85: null, min: null, max: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const { aggregates } = aggregateDocs(sorted.map((days) => ({ days })), DURATION_AGGREGATES);
+  return {
+    count: sorted.length,
+    average: roundDays(aggregates.average.avg),
+    median: roundDays(percentile(sorted, 50)),
+    p85: roundDays(percentile(sorted, 85)),
+    min: roundDays(aggregates.min.min),
+    max: roundDays(aggregates.max.max),
+  };
+}
+
+/**
+ * Compute flow metrics for a set of tasks
+ * @param {Array<Object>} tasks - Tasks ({ id, status, createdAt, statusTransitions })
+ * @param {Object} range - { from, to } from resolveRange
+ * @param {Date} [now] - Current time; days after it are not sampled
+ * @returns {Object} Metrics:
+ *   - tasks: { total, tracked, completed }
+ *   - leadTime: days from creation to done, for tasks completed in the range
+ *   - cycleTime: { overall, byColumn }: days from the first started status
+ *     to done, and total days spent in each status, for the same tasks
+ *   - throughput: [{ week, completed }] per UTC week (starting Monday)
+ *   - wip: [{ date, count }] tasks in progress at the end of each day
+ *   - cfd: { dates, statuses, series }: tasks per status at the end of each
+ *     day, series[status] holding one count per date
+ */
+function computeFlowMetrics(tasks, range, now = new Date()) {
+  const { from, to } = range;
+  const leadTimes = [];
+  const cycleTimes = [];
+  const columnTimes = [];
+  const weeks = new Map();
+  for (let week = startOfWeek(from); week < to; week = new Date(week.getTime() + 7 * DAY_MS)) {
+    weeks.set(week.toISOString().slice(0, 10), 0);
+  }
+
+  const dates = [];
+  const samples = [];
+  for (let day = from; day < to && day <= now; day = new Date(day.getTime() + DAY_MS)) {
+    dates.push(day.toISOString().slice(0, 10));
+    samples.push(new Date(Math.min(day.getTime() + DAY_MS, now.getTime())));
+  }
+  const wip = new Array(dates.length).fill(0);
+  const cfd = new Map();
+
+  let tracked = 0;
+  for (const task of tasks) {
+    const { transitions, tracked: isTracked } = transitionsOf(task);
+    if (transitions.length === 0) continue;
+
+    // Status at the end of each sampled day
+    let index = -1;
+    samples.forEach((sample, day) => {
+      while (index + 1 < transitions.length && transitions[index + 1].at <= sample) index++;
+      if (index < 0) return;
+      const status = transitions[index].to || "";
+      if (!cfd.has(status)) cfd.set(status, new Array(dates.length).fill(0));
+      cfd.get(status)[day]++;
+      if (isInProgress(status)) wip[day]++;
+    });
+
+    if (!isTracked) continue;
+    tracked++;
+
+    const last = transitions[transitions.length - 1];
+    const completedAt = isDoneStatus(last.to) ? last.at : null;
+    if (!completedAt || completedAt < from || completedAt >= to) continue;
+
+    const created = toDate(task.createdAt) || transitions[0].at;
+    const started = transitions.find(
+      (transition) => isInProgress(transition.to) || isDoneStatus(transition.to)
+    );
+    leadTimes.push((completedAt - created) / DAY_MS);
+    cycleTimes.push((completedAt - started.at) / DAY_MS);
+
+    const week = startOfWeek(completedAt).toISOString().slice(0, 10);
+    weeks.set(week, (weeks.get(week) || 0) + 1);
+
+    // Total time in each status before completion, revisits included
+    const spent = new Map();
+    transitions.slice(0, -1).forEach((transition, i) => {
+      const status = transition.to || "";
+      const days = (transitions[i + 1].at - transition.at) / DAY_MS;
+      spent.set(status, (spent.get(status) || 0) + days);
+    });
+    spent.forEach((days, status) => columnTimes.push({ status, days }));
+  }
+
+  const { groups } = aggregateDocs(columnTimes, {}, ["status"]);
+  const byColumn = {};
+  orderStatuses(groups.map((group) => group.group.status)).forEach((status) => {
+    const group = groups.find((candidate) => candidate.group.status === status);
+    byColumn[status] = durationStats(group.docs.map((doc) => doc.days));
+  });
+
+  const statuses = orderStatuses([...cfd.keys()]);
+  return {
+    tasks: { total: tasks.length, tracked, completed: leadTimes.length },
+    leadTime: durationStats(leadTimes),
+    cycleTime: { overall: durationStats(cycleTimes), byColumn },
+    throughput: [...weeks].map(([week, completed]) => ({ week, completed })),
+    wip: dates.map((date, day) => ({ date, count: wip[day] })),
+    cfd: {
+      dates,
+      statuses,
+      series: Object.fromEntries(statuses.map((status) => [status, cfd.get(status)])),
+    },
+  };
+}
+
+module.exports = {
+  METRICS_LIMITS,
+  MAX_TRANSITIONS,
+  NOT_STARTED_STATUSES,
+  statusTransitionFields,
+  isInProgress,
+  resolveRange,
+  validateRange,
+  parseLabelFilter,
+  transitionsOf,
+  durationStats,
+  computeFlowMetrics,
+};
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview GitHub webhook signature checks and payload parsing. Tasks are
+ * referenced as task-<id> (also task:<id>, task/<id> or task#<id>) in commit
+ * messages, branch names and pull request titles.
+ * @module utils/github
+ */
+
+const crypto = require("crypto");
+const { isDoneStatus } = require("./task-graph");
+
+/**
+ * Matches task references; IDs are Firestore document IDs
+ * @const {RegExp}
+ */
+const TASK_REF_PATTERN = /\btask[-:/#]([A-Za-z0-9]{6,40})\b/gi;
+
+/**
+ * Status a pull request moves its tasks to
+ * @const {Object}
+ */
+const PR_STATUS = {
+  OPENED: "review",
+  MERGED: "done",
+};
+
+/**
+ * Verify the X-Hub-Signature-256 header of a delivery
+ * @param {string} secret - Webhook secret configured on GitHub
+ * @param {Buffer|string} rawBody - Exact request body
+ * @param {string} header - Header value, "sha256=<hex>"
+ * @returns {boolean} Whether the signature matches
+ */
+function verifyGithubSignature(secret, rawBody, header) {
+  if (!secret || typeof header !== "string" || !header.startsWith("sha256=")) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac("sha256", secret).update(rawBody).digest("hex"),
+    "hex"
+  );
+  const actual = Buffer.from(header.slice("sha256=".length), "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Find the task IDs referenced in some texts
+ * @param {...string} texts - Commit messages, branch names, titles
+ * @returns {Array<string>} Unique task IDs in order of appearance
+ */
+function extractTaskRefs(...texts) {
+  const ids = [];
+  for (const text of texts) {
+    for (const match of String(text || "").matchAll(TASK_REF_PATTERN)) {
+      if (!ids.includes(match[1])) ids.push(match[1]);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Branch name of a push ref
+ * @private
+ */
+function branchOf(ref) {
+  return String(ref || "").replace(/^refs\/heads\//, "");
+}
+
+/**
+ * Parse a push payload into one link per commit that references tasks
+ * @param {Object} payload - push event payload
+ * @returns {Array<Object>} Links ({ key, type, taskIds, ... })
+ */
+function parsePush(payload) {
+  const repository = payload.repository && payload.repository.full_name;
+  const branch = branchOf(payload.ref);
+
+  return (payload.commits || [])
+    .map((commit) => ({
+      key: `commit:${repository}:${commit.id}`,
+      type: "commit",
+      repository,
+      branch,
+      sha: commit.id,
+      message: String(commit.message || "").split("\n")[0],
+      url: commit.url || null,
+      author: (commit.author && (commit.author.username || commit.author.name)) || null,
+      taskIds: extractTaskRefs(commit.message, branch),
+      targetStatus: null,
+    }))
+    .filter((link) => link.taskIds.length > 0);
+}
+
+/**
+ * Parse a pull_request payload into a link for the tasks it references. Opened
+ * and reopened pull requests move their tasks to review; merged ones to done.
+ * @param {Object} payload - pull_request event payload
+ * @returns {Array<Object>} Zero or one link
+ */
+function parsePullRequest(payload) {
+  const pr = payload.pull_request || {};
+  const repository = payload.repository && payload.repository.full_name;
+  const branch = pr.head && pr.head.ref;
+  const taskIds = extractTaskRefs(pr.title, branch);
+  if (taskIds.length === 0) return [];
+
+  let targetStatus = null;
+  if (payload.action === "closed" && pr.merged) {
+    targetStatus = PR_STATUS.MERGED;
+  } else if (
+    ["opened", "reopened", "ready_for_review"].includes(payload.action) &&
+    !pr.draft
+  ) {
+    targetStatus = PR_STATUS.OPENED;
+  }
+
+  let state = pr.state || null;
+  if (pr.merged) state = "merged";
+  else if (pr.draft && state === "open") state = "draft";
+
+  return [
+    {
+      key: `pull_request:${repository}:${pr.number}`,
+      type: "pull_request",
+      repository,
+      branch,
+      number: pr.number,
+      title: pr.title,
+      state,
+      url: pr.html_url || null,
+      author: (pr.user && pr.user.login) || null,
+      taskIds,
+      targetStatus,
+    },
+  ];
+}
+
+/**
+ * Parse a GitHub delivery
+ * @param {string} event - X-GitHub-Event header
+ * @param {Object} payload - Parsed body
+ * @returns {Array<Object>|null} Links, or null for unsupported events
+ */
+function parseGithubEvent(event, payload) {
+  switch (event) {
+    case "push":
+      return parsePush(payload);
+    case "pull_request":
+      return parsePullRequest(payload);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Status a task should move to for a link, if any. Finished tasks are never
+ * sent back to review.
+ * @param {string} currentStatus - Task status
+ * @param {string|null} targetStatus - Status suggested by the link
+ * @returns {string|null} New status, or null to leave the task alone
+ */
+function nextStatus(currentStatus, targetStatus) {
+  if (!targetStatus || currentStatus === targetStatus) return null;
+  if (targetStatus === PR_STATUS.OPENED && isDoneStatus(currentStatus)) return null;
+  return targetStatus;
+}
+
+module.exports = {
+  PR_STATUS,
+  verifyGithubSignature,
+  extractTaskRefs,
+  parsePush,
+  parsePullRequest,
+  parseGithubEvent,
+  nextStatus,
+};
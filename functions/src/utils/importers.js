@@ -0,0 +1,603 @@
+/**
+ * @fileoverview Parsers for Trello board JSON, Jira CSV/JSON and mapped CSV
+ * exports, and the plan that turns their items into project tasks
+ * @module utils/importers
+ */
+
+const { labelKey, LABEL_LIMITS, MAX_TASK_LABELS } = require("./labels");
+
+/**
+ * Supported import sources
+ * @const {Array<string>}
+ */
+const IMPORT_SOURCES = ["trello", "jira", "csv"];
+
+/**
+ * Kanban columns imported statuses are mapped onto
+ * @const {Array<string>}
+ */
+const KANBAN_COLUMNS = ["todo", "in-progress", "review", "done"];
+
+/**
+ * Import size limits
+ * @const {Object}
+ */
+const IMPORT_LIMITS = {
+  items: 5000,
+  comments: 200,
+  comment: 10000,
+  warnings: 50,
+  preview: 20,
+};
+
+/**
+ * Task fields a generic CSV mapping can fill, by mapping key
+ * @const {Array<string>}
+ */
+const MAPPING_FIELDS = ["id", "title", "description", "status", "priority", "labels", "assignee", "dueDate", "comments"];
+
+// Trello label color names, including their _dark and _light variants
+const TRELLO_COLORS = {
+  green: "#61bd4f",
+  yellow: "#f2d600",
+  orange: "#ff9f1a",
+  red: "#eb5a46",
+  purple: "#c377e0",
+  blue: "#0079bf",
+  sky: "#00c2e0",
+  lime: "#51e898",
+  pink: "#ff78cb",
+  black: "#344563",
+};
+
+// Guesses for statuses without an explicit mapping, checked in order
+const STATUS_GUESSES = [
+  [/done|closed|resolved|complete|finished|shipped/i, "done"],
+  [/review|qa|test|verif|approval/i, "review"],
+  [/progress|doing|develop|active|started|working/i, "in-progress"],
+];
+
+const PRIORITY_GUESSES = [
+  [/highest|blocker|critical|urgent|high|major/i, "high"],
+  [/lowest|minor|trivial|low/i, "low"],
+  [/medium|normal/i, "medium"],
+];
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Jira CSV dates such as "20/Feb/24 3:45 PM"
+const JIRA_DATE = /^(\d{1,2})\/([a-z]{3})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})(?:\s*([ap]m))?)?$/i;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells; blank lines are dropped
+ * @throws {Error} If a quoted field is not closed
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("CSV has an unterminated quoted field");
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Read CSV text with a header row. Columns may repeat (Jira writes one
+ * "Labels" or "Comment" column per value), so lookups return every value.
+ * @private
+ */
+function readTable(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error("CSV is empty");
+  }
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const indexes = (name) =>
+    columns.reduce((found, column, index) => (column === name.toLowerCase() ? [...found, index] : found), []);
+
+  return {
+    has: (name) => indexes(name).length > 0,
+    rows: rows.map((cells) => ({
+      all: (name) => indexes(name).map((index) => (cells[index] || "").trim()).filter(Boolean),
+      get: (name) => (indexes(name).map((index) => (cells[index] || "").trim()).find(Boolean) || ""),
+    })),
+  };
+}
+
+/**
+ * Parse a date from an export: ISO 8601, Jira's "20/Feb/24 3:45 PM" (read as
+ * UTC) or anything Date understands
+ * @param {string} value - Date text
+ * @returns {string|null} ISO date, or null when empty or unreadable
+ */
+function parseImportDate(value) {
+  if (!value) return null;
+
+  const jira = JIRA_DATE.exec(String(value).trim());
+  if (jira) {
+    const [, day, month, year, hours = "0", minutes = "0", meridiem] = jira;
+    const monthIndex = MONTHS.indexOf(month.toLowerCase());
+    if (monthIndex === -1) return null;
+    let hour = Number(hours);
+    if (meridiem) hour = (hour % 12) + (meridiem.toLowerCase() === "pm" ? 12 : 0);
+    const fullYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+    return new Date(Date.UTC(fullYear, monthIndex, Number(day), hour, Number(minutes))).toISOString();
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Plain text of a Jira field that may be Atlassian Document Format
+ * @private
+ */
+function jiraText(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  if (value.type === "text") return value.text || "";
+
+  const blocks = ["paragraph", "heading", "listItem", "codeBlock", "blockquote"];
+  const text = (value.content || []).map(jiraText).join("");
+  return blocks.includes(value.type) ? `${text}\n` : text;
+}
+
+/**
+ * Parse a Trello board export (Board menu → Print and export → JSON).
+ * Archived cards and cards on archived lists are skipped.
+ * @param {Object} board - Board JSON
+ * @returns {Object} { items, labelColors, skipped }
+ */
+function parseTrello(board) {
+  if (!board || !Array.isArray(board.cards) || !Array.isArray(board.lists)) {
+    throw new Error("Trello data must be a board export with lists and cards");
+  }
+
+  const lists = new Map(board.lists.map((list) => [list.id, list]));
+  const labels = new Map((board.labels || []).map((label) => [label.id, label]));
+  const members = new Map((board.members || []).map((member) => [member.id, member]));
+  const labelColors = {};
+  (board.labels || []).forEach((label) => {
+    const color = TRELLO_COLORS[String(label.color || "").split("_")[0]];
+    if (color) labelColors[label.name || label.color] = color;
+  });
+
+  const comments = new Map();
+  (board.actions || [])
+    .filter((action) => action.type === "commentCard" && action.data?.card)
+    .forEach((action) => {
+      const cardId = action.data.card.id;
+      if (!comments.has(cardId)) comments.set(cardId, []);
+      comments.get(cardId).push({
+        author: action.memberCreator?.fullName || action.memberCreator?.username || null,
+        body: action.data.text || "",
+        createdAt: parseImportDate(action.date),
+      });
+    });
+
+  let skipped = 0;
+  const items = [];
+  for (const card of board.cards) {
+    const list = lists.get(card.idList);
+    if (card.closed || !list || list.closed) {
+      skipped++;
+      continue;
+    }
+
+    items.push({
+      sourceId: card.id,
+      url: card.shortUrl || card.url || null,
+      title: card.name,
+      description: card.desc || "",
+      status: list.name,
+      priority: null,
+      labels: (card.idLabels || [])
+        .map((id) => labels.get(id))
+        .filter(Boolean)
+        .map((label) => label.name || label.color),
+      assignees: (card.idMembers || [])
+        .map((id) => members.get(id))
+        .filter(Boolean)
+        .map((member) => ({ name: member.fullName || null, username: member.username || null })),
+      dueDate: parseImportDate(card.due),
+      // Trello lists actions newest first
+      comments: (comments.get(card.id) || []).sort((a, b) =>
+        String(a.createdAt).localeCompare(String(b.createdAt))
+      ),
+    });
+  }
+
+  return { items, labelColors, skipped };
+}
+
+/**
+ * Parse a Jira CSV export (Filters → Export → CSV, all fields). Comment
+ * columns hold "date;author;body".
+ * @param {string} text - CSV text
+ * @returns {Object} { items, labelColors, skipped }
+ */
+function parseJiraCsv(text) {
+  const table = readTable(text);
+  if (!table.has("summary")) {
+    throw new Error("Jira CSV needs a Summary column");
+  }
+
+  const items = table.rows.map((row) => ({
+    sourceId: row.get("issue key") || row.get("issue id") || null,
+    url: null,
+    title: row.get("summary"),
+    description: row.get("description"),
+    status: row.get("status"),
+    priority: row.get("priority") || null,
+    labels: row.all("labels"),
+    assignees: row.get("assignee") ? [{ name: row.get("assignee") }] : [],
+    dueDate: parseImportDate(row.get("due date")),
+    comments: row.all("comment").map((value) => {
+      const [date, author, ...body] = value.split(";");
+      return body.length
+        ? { author: author || null, body: body.join(";"), createdAt: parseImportDate(date) }
+        : { author: null, body: value, createdAt: null };
+    }),
+  }));
+
+  return { items, labelColors: {}, skipped: 0 };
+}
+
+/**
+ * Parse a Jira JSON export: a search result ({ issues }) or a list of issues
+ * @param {Object|Array} data - Jira JSON
+ * @returns {Object} { items, labelColors, skipped }
+ */
+function parseJiraJson(data) {
+  const issues = Array.isArray(data) ? data : data?.issues;
+  if (!Array.isArray(issues)) {
+    throw new Error("Jira JSON must be a search result with issues or a list of issues");
+  }
+
+  const items = issues.map((issue) => {
+    const fields = issue.fields || {};
+    const assignee = fields.assignee;
+    return {
+      sourceId: issue.key || issue.id || null,
+      url: null,
+      title: fields.summary,
+      description: jiraText(fields.description).trim(),
+      status: fields.status?.name || "",
+      priority: fields.priority?.name || null,
+      labels: fields.labels || [],
+      assignees: assignee ? [{ name: assignee.displayName || null, email: assignee.emailAddress || null }] : [],
+      dueDate: parseImportDate(fields.duedate),
+      comments: (fields.comment?.comments || []).map((comment) => ({
+        author: comment.author?.displayName || null,
+        body: jiraText(comment.body).trim(),
+        createdAt: parseImportDate(comment.created),
+      })),
+    };
+  });
+
+  return { items, labelColors: {}, skipped: 0 };
+}
+
+/**
+ * Parse any CSV using a column mapping
+ * @param {string} text - CSV text
+ * @param {Object} mapping - Column name for each task field: title (required),
+ *   id, description, status, priority, labels (split on commas or
+ *   semicolons), assignee, dueDate and comments (one comment per column of
+ *   that name)
+ * @returns {Object} { items, labelColors, skipped }
+ */
+function parseMappedCsv(text, mapping) {
+  if (!mapping || typeof mapping !== "object" || typeof mapping.title !== "string") {
+    throw new Error("A CSV import needs a mapping naming at least the title column");
+  }
+  const unknown = Object.keys(mapping).filter((field) => !MAPPING_FIELDS.includes(field));
+  if (unknown.length) {
+    throw new Error(`Unknown mapping fields: ${unknown.join(", ")}`);
+  }
+
+  const table = readTable(text);
+  const missing = Object.values(mapping).filter((column) => !table.has(String(column)));
+  if (missing.length) {
+    throw new Error(`CSV has no column named: ${missing.join(", ")}`);
+  }
+
+  const value = (row, field) => (mapping[field] ? row.get(mapping[field]) : "");
+  const items = table.rows.map((row) => ({
+    sourceId: value(row, "id") || null,
+    url: null,
+    title: value(row, "title"),
+    description: value(row, "description"),
+    status: value(row, "status"),
+    priority: value(row, "priority") || null,
+    labels: value(row, "labels").split(/[,;]/).map((label) => label.trim()).filter(Boolean),
+    assignees: value(row, "assignee") ? [{ name: value(row, "assignee") }] : [],
+    dueDate: parseImportDate(value(row, "dueDate")),
+    comments: mapping.comments
+      ? row.all(mapping.comments).map((body) => ({ author: null, body, createdAt: null }))
+      : [],
+  }));
+
+  return { items, labelColors: {}, skipped: 0 };
+}
+
+/**
+ * Parse an export from a supported source
+ * @param {string} source - trello, jira or csv
+ * @param {string|Object} data - Export content; JSON may be given parsed
+ * @param {Object} [mapping] - Column mapping for csv imports
+ * @returns {Object} { items, labelColors, skipped }
+ * @throws {Error} If the source is unknown or the data cannot be read
+ */
+function parseImport(source, data, mapping) {
+  if (!IMPORT_SOURCES.includes(source)) {
+    throw new Error(`source must be one of: ${IMPORT_SOURCES.join(", ")}`);
+  }
+  if (data === undefined || data === null || data === "") {
+    throw new Error("data is required");
+  }
+
+  const json = () => {
+    if (typeof data !== "string") return data;
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new Error("data is not valid JSON");
+    }
+  };
+  const isJson = typeof data !== "string" || /^\s*[[{]/.test(data);
+
+  let parsed;
+  if (source === "trello") {
+    parsed = parseTrello(json());
+  } else if (source === "jira") {
+    parsed = isJson ? parseJiraJson(json()) : parseJiraCsv(data);
+  } else {
+    if (typeof data !== "string") {
+      throw new Error("CSV data must be text");
+    }
+    parsed = parseMappedCsv(data, mapping);
+  }
+
+  if (parsed.items.length > IMPORT_LIMITS.items) {
+    throw new Error(`An import holds at most ${IMPORT_LIMITS.items} items`);
+  }
+  return parsed;
+}
+
+/**
+ * Kanban column for an imported status
+ * @param {string} status - Source status or list name
+ * @param {Object} [statusMap] - Explicit column by source status (case-insensitive)
+ * @returns {Object} { status, guessed } where guessed is true when no
+ *   explicit mapping applied
+ */
+function mapStatus(status, statusMap = {}) {
+  const name = String(status || "").trim();
+  const explicit = Object.entries(statusMap).find(([from]) => from.toLowerCase() === name.toLowerCase());
+  if (explicit) {
+    return { status: explicit[1], guessed: false };
+  }
+  const guess = STATUS_GUESSES.find(([pattern]) => pattern.test(name));
+  return { status: guess ? guess[1] : "todo", guessed: true };
+}
+
+/**
+ * Validate a status map
+ * @param {*} statusMap - Submitted map of source status to Kanban column
+ * @returns {Object} Status map
+ * @throws {Error} If it is not an object of known columns
+ */
+function normalizeStatusMap(statusMap) {
+  if (statusMap === undefined || statusMap === null) return {};
+  if (typeof statusMap !== "object" || Array.isArray(statusMap)) {
+    throw new Error("statusMap maps source statuses to columns");
+  }
+  const invalid = Object.values(statusMap).filter((column) => !KANBAN_COLUMNS.includes(column));
+  if (invalid.length) {
+    throw new Error(`statusMap columns must be one of: ${KANBAN_COLUMNS.join(", ")}`);
+  }
+  return statusMap;
+}
+
+/**
+ * Label name accepted by the catalog: no commas and within the length limit
+ * @private
+ */
+function catalogName(name) {
+  return String(name).replace(/,/g, " ").replace(/\s+/g, " ").trim().slice(0, LABEL_LIMITS.name);
+}
+
+/**
+ * Turn parsed items into task data and a report of what an import would do
+ * @param {Object} parsed - Result of parseImport
+ * @param {Object} options - Plan options
+ * @param {string} options.source - Import source
+ * @param {Object} [options.statusMap] - Explicit column by source status
+ * @param {Array<string>} [options.labels] - Names in the project's label catalog
+ * @param {Array<Object>} [options.members] - Project members ({ uid, email, name })
+ * @param {Array<string>} [options.requiredFields] - Names of required custom fields
+ * @returns {Object} { tasks, labels, report } where tasks carry their comments
+ *   and import metadata, and labels are the catalog entries to create
+ */
+function planImport(parsed, options) {
+  const { source, statusMap = {}, labels = [], members = [], requiredFields = [] } = options;
+  const warnings = [];
+  const warn = (message) => {
+    if (warnings.length < IMPORT_LIMITS.warnings) warnings.push(message);
+  };
+
+  const catalog = new Map(labels.map((name) => [labelKey(name), name]));
+  const newLabels = new Map();
+  const memberIds = new Map();
+  members.forEach((member) =>
+    [member.email, member.name, member.uid]
+      .filter(Boolean)
+      .forEach((value) => memberIds.set(String(value).toLowerCase(), member.uid))
+  );
+
+  const statusMapping = new Map();
+  const byStatus = {};
+  const unmatched = new Set();
+  let skipped = parsed.skipped || 0;
+  let matched = 0;
+  let comments = 0;
+
+  const tasks = [];
+  parsed.items.forEach((item, index) => {
+    const title = String(item.title || "").trim();
+    if (!title) {
+      skipped++;
+      warn(`Item ${index + 1}${item.sourceId ? ` (${item.sourceId})` : ""} has no title and is skipped`);
+      return;
+    }
+
+    const { status, guessed } = mapStatus(item.status, statusMap);
+    const from = String(item.status || "").trim();
+    const mapping = statusMapping.get(from) || { from, to: status, guessed, count: 0 };
+    mapping.count++;
+    statusMapping.set(from, mapping);
+    byStatus[status] = (byStatus[status] || 0) + 1;
+
+    const taskLabels = [];
+    for (const raw of item.labels) {
+      const name = catalogName(raw);
+      if (!name) continue;
+      const key = labelKey(name);
+      if (!catalog.has(key) && !newLabels.has(key)) {
+        const color = parsed.labelColors[raw];
+        newLabels.set(key, color ? { name, color } : { name });
+      }
+      const resolved = catalog.get(key) || newLabels.get(key).name;
+      if (!taskLabels.includes(resolved)) taskLabels.push(resolved);
+    }
+    if (taskLabels.length > MAX_TASK_LABELS) {
+      warn(`"${title}" has ${taskLabels.length} labels; only the first ${MAX_TASK_LABELS} are kept`);
+      taskLabels.length = MAX_TASK_LABELS;
+    }
+
+    const names = item.assignees.map((person) => person.name || person.username || person.email).filter(Boolean);
+    const assignee = item.assignees
+      .flatMap((person) => [person.email, person.username, person.name])
+      .filter(Boolean)
+      .map((value) => memberIds.get(String(value).toLowerCase()))
+      .find(Boolean);
+    if (assignee) {
+      matched++;
+    } else {
+      names.forEach((name) => unmatched.add(name));
+    }
+
+    const priority = item.priority
+      ? (PRIORITY_GUESSES.find(([pattern]) => pattern.test(item.priority)) || [null, null])[1]
+      : null;
+    const taskComments = item.comments
+      .filter((comment) => comment.body && comment.body.trim())
+      .map((comment) => ({ ...comment, body: comment.body.trim().slice(0, IMPORT_LIMITS.comment) }));
+    if (taskComments.length > IMPORT_LIMITS.comments) {
+      warn(`"${title}" has ${taskComments.length} comments; only the first ${IMPORT_LIMITS.comments} are kept`);
+      taskComments.length = IMPORT_LIMITS.comments;
+    }
+    comments += taskComments.length;
+
+    tasks.push({
+      title,
+      description: String(item.description || "").trim(),
+      status,
+      ...(priority && { priority }),
+      labels: taskLabels,
+      assignee: assignee || null,
+      dueDate: item.dueDate || null,
+      comments: taskComments,
+      import: {
+        source,
+        sourceId: item.sourceId || null,
+        url: item.url || null,
+        status: from || null,
+        assignees: names,
+      },
+    });
+  });
+
+  if (requiredFields.length && tasks.length) {
+    warn(`The project requires custom fields (${requiredFields.join(", ")}); imported tasks have no values and will fail`);
+  }
+
+  return {
+    tasks,
+    labels: [...newLabels.values()],
+    report: {
+      source,
+      total: tasks.length,
+      skipped,
+      byStatus,
+      statusMapping: [...statusMapping.values()],
+      newLabels: [...newLabels.values()].map((label) => label.name),
+      assignees: { matched, unmatched: [...unmatched] },
+      comments,
+      dueDates: tasks.filter((task) => task.dueDate).length,
+      warnings,
+      preview: tasks.slice(0, IMPORT_LIMITS.preview).map((task) => ({
+        title: task.title,
+        status: task.status,
+        labels: task.labels,
+        assignee: task.assignee,
+        dueDate: task.dueDate,
+        comments: task.comments.length,
+      })),
+    },
+  };
+}
+
+module.exports = {
+  IMPORT_SOURCES,
+  KANBAN_COLUMNS,
+  IMPORT_LIMITS,
+  parseCsv,
+  parseImportDate,
+  parseTrello,
+  parseJiraCsv,
+  parseJiraJson,
+  parseMappedCsv,
+  parseImport,
+  mapStatus,
+  normalizeStatusMap,
+  planImport,
+};
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Project label catalog validation and task label checks
+ * @module utils/labels
+ */
+
+/**
+ * Length limits for label fields
+ * @const {Object}
+ */
+const LABEL_LIMITS = {
+  name: 50,
+  description: 500,
+  group: 50,
+};
+
+/**
+ * Color given to labels created without one
+ * @const {string}
+ */
+const DEFAULT_LABEL_COLOR = "#6b7280";
+
+/**
+ * Maximum labels on one task
+ * @const {number}
+ */
+const MAX_TASK_LABELS = 20;
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Key used to keep label names unique within a project, ignoring case and
+ * surrounding whitespace
+ * @param {string} name - Label name
+ * @returns {string} Key
+ */
+function labelKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+/**
+ * Validate an optional string field, returning it trimmed or null
+ * @private
+ */
+function optionalText(data, field) {
+  const value = data[field];
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") {
+    throw new Error(`${field} must be a string`);
+  }
+  if (value.length > LABEL_LIMITS[field]) {
+    throw new Error(`${field} is limited to ${LABEL_LIMITS[field]} characters`);
+  }
+  return value.trim() || null;
+}
+
+/**
+ * Validate and normalize a label definition
+ * @param {Object} data - { name, color?, description?, group? }
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Only check the fields present (updates)
+ * @returns {Object} Normalized fields
+ * @throws {Error} If a field is invalid
+ */
+function normalizeLabel(data, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || "name" in data) {
+    if (typeof data.name !== "string" || !data.name.trim()) {
+      throw new Error("name is required");
+    }
+    if (data.name.length > LABEL_LIMITS.name) {
+      throw new Error(`name is limited to ${LABEL_LIMITS.name} characters`);
+    }
+    if (data.name.includes(",")) {
+      throw new Error("name cannot contain commas");
+    }
+    fields.name = data.name.trim();
+  }
+
+  if (!partial || "color" in data) {
+    const color = data.color || DEFAULT_LABEL_COLOR;
+    if (typeof color !== "string" || !COLOR_PATTERN.test(color)) {
+      throw new Error("color must be a hex color such as #1d76db");
+    }
+    fields.color = color.toLowerCase();
+  }
+
+  ["description", "group"].forEach((field) => {
+    if (!partial || field in data) {
+      fields[field] = optionalText(data, field);
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Check the shape of a task's labels
+ * @param {*} labels - Submitted labels
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTaskLabels(labels) {
+  if (!Array.isArray(labels) || labels.some((label) => typeof label !== "string")) {
+    return "labels must be an array of label names";
+  }
+  if (labels.length > MAX_TASK_LABELS) {
+    return `A task carries at most ${MAX_TASK_LABELS} labels`;
+  }
+  return null;
+}
+
+/**
+ * Labels a task would gain that its project does not define. Labels the task
+ * already carries are not rechecked, so tasks tagged before the catalog
+ * existed stay editable.
+ * @param {Array<string>} labels - Labels being written
+ * @param {Set<string>} defined - Label names in the project's catalog
+ * @param {Array<string>} [previous] - Labels the task carries now
+ * @returns {Array<string>} Undefined labels
+ */
+function undefinedLabels(labels, defined, previous = []) {
+  return labels.filter((label) => !defined.has(label) && !previous.includes(label));
+}
+
+module.exports = {
+  LABEL_LIMITS,
+  DEFAULT_LABEL_COLOR,
+  MAX_TASK_LABELS,
+  labelKey,
+  normalizeLabel,
+  validateTaskLabels,
+  undefinedLabels,
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Archive / trash lifecycle rules shared by projects and tasks
+ * @module utils/lifecycle
+ */
+
+/**
+ * Lifecycle states. Documents without a lifecycle field are active.
+ * @const {Object}
+ */
+const LIFECYCLE = {
+  ACTIVE: "active",
+  ARCHIVED: "archived",
+  DELETED: "deleted",
+};
+
+/**
+ * Fields maintained by the archive / trash operations
+ * @const {Array<string>}
+ */
+const LIFECYCLE_FIELDS = [
+  "lifecycle",
+  "lifecycleSource",
+  "archivedAt",
+  "archivedBy",
+  "deletedAt",
+  "deletedBy",
+  "purgeAfter",
+  "restore",
+];
+
+/**
+ * Days a deleted project stays restorable before it is purged
+ * @const {number}
+ */
+const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Normalize a stored lifecycle value
+ * @param {string} [lifecycle] - Stored value
+ * @returns {string} One of LIFECYCLE
+ */
+function lifecycleOf(lifecycle) {
+  return lifecycle || LIFECYCLE.ACTIVE;
+}
+
+/**
+ * Whether a document should appear in a listing
+ * @param {string} [lifecycle] - Stored lifecycle value
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.includeArchived=false] - Include archived documents
+ * @param {boolean} [options.includeDeleted=false] - Include documents in the trash
+ * @returns {boolean} Whether the document is listed
+ */
+function isVisible(lifecycle, options = {}) {
+  switch (lifecycleOf(lifecycle)) {
+    case LIFECYCLE.ARCHIVED:
+      return !!options.includeArchived;
+    case LIFECYCLE.DELETED:
+      return !!options.includeDeleted;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Reason a document cannot be modified, or null when it is editable
+ * @param {string} [lifecycle] - Stored lifecycle value
+ * @param {string} [label="Project"] - Name used in the message
+ * @returns {string|null} Message for a 409 response
+ */
+function readOnlyReason(lifecycle, label = "Project") {
+  switch (lifecycleOf(lifecycle)) {
+    case LIFECYCLE.ARCHIVED:
+      return `${label} is archived and read-only; unarchive it first`;
+    case LIFECYCLE.DELETED:
+      return `${label} is in the trash; restore it first`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * When a document deleted at the given time is purged
+ * @param {Date} deletedAt - Deletion time
+ * @param {number} [days=TRASH_RETENTION_DAYS] - Retention period
+ * @returns {Date} Purge time
+ */
+function purgeDate(deletedAt, days = TRASH_RETENTION_DAYS) {
+  return new Date(deletedAt.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  LIFECYCLE,
+  LIFECYCLE_FIELDS,
+  TRASH_RETENTION_DAYS,
+  lifecycleOf,
+  isVisible,
+  readOnlyReason,
+  purgeDate,
+};
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Recurrence rules for recurring tasks. Rules are a subset of
+ * RFC 5545 RRULEs: FREQ (DAILY, WEEKLY or MONTHLY), INTERVAL, BYDAY (with an
+ * ordinal for monthly rules, e.g. 2TU or -1FR), BYMONTHDAY, COUNT and UNTIL.
+ * Occurrences are computed in UTC and keep the time of day of the series start.
+ * @module utils/recurrence
+ *
+ * @example
+ * parseRule("FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"); // every weekday
+ * parseRule("FREQ=MONTHLY;BYMONTHDAY=1");        // monthly on the 1st
+ * parseRule("FREQ=MONTHLY;BYDAY=2TU");           // monthly on the 2nd Tuesday
+ */
+
+const { toDate } = require("./sprints");
+
+/**
+ * Supported frequencies
+ * @const {Array<string>}
+ */
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+
+/**
+ * RRULE weekday codes, indexed like Date#getUTCDay
+ * @const {Array<string>}
+ */
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * Supported rule parts
+ * @const {Array<string>}
+ */
+const RULE_PARTS = ["FREQ", "INTERVAL", "BYDAY", "BYMONTHDAY", "COUNT", "UNTIL"];
+
+/**
+ * Days searched for the next occurrence before giving up
+ * @const {number}
+ */
+const MAX_SEARCH_DAYS = 5 * 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a positive integer rule value
+ * @private
+ */
+function positiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Parse an UNTIL value (YYYYMMDD or YYYYMMDDTHHMMSSZ)
+ * @private
+ */
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(value);
+  if (!match) {
+    throw new Error("UNTIL must be a UTC date such as 20261231 or 20261231T170000Z");
+  }
+  const [, year, month, day, hour = "23", minute = "59", second = "59"] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+/**
+ * Parse a BYDAY entry such as MO, 2TU or -1FR
+ * @private
+ */
+function parseByDay(value, freq) {
+  const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid BYDAY value "${value}"`);
+  }
+  const ordinal = match[1] ? Number(match[1]) : null;
+  if (ordinal !== null && (freq !== "MONTHLY" || ordinal === 0 || Math.abs(ordinal) > 5)) {
+    throw new Error(`BYDAY ordinals such as "${value}" need FREQ=MONTHLY and -5..5`);
+  }
+  return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+}
+
+/**
+ * Parse and validate a recurrence rule
+ * @param {string} rrule - Rule, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO"
+ * @returns {Object} { freq, interval, byDay, byMonthDay, count, until }
+ * @throws {Error} If the rule is malformed or uses unsupported parts
+ */
+function parseRule(rrule) {
+  if (typeof rrule !== "string" || !rrule.trim()) {
+    throw new Error("rule must be an RRULE string, e.g. FREQ=WEEKLY;BYDAY=MO");
+  }
+
+  const parts = {};
+  for (const part of rrule.trim().replace(/^RRULE:/i, "").split(";")) {
+    const [key, value] = part.split("=");
+    if (!key || !value) {
+      throw new Error(`Invalid rule part "${part}"`);
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const unsupported = Object.keys(parts).filter((key) => !RULE_PARTS.includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported rule parts: ${unsupported.join(", ")}`);
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`FREQ must be one of ${FREQUENCIES.join(", ")}`);
+  }
+  if (parts.COUNT && parts.UNTIL) {
+    throw new Error("COUNT and UNTIL cannot be combined");
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? positiveInteger(parts.INTERVAL, "INTERVAL") : 1,
+    byDay: parts.BYDAY
+      ? parts.BYDAY.split(",").map((value) => parseByDay(value, parts.FREQ))
+      : [],
+    byMonthDay: [],
+    count: parts.COUNT ? positiveInteger(parts.COUNT, "COUNT") : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null,
+  };
+
+  if (parts.BYMONTHDAY) {
+    if (rule.freq !== "MONTHLY") {
+      throw new Error("BYMONTHDAY needs FREQ=MONTHLY");
+    }
+    rule.byMonthDay = parts.BYMONTHDAY.split(",").map((value) => {
+      const day = Number(value);
+      if (!Number.isInteger(day) || day === 0 || Math.abs(day) > 31) {
+        throw new Error(`Invalid BYMONTHDAY value "${value}"`);
+      }
+      return day;
+    });
+  }
+
+  return rule;
+}
+
+/**
+ * UTC midnight of a date
+ * @private
+ */
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * UTC midnight of the Monday starting a date's week
+ * @private
+ */
+function startOfWeek(date) {
+  const day = startOfDay(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+/**
+ * Whether a day of its month matches a BYMONTHDAY or ordinal BYDAY entry
+ * @private
+ */
+function matchesMonthDay(rule, day) {
+  const date = day.getUTCDate();
+  const daysInMonth = new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+
+  const byMonthDay = rule.byMonthDay.some((n) =>
+    n > 0 ? date === n : date === daysInMonth + n + 1
+  );
+  const byDay = rule.byDay.some(({ weekday, ordinal }) => {
+    if (weekday !== day.getUTCDay()) return false;
+    if (ordinal === null) return true;
+    return ordinal > 0
+      ? Math.ceil(date / 7) === ordinal
+      : Math.ceil((daysInMonth - date + 1) / 7) === -ordinal;
+  });
+  return byMonthDay || byDay;
+}
+
+/**
+ * Whether a rule has an occurrence on a day
+ * @private
+ * @param {Object} rule - Parsed rule
+ * @param {Date} day - UTC midnight of the day
+ * @param {Date} anchor - UTC midnight of the series start
+ * @returns {boolean} Whether the day is an occurrence
+ */
+function matchesDay(rule, day, anchor) {
+  const weekdayMatches = (days) => days.some(({ weekday }) => weekday === day.getUTCDay());
+
+  switch (rule.freq) {
+    case "DAILY":
+      if (Math.round((day - anchor) / DAY_MS) % rule.interval !== 0) return false;
+      return rule.byDay.length === 0 || weekdayMatches(rule.byDay);
+
+    case "WEEKLY": {
+      const weeks = Math.round((startOfWeek(day) - startOfWeek(anchor)) / (7 * DAY_MS));
+      if (weeks % rule.interval !== 0) return false;
+      return weekdayMatches(
+        rule.byDay.length ? rule.byDay : [{ weekday: anchor.getUTCDay() }]
+      );
+    }
+
+    case "MONTHLY": {
+      const months =
+        (day.getUTCFullYear() - anchor.getUTCFullYear()) * 12 +
+        day.getUTCMonth() -
+        anchor.getUTCMonth();
+      if (months % rule.interval !== 0) return false;
+      if (rule.byDay.length === 0 && rule.byMonthDay.length === 0) {
+        return day.getUTCDate() === anchor.getUTCDate();
+      }
+      return matchesMonthDay(rule, day);
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Compute the first occurrence of a series after a point in time
+ * @param {Object} rule - Parsed rule (see parseRule)
+ * @param {Date|string} start - Series start; fixes the time of day and the
+ *   weeks / months INTERVAL counts from
+ * @param {Date|string} after - Occurrences at or before this time are skipped
+ * @returns {Date|null} Next occurrence, or null once UNTIL has passed
+ */
+function nextOccurrence(rule, start, after) {
+  const startDate = toDate(start);
+  const afterDate = toDate(after) || startDate;
+  const anchor = startOfDay(startDate);
+  const timeOfDay = startDate - anchor;
+
+  let day = startOfDay(afterDate > startDate ? afterDate : startDate);
+  for (let i = 0; i <= MAX_SEARCH_DAYS; i++, day = new Date(day.getTime() + DAY_MS)) {
+    const candidate = new Date(day.getTime() + timeOfDay);
+    if (candidate < startDate || candidate <= afterDate) continue;
+    if (rule.until && candidate > rule.until) return null;
+    if (matchesDay(rule, day, anchor)) return candidate;
+  }
+  return null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  parseRule,
+  nextOccurrence,
+};
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Project roles and the permissions they grant
+ * @module utils/roles
+ */
+
+/**
+ * Project roles
+ * @const {Object}
+ */
+const ROLES = {
+  OWNER: "owner",
+  ADMIN: "admin",
+  MEMBER: "member",
+  VIEWER: "viewer",
+  AI_AGENT: "ai-agent",
+};
+
+/**
+ * Permissions granted by each role
+ * @const {Object<string, Array<string>>}
+ */
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: [
+    "project:read",
+    "project:update",
+    "project:delete",
+    "members:manage",
+    "task:read",
+    "task:write",
+  ],
+  [ROLES.ADMIN]: [
+    "project:read",
+    "project:update",
+    "members:manage",
+    "task:read",
+    "task:write",
+  ],
+  [ROLES.MEMBER]: ["project:read", "task:read", "task:write"],
+  [ROLES.VIEWER]: ["project:read", "task:read"],
+  [ROLES.AI_AGENT]: ["project:read", "task:read", "task:write"],
+};
+
+/**
+ * Whether a value is a known role
+ * @param {string} role - Role name
+ * @returns {boolean} Whether the role exists
+ */
+function isRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission, e.g. "task:write"
+ * @returns {boolean} Whether the permission is granted
+ */
+function hasPermission(role, permission) {
+  return isRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Whether a member with one role may grant, change or revoke another role.
+ * Only owners manage owners.
+ * @param {string} actorRole - Role of the member making the change
+ * @param {string} role - Role being granted or revoked
+ * @returns {boolean} Whether the change is allowed
+ */
+function canAssignRole(actorRole, role) {
+  if (!isRole(role) || !hasPermission(actorRole, "members:manage")) {
+    return false;
+  }
+  return role !== ROLES.OWNER || actorRole === ROLES.OWNER;
+}
+
+/**
+ * Task permission needed for a request method when a route does not name one
+ * @param {string} method - HTTP method
+ * @returns {string} task:read for GET/HEAD, task:write otherwise
+ */
+function permissionForMethod(method) {
+  return ["GET", "HEAD"].includes(method) ? "task:read" : "task:write";
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  isRole,
+  hasPermission,
+  canAssignRole,
+  permissionForMethod,
+};
@@ -0,0 +1,347 @@
+/**
+ * @fileoverview Search tokenizing, fuzzy matching, scoring and snippets.
+ * Indexed documents store short token prefixes as keys, so a query finds its
+ * candidates with one array-contains-any lookup and scores them here. Typos
+ * are matched by Levenshtein distance, but only past the first characters a
+ * key covers.
+ * @module utils/search
+ */
+
+/**
+ * Kinds of documents that can be searched
+ * @const {Array<string>}
+ */
+const SEARCH_TYPES = ["task", "comment", "project"];
+
+/**
+ * Limits for queries, results and indexed text
+ * @const {Object}
+ */
+const SEARCH_LIMITS = {
+  query: 200,
+  tokens: 10,
+  results: 50,
+  defaultResults: 20,
+  text: 5000,
+  keys: 500,
+  snippet: 160,
+};
+
+/**
+ * Lowest score, between 0 and 1, a result needs: about half of the query
+ * words must match
+ * @const {number}
+ */
+const MIN_SCORE = 0.5;
+
+// Characters that separate words
+const SEPARATOR = /[\s,.!?;:'"()[\]{}<>/|+=~`@#$%^&*\\-]+/;
+const WORD = /[^\s,.!?;:'"()[\]{}<>/|+=~`@#$%^&*\\-]+/g;
+
+// Index keys are token prefixes of these lengths
+const KEY_LENGTHS = [2, 3];
+const MIN_TOKEN_LENGTH = 2;
+
+// Score of a query word by how it matched, and of the field it matched in
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+const FIELD_WEIGHTS = { title: 1, text: 0.8 };
+
+/**
+ * Split text into search tokens
+ * @param {string} text - Text
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.caseSensitive=false] - Keep letter case
+ * @returns {Array<string>} Tokens in text order
+ */
+function tokenize(text, options = {}) {
+  const { caseSensitive = false } = options;
+  const normalized = caseSensitive ? String(text) : String(text).toLowerCase();
+  return normalized.split(SEPARATOR).filter((token) => token.length > 0);
+}
+
+/**
+ * Calculate the Levenshtein distance between two strings
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} Number of single-character edits between them
+ */
+function levenshteinDistance(str1, str2) {
+  const matrix = Array(str2.length + 1)
+    .fill()
+    .map(() => Array(str1.length + 1).fill(0));
+
+  for (let i = 0; i <= str1.length; i++) {
+    matrix[0][i] = i;
+  }
+  for (let j = 0; j <= str2.length; j++) {
+    matrix[j][0] = j;
+  }
+
+  for (let j = 1; j <= str2.length; j++) {
+    for (let i = 1; i <= str1.length; i++) {
+      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+      matrix[j][i] = Math.min(
+        matrix[j - 1][i] + 1, // deletion
+        matrix[j][i - 1] + 1, // insertion
+        matrix[j - 1][i - 1] + cost // substitution
+      );
+    }
+  }
+
+  return matrix[str2.length][str1.length];
+}
+
+/**
+ * How a query token matches a document token
+ * @param {string} searchToken - Query token
+ * @param {string} docToken - Document token
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fuzzyMatch=true] - Allow typos: up to 30% of the
+ *   query token's characters may differ
+ * @returns {string|null} exact, prefix, fuzzy, or null when they don't match
+ */
+function matchToken(searchToken, docToken, options = {}) {
+  const { fuzzyMatch = true } = options;
+  if (searchToken === docToken) return "exact";
+  if (searchToken.length >= MIN_TOKEN_LENGTH && docToken.startsWith(searchToken)) {
+    return "prefix";
+  }
+  if (!fuzzyMatch) return null;
+
+  const maxDistance = Math.floor(searchToken.length * 0.3);
+  if (maxDistance === 0 || Math.abs(searchToken.length - docToken.length) > maxDistance) {
+    return null;
+  }
+  return levenshteinDistance(searchToken, docToken) <= maxDistance ? "fuzzy" : null;
+}
+
+/**
+ * Score how well document tokens match the query tokens: the average, over
+ * query tokens, of their best match
+ * @param {Array<string>} searchTokens - Query tokens
+ * @param {Iterable<string>} docTokens - Document tokens
+ * @param {Object} [options] - Options passed to matchToken
+ * @returns {number} Score between 0 and 1
+ */
+function calculateRelevance(searchTokens, docTokens, options = {}) {
+  if (searchTokens.length === 0) return 0;
+  const candidates = [...new Set(docTokens)];
+
+  const total = searchTokens.reduce((sum, searchToken) => {
+    let best = 0;
+    for (const docToken of candidates) {
+      const match = matchToken(searchToken, docToken, options);
+      if (match) best = Math.max(best, MATCH_WEIGHTS[match]);
+      if (best === 1) break;
+    }
+    return sum + best;
+  }, 0);
+
+  return total / searchTokens.length;
+}
+
+/**
+ * Find the words of a text that match the query tokens
+ * @param {string} text - Text
+ * @param {Array<string>} searchTokens - Query tokens
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.caseSensitive=false] - Tokens keep letter case
+ * @param {boolean} [options.fuzzyMatch=true] - Allow typos
+ * @returns {Array<Object>} { start, end, token, fuzzy? } ranges in text order;
+ *   a prefix match covers only the typed part of the word
+ */
+function highlightMatches(text, searchTokens, options = {}) {
+  const { caseSensitive = false, fuzzyMatch = true } = options;
+  const source = String(text);
+  const ranges = [];
+
+  for (const word of source.matchAll(WORD)) {
+    const value = caseSensitive ? word[0] : word[0].toLowerCase();
+    for (const searchToken of searchTokens) {
+      const match = matchToken(searchToken, value, { fuzzyMatch });
+      if (!match) continue;
+
+      const start = word.index;
+      const end = start + (match === "prefix" ? searchToken.length : value.length);
+      ranges.push({
+        start,
+        end,
+        token: source.slice(start, end),
+        ...(match === "fuzzy" ? { fuzzy: true } : {}),
+      });
+      break;
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Read the search query into distinct tokens
+ * @param {string} query - Query text
+ * @returns {Array<string>} Tokens
+ * @throws {Error} When the query is missing, too long or has no usable word
+ */
+function parseSearchQuery(query) {
+  if (typeof query !== "string" || !query.trim()) {
+    throw new Error("q is required");
+  }
+  if (query.length > SEARCH_LIMITS.query) {
+    throw new Error(`q is limited to ${SEARCH_LIMITS.query} characters`);
+  }
+
+  const tokens = [...new Set(tokenize(query))].filter(
+    (token) => token.length >= MIN_TOKEN_LENGTH
+  );
+  if (tokens.length === 0) {
+    throw new Error(`q needs a word of at least ${MIN_TOKEN_LENGTH} characters`);
+  }
+  if (tokens.length > SEARCH_LIMITS.tokens) {
+    throw new Error(`q is limited to ${SEARCH_LIMITS.tokens} words`);
+  }
+  return tokens;
+}
+
+/**
+ * Read a comma-separated list of result types
+ * @param {string} [types] - e.g. "task,comment"; all types when empty
+ * @returns {Array<string>} Types
+ * @throws {Error} On an unknown type
+ */
+function parseSearchTypes(types) {
+  if (!types) return [...SEARCH_TYPES];
+  const list = [...new Set(String(types).split(",").map((type) => type.trim()).filter(Boolean))];
+  const unknown = list.filter((type) => !SEARCH_TYPES.includes(type));
+  if (unknown.length > 0 || list.length === 0) {
+    throw new Error(`types must be a list of: ${SEARCH_TYPES.join(", ")}`);
+  }
+  return list;
+}
+
+/**
+ * Index keys of a document's text: prefixes of each of its tokens
+ * @param {Array<string>} texts - Searchable texts
+ * @returns {Array<string>} Distinct keys, capped at SEARCH_LIMITS.keys
+ */
+function indexKeys(texts) {
+  const keys = new Set();
+  for (const token of tokenize(texts.filter(Boolean).join(" "))) {
+    if (token.length < MIN_TOKEN_LENGTH) continue;
+    KEY_LENGTHS.forEach((length) => keys.add(token.slice(0, length)));
+    if (keys.size >= SEARCH_LIMITS.keys) break;
+  }
+  return [...keys].slice(0, SEARCH_LIMITS.keys);
+}
+
+/**
+ * Keys to look up for query tokens. A token's longest key prefix is used, so
+ * a typo in its first characters is not found.
+ * @param {Array<string>} searchTokens - Query tokens from parseSearchQuery
+ * @returns {Array<string>} Distinct keys
+ */
+function queryKeys(searchTokens) {
+  const longest = KEY_LENGTHS[KEY_LENGTHS.length - 1];
+  return [...new Set(searchTokens.map((token) => token.slice(0, longest)))];
+}
+
+/**
+ * Build the index entry of a searchable document
+ * @param {string} type - task, comment or project
+ * @param {Object} fields - { title, text } plus fields stored as they are
+ *   (ids, status, lifecycle)
+ * @returns {Object} Entry with its keys and text trimmed to SEARCH_LIMITS.text
+ */
+function buildEntry(type, fields) {
+  const title = String(fields.title || "");
+  const text = String(fields.text || "").slice(0, SEARCH_LIMITS.text);
+  return {
+    ...fields,
+    type,
+    title,
+    text,
+    keys: indexKeys([title, text]),
+  };
+}
+
+/**
+ * Score an index entry against the query and find its highlights
+ * @param {Object} entry - Index entry with title and text
+ * @param {Array<string>} searchTokens - Query tokens
+ * @returns {Object} { score, title, text }: title and text hold highlight ranges
+ */
+function scoreEntry(entry, searchTokens) {
+  const tokens = {
+    title: tokenize(entry.title || ""),
+    text: tokenize(entry.text || ""),
+  };
+
+  // Each query token counts once, where it matches best
+  const total = searchTokens.reduce((sum, searchToken) => {
+    let best = 0;
+    Object.entries(tokens).forEach(([field, docTokens]) => {
+      const score = calculateRelevance([searchToken], docTokens) * FIELD_WEIGHTS[field];
+      best = Math.max(best, score);
+    });
+    return sum + best;
+  }, 0);
+
+  return {
+    score: total / searchTokens.length,
+    title: highlightMatches(entry.title || "", searchTokens),
+    text: highlightMatches(entry.text || "", searchTokens),
+  };
+}
+
+/**
+ * Cut a snippet of text around its first highlight
+ * @param {string} text - Text
+ * @param {Array<Object>} ranges - Highlight ranges from highlightMatches
+ * @param {number} [length=SEARCH_LIMITS.snippet] - Snippet length
+ * @returns {Object} { text, highlights }: highlight { start, end } ranges
+ *   relative to the snippet
+ */
+function snippet(text, ranges, length = SEARCH_LIMITS.snippet) {
+  // Line breaks become spaces one for one, so ranges keep their offsets
+  const source = String(text || "").replace(/\s/g, " ");
+  if (source.length <= length) {
+    return { text: source, highlights: ranges.map(({ start, end }) => ({ start, end })) };
+  }
+
+  // Start a little before the first match, at a word boundary
+  let start = 0;
+  if (ranges.length > 0) {
+    start = Math.max(0, Math.min(ranges[0].start - Math.floor(length / 4), source.length - length));
+    const space = source.lastIndexOf(" ", start);
+    start = space > start - 20 && space >= 0 ? space + 1 : start;
+  }
+  const end = Math.min(source.length, start + length);
+  const prefix = start > 0 ? "…" : "";
+
+  return {
+    text: `${prefix}${source.slice(start, end)}${end < source.length ? "…" : ""}`,
+    highlights: ranges
+      .filter((range) => range.start >= start && range.end <= end)
+      .map((range) => ({
+        start: range.start - start + prefix.length,
+        end: range.end - start + prefix.length,
+      })),
+  };
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  SEARCH_LIMITS,
+  MIN_SCORE,
+  tokenize,
+  levenshteinDistance,
+  matchToken,
+  calculateRelevance,
+  highlightMatches,
+  parseSearchQuery,
+  parseSearchTypes,
+  indexKeys,
+  queryKeys,
+  buildEntry,
+  scoreEntry,
+  snippet,
+};
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Sprint states, date validation and close-out summaries
+ * @module utils/sprints
+ */
+
+const { isDoneStatus } = require("./task-graph");
+
+/**
+ * Sprint states. A project has at most one active sprint.
+ * @const {Object}
+ */
+const SPRINT_STATES = {
+  PLANNED: "planned",
+  ACTIVE: "active",
+  CLOSED: "closed",
+};
+
+/**
+ * Convert a stored or submitted date into a Date
+ * @param {Date|string|FirebaseFirestore.Timestamp} value - Date value
+ * @returns {Date|null} Date, or null when the value is not a valid date
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date =
+    typeof value.toDate === "function" ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate the date range of a sprint
+ * @param {*} startDate - Start date
+ * @param {*} endDate - End date
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSprintDates(startDate, endDate) {
+  const start = toDate(startDate);
+  const end = toDate(endDate);
+  if (!start) return "startDate must be a valid date";
+  if (!end) return "endDate must be a valid date";
+  if (end <= start) return "endDate must be after startDate";
+  return null;
+}
+
+/**
+ * Choose the sprint unfinished tasks roll into when a sprint closes: the
+ * planned sprint that starts first
+ * @param {Array<Object>} sprints - Sprints of the project
+ * @param {string} closingId - ID of the sprint being closed
+ * @returns {Object|null} Next sprint, or null to return tasks to the backlog
+ */
+function pickNextSprint(sprints, closingId) {
+  const planned = sprints.filter(
+    (sprint) => sprint.id !== closingId && sprint.state === SPRINT_STATES.PLANNED
+  );
+  planned.sort((a, b) => toDate(a.startDate) - toDate(b.startDate));
+  return planned[0] || null;
+}
+
+/**
+ * Snapshot what a sprint committed to against what it completed
+ * @param {Array<string>} committedTaskIds - Tasks in the sprint when it started
+ * @param {Array<Object>} tasks - Tasks in the sprint now ({ id, status })
+ * @returns {Object} Summary with committed, completed, carriedOver, added and
+ *   removed task IDs, their counts, and the share of committed tasks completed
+ */
+function summarizeSprint(committedTaskIds, tasks) {
+  const committed = [...new Set(committedTaskIds || [])];
+  const current = new Set(tasks.map((task) => task.id));
+  const completed = tasks.filter((task) => isDoneStatus(task.status)).map((task) => task.id);
+  const carriedOver = tasks
+    .filter((task) => !isDoneStatus(task.status))
+    .map((task) => task.id);
+  const added = tasks.map((task) => task.id).filter((id) => !committed.includes(id));
+  const removed = committed.filter((id) => !current.has(id));
+  const completedCommitted = completed.filter((id) => committed.includes(id));
+
+  return {
+    committed,
+    completed,
+    carriedOver,
+    added,
+    removed,
+    counts: {
+      committed: committed.length,
+      completed: completed.length,
+      completedCommitted: completedCommitted.length,
+      carriedOver: carriedOver.length,
+      added: added.length,
+      removed: removed.length,
+    },
+    completionRate:
+      committed.length > 0 ? completedCommitted.length / committed.length : null,
+  };
+}
+
+module.exports = {
+  SPRINT_STATES,
+  toDate,
+  validateSprintDates,
+  pickNextSprint,
+  summarizeSprint,
+};
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Pure helpers for the task dependency graph
+ * @module utils/task-graph
+ */
+
+/**
+ * Statuses that count as finished for dependency purposes
+ * @const {Array<string>}
+ */
+const DONE_STATUSES = ["done", "validated"];
+
+/**
+ * Check whether a task status counts as finished
+ * @param {string} status - Task status
+ * @returns {boolean} Whether the task is done
+ */
+function isDoneStatus(status) {
+  return DONE_STATUSES.includes(String(status || "").toLowerCase());
+}
+
+/**
+ * Build an adjacency map (task -> prerequisites) from task nodes
+ * @param {Array<Object>} nodes - Tasks as { id, dependsOn } or { id, data: { dependsOn } }
+ * @returns {Map<string, Array<string>>} Adjacency map
+ */
+function buildAdjacency(nodes) {
+  const adjacency = new Map();
+  for (const node of nodes) {
+    const data = node.data || node;
+    adjacency.set(node.id, Array.isArray(data.dependsOn) ? data.dependsOn : []);
+  }
+  return adjacency;
+}
+
+/**
+ * Find a path between two tasks following prerequisite edges (breadth first)
+ * @param {Map<string, Array<string>>} adjacency - Task -> prerequisites
+ * @param {string} start - Starting task ID
+ * @param {string} target - Task ID to reach
+ * @returns {Array<string>|null} Task IDs from start to target, or null
+ */
+function findPath(adjacency, start, target) {
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === target) {
+      const path = [];
+      for (let id = current; id !== null; id = previous.get(id)) {
+        path.unshift(id);
+      }
+      return path;
+    }
+
+    for (const next of adjacency.get(current) || []) {
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether making taskId depend on prerequisiteId would close a cycle
+ * @param {Map<string, Array<string>>} adjacency - Current task -> prerequisites
+ * @param {string} taskId - Dependent task
+ * @param {string} prerequisiteId - Proposed prerequisite
+ * @returns {Array<string>|null} The cycle as task IDs (first and last equal), or null
+ */
+function findCycle(adjacency, taskId, prerequisiteId) {
+  if (taskId === prerequisiteId) return [taskId, taskId];
+
+  const path = findPath(adjacency, prerequisiteId, taskId);
+  return path ? [taskId, ...path] : null;
+}
+
+/**
+ * List the chains of unfinished prerequisites blocking a task. Each chain runs
+ * from the task to an unfinished prerequisite that is not itself blocked.
+ * @param {Map<string, Array<string>>} adjacency - Task -> prerequisites
+ * @param {Map<string, string>} statuses - Task -> status
+ * @param {string} taskId - Task to inspect
+ * @returns {Array<Array<string>>} Blocking chains
+ */
+function blockedChains(adjacency, statuses, taskId) {
+  const chains = [];
+
+  const walk = (id, path) => {
+    const open = (adjacency.get(id) || []).filter(
+      (prerequisite) =>
+        statuses.has(prerequisite) &&
+        !isDoneStatus(statuses.get(prerequisite)) &&
+        !path.includes(prerequisite)
+    );
+
+    if (open.length === 0) {
+      if (path.length > 1) chains.push(path);
+      return;
+    }
+    open.forEach((prerequisite) => walk(prerequisite, [...path, prerequisite]));
+  };
+
+  walk(taskId, [taskId]);
+  return chains;
+}
+
+module.exports = {
+  DONE_STATUSES,
+  isDoneStatus,
+  buildAdjacency,
+  findPath,
+  findCycle,
+  blockedChains,
+};
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Time entry durations, validation and report totals
+ * @module utils/time-tracking
+ */
+
+const { toDate } = require("./sprints");
+
+/**
+ * Longest single time entry
+ * @const {number}
+ */
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+/**
+ * Longest date range a timesheet covers
+ * @const {number}
+ */
+const MAX_REPORT_DAYS = 93;
+
+/**
+ * Minutes recorded by an entry; a running timer counts up to now
+ * @param {Object} entry - Time entry ({ startedAt, minutes, running })
+ * @param {Date} [now] - Current time
+ * @returns {number} Minutes
+ */
+function entryMinutes(entry, now = new Date()) {
+  if (entry.running) {
+    return Math.max(0, Math.round((now - toDate(entry.startedAt)) / 60000));
+  }
+  return entry.minutes || 0;
+}
+
+/**
+ * Convert minutes to hours, rounded to two decimals
+ * @param {number} minutes - Minutes
+ * @returns {number} Hours
+ */
+function toHours(minutes) {
+  return Math.round((minutes / 60) * 100) / 100;
+}
+
+/**
+ * Resolve a manually entered time entry. Either minutes or stoppedAt is given.
+ * @param {Object} data - { startedAt, minutes?, stoppedAt?, note? }
+ * @returns {{startedAt: Date, stoppedAt: Date, minutes: number}} Entry times
+ * @throws {Error} If the entry is invalid
+ */
+function resolveManualEntry(data) {
+  const startedAt = toDate(data.startedAt);
+  if (!startedAt) {
+    throw new Error("startedAt must be a valid date");
+  }
+
+  let minutes;
+  if (data.minutes !== undefined) {
+    minutes = data.minutes;
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      throw new Error("minutes must be a positive whole number");
+    }
+  } else {
+    const stoppedAt = toDate(data.stoppedAt);
+    if (!stoppedAt || stoppedAt <= startedAt) {
+      throw new Error("Give minutes, or a stoppedAt after startedAt");
+    }
+    minutes = Math.round((stoppedAt - startedAt) / 60000);
+  }
+
+  if (minutes > MAX_ENTRY_MINUTES) {
+    throw new Error(`An entry cannot exceed ${MAX_ENTRY_MINUTES} minutes`);
+  }
+  if (data.note !== undefined && data.note !== null && typeof data.note !== "string") {
+    throw new Error("note must be a string");
+  }
+
+  return {
+    startedAt,
+    stoppedAt: new Date(startedAt.getTime() + minutes * 60000),
+    minutes,
+  };
+}
+
+/**
+ * Validate a timesheet date range
+ * @param {Date|null} from - Range start (inclusive)
+ * @param {Date|null} to - Range end (exclusive)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateReportRange(from, to) {
+  if (!from || !to) return "from and to must be valid dates";
+  if (to <= from) return "to must be after from";
+  if (to - from > MAX_REPORT_DAYS * 24 * 60 * 60 * 1000) {
+    return `A timesheet covers at most ${MAX_REPORT_DAYS} days`;
+  }
+  return null;
+}
+
+/**
+ * Add minutes to a total keyed by some value
+ * @private
+ */
+function addTo(totals, key, minutes) {
+  if (!key) return;
+  totals[key] = (totals[key] || 0) + minutes;
+}
+
+/**
+ * Total time entries per user, task, project and UTC day
+ * @param {Array<Object>} entries - Time entries
+ * @param {Date} [now] - Current time, for running timers
+ * @returns {Object} { totalMinutes, totalHours, byUser, byTask, byProject,
+ *   byDay } with minutes per key
+ */
+function summarizeEntries(entries, now = new Date()) {
+  const summary = {
+    totalMinutes: 0,
+    totalHours: 0,
+    byUser: {},
+    byTask: {},
+    byProject: {},
+    byDay: {},
+  };
+
+  for (const entry of entries) {
+    const minutes = entryMinutes(entry, now);
+    summary.totalMinutes += minutes;
+    addTo(summary.byUser, entry.uid, minutes);
+    addTo(summary.byTask, entry.taskId, minutes);
+    addTo(summary.byProject, entry.projectId, minutes);
+    addTo(summary.byDay, toDate(entry.startedAt).toISOString().slice(0, 10), minutes);
+  }
+
+  summary.totalHours = toHours(summary.totalMinutes);
+  return summary;
+}
+
+module.exports = {
+  MAX_ENTRY_MINUTES,
+  MAX_REPORT_DAYS,
+  entryMinutes,
+  toHours,
+  resolveManualEntry,
+  validateReportRange,
+  summarizeEntries,
+};
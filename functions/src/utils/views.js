@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Saved view validation and conversion into task queries
+ * @module utils/views
+ */
+
+const { parseOrderBy } = require("./cursor");
+
+/**
+ * Who can see a saved view
+ * @const {Object}
+ */
+const VIEW_SCOPES = {
+  PERSONAL: "personal",
+  PROJECT: "project",
+};
+
+/**
+ * Layouts a view can be shown in
+ * @const {Array<string>}
+ */
+const VIEW_TYPES = ["board", "list"];
+
+/**
+ * Task fields a view can group by, besides customFields.<key>
+ * @const {Array<string>}
+ */
+const GROUP_FIELDS = ["status", "priority", "assignee", "sprintId", "label"];
+
+/**
+ * Limits for saved view fields
+ * @const {Object}
+ */
+const VIEW_LIMITS = {
+  name: 100,
+  description: 500,
+  columns: 50,
+  filterValue: 200,
+};
+
+/**
+ * Assignee filter value standing for the user who opens the view
+ * @const {string}
+ */
+const CURRENT_USER = "@me";
+
+const TEXT_FILTERS = ["status", "assignee", "priority", "label", "sprintId"];
+const DATE_FILTERS = ["dueAfter", "dueBefore"];
+const BOOLEAN_FILTERS = ["overdue", "includeArchived"];
+const CUSTOM_FIELD_PATTERN = /^customFields\.[a-z][a-z0-9_]{0,39}$/;
+
+/**
+ * Validate a short string filter value
+ * @private
+ */
+function filterText(value, name) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new Error(`filters.${name} must be a non-empty string`);
+  }
+  if (value.length > VIEW_LIMITS.filterValue) {
+    throw new Error(`filters.${name} is limited to ${VIEW_LIMITS.filterValue} characters`);
+  }
+  return value.trim();
+}
+
+/**
+ * Validate a view's task filters; they use the names of the task list query
+ * parameters, with custom field filters under cf
+ * @private
+ */
+function normalizeFilters(filters) {
+  if (filters === undefined || filters === null) return {};
+  if (typeof filters !== "object" || Array.isArray(filters)) {
+    throw new Error("filters must be an object");
+  }
+
+  const known = [...TEXT_FILTERS, ...DATE_FILTERS, ...BOOLEAN_FILTERS, "cf"];
+  const unknown = Object.keys(filters).filter((name) => !known.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown filters: ${unknown.join(", ")}`);
+  }
+
+  const normalized = {};
+  for (const [name, value] of Object.entries(filters)) {
+    if (value === undefined || value === null || value === "") continue;
+
+    if (TEXT_FILTERS.includes(name)) {
+      normalized[name] = filterText(value, name);
+    } else if (DATE_FILTERS.includes(name)) {
+      if (isNaN(new Date(value).getTime())) {
+        throw new Error(`filters.${name} must be a date`);
+      }
+      normalized[name] = new Date(value).toISOString();
+    } else if (BOOLEAN_FILTERS.includes(name)) {
+      if (typeof value !== "boolean") {
+        throw new Error(`filters.${name} must be true or false`);
+      }
+      if (value) normalized[name] = true;
+    } else {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        throw new Error("filters.cf maps custom field keys to values");
+      }
+      const cf = {};
+      for (const [key, raw] of Object.entries(value)) {
+        if (!CUSTOM_FIELD_PATTERN.test(`customFields.${key}`)) {
+          throw new Error(`Invalid custom field key in filters.cf: ${key}`);
+        }
+        cf[key] = filterText(String(raw), `cf.${key}`);
+      }
+      if (Object.keys(cf).length) normalized.cf = cf;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Validate an orderBy string such as "priority:desc,createdAt"
+ * @private
+ */
+function normalizeOrderBy(orderBy) {
+  if (orderBy === undefined || orderBy === null || orderBy === "") return null;
+  if (typeof orderBy !== "string") {
+    throw new Error("orderBy must be a string such as priority:desc");
+  }
+  return parseOrderBy(orderBy)
+    .map(([field, direction]) => `${field}:${direction}`)
+    .join(",");
+}
+
+/**
+ * Validate the visible columns: status or group values on boards, task
+ * fields on lists. Null shows every column.
+ * @private
+ */
+function normalizeColumns(columns) {
+  if (columns === undefined || columns === null) return null;
+  if (!Array.isArray(columns) || columns.some((column) => typeof column !== "string" || !column.trim())) {
+    throw new Error("columns must be an array of column names");
+  }
+  if (columns.length > VIEW_LIMITS.columns) {
+    throw new Error(`A view shows at most ${VIEW_LIMITS.columns} columns`);
+  }
+  return [...new Set(columns.map((column) => column.trim()))];
+}
+
+/**
+ * Validate and normalize a saved view
+ * @param {Object} data - { name, scope?, viewType?, filters?, orderBy?,
+ *   groupBy?, columns?, description? }
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Only check the fields present (updates)
+ * @returns {Object} Normalized fields
+ * @throws {Error} If a field is invalid
+ */
+function normalizeView(data, { partial = false } = {}) {
+  const view = {};
+
+  if (!partial || "name" in data) {
+    if (typeof data.name !== "string" || !data.name.trim()) {
+      throw new Error("name is required");
+    }
+    if (data.name.length > VIEW_LIMITS.name) {
+      throw new Error(`name is limited to ${VIEW_LIMITS.name} characters`);
+    }
+    view.name = data.name.trim();
+  }
+
+  if (!partial || "description" in data) {
+    const description = data.description;
+    if (description !== undefined && description !== null && typeof description !== "string") {
+      throw new Error("description must be a string");
+    }
+    if (description && description.length > VIEW_LIMITS.description) {
+      throw new Error(`description is limited to ${VIEW_LIMITS.description} characters`);
+    }
+    view.description = (description || "").trim() || null;
+  }
+
+  if (!partial || "scope" in data) {
+    const scope = data.scope || VIEW_SCOPES.PERSONAL;
+    if (!Object.values(VIEW_SCOPES).includes(scope)) {
+      throw new Error(`scope must be one of: ${Object.values(VIEW_SCOPES).join(", ")}`);
+    }
+    view.scope = scope;
+  }
+
+  if (!partial || "viewType" in data) {
+    const viewType = data.viewType || VIEW_TYPES[0];
+    if (!VIEW_TYPES.includes(viewType)) {
+      throw new Error(`viewType must be one of: ${VIEW_TYPES.join(", ")}`);
+    }
+    view.viewType = viewType;
+  }
+
+  if (!partial || "groupBy" in data) {
+    const groupBy = data.groupBy || "status";
+    if (!GROUP_FIELDS.includes(groupBy) && !CUSTOM_FIELD_PATTERN.test(groupBy)) {
+      throw new Error(`groupBy must be one of: ${GROUP_FIELDS.join(", ")} or customFields.<key>`);
+    }
+    view.groupBy = groupBy;
+  }
+
+  if (!partial || "filters" in data) {
+    view.filters = normalizeFilters(data.filters);
+  }
+  if (!partial || "orderBy" in data) {
+    view.orderBy = normalizeOrderBy(data.orderBy);
+  }
+  if (!partial || "columns" in data) {
+    view.columns = normalizeColumns(data.columns);
+  }
+
+  return view;
+}
+
+/**
+ * Task list query parameters that reproduce a view for a user
+ * @param {Object} view - Saved view
+ * @param {string} projectId - Project the view belongs to
+ * @param {string} uid - User opening the view, substituted for "@me"
+ * @returns {Object} Query parameters for GET /api/tasks
+ */
+function viewQuery(view, projectId, uid) {
+  const query = { projectId, ...(view.filters || {}) };
+  if (query.assignee === CURRENT_USER) {
+    query.assignee = uid;
+  }
+  if (view.orderBy) {
+    query.orderBy = view.orderBy;
+  }
+  return query;
+}
+
+module.exports = {
+  VIEW_SCOPES,
+  VIEW_TYPES,
+  GROUP_FIELDS,
+  VIEW_LIMITS,
+  CURRENT_USER,
+  normalizeView,
+  viewQuery,
+};
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Webhook event names, filters, payload signing and retry timing
+ * @module utils/webhooks
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+
+/**
+ * Events a webhook can subscribe to
+ * @const {Array<string>}
+ */
+const WEBHOOK_EVENTS = [
+  "task.created",
+  "task.updated",
+  "task.moved",
+  "task.deleted",
+  "project.created",
+  "project.updated",
+  "project.moved",
+  "project.archived",
+  "project.unarchived",
+  "project.deleted",
+  "project.restored",
+  "project.purged",
+];
+
+/**
+ * Delivery attempts before a delivery is marked failed
+ * @const {number}
+ */
+const MAX_ATTEMPTS = 8;
+
+/**
+ * Delay before the first retry; it doubles after every failed attempt
+ * @const {number}
+ */
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Whether an event filter entry is valid: an event name, "*" or "<resource>.*"
+ * @param {string} pattern - Filter entry
+ * @returns {boolean} Whether the entry is valid
+ */
+function isEventPattern(pattern) {
+  if (pattern === "*") return true;
+  if (typeof pattern === "string" && pattern.endsWith(".*")) {
+    const resource = pattern.slice(0, -1);
+    return WEBHOOK_EVENTS.some((event) => event.startsWith(resource));
+  }
+  return WEBHOOK_EVENTS.includes(pattern);
+}
+
+/**
+ * Validate a webhook's event filter
+ * @param {*} events - Requested filter
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEventFilter(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return "events must be a non-empty array, e.g. [\"task.created\", \"project.*\"]";
+  }
+  const unknown = events.filter((pattern) => !isEventPattern(pattern));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Whether an event passes a webhook's filter
+ * @param {Array<string>} events - Filter entries
+ * @param {string} event - Event name, e.g. "task.moved"
+ * @returns {boolean} Whether the webhook receives the event
+ */
+function matchesEvent(events, event) {
+  return (events || []).some(
+    (pattern) =>
+      pattern === "*" ||
+      pattern === event ||
+      (pattern.endsWith(".*") && event.startsWith(pattern.slice(0, -1)))
+  );
+}
+
+/**
+ * IPv4 ranges receivers may not live in: this host, private networks,
+ * link-local (cloud metadata), shared, benchmarking, multicast and reserved
+ * @const {Array<Array>}
+ */
+const BLOCKED_IPV4_RANGES = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+];
+
+/**
+ * Host name suffixes that only resolve inside a network
+ * @const {Array<string>}
+ */
+const BLOCKED_HOST_SUFFIXES = [".localhost", ".local", ".internal"];
+
+/**
+ * Convert a dotted IPv4 address to an unsigned integer
+ * @private
+ */
+function ipv4ToInt(address) {
+  return address.split(".").reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or reserved
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether webhooks may not be sent to it
+ */
+function isBlockedAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToInt(address);
+    return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(value / size) === Math.floor(ipv4ToInt(base) / size);
+    });
+  }
+  if (!net.isIPv6(address)) return true;
+
+  const lower = address.toLowerCase();
+  // IPv4-mapped addresses, e.g. ::ffff:127.0.0.1
+  const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  return (
+    lower === "::" ||
+    lower === "::1" ||
+    /^f[cd]/.test(lower) ||
+    /^fe[89ab]/.test(lower) ||
+    lower.startsWith("ff") ||
+    lower.startsWith("::ffff:")
+  );
+}
+
+/**
+ * Whether a host name is internal by its name alone
+ * @private
+ */
+function isBlockedHostname(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, "");
+  return (
+    host === "localhost" ||
+    BLOCKED_HOST_SUFFIXES.some((suffix) => host.endsWith(suffix))
+  );
+}
+
+/**
+ * Validate a webhook URL: it must use https and must not name an internal
+ * host or a private address
+ * @param {string} url - Receiver URL
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "url must be an absolute URL";
+  }
+
+  if (parsed.protocol !== "https:") {
+    return "url must use https";
+  }
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (
+    isBlockedHostname(hostname) ||
+    (net.isIP(hostname) && isBlockedAddress(hostname))
+  ) {
+    return "url must not point to a local, private or reserved address";
+  }
+  return null;
+}
+
+/**
+ * Validate a webhook URL and resolve its host, rejecting host names that
+ * resolve to a private or reserved address. Checked on registration and again
+ * before every delivery, since DNS may change in between.
+ * @param {string} url - Receiver URL
+ * @param {Function} [lookup] - dns.promises.lookup or a replacement
+ * @returns {Promise<string|null>} Error message, or null if valid
+ * @throws {Error} If the host cannot be resolved
+ */
+async function checkWebhookTarget(url, lookup = dns.promises.lookup) {
+  const urlError = validateWebhookUrl(url);
+  if (urlError) return urlError;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname)) return null;
+
+  const addresses = await lookup(hostname, { all: true });
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return `${hostname} resolves to a local, private or reserved address`;
+  }
+  return null;
+}
+
+/**
+ * Generate a signing secret for a new webhook
+ * @returns {string} Secret, e.g. whsec_…
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+/**
+ * Compute the hex HMAC-SHA256 of a timestamped body
+ * @private
+ */
+function hmac(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Sign a payload for the X-Firesite-Signature header
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Exact request body
+ * @param {number} [timestamp] - Unix seconds; defaults to now
+ * @returns {string} Header value "t=<timestamp>,v1=<hex HMAC-SHA256 of
+ *   `${timestamp}.${body}`>"
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * Verify an X-Firesite-Signature header, as a receiver would
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Exact request body
+ * @param {string} header - Signature header value
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.toleranceSeconds=300] - Maximum age of the signature
+ * @param {number} [options.now] - Current Unix seconds
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+function verifySignature(secret, body, header, options = {}) {
+  const { toleranceSeconds = 300, now = Math.floor(Date.now() / 1000) } = options;
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Delay before retrying a failed delivery
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number|null} Delay in milliseconds, or null when no attempts remain
+ */
+function retryDelay(attempts) {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  return BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  validateEventFilter,
+  matchesEvent,
+  isBlockedAddress,
+  validateWebhookUrl,
+  checkWebhookTarget,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  retryDelay,
+};
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Per-project workflow definitions: the states a task moves
+ * through, the category of each, which transitions are allowed and by which
+ * project roles, and the fields a task needs before entering a state.
+ * Statuses are matched without regard to case, spaces or underscores, so
+ * "DOING", "doing" and "Doing" name the same state; aliases map other names
+ * (e.g. "in-progress" for "doing") onto a state.
+ * @module utils/workflow
+ */
+
+const { isRole } = require("./roles");
+
+/**
+ * Categories a state belongs to
+ * @const {Array<string>}
+ */
+const WORKFLOW_CATEGORIES = ["todo", "in-progress", "done"];
+
+/**
+ * Limits on workflow definitions
+ * @const {Object}
+ */
+const WORKFLOW_LIMITS = {
+  states: 30,
+  transitions: 200,
+  aliases: 10,
+  requiredFields: 20,
+  name: 60,
+};
+
+/**
+ * Transition source matching every state
+ * @const {string}
+ */
+const ANY_STATE = "*";
+
+/**
+ * Comparable form of a status
+ * @param {string} status - Status or state ID
+ * @returns {string} Lowercase key with spaces and underscores as dashes
+ */
+function statusKey(status) {
+  return String(status ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+}
+
+/**
+ * Validate a list of strings
+ * @private
+ */
+function stringList(value, name, limit, errors) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((item) => typeof item !== "string" || !item.trim())) {
+    errors.push(`${name} must be an array of non-empty strings`);
+    return [];
+  }
+  if (value.length > limit) {
+    errors.push(`${name} is limited to ${limit} values`);
+  }
+  return [...new Set(value.map((item) => item.trim()))];
+}
+
+/**
+ * Validate a workflow definition
+ * @param {Object} data - { states, initialState?, transitions? }
+ *   - states: [{ id, name?, category, requiredFields?, aliases? }];
+ *     requiredFields are task fields, "customFields.<key>" for custom fields
+ *   - initialState: state new tasks start in; defaults to the first state
+ *   - transitions: [{ from, to, roles? }]; from may be "*" for any state.
+ *     Without transitions every move between states is allowed; roles limit
+ *     a transition to those project roles.
+ * @returns {Object} Normalized definition
+ * @throws {Error} Listing every problem found
+ */
+function validateWorkflow(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("workflow must be an object");
+  }
+
+  const errors = [];
+  // State each status key names, to catch IDs and aliases used twice
+  const keys = new Map();
+
+  if (!Array.isArray(data.states) || data.states.length === 0) {
+    throw new Error("states must be a non-empty array");
+  }
+  if (data.states.length > WORKFLOW_LIMITS.states) {
+    errors.push(`A workflow has at most ${WORKFLOW_LIMITS.states} states`);
+  }
+
+  const states = data.states.map((raw, index) => {
+    const state = raw && typeof raw === "object" ? raw : {};
+    const id = typeof state.id === "string" ? state.id.trim() : "";
+    const label = id || `states[${index}]`;
+    if (!id) {
+      errors.push(`${label}: id is required`);
+    } else if (keys.has(statusKey(id))) {
+      errors.push(`Duplicate state: ${id}`);
+    } else {
+      keys.set(statusKey(id), id);
+    }
+
+    const name = state.name === undefined ? id : state.name;
+    if (typeof name !== "string" || !name.trim() || name.length > WORKFLOW_LIMITS.name) {
+      errors.push(`${label}: name must be 1-${WORKFLOW_LIMITS.name} characters`);
+    }
+    if (!WORKFLOW_CATEGORIES.includes(state.category)) {
+      errors.push(`${label}: category must be one of ${WORKFLOW_CATEGORIES.join(", ")}`);
+    }
+
+    const aliases = stringList(
+      state.aliases,
+      `${label}: aliases`,
+      WORKFLOW_LIMITS.aliases,
+      errors
+    ).filter((alias) => statusKey(alias) !== statusKey(id));
+    aliases.forEach((alias) => {
+      const owner = keys.get(statusKey(alias));
+      if (owner !== undefined && owner !== id) {
+        errors.push(`${label}: alias ${alias} already names ${owner}`);
+      }
+      keys.set(statusKey(alias), id);
+    });
+
+    return {
+      id,
+      name: typeof name === "string" ? name.trim() : id,
+      category: state.category,
+      requiredFields: stringList(
+        state.requiredFields,
+        `${label}: requiredFields`,
+        WORKFLOW_LIMITS.requiredFields,
+        errors
+      ),
+      aliases,
+    };
+  });
+
+  const stateId = (name) => {
+    const state = states.find((candidate) => statusKey(candidate.id) === statusKey(name));
+    return state ? state.id : null;
+  };
+
+  const initialState =
+    data.initialState === undefined ? states[0].id : stateId(data.initialState);
+  if (!initialState) {
+    errors.push(`initialState must name a state: ${data.initialState}`);
+  }
+
+  const transitions = [];
+  if (data.transitions !== undefined && !Array.isArray(data.transitions)) {
+    errors.push("transitions must be an array");
+  } else {
+    if ((data.transitions || []).length > WORKFLOW_LIMITS.transitions) {
+      errors.push(`A workflow has at most ${WORKFLOW_LIMITS.transitions} transitions`);
+    }
+    (data.transitions || []).forEach((transition, index) => {
+      const label = `transitions[${index}]`;
+      const from = transition?.from === ANY_STATE ? ANY_STATE : stateId(transition?.from);
+      const to = stateId(transition?.to);
+      if (!from) errors.push(`${label}: from must name a state or be "${ANY_STATE}"`);
+      if (!to) errors.push(`${label}: to must name a state`);
+      if (from && from === to) errors.push(`${label}: from and to are the same state`);
+
+      const roles = stringList(transition?.roles, `${label}: roles`, Infinity, errors);
+      const unknown = roles.filter((role) => !isRole(role));
+      if (unknown.length > 0) {
+        errors.push(`${label}: unknown roles: ${unknown.join(", ")}`);
+      }
+      transitions.push({ from, to, ...(roles.length > 0 ? { roles } : {}) });
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  return { states, initialState, transitions };
+}
+
+/**
+ * Find the state a status names
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status - Status, state ID or alias
+ * @returns {Object|null} State, or null if the status is not part of the workflow
+ */
+function findState(workflow, status) {
+  const key = statusKey(status);
+  if (!key) return null;
+  return (
+    workflow.states.find(
+      (state) =>
+        statusKey(state.id) === key || state.aliases.some((alias) => statusKey(alias) === key)
+    ) || null
+  );
+}
+
+/**
+ * Whether a task field holds a value
+ * @private
+ */
+function hasValue(task, field) {
+  const value = field.split(".").reduce((current, key) => current?.[key], task);
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "string") return value.trim() !== "";
+  return value !== undefined && value !== null;
+}
+
+/**
+ * States a task may move to from a status
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status - Current status
+ * @param {string|null} [role] - Project role of the actor; roles are not
+ *   checked without one
+ * @returns {Array<string>} State IDs
+ */
+function allowedTargets(workflow, status, role = null) {
+  const from = findState(workflow, status);
+  // Tasks outside the workflow, and workflows without transitions, move freely
+  if (!from || workflow.transitions.length === 0) {
+    return workflow.states.map((state) => state.id).filter((id) => !from || id !== from.id);
+  }
+
+  const targets = workflow.transitions
+    .filter((transition) => transition.from === ANY_STATE || transition.from === from.id)
+    .filter((transition) => transition.to !== from.id)
+    .filter((transition) => !role || !transition.roles || transition.roles.includes(role))
+    .map((transition) => transition.to);
+  return [...new Set(targets)];
+}
+
+/**
+ * Evaluate moving a task into a status
+ * @param {Object} workflow - Workflow definition
+ * @param {Object} task - Task with the changes being written applied
+ * @param {Object} options - Move options
+ * @param {string|null} options.from - Status before the move; null on create
+ * @param {string} options.to - Status being moved to
+ * @param {string|null} [options.role] - Project role of the actor
+ * @returns {Object} { state, error, allowed, missing }: state is the target
+ *   state; error explains why the move is not allowed (null if it is), with
+ *   the allowed targets or the missing required fields
+ */
+function evaluateTransition(workflow, task, options) {
+  const { from, to, role = null } = options;
+  const state = findState(workflow, to);
+  const result = { state, error: null, allowed: [], missing: [] };
+
+  if (!state) {
+    const names = workflow.states.map((candidate) => candidate.id).join(", ");
+    return { ...result, error: `${to} is not a state of this workflow. Expected one of: ${names}` };
+  }
+
+  const current = from === null ? null : findState(workflow, from);
+  if (current && current.id !== state.id) {
+    const allowed = allowedTargets(workflow, from, role);
+    if (!allowed.includes(state.id)) {
+      const byRole = allowedTargets(workflow, from).includes(state.id);
+      return {
+        ...result,
+        allowed,
+        error: byRole
+          ? `Your ${role} role may not move tasks from ${current.id} to ${state.id}`
+          : `Tasks cannot move from ${current.id} to ${state.id}`,
+      };
+    }
+  }
+
+  if (!current || current.id !== state.id) {
+    const missing = state.requiredFields.filter((field) => !hasValue(task, field));
+    if (missing.length > 0) {
+      return { ...result, missing, error: `${state.id} requires ${missing.join(", ")}` };
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  WORKFLOW_CATEGORIES,
+  WORKFLOW_LIMITS,
+  ANY_STATE,
+  statusKey,
+  validateWorkflow,
+  findState,
+  allowedTargets,
+  evaluateTransition,
+};
@@ -0,0 +1,372 @@
+/**
+ * Sprint Dashboard Component - Burndown and burnup charts for sprint reviews
+ * Rendered as a modal; charts are plain SVG built from the burndown API series
+ */
+
+import BaseComponent from '../base/BaseComponent.js';
+import { firebaseService } from '../../services/firebase-service.js';
+import { escapeHtml } from '../../utils/html.js';
+
+// Chart geometry in SVG user units
+const CHART = {
+  width: 640,
+  height: 220,
+  padding: { top: 12, right: 16, bottom: 28, left: 40 }
+};
+
+// Stroke colors of the chart series
+const COLORS = {
+  remaining: '#6366f1',
+  ideal: '#64748b',
+  scope: '#f59e0b',
+  completed: '#22c55e',
+  marker: '#f87171'
+};
+
+/**
+ * Sprint / milestone dashboard with burndown and burnup charts
+ */
+export class SprintDashboardComponent extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    this.projectId = options.projectId || null;
+    this.onClose = options.onClose || null;
+  }
+
+  get defaultState() {
+    return {
+      ...super.defaultState,
+      loading: true,
+      sprints: [],
+      // { sprintId } or { label, from, to }
+      scope: null,
+      unit: 'points',
+      data: null
+    };
+  }
+
+  generateClasses() {
+    const base = super.generateClasses();
+
+    return {
+      ...base,
+
+      overlay: 'fixed inset-0 z-50 flex items-center justify-center bg-slate-950/70 p-4',
+      modal: 'w-full max-w-3xl max-h-[90vh] flex flex-col bg-slate-900 rounded-xl ring-1 ring-slate-700',
+      header: 'flex justify-between items-start p-4 border-b border-slate-700',
+      body: 'flex-1 overflow-y-auto p-4 space-y-4',
+      controls: 'flex flex-wrap items-end gap-2',
+      input: 'p-1.5 rounded-md bg-slate-800 text-sm text-slate-200 ring-1 ring-slate-700 focus:ring-indigo-500 outline-none',
+      label: 'block text-xs text-slate-400 mb-1',
+      legend: 'flex flex-wrap gap-3 text-xs text-slate-400 mt-2',
+      changes: 'space-y-1 text-xs text-slate-300'
+    };
+  }
+
+  _onMounted() {
+    this.loadSprints();
+  }
+
+  template() {
+    return `
+      <div class="${this.classes.overlay}" data-overlay>
+        <div class="${this.classes.modal}">
+          <div class="${this.classes.header}">
+            <div>
+              <h3 class="${this.classes.text.primary}">Sprint Report</h3>
+              <p class="${this.classes.text.tertiary} ${this.classes.text.small} mt-1">
+                Burndown and burnup from task history
+              </p>
+            </div>
+            <button class="${this.classes.button.secondary} px-2 py-1" data-action="close">✕</button>
+          </div>
+
+          <div class="${this.classes.body}">
+            ${this._renderControls()}
+            ${this._renderReport()}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  _renderControls() {
+    const { sprints, scope, unit, data } = this.state;
+    const milestone = scope && !scope.sprintId;
+
+    return `
+      <form class="${this.classes.controls}" data-scope-form>
+        <label>
+          <span class="${this.classes.label}">Scope</span>
+          <select name="sprintId" class="${this.classes.input}">
+            ${sprints.map(sprint => `
+              <option value="${escapeHtml(sprint.id)}" ${scope?.sprintId === sprint.id ? 'selected' : ''}>
+                ${escapeHtml(sprint.name)} (${escapeHtml(sprint.state)})
+              </option>
+            `).join('')}
+            <option value="" ${milestone ? 'selected' : ''}>Milestone (label)</option>
+          </select>
+        </label>
+        ${milestone ? `
+          <label>
+            <span class="${this.classes.label}">Label</span>
+            <input name="label" class="${this.classes.input}" value="${escapeHtml(scope.label)}" placeholder="v2.0">
+          </label>
+          <label>
+            <span class="${this.classes.label}">From</span>
+            <input type="date" name="from" class="${this.classes.input}" value="${scope.from || ''}">
+          </label>
+          <label>
+            <span class="${this.classes.label}">Until</span>
+            <input type="date" name="to" class="${this.classes.input}" value="${scope.to || ''}">
+          </label>
+        ` : ''}
+        <button type="submit" class="${this.classes.button.primary}">Show</button>
+        ${data?.pointsField ? `
+          <button type="button" class="${this.classes.button.secondary} px-2 py-1.5" data-action="unit">
+            ${unit === 'points' ? 'Show tasks' : 'Show points'}
+          </button>
+        ` : ''}
+      </form>
+    `;
+  }
+
+  _renderReport() {
+    const { loading, error, data } = this.state;
+
+    if (loading) return this._createLoadingSpinner();
+    if (error) return this._createErrorMessage(error, true);
+    if (!data) return this._createEmptyState('Choose a sprint, or a milestone label, to see its charts.');
+
+    const unit = data.pointsField && this.state.unit === 'points' ? 'points' : 'tasks';
+    const { burndown, burnup, dates, scopeChanges } = data;
+
+    return `
+      <section>
+        <h4 class="${this.classes.text.secondary} ${this.classes.text.body}">Burndown (${unit} remaining)</h4>
+        ${this._renderChart(dates, [
+          { name: 'Remaining', values: burndown.remaining[unit], color: COLORS.remaining },
+          { name: 'Ideal', values: burndown.ideal[unit], color: COLORS.ideal, dashed: true }
+        ], scopeChanges)}
+      </section>
+      <section>
+        <h4 class="${this.classes.text.secondary} ${this.classes.text.body}">Burnup (${unit})</h4>
+        ${this._renderChart(dates, [
+          { name: 'Scope', values: burnup.scope[unit], color: COLORS.scope },
+          { name: 'Completed', values: burnup.completed[unit], color: COLORS.completed }
+        ], scopeChanges)}
+      </section>
+      ${this._renderScopeChanges(scopeChanges, unit)}
+    `;
+  }
+
+  /**
+   * Line chart of series sharing the dates axis. Null values (days still to
+   * come) break a line; scope changes are drawn as vertical markers.
+   */
+  _renderChart(dates, series, markers = []) {
+    const { width, height, padding } = CHART;
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const values = series.flatMap(line => line.values).filter(value => value !== null);
+    const max = Math.max(1, ...values);
+
+    const x = (index) => padding.left + (dates.length > 1 ? (index / (dates.length - 1)) * plotWidth : plotWidth / 2);
+    const y = (value) => padding.top + plotHeight - (value / max) * plotHeight;
+
+    const paths = series.map(line => {
+      let path = '';
+      line.values.forEach((value, index) => {
+        if (value === null) return;
+        const command = index === 0 || line.values[index - 1] === null ? 'M' : 'L';
+        path += `${command}${x(index).toFixed(1)},${y(value).toFixed(1)} `;
+      });
+      return `
+        <path d="${path.trim()}" fill="none" stroke="${line.color}" stroke-width="2"
+              ${line.dashed ? 'stroke-dasharray="4 4"' : ''}></path>
+      `;
+    }).join('');
+
+    const ticks = [0, max / 2, max].map(value => `
+      <line x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}" stroke="#334155" stroke-width="1"></line>
+      <text x="${padding.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="10" fill="#94a3b8">${Math.round(value * 10) / 10}</text>
+    `).join('');
+
+    const labels = [...new Set([0, Math.floor((dates.length - 1) / 2), dates.length - 1])]
+      .filter(index => index >= 0)
+      .map(index => `
+        <text x="${x(index)}" y="${height - 8}" text-anchor="middle" font-size="10" fill="#94a3b8">${dates[index].slice(5)}</text>
+      `).join('');
+
+    const markerLines = markers
+      .map(change => ({ change, index: dates.indexOf(change.date) }))
+      .filter(({ index }) => index >= 0)
+      .map(({ change, index }) => `
+        <line x1="${x(index)}" x2="${x(index)}" y1="${padding.top}" y2="${padding.top + plotHeight}"
+              stroke="${COLORS.marker}" stroke-width="1" stroke-dasharray="2 3">
+          <title>${escapeHtml(this._describeChange(change))}</title>
+        </line>
+      `).join('');
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img">
+        ${ticks}${markerLines}${paths}${labels}
+      </svg>
+      <div class="${this.classes.legend}">
+        ${series.map(line => `
+          <span class="flex items-center gap-1">
+            <span class="inline-block w-3 h-0.5" style="background:${line.color}"></span>${line.name}
+          </span>
+        `).join('')}
+        ${markers.length ? `
+          <span class="flex items-center gap-1">
+            <span class="inline-block w-0.5 h-3" style="background:${COLORS.marker}"></span>Scope change
+          </span>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  _renderScopeChanges(changes, unit) {
+    if (changes.length === 0) return '';
+
+    return `
+      <section>
+        <h4 class="${this.classes.text.secondary} ${this.classes.text.body} mb-2">Scope changes</h4>
+        <ul class="${this.classes.changes}">
+          ${changes.map(change => `
+            <li>
+              <span class="text-slate-400">${change.date}</span>
+              ${escapeHtml(this._describeChange(change, unit))}
+            </li>
+          `).join('')}
+        </ul>
+      </section>
+    `;
+  }
+
+  _setupEventListeners() {
+    super._setupEventListeners();
+
+    // Delegated once on the container, which survives re-renders
+    this._addEventListener(this.container, 'click', (e) => {
+      const actionElement = e.target.closest('[data-action]');
+
+      if (!actionElement) {
+        if (e.target.hasAttribute('data-overlay')) this.close();
+        return;
+      }
+
+      switch (actionElement.getAttribute('data-action')) {
+        case 'close':
+          this.close();
+          break;
+        case 'unit':
+          this.setState({ unit: this.state.unit === 'points' ? 'tasks' : 'points' });
+          break;
+      }
+    });
+  }
+
+  _bindEventHandlers() {
+    this.container.setAttribute('data-component', 'true');
+    this.container.__component = this;
+
+    const form = this.container.querySelector('[data-scope-form]');
+    if (!form) return;
+
+    this._addEventListener(form, 'submit', (e) => {
+      e.preventDefault();
+      const sprintId = form.elements.sprintId.value;
+      this.loadReport(sprintId ? { sprintId } : {
+        label: form.elements.label?.value.trim() || '',
+        from: form.elements.from?.value || '',
+        to: form.elements.to?.value || ''
+      });
+    });
+
+    // Picking the milestone option shows its inputs straight away
+    this._addEventListener(form.elements.sprintId, 'change', () => {
+      if (!form.elements.sprintId.value) {
+        this.setState({ scope: { label: '', from: '', to: '' }, data: null, error: null });
+      }
+    });
+  }
+
+  // Component methods
+
+  async loadSprints() {
+    if (!this.projectId) {
+      this.setState({ loading: false, error: 'Choose a project first' });
+      return;
+    }
+
+    try {
+      const sprints = await firebaseService.getSprints(this.projectId);
+      // The active sprint, otherwise the one that started last
+      const current = sprints.find(sprint => sprint.state === 'active') || sprints[sprints.length - 1];
+      this.setState({ sprints }, false);
+
+      if (current) {
+        await this.loadReport({ sprintId: current.id });
+      } else {
+        this.setState({ loading: false, scope: { label: '', from: '', to: '' } });
+      }
+    } catch (error) {
+      this.setState({ loading: false, error: 'Could not load sprints' });
+    }
+  }
+
+  async loadReport(scope) {
+    if (!scope.sprintId && !scope.label) {
+      this.setState({ scope, data: null, loading: false, error: 'Enter the milestone label' });
+      return;
+    }
+
+    this.setState({ scope, loading: true, error: null });
+
+    try {
+      const params = { ...scope };
+      // The form's "until" day is included; the API takes the day after
+      if (params.to) {
+        const to = new Date(params.to);
+        to.setUTCDate(to.getUTCDate() + 1);
+        params.to = to.toISOString().slice(0, 10);
+      }
+      Object.keys(params).forEach(key => !params[key] && delete params[key]);
+
+      const data = await firebaseService.getBurndown(this.projectId, params);
+      this.setState({ data, loading: false });
+    } catch (error) {
+      this.setState({ data: null, loading: false, error: error.message });
+    }
+  }
+
+  close() {
+    this.destroy();
+    if (this.onClose) this.onClose();
+  }
+
+  retry() {
+    if (this.state.scope) {
+      this.loadReport(this.state.scope);
+    } else {
+      this.setState({ loading: true, error: null });
+      this.loadSprints();
+    }
+  }
+
+  // Private methods
+
+  _describeChange(change, unit = 'tasks') {
+    const title = change.title || change.taskId;
+    // Re-estimates only change points, so they always show them
+    const showPoints = change.points !== null && (unit === 'points' || change.type === 'estimate');
+    const points = showPoints ? ` (${change.points > 0 ? '+' : ''}${change.points} points)` : '';
+    const verbs = { added: 'Added', removed: 'Removed', estimate: 'Re-estimated' };
+
+    return `${verbs[change.type]} "${title}"${points}`;
+  }
+}
+
+export default SprintDashboardComponent;
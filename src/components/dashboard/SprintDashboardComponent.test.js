@@ -0,0 +1,185 @@
+/**
+ * Sprint Dashboard Component Tests
+ * Testing the sprint report: loading scopes, SVG charts and scope changes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SprintDashboardComponent } from './SprintDashboardComponent.js';
+import { firebaseService } from '../../services/firebase-service.js';
+
+vi.mock('../../services/firebase-service.js', () => ({
+  firebaseService: {
+    getSprints: vi.fn(),
+    getBurndown: vi.fn()
+  }
+}));
+
+const SPRINTS = [
+  { id: 's1', name: 'Sprint 1', state: 'closed' },
+  { id: 's2', name: 'Sprint 2', state: 'active' }
+];
+
+const BURNDOWN = {
+  scope: { type: 'sprint', sprintId: 's2', name: 'Sprint 2' },
+  pointsField: 'points',
+  dates: ['2026-03-02', '2026-03-03', '2026-03-04'],
+  burndown: {
+    remaining: { tasks: [2, 1, null], points: [8, 5, null] },
+    ideal: { tasks: [1.33, 0.67, 0], points: [5.33, 2.67, 0] }
+  },
+  burnup: {
+    scope: { tasks: [2, 3, null], points: [8, 10, null] },
+    completed: { tasks: [0, 1, null], points: [0, 3, null] }
+  },
+  scopeChanges: [
+    { date: '2026-03-03', taskId: 't3', title: 'Search <beta>', type: 'added', tasks: 1, points: 2 }
+  ]
+};
+
+// Let the loads started on mount finish
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('SprintDashboardComponent', () => {
+  let container;
+  let onClose;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    onClose = vi.fn();
+    firebaseService.getSprints.mockResolvedValue(SPRINTS);
+    firebaseService.getBurndown.mockResolvedValue(BURNDOWN);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const mount = async (projectId = 'p1') => {
+    const dashboard = new SprintDashboardComponent({ container, projectId, onClose });
+    dashboard.init();
+    await flush();
+    return dashboard;
+  };
+
+  describe('Loading', () => {
+    it('should open on the active sprint', async () => {
+      const dashboard = await mount();
+
+      expect(firebaseService.getSprints).toHaveBeenCalledWith('p1');
+      expect(firebaseService.getBurndown).toHaveBeenCalledWith('p1', { sprintId: 's2' });
+      expect(dashboard.state.scope).toEqual({ sprintId: 's2' });
+      expect(container.querySelector('select[name="sprintId"]').value).toBe('s2');
+    });
+
+    it('should escape the names and states of sprints', async () => {
+      firebaseService.getSprints.mockResolvedValue([
+        { id: 's3', name: 'Sprint <3>', state: '<img src=x onerror=alert(1)>' }
+      ]);
+
+      await mount();
+
+      const option = container.querySelector('select[name="sprintId"] option');
+      expect(option.textContent).toContain('Sprint <3> (<img src=x onerror=alert(1)>)');
+      expect(container.querySelector('select img')).toBeNull();
+    });
+
+    it('should ask for a milestone when the project has no sprints', async () => {
+      firebaseService.getSprints.mockResolvedValue([]);
+
+      await mount();
+
+      expect(firebaseService.getBurndown).not.toHaveBeenCalled();
+      expect(container.querySelector('input[name="label"]')).not.toBeNull();
+    });
+
+    it('should require a project', async () => {
+      await mount(null);
+
+      expect(firebaseService.getSprints).not.toHaveBeenCalled();
+      expect(container.textContent).toContain('Choose a project first');
+    });
+
+    it('should show the error when the report cannot be loaded', async () => {
+      firebaseService.getBurndown.mockRejectedValue(new Error('pointsField must name a number custom field: team'));
+
+      await mount();
+
+      expect(container.textContent).toContain('pointsField must name a number custom field: team');
+    });
+  });
+
+  describe('Charts', () => {
+    it('should draw burndown and burnup in points', async () => {
+      await mount();
+
+      const charts = container.querySelectorAll('svg');
+      expect(charts).toHaveLength(2);
+      expect(container.textContent).toContain('Burndown (points remaining)');
+      // Two lines per chart, plus a marker for the scope change
+      expect(charts[0].querySelectorAll('path')).toHaveLength(2);
+      expect(charts[0].querySelector('line[stroke-dasharray="2 3"] title').textContent)
+        .toBe('Added "Search <beta>"');
+    });
+
+    it('should stop lines at days still to come', async () => {
+      await mount();
+
+      const remaining = container.querySelector('svg path').getAttribute('d');
+      expect(remaining.split(' ')).toHaveLength(2);
+      expect(remaining.startsWith('M')).toBe(true);
+    });
+
+    it('should switch between points and tasks', async () => {
+      await mount();
+
+      container.querySelector('[data-action="unit"]').click();
+
+      expect(container.textContent).toContain('Burndown (tasks remaining)');
+      expect(container.textContent).toContain('Show points');
+    });
+
+    it('should list scope changes with their titles escaped', async () => {
+      await mount();
+
+      const item = container.querySelector('ul li');
+      expect(item.textContent).toContain('2026-03-03');
+      expect(item.textContent).toContain('Added "Search <beta>" (+2 points)');
+      expect(item.innerHTML).not.toContain('<beta>');
+    });
+  });
+
+  describe('Milestones', () => {
+    it('should include the until day when loading a milestone', async () => {
+      const dashboard = await mount();
+
+      await dashboard.loadReport({ label: 'v2', from: '2026-03-01', to: '2026-03-31' });
+
+      expect(firebaseService.getBurndown).toHaveBeenLastCalledWith('p1', {
+        label: 'v2',
+        from: '2026-03-01',
+        to: '2026-04-01'
+      });
+    });
+
+    it('should require the milestone label', async () => {
+      const dashboard = await mount();
+      firebaseService.getBurndown.mockClear();
+
+      await dashboard.loadReport({ label: '', from: '', to: '' });
+
+      expect(firebaseService.getBurndown).not.toHaveBeenCalled();
+      expect(container.textContent).toContain('Enter the milestone label');
+    });
+  });
+
+  it('should close from the close button', async () => {
+    const dashboard = await mount();
+
+    container.querySelector('[data-action="close"]').click();
+
+    expect(onClose).toHaveBeenCalled();
+    expect(dashboard.destroyed).toBe(true);
+  });
+});
@@ -5,7 +5,35 @@
 
 import BaseComponent from '../base/BaseComponent.js';
 import { taskService } from '../../services/core/TaskService.js';
+import { firebaseService } from '../../services/firebase-service.js';
 import { TASK_STATUS, WORKFLOW_STATUS } from '../../events/EventContracts.js';
+import { escapeHtml } from '../../utils/html.js';
+
+// Layout shown when no saved view is selected
+const DEFAULT_VIEW = {
+  viewType: 'board',
+  groupBy: 'status',
+  filters: {},
+  orderBy: null,
+  columns: null
+};
+
+const GROUP_OPTIONS = [
+  ['status', 'Status'],
+  ['priority', 'Priority'],
+  ['assignee', 'Assignee'],
+  ['label', 'Label'],
+  ['sprintId', 'Sprint']
+];
+
+const LIST_COLUMNS = ['title', 'status', 'priority', 'labels'];
+
+// Badge variants of workflow state categories
+const CATEGORY_VARIANTS = {
+  todo: 'default',
+  'in-progress': 'info',
+  done: 'success'
+};
 
 /**
  * Kanban Board Component implementing the extracted UI patterns
@@ -25,7 +53,24 @@ export class KanbanBoardComponent extends BaseComponent {
         webContainer: true
       },
       showAIPanel: true,
-      draggedTask: null
+      draggedTask: null,
+      // Label definitions of the active project, by label name
+      labelCatalog: {},
+      // Saved views of the active project and the layout being shown
+      projectId: null,
+      views: [],
+      activeViewId: null,
+      view: { ...DEFAULT_VIEW },
+      viewModified: false,
+      viewError: null,
+      // Workflow of the active project; its states become the status columns
+      workflow: null,
+      moveError: null,
+      // Header search across the projects the user can read
+      searchQuery: '',
+      searchResults: null,
+      searching: false,
+      searchError: null
     };
   }
 
@@ -53,15 +98,45 @@ export class KanbanBoardComponent extends BaseComponent {
         }
       },
       
+      // Saved view switcher
+      viewBar: {
+        container: 'flex flex-wrap items-center gap-2 px-3 py-2 mb-4 border-b border-slate-700',
+        select: 'text-xs p-1 rounded bg-slate-800 text-slate-200 ring-1 ring-slate-700',
+        button: 'text-xs py-1 px-2',
+        error: 'text-xs text-red-400'
+      },
+      
+      // Header search
+      search: {
+        container: 'relative px-3 pt-3',
+        input: 'w-full text-sm p-1.5 rounded-md bg-slate-800 text-slate-200 ring-1 ring-slate-700 focus:ring-indigo-500 outline-none',
+        results: 'absolute left-3 right-3 mt-1 z-20 max-h-96 overflow-y-auto bg-slate-900 rounded-md ring-1 ring-slate-700 shadow-lg',
+        result: 'block w-full text-left px-3 py-2 border-b border-slate-800 hover:bg-slate-800',
+        type: 'inline-block mr-2 px-1.5 rounded text-[10px] uppercase bg-slate-700 text-slate-300',
+        title: 'text-sm text-slate-200',
+        snippet: 'text-xs text-slate-400 mt-1',
+        empty: 'px-3 py-2 text-xs text-slate-400',
+        mark: 'bg-indigo-500/30 text-inherit rounded-sm'
+      },
+      
+      // List layout
+      list: {
+        table: 'w-full text-sm text-left text-slate-300',
+        header: 'text-xs uppercase text-slate-400 border-b border-slate-700',
+        cell: 'px-3 py-2',
+        row: 'border-b border-slate-800 hover:bg-slate-800 cursor-pointer'
+      },
+      
       // Board layout
       board: {
-        desktop: 'hidden md:grid grid-cols-4 gap-3 divide-x divide-slate-700',
+        desktop: 'hidden md:grid gap-3 divide-x divide-slate-700',
         mobile: 'block md:hidden',
         column: 'px-3 min-h-0 flex flex-col',
         columnHeader: 'flex justify-between items-center mb-4',
         columnTitle: 'text-sm font-medium text-slate-200',
         columnCount: 'text-xs text-slate-400',
-        taskList: 'space-y-3 flex-1 overflow-y-auto'
+        taskList: 'space-y-3 flex-1 overflow-y-auto',
+        moveError: 'flex justify-between items-center mx-3 mb-3 px-3 py-2 rounded text-xs text-red-300 bg-red-500/10 ring-1 ring-red-500/30'
       },
       
       // Task cards based on KaibanJS analysis
@@ -71,6 +146,7 @@ export class KanbanBoardComponent extends BaseComponent {
         title: 'text-sm font-medium text-slate-200',
         description: 'text-xs text-slate-400 mt-2',
         tags: 'mt-3 flex gap-2 flex-wrap',
+        label: 'inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ring-1 ring-inset',
         footer: 'mt-3 flex justify-between items-center',
         progress: 'flex items-center gap-1'
       },
@@ -110,6 +186,7 @@ export class KanbanBoardComponent extends BaseComponent {
     
     // UI events
     this._listenToGlobalEvent('ui:task-card-clicked', this._handleTaskCardClicked);
+    this._listenToGlobalEvent('ui:project-changed', this._handleProjectChanged);
   }
 
   _onMounted() {
@@ -128,15 +205,121 @@ export class KanbanBoardComponent extends BaseComponent {
       return this._createErrorMessage(this.state.error, true);
     }
 
+    const tasks = this._getVisibleTasks();
+    const layout = this.state.view.viewType === 'list'
+      ? this._renderList(tasks)
+      : `${this._renderDesktopBoard(tasks)}${this._renderMobileBoard()}`;
+
     return `
       <div class="${this.classes.container} ${this.className}">
+        ${this._renderSearchBar()}
+        ${this._renderViewBar()}
         ${this._renderAIPanel()}
-        ${this._renderDesktopBoard()}
-        ${this._renderMobileBoard()}
+        ${this._renderMoveError()}
+        ${layout}
       </div>
     `;
   }
 
+  _renderSearchBar() {
+    const { searchQuery, searchResults, searching, searchError } = this.state;
+    const classes = this.classes.search;
+    const handler = 'this.closest(\'[data-component]\').__component';
+    
+    let results = '';
+    if (searching) {
+      results = `<div class="${classes.empty}">Searching…</div>`;
+    } else if (searchError) {
+      results = `<div class="${classes.empty}">${escapeHtml(searchError)}</div>`;
+    } else if (searchResults && searchResults.length === 0) {
+      results = `<div class="${classes.empty}">No matches for "${escapeHtml(searchQuery)}"</div>`;
+    } else if (searchResults) {
+      results = searchResults.map((result, index) => `
+        <button class="${classes.result}" onclick="${handler}.openSearchResult(${index})">
+          <div class="${classes.title}">
+            <span class="${classes.type}">${escapeHtml(result.type)}</span>${this._highlight(result.title || 'Untitled', result.titleHighlights)}
+          </div>
+          ${result.snippet.text ? `<div class="${classes.snippet}">${result.authorName ? `${escapeHtml(result.authorName)}: ` : ''}${this._highlight(result.snippet.text, result.snippet.highlights)}</div>` : ''}
+        </button>
+      `).join('');
+    }
+    
+    return `
+      <div class="${classes.container}">
+        <input type="search" class="${classes.input}" placeholder="Search tasks, comments and projects…"
+               value="${escapeHtml(searchQuery)}"
+               onkeydown="if (event.key === 'Enter') ${handler}.search(this.value); if (event.key === 'Escape') ${handler}.closeSearch()">
+        ${results ? `<div class="${classes.results}">${results}</div>` : ''}
+      </div>
+    `;
+  }
+
+  _renderViewBar() {
+    if (!this.state.projectId) return '';
+    
+    const { views, activeViewId, view, viewModified, viewError } = this.state;
+    const classes = this.classes.viewBar;
+    const handler = 'this.closest(\'[data-component]\').__component';
+    const option = (value, label, current) =>
+      `<option value="${escapeHtml(value)}" ${value === current ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    const viewOptions = (scope) => views
+      .filter(saved => saved.scope === scope)
+      .map(saved => option(saved.id, saved.name, activeViewId))
+      .join('');
+    const active = this._getActiveView();
+    
+    return `
+      <div class="${classes.container}">
+        <select class="${classes.select}" title="Saved view" onchange="${handler}.selectView(this.value)">
+          <option value="">All tasks</option>
+          <optgroup label="Shared">${viewOptions('project')}</optgroup>
+          <optgroup label="Personal">${viewOptions('personal')}</optgroup>
+        </select>
+        <select class="${classes.select}" title="Layout" onchange="${handler}.setViewOption('viewType', this.value)">
+          ${option('board', 'Board', view.viewType)}
+          ${option('list', 'List', view.viewType)}
+        </select>
+        <select class="${classes.select}" title="Group by" onchange="${handler}.setViewOption('groupBy', this.value)">
+          ${GROUP_OPTIONS.map(([value, label]) => option(value, `Group: ${label}`, view.groupBy)).join('')}
+        </select>
+        <select class="${classes.select}" title="Status" onchange="${handler}.setViewFilter('status', this.value)">
+          <option value="">Any status</option>
+          ${this._getStatusOptions().map(status => option(status, status, view.filters.status)).join('')}
+        </select>
+        <select class="${classes.select}" title="Label" onchange="${handler}.setViewFilter('label', this.value)">
+          <option value="">Any label</option>
+          ${Object.keys(this.state.labelCatalog).map(name => option(name, name, view.filters.label)).join('')}
+        </select>
+        <button class="${this.classes.button.secondary} ${classes.button}" onclick="${handler}.saveView()">Save as view</button>
+        ${active && viewModified ? `<button class="${this.classes.button.primary} ${classes.button}" onclick="${handler}.updateActiveView()">Update view</button>` : ''}
+        ${active ? `<button class="${this.classes.button.secondary} ${classes.button}" onclick="${handler}.copyViewLink()">Copy link</button>` : ''}
+        ${active ? `<button class="${this.classes.button.danger} ${classes.button}" onclick="${handler}.deleteActiveView()">Delete</button>` : ''}
+        ${viewError ? `<span class="${classes.error}">${escapeHtml(viewError)}</span>` : ''}
+      </div>
+    `;
+  }
+
+  _renderList(tasks) {
+    const columns = this.state.view.columns || LIST_COLUMNS;
+    const classes = this.classes.list;
+    const cell = (value) => Array.isArray(value) ? value.join(', ') : (value ?? '');
+    
+    return `
+      <table class="${classes.table}">
+        <thead class="${classes.header}">
+          <tr>${columns.map(column => `<th class="${classes.cell}">${escapeHtml(column)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+          ${tasks.map(task => `
+            <tr class="${classes.row}" onclick="this.closest('[data-component]').__component.selectTask('${task.id}')">
+              ${columns.map(column => `<td class="${classes.cell}">${escapeHtml(cell(this._taskValue(task, column)))}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
   _renderAIPanel() {
     if (!this.state.showAIPanel) return '';
     
@@ -204,6 +387,19 @@ export class KanbanBoardComponent extends BaseComponent {
     `;
   }
 
+  _renderMoveError() {
+    if (!this.state.moveError) return '';
+    
+    return `
+      <div class="${this.classes.board.moveError}">
+        <span>${escapeHtml(this.state.moveError)}</span>
+        <button class="${this.classes.button.secondary} text-xs py-1 px-2" onclick="this.closest('[data-component]').__component.dismissMoveError()">
+          Dismiss
+        </button>
+      </div>
+    `;
+  }
+
   _renderConnectionStatus(name, isConnected) {
     const statusClass = isConnected 
       ? this.classes.aiPanel.indicator.online
@@ -217,10 +413,12 @@ export class KanbanBoardComponent extends BaseComponent {
     `;
   }
 
-  _renderDesktopBoard() {
+  _renderDesktopBoard(tasks) {
+    const columns = this._getBoardColumns(tasks);
+    
     return `
-      <div class="${this.classes.board.desktop}">
-        ${this.state.columns.map(column => this._renderColumn(column)).join('')}
+      <div class="${this.classes.board.desktop}" style="grid-template-columns: repeat(${columns.length || 1}, minmax(0, 1fr))">
+        ${columns.map(column => this._renderColumn(column, tasks)).join('')}
       </div>
     `;
   }
@@ -236,17 +434,18 @@ export class KanbanBoardComponent extends BaseComponent {
     `;
   }
 
-  _renderColumn(column) {
-    const tasks = this._getTasksForColumn(column.status);
+  _renderColumn(column, visibleTasks) {
+    const tasks = this._getTasksForColumn(column, visibleTasks);
     
+    // Only status columns are drop targets
     return `
-      <div class="${this.classes.board.column}" data-column="${column.id}">
+      <div class="${this.classes.board.column}" data-column="${escapeHtml(column.id)}">
         <div class="${this.classes.board.columnHeader}">
-          <h3 class="${this.classes.board.columnTitle}">${column.title}</h3>
+          <h3 class="${this.classes.board.columnTitle}">${escapeHtml(column.title)}</h3>
           <span class="${this.classes.board.columnCount}">${tasks.length}</span>
         </div>
         
-        <div class="${this.classes.board.taskList}" data-status="${column.status}">
+        <div class="${this.classes.board.taskList}" ${column.status ? `data-status="${column.status}"` : ''}>
           ${tasks.map(task => this._renderTaskCard(task)).join('')}
         </div>
       </div>
@@ -298,9 +497,35 @@ export class KanbanBoardComponent extends BaseComponent {
       tags.push(this._createBadge('Deliverable', 'success'));
     }
     
+    // Labels, colored from the project's label catalog
+    (task.labels || []).forEach(name => tags.push(this._renderLabel(name)));
+    
     return tags.join('');
   }
 
+  _renderLabel(name) {
+    const label = this.state.labelCatalog[name];
+    if (!label) {
+      return this._createBadge(escapeHtml(name), 'default');
+    }
+    
+    // Catalog colors are #rrggbb; append alpha for the tinted background and ring.
+    // Anything else falls back to the default badge colors.
+    const color = /^#[0-9a-fA-F]{6}$/.test(label.color) ? label.color : null;
+    const style = color
+      ? `color: ${color}; background-color: ${color}26; --tw-ring-color: ${color}66`
+      : '';
+    const fallback = color ? '' : ' bg-slate-500/15 text-slate-400';
+    const title = `${label.group ? `${label.group}: ` : ''}${label.description || label.name}`;
+    return `
+      <span class="${this.classes.task.label}${fallback}"
+            style="${style}"
+            title="${escapeHtml(title)}">
+        ${escapeHtml(label.name)}
+      </span>
+    `;
+  }
+
   _renderAgentAvatar(task) {
     if (!task.assignedAgentId) {
       return `
@@ -434,14 +659,150 @@ export class KanbanBoardComponent extends BaseComponent {
     }
   }
 
+  dismissMoveError() {
+    this.setState({ moveError: null });
+  }
+
   retry() {
     this.clearError();
     this._loadTasks();
   }
 
+  selectView(viewId) {
+    const saved = this.state.views.find(view => view.id === viewId);
+    this._applyView(saved || null);
+  }
+
+  setViewOption(name, value) {
+    this.setState({
+      view: { ...this.state.view, [name]: value },
+      viewModified: true
+    });
+  }
+
+  setViewFilter(name, value) {
+    const filters = { ...this.state.view.filters };
+    if (value) {
+      filters[name] = value;
+    } else {
+      delete filters[name];
+    }
+    this.setViewOption('filters', filters);
+  }
+
+  async saveView() {
+    const name = prompt('View name:', this._getActiveView()?.name || '');
+    if (!name) return;
+    const scope = confirm('Share this view with everyone on the project?') ? 'project' : 'personal';
+    
+    try {
+      const view = await firebaseService.createView(this.state.projectId, {
+        ...this.state.view,
+        name,
+        scope
+      });
+      this.setState({ views: [...this.state.views, view] }, false);
+      this._applyView(view);
+    } catch (error) {
+      this.setState({ viewError: error.message });
+    }
+  }
+
+  async updateActiveView() {
+    const active = this._getActiveView();
+    if (!active) return;
+    
+    try {
+      const { viewType, groupBy, filters, orderBy, columns } = this.state.view;
+      const view = await firebaseService.updateView(this.state.projectId, active.id, {
+        viewType, groupBy, filters, orderBy, columns
+      });
+      this.setState({
+        views: this.state.views.map(saved => saved.id === view.id ? view : saved)
+      }, false);
+      this._applyView(view);
+    } catch (error) {
+      this.setState({ viewError: error.message });
+    }
+  }
+
+  async deleteActiveView() {
+    const active = this._getActiveView();
+    if (!active || !confirm(`Delete view: ${active.name}?`)) return;
+    
+    try {
+      await firebaseService.deleteView(this.state.projectId, active.id);
+      this.setState({ views: this.state.views.filter(view => view.id !== active.id) }, false);
+      this._applyView(null);
+    } catch (error) {
+      this.setState({ viewError: error.message });
+    }
+  }
+
+  async copyViewLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+    } catch (error) {
+      prompt('Copy this link:', window.location.href);
+    }
+  }
+
+  async search(query) {
+    if (!query.trim()) {
+      this.closeSearch();
+      return;
+    }
+    
+    this.setState({ searchQuery: query, searching: true, searchError: null });
+    try {
+      const { results } = await firebaseService.search({ q: query });
+      this.setState({ searchResults: results, searching: false });
+    } catch (error) {
+      this.setState({ searchResults: null, searching: false, searchError: error.message });
+    }
+  }
+
+  closeSearch() {
+    this.setState({ searchQuery: '', searchResults: null, searching: false, searchError: null });
+  }
+
+  openSearchResult(index) {
+    const result = (this.state.searchResults || [])[index];
+    if (!result) return;
+    this.closeSearch();
+    
+    // Projects open through the project picker, which reads ?project=
+    if (result.type === 'project') {
+      if (result.id !== this.state.projectId) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('project', result.id);
+        url.searchParams.delete('view');
+        window.location.assign(url);
+      }
+      return;
+    }
+    
+    // Tasks and comments open their task, on the board when it is shown there
+    const card = this.container.querySelector(`[data-task="${CSS.escape(result.taskId)}"]`);
+    card?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this.selectTask(result.taskId);
+  }
+
   // Private methods
 
   _initializeColumns() {
+    const { workflow } = this.state;
+    if (workflow) {
+      this.setState({
+        columns: workflow.states.map(state => ({
+          id: state.id,
+          title: state.name,
+          status: state.id
+        }))
+      });
+      return;
+    }
+    
     const columns = [
       { id: 'todo', title: 'To Do', status: TASK_STATUS.TODO },
       { id: 'doing', title: 'In Progress', status: TASK_STATUS.DOING },
@@ -461,6 +822,188 @@ export class KanbanBoardComponent extends BaseComponent {
     }
   }
 
+  async _loadLabelCatalog(projectId) {
+    if (!projectId) {
+      this.setState({ labelCatalog: {} });
+      return;
+    }
+    
+    try {
+      const labels = await firebaseService.getLabels(projectId);
+      this.setState({
+        labelCatalog: Object.fromEntries(labels.map(label => [label.name, label]))
+      });
+    } catch (error) {
+      console.log('📴 Label catalog unavailable:', error.message);
+      this.setState({ labelCatalog: {} });
+    }
+  }
+
+  async _loadWorkflow(projectId) {
+    let workflow = null;
+    if (projectId) {
+      try {
+        workflow = await firebaseService.getWorkflow(projectId);
+      } catch (error) {
+        console.log('📴 Workflow unavailable:', error.message);
+      }
+    }
+    
+    this.setState({ workflow, moveError: null }, false);
+    this._initializeColumns();
+  }
+
+  async _loadViews(projectId) {
+    this.setState({ projectId, views: [], viewError: null }, false);
+    if (!projectId) {
+      this._applyView(null);
+      return;
+    }
+    
+    try {
+      const views = await firebaseService.getViews(projectId);
+      this.setState({ views }, false);
+      
+      // Restore the view named in the URL, e.g. from a shared link
+      const linked = new URLSearchParams(window.location.search).get('view');
+      this._applyView(linked ? views.find(view => view.id === linked) || null : null);
+      if (linked && !views.some(view => view.id === linked)) {
+        this.setState({ viewError: 'The linked view was not found in this project' });
+      }
+    } catch (error) {
+      console.log('📴 Saved views unavailable:', error.message);
+      this._applyView(null);
+    }
+  }
+
+  _applyView(saved) {
+    const view = saved
+      ? {
+          viewType: saved.viewType || DEFAULT_VIEW.viewType,
+          groupBy: saved.groupBy || DEFAULT_VIEW.groupBy,
+          filters: { ...(saved.filters || {}) },
+          orderBy: saved.orderBy || null,
+          columns: saved.columns || null
+        }
+      : { ...DEFAULT_VIEW, filters: {} };
+    
+    // Keep the address shareable: ?project=<id>&view=<id>
+    const url = new URL(window.location.href);
+    if (saved) {
+      url.searchParams.set('project', this.state.projectId);
+      url.searchParams.set('view', saved.id);
+    } else {
+      url.searchParams.delete('view');
+    }
+    window.history.replaceState(null, '', url);
+    
+    this.setState({
+      activeViewId: saved ? saved.id : null,
+      view,
+      viewModified: false,
+      viewError: null
+    });
+  }
+
+  _getActiveView() {
+    return this.state.views.find(view => view.id === this.state.activeViewId) || null;
+  }
+
+  _getVisibleTasks() {
+    const { filters, orderBy } = this.state.view;
+    
+    // "@me" is resolved by the server into the saved view's query
+    const resolved = { ...filters };
+    if (resolved.assignee === '@me') {
+      resolved.assignee = this._getActiveView()?.query?.assignee;
+    }
+    
+    const tasks = this.state.tasks.filter(task => this._matchesFilters(task, resolved));
+    return orderBy ? this._sortTasks(tasks, orderBy) : tasks;
+  }
+
+  _matchesFilters(task, filters) {
+    const { status, priority, assignee, label, sprintId, overdue, dueAfter, dueBefore, cf } = filters;
+    const dueDate = task.dueDate ? new Date(task.dueDate) : null;
+    
+    if (status && task.status !== status) return false;
+    if (priority && task.priority !== priority) return false;
+    if (assignee && (task.assignee || task.assignedAgentId) !== assignee) return false;
+    if (label && !(task.labels || []).includes(label)) return false;
+    if (sprintId && task.sprintId !== sprintId) return false;
+    if (overdue && !task.overdue) return false;
+    if (dueAfter && !(dueDate && dueDate >= new Date(dueAfter))) return false;
+    if (dueBefore && !(dueDate && dueDate <= new Date(dueBefore))) return false;
+    
+    return Object.entries(cf || {}).every(([key, expected]) => {
+      const value = task.customFields?.[key];
+      return Array.isArray(value) ? value.includes(expected) : value !== undefined && String(value) === expected;
+    });
+  }
+
+  _sortTasks(tasks, orderBy) {
+    const fields = orderBy.split(',').map(part => part.split(':'));
+    
+    return [...tasks].sort((a, b) => {
+      for (const [field, direction = 'asc'] of fields) {
+        const left = this._taskValue(a, field);
+        const right = this._taskValue(b, field);
+        if (left === right) continue;
+        // Tasks without a value go last
+        if (left === undefined || left === null) return 1;
+        if (right === undefined || right === null) return -1;
+        const order = typeof left === 'number' && typeof right === 'number'
+          ? left - right
+          : String(left).localeCompare(String(right));
+        if (order) return direction === 'desc' ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  _taskValue(task, field) {
+    if (field === 'assignee') return task.assignee || task.assignedAgentId;
+    if (field === 'label') return task.labels;
+    return field.split('.').reduce((value, key) => value?.[key], task);
+  }
+
+  _getGroupValues(task, groupBy) {
+    const value = this._taskValue(task, groupBy);
+    if (Array.isArray(value)) return value.length ? value.map(String) : [''];
+    return value === undefined || value === null || value === '' ? [''] : [String(value)];
+  }
+
+  _getBoardColumns(tasks) {
+    const { groupBy, columns: visible } = this.state.view;
+    
+    if (groupBy === 'status') {
+      return this.state.columns.filter(column =>
+        !visible || visible.includes(column.id) || visible.includes(column.status)
+      );
+    }
+    
+    const values = new Set(tasks.flatMap(task => this._getGroupValues(task, groupBy)));
+    const ordered = visible
+      ? visible.filter(value => values.has(value))
+      : [...values].sort((a, b) => (a === '') - (b === '') || a.localeCompare(b));
+    
+    return ordered.map(value => ({
+      id: value || 'none',
+      title: value || 'None',
+      value
+    }));
+  }
+
+  _highlight(text, ranges = []) {
+    let html = '';
+    let last = 0;
+    ranges.forEach(({ start, end }) => {
+      html += `${escapeHtml(text.slice(last, start))}<mark class="${this.classes.search.mark}">${escapeHtml(text.slice(start, end))}</mark>`;
+      last = end;
+    });
+    return html + escapeHtml(text.slice(last));
+  }
+
   _updateConnectionStatus() {
     // Mock connection status based on AI mode
     const connectionStatus = {
@@ -472,11 +1015,68 @@ export class KanbanBoardComponent extends BaseComponent {
     this.setState({ connectionStatus });
   }
 
-  _getTasksForColumn(status) {
-    return this.state.tasks.filter(task => task.status === status);
+  _getTasksForColumn(column, tasks) {
+    if (column.status && this.state.workflow) {
+      return tasks.filter(task => this._findWorkflowState(task.status)?.id === column.status);
+    }
+    if (column.status) {
+      return tasks.filter(task => task.status === column.status);
+    }
+    return tasks.filter(task => this._getGroupValues(task, this.state.view.groupBy).includes(column.value));
+  }
+
+  _getStatusOptions() {
+    const { workflow } = this.state;
+    return workflow ? workflow.states.map(state => state.id) : Object.values(TASK_STATUS);
+  }
+
+  // Statuses match workflow states regardless of case, spaces and underscores,
+  // and through the states' aliases, as on the server
+  _statusKey(status) {
+    return String(status ?? '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  }
+
+  _findWorkflowState(status) {
+    const key = this._statusKey(status);
+    if (!key || !this.state.workflow) return null;
+    return this.state.workflow.states.find(state =>
+      this._statusKey(state.id) === key ||
+      (state.aliases || []).some(alias => this._statusKey(alias) === key)
+    ) || null;
+  }
+
+  // Checked before a drop is applied; transitions limited to some roles are
+  // left to the server, which answers 422 when the caller's role is not one
+  _getWorkflowMoveError(task, status) {
+    const { workflow } = this.state;
+    const target = this._findWorkflowState(status);
+    const current = this._findWorkflowState(task.status);
+    if (!workflow || !target || current?.id === target.id) return null;
+    
+    // Tasks outside the workflow, and workflows without transitions, move freely
+    const allowed = !current || workflow.transitions.length === 0 ||
+      workflow.transitions.some(transition =>
+        (transition.from === '*' || transition.from === current.id) && transition.to === target.id
+      );
+    if (!allowed) {
+      return `Tasks cannot move from ${current.name} to ${target.name}`;
+    }
+    
+    const missing = (target.requiredFields || []).filter(field => {
+      const value = this._taskValue(task, field);
+      if (Array.isArray(value)) return value.length === 0;
+      if (typeof value === 'string') return value.trim() === '';
+      return value === undefined || value === null;
+    });
+    return missing.length ? `${target.name} requires ${missing.join(', ')}` : null;
   }
 
   _getStatusVariant(status) {
+    const state = this._findWorkflowState(status);
+    if (state) {
+      return CATEGORY_VARIANTS[state.category] || 'default';
+    }
+    
     const variants = {
       [TASK_STATUS.TODO]: 'default',
       [TASK_STATUS.DOING]: 'info',
@@ -489,7 +1089,17 @@ export class KanbanBoardComponent extends BaseComponent {
   }
 
   _moveTask(taskId, newStatus) {
+    const task = this.state.tasks.find(candidate => candidate.id === taskId);
+    const moveError = task ? this._getWorkflowMoveError(task, newStatus) : null;
+    if (moveError) {
+      this.setState({ moveError });
+      return;
+    }
+    
     try {
+      if (this.state.moveError) {
+        this.setState({ moveError: null }, false);
+      }
       taskService.updateStatus(taskId, newStatus, {
         source: 'kanban-board-drag-drop'
       });
@@ -529,6 +1139,12 @@ export class KanbanBoardComponent extends BaseComponent {
     this.setState({ workflowStatus: WORKFLOW_STATUS.BLOCKED });
   }
 
+  _handleProjectChanged(data) {
+    this._loadWorkflow(data.projectId);
+    this._loadLabelCatalog(data.projectId);
+    this._loadViews(data.projectId);
+  }
+
   _handleTaskCardClicked(data) {
     // Could show task details modal here
     console.log('Task clicked:', data.taskId);
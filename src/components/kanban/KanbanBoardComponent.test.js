@@ -0,0 +1,334 @@
+/**
+ * Kanban Board Component Tests
+ * Testing saved views, board search and workflow-aware drops
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { KanbanBoardComponent } from './KanbanBoardComponent.js';
+import { firebaseService } from '../../services/firebase-service.js';
+import { taskService } from '../../services/core/TaskService.js';
+
+vi.mock('../../services/firebase-service.js', () => ({
+  firebaseService: {
+    getViews: vi.fn(),
+    createView: vi.fn(),
+    updateView: vi.fn(),
+    deleteView: vi.fn(),
+    getWorkflow: vi.fn(),
+    getLabels: vi.fn(),
+    search: vi.fn()
+  }
+}));
+
+const TASKS = [
+  { id: 'task-1', title: 'Write docs', status: 'TODO', priority: 'high', assignee: 'ann', labels: ['docs'] },
+  { id: 'task-2', title: 'Fix login', status: 'DOING', priority: 'low', assignee: 'bob', labels: ['bug'] },
+  { id: 'task-3', title: 'Ship release', status: 'TODO', priority: 'low', assignee: 'ann', labels: [] }
+];
+
+const VIEWS = [
+  { id: 'mine', name: 'My tasks', scope: 'personal', viewType: 'list', filters: { assignee: '@me' }, query: { assignee: 'ann' } },
+  { id: 'bugs', name: 'Bugs', scope: 'project', viewType: 'board', filters: { label: 'bug' } }
+];
+
+describe('KanbanBoardComponent', () => {
+  let container;
+  let board;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    window.history.replaceState(null, '', '/');
+
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    board = new KanbanBoardComponent({ container });
+    board.init();
+    board.setState({ tasks: TASKS });
+  });
+
+  afterEach(() => {
+    board.destroy();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    delete Element.prototype.scrollIntoView;
+  });
+
+  const visibleIds = () => board._getVisibleTasks().map(task => task.id);
+
+  describe('Saved views', () => {
+    beforeEach(() => {
+      firebaseService.getViews.mockResolvedValue(VIEWS);
+    });
+
+    it('should list shared and personal views once a project is loaded', async () => {
+      await board._loadViews('p1');
+
+      expect(firebaseService.getViews).toHaveBeenCalledWith('p1');
+      const groups = container.querySelectorAll('select[title="Saved view"] optgroup');
+      expect(groups[0].label).toBe('Shared');
+      expect(groups[0].textContent).toContain('Bugs');
+      expect(groups[1].label).toBe('Personal');
+      expect(groups[1].textContent).toContain('My tasks');
+      expect(board.state.activeViewId).toBeNull();
+    });
+
+    it('should restore the view named in a shared link', async () => {
+      window.history.replaceState(null, '', '/?project=p1&view=bugs');
+
+      await board._loadViews('p1');
+
+      expect(board.state.activeViewId).toBe('bugs');
+      expect(visibleIds()).toEqual(['task-2']);
+      expect(board.state.viewError).toBeNull();
+    });
+
+    it('should show an error when the linked view is not in the project', async () => {
+      window.history.replaceState(null, '', '/?project=p1&view=gone');
+
+      await board._loadViews('p1');
+
+      expect(board.state.activeViewId).toBeNull();
+      expect(container.textContent).toContain('The linked view was not found in this project');
+      expect(new URLSearchParams(window.location.search).get('view')).toBeNull();
+    });
+
+    it('should keep the address shareable when switching views', async () => {
+      await board._loadViews('p1');
+
+      board.selectView('bugs');
+      let params = new URLSearchParams(window.location.search);
+      expect(params.get('project')).toBe('p1');
+      expect(params.get('view')).toBe('bugs');
+
+      board.selectView('');
+      params = new URLSearchParams(window.location.search);
+      expect(params.get('view')).toBeNull();
+      expect(board.state.view.filters).toEqual({});
+    });
+
+    it('should resolve @me through the saved view query', async () => {
+      await board._loadViews('p1');
+
+      board.selectView('mine');
+
+      expect(board.state.view.viewType).toBe('list');
+      expect(visibleIds()).toEqual(['task-1', 'task-3']);
+    });
+
+    it('should offer to update a view after its filters change', async () => {
+      await board._loadViews('p1');
+      board.selectView('bugs');
+      expect(container.textContent).not.toContain('Update view');
+
+      board.setViewFilter('status', 'DOING');
+      expect(board.state.viewModified).toBe(true);
+      expect(container.textContent).toContain('Update view');
+
+      firebaseService.updateView.mockResolvedValue({ ...VIEWS[1], filters: { label: 'bug', status: 'DOING' } });
+      await board.updateActiveView();
+
+      expect(firebaseService.updateView).toHaveBeenCalledWith('p1', 'bugs', expect.objectContaining({
+        filters: { label: 'bug', status: 'DOING' }
+      }));
+      expect(board.state.viewModified).toBe(false);
+    });
+
+    it('should save the current layout as a shared view', async () => {
+      await board._loadViews('p1');
+      board.setViewOption('groupBy', 'priority');
+      vi.spyOn(window, 'prompt').mockReturnValue('By priority');
+      vi.spyOn(window, 'confirm').mockReturnValue(true);
+      firebaseService.createView.mockImplementation(async (projectId, view) => ({ id: 'new', ...view }));
+
+      await board.saveView();
+
+      expect(firebaseService.createView).toHaveBeenCalledWith('p1', expect.objectContaining({
+        name: 'By priority',
+        scope: 'project',
+        groupBy: 'priority'
+      }));
+      expect(board.state.activeViewId).toBe('new');
+      expect(new URLSearchParams(window.location.search).get('view')).toBe('new');
+    });
+
+    it('should show the server error when saving a view fails', async () => {
+      await board._loadViews('p1');
+      vi.spyOn(window, 'prompt').mockReturnValue('Mine');
+      vi.spyOn(window, 'confirm').mockReturnValue(false);
+      firebaseService.createView.mockRejectedValue(new Error('A view named "Mine" already exists'));
+
+      await board.saveView();
+
+      expect(firebaseService.createView).toHaveBeenCalledWith('p1', expect.objectContaining({ scope: 'personal' }));
+      expect(board.state.activeViewId).toBeNull();
+      expect(container.textContent).toContain('A view named "Mine" already exists');
+    });
+  });
+
+  describe('Board search', () => {
+    const RESULTS = [
+      {
+        type: 'task',
+        id: 'task-2',
+        taskId: 'task-2',
+        projectId: 'p1',
+        title: 'Fix <b>login</b>',
+        titleHighlights: [{ start: 4, end: 16 }],
+        snippet: { text: '', highlights: [] }
+      },
+      {
+        type: 'comment',
+        id: 'c1',
+        taskId: 'task-1',
+        projectId: 'p1',
+        title: 'Write docs',
+        titleHighlights: [],
+        authorName: 'Ann',
+        snippet: { text: 'login page copy', highlights: [{ start: 0, end: 5 }] }
+      }
+    ];
+
+    it('should show highlighted results with their text escaped', async () => {
+      firebaseService.search.mockResolvedValue({ results: RESULTS });
+
+      await board.search('login');
+
+      expect(firebaseService.search).toHaveBeenCalledWith({ q: 'login' });
+      const marks = [...container.querySelectorAll('mark')].map(mark => mark.innerHTML);
+      expect(marks).toEqual(['&lt;b&gt;login&lt;/b&gt;', 'login']);
+      expect(container.querySelector('b')).toBeNull();
+      expect(container.textContent).toContain('Ann: login page copy');
+    });
+
+    it('should say when nothing matches', async () => {
+      firebaseService.search.mockResolvedValue({ results: [] });
+
+      await board.search('nothing');
+
+      expect(container.textContent).toContain('No matches for "nothing"');
+    });
+
+    it('should show the error when the search fails', async () => {
+      firebaseService.search.mockRejectedValue(new Error('q is limited to 200 characters'));
+
+      await board.search('x'.repeat(201));
+
+      expect(board.state.searching).toBe(false);
+      expect(board.state.searchResults).toBeNull();
+      expect(container.textContent).toContain('q is limited to 200 characters');
+    });
+
+    it('should not search for a blank query', async () => {
+      await board.search('   ');
+
+      expect(firebaseService.search).not.toHaveBeenCalled();
+      expect(board.state.searchResults).toBeNull();
+    });
+
+    it('should open the task of a result and close the results', async () => {
+      firebaseService.search.mockResolvedValue({ results: RESULTS });
+      const selectTask = vi.spyOn(board, 'selectTask').mockImplementation(() => {});
+      // jsdom has neither CSS.escape nor scrolling
+      vi.stubGlobal('CSS', { escape: value => value });
+      const scrolled = [];
+      Element.prototype.scrollIntoView = function () { scrolled.push(this.dataset.task); };
+      await board.search('login');
+
+      board.openSearchResult(1);
+
+      expect(selectTask).toHaveBeenCalledWith('task-1');
+      expect(board.state.searchResults).toBeNull();
+      expect(board.state.searchQuery).toBe('');
+      expect(scrolled).toEqual(['task-1']);
+    });
+  });
+
+  describe('Workflow drops', () => {
+    const WORKFLOW = {
+      initialState: 'todo',
+      states: [
+        { id: 'todo', name: 'To Do', category: 'todo', aliases: ['backlog'], requiredFields: [] },
+        { id: 'doing', name: 'In Progress', category: 'in-progress', aliases: [], requiredFields: ['assignee'] },
+        { id: 'done', name: 'Done', category: 'done', aliases: [], requiredFields: [] }
+      ],
+      transitions: [
+        { from: 'todo', to: 'doing' },
+        { from: 'doing', to: 'done' },
+        { from: '*', to: 'todo' }
+      ]
+    };
+
+    let updateStatus;
+
+    beforeEach(async () => {
+      firebaseService.getWorkflow.mockResolvedValue(WORKFLOW);
+      updateStatus = vi.spyOn(taskService, 'updateStatus').mockImplementation(() => {});
+      await board._loadWorkflow('p1');
+      board.setState({
+        tasks: [
+          { id: 'task-1', title: 'Write docs', status: 'Backlog', assignee: 'ann' },
+          { id: 'task-2', title: 'Fix login', status: 'todo' },
+          { id: 'task-3', title: 'Ship release', status: 'doing', assignee: 'bob' }
+        ]
+      });
+    });
+
+    // jsdom has no DragEvent, so drops carry a minimal dataTransfer
+    const drop = (taskId, status) => {
+      const event = new Event('drop', { bubbles: true, cancelable: true });
+      event.dataTransfer = { getData: () => taskId };
+      container.querySelector(`[data-status="${status}"]`).dispatchEvent(event);
+    };
+
+    it('should show the workflow states as columns', () => {
+      const columns = [...container.querySelectorAll('[data-status]')].map(zone => zone.dataset.status);
+
+      expect(columns).toEqual(['todo', 'doing', 'done']);
+      // Aliases place tasks in their state's column
+      expect(container.querySelector('[data-status="todo"] [data-task="task-1"]')).not.toBeNull();
+    });
+
+    it('should refuse drops the workflow does not allow', () => {
+      drop('task-1', 'done');
+
+      expect(updateStatus).not.toHaveBeenCalled();
+      expect(board.state.moveError).toBe('Tasks cannot move from To Do to Done');
+      expect(container.textContent).toContain('Tasks cannot move from To Do to Done');
+    });
+
+    it('should refuse drops into states whose required fields are missing', () => {
+      drop('task-2', 'doing');
+
+      expect(updateStatus).not.toHaveBeenCalled();
+      expect(board.state.moveError).toBe('In Progress requires assignee');
+    });
+
+    it('should apply allowed drops and clear the last error', () => {
+      drop('task-2', 'doing');
+      drop('task-1', 'doing');
+
+      expect(updateStatus).toHaveBeenCalledWith('task-1', 'doing', { source: 'kanban-board-drag-drop' });
+      expect(board.state.moveError).toBeNull();
+    });
+
+    it('should let the error be dismissed', () => {
+      board._moveTask('task-2', 'done');
+      expect(container.textContent).toContain('Tasks cannot move from To Do to Done');
+
+      board.dismissMoveError();
+
+      expect(board.state.moveError).toBeNull();
+      expect(container.textContent).not.toContain('Tasks cannot move');
+    });
+
+    it('should move tasks freely without a workflow', async () => {
+      firebaseService.getWorkflow.mockResolvedValue(null);
+      await board._loadWorkflow('p2');
+
+      board._moveTask('task-2', 'DONE');
+
+      expect(updateStatus).toHaveBeenCalledWith('task-2', 'DONE', { source: 'kanban-board-drag-drop' });
+      expect(board.state.moveError).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * Task Detail Component - Task overview with custom fields and threaded discussion
+ * Rendered as a modal over the Kanban board
+ */
+
+import BaseComponent from '../base/BaseComponent.js';
+import { firebaseService } from '../../services/firebase-service.js';
+import { escapeHtml } from '../../utils/html.js';
+
+/**
+ * Task detail modal showing the custom fields and comment thread for a task
+ */
+export class TaskDetailComponent extends BaseComponent {
+  constructor(options = {}) {
+    super(options);
+    this.task = options.task;
+    this.projectId = options.projectId || null;
+    this.onClose = options.onClose || null;
+    this.onActions = options.onActions || null;
+  }
+
+  get defaultState() {
+    return {
+      ...super.defaultState,
+      loading: true,
+      comments: [],
+      replyTo: null,
+      submitting: false,
+      // Custom field schema of the project and the task's values by key
+      fields: [],
+      fieldValues: {},
+      savingFields: false,
+      fieldsError: null
+    };
+  }
+
+  generateClasses() {
+    const base = super.generateClasses();
+
+    return {
+      ...base,
+
+      overlay: 'fixed inset-0 z-50 flex items-center justify-center bg-slate-950/70 p-4',
+      modal: 'w-full max-w-2xl max-h-[90vh] flex flex-col bg-slate-900 rounded-xl ring-1 ring-slate-700',
+      header: 'flex justify-between items-start p-4 border-b border-slate-700',
+      body: 'flex-1 overflow-y-auto p-4 space-y-4',
+
+      comment: {
+        item: 'bg-slate-800 p-3 rounded-lg ring-1 ring-slate-950',
+        meta: 'flex items-center gap-2 text-xs text-slate-400',
+        body: 'text-sm text-slate-200 mt-2 whitespace-pre-wrap',
+        deleted: 'text-sm italic text-slate-500 mt-2',
+        actions: 'mt-2 flex gap-3 text-xs',
+        action: 'text-slate-400 hover:text-indigo-400',
+        replies: 'ml-6 mt-3 space-y-3 border-l border-slate-700 pl-3'
+      },
+
+      fields: {
+        grid: 'grid grid-cols-1 sm:grid-cols-2 gap-3',
+        label: 'block text-xs text-slate-400 mb-1',
+        input: 'w-full p-1.5 rounded-md bg-slate-800 text-sm text-slate-200 ring-1 ring-slate-700 focus:ring-indigo-500 outline-none',
+        error: 'text-xs text-red-400',
+        footer: 'mt-3 flex justify-between items-center'
+      },
+
+      form: {
+        container: 'p-4 border-t border-slate-700',
+        textarea: 'w-full p-2 rounded-md bg-slate-800 text-sm text-slate-200 ring-1 ring-slate-700 focus:ring-indigo-500 outline-none',
+        footer: 'mt-2 flex justify-between items-center'
+      }
+    };
+  }
+
+  _onMounted() {
+    this.loadCustomFields();
+    this.loadComments();
+  }
+
+  template() {
+    const task = this.task || {};
+
+    return `
+      <div class="${this.classes.overlay}" data-overlay>
+        <div class="${this.classes.modal}">
+          <div class="${this.classes.header}">
+            <div>
+              <h3 class="${this.classes.text.primary}">${escapeHtml(task.title || 'Untitled Task')}</h3>
+              <p class="${this.classes.text.tertiary} ${this.classes.text.small} mt-1">
+                ${escapeHtml(task.description || 'No description')}
+              </p>
+              <div class="mt-2">${task.status ? this._createBadge(task.status) : ''}</div>
+            </div>
+            <div class="flex gap-2">
+              ${this.onActions ? `<button class="${this.classes.button.secondary} px-2 py-1" data-action="actions">Actions</button>` : ''}
+              <button class="${this.classes.button.secondary} px-2 py-1" data-action="close">✕</button>
+            </div>
+          </div>
+
+          <div class="${this.classes.body}">
+            ${this._renderCustomFields()}
+            <h4 class="${this.classes.text.secondary} ${this.classes.text.body}">Discussion</h4>
+            ${this._renderThread()}
+          </div>
+
+          ${this._renderForm()}
+        </div>
+      </div>
+    `;
+  }
+
+  _renderCustomFields() {
+    const { fields, fieldValues, savingFields, fieldsError } = this.state;
+    if (fields.length === 0) return '';
+
+    return `
+      <form data-fields-form>
+        <h4 class="${this.classes.text.secondary} ${this.classes.text.body} mb-2">Fields</h4>
+        <div class="${this.classes.fields.grid}">
+          ${fields.map(field => `
+            <label>
+              <span class="${this.classes.fields.label}" title="${escapeHtml(field.description || '')}">
+                ${escapeHtml(field.name)}${field.required ? ' *' : ''}
+              </span>
+              ${this._renderFieldInput(field, fieldValues[field.key])}
+            </label>
+          `).join('')}
+        </div>
+        <div class="${this.classes.fields.footer}">
+          <span class="${this.classes.fields.error}">${escapeHtml(fieldsError || '')}</span>
+          <button type="submit" class="${this.classes.button.secondary} px-2 py-1" ${savingFields ? 'disabled' : ''}>
+            ${savingFields ? 'Saving...' : 'Save fields'}
+          </button>
+        </div>
+      </form>
+    `;
+  }
+
+  _renderFieldInput(field, value) {
+    const name = `cf-${field.key}`;
+    const input = this.classes.fields.input;
+
+    switch (field.type) {
+      case 'number':
+        return `<input type="number" step="any" name="${name}" class="${input}" value="${value ?? ''}">`;
+      case 'date':
+        return `<input type="date" name="${name}" class="${input}" value="${this._toDateInput(value)}">`;
+      case 'select':
+      case 'multiselect': {
+        const selected = [].concat(value ?? []);
+        const multiple = field.type === 'multiselect';
+        return `
+          <select name="${name}" class="${input}" ${multiple ? 'multiple' : ''}>
+            ${multiple ? '' : '<option value="">—</option>'}
+            ${field.options.map(option => `
+              <option value="${escapeHtml(option)}" ${selected.includes(option) ? 'selected' : ''}>${escapeHtml(option)}</option>
+            `).join('')}
+          </select>
+        `;
+      }
+      case 'url':
+        return `<input type="url" name="${name}" class="${input}" value="${escapeHtml(value)}" placeholder="https://">`;
+      case 'user':
+        return `<input type="text" name="${name}" class="${input}" value="${escapeHtml(value)}" placeholder="User ID">`;
+      default:
+        return `<input type="text" name="${name}" class="${input}" value="${escapeHtml(value)}">`;
+    }
+  }
+
+  _renderThread() {
+    if (this.state.loading) {
+      return this._createLoadingSpinner('sm');
+    }
+
+    if (this.state.error) {
+      return this._createErrorMessage(this.state.error);
+    }
+
+    if (this.state.comments.length === 0) {
+      return this._createEmptyState('No comments yet. Start the discussion below.');
+    }
+
+    return this.state.comments.map(comment => this._renderComment(comment)).join('');
+  }
+
+  _renderComment(comment) {
+    const edited = comment.edited ? ' · edited' : '';
+    const replies = comment.replies || [];
+
+    return `
+      <div class="${this.classes.comment.item}" data-comment="${comment.id}">
+        <div class="${this.classes.comment.meta}">
+          ${this._createAvatar(comment.authorName || '?', null, 'sm')}
+          <span class="text-slate-200">${escapeHtml(comment.authorName || 'Unknown')}</span>
+          <span>${this._formatDate(comment.createdAt)}${edited}</span>
+        </div>
+        ${comment.deleted
+          ? `<p class="${this.classes.comment.deleted}">Comment deleted</p>`
+          : `<p class="${this.classes.comment.body}">${escapeHtml(comment.body)}</p>`}
+        ${comment.deleted ? '' : `
+          <div class="${this.classes.comment.actions}">
+            <button class="${this.classes.comment.action}" data-action="reply" data-id="${comment.id}">Reply</button>
+          </div>
+        `}
+        ${replies.length ? `
+          <div class="${this.classes.comment.replies}">
+            ${replies.map(reply => this._renderComment(reply)).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  _renderForm() {
+    const replyingTo = this.state.replyTo
+      ? this._findComment(this.state.comments, this.state.replyTo)
+      : null;
+
+    return `
+      <form class="${this.classes.form.container}" data-comment-form>
+        ${replyingTo ? `
+          <div class="${this.classes.text.tertiary} ${this.classes.text.small} mb-2">
+            Replying to ${escapeHtml(replyingTo.authorName || 'comment')}
+            <button type="button" class="${this.classes.comment.action} ml-2" data-action="cancel-reply">Cancel</button>
+          </div>
+        ` : ''}
+        <textarea name="body" rows="3" class="${this.classes.form.textarea}" placeholder="Write a comment..."></textarea>
+        <div class="${this.classes.form.footer}">
+          <span class="${this.classes.text.tertiary} ${this.classes.text.small}"></span>
+          <button type="submit" class="${this.classes.button.primary}" ${this.state.submitting ? 'disabled' : ''}>
+            ${this.state.submitting ? 'Posting...' : 'Comment'}
+          </button>
+        </div>
+      </form>
+    `;
+  }
+
+  _setupEventListeners() {
+    super._setupEventListeners();
+
+    // Delegated once on the container, which survives re-renders
+    this._addEventListener(this.container, 'click', (e) => {
+      const actionElement = e.target.closest('[data-action]');
+
+      if (!actionElement) {
+        // Clicking the backdrop closes the modal
+        if (e.target.hasAttribute('data-overlay')) this.close();
+        return;
+      }
+
+      switch (actionElement.getAttribute('data-action')) {
+        case 'close':
+          this.close();
+          break;
+        case 'actions':
+          this.close();
+          this.onActions(this.task);
+          break;
+        case 'reply':
+          this.setState({ replyTo: actionElement.getAttribute('data-id') });
+          this.container.querySelector('textarea[name="body"]')?.focus();
+          break;
+        case 'cancel-reply':
+          this.setState({ replyTo: null });
+          break;
+      }
+    });
+  }
+
+  _bindEventHandlers() {
+    this.container.setAttribute('data-component', 'true');
+    this.container.__component = this;
+
+    const fieldsForm = this.container.querySelector('[data-fields-form]');
+    if (fieldsForm) {
+      this._addEventListener(fieldsForm, 'submit', (e) => {
+        e.preventDefault();
+        this.saveCustomFields(fieldsForm);
+      });
+    }
+
+    const form = this.container.querySelector('[data-comment-form]');
+    this._addEventListener(form, 'submit', (e) => {
+      e.preventDefault();
+      this.submitComment(form.elements.body.value);
+    });
+  }
+
+  // Component methods
+
+  async loadCustomFields() {
+    if (!this.projectId) return;
+
+    try {
+      const [fields, task] = await Promise.all([
+        firebaseService.getCustomFields(this.projectId),
+        firebaseService.getTask(this.task.id)
+      ]);
+      this.setState({ fields, fieldValues: task.customFields || {}, fieldsError: null });
+    } catch (error) {
+      // Tasks that only exist locally have no stored fields
+      this.setState({ fields: [], fieldValues: {} });
+    }
+  }
+
+  async saveCustomFields(form) {
+    if (this.state.savingFields) return;
+
+    const values = {};
+    for (const field of this.state.fields) {
+      const element = form.elements[`cf-${field.key}`];
+      if (!element) continue;
+
+      switch (field.type) {
+        case 'number':
+          values[field.key] = element.value === '' ? null : Number(element.value);
+          break;
+        case 'date':
+          values[field.key] = element.value ? new Date(element.value).toISOString() : null;
+          break;
+        case 'multiselect':
+          values[field.key] = [...element.selectedOptions].map(option => option.value);
+          break;
+        default:
+          values[field.key] = element.value.trim() || null;
+      }
+    }
+
+    this.setState({ savingFields: true, fieldsError: null });
+
+    try {
+      const updated = await firebaseService.updateTask(
+        this.task.id,
+        { customFields: values },
+        { source: 'task-detail' }
+      );
+      this.setState({ savingFields: false, fieldValues: updated.customFields || {} });
+    } catch (error) {
+      this.setState({ savingFields: false, fieldsError: error.message });
+    }
+  }
+
+  async loadComments() {
+    try {
+      const comments = await firebaseService.getComments(this.task.id);
+      this.setState({ comments, loading: false, error: null });
+    } catch (error) {
+      this.setState({ loading: false, error: 'Could not load comments' });
+    }
+  }
+
+  async submitComment(body) {
+    if (!body || !body.trim() || this.state.submitting) return;
+
+    this.setState({ submitting: true });
+
+    try {
+      const parentId = this.state.replyTo;
+      const comment = await firebaseService.addComment(this.task.id, body.trim(), parentId);
+
+      this.globalEvents.emit('task:comment-added', {
+        taskId: this.task.id,
+        comment,
+        parentId,
+        authorId: comment.authorId
+      });
+
+      this.setState({ submitting: false, replyTo: null }, false);
+      await this.loadComments();
+    } catch (error) {
+      this.setState({ submitting: false, error: 'Could not post comment' });
+    }
+  }
+
+  close() {
+    this.destroy();
+    if (this.onClose) this.onClose();
+  }
+
+  retry() {
+    this.setState({ loading: true, error: null });
+    this.loadComments();
+  }
+
+  // Private methods
+
+  _findComment(comments, commentId) {
+    for (const comment of comments) {
+      if (comment.id === commentId) return comment;
+      const found = this._findComment(comment.replies || [], commentId);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  _toDateInput(value) {
+    if (!value) return '';
+    const date = value._seconds ? new Date(value._seconds * 1000) : new Date(value);
+    return isNaN(date) ? '' : date.toISOString().slice(0, 10);
+  }
+
+  _formatDate(value) {
+    if (!value) return '';
+    // Firestore timestamps arrive serialized as { _seconds, _nanoseconds }
+    const date = value._seconds ? new Date(value._seconds * 1000) : new Date(value);
+    return isNaN(date) ? '' : date.toLocaleString();
+  }
+}
+
+export default TaskDetailComponent;
@@ -153,9 +153,17 @@ export class KanbanBoard {
       high: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400'
     };
     
-    const labelsHtml = task.labels.map(label => 
-      `<span class="inline-block bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-400 text-xs px-2 py-1 rounded-full">${label}</span>`
-    ).join(' ');
+    const labelsHtml = task.labels.map(label => {
+      const definition = kanbanService.getLabel(label);
+      if (!definition) {
+        return `<span class="inline-block bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-400 text-xs px-2 py-1 rounded-full">${label}</span>`;
+      }
+      
+      // Catalog colors are #rrggbb; the background uses the color at 15% opacity
+      return `<span class="inline-block text-xs px-2 py-1 rounded-full border"
+                    style="color: ${definition.color}; background-color: ${definition.color}26; border-color: ${definition.color}66"
+                    title="${definition.description || definition.name}">${label}</span>`;
+    }).join(' ');
     
     const aiIcon = task.aiGenerated ? `
       <div class="absolute top-2 right-2 w-4 h-4 bg-green-500 rounded-full flex items-center justify-center" title="AI Generated via Real Services">
@@ -180,7 +188,7 @@ export class KanbanBoard {
     `;
     
     return `
-      <div class="kanban-task bg-white dark:bg-gray-700 rounded-lg border border-gray-200 dark:border-gray-600 p-3 cursor-move hover:shadow-md transition-shadow relative"
+      <div class="kanban-task bg-white dark:bg-gray-700 rounded-lg border ${task.overdue ? 'border-red-500 dark:border-red-500' : 'border-gray-200 dark:border-gray-600'} p-3 cursor-move hover:shadow-md transition-shadow relative"
            data-task-id="${task.id}"
            data-column-id="${task.columnId}">
         ${connectionIcon}
@@ -213,7 +221,8 @@ export class KanbanBoard {
           
           <div class="flex items-center space-x-1">
             ${task.dueDate ? `
-              <span class="text-gray-500 dark:text-gray-400">
+              <span class="${task.overdue ? 'text-red-500 font-medium' : 'text-gray-500 dark:text-gray-400'}"
+                    title="${task.overdue ? 'Overdue' : 'Due date'}">
                 ${new Date(task.dueDate).toLocaleDateString()}
               </span>
             ` : ''}
@@ -411,6 +420,12 @@ export class KanbanBoard {
       this.render();
     });
     
+    eventBus.on('kanban:labels:changed', () => {
+      if (!this.isInitialized) return;
+      this.board = kanbanService.getCurrentBoard();
+      this.render();
+    });
+    
     eventBus.on('kanban:task:moved', () => {
       this.board = kanbanService.getCurrentBoard();
       // Don't re-render here to avoid interrupting drag and drop
@@ -7,6 +7,9 @@ import { globalEvents } from '../events/EnhancedEventBus.js';
 import { taskService } from '../services/core/TaskService.js';
 import { componentRegistry } from '../components/base/ComponentRegistry.js';
 import KanbanBoardComponent from '../components/kanban/KanbanBoardComponent.js';
+import TaskDetailComponent from '../components/kanban/TaskDetailComponent.js';
+import SprintDashboardComponent from '../components/dashboard/SprintDashboardComponent.js';
+import { escapeHtml } from '../utils/html.js';
 
 // Legacy service imports for backward compatibility
 import { themeService } from '../services/ui/theme.service.js';
@@ -23,6 +26,7 @@ class ProjectApp {
     this.state = {
       loading: true,
       connected: false,
+      currentOrganization: null,
       currentProject: null,
       aiMode: 'development'
     };
@@ -139,6 +143,9 @@ class ProjectApp {
     // Setup header buttons
     this.setupHeaderButtons();
     
+    // Setup organization / project picker (fills in once the API responds)
+    this.setupProjectPicker();
+    
     // Update version display
     this.updateVersionDisplay();
     
@@ -352,6 +359,14 @@ class ProjectApp {
       });
     }
 
+    // Sprint report button
+    const sprintReportBtn = document.getElementById('sprint-report-btn');
+    if (sprintReportBtn) {
+      sprintReportBtn.addEventListener('click', () => {
+        this.handleSprintReportRequest();
+      });
+    }
+
     // Settings button
     const settingsBtn = document.getElementById('settings-btn');
     if (settingsBtn) {
@@ -361,6 +376,109 @@ class ProjectApp {
     }
   }
 
+  /**
+   * Setup the active organization / project picker in the header
+   */
+  async setupProjectPicker() {
+    const picker = document.getElementById('project-picker');
+    const orgSelect = document.getElementById('organization-select');
+    const projectSelect = document.getElementById('project-select');
+    if (!picker || !orgSelect || !projectSelect) return;
+
+    const saved = JSON.parse(localStorage.getItem('firesite-active-project') || '{}');
+    this.state.currentOrganization = saved.organizationId || null;
+    this.state.currentProject = saved.projectId || null;
+
+    // A shared view link (?project=<id>&view=<id>) opens its project
+    const linkedProject = new URLSearchParams(window.location.search).get('project');
+    if (linkedProject && linkedProject !== this.state.currentProject) {
+      this.state.currentOrganization = null;
+      this.state.currentProject = linkedProject;
+    }
+
+    try {
+      const organizations = await this.services.firebase.getOrganizations();
+      orgSelect.innerHTML = '<option value="">All organizations</option>' +
+        organizations.map(org => `<option value="${org.id}">${escapeHtml(org.name)}</option>`).join('');
+      orgSelect.value = this.state.currentOrganization || '';
+
+      await this.loadProjectOptions();
+      this.globalEvents.emit('ui:project-changed', {
+        projectId: this.state.currentProject,
+        organizationId: this.state.currentOrganization
+      });
+
+      picker.classList.remove('hidden');
+      picker.classList.add('flex');
+    } catch (error) {
+      console.log('📴 Project picker unavailable:', error.message);
+      return;
+    }
+
+    orgSelect.addEventListener('change', async () => {
+      this.state.currentOrganization = orgSelect.value || null;
+      this.state.currentProject = null;
+      await this.loadProjectOptions();
+      this.saveActiveProject();
+    });
+
+    projectSelect.addEventListener('change', () => {
+      this.state.currentProject = projectSelect.value || null;
+      this.saveActiveProject();
+    });
+  }
+
+  /**
+   * Fill the project picker with the active organization's projects, with
+   * sub-projects indented under their parent
+   */
+  async loadProjectOptions() {
+    const projectSelect = document.getElementById('project-select');
+    const projects = await this.services.firebase.getProjects(
+      this.state.currentOrganization ? { organizationId: this.state.currentOrganization } : {}
+    );
+
+    const children = new Map();
+    for (const project of projects) {
+      const parentId = project.parentProjectId || null;
+      if (!children.has(parentId)) children.set(parentId, []);
+      children.get(parentId).push(project);
+    }
+
+    // Projects whose parent is outside the list are shown at the top level
+    const ids = new Set(projects.map(project => project.id));
+    const roots = projects.filter(project => !project.parentProjectId || !ids.has(project.parentProjectId));
+
+    const options = [];
+    const addOptions = (project, level) => {
+      options.push(`<option value="${project.id}">${'&nbsp;&nbsp;'.repeat(level)}${level ? '└ ' : ''}${escapeHtml(project.name)}</option>`);
+      (children.get(project.id) || []).forEach(child => addOptions(child, level + 1));
+    };
+    roots.forEach(project => addOptions(project, 0));
+
+    projectSelect.innerHTML = '<option value="">No project</option>' + options.join('');
+
+    if (!ids.has(this.state.currentProject)) {
+      this.state.currentProject = projects.length ? roots[0].id : null;
+    }
+    projectSelect.value = this.state.currentProject || '';
+  }
+
+  /**
+   * Persist the picked organization / project
+   */
+  saveActiveProject() {
+    localStorage.setItem('firesite-active-project', JSON.stringify({
+      organizationId: this.state.currentOrganization,
+      projectId: this.state.currentProject
+    }));
+    console.log('📁 Active project:', this.state.currentOrganization, '/', this.state.currentProject);
+    this.globalEvents.emit('ui:project-changed', {
+      projectId: this.state.currentProject,
+      organizationId: this.state.currentOrganization
+    });
+  }
+
   /**
    * Update version display
    */
@@ -536,10 +654,66 @@ Theme: ${this.services.theme.getCurrentTheme()}
   }
 
   /**
-   * Handle task card clicked
+   * Handle task card clicked - open the task detail view. Tasks not on the
+   * local board, e.g. search results, are loaded from the API.
+   */
+  async handleTaskCardClicked(taskId) {
+    let task = this.services.taskService.getTask(taskId);
+    if (!task) {
+      try {
+        task = await this.services.firebase.getTask(taskId);
+      } catch (error) {
+        this.showErrorNotification(`Task ${taskId} could not be opened: ${error.message}`);
+        return;
+      }
+    }
+
+    const modalRoot = document.getElementById('modal-root');
+    if (!modalRoot) {
+      this.showTaskActions(task);
+      return;
+    }
+
+    this.components.taskDetail?.destroy();
+    this.components.taskDetail = new TaskDetailComponent({
+      container: modalRoot,
+      task,
+      projectId: task.projectId || this.state.currentProject,
+      onActions: (selected) => this.showTaskActions(selected),
+      onClose: () => {
+        this.components.taskDetail = null;
+      }
+    });
+    this.components.taskDetail.init();
+  }
+
+  /**
+   * Open the burndown / burnup dashboard of the active project
+   */
+  handleSprintReportRequest() {
+    const modalRoot = document.getElementById('modal-root');
+    if (!modalRoot) return;
+
+    if (!this.state.currentProject) {
+      this.showErrorNotification('Choose a project to see its sprint report');
+      return;
+    }
+
+    this.components.sprintDashboard?.destroy();
+    this.components.sprintDashboard = new SprintDashboardComponent({
+      container: modalRoot,
+      projectId: this.state.currentProject,
+      onClose: () => {
+        this.components.sprintDashboard = null;
+      }
+    });
+    this.components.sprintDashboard.init();
+  }
+
+  /**
+   * Show the quick action menu for a task
    */
-  handleTaskCardClicked(taskId) {
-    const task = this.services.taskService.getTask(taskId);
+  showTaskActions(task) {
     if (task) {
       const action = prompt(`Task: ${task.title}\n\nActions:\n1. Edit\n2. Delete\n3. Change Status\n4. Assign Agent\n\nChoose action (1-4):`);
       
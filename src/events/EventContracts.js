@@ -141,6 +141,11 @@ export const EVENT_CONTRACTS = {
     optional: ['agentId', 'context'],
     description: 'Task execution error'
   },
+  'task:comment-added': {
+    required: ['taskId', 'comment'],
+    optional: ['parentId', 'authorId'],
+    description: 'Comment or reply added to task discussion'
+  },
 
   // Workflow Events
   'workflow:started': {
@@ -197,6 +202,11 @@ export const EVENT_CONTRACTS = {
     optional: ['source'],
     description: 'Agent panel opened'
   },
+  'ui:project-changed': {
+    required: ['projectId'],
+    optional: ['organizationId'],
+    description: 'Active project picked in the header'
+  },
   'ui:workflow-control-action': {
     required: ['action', 'teamId'],
     optional: ['parameters'],
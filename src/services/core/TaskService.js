@@ -27,6 +27,7 @@ export class Task {
     this.externalValidationRequired = config.externalValidationRequired || false;
     this.allowParallelExecution = config.allowParallelExecution || false;
     this.referenceId = config.referenceId;
+    this.labels = config.labels || [];
     
     // Status and lifecycle
     this.status = TASK_STATUS.TODO;
@@ -76,6 +77,7 @@ export class Task {
       isDeliverable: this.isDeliverable,
       externalValidationRequired: this.externalValidationRequired,
       allowParallelExecution: this.allowParallelExecution,
+      labels: this.labels,
       dependencies: this.dependencies,
       assignedAgentId: this.assignedAgentId,
       result: this.result,
@@ -3,7 +3,9 @@
  * Provides real connection to Firebase Functions API endpoints
  */
 
+import { onIdTokenChanged } from 'firebase/auth';
 import { eventBus } from '../core/events/event-bus.js';
+import { auth } from '../core/config/firebase-config.js';
 
 export class FirebaseService {
   constructor() {
@@ -12,6 +14,39 @@ export class FirebaseService {
     this.apiURL = `${this.baseURL}/api`;
     this.claudeURL = `${this.baseURL}/claude`;
     this.isInitialized = false;
+    this.authToken = null;
+    this.authReady = null;
+  }
+
+  /**
+   * Set the Firebase ID token sent with every API request
+   * @param {string|null} token - ID token, or null to sign out
+   */
+  setAuthToken(token) {
+    this.authToken = token || null;
+  }
+
+  /**
+   * Follow the signed-in Firebase user: their ID token is stored on sign-in
+   * and replaced each time Firebase refreshes it, and cleared on sign-out
+   * @returns {Promise<void>} Resolves once the current sign-in state is known
+   */
+  watchAuthToken() {
+    if (!auth) return Promise.resolve();
+    if (this.authReady) return this.authReady;
+
+    this.authReady = new Promise(resolve => {
+      onIdTokenChanged(auth, async user => {
+        try {
+          this.setAuthToken(user ? await user.getIdToken() : null);
+        } catch (error) {
+          console.error('❌ Failed to get the Firebase ID token:', error);
+          this.setAuthToken(null);
+        }
+        resolve();
+      });
+    });
+    return this.authReady;
   }
 
   /**
@@ -22,6 +57,9 @@ export class FirebaseService {
 
     try {
       console.log('🔥 Initializing Firebase service...');
+
+      // API routes require the signed-in user's ID token
+      await this.watchAuthToken();
       
       // Test connection to Firebase Functions
       const healthCheck = await this._testConnection();
@@ -42,13 +80,25 @@ export class FirebaseService {
   // Task Management API
 
   /**
-   * Get all tasks
-   * @param {Object} params - Query parameters (projectId, status)
-   * @returns {Promise<Array>} Array of tasks
+   * Get a page of tasks
+   * @param {Object} params - Query parameters
+   * @param {string} [params.projectId] - Filter by project
+   * @param {string} [params.status] - Filter by status
+   * @param {string} [params.assignee] - Filter by assignee
+   * @param {string} [params.priority] - Filter by priority
+   * @param {string} [params.label] - Filter by label
+   * @param {string} [params.dueAfter] - ISO date, due on or after
+   * @param {string} [params.dueBefore] - ISO date, due on or before
+   * @param {Object} [params.cf] - Custom field filters by key, e.g. { severity: 'high' }
+   * @param {string|Array<string>} [params.orderBy] - e.g. ['priority:desc', 'customFields.points']
+   * @param {number} [params.limit] - Page size (max 500)
+   * @param {string} [params.startAfter] - Cursor from a previous page
+   * @param {string|Array<string>} [params.fields] - Field projection
+   * @returns {Promise<{tasks: Array, nextCursor: string|null}>} Page of tasks
    */
   async getTasks(params = {}) {
     try {
-      const queryString = new URLSearchParams(params).toString();
+      const queryString = this._buildQueryString(params);
       const url = queryString ? `${this.apiURL}/tasks?${queryString}` : `${this.apiURL}/tasks`;
       
       const response = await fetch(url, {
@@ -60,9 +110,9 @@ export class FirebaseService {
         throw new Error(`Failed to get tasks: ${response.status} ${response.statusText}`);
       }
 
-      const tasks = await response.json();
-      eventBus.emit('firebase:tasks-loaded', { tasks });
-      return tasks;
+      const { tasks, nextCursor = null } = await response.json();
+      eventBus.emit('firebase:tasks-loaded', { tasks, nextCursor });
+      return { tasks, nextCursor };
     } catch (error) {
       console.error('❌ Error fetching tasks:', error);
       eventBus.emit('firebase:error', { operation: 'getTasks', error: error.message });
@@ -97,13 +147,14 @@ export class FirebaseService {
   /**
    * Create new task
    * @param {Object} task - Task data (must include title)
+   * @param {Object} [options] - Request options ({ source, agentId } for task history)
    * @returns {Promise<Object>} Created task with ID
    */
-  async createTask(task) {
+  async createTask(task, options = {}) {
     try {
       const response = await fetch(`${this.apiURL}/tasks`, {
         method: 'POST',
-        headers: this._getHeaders(),
+        headers: this._getHeaders(options),
         body: JSON.stringify(task)
       });
 
@@ -126,18 +177,25 @@ export class FirebaseService {
    * Update task
    * @param {string} taskId - Task ID
    * @param {Object} updates - Task updates
+   * @param {Object} [options] - Request options ({ source, agentId } for task history,
+   *   version to reject the write with a 412 conflict if the task changed since)
    * @returns {Promise<Object>} Updated task
    */
-  async updateTask(taskId, updates) {
+  async updateTask(taskId, updates, options = {}) {
     try {
       const response = await fetch(`${this.apiURL}/tasks/${taskId}`, {
         method: 'PUT',
-        headers: this._getHeaders(),
+        headers: this._getHeaders(options),
         body: JSON.stringify(updates)
       });
 
+      if (response.status === 412) {
+        throw await this._conflictError(response, 'updateTask');
+      }
+
       if (!response.ok) {
-        throw new Error(`Failed to update task: ${response.status} ${response.statusText}`);
+        const error = await response.json();
+        throw new Error(error.message || `Failed to update task: ${response.status}`);
       }
 
       const updatedTask = await response.json();
@@ -145,7 +203,9 @@ export class FirebaseService {
       return updatedTask;
     } catch (error) {
       console.error('❌ Error updating task:', error);
-      eventBus.emit('firebase:error', { operation: 'updateTask', error: error.message });
+      if (error.status !== 412) {
+        eventBus.emit('firebase:error', { operation: 'updateTask', error: error.message });
+      }
       throw error;
     }
   }
@@ -153,13 +213,14 @@ export class FirebaseService {
   /**
    * Delete task
    * @param {string} taskId - Task ID
+   * @param {Object} [options] - Request options ({ source, agentId } for task history)
    * @returns {Promise<void>}
    */
-  async deleteTask(taskId) {
+  async deleteTask(taskId, options = {}) {
     try {
       const response = await fetch(`${this.apiURL}/tasks/${taskId}`, {
         method: 'DELETE',
-        headers: this._getHeaders()
+        headers: this._getHeaders(options)
       });
 
       if (!response.ok) {
@@ -178,16 +239,23 @@ export class FirebaseService {
    * Move task to different group
    * @param {string} taskId - Task ID
    * @param {string} groupId - Target group ID
+   * @param {Object} [options] - Request options ({ source, agentId } for task history,
+   *   version to reject the move with a 412 conflict if the task changed since,
+   *   status to set along with the move; the task keeps its status otherwise)
    * @returns {Promise<Object>} Updated task
    */
-  async moveTask(taskId, groupId) {
+  async moveTask(taskId, groupId, options = {}) {
     try {
       const response = await fetch(`${this.apiURL}/tasks/${taskId}/move`, {
         method: 'PUT',
-        headers: this._getHeaders(),
-        body: JSON.stringify({ groupId })
+        headers: this._getHeaders(options),
+        body: JSON.stringify(options.status ? { groupId, status: options.status } : { groupId })
       });
 
+      if (response.status === 412) {
+        throw await this._conflictError(response, 'moveTask');
+      }
+
       if (!response.ok) {
         throw new Error(`Failed to move task: ${response.status} ${response.statusText}`);
       }
@@ -197,201 +265,1810 @@ export class FirebaseService {
       return movedTask;
     } catch (error) {
       console.error('❌ Error moving task:', error);
-      eventBus.emit('firebase:error', { operation: 'moveTask', error: error.message });
+      if (error.status !== 412) {
+        eventBus.emit('firebase:error', { operation: 'moveTask', error: error.message });
+      }
       throw error;
     }
   }
 
-  // Project Management API
+  /**
+   * Apply many task operations in one round trip
+   * @param {Array<Object>} operations - Operations ({ action, taskId, ... })
+   * @param {Object} [options] - Bulk options
+   * @param {boolean} [options.atomic=true] - Apply all or nothing
+   * @param {string} [options.source] - Change source recorded in task history
+   * @returns {Promise<Object>} Summary with per-item results
+   */
+  async bulkTasks(operations, options = {}) {
+    try {
+      const { atomic = true } = options;
+      const response = await fetch(`${this.apiURL}/tasks/bulk`, {
+        method: 'POST',
+        headers: this._getHeaders(options),
+        body: JSON.stringify({ operations, atomic })
+      });
+
+      // 207 and 422 still carry per-item results
+      if (!response.ok && response.status !== 422) {
+        throw new Error(`Failed to apply bulk operations: ${response.status} ${response.statusText}`);
+      }
+
+      const summary = await response.json();
+      eventBus.emit('firebase:tasks-bulk-updated', { summary });
+      return summary;
+    } catch (error) {
+      console.error('❌ Error applying bulk operations:', error);
+      eventBus.emit('firebase:error', { operation: 'bulkTasks', error: error.message });
+      throw error;
+    }
+  }
 
   /**
-   * Get all projects
-   * @returns {Promise<Array>} Array of projects
+   * Get the change history of a task, newest first
+   * @param {string} taskId - Task ID
+   * @param {Object} [params] - Query parameters (limit, startAfter, source, actorType)
+   * @returns {Promise<Object>} Page of history entries ({ entries, nextCursor })
    */
-  async getProjects() {
+  async getTaskHistory(taskId, params = {}) {
     try {
-      const response = await fetch(`${this.apiURL}/projects`, {
+      const queryString = this._buildQueryString(params);
+      const url = `${this.apiURL}/tasks/${taskId}/history${queryString ? `?${queryString}` : ''}`;
+
+      const response = await fetch(url, {
         method: 'GET',
         headers: this._getHeaders()
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to get projects: ${response.status} ${response.statusText}`);
+        throw new Error(`Failed to fetch task history: ${response.status} ${response.statusText}`);
       }
 
-      const projects = await response.json();
-      eventBus.emit('firebase:projects-loaded', { projects });
-      return projects;
+      return await response.json();
     } catch (error) {
-      console.error('❌ Error fetching projects:', error);
-      eventBus.emit('firebase:error', { operation: 'getProjects', error: error.message });
+      console.error('❌ Error fetching task history:', error);
+      eventBus.emit('firebase:error', { operation: 'getTaskHistory', error: error.message });
       throw error;
     }
   }
 
+  // Task Dependencies API
+
   /**
-   * Create new project
-   * @param {Object} project - Project data (must include name)
-   * @returns {Promise<Object>} Created project with ID
+   * Get the dependency graph around a task
+   * @param {string} taskId - Task ID
+   * @param {Object} [params] - Query parameters ({ depth })
+   * @returns {Promise<Object>} Prerequisites, dependents, edges and blockedChains
    */
-  async createProject(project) {
+  async getTaskDependencies(taskId, params = {}) {
     try {
-      const response = await fetch(`${this.apiURL}/projects`, {
+      const queryString = this._buildQueryString(params);
+      const url = `${this.apiURL}/tasks/${taskId}/dependencies${queryString ? `?${queryString}` : ''}`;
+
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch dependencies: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching dependencies:', error);
+      eventBus.emit('firebase:error', { operation: 'getTaskDependencies', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Make a task depend on another task
+   * @param {string} taskId - Dependent task ID
+   * @param {string} prerequisiteId - Task that must finish first
+   * @param {Object} [options] - Request options ({ source, agentId })
+   * @returns {Promise<Object>} Updated task
+   */
+  async addTaskDependency(taskId, prerequisiteId, options = {}) {
+    try {
+      const response = await fetch(`${this.apiURL}/tasks/${taskId}/dependencies`, {
+        method: 'POST',
+        headers: this._getHeaders(options),
+        body: JSON.stringify({ dependsOn: prerequisiteId })
+      });
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.message || `Failed to add dependency: ${response.status}`);
+        error.status = response.status;
+        error.cycle = body.cycle || null;
+        throw error;
+      }
+
+      const task = await response.json();
+      eventBus.emit('firebase:task-updated', { task });
+      return task;
+    } catch (error) {
+      console.error('❌ Error adding dependency:', error);
+      eventBus.emit('firebase:error', { operation: 'addTaskDependency', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a dependency
+   * @param {string} taskId - Dependent task ID
+   * @param {string} prerequisiteId - Prerequisite to remove
+   * @param {Object} [options] - Request options ({ source, agentId })
+   * @returns {Promise<Object>} Updated task
+   */
+  async removeTaskDependency(taskId, prerequisiteId, options = {}) {
+    try {
+      const response = await fetch(`${this.apiURL}/tasks/${taskId}/dependencies/${prerequisiteId}`, {
+        method: 'DELETE',
+        headers: this._getHeaders(options)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to remove dependency: ${response.status} ${response.statusText}`);
+      }
+
+      const task = await response.json();
+      eventBus.emit('firebase:task-updated', { task });
+      return task;
+    } catch (error) {
+      console.error('❌ Error removing dependency:', error);
+      eventBus.emit('firebase:error', { operation: 'removeTaskDependency', error: error.message });
+      throw error;
+    }
+  }
+
+  // Task Comments API
+
+  /**
+   * Get the comment thread for a task
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Array>} Top-level comments with nested replies
+   */
+  async getComments(taskId) {
+    try {
+      const response = await fetch(`${this.apiURL}/tasks/${taskId}/comments`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to fetch comments: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching comments:', error);
+      eventBus.emit('firebase:error', { operation: 'getComments', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a comment or reply to a task
+   * @param {string} taskId - Task ID
+   * @param {string} body - Comment text
+   * @param {string} [parentId] - Comment being replied to
+   * @returns {Promise<Object>} Created comment
+   */
+  async addComment(taskId, body, parentId = null) {
+    try {
+      const response = await fetch(`${this.apiURL}/tasks/${taskId}/comments`, {
         method: 'POST',
         headers: this._getHeaders(),
-        body: JSON.stringify(project)
+        body: JSON.stringify({ body, parentId })
       });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || `Failed to create project: ${response.status}`);
+        throw new Error(`Failed to add comment: ${response.status} ${response.statusText}`);
       }
 
-      const createdProject = await response.json();
-      eventBus.emit('firebase:project-created', { project: createdProject });
-      return createdProject;
+      const comment = await response.json();
+      eventBus.emit('firebase:comment-added', { taskId, comment });
+      return comment;
     } catch (error) {
-      console.error('❌ Error creating project:', error);
-      eventBus.emit('firebase:error', { operation: 'createProject', error: error.message });
+      console.error('❌ Error adding comment:', error);
+      eventBus.emit('firebase:error', { operation: 'addComment', error: error.message });
       throw error;
     }
   }
 
   /**
-   * Update project
-   * @param {string} projectId - Project ID
-   * @param {Object} updates - Project updates
-   * @returns {Promise<Object>} Updated project
+   * Edit a comment
+   * @param {string} taskId - Task ID
+   * @param {string} commentId - Comment ID
+   * @param {string} body - New comment text
+   * @returns {Promise<Object>} Updated comment
    */
-  async updateProject(projectId, updates) {
+  async updateComment(taskId, commentId, body) {
     try {
-      const response = await fetch(`${this.apiURL}/projects/${projectId}`, {
+      const response = await fetch(`${this.apiURL}/tasks/${taskId}/comments/${commentId}`, {
         method: 'PUT',
         headers: this._getHeaders(),
-        body: JSON.stringify(updates)
+        body: JSON.stringify({ body })
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to update project: ${response.status} ${response.statusText}`);
+        throw new Error(`Failed to update comment: ${response.status} ${response.statusText}`);
       }
 
-      const updatedProject = await response.json();
-      eventBus.emit('firebase:project-updated', { project: updatedProject });
-      return updatedProject;
+      return await response.json();
     } catch (error) {
-      console.error('❌ Error updating project:', error);
-      eventBus.emit('firebase:error', { operation: 'updateProject', error: error.message });
+      console.error('❌ Error updating comment:', error);
+      eventBus.emit('firebase:error', { operation: 'updateComment', error: error.message });
       throw error;
     }
   }
 
-  // Claude AI Integration API
+  /**
+   * Delete a comment
+   * @param {string} taskId - Task ID
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteComment(taskId, commentId) {
+    try {
+      const response = await fetch(`${this.apiURL}/tasks/${taskId}/comments/${commentId}`, {
+        method: 'DELETE',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to delete comment: ${response.status} ${response.statusText}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('❌ Error deleting comment:', error);
+      eventBus.emit('firebase:error', { operation: 'deleteComment', error: error.message });
+      throw error;
+    }
+  }
+
+  // Time Tracking API
 
   /**
-   * Send message to Claude
-   * @param {string} message - Message to send
-   * @param {Object} options - Additional options (mode, context, etc.)
-   * @returns {Promise<Object>} Claude response
+   * Get a task's time entries with totals per user and day
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} { entries, totals }
    */
-  async sendToClaudeChat(message, options = {}) {
+  async getTimeEntries(taskId) {
+    return await this._taskRequest('GET', `${taskId}/time`, null, 'getTimeEntries');
+  }
+
+  /**
+   * Start a timer on a task for the signed-in user
+   * @param {string} taskId - Task ID
+   * @param {string} [note] - What is being worked on
+   * @returns {Promise<Object>} Running entry
+   */
+  async startTimer(taskId, note) {
+    return await this._taskRequest('POST', `${taskId}/time/start`, { note }, 'startTimer');
+  }
+
+  /**
+   * Stop the signed-in user's running timer on a task
+   * @param {string} taskId - Task ID
+   * @param {string} [note] - Replaces the note given at start
+   * @returns {Promise<Object>} Stopped entry, with the task's new actualHours
+   */
+  async stopTimer(taskId, note) {
+    return await this._taskRequest('POST', `${taskId}/time/stop`, { note }, 'stopTimer');
+  }
+
+  /**
+   * Record time worked on a task without a timer
+   * @param {string} taskId - Task ID
+   * @param {Object} entry - { startedAt, minutes | stoppedAt, note }
+   * @returns {Promise<Object>} Created entry, with the task's new actualHours
+   */
+  async addTimeEntry(taskId, entry) {
+    return await this._taskRequest('POST', `${taskId}/time`, entry, 'addTimeEntry');
+  }
+
+  /**
+   * Correct a finished time entry
+   * @param {string} taskId - Task ID
+   * @param {string} entryId - Entry ID
+   * @param {Object} updates - startedAt, minutes | stoppedAt, and/or note
+   * @returns {Promise<Object>} Updated entry, with the task's new actualHours
+   */
+  async updateTimeEntry(taskId, entryId, updates) {
+    return await this._taskRequest('PUT', `${taskId}/time/${entryId}`, updates, 'updateTimeEntry');
+  }
+
+  /**
+   * Delete a time entry
+   * @param {string} taskId - Task ID
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<null>}
+   */
+  async deleteTimeEntry(taskId, entryId) {
+    return await this._taskRequest('DELETE', `${taskId}/time/${entryId}`, null, 'deleteTimeEntry');
+  }
+
+  /**
+   * Get a timesheet of the time entries started in a date range
+   * @param {Object} params - { from, to, projectId?, uid? }; without a
+   *   projectId the signed-in user's own time is returned
+   * @returns {Promise<Object>} { from, to, entries, totals }
+   */
+  async getTimesheet(params) {
     try {
-      const response = await fetch(`${this.claudeURL}/chat`, {
-        method: 'POST',
-        headers: this._getHeaders(),
-        body: JSON.stringify({
-          message,
-          ...options
-        })
+      const queryString = this._buildQueryString(params);
+      const response = await fetch(`${this.apiURL}/timesheet?${queryString}`, {
+        method: 'GET',
+        headers: this._getHeaders()
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to send message to Claude: ${response.status} ${response.statusText}`);
+        const error = await response.json();
+        throw new Error(error.message || `Failed to get timesheet: ${response.status}`);
       }
 
-      const result = await response.json();
-      eventBus.emit('firebase:claude-response', { result });
-      return result;
+      return await response.json();
     } catch (error) {
-      console.error('❌ Error sending message to Claude:', error);
-      eventBus.emit('firebase:error', { operation: 'sendToClaudeChat', error: error.message });
+      console.error('❌ Error fetching timesheet:', error);
+      eventBus.emit('firebase:error', { operation: 'getTimesheet', error: error.message });
       throw error;
     }
   }
 
   /**
-   * Get Claude health status
-   * @returns {Promise<Object>} Health status
+   * Search the tasks, comments and projects the signed-in user can read
+   * @param {Object} params - { q, projectId?, types?, includeArchived?, limit? }
+   * @returns {Promise<Object>} { query, tokens, results }; each result has a
+   *   highlighted title and snippet
    */
-  async getClaudeHealth() {
+  async search(params) {
     try {
-      const response = await fetch(`${this.claudeURL}/health`, {
+      const queryString = this._buildQueryString(params);
+      const response = await fetch(`${this.apiURL}/search?${queryString}`, {
         method: 'GET',
         headers: this._getHeaders()
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to get Claude health: ${response.status} ${response.statusText}`);
+        const error = await response.json();
+        throw new Error(error.message || `Failed to search: ${response.status}`);
       }
 
       return await response.json();
     } catch (error) {
-      console.error('❌ Error getting Claude health:', error);
-      eventBus.emit('firebase:error', { operation: 'getClaudeHealth', error: error.message });
+      console.error('❌ Error searching:', error);
+      eventBus.emit('firebase:error', { operation: 'search', error: error.message });
       throw error;
     }
   }
 
   /**
-   * Get available prompt roles from Claude
-   * @returns {Promise<Array>} Array of prompt roles
+   * Get flow metrics for a project: lead time, cycle time, throughput, work
+   * in progress and cumulative flow
+   * @param {string} projectId - Project ID
+   * @param {Object} [params] - { from?, to?, labels? }; labels comma-separated
+   * @returns {Promise<Object>} Metrics for the range
    */
-  async getClaudePromptRoles() {
+  async getProjectMetrics(projectId, params = {}) {
     try {
-      const response = await fetch(`${this.claudeURL}/prompt-roles`, {
+      const queryString = this._buildQueryString(params);
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/metrics?${queryString}`, {
         method: 'GET',
         headers: this._getHeaders()
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to get prompt roles: ${response.status} ${response.statusText}`);
+        const error = await response.json();
+        throw new Error(error.message || `Failed to get project metrics: ${response.status}`);
       }
 
       return await response.json();
     } catch (error) {
-      console.error('❌ Error getting prompt roles:', error);
-      eventBus.emit('firebase:error', { operation: 'getClaudePromptRoles', error: error.message });
+      console.error('❌ Error fetching project metrics:', error);
+      eventBus.emit('firebase:error', { operation: 'getProjectMetrics', error: error.message });
       throw error;
     }
   }
 
-  // Private methods
+  // Project Management API
 
   /**
-   * Test connection to Firebase Functions
+   * Get all projects
+   * @param {Object} [params] - Filters ({ organizationId, parentProjectId }); use
+   *   parentProjectId 'root' for top-level projects
+   * @returns {Promise<Array>} Array of projects
    */
-  async _testConnection() {
+  async getProjects(params = {}) {
     try {
-      // Try to fetch projects as a health check
-      const response = await fetch(`${this.apiURL}/projects`, {
+      const queryString = this._buildQueryString(params);
+      const response = await fetch(`${this.apiURL}/projects${queryString ? `?${queryString}` : ''}`, {
         method: 'GET',
         headers: this._getHeaders()
       });
-      
-      return { success: response.ok };
+
+      if (!response.ok) {
+        throw new Error(`Failed to get projects: ${response.status} ${response.statusText}`);
+      }
+
+      const projects = await response.json();
+      eventBus.emit('firebase:projects-loaded', { projects });
+      return projects;
     } catch (error) {
-      return { success: false, error: error.message };
+      console.error('❌ Error fetching projects:', error);
+      eventBus.emit('firebase:error', { operation: 'getProjects', error: error.message });
+      throw error;
     }
   }
 
   /**
-   * Get headers for API requests
+   * Get the sub-projects of a project
+   * @param {string} projectId - Project ID
+   * @param {Object} [params] - Query parameters ({ recursive })
+   * @returns {Promise<Array>} Sub-projects ordered by depth
    */
-  _getHeaders() {
-    return {
-      'Content-Type': 'application/json',
-      // Add any authentication headers here if needed
-      // For now, Firebase Functions use auth.optional middleware
-    };
+  async getProjectChildren(projectId, params = {}) {
+    try {
+      const queryString = this._buildQueryString(params);
+      const url = `${this.apiURL}/projects/${projectId}/children${queryString ? `?${queryString}` : ''}`;
+
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get sub-projects: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching sub-projects:', error);
+      eventBus.emit('firebase:error', { operation: 'getProjectChildren', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ancestors of a project, top-level project first
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Ancestor projects
+   */
+  async getProjectAncestors(projectId) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/ancestors`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get project ancestors: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching project ancestors:', error);
+      eventBus.emit('firebase:error', { operation: 'getProjectAncestors', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a project and its sub-projects under another parent
+   * @param {string} projectId - Project ID
+   * @param {string|null} parentProjectId - New parent, or null for top level
+   * @returns {Promise<Object>} Moved project
+   */
+  async moveProject(projectId, parentProjectId) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/move`, {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify({ parentProjectId })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to move project: ${response.status}`);
+      }
+
+      const project = await response.json();
+      eventBus.emit('firebase:project-moved', { project });
+      return project;
+    } catch (error) {
+      console.error('❌ Error moving project:', error);
+      eventBus.emit('firebase:error', { operation: 'moveProject', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get task counts by status rolled up over a project's subtree
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Subtree totals and per-project counts
+   */
+  async getProjectRollup(projectId) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/rollup`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get project rollup: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching project rollup:', error);
+      eventBus.emit('firebase:error', { operation: 'getProjectRollup', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Export a project with its sub-projects
+   * @param {string} projectId - Project ID
+   * @param {Object} [params] - { format: 'json'|'csv'|'md', includeDeleted }
+   * @returns {Promise<Object>} { blob, filename } ready to save
+   */
+  async exportProject(projectId, params = {}) {
+    try {
+      const queryString = this._buildQueryString(params);
+      const url = `${this.apiURL}/projects/${projectId}/export`;
+
+      const response = await fetch(queryString ? `${url}?${queryString}` : url, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to export project: ${response.status} ${response.statusText}`);
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `${projectId}.${params.format || 'json'}`;
+      return { blob: await response.blob(), filename };
+    } catch (error) {
+      console.error('❌ Error exporting project:', error);
+      eventBus.emit('firebase:error', { operation: 'exportProject', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create new project
+   * @param {Object} project - Project data (must include name)
+   * @returns {Promise<Object>} Created project with ID
+   */
+  async createProject(project) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects`, {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify(project)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to create project: ${response.status}`);
+      }
+
+      const createdProject = await response.json();
+      eventBus.emit('firebase:project-created', { project: createdProject });
+      return createdProject;
+    } catch (error) {
+      console.error('❌ Error creating project:', error);
+      eventBus.emit('firebase:error', { operation: 'createProject', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update project
+   * @param {string} projectId - Project ID
+   * @param {Object} updates - Project updates
+   * @param {Object} [options] - Request options (version for conflict detection)
+   * @returns {Promise<Object>} Updated project
+   */
+  async updateProject(projectId, updates, options = {}) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}`, {
+        method: 'PUT',
+        headers: this._getHeaders(options),
+        body: JSON.stringify(updates)
+      });
+
+      if (response.status === 412) {
+        throw await this._conflictError(response, 'updateProject');
+      }
+
+      if (!response.ok) {
+        throw new Error(`Failed to update project: ${response.status} ${response.statusText}`);
+      }
+
+      const updatedProject = await response.json();
+      eventBus.emit('firebase:project-updated', { project: updatedProject });
+      return updatedProject;
+    } catch (error) {
+      console.error('❌ Error updating project:', error);
+      if (error.status !== 412) {
+        eventBus.emit('firebase:error', { operation: 'updateProject', error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move a project with its sub-projects and tasks to the trash (restorable
+   * for 30 days), or purge a project that is already in the trash
+   * @param {string} projectId - Project ID
+   * @param {Object} [options] - Delete options ({ permanent })
+   * @returns {Promise<Object|null>} Trashed project with cascade counts, or
+   *   null when purged
+   */
+  async deleteProject(projectId, options = {}) {
+    try {
+      const url = `${this.apiURL}/projects/${projectId}${options.permanent ? '?permanent=true' : ''}`;
+      const response = await fetch(url, {
+        method: 'DELETE',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to delete project: ${response.status}`);
+      }
+
+      const result = options.permanent ? null : await response.json();
+      eventBus.emit('firebase:project-deleted', { projectId, permanent: !!options.permanent, result });
+      return result;
+    } catch (error) {
+      console.error('❌ Error deleting project:', error);
+      eventBus.emit('firebase:error', { operation: 'deleteProject', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a project; it and its sub-projects and tasks become read-only
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Archived project with cascade counts
+   */
+  async archiveProject(projectId) {
+    return await this._projectLifecycleAction(projectId, 'archive');
+  }
+
+  /**
+   * Unarchive a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Active project with cascade counts
+   */
+  async unarchiveProject(projectId) {
+    return await this._projectLifecycleAction(projectId, 'unarchive');
+  }
+
+  /**
+   * Restore a project from the trash
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Restored project with cascade counts
+   */
+  async restoreProject(projectId) {
+    return await this._projectLifecycleAction(projectId, 'restore');
+  }
+
+  /**
+   * Get the projects in the trash
+   * @param {Object} [params] - Filters ({ organizationId })
+   * @returns {Promise<Array>} Trashed projects with their purgeAfter dates
+   */
+  async getProjectTrash(params = {}) {
+    try {
+      const queryString = this._buildQueryString(params);
+      const response = await fetch(`${this.apiURL}/projects/trash${queryString ? `?${queryString}` : ''}`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get project trash: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching project trash:', error);
+      eventBus.emit('firebase:error', { operation: 'getProjectTrash', error: error.message });
+      throw error;
+    }
+  }
+
+  // Project Member API
+
+  /**
+   * Get the members of a project, including those inherited from ancestors
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Members with their roles
+   */
+  async getProjectMembers(projectId) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/members`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get project members: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching project members:', error);
+      eventBus.emit('firebase:error', { operation: 'getProjectMembers', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a member to a project
+   * @param {string} projectId - Project ID
+   * @param {Object} member - Member data ({ uid, role, email, name })
+   * @returns {Promise<Object>} Created membership
+   */
+  async addProjectMember(projectId, member) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/members`, {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify(member)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to add project member: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error adding project member:', error);
+      eventBus.emit('firebase:error', { operation: 'addProjectMember', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Change a project member's role
+   * @param {string} projectId - Project ID
+   * @param {string} uid - Member user ID
+   * @param {string} role - owner, admin, member, viewer or ai-agent
+   * @returns {Promise<Object>} Updated membership
+   */
+  async updateProjectMember(projectId, uid, role) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/members/${uid}`, {
+        method: 'PUT',
+        headers: this._getHeaders(),
+        body: JSON.stringify({ role })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to update project member: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error updating project member:', error);
+      eventBus.emit('firebase:error', { operation: 'updateProjectMember', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from a project
+   * @param {string} projectId - Project ID
+   * @param {string} uid - Member user ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeProjectMember(projectId, uid) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/members/${uid}`, {
+        method: 'DELETE',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to remove project member: ${response.status}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('❌ Error removing project member:', error);
+      eventBus.emit('firebase:error', { operation: 'removeProjectMember', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a validated invitation, joining the invited project with the invited role
+   * @param {string} inviteId - Invitation ID
+   * @returns {Promise<Object>} Acceptance result with the membership, if any
+   */
+  async acceptInvite(inviteId) {
+    try {
+      const response = await fetch(`${this.apiURL}/invites/${inviteId}/accept`, {
+        method: 'POST',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to accept invitation: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error accepting invitation:', error);
+      eventBus.emit('firebase:error', { operation: 'acceptInvite', error: error.message });
+      throw error;
+    }
+  }
+
+  // API Token API
+
+  /**
+   * Get the signed-in user's personal access tokens
+   * @returns {Promise<Array>} Tokens (without their secrets)
+   */
+  async getPersonalTokens() {
+    try {
+      const response = await fetch(`${this.apiURL}/tokens`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get personal access tokens: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching personal access tokens:', error);
+      eventBus.emit('firebase:error', { operation: 'getPersonalTokens', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a personal access token; its secret is only returned here
+   * @param {Object} token - { name, scopes, expiresInDays }
+   * @returns {Promise<Object>} Created token including the secret
+   */
+  async createPersonalToken(token) {
+    return await this._createApiToken(`${this.apiURL}/tokens`, token, 'createPersonalToken');
+  }
+
+  /**
+   * Revoke a personal access token
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<Object>} Revoked token
+   */
+  async revokePersonalToken(tokenId) {
+    return await this._revokeApiToken(`${this.apiURL}/tokens/${tokenId}`, 'revokePersonalToken');
+  }
+
+  /**
+   * Get a project's API keys
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Keys (without their secrets)
+   */
+  async getProjectApiKeys(projectId) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/api-keys`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get project API keys: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching project API keys:', error);
+      eventBus.emit('firebase:error', { operation: 'getProjectApiKeys', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create an API key for a project and its sub-projects; its secret is only returned here
+   * @param {string} projectId - Project ID
+   * @param {Object} key - { name, scopes, expiresInDays }
+   * @returns {Promise<Object>} Created key including the secret
+   */
+  async createProjectApiKey(projectId, key) {
+    return await this._createApiToken(`${this.apiURL}/projects/${projectId}/api-keys`, key, 'createProjectApiKey');
+  }
+
+  /**
+   * Revoke a project API key
+   * @param {string} projectId - Project ID
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeProjectApiKey(projectId, keyId) {
+    return await this._revokeApiToken(`${this.apiURL}/projects/${projectId}/api-keys/${keyId}`, 'revokeProjectApiKey');
+  }
+
+  // Webhook API
+
+  /**
+   * Get a project's webhooks
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Webhooks (without their secrets)
+   */
+  async getProjectWebhooks(projectId) {
+    return await this._projectRequest('GET', `${projectId}/webhooks`, null, 'getProjectWebhooks');
+  }
+
+  /**
+   * Subscribe a URL to a project's events; the signing secret is only returned here
+   * @param {string} projectId - Project ID
+   * @param {Object} webhook - { url, events, secret, description, active }
+   * @returns {Promise<Object>} Created webhook including its secret
+   */
+  async createProjectWebhook(projectId, webhook) {
+    return await this._projectRequest('POST', `${projectId}/webhooks`, webhook, 'createProjectWebhook');
+  }
+
+  /**
+   * Update a webhook
+   * @param {string} projectId - Project ID
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} updates - url, events, secret, description and/or active
+   * @returns {Promise<Object>} Updated webhook
+   */
+  async updateProjectWebhook(projectId, webhookId, updates) {
+    return await this._projectRequest('PUT', `${projectId}/webhooks/${webhookId}`, updates, 'updateProjectWebhook');
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {string} projectId - Project ID
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<null>} Nothing
+   */
+  async deleteProjectWebhook(projectId, webhookId) {
+    return await this._projectRequest('DELETE', `${projectId}/webhooks/${webhookId}`, null, 'deleteProjectWebhook');
+  }
+
+  /**
+   * Get a webhook's delivery log, newest first
+   * @param {string} projectId - Project ID
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Array>} Deliveries with their attempts
+   */
+  async getWebhookDeliveries(projectId, webhookId) {
+    return await this._projectRequest('GET', `${projectId}/webhooks/${webhookId}/deliveries`, null, 'getWebhookDeliveries');
+  }
+
+  /**
+   * Send a past webhook delivery again
+   * @param {string} projectId - Project ID
+   * @param {string} webhookId - Webhook ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object>} New delivery
+   */
+  async redeliverWebhook(projectId, webhookId, deliveryId) {
+    return await this._projectRequest(
+      'POST',
+      `${projectId}/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`,
+      null,
+      'redeliverWebhook'
+    );
+  }
+
+  // Recurring task API
+
+  /**
+   * Get a project's recurring task series
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Series, newest first
+   */
+  async getTaskSeries(projectId) {
+    return await this._projectRequest('GET', `${projectId}/series`, null, 'getTaskSeries');
+  }
+
+  /**
+   * Get a series with its occurrences
+   * @param {string} projectId - Project ID
+   * @param {string} seriesId - Series ID
+   * @returns {Promise<Object>} Series including occurrences
+   */
+  async getTaskSeriesDetail(projectId, seriesId) {
+    return await this._projectRequest('GET', `${projectId}/series/${seriesId}`, null, 'getTaskSeriesDetail');
+  }
+
+  /**
+   * Make a task recur
+   * @param {string} projectId - Project ID
+   * @param {Object} series - { rule, mode, startDate, taskId } or { rule, mode, startDate, task }
+   * @returns {Promise<Object>} Created series with its first occurrence
+   */
+  async createTaskSeries(projectId, series) {
+    return await this._projectRequest('POST', `${projectId}/series`, series, 'createTaskSeries');
+  }
+
+  /**
+   * Edit a series; changes apply to future occurrences
+   * @param {string} projectId - Project ID
+   * @param {string} seriesId - Series ID
+   * @param {Object} updates - rule, mode and/or template
+   * @returns {Promise<Object>} Updated series
+   */
+  async updateTaskSeries(projectId, seriesId, updates) {
+    return await this._projectRequest('PUT', `${projectId}/series/${seriesId}`, updates, 'updateTaskSeries');
+  }
+
+  /**
+   * Stop a series
+   * @param {string} projectId - Project ID
+   * @param {string} seriesId - Series ID
+   * @returns {Promise<Object>} Stopped series
+   */
+  async stopTaskSeries(projectId, seriesId) {
+    return await this._projectRequest('POST', `${projectId}/series/${seriesId}/stop`, null, 'stopTaskSeries');
+  }
+
+  // Label API
+
+  /**
+   * Get a project's label catalog ordered by group, then name
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Labels ({ id, name, color, description, group })
+   */
+  async getLabels(projectId) {
+    return await this._projectRequest('GET', `${projectId}/labels`, null, 'getLabels');
+  }
+
+  /**
+   * Define a label for a project
+   * @param {string} projectId - Project ID
+   * @param {Object} label - { name, color, description, group }
+   * @returns {Promise<Object>} Created label
+   */
+  async createLabel(projectId, label) {
+    return await this._projectRequest('POST', `${projectId}/labels`, label, 'createLabel');
+  }
+
+  /**
+   * Update a label; a new name is applied to every task carrying the old one
+   * @param {string} projectId - Project ID
+   * @param {string} labelId - Label ID
+   * @param {Object} updates - name, color, description and/or group
+   * @returns {Promise<Object>} { label, tasks } with the rename outcome
+   */
+  async updateLabel(projectId, labelId, updates) {
+    return await this._projectRequest('PUT', `${projectId}/labels/${labelId}`, updates, 'updateLabel');
+  }
+
+  /**
+   * Merge labels into another
+   * @param {string} projectId - Project ID
+   * @param {Array<string>} sourceIds - Labels to merge away
+   * @param {string} targetId - Label to keep
+   * @returns {Promise<Object>} { label, merged, tasks }
+   */
+  async mergeLabels(projectId, sourceIds, targetId) {
+    return await this._projectRequest('POST', `${projectId}/labels/merge`, { sourceIds, targetId }, 'mergeLabels');
+  }
+
+  /**
+   * Delete a label and remove it from every task
+   * @param {string} projectId - Project ID
+   * @param {string} labelId - Label ID
+   * @returns {Promise<Object>} { tasks } with the removal outcome
+   */
+  async deleteLabel(projectId, labelId) {
+    return await this._projectRequest('DELETE', `${projectId}/labels/${labelId}`, null, 'deleteLabel');
+  }
+
+  // Custom Field API
+
+  /**
+   * Get a project's custom fields in display order
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Fields ({ key, name, type, options, required, description })
+   */
+  async getCustomFields(projectId) {
+    return await this._projectRequest('GET', `${projectId}/custom-fields`, null, 'getCustomFields');
+  }
+
+  /**
+   * Define a custom field for a project's tasks
+   * @param {string} projectId - Project ID
+   * @param {Object} field - { key, name, type, options, required, description }
+   * @returns {Promise<Object>} Created field
+   */
+  async createCustomField(projectId, field) {
+    return await this._projectRequest('POST', `${projectId}/custom-fields`, field, 'createCustomField');
+  }
+
+  /**
+   * Update a custom field; its key and type are fixed
+   * @param {string} projectId - Project ID
+   * @param {string} key - Field key
+   * @param {Object} updates - name, options, required, description and/or position
+   * @returns {Promise<Object>} Updated field
+   */
+  async updateCustomField(projectId, key, updates) {
+    return await this._projectRequest('PUT', `${projectId}/custom-fields/${key}`, updates, 'updateCustomField');
+  }
+
+  /**
+   * Delete a custom field
+   * @param {string} projectId - Project ID
+   * @param {string} key - Field key
+   * @returns {Promise<null>}
+   */
+  async deleteCustomField(projectId, key) {
+    return await this._projectRequest('DELETE', `${projectId}/custom-fields/${key}`, null, 'deleteCustomField');
+  }
+
+  // Saved View API
+
+  /**
+   * Get the signed-in user's personal views and a project's shared views
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Views ({ name, scope, viewType, filters, orderBy,
+   *   groupBy, columns, ownerId, query }); query holds the task list parameters
+   */
+  async getViews(projectId) {
+    return await this._projectRequest('GET', `${projectId}/views`, null, 'getViews');
+  }
+
+  /**
+   * Get a saved view, e.g. one opened from a shared link
+   * @param {string} projectId - Project ID
+   * @param {string} viewId - View ID
+   * @returns {Promise<Object>} View
+   */
+  async getView(projectId, viewId) {
+    return await this._projectRequest('GET', `${projectId}/views/${viewId}`, null, 'getView');
+  }
+
+  /**
+   * Save a view
+   * @param {string} projectId - Project ID
+   * @param {Object} view - { name, scope: 'personal'|'project', viewType: 'board'|'list',
+   *   filters, orderBy, groupBy, columns, description }
+   * @returns {Promise<Object>} Created view
+   */
+  async createView(projectId, view) {
+    return await this._projectRequest('POST', `${projectId}/views`, view, 'createView');
+  }
+
+  /**
+   * Update a saved view
+   * @param {string} projectId - Project ID
+   * @param {string} viewId - View ID
+   * @param {Object} updates - Any of the fields accepted by createView
+   * @returns {Promise<Object>} Updated view
+   */
+  async updateView(projectId, viewId, updates) {
+    return await this._projectRequest('PUT', `${projectId}/views/${viewId}`, updates, 'updateView');
+  }
+
+  /**
+   * Delete a saved view
+   * @param {string} projectId - Project ID
+   * @param {string} viewId - View ID
+   * @returns {Promise<null>}
+   */
+  async deleteView(projectId, viewId) {
+    return await this._projectRequest('DELETE', `${projectId}/views/${viewId}`, null, 'deleteView');
+  }
+
+  // Import API
+
+  /**
+   * Report what importing an export would create, without changing anything
+   * @param {string} projectId - Project ID
+   * @param {Object} request - { source: 'trello'|'jira'|'csv', data, mapping, statusMap }
+   * @returns {Promise<Object>} { dryRun: true, report }
+   */
+  async previewImport(projectId, request) {
+    return await this._projectRequest('POST', `${projectId}/import`, { ...request, dryRun: true }, 'previewImport');
+  }
+
+  /**
+   * Queue an import as a background job
+   * @param {string} projectId - Project ID
+   * @param {Object} request - Same as previewImport
+   * @returns {Promise<Object>} Queued job; poll getImport for progress
+   */
+  async startImport(projectId, request) {
+    return await this._projectRequest('POST', `${projectId}/import`, { ...request, dryRun: false }, 'startImport');
+  }
+
+  /**
+   * Get a project's recent imports
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array>} Import jobs, newest first
+   */
+  async getImports(projectId) {
+    return await this._projectRequest('GET', `${projectId}/import`, null, 'getImports');
+  }
+
+  /**
+   * Get an import's status, progress and report
+   * @param {string} projectId - Project ID
+   * @param {string} importId - Import ID
+   * @returns {Promise<Object>} Import job
+   */
+  async getImport(projectId, importId) {
+    return await this._projectRequest('GET', `${projectId}/import/${importId}`, null, 'getImport');
+  }
+
+  // Notification API
+
+  /**
+   * Get the signed-in user's due date reminder preferences
+   * @returns {Promise<Object>} { email, sms, dueSoonHours, overdue, phone }
+   */
+  async getNotificationPreferences() {
+    try {
+      const response = await fetch(`${this.apiURL}/notifications/preferences`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get notification preferences: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching notification preferences:', error);
+      eventBus.emit('firebase:error', { operation: 'getNotificationPreferences', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update the signed-in user's due date reminder preferences
+   * @param {Object} updates - email, sms, dueSoonHours (0 = off), overdue and/or phone
+   * @returns {Promise<Object>} Updated preferences
+   */
+  async updateNotificationPreferences(updates) {
+    try {
+      const response = await fetch(`${this.apiURL}/notifications/preferences`, {
+        method: 'PUT',
+        headers: this._getHeaders(),
+        body: JSON.stringify(updates)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to update notification preferences: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error updating notification preferences:', error);
+      eventBus.emit('firebase:error', { operation: 'updateNotificationPreferences', error: error.message });
+      throw error;
+    }
+  }
+
+  // Sprint API
+
+  /**
+   * Get a project's sprints ordered by start date
+   * @param {string} projectId - Project ID
+   * @param {Object} [params] - { state: 'planned' | 'active' | 'closed' }
+   * @returns {Promise<Array>} Sprints
+   */
+  async getSprints(projectId, params = {}) {
+    const queryString = this._buildQueryString(params);
+    const path = queryString ? `${projectId}/sprints?${queryString}` : `${projectId}/sprints`;
+    return await this._projectRequest('GET', path, null, 'getSprints');
+  }
+
+  /**
+   * Get a sprint, including its close-out summary once closed
+   * @param {string} projectId - Project ID
+   * @param {string} sprintId - Sprint ID
+   * @returns {Promise<Object>} Sprint
+   */
+  async getSprint(projectId, sprintId) {
+    return await this._projectRequest('GET', `${projectId}/sprints/${sprintId}`, null, 'getSprint');
+  }
+
+  /**
+   * Plan a sprint
+   * @param {string} projectId - Project ID
+   * @param {Object} sprint - { name, startDate, endDate, goal }
+   * @returns {Promise<Object>} Created sprint
+   */
+  async createSprint(projectId, sprint) {
+    return await this._projectRequest('POST', `${projectId}/sprints`, sprint, 'createSprint');
+  }
+
+  /**
+   * Update a sprint's name, goal or dates
+   * @param {string} projectId - Project ID
+   * @param {string} sprintId - Sprint ID
+   * @param {Object} updates - name, goal, startDate and/or endDate
+   * @returns {Promise<Object>} Updated sprint
+   */
+  async updateSprint(projectId, sprintId, updates) {
+    return await this._projectRequest('PUT', `${projectId}/sprints/${sprintId}`, updates, 'updateSprint');
+  }
+
+  /**
+   * Delete a planned sprint; its tasks return to the backlog
+   * @param {string} projectId - Project ID
+   * @param {string} sprintId - Sprint ID
+   * @returns {Promise<null>} Nothing
+   */
+  async deleteSprint(projectId, sprintId) {
+    return await this._projectRequest('DELETE', `${projectId}/sprints/${sprintId}`, null, 'deleteSprint');
+  }
+
+  /**
+   * Start a planned sprint
+   * @param {string} projectId - Project ID
+   * @param {string} sprintId - Sprint ID
+   * @returns {Promise<Object>} Active sprint
+   */
+  async startSprint(projectId, sprintId) {
+    return await this._projectRequest('POST', `${projectId}/sprints/${sprintId}/start`, null, 'startSprint');
+  }
+
+  /**
+   * Close the active sprint, rolling unfinished tasks over
+   * @param {string} projectId - Project ID
+   * @param {string} sprintId - Sprint ID
+   * @param {string} [nextSprintId] - Sprint receiving unfinished tasks
+   * @returns {Promise<Object>} Closed sprint with its summary and rollover outcome
+   */
+  async closeSprint(projectId, sprintId, nextSprintId) {
+    return await this._projectRequest(
+      'POST',
+      `${projectId}/sprints/${sprintId}/close`,
+      nextSprintId ? { nextSprintId } : {},
+      'closeSprint'
+    );
+  }
+
+  /**
+   * Add tasks to a sprint
+   * @param {string} projectId - Project ID
+   * @param {string} sprintId - Sprint ID
+   * @param {Array<string>} taskIds - Task IDs
+   * @returns {Promise<Object>} { sprintId, succeeded, failed }
+   */
+  async addTasksToSprint(projectId, sprintId, taskIds) {
+    return await this._projectRequest('POST', `${projectId}/sprints/${sprintId}/tasks`, { taskIds }, 'addTasksToSprint');
+  }
+
+  /**
+   * Return a task from a sprint to the backlog
+   * @param {string} projectId - Project ID
+   * @param {string} sprintId - Sprint ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<null>} Nothing
+   */
+  async removeTaskFromSprint(projectId, sprintId, taskId) {
+    return await this._projectRequest(
+      'DELETE',
+      `${projectId}/sprints/${sprintId}/tasks/${taskId}`,
+      null,
+      'removeTaskFromSprint'
+    );
+  }
+
+  /**
+   * Get burndown and burnup series for a sprint or a milestone label
+   * @param {string} projectId - Project ID
+   * @param {Object} params - { sprintId } or { label, from?, to? }, plus
+   *   pointsField? naming the number custom field that holds points
+   * @returns {Promise<Object>} { scope, range, dates, burndown, burnup,
+   *   scopeChanges, totals }
+   */
+  async getBurndown(projectId, params) {
+    const queryString = this._buildQueryString(params);
+    return await this._projectRequest('GET', `${projectId}/burndown?${queryString}`, null, 'getBurndown');
+  }
+
+  /**
+   * Get a project's workflow
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object|null>} { states, initialState, transitions }, or
+   *   null if the project has none
+   */
+  async getWorkflow(projectId) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/workflow`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `getWorkflow failed: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error in getWorkflow:', error);
+      eventBus.emit('firebase:error', { operation: 'getWorkflow', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Define or replace a project's workflow
+   * @param {string} projectId - Project ID
+   * @param {Object} workflow - { states, initialState, transitions }
+   * @returns {Promise<Object>} Stored workflow
+   */
+  async saveWorkflow(projectId, workflow) {
+    return await this._projectRequest('PUT', `${projectId}/workflow`, workflow, 'saveWorkflow');
+  }
+
+  /**
+   * Remove a project's workflow
+   * @param {string} projectId - Project ID
+   * @returns {Promise<null>}
+   */
+  async deleteWorkflow(projectId) {
+    return await this._projectRequest('DELETE', `${projectId}/workflow`, null, 'deleteWorkflow');
+  }
+
+  // Organization API
+
+  /**
+   * Get all organizations
+   * @returns {Promise<Array>} Array of organizations
+   */
+  async getOrganizations() {
+    try {
+      const response = await fetch(`${this.apiURL}/organizations`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get organizations: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error fetching organizations:', error);
+      eventBus.emit('firebase:error', { operation: 'getOrganizations', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create new organization
+   * @param {Object} organization - Organization data (must include name)
+   * @returns {Promise<Object>} Created organization with ID
+   */
+  async createOrganization(organization) {
+    try {
+      const response = await fetch(`${this.apiURL}/organizations`, {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify(organization)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to create organization: ${response.status}`);
+      }
+
+      const created = await response.json();
+      eventBus.emit('firebase:organization-created', { organization: created });
+      return created;
+    } catch (error) {
+      console.error('❌ Error creating organization:', error);
+      eventBus.emit('firebase:error', { operation: 'createOrganization', error: error.message });
+      throw error;
+    }
+  }
+
+  // Claude AI Integration API
+
+  /**
+   * Send message to Claude
+   * @param {string} message - Message to send
+   * @param {Object} options - Additional options (mode, context, etc.)
+   * @returns {Promise<Object>} Claude response
+   */
+  async sendToClaudeChat(message, options = {}) {
+    try {
+      const response = await fetch(`${this.claudeURL}/chat`, {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify({
+          message,
+          ...options
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to send message to Claude: ${response.status} ${response.statusText}`);
+      }
+
+      const result = await response.json();
+      eventBus.emit('firebase:claude-response', { result });
+      return result;
+    } catch (error) {
+      console.error('❌ Error sending message to Claude:', error);
+      eventBus.emit('firebase:error', { operation: 'sendToClaudeChat', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get Claude health status
+   * @returns {Promise<Object>} Health status
+   */
+  async getClaudeHealth() {
+    try {
+      const response = await fetch(`${this.claudeURL}/health`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get Claude health: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error getting Claude health:', error);
+      eventBus.emit('firebase:error', { operation: 'getClaudeHealth', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get available prompt roles from Claude
+   * @returns {Promise<Array>} Array of prompt roles
+   */
+  async getClaudePromptRoles() {
+    try {
+      const response = await fetch(`${this.claudeURL}/prompt-roles`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to get prompt roles: ${response.status} ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error getting prompt roles:', error);
+      eventBus.emit('firebase:error', { operation: 'getClaudePromptRoles', error: error.message });
+      throw error;
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Test connection to Firebase Functions
+   */
+  async _testConnection() {
+    try {
+      // Try to fetch projects as a health check
+      const response = await fetch(`${this.apiURL}/projects`, {
+        method: 'GET',
+        headers: this._getHeaders()
+      });
+      
+      return { success: response.ok };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Build a query string, joining array values with commas and skipping empty ones
+   */
+  /**
+   * Apply an archive / unarchive / restore transition to a project
+   * @private
+   */
+  async _projectLifecycleAction(projectId, action) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${projectId}/${action}`, {
+        method: 'POST',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to ${action} project: ${response.status}`);
+      }
+
+      const result = await response.json();
+      eventBus.emit('firebase:project-lifecycle', { projectId, action, result });
+      return result;
+    } catch (error) {
+      console.error(`❌ Error applying ${action} to project:`, error);
+      eventBus.emit('firebase:error', { operation: `${action}Project`, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Call an endpoint nested under a project (webhooks, sprints, series, labels, custom fields, views, imports)
+   * @private
+   */
+  async _projectRequest(method, path, body, operation) {
+    try {
+      const response = await fetch(`${this.apiURL}/projects/${path}`, {
+        method,
+        headers: this._getHeaders(),
+        ...(body ? { body: JSON.stringify(body) } : {})
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `${operation} failed: ${response.status}`);
+      }
+
+      return response.status === 204 ? null : await response.json();
+    } catch (error) {
+      console.error(`❌ Error in ${operation}:`, error);
+      eventBus.emit('firebase:error', { operation, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Call an endpoint nested under a task (time entries)
+   * @private
+   */
+  async _taskRequest(method, path, body, operation) {
+    try {
+      const response = await fetch(`${this.apiURL}/tasks/${path}`, {
+        method,
+        headers: this._getHeaders(),
+        ...(body ? { body: JSON.stringify(body) } : {})
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `${operation} failed: ${response.status}`);
+      }
+
+      return response.status === 204 ? null : await response.json();
+    } catch (error) {
+      console.error(`❌ Error in ${operation}:`, error);
+      eventBus.emit('firebase:error', { operation, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a personal access token or project API key
+   * @private
+   */
+  async _createApiToken(url, token, operation) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: this._getHeaders(),
+        body: JSON.stringify(token)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to create API token: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error creating API token:', error);
+      eventBus.emit('firebase:error', { operation, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a personal access token or project API key
+   * @private
+   */
+  async _revokeApiToken(url, operation) {
+    try {
+      const response = await fetch(url, {
+        method: 'DELETE',
+        headers: this._getHeaders()
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.message || `Failed to revoke API token: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error revoking API token:', error);
+      eventBus.emit('firebase:error', { operation, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the error for a 412 response, carrying the server's current document
+   * @private
+   */
+  async _conflictError(response, operation) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.message || 'Document was modified by someone else');
+    error.status = 412;
+    error.current = body.current || null;
+    eventBus.emit('firebase:conflict', { operation, current: error.current });
+    return error;
+  }
+
+  _buildQueryString(params) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value === undefined || value === null || value === '') continue;
+      if (typeof value === 'object' && !Array.isArray(value)) {
+        // Nested filters are sent as key[name]=value
+        for (const [name, nested] of Object.entries(value)) {
+          query.set(`${key}[${name}]`, nested);
+        }
+        continue;
+      }
+      query.set(key, Array.isArray(value) ? value.join(',') : value);
+    }
+    return query.toString();
+  }
+
+  /**
+   * Get headers for API requests
+   */
+  _getHeaders(options = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    // Task and project routes check the caller's project role
+    if (this.authToken) {
+      headers['Authorization'] = `Bearer ${this.authToken}`;
+    }
+
+    // Identify where a change came from for the task history
+    if (options.source) {
+      headers['X-Change-Source'] = options.source;
+    }
+    if (options.agentId) {
+      headers['X-Agent-Id'] = options.agentId;
+    }
+
+    // Only apply the write if nobody changed the document since this version
+    if (options.version !== undefined && options.version !== null) {
+      headers['If-Match'] = `W/"${options.version}"`;
+    }
+
+    return headers;
   }
 }
 
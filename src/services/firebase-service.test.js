@@ -0,0 +1,87 @@
+/**
+ * Firebase Service Tests
+ * Testing that API requests carry the signed-in user's ID token
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { onIdTokenChanged } from 'firebase/auth';
+import { FirebaseService } from './firebase-service.js';
+
+vi.mock('../core/config/firebase-config.js', () => ({
+  auth: { name: 'test-auth' }
+}));
+
+describe('FirebaseService', () => {
+  let service;
+  let tokenListener;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    onIdTokenChanged.mockImplementation((auth, listener) => {
+      tokenListener = listener;
+      return () => {};
+    });
+    fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ tasks: [], nextCursor: null })
+    });
+    service = new FirebaseService();
+  });
+
+  const signIn = token => tokenListener(token ? { getIdToken: () => Promise.resolve(token) } : null);
+  const sentHeaders = () => fetch.mock.calls[fetch.mock.calls.length - 1][1].headers;
+
+  describe('Authentication', () => {
+    it('should wait for the sign-in state before checking the connection', async () => {
+      const initializing = service.initialize();
+      expect(fetch).not.toHaveBeenCalled();
+
+      await signIn('token-1');
+      await initializing;
+
+      expect(onIdTokenChanged).toHaveBeenCalledWith({ name: 'test-auth' }, expect.any(Function));
+      expect(sentHeaders().Authorization).toBe('Bearer token-1');
+    });
+
+    it('should send the ID token with API requests', async () => {
+      service.watchAuthToken();
+      await signIn('token-1');
+
+      await service.getTasks({ projectId: 'p1' });
+
+      expect(sentHeaders()).toEqual({
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer token-1'
+      });
+    });
+
+    it('should send the refreshed token after Firebase refreshes it', async () => {
+      service.watchAuthToken();
+      await signIn('token-1');
+      await signIn('token-2');
+
+      await service.getTasks();
+
+      expect(sentHeaders().Authorization).toBe('Bearer token-2');
+    });
+
+    it('should stop sending a token after sign-out', async () => {
+      service.watchAuthToken();
+      await signIn('token-1');
+      await signIn(null);
+
+      await service.getTasks();
+
+      expect(sentHeaders().Authorization).toBeUndefined();
+    });
+
+    it('should follow the sign-in state only once', async () => {
+      const first = service.watchAuthToken();
+      const second = service.watchAuthToken();
+
+      expect(second).toBe(first);
+      expect(onIdTokenChanged).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -14,9 +14,17 @@ export class KanbanService {
     this.tasks = new Map();
     this.columns = new Map();
     this.currentBoardId = null;
+    this.currentOrganizationId = null;
     this.currentProjectId = null;
+    // Sprint the board is limited to; null shows every task of the project
+    this.currentSprintId = null;
+    // Label catalog of the active project, by label name
+    this.labelCatalog = new Map();
     this.isInitialized = false;
     
+    // Number of tasks requested per page when syncing from Firebase
+    this.syncPageSize = 200;
+    
     // Default column configuration
     this.defaultColumns = [
       { id: 'todo', title: 'To Do', color: '#6b7280', order: 0 },
@@ -45,9 +53,15 @@ export class KanbanService {
       
       // Try to create default project if Firebase is available
       try {
-        const projects = await firebaseService.getProjects();
+        const projects = await firebaseService.getProjects(
+          this.currentOrganizationId ? { organizationId: this.currentOrganizationId } : {}
+        );
         if (projects.length === 0) {
           await this.createDefaultProject();
+        } else if (!projects.some(project => project.id === this.currentProjectId)) {
+          this.currentProjectId = projects[0].id;
+          this.currentSprintId = null;
+          await this._saveToStorage();
         }
         
         // Load tasks from Firebase
@@ -158,15 +172,23 @@ export class KanbanService {
   }
 
   /**
-   * Create default project in Firebase
+   * Create default project in Firebase, inside the active organization
+   * @param {Object} [options] - Project placement
+   * @param {string} [options.organizationId] - Organization (defaults to the active one)
+   * @param {string} [options.parentProjectId] - Parent for a sub-project
    */
-  async createDefaultProject() {
+  async createDefaultProject(options = {}) {
     try {
+      const organizationId = options.organizationId || this.currentOrganizationId;
       const project = await firebaseService.createProject({
         name: 'Firesite Project Service Development',
-        description: 'AI-powered project management for developing the Firesite Project Service'
+        description: 'AI-powered project management for developing the Firesite Project Service',
+        ...(organizationId ? { organizationId } : {}),
+        ...(options.parentProjectId ? { parentProjectId: options.parentProjectId } : {})
       });
       
+      this.currentOrganizationId = project.organizationId || null;
+      
       this.currentProjectId = project.id;
       await this._saveToStorage();
       
@@ -179,40 +201,233 @@ export class KanbanService {
   }
 
   /**
-   * Sync tasks from Firebase Functions
+   * Switch the active organization. The active project is cleared unless it
+   * belongs to the new organization.
+   * @param {string|null} organizationId - Organization ID
+   * @returns {Promise<Array>} Projects of the organization
+   */
+  async setActiveOrganization(organizationId) {
+    this.currentOrganizationId = organizationId || null;
+    
+    const projects = await firebaseService.getProjects(
+      organizationId ? { organizationId } : {}
+    );
+    if (!projects.some(project => project.id === this.currentProjectId)) {
+      this.currentProjectId = null;
+      this.currentSprintId = null;
+      this._clearBoardTasks();
+    }
+    
+    await this._saveToStorage();
+    eventBus.emit('kanban:organization:changed', { organizationId: this.currentOrganizationId, projects });
+    
+    return projects;
+  }
+
+  /**
+   * Switch the active project (or sub-project) and reload its tasks
+   * @param {string} projectId - Project ID
+   */
+  async setActiveProject(projectId) {
+    if (projectId === this.currentProjectId) return;
+    
+    this.currentProjectId = projectId;
+    this.currentSprintId = null;
+    this._clearBoardTasks();
+    await this._syncTasksFromFirebase();
+    await this._saveToStorage();
+    
+    eventBus.emit('kanban:project:changed', { projectId });
+  }
+
+  /**
+   * Limit the board to one sprint of the active project, or show all its tasks
+   * @param {string|null} sprintId - Sprint ID, or null for every task
+   */
+  async setSprintFilter(sprintId) {
+    if ((sprintId || null) === this.currentSprintId) return;
+    
+    this.currentSprintId = sprintId || null;
+    this._clearBoardTasks();
+    await this._syncTasksFromFirebase();
+    await this._saveToStorage();
+    
+    eventBus.emit('kanban:sprint:changed', { sprintId: this.currentSprintId });
+  }
+
+  /**
+   * Limit the board to the active project's active sprint
+   * @returns {Promise<Object|null>} Active sprint, or null (and every task shown)
+   *   when no sprint is active
+   */
+  async showActiveSprint() {
+    if (!this.currentProjectId) return null;
+    
+    const [sprint] = await firebaseService.getSprints(this.currentProjectId, { state: 'active' });
+    await this.setSprintFilter(sprint ? sprint.id : null);
+    return sprint || null;
+  }
+
+  /**
+   * Load the active project's label catalog
+   */
+  async loadLabelCatalog() {
+    this.labelCatalog = new Map();
+    if (this.currentProjectId) {
+      try {
+        const labels = await firebaseService.getLabels(this.currentProjectId);
+        labels.forEach(label => this.labelCatalog.set(label.name, label));
+      } catch (error) {
+        console.error('❌ Error loading label catalog:', error);
+      }
+    }
+    
+    eventBus.emit('kanban:labels:changed', { labels: this.getLabels() });
+  }
+
+  /**
+   * Labels of the active project, in catalog order
+   */
+  getLabels() {
+    return [...this.labelCatalog.values()];
+  }
+
+  /**
+   * Catalog entry for a label name, or null when the project does not define it
+   */
+  getLabel(name) {
+    return this.labelCatalog.get(name) || null;
+  }
+
+  /**
+   * Define a label for the active project
+   */
+  async createLabel(label) {
+    const created = await firebaseService.createLabel(this.currentProjectId, label);
+    await this.loadLabelCatalog();
+    return created;
+  }
+
+  /**
+   * Update a label; renames are applied to tasks by the server, so the
+   * board is reloaded
+   */
+  async updateLabel(labelId, updates) {
+    const result = await firebaseService.updateLabel(this.currentProjectId, labelId, updates);
+    await this._reloadAfterLabelChange(!!result.tasks);
+    return result;
+  }
+
+  /**
+   * Merge labels into another and reload the board
+   */
+  async mergeLabels(sourceIds, targetId) {
+    const result = await firebaseService.mergeLabels(this.currentProjectId, sourceIds, targetId);
+    await this._reloadAfterLabelChange(true);
+    return result;
+  }
+
+  /**
+   * Delete a label and reload the board
+   */
+  async deleteLabel(labelId) {
+    const result = await firebaseService.deleteLabel(this.currentProjectId, labelId);
+    await this._reloadAfterLabelChange(true);
+    return result;
+  }
+
+  /**
+   * Reload the label catalog and, when the server relabeled tasks, the tasks
+   * @private
+   */
+  async _reloadAfterLabelChange(tasksChanged) {
+    if (!tasksChanged) {
+      await this.loadLabelCatalog();
+      return;
+    }
+    
+    // Syncing reloads the catalog as well
+    this._clearBoardTasks();
+    await this._syncTasksFromFirebase();
+    await this._saveToStorage();
+    eventBus.emit('kanban:labels:changed', { labels: this.getLabels() });
+  }
+
+  /**
+   * Remove the current board's tasks before loading another project
+   */
+  _clearBoardTasks() {
+    for (const [taskId, task] of this.tasks) {
+      if (task.boardId === this.currentBoardId) {
+        this.tasks.delete(taskId);
+      }
+    }
+    
+    for (const [key, column] of this.columns) {
+      if (column.boardId === this.currentBoardId) {
+        this.columns.set(key, { ...column, tasks: [] });
+      }
+    }
+  }
+
+  /**
+   * Sync tasks from Firebase Functions, paging through large boards
    */
   async _syncTasksFromFirebase() {
     try {
       if (!this.currentProjectId) return;
       
-      const firebaseTasks = await firebaseService.getTasks({ 
-        projectId: this.currentProjectId 
-      });
+      await this.loadLabelCatalog();
       
-      // Convert Firebase tasks to local format
-      for (const firebaseTask of firebaseTasks) {
-        const task = {
-          id: firebaseTask.id,
-          title: firebaseTask.title,
-          description: firebaseTask.description || '',
-          columnId: firebaseTask.status || 'todo',
-          boardId: this.currentBoardId,
-          priority: firebaseTask.priority || 'medium',
-          labels: [],
-          assignee: null,
-          dueDate: null,
-          estimatedHours: null,
-          createdAt: firebaseTask.createdAt,
-          updatedAt: firebaseTask.updatedAt,
-          createdBy: firebaseTask.createdBy,
-          aiGenerated: false,
-          aiSuggestions: []
-        };
+      let cursor = null;
+      let synced = 0;
+      
+      do {
+        const page = await firebaseService.getTasks({
+          projectId: this.currentProjectId,
+          ...(this.currentSprintId ? { sprintId: this.currentSprintId } : {}),
+          limit: this.syncPageSize,
+          startAfter: cursor
+        });
         
-        this.tasks.set(task.id, task);
-      }
+        // Convert Firebase tasks to local format
+        for (const firebaseTask of page.tasks) {
+          const task = {
+            id: firebaseTask.id,
+            title: firebaseTask.title,
+            description: firebaseTask.description || '',
+            // Blocked tasks stay in the column they were blocked from
+            columnId: this._columnForStatus(firebaseTask),
+            boardId: this.currentBoardId,
+            priority: firebaseTask.priority || 'medium',
+            labels: firebaseTask.labels || [],
+            customFields: firebaseTask.customFields || {},
+            assignee: null,
+            dueDate: this._toIsoDate(firebaseTask.dueDate),
+            overdue: !!firebaseTask.overdue,
+            estimatedHours: firebaseTask.estimatedHours ?? null,
+            actualHours: firebaseTask.actualHours || 0,
+            createdAt: firebaseTask.createdAt,
+            updatedAt: firebaseTask.updatedAt,
+            createdBy: firebaseTask.createdBy,
+            version: firebaseTask.version,
+            dependsOn: firebaseTask.dependsOn || [],
+            sprintId: firebaseTask.sprintId || null,
+            seriesId: firebaseTask.seriesId || null,
+            blocked: firebaseTask.status === 'blocked',
+            aiGenerated: false,
+            aiSuggestions: []
+          };
+          
+          this.tasks.set(task.id, task);
+        }
+        
+        synced += page.tasks.length;
+        cursor = page.nextCursor;
+        eventBus.emit('kanban:sync:progress', { synced, hasMore: !!cursor });
+      } while (cursor);
       
-      console.log(`✅ Synced ${firebaseTasks.length} tasks from Firebase`);
+      console.log(`✅ Synced ${synced} tasks from Firebase`);
     } catch (error) {
       console.error('❌ Error syncing tasks from Firebase:', error);
     }
@@ -227,13 +442,25 @@ export class KanbanService {
       
       // Try to create task in Firebase Functions first
       try {
+        // The server only accepts labels from the project's catalog
+        const labels = (taskData.labels || []).filter(name => this.labelCatalog.has(name));
+        if (labels.length < (taskData.labels || []).length) {
+          console.warn('🏷️ Leaving off labels not defined for this project:',
+            taskData.labels.filter(name => !labels.includes(name)));
+        }
+        
         const firebaseTask = await firebaseService.createTask({
           title: taskData.title,
           description: taskData.description || '',
           status: taskData.columnId || 'todo',
           priority: taskData.priority || 'medium',
-          projectId: taskData.projectId || this.currentProjectId
-        });
+          projectId: taskData.projectId || this.currentProjectId,
+          ...(labels.length ? { labels } : {}),
+          ...(taskData.dueDate ? { dueDate: taskData.dueDate } : {}),
+          ...(taskData.estimatedHours ? { estimatedHours: taskData.estimatedHours } : {}),
+          // Tasks created while the board shows a sprint join that sprint
+          ...(this.currentSprintId ? { sprintId: this.currentSprintId } : {})
+        }, { source: taskData.aiGenerated ? 'ai-agent' : 'kanban-board' });
 
         // Create local task for board display
         task = {
@@ -243,13 +470,16 @@ export class KanbanService {
           columnId: firebaseTask.status,
           boardId: taskData.boardId,
           priority: firebaseTask.priority,
-          labels: taskData.labels || [],
+          labels: firebaseTask.labels || [],
           assignee: taskData.assignee || null,
-          dueDate: taskData.dueDate || null,
+          dueDate: this._toIsoDate(firebaseTask.dueDate),
+          overdue: !!firebaseTask.overdue,
           estimatedHours: taskData.estimatedHours || null,
           createdAt: firebaseTask.createdAt,
           updatedAt: firebaseTask.updatedAt,
           createdBy: firebaseTask.createdBy,
+          version: firebaseTask.version,
+          sprintId: firebaseTask.sprintId || null,
           aiGenerated: taskData.aiGenerated || false,
           aiSuggestions: taskData.aiSuggestions || []
         };
@@ -356,14 +586,33 @@ export class KanbanService {
         title: updates.title,
         description: updates.description,
         status: updates.columnId || updates.status,
-        priority: updates.priority
+        priority: updates.priority,
+        labels: updates.labels,
+        customFields: updates.customFields,
+        dueDate: updates.dueDate,
+        estimatedHours: updates.estimatedHours
       };
       
-      const updatedFirebaseTask = await firebaseService.updateTask(taskId, firebaseUpdates);
+      let updatedFirebaseTask;
+      try {
+        updatedFirebaseTask = await firebaseService.updateTask(taskId, firebaseUpdates, {
+          source: 'kanban-board',
+          version: task.version
+        });
+      } catch (error) {
+        if (error.status !== 412) throw error;
+        
+        // Someone else changed the task since we loaded it
+        updatedFirebaseTask = await this._resolveConflict(task, firebaseUpdates, error.current);
+        if (!updatedFirebaseTask) return task;
+      }
       
       // Update local task
       Object.assign(task, updates, {
-        updatedAt: updatedFirebaseTask.updatedAt
+        dueDate: this._toIsoDate(updatedFirebaseTask.dueDate),
+        overdue: !!updatedFirebaseTask.overdue,
+        updatedAt: updatedFirebaseTask.updatedAt,
+        version: updatedFirebaseTask.version
       });
       
       await this._saveToStorage();
@@ -385,7 +634,7 @@ export class KanbanService {
       if (!task) throw new Error(`Task ${taskId} not found`);
       
       // Delete from Firebase
-      await firebaseService.deleteTask(taskId);
+      await firebaseService.deleteTask(taskId, { source: 'kanban-board' });
       
       // Remove from column
       const columnKey = `${task.boardId}:${task.columnId}`;
@@ -409,6 +658,263 @@ export class KanbanService {
     }
   }
 
+  /**
+   * Apply several task changes in one request (multi-select actions).
+   * Operations use board terms: { action: 'move', taskId, columnId },
+   * { action: 'update', taskId, updates }, 'relabel', 'assign' or 'delete'.
+   */
+  async bulkUpdateTasks(operations, options = {}) {
+    try {
+      // Columns are stored as task status on the backend
+      const firebaseOperations = operations.map(operation => {
+        if (operation.action === 'move') {
+          return { action: 'update', taskId: operation.taskId, updates: { status: operation.columnId } };
+        }
+        if (operation.action === 'update' && operation.updates?.columnId) {
+          const { columnId, ...updates } = operation.updates;
+          return { ...operation, updates: { ...updates, status: columnId } };
+        }
+        return operation;
+      });
+      
+      const summary = await firebaseService.bulkTasks(firebaseOperations, {
+        source: 'kanban-bulk',
+        ...options
+      });
+      
+      // Mirror successful operations locally
+      for (const result of summary.results) {
+        if (result.status !== 'succeeded') continue;
+        
+        const operation = operations[result.index];
+        const task = this.tasks.get(operation.taskId);
+        if (!task) continue;
+        
+        const column = this.columns.get(`${task.boardId}:${task.columnId}`);
+        
+        switch (operation.action) {
+          case 'delete':
+            if (column) column.tasks = column.tasks.filter(id => id !== task.id);
+            this.tasks.delete(task.id);
+            continue;
+          case 'move':
+            this._moveTaskToColumn(task, column, operation.columnId);
+            break;
+          case 'update':
+            if (operation.updates.columnId) {
+              this._moveTaskToColumn(task, column, operation.updates.columnId);
+            }
+            Object.assign(task, operation.updates);
+            break;
+          case 'relabel':
+            task.labels = result.changes?.labels?.to || operation.labels || task.labels;
+            break;
+          case 'assign':
+            task.assignee = operation.assignee || null;
+            break;
+        }
+        
+        task.updatedAt = new Date().toISOString();
+      }
+      
+      await this._saveToStorage();
+      eventBus.emit('kanban:tasks:bulk-updated', { summary });
+      
+      return summary;
+    } catch (error) {
+      console.error('❌ Error applying bulk task operations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a task id between column lists without persisting
+   * @private
+   */
+  _moveTaskToColumn(task, oldColumn, newColumnId) {
+    if (oldColumn) {
+      oldColumn.tasks = oldColumn.tasks.filter(id => id !== task.id);
+    }
+    const newColumn = this.columns.get(`${task.boardId}:${newColumnId}`);
+    if (newColumn && !newColumn.tasks.includes(task.id)) {
+      newColumn.tasks.push(task.id);
+    }
+    task.columnId = newColumnId;
+  }
+
+  /**
+   * Make a task depend on another. Rejected by the server with a 409 and the
+   * offending cycle when the edge would create one.
+   */
+  async addDependency(taskId, prerequisiteId) {
+    const task = this.tasks.get(taskId);
+    if (!task) throw new Error(`Task ${taskId} not found`);
+    
+    const updated = await firebaseService.addTaskDependency(taskId, prerequisiteId, {
+      source: 'kanban-board'
+    });
+    
+    Object.assign(task, {
+      dependsOn: updated.dependsOn || [],
+      version: updated.version,
+      updatedAt: updated.updatedAt
+    });
+    
+    await this._saveToStorage();
+    eventBus.emit('kanban:task:dependencies-changed', { task });
+    return task;
+  }
+
+  /**
+   * Remove a dependency; the task is unblocked if nothing else blocks it
+   */
+  async removeDependency(taskId, prerequisiteId) {
+    const task = this.tasks.get(taskId);
+    if (!task) throw new Error(`Task ${taskId} not found`);
+    
+    const updated = await firebaseService.removeTaskDependency(taskId, prerequisiteId, {
+      source: 'kanban-board'
+    });
+    
+    Object.assign(task, {
+      dependsOn: updated.dependsOn || [],
+      blocked: updated.status === 'blocked',
+      version: updated.version,
+      updatedAt: updated.updatedAt
+    });
+    
+    await this._saveToStorage();
+    eventBus.emit('kanban:task:dependencies-changed', { task });
+    return task;
+  }
+
+  /**
+   * Get the chains of unfinished prerequisites blocking a task, as task
+   * titles ready for rendering (e.g. "Deploy ← Review ← Build")
+   */
+  async getBlockedChains(taskId) {
+    const graph = await firebaseService.getTaskDependencies(taskId);
+    const titles = new Map(
+      [graph.task, ...graph.prerequisites].map(node => [node.id, node.title || node.id])
+    );
+    
+    return graph.blockedChains.map(chain => ({
+      ids: chain,
+      titles: chain.map(id => titles.get(id) || id)
+    }));
+  }
+
+  /**
+   * Start a timer on a task for the signed-in user
+   */
+  async startTimer(taskId, note) {
+    const task = this.tasks.get(taskId);
+    if (!task) throw new Error(`Task ${taskId} not found`);
+    
+    const entry = await firebaseService.startTimer(taskId, note);
+    task.timerStartedAt = this._toIsoDate(entry.startedAt);
+    
+    await this._saveToStorage();
+    eventBus.emit('kanban:task:timer-started', { task, entry });
+    return entry;
+  }
+
+  /**
+   * Stop the signed-in user's timer on a task. The task's actual hours are
+   * recomputed by the server and passed on as a task update.
+   */
+  async stopTimer(taskId, note) {
+    const task = this.tasks.get(taskId);
+    if (!task) throw new Error(`Task ${taskId} not found`);
+    
+    const entry = await firebaseService.stopTimer(taskId, note);
+    task.timerStartedAt = null;
+    task.actualHours = entry.actualHours;
+    
+    await this._saveToStorage();
+    eventBus.emit('kanban:task:updated', { task, updates: { actualHours: entry.actualHours } });
+    return entry;
+  }
+
+  /**
+   * Board column for a backend task
+   * @private
+   */
+  _columnForStatus(firebaseTask) {
+    if (firebaseTask.status === 'blocked') {
+      return firebaseTask.blockedFromStatus || 'todo';
+    }
+    return firebaseTask.status || 'todo';
+  }
+
+  /**
+   * Ask the user how to resolve a 412 conflict on updateTask.
+   * Returns the saved task, or null when the remote version was kept.
+   * @private
+   */
+  async _resolveConflict(task, firebaseUpdates, current) {
+    if (!current) throw new Error(`Task ${task.id} was modified by someone else`);
+    
+    // Due dates are compared as instants; the backend returns them as timestamps.
+    // Labels and custom fields are compared by value.
+    const comparable = (field, value) => {
+      if (field === 'dueDate') return this._toIsoDate(value);
+      return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    };
+    const conflicts = Object.entries(firebaseUpdates)
+      .filter(([field, value]) => value !== undefined &&
+        comparable(field, current[field]) !== comparable(field, value));
+    
+    // Their change touched other fields, so ours applies cleanly on top
+    let keepMine = conflicts.length === 0;
+    
+    if (!keepMine) {
+      const details = conflicts
+        .map(([field, value]) => `• ${field}: theirs "${comparable(field, current[field]) ?? ''}" → yours "${value}"`)
+        .join('\n');
+      
+      keepMine = confirm(
+        `"${task.title}" was changed by someone else while you were editing.\n\n` +
+        `${details}\n\n` +
+        'OK: apply your changes on top of theirs\n' +
+        'Cancel: discard your changes and keep theirs'
+      );
+    }
+    
+    if (keepMine) {
+      return await firebaseService.updateTask(task.id, firebaseUpdates, {
+        source: 'kanban-board',
+        version: current.version
+      });
+    }
+    
+    // Keep theirs: bring the local copy up to date
+    const column = this.columns.get(`${task.boardId}:${task.columnId}`);
+    const columnId = this._columnForStatus({ ...current, status: current.status || task.columnId });
+    if (columnId !== task.columnId) {
+      this._moveTaskToColumn(task, column, columnId);
+    }
+    Object.assign(task, {
+      title: current.title,
+      description: current.description || '',
+      priority: current.priority || task.priority,
+      labels: current.labels || [],
+      customFields: current.customFields || {},
+      dueDate: this._toIsoDate(current.dueDate),
+      overdue: !!current.overdue,
+      estimatedHours: current.estimatedHours ?? null,
+      actualHours: current.actualHours || 0,
+      blocked: current.status === 'blocked',
+      updatedAt: current.updatedAt,
+      version: current.version
+    });
+    
+    await this._saveToStorage();
+    eventBus.emit('kanban:task:conflict', { task, current, resolution: 'theirs' });
+    
+    return null;
+  }
+
   /**
    * Get current board data
    */
@@ -449,6 +955,18 @@ export class KanbanService {
     });
   }
 
+  /**
+   * Convert a due date from the backend to an ISO string
+   * @param {Object|string|null} value - Serialized Firestore timestamp or date string
+   * @returns {string|null} ISO date, or null when unset
+   */
+  _toIsoDate(value) {
+    if (!value) return null;
+    // Firestore timestamps arrive serialized as { _seconds, _nanoseconds }
+    const date = value._seconds ? new Date(value._seconds * 1000) : new Date(value);
+    return isNaN(date) ? null : date.toISOString();
+  }
+
   /**
    * Load data from storage
    */
@@ -463,7 +981,9 @@ export class KanbanService {
           this.tasks = new Map(parsed.tasks || []);
           this.columns = new Map(parsed.columns || []);
           this.currentBoardId = parsed.currentBoardId || null;
+          this.currentOrganizationId = parsed.currentOrganizationId || null;
           this.currentProjectId = parsed.currentProjectId || null;
+          this.currentSprintId = parsed.currentSprintId || null;
         }
       }
     } catch (error) {
@@ -483,7 +1003,9 @@ export class KanbanService {
           tasks: Array.from(this.tasks.entries()),
           columns: Array.from(this.columns.entries()),
           currentBoardId: this.currentBoardId,
+          currentOrganizationId: this.currentOrganizationId,
           currentProjectId: this.currentProjectId,
+          currentSprintId: this.currentSprintId,
           lastUpdated: new Date().toISOString()
         };
         localStorage.setItem('firesite-kanban', JSON.stringify(data));
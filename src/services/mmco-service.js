@@ -284,7 +284,7 @@ export class MMCOService {
       priority: taskData.priority,
       status: taskData.status || taskData.columnId,
       estimatedHours: taskData.estimatedHours,
-      actualHours: 0,
+      actualHours: taskData.actualHours || 0,
       complexity: 'unknown',
       dependencies: [],
       blockers: [],
@@ -470,6 +470,19 @@ export class MMCOService {
           insight: `Task "${context.data.title}" completed successfully`,
           timestamp: evolution.timestamp
         });
+        
+        const { estimatedHours, actualHours } = context.data;
+        if (estimatedHours > 0 && actualHours > 0) {
+          const ratio = Math.round((actualHours / estimatedHours) * 100) / 100;
+          learnings.push({
+            type: 'estimation',
+            insight: `"${context.data.title}" took ${actualHours}h against an estimate of ${estimatedHours}h (${ratio}x)`,
+            estimatedHours,
+            actualHours,
+            ratio,
+            timestamp: evolution.timestamp
+          });
+        }
       }
       
       if (change.field === 'actualHours' && change.oldValue !== undefined) {
@@ -516,6 +529,8 @@ export class MMCOService {
         await this.updateContext(taskContext.id, {
           status: data.task.columnId,
           priority: data.task.priority,
+          estimatedHours: data.task.estimatedHours,
+          actualHours: data.task.actualHours || 0,
           updatedAt: data.task.updatedAt
         }, 'task-update');
       }
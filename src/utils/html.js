@@ -0,0 +1,16 @@
+/**
+ * HTML helpers - Shared by the components that render with template strings
+ */
+
+/**
+ * Escape text for insertion into HTML, including quoted attribute values
+ * @param {*} text - Text to escape; null and undefined become ''
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,18 @@
+/**
+ * HTML Helper Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { escapeHtml } from './html.js';
+
+describe('escapeHtml', () => {
+  it('should escape markup and quotes', () => {
+    expect(escapeHtml('<a href="x">Tom & Jerry</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/a&gt;');
+  });
+
+  it('should turn missing values into an empty string and others into text', () => {
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(undefined)).toBe('');
+    expect(escapeHtml(0)).toBe('0');
+  });
+});
@@ -58,6 +58,19 @@ vi.mock('firebase/firestore', () => ({
   onSnapshot: vi.fn()
 }));
 
+vi.mock('firebase/auth', () => ({
+  getAuth: vi.fn(),
+  onIdTokenChanged: vi.fn()
+}));
+
+vi.mock('firebase/functions', () => ({
+  getFunctions: vi.fn()
+}));
+
+vi.mock('firebase/database', () => ({
+  getDatabase: vi.fn()
+}));
+
 // Mock WebContainer API
 vi.mock('@webcontainer/api', () => ({
   WebContainer: {